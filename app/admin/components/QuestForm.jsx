@@ -1,6 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { LANGUAGE_VERSIONS } from "@/app/constants";
 
 function formatDateForInput(dateString) {
   if (!dateString) return "";
@@ -44,6 +45,73 @@ function calculateEndTime(startTime, timeLimit) {
   return `${endYear}-${endMonth}-${endDay}T${endHours}:${endMinutes}`;
 }
 
+const EMPTY_QUESTION = {
+  type: "short-answer",
+  title: "",
+  description: "",
+  points: 0,
+  language: "javascript",
+  testCases: [],
+  options: ["", ""],
+  // Index of the correct option while editing a multiple-choice question
+  correctOption: null,
+  correctAnswer: "",
+  answerMatch: "exact",
+};
+
+/**
+ * Builds the question saved with the quest, keeping only the fields its type uses
+ */
+function buildQuestion({ correctOption, ...question }) {
+  const base = {
+    type: question.type,
+    title: question.title,
+    description: question.description,
+    points: question.points,
+  };
+
+  if (question.type === "coding") {
+    return { ...base, language: question.language, testCases: question.testCases };
+  }
+  if (question.type === "multiple-choice") {
+    const options = question.options.map((option) => option.trim());
+    return { ...base, options, correctAnswer: options[correctOption] };
+  }
+  const correctAnswer = question.correctAnswer.trim();
+  return correctAnswer
+    ? { ...base, correctAnswer, answerMatch: question.answerMatch }
+    : base;
+}
+
+/**
+ * Returns why a question can't be added yet, or an empty string
+ */
+function validateQuestion(question) {
+  if (!question.title || !question.description) {
+    return "Title and description are required";
+  }
+  if (question.type === "multiple-choice") {
+    const options = question.options.map((option) => option.trim());
+    if (options.length < 2 || options.some((option) => !option)) {
+      return "Multiple choice questions need at least 2 non-empty options";
+    }
+    if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+      return "Options must be different from each other";
+    }
+    if (question.correctOption === null || !options[question.correctOption]) {
+      return "Mark the correct option";
+    }
+  }
+  if (question.type === "short-answer" && question.answerMatch === "regex" && question.correctAnswer.trim()) {
+    try {
+      new RegExp(question.correctAnswer.trim());
+    } catch {
+      return "Reference answer is not a valid regular expression";
+    }
+  }
+  return "";
+}
+
 export default function QuestForm({ quest, onSave, onCancel }) {
   const [formData, setFormData] = useState(
     quest
@@ -63,13 +131,8 @@ export default function QuestForm({ quest, onSave, onCancel }) {
         }
   );
 
-  const [newQuestion, setNewQuestion] = useState({
-    type: "short",
-    title: "",
-    description: "",
-    points: 0,
-    testCases: [],
-  });
+  const [newQuestion, setNewQuestion] = useState(EMPTY_QUESTION);
+  const [questionError, setQuestionError] = useState("");
 
   useEffect(() => {
     if (quest) {
@@ -113,18 +176,14 @@ export default function QuestForm({ quest, onSave, onCancel }) {
   };
 
   const addQuestion = () => {
-    if (!newQuestion.title || !newQuestion.description) return;
+    const problem = validateQuestion(newQuestion);
+    setQuestionError(problem);
+    if (problem) return;
     setFormData((prev) => ({
       ...prev,
-      questions: [...prev.questions, { ...newQuestion }],
+      questions: [...prev.questions, buildQuestion(newQuestion)],
     }));
-    setNewQuestion({
-      type: "short",
-      title: "",
-      description: "",
-      points: 0,
-      testCases: [],
-    });
+    setNewQuestion(EMPTY_QUESTION);
   };
 
   const removeQuestion = (index) => {
@@ -160,6 +219,33 @@ export default function QuestForm({ quest, onSave, onCancel }) {
     }));
   };
 
+  const addOption = () => {
+    setNewQuestion(prev => ({
+      ...prev,
+      options: [...prev.options, ""],
+    }));
+  };
+
+  const updateOption = (index, value) => {
+    setNewQuestion(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => (i === index ? value : option)),
+    }));
+  };
+
+  const removeOption = (index) => {
+    setNewQuestion(prev => ({
+      ...prev,
+      options: prev.options.filter((_, i) => i !== index),
+      correctOption:
+        prev.correctOption === index
+          ? null
+          : prev.correctOption > index
+            ? prev.correctOption - 1
+            : prev.correctOption,
+    }));
+  };
+
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
       <div className="grid grid-cols-1 gap-6">
@@ -262,7 +348,26 @@ export default function QuestForm({ quest, onSave, onCancel }) {
                   <p className="text-sm text-gray-600">{q.description}</p>
                   <div className="text-sm text-gray-500 mt-1">
                     Type: {q.type} | Points: {q.points}
+                    {q.type === "coding" && q.language && ` | Language: ${q.language}`}
                   </div>
+                  {q.type === "multiple-choice" && (
+                    <ul className="mt-2 text-sm list-disc list-inside">
+                      {q.options.map((option, i) => (
+                        <li
+                          key={i}
+                          className={option === q.correctAnswer ? "text-green-700 font-medium" : ""}
+                        >
+                          {option}
+                          {option === q.correctAnswer && " (correct)"}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {q.type !== "multiple-choice" && q.type !== "coding" && q.correctAnswer && (
+                    <div className="text-sm text-gray-500 mt-1">
+                      Reference answer ({q.answerMatch || "exact"}): {q.correctAnswer}
+                    </div>
+                  )}
                   {q.type === "coding" && q.testCases.length > 0 && (
                     <div className="mt-2">
                       <p className="font-medium">Test Cases:</p>
@@ -299,7 +404,8 @@ export default function QuestForm({ quest, onSave, onCancel }) {
                   onChange={handleQuestionChange}
                   className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                 >
-                  <option value="short">Short Answer</option>
+                  <option value="short-answer">Short Answer</option>
+                  <option value="multiple-choice">Multiple Choice</option>
                   <option value="coding">Coding</option>
                 </select>
               </div>
@@ -344,11 +450,114 @@ export default function QuestForm({ quest, onSave, onCancel }) {
               ></textarea>
             </div>
 
+            {newQuestion.type === "multiple-choice" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Options
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Select the correct option. Answers are graded instantly against it.
+                </p>
+                {newQuestion.options.map((option, index) => (
+                  <div key={index} className="flex gap-2 mb-2 items-center">
+                    <input
+                      type="radio"
+                      name="correctOption"
+                      checked={newQuestion.correctOption === index}
+                      onChange={() => setNewQuestion(prev => ({ ...prev, correctOption: index }))}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                    />
+                    <input
+                      type="text"
+                      placeholder={`Option ${index + 1}`}
+                      value={option}
+                      onChange={(e) => updateOption(index, e.target.value)}
+                      className="flex-1 p-2 border rounded"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeOption(index)}
+                      disabled={newQuestion.options.length <= 2}
+                      className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                {newQuestion.options.length < 10 && (
+                  <button
+                    type="button"
+                    onClick={addOption}
+                    className="text-blue-500 hover:text-blue-700 text-sm"
+                  >
+                    + Add Option
+                  </button>
+                )}
+              </div>
+            )}
+
+            {newQuestion.type === "short-answer" && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Reference Answer (optional)
+                  </label>
+                  <input
+                    type="text"
+                    name="correctAnswer"
+                    value={newQuestion.correctAnswer}
+                    onChange={handleQuestionChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    With a reference answer, submissions are graded instantly (case-insensitive). Leave empty for AI evaluation.
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Match
+                  </label>
+                  <select
+                    name="answerMatch"
+                    value={newQuestion.answerMatch}
+                    onChange={handleQuestionChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  >
+                    <option value="exact">Exact text</option>
+                    <option value="regex">Regular expression</option>
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {newQuestion.type === "coding" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Language
+                </label>
+                <select
+                  name="language"
+                  value={newQuestion.language}
+                  onChange={handleQuestionChange}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  {Object.keys(LANGUAGE_VERSIONS).map((lang) => (
+                    <option key={lang} value={lang}>
+                      {lang}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {newQuestion.type === "coding" && (
               <div>
                 <label className="block text-sm font-medium text-gray-700">
                   Test Cases
                 </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Input is passed to the program on stdin; its stdout must match the expected output.
+                </p>
                 {newQuestion.testCases.map((testCase, index) => (
                   <div key={index} className="flex gap-2 mb-2 items-center">
                     <input
@@ -384,6 +593,10 @@ export default function QuestForm({ quest, onSave, onCancel }) {
               </div>
             )}
 
+            {questionError && (
+              <p className="text-sm text-red-600">{questionError}</p>
+            )}
+
             <button
               type="button"
               onClick={addQuestion}
@@ -1,19 +1,65 @@
 import axios from "axios";
-import { LANGUAGE_VERSIONS } from "@/app/constants";
 
-const PISTON_API = axios.create({
-  baseURL: "https://emkc.org/api/v2/piston",
+/**
+ * Browser client for code execution
+ *
+ * Code runs on the server through /api/execute, which picks the execution
+ * backend (Piston or the local runner) and enforces rate and resource limits.
+ */
+const EXECUTION_API = axios.create({
+  baseURL: "/api",
 });
 
-export const executeCode = async (language, sourceCode) => {
-  const response = await PISTON_API.post("/execute", {
-    language: language,
-    version: LANGUAGE_VERSIONS[language],
-    files: [
-      {
-        content: sourceCode,
-      },
-    ],
-  });
-  return response.data;
+/**
+ * Runs a set of files; the first one is the program's entry point
+ * @param {string} language - Language ID
+ * @param {Array<{ name?: string, content: string }>} files - Source files, entry point first
+ * @param {Object} [options] - { stdin, args, version }; the newest version is used by default
+ * @returns {Promise<Object>} Piston-shaped result
+ */
+export const executeFiles = async (language, files, options = {}) => {
+  try {
+    const response = await EXECUTION_API.post("/execute", {
+      language: language,
+      ...(options.version && { version: options.version }),
+      files,
+      stdin: options.stdin || "",
+      ...(options.args?.length && { args: options.args }),
+    });
+    return response.data.data;
+  } catch (error) {
+    // Surface the API's error message instead of axios' generic one
+    const message = error.response?.data?.error?.message;
+    throw message ? new Error(message) : error;
+  }
+};
+
+/**
+ * Runs a single source string
+ * @param {string} language - Language ID
+ * @param {string} sourceCode - Code to run
+ * @param {Object} [options] - { stdin, args, version }
+ * @returns {Promise<Object>} Piston-shaped result
+ */
+export const executeCode = (language, sourceCode, options = {}) =>
+  executeFiles(language, [{ content: sourceCode }], options);
+
+// Runtime list of this page load, shared by every language selector
+let runtimesRequest = null;
+
+/**
+ * Lists the languages and versions the execution backend can run
+ * Fetched once per page load; a failed request is retried on the next call.
+ * @returns {Promise<{ runtimes: Object[], source: string, fetchedAt: string }>}
+ */
+export const getRuntimes = () => {
+  if (!runtimesRequest) {
+    runtimesRequest = EXECUTION_API.get("/runtimes")
+      .then((response) => response.data.data)
+      .catch((error) => {
+        runtimesRequest = null;
+        throw error;
+      });
+  }
+  return runtimesRequest;
 };
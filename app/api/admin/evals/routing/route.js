@@ -0,0 +1,112 @@
+/**
+ * Admin Routing Evaluation API
+ *
+ * GET /api/admin/evals/routing - Dataset and baseline in use
+ * POST /api/admin/evals/routing - Run the routers over the labeled dataset
+ *
+ * Reports accuracy, per-agent precision and recall, a confusion matrix and
+ * the misroutes of each router, and the metrics that regressed against the
+ * baseline. Used by scripts/eval-routing.js.
+ *
+ * Protected by admin authentication.
+ */
+
+import { adminAuth } from "@/lib/middleware/adminAuth";
+import { getInitializedOrchestrator } from "@/lib/agents";
+import { ROUTING_DATASET } from "@/lib/agents/evals/routingDataset";
+import {
+  runRoutingEval,
+  findRegressions,
+  isBaselineStale,
+  toBaseline,
+} from "@/lib/agents/evals/routingEval";
+import baseline from "@/lib/agents/evals/routingBaseline.json";
+import { recordRoutingEval } from "@/lib/metrics/agentMetrics";
+import logger from "@/lib/logger";
+import { validateRequest, routingEvalSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { adminEvalLimiter } from "@/lib/ratelimit/limiters";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError } from "@/lib/errors";
+
+/**
+ * GET /api/admin/evals/routing - Dataset and baseline in use
+ */
+export const GET = adminAuth(async () => {
+  const requestId = generateRequestId();
+
+  try {
+    const cases = {};
+    for (const { expected, language, outOfScope } of ROUTING_DATASET) {
+      const group = outOfScope ? "outOfScope" : expected;
+      cases[group] ??= { en: 0, bn: 0 };
+      cases[group][language]++;
+    }
+
+    return successResponse({
+      datasetSize: ROUTING_DATASET.length,
+      cases,
+      baseline,
+    });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+});
+
+/**
+ * POST /api/admin/evals/routing - Run a routing evaluation
+ * Rate limited: 10 runs per hour
+ */
+const handlePost = adminAuth(async (req) => {
+  const requestId = generateRequestId();
+
+  try {
+    const body = await parseJsonBody(req);
+
+    const validation = validateRequest(routingEvalSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { routers } = validation.data;
+    const orchestrator = getInitializedOrchestrator();
+
+    logger.info("Routing evaluation started", { routers, requestId });
+
+    const result = await runRoutingEval({
+      routers,
+      fastRoute: (message, context) => orchestrator.fastRoute(message, context)?.agent,
+      llmRoute: async (message, context) => (await orchestrator.router.process(message, context)).agent,
+    });
+    const regressions = findRegressions(result);
+
+    recordRoutingEval(result, regressions);
+
+    logger.info("Routing evaluation finished", {
+      requestId,
+      durationMs: result.durationMs,
+      accuracy: Object.fromEntries(
+        Object.entries(result.routers).map(([router, scores]) => [router, scores.accuracy])
+      ),
+      regressions: regressions.length,
+    });
+
+    return successResponse({
+      ...result,
+      passed: regressions.length === 0,
+      regressions,
+      baselineStale: isBaselineStale(result),
+      // What routingBaseline.json becomes if these scores are accepted
+      baseline: toBaseline(result),
+    });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+});
+
+export const POST = withRateLimit(adminEvalLimiter, handlePost);
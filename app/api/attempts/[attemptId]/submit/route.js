@@ -3,7 +3,8 @@
  * 
  * POST /api/attempts/[attemptId]/submit
  * 
- * Submits answers for a quest attempt and triggers AI evaluation.
+ * Submits answers for a quest attempt and grades them (answer key, test
+ * cases or AI evaluation, depending on the question).
  */
 
 import { connect } from "@/lib/mongodb/mongoose";
@@ -76,14 +77,18 @@ async function handlePost(request, { params }) {
     const duration = Date.now() - startTime;
     events.aiEvaluationCompleted(params.attemptId, duration);
 
-    // Update attempt with answers and their individual AI evaluations
+    // Update attempt with answers, their evaluations and test case outcomes
     attempt.answers = answers.map(answer => {
       const evaluation = result.evaluations.find(e => e.questionId === answer.questionId);
       return {
         questionId: answer.questionId,
         answer: answer.answer,
         submittedAt: new Date(),
-        aiEvaluation: evaluation.evaluation
+        isCorrect: evaluation.isCorrect,
+        points: evaluation.evaluation.score,
+        aiEvaluation: evaluation.evaluation,
+        autoGraded: evaluation.autoGraded,
+        testResults: evaluation.testResults || []
       };
     });
 
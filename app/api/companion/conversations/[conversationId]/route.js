@@ -0,0 +1,131 @@
+/**
+ * Companion Conversation API
+ *
+ * GET /api/companion/conversations/[conversationId] - Open a conversation with its messages
+ * PATCH /api/companion/conversations/[conversationId] - Rename, archive or restore a conversation
+ * DELETE /api/companion/conversations/[conversationId] - Delete a conversation
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { loadConversation } from "@/lib/conversations/store";
+import { describePendingAction } from "@/lib/agents/confirmation";
+import { validateRequest, updateConversationSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { conversationLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+const getIdentifier = (req) => {
+  const { userId } = auth();
+  return getUserIdentifier(req, userId);
+};
+
+/**
+ * GET /api/companion/conversations/[conversationId] - Get a conversation
+ * A pending confirmation is described without the paused agent state.
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const conversation = await loadConversation(params.conversationId, userId);
+    const pendingAction = conversation.getPendingAction();
+
+    return successResponse({
+      ...conversation.toSummary(),
+      messages: conversation.messages.map(({ role, content, agent, language, timestamp }) => ({
+        role,
+        content,
+        agent,
+        language,
+        timestamp,
+      })),
+      pendingAction: pendingAction ? describePendingAction(pendingAction) : null,
+    });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * PATCH /api/companion/conversations/[conversationId] - Update a conversation
+ * Rate limited: 30 writes per minute per user
+ */
+async function handlePatch(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(updateConversationSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { title, archived } = validation.data;
+    const conversation = await loadConversation(params.conversationId, userId);
+
+    if (title !== undefined) conversation.title = title;
+    if (archived !== undefined) conversation.isActive = !archived;
+    await conversation.save();
+
+    logger.info("Conversation updated", {
+      conversationId: params.conversationId,
+      userId,
+      renamed: title !== undefined,
+      archived,
+      requestId,
+    });
+
+    return successResponse(conversation.toSummary());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * DELETE /api/companion/conversations/[conversationId] - Delete a conversation
+ * Rate limited: 30 writes per minute per user
+ */
+async function handleDelete(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const conversation = await loadConversation(params.conversationId, userId);
+    await conversation.deleteOne();
+
+    logger.info("Conversation deleted", {
+      conversationId: params.conversationId,
+      userId,
+      requestId,
+    });
+
+    return successResponse({ id: params.conversationId, deleted: true });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const PATCH = withRateLimit(conversationLimiter, handlePatch, { getIdentifier });
+export const DELETE = withRateLimit(conversationLimiter, handleDelete, { getIdentifier });
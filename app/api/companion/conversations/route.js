@@ -0,0 +1,36 @@
+/**
+ * Companion Conversations API
+ *
+ * GET /api/companion/conversations - List or search the user's conversations
+ */
+
+import { auth } from "@clerk/nextjs";
+import { listConversations } from "@/lib/conversations/store";
+import { validateRequest, conversationFilterSchema } from "@/lib/validation";
+import { successResponse, errorResponse, generateRequestId } from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * GET /api/companion/conversations - List conversations (without their messages)
+ * Query: search, archived (true|false), page, limit
+ */
+export async function GET(request) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const { searchParams } = new URL(request.url);
+    const validation = validateRequest(conversationFilterSchema, Object.fromEntries(searchParams));
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    return successResponse(await listConversations(userId, validation.data));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
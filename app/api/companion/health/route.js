@@ -72,7 +72,7 @@ export async function GET() {
 
     // 3. Get cache statistics
     try {
-      health.cache = getCacheStats();
+      health.cache = await getCacheStats();
     } catch (error) {
       health.cache = { status: 'error', error: error.message };
     }
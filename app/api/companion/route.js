@@ -5,17 +5,37 @@
  *
  * Unified endpoint for the multi-agent AI companion system.
  * Routes messages through the agent orchestrator.
- * Supports both standard and streaming (SSE) responses.
+ * Supports both standard and streaming (SSE) responses; streaming responses
+ * forward model tokens and tool calls as the agent produces them.
+ *
+ * Risky tool calls (deleting a task, creating a roadmap) wait for the user:
+ * the response carries a `confirmation` ({ actionId, agent, preview, toolCalls,
+ * expiresAt }) and the action is stored on the conversation. The next request
+ * answers it with `confirmation: { actionId, approved }` or a chat reply such
+ * as "yes" or "no" (see lib/agents/confirmation).
+ *
+ * New conversations are titled after their first exchange. Conversations are
+ * listed, searched, renamed, archived and deleted through
+ * /api/companion/conversations.
  */
 
 import { auth } from "@clerk/nextjs";
 import { connect } from "@/lib/mongodb/mongoose";
 import Conversation from "@/lib/models/conversationModel";
 import { getInitializedOrchestrator } from "@/lib/agents";
+import { loadConversation, listConversations } from "@/lib/conversations/store";
+import { needsTitle, generateTitle } from "@/lib/conversations/titles";
+import { RECENT_MESSAGES, needsSummary, updateSummary } from "@/lib/conversations/summary";
+import {
+  takeConfirmation,
+  createPendingAction,
+  describePendingAction,
+  confirmationReplyText,
+} from "@/lib/agents/confirmation";
 import { buildUserContext, formatContextForAgent } from "@/lib/context/userContext";
 import logger from "@/lib/logger";
 import { withRateLimit } from "@/lib/ratelimit/middleware";
-import { aiLimiter } from "@/lib/ratelimit/limiters";
+import { aiUsageLimiter } from "@/lib/ratelimit/limiters";
 import { getUserIdentifier } from "@/lib/ratelimit";
 import {
   successResponse,
@@ -38,6 +58,38 @@ function createSSEEncoder() {
   };
 }
 
+/**
+ * Generate the title of a new conversation and fold older messages into its
+ * summary, saving them. Runs after a streamed response has been sent, so a
+ * failure is only logged.
+ *
+ * @param {Object} conversation - Saved conversation document
+ * @param {string} responseContent - Assistant reply of this turn
+ * @param {Function} onTitle - Called with the new title, if one was generated
+ * @param {string} requestId - Request ID for logging
+ */
+async function finishConversation(conversation, responseContent, onTitle, requestId) {
+  try {
+    let title = null;
+    if (needsTitle(conversation)) {
+      title = await generateTitle(conversation.messages[0].content, responseContent);
+      conversation.title = title;
+    }
+    // Older messages leaving the history window are folded into the summary
+    if (needsSummary(conversation)) {
+      await updateSummary(conversation);
+    }
+    if (conversation.isModified()) {
+      await conversation.save();
+    }
+    if (title) {
+      onTitle(title);
+    }
+  } catch (error) {
+    logger.warn("Failed to update conversation title or summary", { error: error.message, requestId });
+  }
+}
+
 /**
  * Parse tool results for actions (navigate, render_roadmap)
  */
@@ -89,15 +141,63 @@ function parseToolResultsForActions(response) {
 }
 
 /**
- * POST /api/companion - Send message to AI companion (streaming)
+ * Parse a tool's JSON result string
+ * @param {string} result - Raw tool output
+ * @returns {Object|null} Parsed result, or null if it isn't JSON
  */
-async function handleStreamingPost(request, userId, requestId) {
-  const body = await parseJsonBody(request);
-  const { message, conversationId, language = "en", context = {} } = body;
+function parseToolResult(result) {
+  if (typeof result !== "string") return null;
+
+  try {
+    const parsed = JSON.parse(result);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the message and confirmation fields of a request body
+ * A confirmation answer may come without a message.
+ */
+function validateMessageBody({ message, confirmation }) {
+  if (confirmation !== undefined) {
+    if (
+      !confirmation ||
+      typeof confirmation.actionId !== "string" ||
+      typeof confirmation.approved !== "boolean"
+    ) {
+      throw new ValidationError("Confirmation needs an actionId and approved (true or false)");
+    }
+    if (!message) return;
+  }
 
   if (!message || typeof message !== "string") {
     throw new ValidationError("Message is required");
   }
+}
+
+/**
+ * POST /api/companion - Send message to AI companion (streaming)
+ *
+ * SSE events:
+ * - status: progress updates before the agent starts
+ * - agent_start: routing decision ({ agent, confidence, reasoning })
+ * - content_delta: model tokens as they are generated ({ content, index })
+ * - tool_call: tool lifecycle ({ toolCallId, toolName, step, status, args | result | error, durationMs });
+ *   status is "started", "completed", "failed" or "cancelled" (the user declined it)
+ * - confirmation_required: the agent is waiting for the user to approve risky
+ *   tool calls ({ actionId, agent, preview, toolCalls, expiresAt })
+ * - done: final content, actions, tool step trace, pending confirmation and conversation ID
+ * - title: title generated for a new conversation ({ conversationId, title });
+ *   sent after done, before the stream closes
+ * - error: processing failed
+ */
+async function handleStreamingPost(request, userId, requestId) {
+  const body = await parseJsonBody(request);
+  const { message, conversationId, language = "en", context = {}, confirmation } = body;
+
+  validateMessageBody({ message, confirmation });
 
   const encoder = createSSEEncoder();
   
@@ -138,7 +238,7 @@ async function handleStreamingPost(request, userId, requestId) {
           });
         }
 
-        const history = conversation?.getRecentMessages(10) || [];
+        const history = conversation?.getContextMessages(RECENT_MESSAGES) || [];
 
         // Build agent context
         const agentContext = {
@@ -154,34 +254,87 @@ async function handleStreamingPost(request, userId, requestId) {
           contextSummary: formatContextForAgent(userContext),
           currentRoadmap: userContext.roadmaps.currentRoadmap,
           currentQuest: userContext.quests.currentQuest,
+          // Lets follow-ups stay with the agent that answered last
+          activeAgent: conversation.messages.length > 0 ? conversation.activeAgent : null,
           ...context,
         };
 
+        // An answer to a pending confirmation resumes the paused agent
+        const answer = await takeConfirmation(conversation, { message, confirmation });
+
         // Send routing event
         controller.enqueue(encoder.encode("status", { 
           type: "routing",
-          message: "Determining best agent...",
+          message: answer ? "Continuing the pending action..." : "Determining best agent...",
         }));
 
-        // Process through orchestrator
+        // Stream events from the orchestrator as the agent produces them
         const orchestrator = getInitializedOrchestrator();
-        const result = await orchestrator.processMessage(message, agentContext);
-
-        // Send agent_start event
-        controller.enqueue(encoder.encode("agent_start", { 
-          agent: result.routedTo,
-          confidence: result.routing?.confidence,
-          reasoning: result.routing?.reasoning,
-        }));
-
-        // Parse any actions from tool results
-        const actions = parseToolResultsForActions(result.response);
-        
-        // Send tool_call events for any actions
-        for (const action of actions) {
-          controller.enqueue(encoder.encode("tool_call", action));
+        const events = answer
+          ? orchestrator.streamResume(answer.pendingAction, answer.approved, agentContext)
+          : orchestrator.streamMessage(message, agentContext);
+        const streamedActions = [];
+        let result = null;
+        let streamedLength = 0;
+
+        for await (const event of events) {
+          switch (event.type) {
+            case "routing":
+              controller.enqueue(encoder.encode("agent_start", { 
+                agent: event.agent,
+                confidence: event.confidence,
+                reasoning: event.reasoning,
+              }));
+              break;
+
+            case "token":
+              controller.enqueue(encoder.encode("content_delta", { 
+                content: event.content,
+                index: streamedLength,
+              }));
+              streamedLength += event.content.length;
+              break;
+
+            case "tool_start":
+              controller.enqueue(encoder.encode("tool_call", {
+                toolCallId: event.toolCallId,
+                toolName: event.toolName,
+                step: event.step,
+                status: "started",
+                args: event.args,
+              }));
+              break;
+
+            case "tool_end": {
+              const toolResult = parseToolResult(event.result);
+              if (toolResult?.action) {
+                streamedActions.push(toolResult);
+              }
+              controller.enqueue(encoder.encode("tool_call", {
+                toolCallId: event.toolCallId,
+                toolName: event.toolName,
+                step: event.step,
+                status: event.cancelled ? "cancelled" : event.success ? "completed" : "failed",
+                result: toolResult,
+                error: event.error,
+                timedOut: event.timedOut,
+                durationMs: event.durationMs,
+              }));
+              break;
+            }
+
+            case "result":
+              result = event.result;
+              break;
+          }
         }
 
+        // Actions come from tool results, plus any embedded in the reply text
+        const actions = [
+          ...streamedActions,
+          ...parseToolResultsForActions(result.response),
+        ];
+
         // Get response content
         let responseContent = "";
         if (result?.response?.content) {
@@ -194,23 +347,19 @@ async function handleStreamingPost(request, userId, requestId) {
             : "Your request has been processed.";
         }
 
-        // Stream content in chunks for better UX
-        const chunkSize = 100;
-        for (let i = 0; i < responseContent.length; i += chunkSize) {
-          const chunk = responseContent.slice(i, i + chunkSize);
-          controller.enqueue(encoder.encode("content_delta", { 
-            content: chunk,
-            index: i,
-          }));
-          // Small delay for smooth streaming
-          await new Promise(resolve => setTimeout(resolve, 5));
+        // A paused response waits on the conversation for the user's answer
+        let pendingConfirmation;
+        if (result.response?.pendingAction) {
+          const pendingAction = createPendingAction(result, language);
+          conversation.pendingAction = pendingAction;
+          pendingConfirmation = describePendingAction(pendingAction);
         }
 
         // Save conversation
         if (conversation) {
           conversation.messages.push({
             role: "user",
-            content: message,
+            content: message?.trim() || confirmationReplyText(answer?.approved, language),
             language,
             timestamp: new Date(),
           });
@@ -224,17 +373,39 @@ async function handleStreamingPost(request, userId, requestId) {
           });
 
           conversation.activeAgent = result.routedTo;
+          // Writing in an archived conversation brings it back
+          conversation.isActive = true;
           await conversation.save();
         }
 
-        // Send done event
+        if (pendingConfirmation) {
+          controller.enqueue(encoder.encode("confirmation_required", pendingConfirmation));
+        }
+
+        // Send done event with the final content; text streamed before a tool
+        // call isn't part of the final answer, so clients should prefer this
         controller.enqueue(encoder.encode("done", { 
           agent: result.routedTo,
           conversationId: conversation?._id?.toString(),
+          title: conversation?.title,
           actions: actions.length > 0 ? actions : undefined,
+          trace: result.response?.trace,
+          confirmation: pendingConfirmation,
+          content: responseContent,
           totalLength: responseContent.length,
         }));
 
+        // Title and summary take model calls of their own, so they come after
+        // done instead of keeping the client waiting for the end of the stream
+        if (conversation) {
+          await finishConversation(conversation, responseContent, (title) => {
+            controller.enqueue(encoder.encode("title", {
+              conversationId: conversation._id.toString(),
+              title,
+            }));
+          }, requestId);
+        }
+
         controller.close();
       } catch (error) {
         logger.error("Streaming error", { error: error.message, requestId });
@@ -261,17 +432,16 @@ async function handleStreamingPost(request, userId, requestId) {
  */
 async function handleStandardPost(request, userId, requestId) {
   const body = await parseJsonBody(request);
-  const { message, conversationId, language = "en", context = {} } = body;
+  const { message, conversationId, language = "en", context = {}, confirmation } = body;
 
-  if (!message || typeof message !== "string") {
-    throw new ValidationError("Message is required");
-  }
+  validateMessageBody({ message, confirmation });
 
   logger.debug("AI Companion request started", {
     userId,
     conversationId,
     language,
-    messageLength: message.length,
+    // A confirmation answer may come without a message
+    messageLength: message?.length || 0,
     requestId,
   });
 
@@ -304,7 +474,10 @@ async function handleStandardPost(request, userId, requestId) {
     });
   }
 
-  const history = conversation?.getRecentMessages(10) || [];
+  const history = conversation?.getContextMessages(RECENT_MESSAGES) || [];
+
+  // An answer to a pending confirmation resumes the paused agent
+  const answer = await takeConfirmation(conversation, { message, confirmation });
 
   // Build agent context
   const agentContext = {
@@ -320,20 +493,32 @@ async function handleStandardPost(request, userId, requestId) {
     contextSummary: formatContextForAgent(userContext),
     currentRoadmap: userContext.roadmaps.currentRoadmap,
     currentQuest: userContext.quests.currentQuest,
+    // Lets follow-ups stay with the agent that answered last
+    activeAgent: conversation.messages.length > 0 ? conversation.activeAgent : null,
     ...context,
   };
 
   const orchestrator = getInitializedOrchestrator();
-  const result = await orchestrator.processMessage(message, agentContext);
+  const result = answer
+    ? await orchestrator.resumeAction(answer.pendingAction, answer.approved, agentContext)
+    : await orchestrator.processMessage(message, agentContext);
 
   // Parse actions from tool results
   const actions = parseToolResultsForActions(result.response);
 
+  // A paused response waits on the conversation for the user's answer
+  let pendingConfirmation;
+  if (result.response?.pendingAction && conversation) {
+    const pendingAction = createPendingAction(result, language);
+    conversation.pendingAction = pendingAction;
+    pendingConfirmation = describePendingAction(pendingAction);
+  }
+
   // Save conversation
   if (conversation) {
     conversation.messages.push({
       role: "user",
-      content: message,
+      content: message?.trim() || confirmationReplyText(answer?.approved, language),
       language,
       timestamp: new Date(),
     });
@@ -358,6 +543,15 @@ async function handleStandardPost(request, userId, requestId) {
     });
 
     conversation.activeAgent = result.routedTo;
+    // Writing in an archived conversation brings it back
+    conversation.isActive = true;
+    if (needsTitle(conversation)) {
+      conversation.title = await generateTitle(conversation.messages[0].content, responseContent);
+    }
+    // Older messages leaving the history window are folded into the summary
+    if (needsSummary(conversation)) {
+      await updateSummary(conversation);
+    }
     await conversation.save();
   }
 
@@ -366,6 +560,7 @@ async function handleStandardPost(request, userId, requestId) {
     agent: result.routedTo,
     confidence: result.routing?.confidence,
     hasActions: actions.length > 0,
+    awaitingConfirmation: Boolean(pendingConfirmation),
     requestId,
   });
 
@@ -374,7 +569,10 @@ async function handleStandardPost(request, userId, requestId) {
     agent: result.routedTo,
     routing: result.routing,
     conversationId: conversation?._id,
+    title: conversation?.title,
     actions: actions.length > 0 ? actions : undefined,
+    trace: result.response?.trace,
+    confirmation: pendingConfirmation,
   });
 }
 
@@ -406,10 +604,11 @@ async function handlePost(request) {
       request.headers.get("Accept") === "text/event-stream" ||
       url.searchParams.get("stream") === "true";
 
+    // Awaited so validation and confirmation errors are answered by the catch below
     if (streamRequested) {
-      return handleStreamingPost(request.clone(), userId, requestId);
+      return await handleStreamingPost(request.clone(), userId, requestId);
     } else {
-      return handleStandardPost(request, userId, requestId);
+      return await handleStandardPost(request, userId, requestId);
     }
   } catch (error) {
     logger.error("AI Companion error", {
@@ -423,6 +622,8 @@ async function handlePost(request) {
 
 /**
  * GET /api/companion - Get conversation history
+ * The 20 most recent active conversations, or one conversation with
+ * `?conversationId=`; see /api/companion/conversations for search and paging.
  */
 async function handleGet(request) {
   const requestId = generateRequestId();
@@ -442,40 +643,21 @@ async function handleGet(request) {
     const { searchParams } = new URL(request.url);
     const conversationId = searchParams.get("conversationId");
 
-    await connect();
-
     if (conversationId) {
-      const conversation = await Conversation.findOne({
-        _id: conversationId,
-        clerkId: userId,
+      const conversation = await loadConversation(conversationId, userId);
+
+      // The paused agent state stays on the server
+      const pendingAction = conversation.getPendingAction();
+      return successResponse({
+        conversation: {
+          ...conversation.toObject(),
+          pendingAction: pendingAction ? describePendingAction(pendingAction) : null,
+        },
       });
-
-      if (!conversation) {
-        return errorResponse(
-          { message: "Conversation not found" },
-          requestId,
-          404
-        );
-      }
-
-      return successResponse({ conversation });
     }
 
-    const conversations = await Conversation.find({ clerkId: userId })
-      .sort({ updatedAt: -1 })
-      .limit(20)
-      .select("_id title activeAgent updatedAt messages");
-
-    return successResponse({
-      conversations: conversations.map((c) => ({
-        id: c._id,
-        title: c.title,
-        activeAgent: c.activeAgent,
-        updatedAt: c.updatedAt,
-        messageCount: c.messages.length,
-        lastMessage: c.messages[c.messages.length - 1]?.content?.substring(0, 100),
-      })),
-    });
+    const { conversations } = await listConversations(userId, { limit: 20 });
+    return successResponse({ conversations });
   } catch (error) {
     logger.error("AI Companion GET error", { error: error.message, requestId });
     return errorResponse(error, requestId);
@@ -483,7 +665,7 @@ async function handleGet(request) {
 }
 
 // Export with rate limiting
-export const POST = withRateLimit(aiLimiter, handlePost, {
+export const POST = withRateLimit(aiUsageLimiter, handlePost, {
   getIdentifier: async (req) => {
     const authResult = await auth();
     return getUserIdentifier(req, authResult?.userId);
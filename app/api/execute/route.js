@@ -0,0 +1,70 @@
+/**
+ * Code Execution API
+ *
+ * POST /api/execute
+ *
+ * Runs user code on the configured execution backend (see lib/execution)
+ * with time, memory and output limits applied.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { runCode } from "@/lib/execution";
+import { validateRequest, executeCodeSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { executionLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * POST /api/execute - Execute code
+ * Rate limited: 20 executions per minute per user
+ */
+async function handlePost(request) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+
+    const validation = validateRequest(executeCodeSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { language, version, files, stdin, args } = validation.data;
+
+    const result = await runCode({ language, version, files, stdin, args });
+
+    logger.info("Code execution completed", {
+      userId,
+      language,
+      exitCode: result.run.code,
+      duration: result.duration,
+      truncated: result.run.truncated,
+      requestId,
+    });
+
+    return successResponse(result);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+// Export with rate limiting (20 executions per minute, user-based)
+export const POST = withRateLimit(executionLimiter, handlePost, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
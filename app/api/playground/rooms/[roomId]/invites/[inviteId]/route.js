@@ -0,0 +1,53 @@
+/**
+ * Playground Room Invite API
+ *
+ * DELETE /api/playground/rooms/[roomId]/invites/[inviteId] - Revoke an invite (owner only)
+ *
+ * Members who already joined through the invite keep their access.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { updateRoom, requireRole } from "@/lib/collab/rooms";
+import { isValidMongoId } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, NotFoundError } from "@/lib/errors";
+
+/**
+ * DELETE /api/playground/rooms/[roomId]/invites/[inviteId] - Revoke an invite
+ */
+export async function DELETE(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    if (!isValidMongoId(params.inviteId)) {
+      throw new ValidationError("Invalid invite ID format");
+    }
+
+    await updateRoom(params.roomId, (current) => {
+      requireRole(current, userId, "owner");
+      if (!current.revokeInvite(params.inviteId)) {
+        throw new NotFoundError("Invite", params.inviteId);
+      }
+    });
+
+    logger.info("Room invite revoked", {
+      roomId: params.roomId,
+      inviteId: params.inviteId,
+      requestId,
+    });
+
+    return successResponse({ message: "Invite revoked" });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Playground Room Invites API
+ *
+ * GET /api/playground/rooms/[roomId]/invites - List invites that can still be used
+ * POST /api/playground/rooms/[roomId]/invites - Create an invite link
+ *
+ * Owner only. An invite grants the editor or viewer role and expires after
+ * `expiresInHours`; `maxUses` optionally limits how many people can use it.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { loadRoomForMember, updateRoom, requireRole } from "@/lib/collab/rooms";
+import { validateRequest, createInviteSchema } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * GET /api/playground/rooms/[roomId]/invites - List active invites
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId, "owner");
+    return successResponse(room.getActiveInvites());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * POST /api/playground/rooms/[roomId]/invites - Create an invite
+ */
+export async function POST(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(createInviteSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { role, expiresInHours, maxUses } = validation.data;
+    const { room, result: invite } = await updateRoom(params.roomId, (current) => {
+      requireRole(current, userId, "owner");
+      return current.createInvite({
+        role,
+        expiresInMs: expiresInHours * HOUR,
+        maxUses,
+        createdBy: userId,
+      });
+    });
+
+    logger.info("Room invite created", {
+      roomId: room.roomId,
+      role,
+      expiresAt: invite.expiresAt,
+      requestId,
+    });
+
+    return successResponse(
+      room.getActiveInvites().find((active) => active.id === invite._id.toString()),
+      201
+    );
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
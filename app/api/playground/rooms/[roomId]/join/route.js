@@ -0,0 +1,73 @@
+/**
+ * Playground Room Join API
+ *
+ * POST /api/playground/rooms/[roomId]/join - Join a room, creating it if it doesn't exist
+ *
+ * Rooms are private. Whoever opens a new room owns it; existing members can
+ * rejoin freely; everyone else needs a valid invite token. Responds with the
+ * room (see PlaygroundRoom#toClientObject), including the caller's role.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { updateRoom } from "@/lib/collab/rooms";
+import { validateRequest, joinRoomSchema } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, AuthorizationError } from "@/lib/errors";
+
+/**
+ * POST /api/playground/rooms/[roomId]/join - Join a room
+ */
+export async function POST(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(joinRoomSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { invite, language, username } = validation.data;
+    const { room, result: joinedBy } = await updateRoom(
+      params.roomId,
+      (current) => {
+        if (current.getRole(userId)) {
+          current.markMemberOnline(userId, username);
+          return "membership";
+        }
+        if (!invite) {
+          throw new AuthorizationError("This room is private. Ask its owner for an invite link.");
+        }
+        if (!current.redeemInvite(invite, userId, username)) {
+          throw new AuthorizationError("This invite link is invalid or has expired");
+        }
+        current.markMemberOnline(userId, username);
+        return "invite";
+      },
+      { create: true, owner: userId, username, language }
+    );
+
+    logger.info("Member joined room", {
+      roomId: room.roomId,
+      userId,
+      role: room.getRole(userId),
+      joinedBy,
+      requestId,
+    });
+
+    return successResponse(room.toClientObject(userId));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Playground Room Member API
+ *
+ * PATCH /api/playground/rooms/[roomId]/members/[userId] - Change a member's role
+ * DELETE /api/playground/rooms/[roomId]/members/[userId] - Remove (kick) a member
+ *
+ * Owner only. The owner's own role can't be changed and the owner can't be
+ * removed. The room is told about the change, so the member's editor turns
+ * read-only or closes right away.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { updateRoom, requireRole, notifyAccessChanged } from "@/lib/collab/rooms";
+import { validateRequest, updateMemberRoleSchema } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, NotFoundError } from "@/lib/errors";
+
+/**
+ * PATCH /api/playground/rooms/[roomId]/members/[userId] - Change a member's role
+ */
+export async function PATCH(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(updateMemberRoleSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { role } = validation.data;
+    await updateRoom(params.roomId, (current) => {
+      requireRole(current, userId, "owner");
+      if (params.userId === current.owner) {
+        throw new ValidationError("The owner's role can't be changed");
+      }
+      if (!current.setMemberRole(params.userId, role)) {
+        throw new NotFoundError("Member", params.userId);
+      }
+    });
+    await notifyAccessChanged(params.roomId, params.userId, role);
+
+    logger.info("Room member role changed", {
+      roomId: params.roomId,
+      memberId: params.userId,
+      role,
+      requestId,
+    });
+
+    return successResponse({ userId: params.userId, role });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * DELETE /api/playground/rooms/[roomId]/members/[userId] - Remove a member
+ * They can only come back through an invite created after the removal.
+ */
+export async function DELETE(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    await updateRoom(params.roomId, (current) => {
+      requireRole(current, userId, "owner");
+      if (params.userId === current.owner) {
+        throw new ValidationError("The owner can't be removed from the room");
+      }
+      if (!current.removeMember(params.userId, userId)) {
+        throw new NotFoundError("Member", params.userId);
+      }
+    });
+    await notifyAccessChanged(params.roomId, params.userId, null);
+
+    logger.info("Room member removed", {
+      roomId: params.roomId,
+      memberId: params.userId,
+      requestId,
+    });
+
+    return successResponse({ userId: params.userId, role: null });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
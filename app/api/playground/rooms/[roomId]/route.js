@@ -0,0 +1,108 @@
+/**
+ * Playground Room API
+ *
+ * GET /api/playground/rooms/[roomId] - Load a room's saved document, members and snapshots
+ * PUT /api/playground/rooms/[roomId] - Save the room's document
+ *
+ * Saves are merged into the stored document (see lib/collab/document), so
+ * every member can autosave without overwriting the others. A snapshot is
+ * taken automatically when the code has changed since the last one and it
+ * is old enough.
+ *
+ * Members can load the room; only editors and the owner can save it. Rooms
+ * are created by joining them (see ./join).
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { loadRoomForMember, updateRoom, requireRole } from "@/lib/collab/rooms";
+import { validateRequest, saveRoomDocumentSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { playgroundSaveLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * GET /api/playground/rooms/[roomId] - Load a room
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId);
+    return successResponse(room.toClientObject(userId));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * PUT /api/playground/rooms/[roomId] - Save the room's document
+ * Rate limited: 30 saves per minute per user
+ */
+async function handlePut(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(saveRoomDocumentSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { room, result: snapshot } = await updateRoom(
+      params.roomId,
+      (current) => {
+        requireRole(current, userId, "editor");
+
+        let merged;
+        try {
+          merged = current.mergeDocument(validation.data.state, userId);
+        } catch {
+          throw new ValidationError("Document state is not a valid update");
+        }
+        return merged ? current.autoSnapshot(userId) : null;
+      }
+    );
+
+    logger.debug("Playground room saved", {
+      roomId: room.roomId,
+      userId,
+      files: room.document.files.length,
+      snapshot: Boolean(snapshot),
+      requestId,
+    });
+
+    return successResponse({
+      roomId: room.roomId,
+      language: room.language,
+      updatedAt: room.document.updatedAt,
+      snapshot: snapshot ? room.getSnapshotSummaries()[0] : null,
+    });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const PUT = withRateLimit(playgroundSaveLimiter, handlePut, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
@@ -0,0 +1,45 @@
+/**
+ * Playground Room Run API
+ *
+ * GET /api/playground/rooms/[roomId]/runs/[runId] - Get a run with its code and output
+ *
+ * Available to every member of the room.
+ */
+
+import { auth } from "@clerk/nextjs";
+import { loadRoomForMember } from "@/lib/collab/rooms";
+import { isValidMongoId } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, NotFoundError } from "@/lib/errors";
+
+/**
+ * GET /api/playground/rooms/[roomId]/runs/[runId] - Get a run
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    if (!isValidMongoId(params.runId)) {
+      throw new ValidationError("Invalid run ID format");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId);
+    const run = room.runs.id(params.runId);
+    if (!run) {
+      throw new NotFoundError("Run", params.runId);
+    }
+
+    return successResponse(room.toRunObject(run, { full: true }));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Playground Room Runs API
+ *
+ * GET /api/playground/rooms/[roomId]/runs - List the room's runs (newest first, without output)
+ * POST /api/playground/rooms/[roomId]/runs - Run the shared code for everyone in the room
+ *
+ * A run is announced to the room when it starts (`run-started`) and when it
+ * finishes (`run-finished`, with the run's summary), so every member shows the
+ * same output. Members can list runs; only editors and the owner can run code.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { runCode } from "@/lib/execution";
+import { loadRoomForMember, updateRoom, broadcastToRoom } from "@/lib/collab/rooms";
+import { ROOM_EVENTS } from "@/lib/collab/transports";
+import { validateRequest, runRoomCodeSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { executionLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * Flattens an execution result into the fields stored for a run
+ * A failed compile is reported as the run's stderr and exit code.
+ *
+ * @param {Object} result - Result of runCode
+ * @returns {Object} stdout, stderr, exitCode, signal, duration and truncated
+ */
+function toRunOutput(result) {
+  const { run, compile, duration } = result;
+  const compileFailed = compile && compile.code !== 0;
+
+  return {
+    stdout: run.stdout || "",
+    stderr: [compileFailed ? compile.stderr || compile.output : "", run.stderr || ""]
+      .filter(Boolean)
+      .join("\n"),
+    exitCode: compileFailed ? compile.code : run.code ?? null,
+    signal: (compileFailed ? compile.signal : run.signal) || null,
+    duration,
+    truncated: Boolean(run.truncated || compile?.truncated),
+  };
+}
+
+/**
+ * GET /api/playground/rooms/[roomId]/runs - List runs
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId);
+    return successResponse(room.getRunSummaries());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * POST /api/playground/rooms/[roomId]/runs - Run the room's code
+ * The client sends the project it shows, which may be ahead of the last
+ * autosave; the files are kept with the run so members can see exactly what
+ * produced it.
+ * Rate limited: 20 executions per minute per user (shared with /api/execute)
+ */
+async function handlePost(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(runRoomCodeSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { language, version, files, stdin } = validation.data;
+    const room = await loadRoomForMember(params.roomId, userId, "editor");
+    const username = room.members.find((member) => member.userId === userId)?.username || null;
+
+    await broadcastToRoom(room.roomId, ROOM_EVENTS.RUN_STARTED, { userId, username, language });
+
+    let result;
+    try {
+      result = await runCode({ language, version, files, stdin });
+    } catch (runError) {
+      // Clear the "running" state of the other members before reporting the error
+      await broadcastToRoom(room.roomId, ROOM_EVENTS.RUN_FINISHED, {
+        userId,
+        username,
+        error: "The code could not be run",
+      });
+      throw runError;
+    }
+
+    const { room: updated, result: run } = await updateRoom(room.roomId, (current) =>
+      current.addRun({
+        runBy: userId,
+        runByName: username,
+        language,
+        version: result.version || version || null,
+        files,
+        stdin: stdin || "",
+        ...toRunOutput(result),
+      })
+    );
+
+    // Members fetch the output themselves; Pusher messages are limited to 10KB
+    await broadcastToRoom(room.roomId, ROOM_EVENTS.RUN_FINISHED, updated.toRunObject(run));
+
+    logger.info("Playground room code run", {
+      roomId: room.roomId,
+      userId,
+      language,
+      exitCode: run.exitCode,
+      duration: run.duration,
+      requestId,
+    });
+
+    return successResponse(updated.toRunObject(run, { full: true }), 201);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const POST = withRateLimit(executionLimiter, handlePost, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
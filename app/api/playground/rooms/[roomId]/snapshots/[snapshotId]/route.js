@@ -0,0 +1,57 @@
+/**
+ * Playground Room Snapshot API
+ *
+ * GET /api/playground/rooms/[roomId]/snapshots/[snapshotId] - Get a snapshot with its files
+ *
+ * Available to every member of the room.
+ */
+
+import { auth } from "@clerk/nextjs";
+import { loadRoomForMember } from "@/lib/collab/rooms";
+import { projectFiles } from "@/lib/models/playgroundRoomModel";
+import { isValidMongoId } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, NotFoundError } from "@/lib/errors";
+
+/**
+ * GET /api/playground/rooms/[roomId]/snapshots/[snapshotId] - Get a snapshot
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    if (!isValidMongoId(params.snapshotId)) {
+      throw new ValidationError("Invalid snapshot ID format");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId);
+    const snapshot = room.snapshots.id(params.snapshotId);
+    if (!snapshot) {
+      throw new NotFoundError("Snapshot", params.snapshotId);
+    }
+
+    const files = projectFiles(snapshot, snapshot.language);
+    return successResponse({
+      id: snapshot._id.toString(),
+      label: snapshot.label,
+      language: snapshot.language,
+      auto: snapshot.auto,
+      createdBy: snapshot.createdBy,
+      createdAt: snapshot.createdAt,
+      text: snapshot.text,
+      files,
+      entry: snapshot.entry || files[0].name,
+    });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
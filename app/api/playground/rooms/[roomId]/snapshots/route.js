@@ -0,0 +1,88 @@
+/**
+ * Playground Room Snapshots API
+ *
+ * GET /api/playground/rooms/[roomId]/snapshots - List snapshots (newest first, without code)
+ * POST /api/playground/rooms/[roomId]/snapshots - Save a named version of the code
+ *
+ * Members can list snapshots; only editors and the owner can save them.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { loadRoomForMember, updateRoom, requireRole } from "@/lib/collab/rooms";
+import { validateRequest, createSnapshotSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { playgroundSaveLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * GET /api/playground/rooms/[roomId]/snapshots - List snapshots
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const room = await loadRoomForMember(params.roomId, userId);
+    return successResponse(room.getSnapshotSummaries());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * POST /api/playground/rooms/[roomId]/snapshots - Save a version
+ * The client sends the project it shows, which may be ahead of the last autosave.
+ * Rate limited: 30 saves per minute per user
+ */
+async function handlePost(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(createSnapshotSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { text, files, entry, language, label } = validation.data;
+    const { room } = await updateRoom(params.roomId, (current) => {
+      requireRole(current, userId, "editor");
+      current.addSnapshot({ text, files, entry, language, label, createdBy: userId });
+    });
+
+    logger.info("Playground snapshot saved", {
+      roomId: room.roomId,
+      userId,
+      label,
+      requestId,
+    });
+
+    return successResponse(room.getSnapshotSummaries()[0], 201);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const POST = withRateLimit(playgroundSaveLimiter, handlePost, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
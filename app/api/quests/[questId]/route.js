@@ -49,7 +49,7 @@ export async function GET(request, { params }) {
       requestId
     });
 
-    return successResponse(quest.toObject());
+    return successResponse(quest.toPublicObject());
     
   } catch (error) {
     return errorResponse(error, requestId);
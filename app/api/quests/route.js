@@ -32,7 +32,7 @@ export async function GET() {
 
     logger.debug("Public quests fetched", { count: quests.length, requestId });
     
-    return successResponse(quests.map(q => q.toObject()));
+    return successResponse(quests.map(q => q.toPublicObject()));
     
   } catch (error) {
     return errorResponse(error, requestId);
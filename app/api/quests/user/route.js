@@ -55,7 +55,7 @@ export async function GET() {
 
       if (isCompleted) {
         completed.push({
-          ...quest.toObject(),
+          ...quest.toPublicObject(),
           attempts: questAttempts,
         });
         // Add to recent if completed in last 7 days
@@ -72,7 +72,7 @@ export async function GET() {
         }
       } else if (startTime <= now && endTime >= now) {
         active.push({
-          ...quest.toObject(),
+          ...quest.toPublicObject(),
           attempts: questAttempts,
         });
       }
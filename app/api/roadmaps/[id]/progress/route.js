@@ -0,0 +1,152 @@
+/**
+ * Roadmap Progress API
+ *
+ * GET /api/roadmaps/[id]/progress - Get step completion progress
+ * PUT /api/roadmaps/[id]/progress - Replace the set of completed steps
+ * PATCH /api/roadmaps/[id]/progress - Mark a single step completed or not
+ *
+ * Only the roadmap's author can read or change its progress.
+ */
+
+import { auth } from "@clerk/nextjs";
+import { connect } from "@/lib/mongodb/mongoose";
+import Roadmap from "@/lib/models/roadmapModel";
+import User from "@/lib/models/userModel";
+import logger, { logDatabase } from "@/lib/logger";
+import {
+  validateRequest,
+  isValidMongoId,
+  roadmapProgressSchema,
+  roadmapStepProgressSchema,
+} from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+} from "@/lib/errors";
+
+/**
+ * Loads a roadmap and verifies the signed-in user authored it
+ *
+ * @param {string} roadmapId - Roadmap ID from the URL
+ * @returns {Promise<Object>} Roadmap document
+ * @throws {AuthenticationError|ValidationError|NotFoundError|AuthorizationError}
+ */
+async function findOwnedRoadmap(roadmapId) {
+  const { userId } = auth();
+  if (!userId) {
+    throw new AuthenticationError("Authentication required");
+  }
+
+  if (!isValidMongoId(roadmapId)) {
+    throw new ValidationError("Invalid roadmap ID format");
+  }
+
+  await connect();
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) {
+    throw new NotFoundError("User");
+  }
+
+  logDatabase("findById", "Roadmap", { roadmapId, operation: "progress" });
+  const roadmap = await Roadmap.findById(roadmapId);
+  if (!roadmap) {
+    throw new NotFoundError("Roadmap", roadmapId);
+  }
+
+  if (roadmap.author !== user.userName) {
+    throw new AuthorizationError("You can only track progress on your own roadmaps");
+  }
+
+  return roadmap;
+}
+
+/**
+ * GET /api/roadmaps/[id]/progress - Get roadmap progress
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const roadmap = await findOwnedRoadmap(params.id);
+    return successResponse(roadmap.getProgressSummary());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * PUT /api/roadmaps/[id]/progress - Replace completed steps
+ * Used to reset progress and to migrate progress kept in localStorage
+ */
+export async function PUT(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const roadmap = await findOwnedRoadmap(params.id);
+    const body = await parseJsonBody(request);
+
+    const validation = validateRequest(roadmapProgressSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    await roadmap.setCompletedSteps(validation.data.completedSteps);
+
+    logger.info("Roadmap progress replaced", {
+      roadmapId: params.id,
+      completedCount: roadmap.completedSteps.length,
+      progress: roadmap.progress,
+      requestId,
+    });
+
+    return successResponse(roadmap.getProgressSummary());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * PATCH /api/roadmaps/[id]/progress - Update a single step
+ */
+export async function PATCH(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const roadmap = await findOwnedRoadmap(params.id);
+    const body = await parseJsonBody(request);
+
+    const validation = validateRequest(roadmapStepProgressSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { stepIndex, completed } = validation.data;
+    const totalSteps = roadmap.content?.steps?.length || 0;
+    if (stepIndex >= totalSteps) {
+      throw new ValidationError(`Step index must be less than ${totalSteps}`);
+    }
+
+    await roadmap.setStepCompleted(stepIndex, completed);
+
+    logger.info("Roadmap step progress updated", {
+      roadmapId: params.id,
+      stepIndex,
+      completed,
+      progress: roadmap.progress,
+      requestId,
+    });
+
+    return successResponse(roadmap.getProgressSummary());
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Runtimes API
+ *
+ * GET /api/runtimes
+ *
+ * Lists the languages and versions the execution backend can run, for the
+ * editors' language selectors. The list is cached server-side (see
+ * lib/execution/runtimes); when the backend can't be reached, a stand-in
+ * list is returned with `source: "fallback"`.
+ */
+
+import { getRuntimes } from "@/lib/execution";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+
+// Served from the server-side cache, not prerendered at build time
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/runtimes - List available languages and versions
+ * Returns { runtimes: [{ id, name, monaco, extension, versions }], source, fetchedAt }
+ */
+export async function GET() {
+  const requestId = generateRequestId();
+
+  try {
+    const { runtimes, source, fetchedAt } = await getRuntimes();
+    return successResponse({ runtimes, source, fetchedAt: new Date(fetchedAt).toISOString() });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Snippet Fork API
+ *
+ * POST /api/snippets/[snippetId]/fork - Copy a snippet into the user's library
+ *
+ * Anyone who can open a snippet can fork it. The fork is private, starts
+ * without the original's revision history and links back to the original.
+ */
+
+import { auth } from "@clerk/nextjs";
+import Snippet from "@/lib/models/snippetModel";
+import logger from "@/lib/logger";
+import { loadSnippet, getOwnerName } from "@/lib/snippets/store";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { snippetLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+import { AuthenticationError } from "@/lib/errors";
+
+/**
+ * POST /api/snippets/[snippetId]/fork - Fork a snippet
+ * Rate limited: 30 writes per minute per user
+ */
+async function handlePost(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const original = await loadSnippet(params.snippetId, userId);
+    const fork = await Snippet.create(original.toForkData(userId, await getOwnerName(userId)));
+    await Snippet.updateOne({ _id: original._id }, { $inc: { forkCount: 1 } });
+
+    logger.info("Snippet forked", {
+      snippetId: original._id.toString(),
+      forkId: fork._id.toString(),
+      userId,
+      requestId,
+    });
+
+    return successResponse(fork.toClientObject(userId), 201);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const POST = withRateLimit(snippetLimiter, handlePost, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
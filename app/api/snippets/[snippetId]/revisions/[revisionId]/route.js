@@ -0,0 +1,45 @@
+/**
+ * Snippet Revision API
+ *
+ * GET /api/snippets/[snippetId]/revisions/[revisionId] - Get an earlier version with its files
+ *
+ * Anyone who can open the snippet can browse its history. Restoring a version
+ * is a PATCH of the snippet with the version's files, so it can be undone.
+ */
+
+import { auth } from "@clerk/nextjs";
+import { loadSnippet } from "@/lib/snippets/store";
+import { isValidMongoId } from "@/lib/validation";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError, NotFoundError } from "@/lib/errors";
+
+/**
+ * GET /api/snippets/[snippetId]/revisions/[revisionId] - Get a revision
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+    if (!isValidMongoId(params.revisionId)) {
+      throw new ValidationError("Invalid revision ID format");
+    }
+
+    const snippet = await loadSnippet(params.snippetId, userId);
+    const revision = snippet.getRevision(params.revisionId);
+    if (!revision) {
+      throw new NotFoundError("Revision", params.revisionId);
+    }
+
+    return successResponse(revision);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Snippet API
+ *
+ * GET /api/snippets/[snippetId] - Open a snippet with its files and revision history
+ * PATCH /api/snippets/[snippetId] - Update a snippet's details or files
+ * DELETE /api/snippets/[snippetId] - Delete a snippet
+ *
+ * Anyone signed in can open unlisted and public snippets; only the owner can
+ * change or delete them.
+ */
+
+import { auth } from "@clerk/nextjs";
+import logger from "@/lib/logger";
+import { loadSnippet } from "@/lib/snippets/store";
+import { validateRequest, updateSnippetSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { snippetLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+const getIdentifier = (req) => {
+  const { userId } = auth();
+  return getUserIdentifier(req, userId);
+};
+
+/**
+ * GET /api/snippets/[snippetId] - Get a snippet
+ */
+export async function GET(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const snippet = await loadSnippet(params.snippetId, userId);
+    return successResponse(snippet.toClientObject(userId));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * PATCH /api/snippets/[snippetId] - Update a snippet
+ * New files replace the current ones, which are kept as a revision.
+ * Rate limited: 30 writes per minute per user
+ */
+async function handlePatch(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(updateSnippetSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { files, entry, version, message, ...details } = validation.data;
+    const snippet = await loadSnippet(params.snippetId, userId, { owner: true });
+
+    Object.entries(details).forEach(([field, value]) => {
+      if (value !== undefined) snippet[field] = value;
+    });
+    const filesChanged = snippet.updateFiles({
+      files: files || snippet.files,
+      entry: entry || snippet.entry,
+      version: version === undefined ? snippet.version : version,
+      message,
+    });
+    await snippet.save();
+
+    logger.info("Snippet updated", {
+      snippetId: snippet._id.toString(),
+      userId,
+      filesChanged,
+      requestId,
+    });
+
+    return successResponse(snippet.toClientObject(userId));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * DELETE /api/snippets/[snippetId] - Delete a snippet
+ * Forks of it are kept.
+ * Rate limited: 30 writes per minute per user
+ */
+async function handleDelete(request, { params }) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const snippet = await loadSnippet(params.snippetId, userId, { owner: true });
+    await snippet.deleteOne();
+
+    logger.info("Snippet deleted", { snippetId: params.snippetId, userId, requestId });
+
+    return successResponse({ id: params.snippetId, deleted: true });
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const PATCH = withRateLimit(snippetLimiter, handlePatch, { getIdentifier });
+export const DELETE = withRateLimit(snippetLimiter, handleDelete, { getIdentifier });
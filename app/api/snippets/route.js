@@ -0,0 +1,96 @@
+/**
+ * Snippets API
+ *
+ * GET /api/snippets - List the user's snippets, or the public library (`?scope=public`)
+ * POST /api/snippets - Save code as a new snippet
+ */
+
+import { auth } from "@clerk/nextjs";
+import Snippet from "@/lib/models/snippetModel";
+import logger from "@/lib/logger";
+import { listSnippets, getOwnerName } from "@/lib/snippets/store";
+import { validateRequest, createSnippetSchema, snippetFilterSchema } from "@/lib/validation";
+import { withRateLimit } from "@/lib/ratelimit/middleware";
+import { snippetLimiter } from "@/lib/ratelimit/limiters";
+import { getUserIdentifier } from "@/lib/ratelimit";
+import {
+  successResponse,
+  errorResponse,
+  generateRequestId,
+  parseJsonBody,
+} from "@/lib/errors/apiResponse";
+import { ValidationError, AuthenticationError } from "@/lib/errors";
+
+/**
+ * GET /api/snippets - List snippets (without their files)
+ * Query: scope (mine|public), search, language, tag, page, limit
+ */
+export async function GET(request) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const { searchParams } = new URL(request.url);
+    const validation = validateRequest(snippetFilterSchema, Object.fromEntries(searchParams));
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    return successResponse(await listSnippets(userId, validation.data));
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+/**
+ * POST /api/snippets - Create a snippet
+ * Rate limited: 30 writes per minute per user
+ */
+async function handlePost(request) {
+  const requestId = generateRequestId();
+
+  try {
+    const { userId } = auth();
+    if (!userId) {
+      throw new AuthenticationError("Authentication required");
+    }
+
+    const body = await parseJsonBody(request);
+    const validation = validateRequest(createSnippetSchema, body);
+    if (!validation.success) {
+      throw new ValidationError(validation.error, validation.errors);
+    }
+
+    const { files, entry, ...details } = validation.data;
+    const snippet = await Snippet.create({
+      ...details,
+      owner: userId,
+      ownerName: await getOwnerName(userId),
+      files,
+      entry: files.some((file) => file.name === entry) ? entry : files[0].name,
+    });
+
+    logger.info("Snippet created", {
+      snippetId: snippet._id.toString(),
+      userId,
+      language: snippet.language,
+      files: snippet.files.length,
+      requestId,
+    });
+
+    return successResponse(snippet.toClientObject(userId), 201);
+  } catch (error) {
+    return errorResponse(error, requestId);
+  }
+}
+
+export const POST = withRateLimit(snippetLimiter, handlePost, {
+  getIdentifier: (req) => {
+    const { userId } = auth();
+    return getUserIdentifier(req, userId);
+  },
+});
@@ -2,6 +2,7 @@
 import { auth } from "@clerk/nextjs";
 import { connect } from "@/lib/mongodb/mongoose";
 import Task from "@/lib/models/taskModel";
+import { invalidateUserCache } from "@/lib/cache/responseCache";
 import logger from "@/lib/logger";
 import {
   successResponse,
@@ -47,6 +48,8 @@ export async function PUT(request) {
 
     if (operations.length > 0) {
       await Task.bulkWrite(operations);
+      // bulkWrite skips the model's change hooks
+      await invalidateUserCache(userId, "tasks reordered");
     }
 
     logger.info("Tasks reordered", { userId, count: tasks.length, requestId });
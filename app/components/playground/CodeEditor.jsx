@@ -3,12 +3,14 @@ import React, { useRef, useEffect, useState } from "react";
 import { Editor } from "@monaco-editor/react";
 import { io } from "socket.io-client";
 import LanguageSelector from "@/components/ui/LanguageSelector";
-import { CODE_SNIPPETS } from "@/app/constants";
+import { starterCode } from "@/app/constants";
+import { languageInfo } from "@/lib/runtimes";
 import Output from "@/components/ui/Output";
 
 const CodeEditor = ({ roomId }) => {
   const [code, setCode] = useState("");
   const [language, setLanguage] = useState("javascript");
+  const [version, setVersion] = useState(null);
   const socketRef = useRef(null);
   const editorRef = useRef(null);
 
@@ -35,9 +37,11 @@ const CodeEditor = ({ roomId }) => {
     socketRef.current.emit("codeUpdate", newCode);
   };
 
-  const onSelect = (language) => {
-    setLanguage(language);
-    setCode(CODE_SNIPPETS[language]);
+  const onSelect = (nextLanguage, nextVersion) => {
+    setVersion(nextVersion);
+    if (nextLanguage === language) return;
+    setLanguage(nextLanguage);
+    setCode(starterCode(nextLanguage));
   };
 
   const getCode = () => code;
@@ -46,11 +50,11 @@ const CodeEditor = ({ roomId }) => {
 
   return (
     <div className="h-full w-full border border-gray-300 rounded">
-      <LanguageSelector language={language} onSelect={onSelect} />
+      <LanguageSelector language={language} version={version} onSelect={onSelect} />
       <Editor
         height="90vh"
-        defaultLanguage={language}
-        defaultValue={CODE_SNIPPETS[language]}
+        language={languageInfo(language).monaco}
+        defaultValue={starterCode(language)}
         value={code}
         onChange={handleEditorChange}
         theme="vs-dark"
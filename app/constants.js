@@ -1,13 +1,7 @@
-export const LANGUAGE_VERSIONS = {
-  python: "3.10.0",
-  csharp: "6.12.0",
-  php: "8.2.3", 
-  java: "15.0.2",
-  typescript: "5.0.3",
-  javascript: "18.15.0",
-  cpp: "17.0.0"
-};
+import { fallbackVersion, starterTemplate } from "@/lib/runtimes";
 
+// Sample code with deliberate flaws for each core language, for trying out the
+// AI review. Other languages start from their template in lib/runtimes.
 export const CODE_SNIPPETS = {
   javascript: `// Real-time user dashboard that fetches and displays user data
 import React, { useState, useEffect } from 'react';
@@ -185,4 +179,17 @@ showTodoList($todoList);
 removeTodoItem($todoList, 2);
 showTodoList($todoList);
 ?>`,
-};
\ No newline at end of file
+};
+
+// Core languages at their stand-in runtime versions. The live list of
+// languages and versions comes from GET /api/runtimes (see useRuntimes).
+export const LANGUAGE_VERSIONS = Object.fromEntries(
+  Object.keys(CODE_SNIPPETS).map((language) => [language, fallbackVersion(language)])
+);
+
+/**
+ * Code a new project of a language starts with
+ * @param {string} language - Language ID
+ * @returns {string} The language's sample, or its starter template
+ */
+export const starterCode = (language) => CODE_SNIPPETS[language] ?? starterTemplate(language);
@@ -38,7 +38,7 @@ const useOptimizedStats = (questsData, roadmaps) => {
     
     for (const roadmap of roadmaps.slice(0, 10)) { // Limit to prevent slowdown
       if (roadmap?.content?.steps?.length) {
-        const { progress } = getRoadmapProgress(roadmap._id, roadmap.content.steps.length);
+        const { progress } = getRoadmapProgress(roadmap);
         totalProgress += progress;
         validRoadmaps++;
       }
@@ -304,7 +304,7 @@ export default function Dashboard() {
               {roadmaps.slice(0, 2).map((roadmap) => {
                 // Use the shared utility for progress calculation
                 const totalSteps = roadmap.content?.steps?.length || 0;
-                const { completedCount, progress } = getRoadmapProgress(roadmap._id, totalSteps);
+                const { completedCount, progress } = getRoadmapProgress(roadmap);
 
                 return (
                   <div
@@ -1,67 +1,50 @@
 "use client";
 
 import { useAuth, useUser } from "@clerk/nextjs";
-import { useParams, useSearchParams } from "next/navigation";
+import Link from "next/link";
+import { useParams, usePathname, useRouter, useSearchParams } from "next/navigation";
 import React, { useEffect, useRef, useState } from "react";
 import { Editor } from "@monaco-editor/react";
-import { executeCode } from "@/app/api/Piston/api";
-import { CODE_SNIPPETS } from "@/app/constants";
+import { starterCode } from "@/app/constants";
 import EditorHeader from "@/components/playground/editor/EditorHeader";
 import EditorFooter from "@/components/learn/editor/EditorFooter";
-import OutputPanel from "@/components/learn/editor/OutputPanel";
 import CollaboratorAvatars from "../../../components/playground/CollaboratorAvatars";
-import { pusherClient } from '../../../lib/pusher-client';
+import VersionHistory from "@/components/playground/VersionHistory";
+import RoomAccessPanel from "@/components/playground/RoomAccessPanel";
+import RunOutputPanel from "@/components/playground/RunOutputPanel";
+import FileTree from "@/components/ui/FileTree";
 import { FeatureErrorBoundary } from "@/components/error";
-
-const SUPPORTED_LANGUAGES = [
-  { id: 'javascript', name: 'JavaScript' },
-  { id: 'python', name: 'Python' },
-  { id: 'java', name: 'Java' },
-  { id: 'cpp', name: 'C++' },
-  { id: 'csharp', name: 'C#' },
-  { id: 'php', name: 'PHP' },
-];
-
-const getFileExtension = (lang) => {
-  const extensions = {
-    javascript: 'js',
-    python: 'py',
-    java: 'java',
-    cpp: 'cpp',
-    csharp: 'cs',
-    php: 'php'
-  };
-  return extensions[lang] || 'txt';
-};
+import { MonacoBinding, MAIN_FILE_ID } from "@/lib/collab";
+import { validateFileName, languageForFile, toExecutionFiles, MAX_PROJECT_FILES } from "@/lib/projects";
+import { useCollabSession } from "@/hooks/useCollabSession";
+import { useRoomRuns } from "@/hooks/useRoomRuns";
 
 const RoomPage = () => {
   const { roomId } = useParams();
+  const router = useRouter();
+  const pathname = usePathname();
   const searchParams = useSearchParams();
   const initialLang = searchParams.get("lang") || "javascript";
+  const invite = searchParams.get("invite");
   
   const { userId } = useAuth();
   const { user } = useUser();
-  const [collaborators, setCollaborators] = useState([]);
   
   // Initialize with the requested language or default to javascript
   const [language, setLanguage] = useState(initialLang);
-  const [code, setCode] = useState(CODE_SNIPPETS[initialLang] || CODE_SNIPPETS['javascript']);
-  const [fileName, setFileName] = useState(`main.${getFileExtension(initialLang)}`);
+  // File of the room's project open in the editor
+  const [activeFileId, setActiveFileId] = useState(MAIN_FILE_ID);
 
-  const [lastUpdateFromServer, setLastUpdateFromServer] = useState(null);
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
-  const [output, setOutput] = useState([]);
-  const [isError, setIsError] = useState(false);
-  const [loading, setLoading] = useState(false);
+  const [isEditorReady, setIsEditorReady] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
   const [cursorPosition, setCursorPosition] = useState({ line: 1, column: 1 });
   const [wordCount, setWordCount] = useState(0);
-  const [executionTime, setExecutionTime] = useState(null);
-  const [executionTimestamp, setExecutionTimestamp] = useState(null);
-  const [isRunning, setIsRunning] = useState(false);
   const [showOutput, setShowOutput] = useState(false);
-  const [showCopySuccess, setShowCopySuccess] = useState({ code: false, link: false });
+  // Side panel next to the editor: 'history', 'access' or null
+  const [sidePanel, setSidePanel] = useState(null);
+  const [showCopySuccess, setShowCopySuccess] = useState({ code: false });
 
   const getDisplayName = (user) => {
     if (user?.firstName && user?.lastName) {
@@ -76,65 +59,90 @@ const RoomPage = () => {
     return 'Anonymous';
   };
 
+  // The room's code is a shared CRDT document; edits merge instead of overwriting.
+  // It is saved on the server, so the room survives everyone leaving.
+  // Rooms are private: the owner invites others as editors or viewers.
+  const { session, collaborators, files, meta, synced, error, savedRoom, role, lastSavedAt, save } = useCollabSession({
+    roomId,
+    userId,
+    username: user ? getDisplayName(user) : null,
+    getSeed: () => starterCode(initialLang),
+    invite,
+    language: initialLang,
+  });
+  const isViewer = role === 'viewer';
+
+  // Runs are shared as well: everyone sees who is running and the same output
+  const { runs, activeRun, running, error: runError, run, selectRun } = useRoomRuns({
+    roomId,
+    session,
+    initialRuns: savedRoom?.runs,
+    onFinished: () => setShowOutput(true),
+  });
+  const isRunning = Boolean(running);
+
+  // Once joined, the invite token has done its job; keep it out of the address bar
   useEffect(() => {
-    if (!roomId || !userId) return;
-
-    // Use presence channel
-    const channelName = `presence-room-${roomId}`;
-    const channel = pusherClient.subscribe(channelName);
-    
-    // Handle subscription success (get initial members)
-    channel.bind('pusher:subscription_succeeded', (members) => {
-      const activeMembers = [];
-      members.each((member) => {
-        activeMembers.push({
-          userId: member.id,
-          username: member.info.username,
-        });
-      });
-      setCollaborators(activeMembers);
-    });
+    if (!role || !invite) return;
+    const params = new URLSearchParams(searchParams.toString());
+    params.delete('invite');
+    const query = params.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname);
+  }, [role, invite, searchParams, pathname, router]);
 
-    // Handle new member joining
-    channel.bind('pusher:member_added', (member) => {
-      setCollaborators((prev) => {
-        // Prevent duplicates
-        if (prev.some(m => m.userId === member.id)) return prev;
-        return [...prev, {
-          userId: member.id,
-          username: member.info.username,
-        }];
-      });
-    });
+  const togglePanel = (panel) => setSidePanel(prev => (prev === panel ? null : panel));
 
-    // Handle member leaving
-    channel.bind('pusher:member_removed', (member) => {
-      setCollaborators((prev) => prev.filter((c) => c.userId !== member.id));
-    });
+  const activeFile = files.find((file) => file.id === activeFileId);
+  const fileName = activeFile?.name || session?.getFileName(MAIN_FILE_ID) || '';
+  const hasActiveFile = Boolean(activeFile);
+  const [activeCode, setActiveCode] = useState('');
 
-    // Handle code updates
-    channel.bind('codeUpdate', (data) => {
-      if (data && data.userId !== userId) {
-        setLastUpdateFromServer(data.data);
-        setCode(data.data);
-      }
-    });
+  // Another member may delete the open file
+  useEffect(() => {
+    if (files.length > 0 && !activeFile) setActiveFileId(MAIN_FILE_ID);
+  }, [files, activeFile]);
 
-    return () => {
-      channel.unbind_all();
-      pusherClient.unsubscribe(channelName);
-    };
-  }, [roomId, userId, user]);
+  // Follow the open file's content, for copying and downloading it
+  useEffect(() => {
+    const text = session?.getFileText(activeFileId);
+    if (!text) return;
+    const update = () => setActiveCode(text.toString());
+    update();
+    text.observe(update);
+    return () => text.unobserve(update);
+  }, [session, activeFileId, hasActiveFile]);
+
+  // Connect the editor to the open file once both exist. Each file has its own
+  // Monaco model (the editor's `path`), which the editor switches to first.
+  useEffect(() => {
+    if (!session || !isEditorReady || !session.getFileText(activeFileId)) return;
+
+    const binding = new MonacoBinding(session, editorRef.current, monacoRef.current, { fileId: activeFileId });
+    return () => binding.destroy();
+  }, [session, isEditorReady, activeFileId, hasActiveFile]);
+
+  // The language is shared too: the first member to arrive sets it
+  useEffect(() => {
+    if (!session || !synced || session.readOnly) return;
+    if (!session.meta.get('language')) {
+      session.setMeta('language', initialLang);
+    }
+  }, [session, synced, initialLang]);
 
   useEffect(() => {
-    if (output.length > 0) {
-      setShowOutput(true);
+    if (meta.language && meta.language !== language) {
+      setLanguage(meta.language);
     }
-  }, [output]);
+  }, [meta.language]);
+
+  useEffect(() => {
+    if (running) setShowOutput(true);
+  }, [running]);
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
+    setIsEditorReady(true);
     editor.focus();
 
     editor.onDidChangeCursorPosition((e) => {
@@ -145,16 +153,10 @@ const RoomPage = () => {
       });
     });
 
-    let timeout;
     editor.onDidChangeModelContent(() => {
       const content = editor.getValue();
       setWordCount(content.trim().split(/\s+/).length);
       setHasChanges(true);
-      
-      clearTimeout(timeout);
-      timeout = setTimeout(() => {
-        handleEditorChange(content);
-      }, 500);
     });
 
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
@@ -162,82 +164,85 @@ const RoomPage = () => {
     });
   };
 
+  // Replaces the open file's content (file import)
   const handleEditorChange = (value) => {
-    if (value === lastUpdateFromServer) return;
-    
-    fetch('/api/socket', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        roomId,
-        userId,
-        username: getDisplayName(user),
-        event: 'codeUpdate',
-        data: value,
-      }),
-    });
+    if (isViewer) return;
+    session?.replaceText(value, activeFileId);
   };
 
-  const handleLanguageChange = (newLanguage) => {
-    if (hasChanges) {
+  // Switching language starts the project over with the language's starter
+  // code; switching only the runtime version keeps the files
+  const handleLanguageChange = (newLanguage, newVersion) => {
+    if (isViewer) return;
+    if (newLanguage === language) {
+      session?.setMeta('version', newVersion);
+      return;
+    }
+    if (hasChanges || files.length > 1) {
       const confirm = window.confirm(
-        "You have unsaved changes. Are you sure you want to change languages?"
+        files.length > 1
+          ? "Changing languages replaces every file of the project for everyone in the room. Continue?"
+          : "You have unsaved changes. Are you sure you want to change languages?"
       );
       if (!confirm) return;
     }
     setLanguage(newLanguage);
-    const newCode = CODE_SNIPPETS[newLanguage] || "";
-    setCode(newCode);
-    setFileName(`main.${getFileExtension(newLanguage)}`);
+    setActiveFileId(MAIN_FILE_ID);
+    if (session) {
+      session.setMeta('language', newLanguage);
+      session.setMeta('version', newVersion);
+      session.replaceFiles([{ name: null, content: starterCode(newLanguage) }]);
+    }
+  };
+
+  const handleCreateFile = (name) => {
+    if (isViewer || !session || files.length >= MAX_PROJECT_FILES) return;
+    setActiveFileId(session.createFile(name));
+  };
+
+  const handleRenameFile = (fileId, name) => {
+    if (isViewer || !session) return;
+    const problem = validateFileName(name, files.filter((file) => file.id !== fileId).map((file) => file.name));
+    if (problem) {
+      window.alert(problem);
+      return;
+    }
+    session.renameFile(fileId, name);
+  };
+
+  const handleDeleteFile = (fileId) => {
+    if (isViewer || !session) return;
+    if (fileId === MAIN_FILE_ID) {
+      window.alert("The main file can't be deleted; rename it or clear it instead.");
+      return;
+    }
+    session.deleteFile(fileId);
   };
 
   const handleSave = () => {
+    save();
     setHasChanges(false);
   };
 
+  // Runs the shared project as a room event; the output reaches every member
   const handleRunCode = async () => {
-    if (!editorRef.current) return;
-
-    try {
-      setLoading(true);
-      setIsRunning(true);
-      const startTime = performance.now();
-      
-      const result = await executeCode(language, code);
-      
-      const endTime = performance.now();
-      setExecutionTime(Math.round(endTime - startTime));
-      setExecutionTimestamp(new Date());
-      
-      setOutput(result.run.output.split("\n"));
-      setIsError(result.run.stderr ? true : false);
-    } catch (error) {
-      setOutput([error.message || "An error occurred while running the code"]);
-      setIsError(true);
-    } finally {
-      setLoading(false);
-      setIsRunning(false);
-    }
+    if (!editorRef.current || !session || isViewer || isRunning) return;
+    const project = session.getProject();
+    setShowOutput(true);
+    await run({
+      language,
+      version: meta.version || undefined,
+      files: toExecutionFiles(project.files, project.entry),
+    });
   };
 
   const handleCopy = () => {
-    navigator.clipboard.writeText(code);
+    navigator.clipboard.writeText(activeCode);
   };
 
   const handleClear = () => {
-    const newCode = "";
-    setCode(newCode);
-    fetch('/api/socket', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        roomId,
-        userId,
-        username: getDisplayName(user),
-        event: 'codeUpdate',
-        data: newCode,
-      }),
-    });
+    if (isViewer) return;
+    session?.replaceText("", activeFileId);
   };
 
   const handleCopyRoomCode = async () => {
@@ -250,24 +255,24 @@ const RoomPage = () => {
     }
   };
 
-  const handleCopyShareLink = async () => {
-    try {
-      await navigator.clipboard.writeText(`https://inherit-xtradrill.vercel.app/playground/${roomId}`);
-      setShowCopySuccess(prev => ({ ...prev, link: true }));
-      setTimeout(() => setShowCopySuccess(prev => ({ ...prev, link: false })), 2000);
-    } catch (err) {
-      // Copy failed
-    }
-  };
-
   const handleCloseOutput = () => {
     setShowOutput(false);
   };
 
-  const handleClearOutput = () => {
-    setOutput([]);
-    setShowOutput(false);
-  };
+  if (error?.status === 403) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen gap-4 bg-gradient-to-br from-slate-50 to-slate-100 px-4 text-center">
+        <h1 className="text-xl font-semibold">Can&apos;t open room {roomId}</h1>
+        <p className="text-gray-600 max-w-md">{error.message}</p>
+        <Link
+          href="/playground"
+          className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Back to Playground
+        </Link>
+      </div>
+    );
+  }
 
   return (
     <FeatureErrorBoundary feature="Collaborative Playground" variant="fullscreen">
@@ -275,14 +280,37 @@ const RoomPage = () => {
         <div className="flex items-center justify-between p-4 border-b bg-white">
           <div className="flex items-center space-x-4">
             <h1 className="text-xl font-semibold">Room: {roomId}</h1>
+            {isViewer && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">
+                View only
+              </span>
+            )}
             <div className="flex items-center space-x-2">
               <CollaboratorAvatars collaborators={collaborators} />
               <span className="text-sm text-gray-500">
                 {collaborators.length} {collaborators.length === 1 ? 'user' : 'users'} active
               </span>
+              {lastSavedAt && (
+                <span className="text-xs text-gray-400">
+                  Saved {new Date(lastSavedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+              )}
             </div>
           </div>
           <div className="flex items-center space-x-4">
+            <button
+              onClick={() => togglePanel('history')}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all duration-200 flex items-center space-x-2
+                ${sidePanel === 'history'
+                  ? 'bg-blue-500/20 text-blue-600 hover:bg-blue-500/30'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+            >
+              <span>History</span>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </button>
             <button
               onClick={handleCopyRoomCode}
               className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all duration-200 flex items-center space-x-2
@@ -308,28 +336,17 @@ const RoomPage = () => {
               )}
             </button>
             <button
-              onClick={handleCopyShareLink}
+              onClick={() => togglePanel('access')}
               className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all duration-200 flex items-center space-x-2
-                ${showCopySuccess.link 
-                  ? 'bg-green-500/20 text-green-500 hover:bg-green-500/30' 
+                ${sidePanel === 'access'
+                  ? 'bg-blue-500/20 text-blue-600 hover:bg-blue-500/30'
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                 }`}
             >
-              {showCopySuccess.link ? (
-                <>
-                  <span>Copied!</span>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                  </svg>
-                </>
-              ) : (
-                <>
-                  <span>Share Link</span>
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
-                  </svg>
-                </>
-              )}
+              <span>{role === 'owner' ? 'Share' : 'Members'}</span>
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+              </svg>
             </button>
           </div>
         </div>
@@ -338,23 +355,38 @@ const RoomPage = () => {
           <EditorHeader
             fileName={fileName}
             language={language}
-            languages={SUPPORTED_LANGUAGES}
+            version={meta.version}
             onLanguageChange={handleLanguageChange}
-            onFileNameChange={setFileName}
+            onFileNameChange={(name) => handleRenameFile(activeFileId, name)}
             onCopy={handleCopy}
             onClear={handleClear}
             onRun={handleRunCode}
             isRunning={isRunning}
-            code={code}
+            code={activeCode}
             onCodeChange={handleEditorChange}
+            readOnly={isViewer}
           />
           
           <div className="flex-1 flex overflow-hidden">
+            <div className="w-48 shrink-0 overflow-hidden">
+              <FileTree
+                files={files}
+                activeId={activeFileId}
+                entryId={session?.getEntry() ?? MAIN_FILE_ID}
+                readOnly={isViewer}
+                onSelect={setActiveFileId}
+                onCreate={handleCreateFile}
+                onRename={handleRenameFile}
+                onDelete={handleDeleteFile}
+                onSetEntry={(fileId) => !isViewer && session?.setEntry(fileId)}
+              />
+            </div>
             <div className="flex-1 overflow-hidden">
               <Editor
                 height="100%"
-                language={language}
-                value={code}
+                path={`${roomId}/${activeFileId}`}
+                language={languageForFile(fileName, language)}
+                defaultValue=""
                 theme="vs-dark"
                 options={{
                   minimap: { enabled: false },
@@ -376,13 +408,37 @@ const RoomPage = () => {
             </div>
             {showOutput && (
               <div className="w-1/3 overflow-hidden bg-gray-900 border-l border-gray-700">
-                <OutputPanel
-                  output={output}
-                  isError={isError}
-                  executionTime={executionTime}
-                  executionTimestamp={executionTimestamp}
+                <RunOutputPanel
+                  runs={runs}
+                  activeRun={activeRun}
+                  running={running}
+                  error={runError}
+                  currentUserId={userId}
+                  onSelectRun={selectRun}
                   onClose={handleCloseOutput}
-                  onClear={handleClearOutput}
+                />
+              </div>
+            )}
+            {sidePanel === 'history' && (
+              <div className="w-80 overflow-hidden border-l border-gray-700">
+                <VersionHistory
+                  roomId={roomId}
+                  session={session}
+                  language={language}
+                  refreshKey={lastSavedAt}
+                  readOnly={isViewer}
+                  onClose={() => setSidePanel(null)}
+                />
+              </div>
+            )}
+            {sidePanel === 'access' && (
+              <div className="w-80 overflow-hidden border-l border-gray-700">
+                <RoomAccessPanel
+                  roomId={roomId}
+                  role={role}
+                  currentUserId={userId}
+                  collaborators={collaborators}
+                  onClose={() => setSidePanel(null)}
                 />
               </div>
             )}
@@ -393,7 +449,7 @@ const RoomPage = () => {
           position={cursorPosition}
           wordCount={wordCount}
           onRun={handleRunCode}
-          loading={loading}
+          loading={isRunning}
           hasChanges={hasChanges}
         />
       </div>
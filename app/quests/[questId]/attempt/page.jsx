@@ -224,7 +224,30 @@ export default function QuestAttemptPage({ params }) {
                   </h3>
                   <p className="text-gray-600 mb-4">{question.description}</p>
                   
-                  {question.type === 'short' ? (
+                  {question.type === 'multiple-choice' ? (
+                    <div className="space-y-2">
+                      {question.options.map((option, optionIndex) => (
+                        <label
+                          key={optionIndex}
+                          className={`flex items-center gap-3 p-3 border rounded-md cursor-pointer ${
+                            answers[question._id] === option
+                              ? 'border-blue-500 bg-blue-50'
+                              : 'hover:bg-gray-50'
+                          }`}
+                        >
+                          <input
+                            type="radio"
+                            name={`question-${question._id}`}
+                            value={option}
+                            checked={answers[question._id] === option}
+                            onChange={() => handleAnswerChange(question._id, option)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className="text-gray-800">{option}</span>
+                        </label>
+                      ))}
+                    </div>
+                  ) : question.type === 'short' || question.type === 'short-answer' ? (
                     <input
                       type="text"
                       value={answers[question._id] || ''}
@@ -244,6 +267,7 @@ export default function QuestAttemptPage({ params }) {
 
                   <div className="mt-2 text-sm text-gray-500">
                     Points: {question.points}
+                    {question.type === 'coding' && ` | Language: ${question.language || 'javascript'} (reads input from stdin)`}
                   </div>
                 </div>
               </div>
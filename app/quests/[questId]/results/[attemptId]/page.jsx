@@ -21,15 +21,49 @@ const AIFeedbackCard = ({ feedback }) => {
       <div className="mb-4 text-gray-700">
         {details}
       </div>
-      <div className="space-y-2">
-        <h4 className="font-medium text-gray-900">Improvements:</h4>
-        {improvements.replace('Suggested Improvements:\n', '').split('\n').map((improvement, index) => (
-          <div key={index} className="flex items-start space-x-2 text-gray-600">
-            <span>•</span>
-            <span>{improvement}</span>
+      {improvements && (
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">Improvements:</h4>
+          {improvements.replace('Suggested Improvements:\n', '').split('\n').map((improvement, index) => (
+            <div key={index} className="flex items-start space-x-2 text-gray-600">
+              <span>•</span>
+              <span>{improvement}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TestResultsList = ({ testResults }) => {
+  const passedCount = testResults.filter(tr => tr.passed).length;
+
+  return (
+    <div className="space-y-2">
+      <h4 className="font-medium text-gray-900">
+        Test Cases: {passedCount} / {testResults.length} passed
+      </h4>
+      {testResults.map((testResult, index) => (
+        <div
+          key={index}
+          className={`rounded p-3 text-sm font-mono ${
+            testResult.passed ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+          }`}
+        >
+          <div className="font-sans font-medium mb-1">
+            Test {index + 1}: {testResult.passed ? 'Passed' : 'Failed'}
           </div>
-        ))}
-      </div>
+          <div className="whitespace-pre-wrap">Input: {testResult.input}</div>
+          <div className="whitespace-pre-wrap">Expected: {testResult.expectedOutput}</div>
+          {!testResult.passed && (
+            <div className="whitespace-pre-wrap">Got: {testResult.actualOutput}</div>
+          )}
+          {!testResult.passed && testResult.error && (
+            <div className="whitespace-pre-wrap">Error: {testResult.error}</div>
+          )}
+        </div>
+      ))}
     </div>
   );
 };
@@ -163,9 +197,14 @@ export default function QuestResultsPage({ params }) {
                             {answer.aiEvaluation?.score || 0} / {question.points} points
                           </div>
                         </div>
+                        {answer.testResults?.length > 0 && (
+                          <TestResultsList testResults={answer.testResults} />
+                        )}
                         {answer.aiEvaluation?.feedback ? (
                           <div>
-                            <h4 className="font-medium text-gray-900">AI Feedback:</h4>
+                            <h4 className="font-medium text-gray-900">
+                              {answer.autoGraded ? 'Feedback:' : 'AI Feedback:'}
+                            </h4>
                             <AIFeedbackCard feedback={answer.aiEvaluation.feedback} />
                           </div>
                         ) : (
@@ -34,7 +34,7 @@ const useRoadmapsWithProgress = (roadmaps) => {
     
     return roadmaps.filter(roadmap => roadmap && roadmap._id).map(roadmap => ({
       ...roadmap,
-      progress: getRoadmapProgress(roadmap._id, roadmap.content?.steps?.length || 0).progress
+      progress: getRoadmapProgress(roadmap).progress
     }));
   }, [roadmaps]);
 };
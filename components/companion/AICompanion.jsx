@@ -38,7 +38,12 @@ import {
   Zap,
   Maximize2,
   Minimize2,
+  ShieldAlert,
+  Check,
+  History,
 } from "lucide-react";
+import ConversationSidebar from "./ConversationSidebar";
+import { getConversation } from "@/lib/conversations";
 
 // Agent configuration with icons and colors
 const agentConfig = {
@@ -692,6 +697,7 @@ function ThinkStateIndicator({ status, agent }) {
     processing: "Processing...",
     context_loaded: "Context loaded",
     routing: "Finding best agent...",
+    tool_running: "Using tools...",
   };
 
   return (
@@ -768,6 +774,59 @@ function RoadmapPreview({ roadmap }) {
   );
 }
 
+/**
+ * Confirmation Card Component
+ * Shows the risky actions an agent is waiting on, with confirm/cancel buttons
+ * while they can still be answered.
+ */
+function ConfirmationCard({ confirmation, answer, active, language, onAnswer }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      className="mt-3 p-3 bg-amber-900/20 rounded-lg border border-amber-500/30"
+    >
+      <div className="flex items-center gap-2 mb-2">
+        <ShieldAlert className="w-4 h-4 text-amber-400" />
+        <span className="text-sm font-medium text-white">
+          {language === "bn" ? "নিশ্চিতকরণ প্রয়োজন" : "Confirmation needed"}
+        </span>
+      </div>
+      <ul className="space-y-1 text-xs text-gray-300">
+        {confirmation.toolCalls.map((toolCall) => (
+          <li key={toolCall.toolCallId}>• {toolCall.preview}</li>
+        ))}
+      </ul>
+      {answer !== undefined ? (
+        <span className="mt-2 block text-xs text-gray-500">
+          {answer
+            ? language === "bn" ? "নিশ্চিত করা হয়েছে" : "Confirmed"
+            : language === "bn" ? "বাতিল করা হয়েছে" : "Cancelled"}
+        </span>
+      ) : (
+        active && (
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={() => onAnswer(true)}
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 text-xs bg-amber-600 hover:bg-amber-700 rounded transition-colors text-white"
+            >
+              <Check className="w-3 h-3" />
+              {language === "bn" ? "নিশ্চিত করুন" : "Confirm"}
+            </button>
+            <button
+              onClick={() => onAnswer(false)}
+              className="flex-1 flex items-center justify-center gap-1 py-1.5 text-xs bg-gray-700 hover:bg-gray-600 rounded transition-colors text-gray-200"
+            >
+              <X className="w-3 h-3" />
+              {language === "bn" ? "বাতিল" : "Cancel"}
+            </button>
+          </div>
+        )
+      )}
+    </motion.div>
+  );
+}
+
 export default function AICompanion() {
   const { isSignedIn, isLoaded } = useAuth();
   const pathname = usePathname();
@@ -781,6 +840,10 @@ export default function AICompanion() {
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [voiceEnabled, setVoiceEnabled] = useState(false);
   const [conversationId, setConversationId] = useState(null);
+  const [conversationTitle, setConversationTitle] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Bumped after every exchange so the sidebar picks up new titles and order
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [useStreaming, setUseStreaming] = useState(true);
   const [isExpanded, setIsExpanded] = useState(false);
   const [voiceModeOpen, setVoiceModeOpen] = useState(false);
@@ -1058,13 +1121,42 @@ export default function AICompanion() {
   );
 
   // Send message with streaming
-  const sendMessageStreaming = async (userMessage) => {
+  const sendMessageStreaming = async (userMessage, confirmation) => {
     setThinkState({ status: "processing", agent: "router" });
     setStreamingContent("");
     let fullContent = "";
     let currentAgent = null;
     let actions = [];
     let roadmapData = null;
+    let pendingConfirmation = null;
+    let finished = false;
+
+    // Add the final message once: on done, or when the stream ends without one
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+
+      const assistantMessage = {
+        role: "assistant",
+        content: fullContent,
+        agent: currentAgent,
+        timestamp: new Date().toISOString(),
+        roadmap: roadmapData,
+        actions,
+        confirmation: pendingConfirmation,
+      };
+
+      setMessages((prev) => [...prev, assistantMessage]);
+      setStreamingContent("");
+      setThinkState(null);
+      setActiveAgent(null);
+      // The stream stays open for the title, but the reply is complete
+      setIsLoading(false);
+
+      if (voiceEnabled && fullContent) {
+        speakText(fullContent);
+      }
+    };
 
     try {
       const response = await fetch("/api/companion?stream=true", {
@@ -1077,6 +1169,7 @@ export default function AICompanion() {
           message: userMessage,
           conversationId,
           language,
+          confirmation,
         }),
       });
 
@@ -1126,19 +1219,44 @@ export default function AICompanion() {
                   setStreamingContent(fullContent);
                   break;
 
-                case "tool_call":
-                  actions.push(data);
-                  if (data.action === "render_roadmap" && data.roadmap) {
-                    roadmapData = data.roadmap;
+                case "tool_call": {
+                  if (data.status === "started") {
+                    setThinkState({
+                      status: "tool_running",
+                      agent: currentAgent || "general",
+                    });
+                    break;
                   }
-                  if (data.action === "navigate") {
-                    handleAction(data);
+
+                  const action = data.result;
+                  if (!action?.action) break;
+
+                  actions.push(action);
+                  if (action.action === "render_roadmap" && action.roadmap) {
+                    roadmapData = action.roadmap;
+                  }
+                  if (action.action === "navigate") {
+                    handleAction(action);
                   }
                   break;
+                }
+
+                case "confirmation_required":
+                  pendingConfirmation = data;
+                  break;
 
                 case "done":
+                  // Final content drops any text streamed before a tool call
+                  if (typeof data.content === "string") {
+                    fullContent = data.content;
+                  }
                   setConversationId(data.conversationId);
-                  setThinkState(null);
+                  setConversationTitle(data.title || null);
+                  finish();
+                  break;
+
+                case "title":
+                  setConversationTitle(data.title);
                   break;
 
                 case "error":
@@ -1154,22 +1272,7 @@ export default function AICompanion() {
         }
       }
 
-      // Add final message
-      const assistantMessage = {
-        role: "assistant",
-        content: fullContent,
-        agent: currentAgent,
-        timestamp: new Date().toISOString(),
-        roadmap: roadmapData,
-        actions,
-      };
-
-      setMessages((prev) => [...prev, assistantMessage]);
-      setStreamingContent("");
-
-      if (voiceEnabled && fullContent) {
-        speakText(fullContent);
-      }
+      finish();
     } catch (error) {
       console.error("Streaming error:", error);
       throw error;
@@ -1180,7 +1283,7 @@ export default function AICompanion() {
   };
 
   // Send message standard (fallback)
-  const sendMessageStandard = async (userMessage) => {
+  const sendMessageStandard = async (userMessage, confirmation) => {
     const response = await fetch("/api/companion", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
@@ -1188,6 +1291,7 @@ export default function AICompanion() {
         message: userMessage,
         conversationId,
         language,
+        confirmation,
       }),
     });
 
@@ -1203,6 +1307,7 @@ export default function AICompanion() {
       agent: data.data.agent,
       timestamp: new Date().toISOString(),
       actions: data.data.actions,
+      confirmation: data.data.confirmation,
     };
 
     // Handle actions
@@ -1219,6 +1324,7 @@ export default function AICompanion() {
 
     setMessages((prev) => [...prev, assistantMessage]);
     setConversationId(data.data.conversationId);
+    setConversationTitle(data.data.title || null);
 
     if (voiceEnabled) {
       speakText(data.data.response);
@@ -1232,6 +1338,27 @@ export default function AICompanion() {
 
     const userMessage = input.trim();
     setInput("");
+    await submitMessage(userMessage);
+  };
+
+  // Answer the confirmation of the latest assistant message
+  const answerConfirmation = async (index, approved) => {
+    const { confirmation } = messages[index];
+    if (isLoading) return;
+
+    setMessages((prev) =>
+      prev.map((msg, i) => (i === index ? { ...msg, confirmationAnswer: approved } : msg))
+    );
+    await submitMessage(
+      approved
+        ? language === "bn" ? "হ্যাঁ, এগিয়ে যান।" : "Yes, go ahead."
+        : language === "bn" ? "না, বাতিল করুন।" : "No, cancel that.",
+      { actionId: confirmation.actionId, approved }
+    );
+  };
+
+  // Show the user's message and send it, with the answer to a pending confirmation if any
+  const submitMessage = async (userMessage, confirmation) => {
     setIsLoading(true);
 
     // Add user message
@@ -1246,9 +1373,9 @@ export default function AICompanion() {
 
     try {
       if (useStreaming) {
-        await sendMessageStreaming(userMessage);
+        await sendMessageStreaming(userMessage, confirmation);
       } else {
-        await sendMessageStandard(userMessage);
+        await sendMessageStandard(userMessage, confirmation);
       }
     } catch (error) {
       console.error("Chat error:", error);
@@ -1278,6 +1405,45 @@ export default function AICompanion() {
     }
 
     setIsLoading(false);
+    setHistoryVersion((version) => version + 1);
+  };
+
+  // Start over with an empty conversation
+  const startNewConversation = () => {
+    setMessages([]);
+    setConversationId(null);
+    setConversationTitle(null);
+    if (!isExpanded) setHistoryOpen(false);
+  };
+
+  // Resume a past conversation from the sidebar
+  const openConversation = async (id) => {
+    if (isLoading) return;
+    if (!isExpanded) setHistoryOpen(false);
+    if (id === conversationId) return;
+
+    try {
+      const conversation = await getConversation(id);
+      const restored = conversation.messages.map(({ role, content, agent, timestamp }) => ({
+        role,
+        content,
+        agent,
+        timestamp,
+      }));
+
+      // A confirmation still waiting belongs to the last reply
+      const last = restored[restored.length - 1];
+      if (conversation.pendingAction && last?.role === "assistant") {
+        last.confirmation = conversation.pendingAction;
+      }
+
+      setMessages(restored);
+      setConversationId(conversation.id);
+      setConversationTitle(conversation.title);
+      if (conversation.language) setLanguage(conversation.language);
+    } catch (error) {
+      console.error("Failed to open conversation:", error);
+    }
   };
 
   // Toggle language
@@ -1401,11 +1567,27 @@ export default function AICompanion() {
           >
             {/* Header */}
             <div className="bg-gradient-to-r from-primary/90 to-secondary/90 px-4 py-3 flex items-center justify-between backdrop-blur-md">
-              <div className="flex items-center gap-2">
+              <div className="flex items-center gap-2 min-w-0">
+                <button
+                  onClick={() => setHistoryOpen(!historyOpen)}
+                  className={`p-1.5 rounded-full transition-colors ${
+                    historyOpen ? "bg-white/20" : "hover:bg-white/20"
+                  }`}
+                  title={language === "bn" ? "কথোপকথনের ইতিহাস" : "Conversation history"}
+                >
+                  <History className="w-4 h-4 text-white" />
+                </button>
                 <Sparkles className="w-5 h-5 text-white" />
-                <span className="font-semibold text-white">
-                  {language === "bn" ? "এআই সহকারী" : "AI Companion"}
-                </span>
+                <div className="min-w-0">
+                  <span className="font-semibold text-white block">
+                    {language === "bn" ? "এআই সহকারী" : "AI Companion"}
+                  </span>
+                  {conversationTitle && (
+                    <span className="text-xs text-white/70 block truncate max-w-[9rem]">
+                      {conversationTitle}
+                    </span>
+                  )}
+                </div>
                 {activeAgent && (
                   <span className="text-xs bg-white/20 px-2 py-0.5 rounded-full">
                     {getAgentDisplay(activeAgent).emoji}
@@ -1507,222 +1689,255 @@ export default function AICompanion() {
               </div>
             </div>
 
-            {/* Think State Indicator */}
-            <AnimatePresence>
-              {thinkState && (
-                <div className="px-4 py-2 border-b border-gray-700">
-                  <ThinkStateIndicator
-                    status={thinkState.status}
-                    agent={thinkState.agent}
-                  />
-                </div>
-              )}
-            </AnimatePresence>
-
-            {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
-              {messages.length === 0 && !streamingContent && (
-                <div className="text-center text-gray-400 mt-8">
-                  <Bot className="w-12 h-12 mx-auto mb-3 opacity-50" />
-                  <p className="text-sm">
-                    {language === "bn"
-                      ? "হ্যালো! আমি আপনার এআই লার্নিং সহকারী। কিভাবে সাহায্য করতে পারি?"
-                      : "Hello! I'm your AI learning companion. How can I help you today?"}
-                  </p>
-                </div>
+            <div className="flex-1 flex min-h-0 relative">
+              {historyOpen && (
+                <ConversationSidebar
+                  language={language}
+                  activeId={conversationId}
+                  expanded={isExpanded}
+                  version={historyVersion}
+                  onSelect={openConversation}
+                  onNewChat={startNewConversation}
+                  onRenamed={(id, title) => {
+                    if (id === conversationId) setConversationTitle(title);
+                  }}
+                  onRemoved={(id) => {
+                    if (id === conversationId) startNewConversation();
+                  }}
+                  onClose={() => setHistoryOpen(false)}
+                />
               )}
 
-              {messages.map((msg, i) => {
-                const agentDisplay = msg.agent
-                  ? getAgentDisplay(msg.agent)
-                  : null;
-                const AgentIcon = agentDisplay?.icon || Bot;
-
-                return (
-                  <motion.div
-                    key={i}
-                    initial={{ opacity: 0, y: 10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    className={`flex gap-2 ${
-                      msg.role === "user" ? "justify-end" : "justify-start"
-                    }`}
-                  >
-                    {msg.role === "assistant" && (
-                      <div
-                        className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
-                          agentDisplay?.bgColor || "bg-violet-600/20"
+              <div className="flex-1 flex flex-col min-w-0">
+                {/* Think State Indicator */}
+                <AnimatePresence>
+                  {thinkState && (
+                    <div className="px-4 py-2 border-b border-gray-700">
+                      <ThinkStateIndicator
+                        status={thinkState.status}
+                        agent={thinkState.agent}
+                      />
+                    </div>
+                  )}
+                </AnimatePresence>
+
+                {/* Messages */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                  {messages.length === 0 && !streamingContent && (
+                    <div className="text-center text-gray-400 mt-8">
+                      <Bot className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                      <p className="text-sm">
+                        {language === "bn"
+                          ? "হ্যালো! আমি আপনার এআই লার্নিং সহকারী। কিভাবে সাহায্য করতে পারি?"
+                          : "Hello! I'm your AI learning companion. How can I help you today?"}
+                      </p>
+                    </div>
+                  )}
+
+                  {messages.map((msg, i) => {
+                    const agentDisplay = msg.agent
+                      ? getAgentDisplay(msg.agent)
+                      : null;
+                    const AgentIcon = agentDisplay?.icon || Bot;
+
+                    return (
+                      <motion.div
+                        key={i}
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className={`flex gap-2 ${
+                          msg.role === "user" ? "justify-end" : "justify-start"
                         }`}
                       >
-                        <AgentIcon
-                          className={`w-4 h-4 ${
-                            agentDisplay?.color || "text-violet-400"
-                          }`}
-                        />
-                      </div>
-                    )}
-                    <div className="max-w-[80%]">
+                        {msg.role === "assistant" && (
+                          <div
+                            className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
+                              agentDisplay?.bgColor || "bg-violet-600/20"
+                            }`}
+                          >
+                            <AgentIcon
+                              className={`w-4 h-4 ${
+                                agentDisplay?.color || "text-violet-400"
+                              }`}
+                            />
+                          </div>
+                        )}
+                        <div className="max-w-[80%]">
+                          <div
+                            className={`max-w-[85%] rounded-2xl p-4 shadow-lg backdrop-blur-md border ${
+                              msg.role === "user"
+                                ? "bg-primary/20 border-primary/30 text-white rounded-br-none ml-auto"
+                                : msg.error
+                                ? "bg-red-900/50 border-red-700/30 text-red-200 rounded-bl-none"
+                                : "bg-white/5 border-white/10 text-gray-100 rounded-bl-none"
+                            }`}
+                          >
+                            {msg.role === "user" ? (
+                              <p className="text-sm whitespace-pre-wrap">
+                                {msg.content}
+                              </p>
+                            ) : (
+                              <MarkdownMessage content={msg.content} />
+                            )}
+                            {msg.agent && (
+                              <span className="text-xs opacity-60 mt-1 block">
+                                via {agentDisplay?.label || msg.agent}
+                              </span>
+                            )}
+                          </div>
+
+                          {/* Roadmap Preview */}
+                          {msg.roadmap && <RoadmapPreview roadmap={msg.roadmap} />}
+
+                          {/* Pending confirmation, answerable on the latest message only */}
+                          {msg.confirmation && (
+                            <ConfirmationCard
+                              confirmation={msg.confirmation}
+                              answer={msg.confirmationAnswer}
+                              active={i === messages.length - 1 && !isLoading}
+                              language={language}
+                              onAnswer={(approved) => answerConfirmation(i, approved)}
+                            />
+                          )}
+                        </div>
+                        {msg.role === "user" && (
+                          <div className="w-8 h-8 rounded-full bg-violet-600 flex items-center justify-center flex-shrink-0">
+                            <User className="w-4 h-4 text-white" />
+                          </div>
+                        )}
+                      </motion.div>
+                    );
+                  })}
+
+                  {/* Streaming content */}
+                  {streamingContent && (
+                    <motion.div
+                      initial={{ opacity: 0, y: 10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      className="flex gap-2"
+                    >
                       <div
-                        className={`max-w-[85%] rounded-2xl p-4 shadow-lg backdrop-blur-md border ${
-                          msg.role === "user"
-                            ? "bg-primary/20 border-primary/30 text-white rounded-br-none ml-auto"
-                            : msg.error
-                            ? "bg-red-900/50 border-red-700/30 text-red-200 rounded-bl-none"
-                            : "bg-white/5 border-white/10 text-gray-100 rounded-bl-none"
+                        className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
+                          activeAgent
+                            ? getAgentDisplay(activeAgent).bgColor
+                            : "bg-violet-600/20"
                         }`}
                       >
-                        {msg.role === "user" ? (
-                          <p className="text-sm whitespace-pre-wrap">
-                            {msg.content}
-                          </p>
+                        {activeAgent ? (
+                          React.createElement(getAgentDisplay(activeAgent).icon, {
+                            className: `w-4 h-4 ${
+                              getAgentDisplay(activeAgent).color
+                            }`,
+                          })
                         ) : (
-                          <MarkdownMessage content={msg.content} />
-                        )}
-                        {msg.agent && (
-                          <span className="text-xs opacity-60 mt-1 block">
-                            via {agentDisplay?.label || msg.agent}
-                          </span>
+                          <Bot className="w-4 h-4 text-violet-400" />
                         )}
                       </div>
-
-                      {/* Roadmap Preview */}
-                      {msg.roadmap && <RoadmapPreview roadmap={msg.roadmap} />}
-                    </div>
-                    {msg.role === "user" && (
-                      <div className="w-8 h-8 rounded-full bg-violet-600 flex items-center justify-center flex-shrink-0">
-                        <User className="w-4 h-4 text-white" />
+                      <div className="bg-gray-800 px-4 py-2 rounded-2xl rounded-bl-sm max-w-[80%]">
+                        <MarkdownMessage content={streamingContent} />
+                        <span className="inline-block w-2 h-4 bg-violet-400 animate-pulse" />
                       </div>
-                    )}
-                  </motion.div>
-                );
-              })}
-
-              {/* Streaming content */}
-              {streamingContent && (
-                <motion.div
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  className="flex gap-2"
-                >
-                  <div
-                    className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
-                      activeAgent
-                        ? getAgentDisplay(activeAgent).bgColor
-                        : "bg-violet-600/20"
-                    }`}
-                  >
-                    {activeAgent ? (
-                      React.createElement(getAgentDisplay(activeAgent).icon, {
-                        className: `w-4 h-4 ${
-                          getAgentDisplay(activeAgent).color
-                        }`,
-                      })
-                    ) : (
-                      <Bot className="w-4 h-4 text-violet-400" />
-                    )}
-                  </div>
-                  <div className="bg-gray-800 px-4 py-2 rounded-2xl rounded-bl-sm max-w-[80%]">
-                    <MarkdownMessage content={streamingContent} />
-                    <span className="inline-block w-2 h-4 bg-violet-400 animate-pulse" />
-                  </div>
-                </motion.div>
-              )}
+                    </motion.div>
+                  )}
 
-              {/* Loading indicator (non-streaming) */}
-              {isLoading && !useStreaming && !streamingContent && (
-                <div className="flex gap-2">
-                  <div className="w-8 h-8 rounded-full bg-violet-600/20 flex items-center justify-center">
-                    <Loader2 className="w-4 h-4 text-violet-400 animate-spin" />
-                  </div>
-                  <div className="bg-gray-800 px-4 py-2 rounded-2xl rounded-bl-sm">
-                    <div className="flex gap-1">
-                      <span className="w-2 h-2 bg-gray-500 rounded-full animate-bounce" />
-                      <span
-                        className="w-2 h-2 bg-gray-500 rounded-full animate-bounce"
-                        style={{ animationDelay: "0.1s" }}
-                      />
-                      <span
-                        className="w-2 h-2 bg-gray-500 rounded-full animate-bounce"
-                        style={{ animationDelay: "0.2s" }}
-                      />
+                  {/* Loading indicator (non-streaming) */}
+                  {isLoading && !useStreaming && !streamingContent && (
+                    <div className="flex gap-2">
+                      <div className="w-8 h-8 rounded-full bg-violet-600/20 flex items-center justify-center">
+                        <Loader2 className="w-4 h-4 text-violet-400 animate-spin" />
+                      </div>
+                      <div className="bg-gray-800 px-4 py-2 rounded-2xl rounded-bl-sm">
+                        <div className="flex gap-1">
+                          <span className="w-2 h-2 bg-gray-500 rounded-full animate-bounce" />
+                          <span
+                            className="w-2 h-2 bg-gray-500 rounded-full animate-bounce"
+                            style={{ animationDelay: "0.1s" }}
+                          />
+                          <span
+                            className="w-2 h-2 bg-gray-500 rounded-full animate-bounce"
+                            style={{ animationDelay: "0.2s" }}
+                          />
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
-              )}
-
-              <div ref={messagesEndRef} />
-            </div>
+                  )}
 
-            {/* Input */}
-            <form
-              onSubmit={sendMessage}
-              className="p-4 border-t border-white/10 bg-white/5 backdrop-blur-md"
-            >
-              {/* Conversation mode indicator */}
-              {conversationModeRef.current && isListening && (
-                <div className="flex items-center justify-center gap-2 mb-2 text-xs text-violet-400">
-                  <span className="w-2 h-2 bg-violet-500 rounded-full animate-pulse" />
-                  <span>
-                    Conversation mode - speak naturally, I'm listening...
-                  </span>
+                  <div ref={messagesEndRef} />
                 </div>
-              )}
-              <div className="flex gap-2 items-center">
-                {/* Single tap: one-shot voice, Long press: conversation mode */}
-                <button
-                  type="button"
-                  onClick={() => toggleVoiceInput(false)}
-                  onDoubleClick={() => toggleVoiceInput(true)}
-                  className={`p-2 rounded-full transition-colors relative ${
-                    isListening
-                      ? conversationModeRef.current
-                        ? "bg-violet-500 text-white animate-pulse"
-                        : "bg-red-500 text-white animate-pulse"
-                      : "bg-gray-800 text-gray-400 hover:text-white"
-                  }`}
-                  title={
-                    isListening
-                      ? "Stop listening"
-                      : "Click: Voice input | Double-click: Conversation mode"
-                  }
+
+                {/* Input */}
+                <form
+                  onSubmit={sendMessage}
+                  className="p-4 border-t border-white/10 bg-white/5 backdrop-blur-md"
                 >
-                  {isListening ? (
-                    <MicOff className="w-5 h-5" />
-                  ) : (
-                    <Mic className="w-5 h-5" />
-                  )}
-                  {/* Conversation mode indicator dot */}
+                  {/* Conversation mode indicator */}
                   {conversationModeRef.current && isListening && (
-                    <span className="absolute -top-1 -right-1 w-3 h-3 bg-violet-300 rounded-full border-2 border-gray-900" />
+                    <div className="flex items-center justify-center gap-2 mb-2 text-xs text-violet-400">
+                      <span className="w-2 h-2 bg-violet-500 rounded-full animate-pulse" />
+                      <span>
+                        Conversation mode - speak naturally, I'm listening...
+                      </span>
+                    </div>
                   )}
-                </button>
-                <input
-                  ref={inputRef}
-                  type="text"
-                  value={input}
-                  onChange={(e) => setInput(e.target.value)}
-                  placeholder={
-                    isListening
-                      ? language === "bn"
-                        ? "শুনছি..."
-                        : "Listening..."
-                      : language === "bn"
-                      ? "আপনার প্রশ্ন লিখুন..."
-                      : "Type your message..."
-                  }
-                  className="flex-1 bg-white/10 text-white px-4 py-2 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-primary/50 border border-white/10 placeholder-gray-400"
-                  disabled={isLoading}
-                />
-
-                <button
-                  id="companion-send-btn"
-                  type="submit"
-                  disabled={!input.trim() || isLoading}
-                  className="p-2 rounded-full bg-gradient-to-r from-primary to-secondary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-primary/20"
-                >
-                  <Send className="w-5 h-5" />
-                </button>
+                  <div className="flex gap-2 items-center">
+                    {/* Single tap: one-shot voice, Long press: conversation mode */}
+                    <button
+                      type="button"
+                      onClick={() => toggleVoiceInput(false)}
+                      onDoubleClick={() => toggleVoiceInput(true)}
+                      className={`p-2 rounded-full transition-colors relative ${
+                        isListening
+                          ? conversationModeRef.current
+                            ? "bg-violet-500 text-white animate-pulse"
+                            : "bg-red-500 text-white animate-pulse"
+                          : "bg-gray-800 text-gray-400 hover:text-white"
+                      }`}
+                      title={
+                        isListening
+                          ? "Stop listening"
+                          : "Click: Voice input | Double-click: Conversation mode"
+                      }
+                    >
+                      {isListening ? (
+                        <MicOff className="w-5 h-5" />
+                      ) : (
+                        <Mic className="w-5 h-5" />
+                      )}
+                      {/* Conversation mode indicator dot */}
+                      {conversationModeRef.current && isListening && (
+                        <span className="absolute -top-1 -right-1 w-3 h-3 bg-violet-300 rounded-full border-2 border-gray-900" />
+                      )}
+                    </button>
+                    <input
+                      ref={inputRef}
+                      type="text"
+                      value={input}
+                      onChange={(e) => setInput(e.target.value)}
+                      placeholder={
+                        isListening
+                          ? language === "bn"
+                            ? "শুনছি..."
+                            : "Listening..."
+                          : language === "bn"
+                          ? "আপনার প্রশ্ন লিখুন..."
+                          : "Type your message..."
+                      }
+                      className="flex-1 bg-white/10 text-white px-4 py-2 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-primary/50 border border-white/10 placeholder-gray-400"
+                      disabled={isLoading}
+                    />
+
+                    <button
+                      id="companion-send-btn"
+                      type="submit"
+                      disabled={!input.trim() || isLoading}
+                      className="p-2 rounded-full bg-gradient-to-r from-primary to-secondary text-white hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-primary/20"
+                    >
+                      <Send className="w-5 h-5" />
+                    </button>
+                  </div>
+                </form>
               </div>
-            </form>
+            </div>
           </motion.div>
         )}
       </AnimatePresence>
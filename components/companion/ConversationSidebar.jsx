@@ -0,0 +1,309 @@
+"use client";
+
+/**
+ * Conversation Sidebar
+ *
+ * Past conversations of the AI companion: full-text search, active and
+ * archived lists, and rename, archive and delete actions. Picking a
+ * conversation resumes it in the chat.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  Search,
+  Plus,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  Trash2,
+  Loader2,
+  MessageSquare,
+  X,
+} from "lucide-react";
+import {
+  listConversations,
+  updateConversation,
+  deleteConversation,
+} from "@/lib/conversations";
+
+// Wait after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+const LABELS = {
+  en: {
+    search: "Search conversations",
+    newChat: "New chat",
+    active: "Active",
+    archived: "Archived",
+    empty: "No conversations yet",
+    noMatches: "No matching conversations",
+    rename: "Rename",
+    archive: "Archive",
+    restore: "Restore",
+    delete: "Delete",
+    confirmDelete: "Delete this conversation? This can't be undone.",
+    close: "Close",
+  },
+  bn: {
+    search: "কথোপকথন খুঁজুন",
+    newChat: "নতুন চ্যাট",
+    active: "সক্রিয়",
+    archived: "আর্কাইভ",
+    empty: "এখনও কোনো কথোপকথন নেই",
+    noMatches: "মিলে যাওয়া কোনো কথোপকথন নেই",
+    rename: "নাম পরিবর্তন",
+    archive: "আর্কাইভ করুন",
+    restore: "ফিরিয়ে আনুন",
+    delete: "মুছুন",
+    confirmDelete: "এই কথোপকথনটি মুছবেন? এটি আর ফেরানো যাবে না।",
+    close: "বন্ধ করুন",
+  },
+};
+
+/**
+ * Short date of a conversation's last update
+ */
+function formatUpdated(date, language) {
+  const updated = new Date(date);
+  const sameDay = updated.toDateString() === new Date().toDateString();
+  const locale = language === "bn" ? "bn-BD" : undefined;
+  return sameDay
+    ? updated.toLocaleTimeString(locale, { hour: "numeric", minute: "2-digit" })
+    : updated.toLocaleDateString(locale, { month: "short", day: "numeric" });
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.language - 'en' or 'bn'
+ * @param {string|null} props.activeId - ID of the open conversation
+ * @param {boolean} props.expanded - Shown as a column next to the chat, or over it
+ * @param {number} props.version - Changes whenever the open conversation changes, to reload the list
+ * @param {Function} props.onSelect - Called with a conversation ID to resume it
+ * @param {Function} props.onNewChat - Starts a new conversation
+ * @param {Function} props.onRenamed - Called with (id, title)
+ * @param {Function} props.onRemoved - Called with the ID of a deleted or archived conversation
+ * @param {Function} props.onClose - Hides the sidebar
+ */
+export default function ConversationSidebar({
+  language,
+  activeId,
+  expanded,
+  version,
+  onSelect,
+  onNewChat,
+  onRenamed,
+  onRemoved,
+  onClose,
+}) {
+  const labels = LABELS[language] || LABELS.en;
+  const [search, setSearch] = useState("");
+  const [archived, setArchived] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, title }
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    const timer = setTimeout(
+      () => {
+        listConversations({ search: search.trim(), archived, limit: 50 })
+          .then((data) => {
+            if (cancelled) return;
+            setConversations(data.conversations);
+            setError(null);
+          })
+          .catch((err) => {
+            if (!cancelled) setError(err.message);
+          })
+          .finally(() => {
+            if (!cancelled) setLoading(false);
+          });
+      },
+      search ? SEARCH_DELAY_MS : 0
+    );
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, archived, version, reloadKey]);
+
+  const handleRename = async () => {
+    // Enter then blur would rename twice
+    if (!editing) return;
+    const { id, title } = editing;
+    setEditing(null);
+    const trimmed = title.trim();
+    if (!trimmed || trimmed === conversations.find((c) => c.id === id)?.title) return;
+
+    try {
+      const updated = await updateConversation(id, { title: trimmed });
+      setConversations((prev) => prev.map((c) => (c.id === id ? { ...c, title: updated.title } : c)));
+      onRenamed(id, updated.title);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleArchive = async (conversation) => {
+    try {
+      await updateConversation(conversation.id, { archived: !conversation.archived });
+      setConversations((prev) => prev.filter((c) => c.id !== conversation.id));
+      if (!conversation.archived) onRemoved(conversation.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (conversation) => {
+    if (!window.confirm(labels.confirmDelete)) return;
+
+    try {
+      await deleteConversation(conversation.id);
+      setConversations((prev) => prev.filter((c) => c.id !== conversation.id));
+      onRemoved(conversation.id);
+    } catch (err) {
+      setError(err.message);
+      setReloadKey((key) => key + 1);
+    }
+  };
+
+  const iconButton = "p-1 rounded text-gray-500 hover:text-white hover:bg-white/10 transition-colors";
+
+  return (
+    <div
+      className={`flex flex-col bg-black/90 backdrop-blur-md border-white/10 ${
+        expanded ? "w-72 flex-shrink-0 border-r" : "absolute inset-0 z-10"
+      }`}
+    >
+      <div className="p-3 space-y-2 border-b border-white/10">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onNewChat}
+            className="flex-1 flex items-center justify-center gap-1.5 py-1.5 text-sm rounded-lg bg-primary/80 hover:bg-primary text-white transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            {labels.newChat}
+          </button>
+          {!expanded && (
+            <button onClick={onClose} className={iconButton} title={labels.close}>
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+        <div className="relative">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-gray-500" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            maxLength={100}
+            placeholder={labels.search}
+            className="w-full pl-8 pr-3 py-1.5 text-sm bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-primary"
+          />
+        </div>
+        <div className="flex gap-1 text-xs">
+          {[false, true].map((value) => (
+            <button
+              key={String(value)}
+              onClick={() => setArchived(value)}
+              className={`flex-1 py-1 rounded-md transition-colors ${
+                archived === value ? "bg-white/15 text-white" : "text-gray-500 hover:text-white"
+              }`}
+            >
+              {value ? labels.archived : labels.active}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {error && <p className="px-2 py-1 text-xs text-red-400">{error}</p>}
+
+        {loading && conversations.length === 0 ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-5 h-5 text-gray-500 animate-spin" />
+          </div>
+        ) : conversations.length === 0 ? (
+          <p className="px-2 py-6 text-center text-sm text-gray-500">
+            {search.trim() ? labels.noMatches : labels.empty}
+          </p>
+        ) : (
+          conversations.map((conversation) => (
+            <div
+              key={conversation.id}
+              className={`group rounded-lg px-2 py-2 cursor-pointer transition-colors ${
+                conversation.id === activeId ? "bg-white/15" : "hover:bg-white/5"
+              }`}
+              onClick={() => editing?.id !== conversation.id && onSelect(conversation.id)}
+            >
+              <div className="flex items-center gap-2">
+                <MessageSquare className="w-3.5 h-3.5 text-gray-500 flex-shrink-0" />
+                {editing?.id === conversation.id ? (
+                  <input
+                    value={editing.title}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    onBlur={handleRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleRename();
+                      if (e.key === "Escape") setEditing(null);
+                    }}
+                    onClick={(e) => e.stopPropagation()}
+                    maxLength={100}
+                    autoFocus
+                    className="flex-1 min-w-0 bg-white/10 rounded px-1 text-sm text-white focus:outline-none"
+                  />
+                ) : (
+                  <span className="flex-1 min-w-0 truncate text-sm text-white">
+                    {conversation.title}
+                  </span>
+                )}
+                <span className="text-[10px] text-gray-500 flex-shrink-0 group-hover:hidden">
+                  {formatUpdated(conversation.updatedAt, language)}
+                </span>
+                <div
+                  className="hidden group-hover:flex items-center flex-shrink-0"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <button
+                    onClick={() => setEditing({ id: conversation.id, title: conversation.title })}
+                    className={iconButton}
+                    title={labels.rename}
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => handleArchive(conversation)}
+                    className={iconButton}
+                    title={conversation.archived ? labels.restore : labels.archive}
+                  >
+                    {conversation.archived ? (
+                      <ArchiveRestore className="w-3 h-3" />
+                    ) : (
+                      <Archive className="w-3 h-3" />
+                    )}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(conversation)}
+                    className={`${iconButton} hover:text-red-400`}
+                    title={labels.delete}
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+              {(conversation.match?.excerpt || conversation.lastMessage) && (
+                <p className="mt-0.5 pl-5 text-xs text-gray-500 line-clamp-2">
+                  {conversation.match?.excerpt || conversation.lastMessage}
+                </p>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
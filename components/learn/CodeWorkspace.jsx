@@ -1,10 +1,50 @@
 "use client";
 
 import { useRef, useState, useEffect } from "react";
+import { useRouter, usePathname, useSearchParams } from "next/navigation";
 import { Editor } from "@monaco-editor/react";
-import { executeCode } from "@/app/api/Piston/api";
+import { executeFiles } from "@/app/api/Piston/api";
 import { generateReview } from "@/lib/actions/codeReview";
-import { CODE_SNIPPETS } from "@/app/constants";
+import { starterCode } from "@/app/constants";
+import { useRuntimes } from "@/hooks/useRuntimes";
+import {
+  createProject,
+  addFile,
+  renameFile,
+  deleteFile,
+  updateFile,
+  languageForFile,
+  LANGUAGE_EXTENSIONS,
+  sameFiles,
+  toExecutionFiles,
+  loadProject,
+  saveProject,
+  createTestSet,
+  normalizeTestSet,
+  addTestCase,
+  updateTestCase,
+  deleteTestCase,
+  sameTestSet,
+  parseArgs,
+  checkTestRun,
+} from "@/lib/projects";
+import {
+  getSnippet,
+  createSnippet,
+  updateSnippet,
+  deleteSnippet,
+  forkSnippet,
+  getRevision,
+} from "@/lib/snippets";
+import {
+  ReviewDecorations,
+  anchoredFindings,
+  moveFindings,
+  removeFinding,
+  changedLineRanges,
+  mergeReview,
+  applyFinding,
+} from "@/lib/review";
 
 // Import components
 import EditorHeader from "./editor/EditorHeader";
@@ -12,37 +52,74 @@ import EditorFooter from "./editor/EditorFooter";
 import OutputPanel from "./editor/OutputPanel";
 import AIReviewPanel from "./editor/AIReviewPanel";
 import KeyboardShortcuts from "./editor/KeyboardShortcuts";
+import SnippetBrowser from "./editor/SnippetBrowser";
+import FixPreview from "./editor/FixPreview";
+import TestPanel from "./editor/TestPanel";
+import FileTree from "@/components/ui/FileTree";
 
 // Import error boundary
 import { FeatureErrorBoundary } from "@/components/error";
 
-const SUPPORTED_LANGUAGES = [
-  { id: "javascript", name: "JavaScript" },
-  { id: "python", name: "Python" },
-  { id: "java", name: "Java" },
-  { id: "cpp", name: "C++" },
-  { id: "csharp", name: "C#" },
-  { id: "php", name: "PHP" },
-];
-
 const CodeWorkspace = () => {
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
-  const [value, setValue] = useState("");
+  // The mounted editor, as state so review decorations follow remounts
+  const [editorInstance, setEditorInstance] = useState(null);
   const [language, setLanguage] = useState("javascript");
+  // Multi-file project of the current language: { language, version, files, entry, tests }
+  const [project, setProject] = useState(() => ({
+    ...createProject("javascript", starterCode("javascript")),
+    tests: createTestSet(),
+  }));
+  const [activeFile, setActiveFile] = useState(project.entry);
+  // Editor commands are registered once, so they read the project from here
+  const projectRef = useRef(project);
+  projectRef.current = project;
+  const activeFileRef = useRef(activeFile);
+  activeFileRef.current = activeFile;
+  const { runtimes } = useRuntimes();
+  const runtimesRef = useRef(runtimes);
+  runtimesRef.current = runtimes;
   const [activeTab, setActiveTab] = useState("editor");
   const [output, setOutput] = useState([]);
   const [isError, setIsError] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [review, setReview] = useState("");
+  // Last AI review: { file, text (as reviewed), ranges, issues, suggestions, improvements },
+  // with findings' lines kept in step with edits made since
+  const [review, setReview] = useState(null);
+  const reviewRef = useRef(review);
+  reviewRef.current = review;
+  const reviewDecorationsRef = useRef(null);
+  const [reviewing, setReviewing] = useState(false);
+  // Last result of each test case, by ID (see checkTestRun)
+  const [testResults, setTestResults] = useState({});
+  const [testing, setTesting] = useState(false);
+  // Fix being previewed: { finding, file, original, text, startLine, endLine, replacement }
+  const [fixPreview, setFixPreview] = useState(null);
   const [hasChanges, setHasChanges] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
-  const [fileName, setFileName] = useState("main.js");
   const [cursorPosition, setCursorPosition] = useState({ line: 1, column: 1 });
   const [wordCount, setWordCount] = useState(0);
   const [showKeyboardShortcuts, setShowKeyboardShortcuts] = useState(false);
   const [executionTime, setExecutionTime] = useState(null);
   const [executionTimestamp, setExecutionTimestamp] = useState(null);
+  // Cloud snippet the project was opened from or saved as
+  const [snippet, setSnippet] = useState(null);
+  const snippetRef = useRef(snippet);
+  snippetRef.current = snippet;
+  const [showSnippets, setShowSnippets] = useState(false);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [snippetBusy, setSnippetBusy] = useState(false);
+  const [snippetError, setSnippetError] = useState(null);
+  // Project of another language to open once the language has switched
+  const pendingProjectRef = useRef(null);
+  // Bumped whenever a project is opened, so slower loads don't overwrite newer ones
+  const loadCountRef = useRef(0);
+
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const sharedSnippetId = searchParams.get("snippet");
 
   // Force Monaco theme reload on mount
   useEffect(() => {
@@ -55,42 +132,118 @@ const CodeWorkspace = () => {
     }
   }, []);
 
+  // Each file has its own Monaco model (keeping its undo history and view
+  // state); models are scoped by language so files of different projects
+  // never share one.
+  const modelPath = (name, lang = language) => `${lang}/${name}`;
+
+  const getModel = (name, lang = language) => {
+    const monaco = monacoRef.current;
+    return monaco?.editor.getModel(monaco.Uri.parse(modelPath(name, lang)));
+  };
+
+  // Runtime version a project runs on: its own, or the newest available
+  const versionOf = (current) =>
+    current.version ||
+    runtimesRef.current.find((runtime) => runtime.id === current.language)?.versions[0] ||
+    null;
+
+  // Switches to another project, bringing models left from earlier edits up to date
+  const openProject = (next) => {
+    next.files.forEach((file) => {
+      const model = getModel(file.name, next.language);
+      if (model && model.getValue() !== file.content) model.setValue(file.content);
+    });
+    setProject({ ...next, tests: normalizeTestSet(next.tests) });
+    setActiveFile(next.entry);
+    setReview(null);
+    setTestResults({});
+  };
+
   useEffect(() => {
-    // Load saved code and metadata from localStorage
-    const savedCode = localStorage.getItem(`code-${language}`);
-    const savedMetadata = JSON.parse(
-      localStorage.getItem(`metadata-${language}`) || "{}"
-    );
+    // A snippet of this language is being opened
+    if (pendingProjectRef.current) {
+      openProject(pendingProjectRef.current);
+      pendingProjectRef.current = null;
+      setHasChanges(false);
+      return;
+    }
 
-    if (savedCode) {
-      setValue(savedCode);
-      setFileName(
-        savedMetadata.fileName || `main.${getFileExtension(language)}`
-      );
-      setLastSaved(
-        savedMetadata.lastSaved ? new Date(savedMetadata.lastSaved) : null
-      );
+    // Load the language's draft, with all its files
+    const saved = loadProject(language);
+    const loadId = ++loadCountRef.current;
+    setSnippet(null);
+
+    if (saved) {
+      openProject(saved);
+      setLastSaved(saved.lastSaved ? new Date(saved.lastSaved) : null);
     } else {
-      setValue(CODE_SNIPPETS[language]);
-      setFileName(`main.${getFileExtension(language)}`);
+      openProject(createProject(language, starterCode(language)));
+      setLastSaved(null);
+    }
+    setHasChanges(false);
+
+    // Reattach the snippet the draft came from; it may have been deleted or made private since
+    if (saved?.snippetId) {
+      getSnippet(saved.snippetId)
+        .then((data) => {
+          if (loadCountRef.current !== loadId) return;
+          setSnippet(data);
+          setHasChanges(
+            data.entry !== saved.entry ||
+              !sameFiles(data.files, saved.files) ||
+              !sameTestSet(data.tests, saved.tests)
+          );
+        })
+        .catch(() => {});
     }
   }, [language]);
 
-  const getFileExtension = (lang) => {
-    const extensions = {
-      javascript: "js",
-      python: "py",
-      java: "java",
-      cpp: "cpp",
-      csharp: "cs",
-      php: "php",
+  // Open a snippet shared by link (?snippet=ID)
+  useEffect(() => {
+    if (sharedSnippetId && sharedSnippetId !== snippetRef.current?.id) {
+      handleOpenSnippet(sharedSnippetId, { confirmDiscard: false });
+    }
+  }, [sharedSnippetId]);
+
+  // Review findings are drawn in the editor while their file is open
+  useEffect(() => {
+    if (!editorInstance) return;
+    const decorations = new ReviewDecorations(editorInstance, monacoRef.current, {
+      onMove: (positions) => setReview((current) => current && moveFindings(current, positions)),
+      onPreviewFix: (findingId) => handlePreviewFix(findingId),
+    });
+    reviewDecorationsRef.current = decorations;
+    return () => {
+      decorations.destroy();
+      reviewDecorationsRef.current = null;
     };
-    return extensions[lang] || "txt";
-  };
+  }, [editorInstance]);
+
+  useEffect(() => {
+    reviewDecorationsRef.current?.setFindings(
+      review?.file === activeFile ? anchoredFindings(review) : []
+    );
+  }, [review, activeFile, editorInstance]);
+
+  const activeContent = project.files.find((file) => file.name === activeFile)?.content ?? "";
+
+  // Pass count of the tests that have finished, for the tab badge
+  const finishedTests = project.tests.cases
+    .map((testCase) => testResults[testCase.id])
+    .filter((result) => result && result.status !== "running");
+  const testSummary =
+    finishedTests.length > 0
+      ? {
+          passed: finishedTests.filter((result) => result.status === "passed").length,
+          total: finishedTests.length,
+        }
+      : null;
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
+    setEditorInstance(editor);
 
     // Define Cosmic Glass Theme
     monaco.editor.defineTheme("cosmic-glass", {
@@ -211,19 +364,210 @@ const CodeWorkspace = () => {
     );
   };
 
-  const handleSave = () => {
-    const code = editorRef.current.getValue();
-    const metadata = {
-      fileName,
-      lastSaved: new Date().toISOString(),
-      language,
-    };
+  // Keeps the link in the address bar pointing at the open snippet
+  const showSnippetInUrl = (snippetId) => {
+    router.replace(snippetId ? `${pathname}?snippet=${snippetId}` : pathname, { scroll: false });
+  };
+
+  // Runs a snippet request, reporting failures in the snippets panel
+  const runSnippetRequest = async (request) => {
+    setSnippetBusy(true);
+    setSnippetError(null);
+    try {
+      return await request();
+    } catch (error) {
+      setSnippetError(error.message || "Snippet request failed");
+      setShowSnippets(true);
+      return null;
+    } finally {
+      setSnippetBusy(false);
+    }
+  };
 
-    localStorage.setItem(`code-${language}`, code);
-    localStorage.setItem(`metadata-${language}`, JSON.stringify(metadata));
+  // Makes a snippet the open one, loading its files (or an earlier version's,
+  // as unsaved changes) into the editor. Revisions don't keep test cases, so
+  // the snippet's current ones are kept.
+  const showSnippet = (data, revision) => {
+    const { files, entry, version = null } = revision || data;
+    loadCountRef.current++;
+    setSnippet(data);
+    setLastSaved(new Date(data.contentUpdatedAt));
+    showSnippetInUrl(data.id);
+
+    const next = { language: data.language, version, files, entry, tests: data.tests };
+    saveProject({ ...next, snippetId: data.id });
+    if (data.language !== language) {
+      pendingProjectRef.current = next;
+      setLanguage(data.language);
+    } else {
+      openProject(next);
+    }
+    setHasChanges(Boolean(revision));
+  };
 
-    setLastSaved(new Date());
-    setHasChanges(false);
+  // Saves the whole project to its snippet, or asks for a new snippet's details.
+  // The project is also kept locally as a draft, in case the request fails.
+  const handleSave = async () => {
+    const current = projectRef.current;
+    const open = snippetRef.current;
+    setLastSaved(saveProject({ ...current, version: versionOf(current), snippetId: open?.id }));
+
+    if (!open) {
+      setShowSnippets(true);
+      setShowSaveForm(true);
+      return;
+    }
+    if (!open.isOwner) {
+      await handleForkSnippet();
+      return;
+    }
+
+    const saved = await runSnippetRequest(() =>
+      updateSnippet(open.id, {
+        files: current.files,
+        entry: current.entry,
+        version: versionOf(current),
+        tests: current.tests,
+      })
+    );
+    if (saved) {
+      setSnippet(saved);
+      setLastSaved(new Date(saved.contentUpdatedAt));
+      setHasChanges(false);
+    }
+  };
+
+  const handleOpenSnippet = async (snippetId, { confirmDiscard = true } = {}) => {
+    if (confirmDiscard && hasChanges) {
+      const confirm = window.confirm(
+        "You have unsaved changes. Are you sure you want to open another snippet?"
+      );
+      if (!confirm) return;
+    }
+
+    const data = await runSnippetRequest(() => getSnippet(snippetId));
+    if (data) {
+      setShowSaveForm(false);
+      showSnippet(data);
+    }
+  };
+
+  const handleCreateSnippet = async (details) => {
+    const { files, entry, tests } = projectRef.current;
+    const version = versionOf(projectRef.current);
+    const saved = await runSnippetRequest(() =>
+      createSnippet({ ...details, language, version, files, entry, tests })
+    );
+    if (saved) {
+      setShowSaveForm(false);
+      showSnippet(saved);
+    }
+  };
+
+  const handleUpdateSnippet = async (changes) => {
+    const saved = await runSnippetRequest(() => updateSnippet(snippetRef.current.id, changes));
+    if (saved) setSnippet(saved);
+  };
+
+  // Forks the open snippet into the user's library, keeping unsaved changes
+  const handleForkSnippet = async () => {
+    const { files, entry, tests } = projectRef.current;
+    const version = versionOf(projectRef.current);
+    const saved = await runSnippetRequest(async () => {
+      const fork = await forkSnippet(snippetRef.current.id);
+      if (fork.entry === entry && fork.version === version && sameFiles(fork.files, files)) {
+        return sameTestSet(fork.tests, tests) ? fork : updateSnippet(fork.id, { tests });
+      }
+      return updateSnippet(fork.id, {
+        files,
+        entry,
+        version,
+        tests,
+        message: "Changes made before forking",
+      });
+    });
+    if (saved) {
+      setSnippet(saved);
+      setLastSaved(new Date(saved.contentUpdatedAt));
+      setHasChanges(false);
+      saveProject({ ...projectRef.current, snippetId: saved.id });
+      showSnippetInUrl(saved.id);
+    }
+  };
+
+  // Owners restore an earlier version (saving the current one as a revision);
+  // others open it in the editor
+  const handleRestoreRevision = async (revisionId) => {
+    const open = snippetRef.current;
+    const revision = await runSnippetRequest(() => getRevision(open.id, revisionId));
+    if (!revision) return;
+
+    if (!open.isOwner) {
+      showSnippet(open, revision);
+      return;
+    }
+    if (hasChanges && !window.confirm("Restoring replaces your unsaved changes. Continue?")) {
+      return;
+    }
+
+    const saved = await runSnippetRequest(() =>
+      updateSnippet(open.id, {
+        files: revision.files,
+        entry: revision.entry,
+        version: revision.version ?? null,
+        message: `Restored the version from ${new Date(revision.createdAt).toLocaleString()}`,
+      })
+    );
+    if (saved) showSnippet(saved);
+  };
+
+  const handleDeleteSnippet = async (snippetId) => {
+    const deleted = await runSnippetRequest(() => deleteSnippet(snippetId));
+    if (deleted && snippetRef.current?.id === snippetId) {
+      setSnippet(null);
+      setHasChanges(true);
+      saveProject(projectRef.current);
+      showSnippetInUrl(null);
+    }
+  };
+
+  const handleCreateFile = (name, content = "") => {
+    try {
+      setProject(addFile(projectRef.current, name, content));
+      setActiveFile(name);
+      setHasChanges(true);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleRenameFile = (name, newName) => {
+    try {
+      const next = renameFile(project, name, newName);
+      getModel(name)?.dispose();
+      setProject(next);
+      if (activeFile === name) setActiveFile(newName);
+      setHasChanges(true);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleDeleteFile = (name) => {
+    try {
+      const next = deleteFile(project, name);
+      setProject(next);
+      if (activeFile === name) setActiveFile(next.entry);
+      getModel(name)?.dispose();
+      setHasChanges(true);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleSetEntry = (name) => {
+    setProject((current) => ({ ...current, entry: name }));
+    setHasChanges(true);
   };
 
   const handleReset = () => {
@@ -234,7 +578,9 @@ const CodeWorkspace = () => {
       if (!confirm) return;
     }
 
-    setValue(CODE_SNIPPETS[language]);
+    // Test cases are kept; they usually still describe the exercise
+    project.files.forEach((file) => getModel(file.name)?.dispose());
+    openProject({ ...createProject(language, starterCode(language)), tests: project.tests });
     setHasChanges(false);
     setLastSaved(null);
     setCursorPosition({ line: 1, column: 1 });
@@ -243,7 +589,7 @@ const CodeWorkspace = () => {
     setIsError(false);
     setExecutionTime(null);
     setExecutionTimestamp(null);
-    setReview("");
+    setReview(null);
     setLoading(false);
     setActiveTab("editor");
 
@@ -252,15 +598,21 @@ const CodeWorkspace = () => {
     }
   };
 
-  const handleLanguageChange = (newLanguage) => {
+  // Another runtime version keeps the project; another language opens that language's draft
+  const handleLanguageChange = (newLanguage, newVersion) => {
+    if (newLanguage === language) {
+      setProject((current) => ({ ...current, version: newVersion }));
+      setHasChanges(true);
+      return;
+    }
     if (hasChanges) {
       const confirm = window.confirm(
         "You have unsaved changes. Are you sure you want to change languages?"
       );
       if (!confirm) return;
     }
+    if (snippetRef.current) showSnippetInUrl(null);
     setLanguage(newLanguage);
-    setFileName(`main.${getFileExtension(newLanguage)}`);
   };
 
   const runCode = async () => {
@@ -271,13 +623,18 @@ const CodeWorkspace = () => {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
 
-    const sourceCode = editorRef.current.getValue();
-    if (!sourceCode) return;
+    const { files: projectFiles, entry, tests } = projectRef.current;
+    const files = toExecutionFiles(projectFiles, entry);
+    if (!files[0].content) return;
 
     try {
       setLoading(true);
       const startTime = performance.now();
-      const { run: result } = await executeCode(language, sourceCode);
+      const { run: result } = await executeFiles(language, files, {
+        version: versionOf(projectRef.current),
+        stdin: tests.stdin,
+        args: parseArgs(tests.args),
+      });
       const endTime = performance.now();
 
       setExecutionTime(Math.round(endTime - startTime));
@@ -294,6 +651,82 @@ const CodeWorkspace = () => {
     }
   };
 
+  const handleTestsChange = (changes) => {
+    setProject((current) => ({ ...current, tests: { ...current.tests, ...changes } }));
+    setHasChanges(true);
+  };
+
+  const handleAddTestCase = () => {
+    try {
+      setProject((current) => ({ ...current, tests: addTestCase(current.tests) }));
+      setHasChanges(true);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleChangeTestCase = (id, changes) => {
+    setProject((current) => ({ ...current, tests: updateTestCase(current.tests, id, changes) }));
+    setHasChanges(true);
+  };
+
+  const handleDeleteTestCase = (id) => {
+    setProject((current) => ({ ...current, tests: deleteTestCase(current.tests, id) }));
+    setTestResults(({ [id]: removed, ...rest }) => rest);
+    setHasChanges(true);
+  };
+
+  // Runs test cases one at a time (all of them by default), each with its own
+  // input. A request that fails (e.g. rate limited) stops the rest.
+  const runTests = async (ids) => {
+    const current = projectRef.current;
+    const files = toExecutionFiles(current.files, current.entry);
+    const cases = current.tests.cases.filter((testCase) => !ids || ids.includes(testCase.id));
+    if (cases.length === 0 || !files[0].content) return;
+
+    setTesting(true);
+    setActiveTab("tests");
+    setTestResults((results) => ({
+      ...results,
+      ...Object.fromEntries(cases.map((testCase) => [testCase.id, { status: "running" }])),
+    }));
+
+    try {
+      for (const [index, testCase] of cases.entries()) {
+        try {
+          const startTime = performance.now();
+          const result = await executeFiles(current.language, files, {
+            version: versionOf(current),
+            stdin: testCase.stdin,
+            args: parseArgs(testCase.args),
+          });
+          const duration = result.duration ?? Math.round(performance.now() - startTime);
+          setTestResults((results) => ({
+            ...results,
+            [testCase.id]: checkTestRun(testCase, { ...result, duration }),
+          }));
+        } catch (error) {
+          const skipped = cases.slice(index + 1).map((item) => item.id);
+          setTestResults(({ ...results }) => {
+            results[testCase.id] = {
+              id: testCase.id,
+              status: "error",
+              stderr: error.message || "An error occurred while running the test",
+              duration: null,
+            };
+            skipped.forEach((id) => delete results[id]);
+            return results;
+          });
+          break;
+        }
+      }
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  // Reviews the open file. Once it has been reviewed, only the lines changed
+  // since are reviewed again and the other findings are kept.
   const handleReview = async () => {
     if (!editorRef.current) return;
 
@@ -305,128 +738,115 @@ const CodeWorkspace = () => {
     const code = editorRef.current.getValue();
     if (!code) return;
 
+    const file = activeFileRef.current;
+    const previous =
+      reviewRef.current?.file === file && !reviewRef.current.failed ? reviewRef.current : null;
+    const ranges = previous ? changedLineRanges(previous.text, code) : null;
+    if (ranges && ranges.length === 0) return;
+
     try {
-      setLoading(true);
-      const reviewText = await generateReview(code);
-      setReview(reviewText);
-      setActiveTab("review");
+      setReviewing(true);
+      const result = await generateReview(code, {
+        language: languageForFile(file, projectRef.current.language),
+        ranges: ranges || undefined,
+      });
+      if (result.failed) {
+        setReview({ ...result, file, text: code, ranges: null });
+        setActiveTab("review");
+        return;
+      }
+      // Findings kept from the previous review may have moved while waiting
+      const current = reviewRef.current?.file === file ? reviewRef.current : null;
+      const findings = ranges && current ? mergeReview(current, result, ranges) : result;
+      setReview({ ...findings, file, text: code, ranges });
     } catch (error) {
-      setReview("Failed to get code review. Please try again.");
+      setReview({
+        failed: true,
+        file,
+        text: code,
+        ranges: null,
+        suggestions: [],
+        issues: [
+          {
+            id: "review-error",
+            title: "Error in Generating Review",
+            description: "Failed to get code review. Please try again.",
+            severity: "high",
+            code: null,
+            lineNumber: null,
+            endLineNumber: null,
+          },
+        ],
+        improvements: [],
+      });
       setActiveTab("review");
     } finally {
-      setLoading(false);
+      setReviewing(false);
     }
   };
 
-  const applyCodeFix = (newCode, lineNumber) => {
+  // Opens the editor at a finding's lines
+  const handleShowFinding = async (finding) => {
+    setActiveFile(reviewRef.current.file);
     if (activeTab !== "editor") {
       setActiveTab("editor");
-      setTimeout(() => applyCodeFix(newCode, lineNumber), 100);
-      return;
+      await new Promise((resolve) => setTimeout(resolve, 100));
     }
 
-    if (!editorRef.current || !newCode) return;
-
     const editor = editorRef.current;
-    const maxRetries = 10;
-    let retryCount = 0;
-
-    const tryApplyFix = () => {
-      if (retryCount >= maxRetries) return;
-
-      if (!editor.getModel()) {
-        retryCount++;
-        setTimeout(tryApplyFix, 100);
-        return;
-      }
+    if (!editor) return;
+    const endLine = finding.endLineNumber || finding.lineNumber;
+    editor.revealLinesInCenter(finding.lineNumber, endLine);
+    editor.setSelection({
+      startLineNumber: finding.lineNumber,
+      startColumn: 1,
+      endLineNumber: endLine,
+      endColumn: editor.getModel().getLineMaxColumn(endLine),
+    });
+    editor.focus();
+  };
 
-      try {
-        const model = editor.getModel();
-        const currentValue = model.getValue();
-        const lines = currentValue.split("\n");
-
-        let range;
-        if (lineNumber && lineNumber > 0 && lineNumber <= lines.length) {
-          range = {
-            startLineNumber: lineNumber,
-            startColumn: 1,
-            endLineNumber: lineNumber,
-            endColumn: lines[lineNumber - 1].length + 1,
-          };
-        } else {
-          const bestMatch = findBestMatchingLine(lines, newCode);
-          if (bestMatch.index >= 0) {
-            range = {
-              startLineNumber: bestMatch.index + 1,
-              startColumn: 1,
-              endLineNumber: bestMatch.index + 1,
-              endColumn: lines[bestMatch.index].length + 1,
-            };
-          } else {
-            const position = editor.getPosition();
-            range = {
-              startLineNumber: position.lineNumber,
-              startColumn: position.column,
-              endLineNumber: position.lineNumber,
-              endColumn: position.column,
-            };
-          }
-        }
+  // Shows what a finding's fix changes in its file; nothing is edited yet.
+  // Also called from the editor's quick fix, so it reads only refs.
+  const handlePreviewFix = (findingId) => {
+    const current = reviewRef.current;
+    const finding = anchoredFindings(current).find((item) => item.id === findingId);
+    const file = projectRef.current.files.find((item) => item.name === current?.file);
+    if (!finding || !file) return;
+
+    const patch = applyFinding(file.content, finding);
+    if (patch) {
+      setFixPreview({ finding, file: file.name, original: file.content, ...patch });
+    }
+  };
 
-        const success = editor.executeEdits("ai-fix", [
+  // Applies the previewed fix as an edit of the file's model, so it can be undone
+  const handleApplyFix = () => {
+    const { finding, file, text, startLine, endLine, replacement } = fixPreview;
+    const model = getModel(file);
+    let content = text;
+    if (model) {
+      model.pushStackElement();
+      model.pushEditOperations(
+        [],
+        [
           {
-            range,
-            text: newCode,
-            forceMoveMarkers: true,
+            range: new monacoRef.current.Range(startLine, 1, endLine, model.getLineMaxColumn(endLine)),
+            text: replacement,
           },
-        ]);
-
-        if (success) {
-          setValue(editor.getValue());
-          editor.focus();
-
-          setTimeout(() => {
-            try {
-              const formatAction = editor.getAction(
-                "editor.action.formatDocument"
-              );
-              if (formatAction) {
-                formatAction.run();
-              }
-            } catch (formatError) {
-              // Formatting failed silently
-            }
-          }, 100);
-        }
-      } catch (error) {
-        // Edit failed silently
-      }
-    };
-
-    tryApplyFix();
-  };
-
-  const findBestMatchingLine = (lines, newCode) => {
-    const newCodeTrimmed = newCode.trim();
-    let bestIndex = -1;
-    let bestScore = 0;
-
-    lines.forEach((line, index) => {
-      const lineTrimmed = line.trim();
-      let score = 0;
-      const words = newCodeTrimmed.split(/\W+/);
-
-      words.forEach((word) => {
-        if (lineTrimmed.includes(word)) score++;
-      });
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestIndex = index;
-      }
-    });
+        ],
+        () => null
+      );
+      model.pushStackElement();
+      content = model.getValue();
+    }
 
-    return { index: bestIndex, score: bestScore };
+    setProject((current) => updateFile(current, file, content));
+    setReview((current) => current && removeFinding(current, finding.id));
+    setHasChanges(true);
+    setFixPreview(null);
+    setActiveFile(file);
+    setActiveTab("editor");
   };
 
   const handleExport = () => {
@@ -435,7 +855,7 @@ const CodeWorkspace = () => {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = fileName;
+    a.download = activeFile.split("/").pop();
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -445,14 +865,21 @@ const CodeWorkspace = () => {
   const handleImport = () => {
     const input = document.createElement("input");
     input.type = "file";
-    input.accept = ".js,.py,.java,.cpp,.cs,.php";
+    input.accept = Object.values(LANGUAGE_EXTENSIONS).map((extension) => `.${extension}`).join(",");
+    // Uploaded files are added to the project, replacing a file of the same name
     input.onchange = async (e) => {
       const file = e.target.files[0];
-      if (file) {
-        const text = await file.text();
-        setValue(text);
-        setFileName(file.name);
+      if (!file) return;
+
+      const text = await file.text();
+      const name = file.name.replace(/[^\w.-]/g, "_");
+      if (project.files.some((existing) => existing.name === name)) {
+        getModel(name)?.setValue(text);
+        setProject((current) => updateFile(current, name, text));
+        setActiveFile(name);
         setHasChanges(true);
+      } else {
+        handleCreateFile(name, text);
       }
     };
     input.click();
@@ -462,11 +889,11 @@ const CodeWorkspace = () => {
     <FeatureErrorBoundary feature="Code Editor" variant="card">
       <div className="flex flex-col h-full bg-gray-900 text-gray-300">
         <EditorHeader
-          fileName={fileName}
+          fileName={activeFile}
           language={language}
-          languages={SUPPORTED_LANGUAGES}
+          version={project.version}
           onLanguageChange={handleLanguageChange}
-          onFileNameChange={setFileName}
+          onFileNameChange={(name) => handleRenameFile(activeFile, name)}
           onExport={handleExport}
           onImport={handleImport}
           onCopy={() =>
@@ -474,242 +901,312 @@ const CodeWorkspace = () => {
           }
           onClear={handleReset}
           showKeyboardShortcuts={() => setShowKeyboardShortcuts(true)}
+          showSnippets={showSnippets}
+          onToggleSnippets={() => setShowSnippets((prev) => !prev)}
           onRun={runCode}
           onReview={handleReview}
           onTabChange={setActiveTab}
           activeTab={activeTab}
-          isRunning={loading && activeTab === "output"}
-          isReviewing={loading && activeTab === "review"}
+          isRunning={loading}
+          isReviewing={reviewing}
           hasOutput={output.length > 0}
-          hasReview={review !== ""}
+          hasReview={review !== null}
+          testSummary={testSummary}
         />
 
-        <div className="flex-1 relative">
+        <div className="flex-1 relative flex">
           {activeTab === "editor" && (
-            <Editor
-              height="100%"
-              theme="cosmic-glass"
-              language={language}
-              value={value}
-              onChange={(newValue) => {
-                setValue(newValue);
-                setHasChanges(true);
-              }}
-              onMount={handleEditorDidMount}
-              options={{
-                // Font & Display
-                fontSize: 14,
-                fontFamily:
-                  "'Fira Code', 'Cascadia Code', 'JetBrains Mono', monospace",
-                fontLigatures: true, // Enable font ligatures (e.g., => becomes arrow)
-                lineHeight: 22,
-                letterSpacing: 0.5,
-
-                // Minimap (Code Overview)
-                minimap: {
-                  enabled: true,
-                  side: "right",
-                  showSlider: "mouseover",
-                  renderCharacters: false, // Faster rendering
-                  maxColumn: 80,
-                  scale: 1,
-                },
-
-                // Line Numbers & Guides
-                lineNumbers: "on",
-                lineNumbersMinChars: 3,
-                glyphMargin: true, // Space for breakpoints/icons
-                renderLineHighlight: "all", // Highlight current line
-                renderLineHighlightOnlyWhenFocus: false,
-                guides: {
-                  indentation: true,
-                  highlightActiveIndentation: true,
-                  bracketPairs: true,
-                  bracketPairsHorizontal: "active",
-                },
-
-                // Scrolling
-                scrollBeyondLastLine: false,
-                smoothScrolling: true,
-                scrollbar: {
-                  vertical: "visible",
-                  horizontal: "visible",
-                  useShadows: true,
-                  verticalScrollbarSize: 14,
-                  horizontalScrollbarSize: 14,
-                  arrowSize: 30,
-                },
-
-                // Whitespace & Formatting
-                renderWhitespace: "selection",
-                renderControlCharacters: true,
-                formatOnPaste: true,
-                formatOnType: true,
-                autoIndent: "full",
-                tabSize: 2,
-                insertSpaces: true,
-                detectIndentation: true,
-                trimAutoWhitespace: true,
-
-                // Bracket Matching
-                bracketPairColorization: {
-                  enabled: true,
-                  independentColorPoolPerBracketType: true,
-                },
-                matchBrackets: "always",
-                autoClosingBrackets: "always",
-                autoClosingQuotes: "always",
-                autoClosingDelete: "always",
-                autoClosingOvertype: "always",
-                autoSurround: "languageDefined",
-
-                // Word Wrap
-                wordWrap: "on",
-                wordWrapColumn: 120,
-                wrappingIndent: "indent",
-                wrappingStrategy: "advanced",
-
-                // IntelliSense & Suggestions
-                suggestOnTriggerCharacters: true,
-                acceptSuggestionOnCommitCharacter: true,
-                acceptSuggestionOnEnter: "on",
-                tabCompletion: "on",
-                quickSuggestions: {
-                  other: true,
-                  comments: true,
-                  strings: true,
-                },
-                quickSuggestionsDelay: 10,
-                suggestSelection: "first",
-                snippetSuggestions: "top", // Show snippets first
-                wordBasedSuggestions: true,
-                wordBasedSuggestionsMode: "matchingDocuments",
-
-                // Inline Suggestions (GitHub Copilot-style)
-                inlineSuggest: {
-                  enabled: true,
-                  mode: "subwordSmart",
-                },
-
-                // Parameter Hints
-                parameterHints: {
-                  enabled: true,
-                  cycle: true,
-                },
-
-                // Code Folding
-                folding: true,
-                foldingHighlight: true,
-                foldingStrategy: "indentation",
-                foldingImportsByDefault: false,
-                showFoldingControls: "mouseover",
-                unfoldOnClickAfterEndOfLine: true,
-
-                // Find & Replace
-                find: {
-                  addExtraSpaceOnTop: true,
-                  autoFindInSelection: "multiline",
-                  seedSearchStringFromSelection: "selection",
-                  globalFindClipboard: false,
-                },
-
-                // Multi-Cursor & Selection
-                multiCursorModifier: "ctrlCmd",
-                multiCursorMergeOverlapping: true,
-                multiCursorPaste: "spread",
-                selectionHighlight: true,
-                occurrencesHighlight: true,
-                selectionClipboard: false,
-
-                // Context Menu & Interactions
-                contextmenu: true,
-                mouseWheelZoom: true,
-                mouseWheelScrollSensitivity: 1,
-                fastScrollSensitivity: 5,
-                links: true,
-                colorDecorators: true,
-
-                // Code Lens (Inline code info)
-                codeLens: true,
-                codeLensFontFamily: "'Fira Code', monospace",
-                codeLensFontSize: 12,
-
-                // Sticky Scroll (Keep function/class names visible)
-                stickyScroll: {
-                  enabled: true,
-                  maxLineCount: 5,
-                },
-
-                // Hover
-                hover: {
-                  enabled: true,
-                  delay: 300,
-                  sticky: true,
-                },
-
-                // Performance
-                renderValidationDecorations: "on",
-                renderFinalNewline: "on",
-                unicodeHighlight: {
-                  ambiguousCharacters: true,
-                  invisibleCharacters: true,
-                },
-
-                // Accessibility
-                accessibilitySupport: "auto",
-                accessibilityPageSize: 10,
-
-                // Cursor
-                cursorBlinking: "smooth",
-                cursorSmoothCaretAnimation: "on",
-                cursorStyle: "line",
-                cursorWidth: 2,
-
-                // Padding
-                padding: {
-                  top: 16,
-                  bottom: 16,
-                },
-              }}
-            />
-          )}
-
-          {activeTab === "output" && (
-            <OutputPanel
-              output={output}
-              isError={isError}
-              onClose={() => setActiveTab("editor")}
-              onClear={() => setOutput([])}
-              timestamp={executionTimestamp}
-              executionTime={executionTime}
-            />
-          )}
-
-          {activeTab === "review" && review && (
-            <AIReviewPanel review={review} />
+            <div className="w-48 shrink-0">
+              <FileTree
+                files={project.files.map((file) => ({ id: file.name, name: file.name }))}
+                activeId={activeFile}
+                entryId={project.entry}
+                onSelect={setActiveFile}
+                onCreate={handleCreateFile}
+                onRename={handleRenameFile}
+                onDelete={handleDeleteFile}
+                onSetEntry={handleSetEntry}
+              />
+            </div>
           )}
-
-          {loading && (
-            <div className="absolute inset-0 bg-black/20 flex items-center justify-center backdrop-blur-sm">
-              <div className="bg-gray-800 rounded-lg shadow-xl p-4 flex items-center space-x-3">
-                <div className="animate-spin w-5 h-5 border-2 border-blue-500 border-t-transparent rounded-full" />
-                <span className="text-sm font-medium">
-                  {activeTab === "review"
-                    ? "Analyzing code..."
-                    : "Running code..."}
-                </span>
+          <div className="flex-1 relative">
+            {activeTab === "editor" && (
+              <Editor
+                height="100%"
+                theme="cosmic-glass"
+                path={modelPath(activeFile)}
+                language={languageForFile(activeFile, language)}
+                defaultValue={activeContent}
+                onChange={(newValue) => {
+                  setProject((current) => updateFile(current, activeFile, newValue ?? ""));
+                  setHasChanges(true);
+                }}
+                onMount={handleEditorDidMount}
+                options={{
+                  // Font & Display
+                  fontSize: 14,
+                  fontFamily:
+                    "'Fira Code', 'Cascadia Code', 'JetBrains Mono', monospace",
+                  fontLigatures: true, // Enable font ligatures (e.g., => becomes arrow)
+                  lineHeight: 22,
+                  letterSpacing: 0.5,
+
+                  // Minimap (Code Overview)
+                  minimap: {
+                    enabled: true,
+                    side: "right",
+                    showSlider: "mouseover",
+                    renderCharacters: false, // Faster rendering
+                    maxColumn: 80,
+                    scale: 1,
+                  },
+
+                  // Line Numbers & Guides
+                  lineNumbers: "on",
+                  lineNumbersMinChars: 3,
+                  glyphMargin: true, // Space for breakpoints/icons
+                  renderLineHighlight: "all", // Highlight current line
+                  renderLineHighlightOnlyWhenFocus: false,
+                  guides: {
+                    indentation: true,
+                    highlightActiveIndentation: true,
+                    bracketPairs: true,
+                    bracketPairsHorizontal: "active",
+                  },
+
+                  // Scrolling
+                  scrollBeyondLastLine: false,
+                  smoothScrolling: true,
+                  scrollbar: {
+                    vertical: "visible",
+                    horizontal: "visible",
+                    useShadows: true,
+                    verticalScrollbarSize: 14,
+                    horizontalScrollbarSize: 14,
+                    arrowSize: 30,
+                  },
+
+                  // Whitespace & Formatting
+                  renderWhitespace: "selection",
+                  renderControlCharacters: true,
+                  formatOnPaste: true,
+                  formatOnType: true,
+                  autoIndent: "full",
+                  tabSize: 2,
+                  insertSpaces: true,
+                  detectIndentation: true,
+                  trimAutoWhitespace: true,
+
+                  // Bracket Matching
+                  bracketPairColorization: {
+                    enabled: true,
+                    independentColorPoolPerBracketType: true,
+                  },
+                  matchBrackets: "always",
+                  autoClosingBrackets: "always",
+                  autoClosingQuotes: "always",
+                  autoClosingDelete: "always",
+                  autoClosingOvertype: "always",
+                  autoSurround: "languageDefined",
+
+                  // Word Wrap
+                  wordWrap: "on",
+                  wordWrapColumn: 120,
+                  wrappingIndent: "indent",
+                  wrappingStrategy: "advanced",
+
+                  // IntelliSense & Suggestions
+                  suggestOnTriggerCharacters: true,
+                  acceptSuggestionOnCommitCharacter: true,
+                  acceptSuggestionOnEnter: "on",
+                  tabCompletion: "on",
+                  quickSuggestions: {
+                    other: true,
+                    comments: true,
+                    strings: true,
+                  },
+                  quickSuggestionsDelay: 10,
+                  suggestSelection: "first",
+                  snippetSuggestions: "top", // Show snippets first
+                  wordBasedSuggestions: true,
+                  wordBasedSuggestionsMode: "matchingDocuments",
+
+                  // Inline Suggestions (GitHub Copilot-style)
+                  inlineSuggest: {
+                    enabled: true,
+                    mode: "subwordSmart",
+                  },
+
+                  // Parameter Hints
+                  parameterHints: {
+                    enabled: true,
+                    cycle: true,
+                  },
+
+                  // Code Folding
+                  folding: true,
+                  foldingHighlight: true,
+                  foldingStrategy: "indentation",
+                  foldingImportsByDefault: false,
+                  showFoldingControls: "mouseover",
+                  unfoldOnClickAfterEndOfLine: true,
+
+                  // Find & Replace
+                  find: {
+                    addExtraSpaceOnTop: true,
+                    autoFindInSelection: "multiline",
+                    seedSearchStringFromSelection: "selection",
+                    globalFindClipboard: false,
+                  },
+
+                  // Multi-Cursor & Selection
+                  multiCursorModifier: "ctrlCmd",
+                  multiCursorMergeOverlapping: true,
+                  multiCursorPaste: "spread",
+                  selectionHighlight: true,
+                  occurrencesHighlight: true,
+                  selectionClipboard: false,
+
+                  // Context Menu & Interactions
+                  contextmenu: true,
+                  mouseWheelZoom: true,
+                  mouseWheelScrollSensitivity: 1,
+                  fastScrollSensitivity: 5,
+                  links: true,
+                  colorDecorators: true,
+
+                  // Code Lens (Inline code info)
+                  codeLens: true,
+                  codeLensFontFamily: "'Fira Code', monospace",
+                  codeLensFontSize: 12,
+
+                  // Sticky Scroll (Keep function/class names visible)
+                  stickyScroll: {
+                    enabled: true,
+                    maxLineCount: 5,
+                  },
+
+                  // Hover
+                  hover: {
+                    enabled: true,
+                    delay: 300,
+                    sticky: true,
+                  },
+
+                  // Performance
+                  renderValidationDecorations: "on",
+                  renderFinalNewline: "on",
+                  unicodeHighlight: {
+                    ambiguousCharacters: true,
+                    invisibleCharacters: true,
+                  },
+
+                  // Accessibility
+                  accessibilitySupport: "auto",
+                  accessibilityPageSize: 10,
+
+                  // Cursor
+                  cursorBlinking: "smooth",
+                  cursorSmoothCaretAnimation: "on",
+                  cursorStyle: "line",
+                  cursorWidth: 2,
+
+                  // Padding
+                  padding: {
+                    top: 16,
+                    bottom: 16,
+                  },
+                }}
+              />
+            )}
+
+            {activeTab === "output" && (
+              <OutputPanel
+                output={output}
+                isError={isError}
+                onClose={() => setActiveTab("editor")}
+                onClear={() => setOutput([])}
+                timestamp={executionTimestamp}
+                executionTime={executionTime}
+              />
+            )}
+
+            {activeTab === "tests" && (
+              <TestPanel
+                tests={project.tests}
+                results={testResults}
+                running={testing}
+                onChange={handleTestsChange}
+                onAddCase={handleAddTestCase}
+                onChangeCase={handleChangeTestCase}
+                onDeleteCase={handleDeleteTestCase}
+                onRunTests={runTests}
+              />
+            )}
+
+            {activeTab === "review" && review && (
+              <AIReviewPanel
+                review={review}
+                onShowInEditor={handleShowFinding}
+                onPreviewFix={handlePreviewFix}
+              />
+            )}
+
+            {(loading || reviewing) && (
+              <div className="absolute inset-0 bg-black/20 flex items-center justify-center backdrop-blur-sm">
+                <div className="bg-gray-800 rounded-lg shadow-xl p-4 flex items-center space-x-3">
+                  <div className="animate-spin w-5 h-5 border-2 border-blue-500 border-t-transparent rounded-full" />
+                  <span className="text-sm font-medium">
+                    {reviewing
+                      ? "Analyzing code..."
+                      : "Running code..."}
+                  </span>
+                </div>
               </div>
+            )}
+          </div>
+
+          {showSnippets && (
+            <div className="w-80 shrink-0">
+              <SnippetBrowser
+                language={language}
+                snippet={snippet}
+                showSaveForm={showSaveForm}
+                busy={snippetBusy}
+                error={snippetError}
+                onShowSaveForm={setShowSaveForm}
+                onOpen={handleOpenSnippet}
+                onCreate={handleCreateSnippet}
+                onUpdate={handleUpdateSnippet}
+                onFork={handleForkSnippet}
+                onRestore={handleRestoreRevision}
+                onDelete={handleDeleteSnippet}
+                onClose={() => setShowSnippets(false)}
+              />
             </div>
           )}
         </div>
 
         <EditorFooter
+          snippetTitle={snippet?.title}
           language={language}
           position={cursorPosition}
           wordCount={wordCount}
           lastSaved={lastSaved}
         />
 
+        {fixPreview && (
+          <FixPreview
+            finding={fixPreview.finding}
+            fileName={fixPreview.file}
+            language={languageForFile(fixPreview.file, language)}
+            original={fixPreview.original}
+            modified={fixPreview.text}
+            onApply={handleApplyFix}
+            onClose={() => setFixPreview(null)}
+          />
+        )}
+
         {showKeyboardShortcuts && (
           <KeyboardShortcuts onClose={() => setShowKeyboardShortcuts(false)} />
         )}
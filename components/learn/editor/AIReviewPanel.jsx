@@ -7,9 +7,17 @@ import {
   FiAlertTriangle,
   FiInfo,
   FiZap,
+  FiCrosshair,
+  FiGitPullRequest,
 } from "react-icons/fi";
+import { formatRanges } from "@/lib/review";
 
-const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle }) => {
+const lineLabel = (item) =>
+  item.endLineNumber > item.lineNumber
+    ? `Lines ${item.lineNumber}-${item.endLineNumber}`
+    : `Line ${item.lineNumber}`;
+
+const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle, onShowInEditor, onPreviewFix }) => {
   return (
     <div className="mb-4">
       <button
@@ -34,7 +42,7 @@ const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle }) => {
         <div className="mt-2 space-y-2">
           {items.map((item, index) => (
             <div
-              key={index}
+              key={item.id || index}
               className="p-4 bg-gray-800/50 rounded-lg border border-gray-700"
             >
               <div className="flex items-start justify-between">
@@ -53,6 +61,16 @@ const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle }) => {
                   </span>
                 )}
               </div>
+              {item.lineNumber && (
+                <button
+                  onClick={() => onShowInEditor(item)}
+                  className="mt-1 flex items-center gap-1 text-xs text-gray-500 hover:text-blue-400"
+                  title="Show in editor"
+                >
+                  <FiCrosshair className="w-3 h-3" />
+                  {lineLabel(item)}
+                </button>
+              )}
               <p className="mt-2 text-sm text-gray-400">{item.description}</p>
               {item.code && (
                 <div className="mt-3">
@@ -61,6 +79,15 @@ const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle }) => {
                       <code>{item.code}</code>
                     </pre>
                   </div>
+                  {item.lineNumber && (
+                    <button
+                      onClick={() => onPreviewFix(item.id)}
+                      className="mt-2 flex items-center gap-1.5 px-2 py-1 text-xs rounded-md bg-gray-700 text-gray-200 hover:bg-gray-600"
+                    >
+                      <FiGitPullRequest className="w-3 h-3" />
+                      Preview fix
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -71,7 +98,17 @@ const ReviewSection = ({ title, items, icon: Icon, isExpanded, onToggle }) => {
   );
 };
 
-const AIReviewPanel = ({ review }) => {
+/**
+ * Findings of the AI review, by section
+ * Findings tied to lines link to them in the editor, and their suggested code
+ * can be previewed as a fix.
+ *
+ * @param {Object} props
+ * @param {Object} props.review - Review; `ranges` is set when only changed lines were re-reviewed
+ * @param {Function} props.onShowInEditor - Called with a finding to reveal its lines
+ * @param {Function} props.onPreviewFix - Called with a finding ID to preview its fix
+ */
+const AIReviewPanel = ({ review, onShowInEditor, onPreviewFix }) => {
   const [expandedSection, setExpandedSection] = useState("issues"); // Default to issues being open
 
   if (!review || typeof review !== "object") {
@@ -95,6 +132,12 @@ const AIReviewPanel = ({ review }) => {
       {/* Header */}
       <div className="flex-none px-4 py-3 bg-gray-800 border-b border-gray-700">
         <h2 className="text-lg font-medium text-gray-100">AI Code Review</h2>
+        {review.file && (
+          <p className="text-xs text-gray-400">
+            {review.file}
+            {review.ranges && ` · re-reviewed changed lines ${formatRanges(review.ranges)}`}
+          </p>
+        )}
       </div>
 
       {/* Scrollable Content */}
@@ -106,6 +149,8 @@ const AIReviewPanel = ({ review }) => {
             icon={FiAlertTriangle}
             isExpanded={expandedSection === "issues"}
             onToggle={() => handleSectionToggle("issues")}
+            onShowInEditor={onShowInEditor}
+            onPreviewFix={onPreviewFix}
           />
           <ReviewSection
             title="Suggestions"
@@ -113,6 +158,8 @@ const AIReviewPanel = ({ review }) => {
             icon={FiInfo}
             isExpanded={expandedSection === "suggestions"}
             onToggle={() => handleSectionToggle("suggestions")}
+            onShowInEditor={onShowInEditor}
+            onPreviewFix={onPreviewFix}
           />
           <ReviewSection
             title="Improvements"
@@ -120,6 +167,8 @@ const AIReviewPanel = ({ review }) => {
             icon={FiZap}
             isExpanded={expandedSection === "improvements"}
             onToggle={() => handleSectionToggle("improvements")}
+            onShowInEditor={onShowInEditor}
+            onPreviewFix={onPreviewFix}
           />
         </div>
       </div>
@@ -1,9 +1,9 @@
 "use client";
 
 import { useState, useEffect } from 'react';
-import { FiGitBranch, FiClock } from 'react-icons/fi';
+import { FiGitBranch, FiClock, FiCloud } from 'react-icons/fi';
 
-const EditorFooter = ({ language, position, wordCount, lastSaved }) => {
+const EditorFooter = ({ language, position, wordCount, lastSaved, snippetTitle }) => {
   const [time, setTime] = useState(new Date());
 
   useEffect(() => {
@@ -38,6 +38,10 @@ const EditorFooter = ({ language, position, wordCount, lastSaved }) => {
           <FiGitBranch className="w-3 h-3 text-gray-500" />
           <span>main</span>
         </div>
+        <div className="flex items-center space-x-2 max-w-[12rem]">
+          <FiCloud className="w-3 h-3 text-gray-500 shrink-0" />
+          <span className="truncate">{snippetTitle || 'Local draft'}</span>
+        </div>
         <div>
           Ln {position.line}, Col {position.column}
         </div>
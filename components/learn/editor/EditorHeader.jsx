@@ -1,13 +1,14 @@
 "use client";
 
 import { useState } from 'react';
-import { FiEdit2, FiDownload, FiUpload, FiCopy, FiTrash2, FiChevronDown } from 'react-icons/fi';
+import { FiEdit2, FiDownload, FiUpload, FiCopy, FiTrash2, FiCloud } from 'react-icons/fi';
+import LanguageSelector from '@/components/ui/LanguageSelector';
 import { FaPlay, FaRobot, FaKeyboard } from 'react-icons/fa';
 
 const EditorHeader = ({
   fileName,
   language,
-  languages,
+  version,
   onLanguageChange,
   onFileNameChange,
   onExport,
@@ -15,6 +16,8 @@ const EditorHeader = ({
   onCopy,
   onClear,
   showKeyboardShortcuts,
+  showSnippets,
+  onToggleSnippets,
   onRun,
   onReview,
   onTabChange,
@@ -23,10 +26,10 @@ const EditorHeader = ({
   isReviewing,
   hasOutput,
   hasReview,
+  testSummary,
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editValue, setEditValue] = useState(fileName);
-  const [showLanguageMenu, setShowLanguageMenu] = useState(false);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -34,8 +37,6 @@ const EditorHeader = ({
     setIsEditing(false);
   };
 
-  const currentLanguage = languages?.find(lang => lang.id === language) || { id: language, name: language };
-
   return (
     <div className="border-b border-gray-700">
       {/* Top bar with file info and actions */}
@@ -56,7 +57,10 @@ const EditorHeader = ({
             <div className="flex items-center space-x-2">
               <span className="text-sm font-medium">{fileName}</span>
               <button
-                onClick={() => setIsEditing(true)}
+                onClick={() => {
+                  setEditValue(fileName);
+                  setIsEditing(true);
+                }}
                 className="text-gray-400 hover:text-white"
               >
                 <FiEdit2 className="w-4 h-4" />
@@ -64,39 +68,22 @@ const EditorHeader = ({
             </div>
           )}
           
-          <div className="relative">
-            <button
-              onClick={() => setShowLanguageMenu(!showLanguageMenu)}
-              className="flex items-center space-x-2 px-2 py-1 rounded-md text-sm text-gray-400 hover:text-white hover:bg-gray-700"
-            >
-              <span>{currentLanguage.name}</span>
-              <FiChevronDown className={`w-4 h-4 transition-transform ${showLanguageMenu ? 'rotate-180' : ''}`} />
-            </button>
-            
-            {showLanguageMenu && (
-              <div className="absolute top-full left-0 mt-1 w-48 bg-gray-800 rounded-md shadow-lg border border-gray-700 py-1 z-10">
-                {languages.map((lang) => (
-                  <button
-                    key={lang.id}
-                    onClick={() => {
-                      onLanguageChange(lang.id);
-                      setShowLanguageMenu(false);
-                    }}
-                    className={`w-full text-left px-4 py-2 text-sm ${
-                      lang.id === language
-                        ? 'bg-gray-700 text-white'
-                        : 'text-gray-400 hover:bg-gray-700 hover:text-white'
-                    }`}
-                  >
-                    {lang.name}
-                  </button>
-                ))}
-              </div>
-            )}
-          </div>
+          <LanguageSelector
+            variant="dark"
+            language={language}
+            version={version}
+            onSelect={onLanguageChange}
+          />
         </div>
 
         <div className="flex items-center space-x-2">
+          <button
+            onClick={onToggleSnippets}
+            className={`p-2 rounded-md ${showSnippets ? 'text-blue-400' : 'text-gray-400 hover:text-white'}`}
+            title="Snippets"
+          >
+            <FiCloud className="w-4 h-4" />
+          </button>
           <button
             onClick={onCopy}
             className="p-2 text-gray-400 hover:text-white rounded-md"
@@ -211,6 +198,28 @@ const EditorHeader = ({
             )}
           </button>
 
+          <button
+            onClick={() => onTabChange('tests')}
+            className={`flex items-center space-x-2 px-3 py-1.5 rounded-md text-sm transition-colors ${
+              activeTab === 'tests'
+                ? 'bg-gray-700 text-white'
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <span>Input & Tests</span>
+            {testSummary && (
+              <span
+                className={`px-1.5 text-xs rounded-full ${
+                  testSummary.passed === testSummary.total
+                    ? 'bg-green-900/50 text-green-300'
+                    : 'bg-red-900/50 text-red-300'
+                }`}
+              >
+                {testSummary.passed}/{testSummary.total}
+              </span>
+            )}
+          </button>
+
           <button
             onClick={() => onTabChange('review')}
             className={`flex items-center space-x-2 px-3 py-1.5 rounded-md text-sm transition-colors ${
@@ -0,0 +1,81 @@
+"use client";
+
+import { DiffEditor } from '@monaco-editor/react';
+import { FiX, FiCheck } from 'react-icons/fi';
+
+/**
+ * Side-by-side diff of a file before and after an AI review fix
+ * Nothing changes in the editor until the fix is applied; applying it can be
+ * undone like any other edit.
+ *
+ * @param {Object} props
+ * @param {Object} props.finding - Finding whose fix is previewed
+ * @param {string} props.fileName - File the fix applies to
+ * @param {string} props.language - Monaco language ID of the file
+ * @param {string} props.original - File content now
+ * @param {string} props.modified - File content with the fix
+ * @param {Function} props.onApply - Applies the fix
+ * @param {Function} props.onClose - Closes the preview
+ */
+const FixPreview = ({ finding, fileName, language, original, modified, onApply, onClose }) => {
+  const lines =
+    finding.endLineNumber > finding.lineNumber
+      ? `lines ${finding.lineNumber}-${finding.endLineNumber}`
+      : `line ${finding.lineNumber}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-gray-900 rounded-lg shadow-xl w-full max-w-5xl h-[80vh] flex flex-col overflow-hidden">
+        <div className="flex items-start justify-between px-6 py-4 border-b border-gray-700">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-white truncate">{finding.title}</h2>
+            <p className="text-sm text-gray-400">
+              {fileName}, {lines}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <FiX size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0">
+          <DiffEditor
+            height="100%"
+            theme="cosmic-glass"
+            language={language}
+            original={original}
+            modified={modified}
+            options={{
+              readOnly: true,
+              renderSideBySide: true,
+              minimap: { enabled: false },
+              scrollBeyondLastLine: false,
+              fontSize: 14,
+            }}
+          />
+        </div>
+
+        <div className="flex items-center justify-end gap-2 px-6 py-3 border-t border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded-md text-sm text-gray-400 hover:text-white hover:bg-gray-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onApply}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-blue-600 text-white hover:bg-blue-700"
+          >
+            <FiCheck className="w-4 h-4" />
+            Apply fix
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FixPreview;
@@ -0,0 +1,378 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import {
+  FiX,
+  FiSearch,
+  FiLink,
+  FiGitBranch,
+  FiEdit2,
+  FiTrash2,
+  FiClock,
+  FiLock,
+  FiGlobe,
+  FiEyeOff,
+  FiPlus,
+} from 'react-icons/fi';
+import { listSnippets, snippetShareUrl } from '@/lib/snippets';
+import SnippetForm from './SnippetForm';
+
+const VISIBILITY_ICONS = {
+  private: FiLock,
+  unlisted: FiEyeOff,
+  public: FiGlobe,
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Snippet library of the learn workspace
+ * Shows the open snippet (details, share link, fork, revision history) above
+ * the user's snippets or the public library, which can be searched and
+ * opened. The workspace performs the requests that change its project.
+ *
+ * @param {Object} props
+ * @param {string} props.language - Workspace language, used to filter the list
+ * @param {Object} [props.snippet] - Open snippet, with its revision summaries
+ * @param {boolean} [props.showSaveForm=false] - Ask for the details of a new snippet
+ * @param {boolean} [props.busy=false] - A snippet request is in progress
+ * @param {string} [props.error] - Why the last snippet request failed
+ * @param {Function} props.onShowSaveForm - Shows or hides the new snippet form
+ * @param {Function} props.onOpen - Called with the ID of a snippet to open
+ * @param {Function} props.onCreate - Called with the details of a new snippet
+ * @param {Function} props.onUpdate - Called with changes to the open snippet's details
+ * @param {Function} props.onFork - Forks the open snippet
+ * @param {Function} props.onRestore - Called with the ID of a revision to restore
+ * @param {Function} props.onDelete - Called with the ID of a snippet to delete
+ * @param {Function} props.onClose - Closes the panel
+ */
+const SnippetBrowser = ({
+  language,
+  snippet,
+  showSaveForm = false,
+  busy = false,
+  error,
+  onShowSaveForm,
+  onOpen,
+  onCreate,
+  onUpdate,
+  onFork,
+  onRestore,
+  onDelete,
+  onClose,
+}) => {
+  const [scope, setScope] = useState('mine');
+  const [search, setSearch] = useState('');
+  const [allLanguages, setAllLanguages] = useState(false);
+  const [results, setResults] = useState({ snippets: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [listError, setListError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Reload when the filters change, and after the open snippet is saved
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await listSnippets({
+          scope,
+          search: search.trim(),
+          language: allLanguages ? undefined : language,
+        });
+        if (!cancelled) {
+          setResults(data);
+          setListError(null);
+        }
+      } catch (loadError) {
+        if (!cancelled) setListError(loadError.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scope, search, allLanguages, language, snippet?.id, snippet?.updatedAt]);
+
+  useEffect(() => {
+    setEditing(false);
+    setShowHistory(false);
+  }, [snippet?.id]);
+
+  // Private snippets can't be opened by others; offer to make it unlisted first
+  const handleShare = async () => {
+    if (snippet.visibility === 'private') {
+      if (!snippet.isOwner) return;
+      const confirm = window.confirm(
+        'This snippet is private. Make it unlisted, so anyone with the link can open it?'
+      );
+      if (!confirm) return;
+      await onUpdate({ visibility: 'unlisted' });
+    }
+    await navigator.clipboard.writeText(snippetShareUrl(snippet.id));
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  const handleDelete = (item) => {
+    if (window.confirm(`Delete "${item.title}"? Its history is deleted too.`)) {
+      onDelete(item.id);
+    }
+  };
+
+  const VisibilityIcon = snippet ? VISIBILITY_ICONS[snippet.visibility] : null;
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 text-gray-300 border-l border-gray-700">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <span className="text-sm font-medium text-white">Snippets</span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onShowSaveForm(!showSaveForm)}
+            className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white"
+            title="Save the project as a new snippet"
+          >
+            <FiPlus className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white"
+            title="Close"
+          >
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-3 py-2 text-xs text-red-400 border-b border-gray-700">{error}</div>
+      )}
+
+      {showSaveForm && (
+        <div className="p-3 border-b border-gray-700">
+          <p className="mb-2 text-xs uppercase tracking-wide text-gray-500">New snippet</p>
+          <SnippetForm
+            submitLabel="Save snippet"
+            busy={busy}
+            onSubmit={onCreate}
+            onCancel={() => onShowSaveForm(false)}
+          />
+        </div>
+      )}
+
+      {snippet && !showSaveForm && (
+        <div className="p-3 border-b border-gray-700 text-sm">
+          {editing ? (
+            <SnippetForm
+              initialValues={snippet}
+              submitLabel="Save details"
+              busy={busy}
+              onSubmit={async (details) => {
+                await onUpdate(details);
+                setEditing(false);
+              }}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <>
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="font-medium text-white truncate">{snippet.title}</p>
+                  <p className="flex items-center gap-1 text-xs text-gray-500">
+                    <VisibilityIcon className="w-3 h-3" />
+                    {snippet.visibility}
+                    {!snippet.isOwner && snippet.ownerName && ` · by ${snippet.ownerName}`}
+                  </p>
+                </div>
+                {snippet.isOwner && (
+                  <button
+                    onClick={() => setEditing(true)}
+                    className="p-1 text-gray-400 hover:text-white"
+                    title="Edit details"
+                  >
+                    <FiEdit2 className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </div>
+              {snippet.description && (
+                <p className="mt-1 text-xs text-gray-400">{snippet.description}</p>
+              )}
+              {snippet.forkedFrom && (
+                <button
+                  onClick={() => onOpen(snippet.forkedFrom.id)}
+                  className="mt-1 text-xs text-blue-400 hover:underline"
+                >
+                  Forked from {snippet.forkedFrom.title}
+                </button>
+              )}
+              {snippet.tags.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {snippet.tags.map((tag) => (
+                    <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-800 text-xs text-gray-400">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  onClick={handleShare}
+                  disabled={busy || (snippet.visibility === 'private' && !snippet.isOwner)}
+                  className="flex items-center gap-1 px-2 py-1 rounded-md bg-gray-800 text-xs hover:bg-gray-700 disabled:opacity-50"
+                >
+                  <FiLink className="w-3.5 h-3.5" />
+                  {linkCopied ? 'Link copied' : 'Share'}
+                </button>
+                <button
+                  onClick={onFork}
+                  disabled={busy}
+                  className="flex items-center gap-1 px-2 py-1 rounded-md bg-gray-800 text-xs hover:bg-gray-700 disabled:opacity-50"
+                  title="Copy into your snippets, with your unsaved changes"
+                >
+                  <FiGitBranch className="w-3.5 h-3.5" />
+                  Fork{snippet.forkCount > 0 && ` (${snippet.forkCount})`}
+                </button>
+                <button
+                  onClick={() => setShowHistory((prev) => !prev)}
+                  disabled={snippet.revisions.length === 0}
+                  className={`flex items-center gap-1 px-2 py-1 rounded-md text-xs hover:bg-gray-700 disabled:opacity-50 ${
+                    showHistory ? 'bg-gray-700 text-white' : 'bg-gray-800'
+                  }`}
+                >
+                  <FiClock className="w-3.5 h-3.5" />
+                  History ({snippet.revisions.length})
+                </button>
+              </div>
+
+              {showHistory && (
+                <ul className="mt-2 max-h-40 overflow-auto space-y-1">
+                  {snippet.revisions.map((revision) => (
+                    <li key={revision.id} className="flex items-center justify-between gap-2 text-xs">
+                      <span className="min-w-0">
+                        <span className="block text-gray-400">{formatDate(revision.createdAt)}</span>
+                        {revision.message && (
+                          <span className="block truncate text-gray-500">{revision.message}</span>
+                        )}
+                      </span>
+                      <button
+                        onClick={() => onRestore(revision.id)}
+                        disabled={busy}
+                        className="shrink-0 text-blue-400 hover:underline disabled:opacity-50"
+                        title={snippet.isOwner ? 'Restore this version' : 'Open this version in the editor'}
+                      >
+                        {snippet.isOwner ? 'Restore' : 'Open'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="px-3 pt-3 pb-2 space-y-2">
+        <div className="flex rounded-md bg-gray-800 p-0.5 text-xs">
+          {[
+            { id: 'mine', name: 'My snippets' },
+            { id: 'public', name: 'Public library' },
+          ].map((option) => (
+            <button
+              key={option.id}
+              onClick={() => setScope(option.id)}
+              className={`flex-1 px-2 py-1 rounded ${
+                scope === option.id ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+        <div className="relative">
+          <FiSearch className="absolute left-2 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-gray-500" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search titles and tags"
+            className="w-full pl-7 pr-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-sm text-white focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-500">
+          <input
+            type="checkbox"
+            checked={allLanguages}
+            onChange={(e) => setAllLanguages(e.target.checked)}
+          />
+          All languages
+        </label>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {listError ? (
+          <p className="px-3 py-2 text-xs text-red-400">{listError}</p>
+        ) : results.snippets.length === 0 ? (
+          <p className="px-3 py-2 text-xs text-gray-500">
+            {loading
+              ? 'Loading...'
+              : scope === 'mine'
+                ? 'No snippets yet. Press Ctrl+S to save your code as one.'
+                : 'No public snippets match.'}
+          </p>
+        ) : (
+          <ul>
+            {results.snippets.map((item) => {
+              const ItemIcon = VISIBILITY_ICONS[item.visibility];
+              return (
+                <li
+                  key={item.id}
+                  onClick={() => onOpen(item.id)}
+                  className={`group px-3 py-2 cursor-pointer border-b border-gray-800 ${
+                    snippet?.id === item.id ? 'bg-gray-800' : 'hover:bg-gray-800/60'
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="flex items-center gap-1.5 min-w-0 text-sm text-white">
+                      <ItemIcon className="w-3 h-3 shrink-0 text-gray-500" />
+                      <span className="truncate">{item.title}</span>
+                    </span>
+                    {item.isOwner && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDelete(item);
+                        }}
+                        className="hidden group-hover:block p-0.5 text-gray-400 hover:text-red-400"
+                        title="Delete"
+                      >
+                        <FiTrash2 className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </div>
+                  <p className="mt-0.5 text-xs text-gray-500 truncate">
+                    {item.language} · {item.files} file{item.files === 1 ? '' : 's'}
+                    {scope === 'public' && item.ownerName && ` · ${item.ownerName}`}
+                    {item.tags.length > 0 && ` · ${item.tags.join(', ')}`}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {results.total > results.snippets.length && (
+          <p className="px-3 py-2 text-xs text-gray-500">
+            Showing {results.snippets.length} of {results.total}; search to narrow them down.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SnippetBrowser;
@@ -0,0 +1,102 @@
+"use client";
+
+import { useState } from 'react';
+
+const VISIBILITY_OPTIONS = [
+  { id: 'private', name: 'Private', hint: 'Only you' },
+  { id: 'unlisted', name: 'Unlisted', hint: 'Anyone with the link' },
+  { id: 'public', name: 'Public', hint: 'Listed in the public library' },
+];
+
+/**
+ * Splits "a, b c" into ["a", "b", "c"]
+ * @param {string} text - Tags as typed
+ * @returns {string[]}
+ */
+const parseTags = (text) =>
+  [...new Set(text.split(/[\s,]+/).map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * Title, description, tags and visibility of a snippet
+ * Used to save the project as a new snippet and to edit a snippet's details.
+ *
+ * @param {Object} props
+ * @param {Object} [props.initialValues] - { title, description, tags, visibility }
+ * @param {string} props.submitLabel - Label of the submit button
+ * @param {boolean} [props.busy=false] - A request is in progress
+ * @param {Function} props.onSubmit - Called with { title, description, tags, visibility }
+ * @param {Function} props.onCancel - Closes the form
+ */
+const SnippetForm = ({ initialValues = {}, submitLabel, busy = false, onSubmit, onCancel }) => {
+  const [title, setTitle] = useState(initialValues.title || '');
+  const [description, setDescription] = useState(initialValues.description || '');
+  const [tags, setTags] = useState((initialValues.tags || []).join(', '));
+  const [visibility, setVisibility] = useState(initialValues.visibility || 'private');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    onSubmit({
+      title: title.trim(),
+      description: description.trim(),
+      tags: parseTags(tags),
+      visibility,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 text-sm">
+      <input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Title"
+        maxLength={100}
+        autoFocus
+        className="w-full px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-white focus:outline-none focus:border-blue-500"
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        maxLength={500}
+        rows={2}
+        className="w-full px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-white resize-none focus:outline-none focus:border-blue-500"
+      />
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, separated by commas"
+        className="w-full px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-white focus:outline-none focus:border-blue-500"
+      />
+      <select
+        value={visibility}
+        onChange={(e) => setVisibility(e.target.value)}
+        className="w-full px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-gray-300"
+      >
+        {VISIBILITY_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.name} — {option.hint}
+          </option>
+        ))}
+      </select>
+      <div className="flex justify-end gap-2 pt-1">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 rounded-md text-gray-400 hover:text-white hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={busy || !title.trim()}
+          className="px-3 py-1.5 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {busy ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SnippetForm;
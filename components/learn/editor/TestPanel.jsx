@@ -0,0 +1,298 @@
+"use client";
+
+import { useState } from "react";
+import {
+  FiPlay,
+  FiPlus,
+  FiTrash2,
+  FiCheckCircle,
+  FiXCircle,
+  FiAlertTriangle,
+  FiChevronDown,
+  FiChevronRight,
+  FiCornerDownLeft,
+} from "react-icons/fi";
+import { MAX_TEST_CASES, MAX_TEST_INPUT_LENGTH } from "@/lib/projects";
+
+const STATUS_STYLES = {
+  passed: { icon: FiCheckCircle, label: "Passed", className: "bg-green-900/50 text-green-300" },
+  failed: { icon: FiXCircle, label: "Failed", className: "bg-red-900/50 text-red-300" },
+  error: { icon: FiAlertTriangle, label: "Error", className: "bg-yellow-900/50 text-yellow-300" },
+};
+
+const fieldClass =
+  "w-full bg-gray-900 border border-gray-700 rounded-md px-3 py-2 font-mono text-sm text-gray-200 placeholder-gray-600 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Expected and actual output side by side, mismatched lines highlighted
+ */
+const OutputDiff = ({ lines }) => {
+  if (lines.length === 0) {
+    return <p className="text-xs text-gray-500">Both outputs are empty.</p>;
+  }
+
+  const cell = (text, match, color) => (
+    <td
+      className={`px-2 py-0.5 whitespace-pre-wrap break-all align-top ${
+        match ? "text-gray-400" : color
+      }`}
+    >
+      {text === null ? <span className="italic text-gray-600">(no line)</span> : text || " "}
+    </td>
+  );
+
+  return (
+    <table className="w-full table-fixed font-mono text-xs border border-gray-700 rounded-md">
+      <thead className="bg-gray-800 text-gray-500">
+        <tr>
+          <th className="w-10 px-2 py-1 text-right font-normal">#</th>
+          <th className="px-2 py-1 text-left font-normal">Expected</th>
+          <th className="px-2 py-1 text-left font-normal">Actual</th>
+        </tr>
+      </thead>
+      <tbody>
+        {lines.map((line) => (
+          <tr key={line.line} className={line.match ? "" : "bg-red-950/40"}>
+            <td className="px-2 py-0.5 text-right text-gray-600 align-top">{line.line}</td>
+            {cell(line.expected, line.match, "text-green-300")}
+            {cell(line.actual, line.match, "text-red-300")}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * One test case: its input and expected output, and the result of its last run
+ */
+const TestCaseCard = ({ testCase, result, disabled, onChange, onRun, onDelete }) => {
+  const [expanded, setExpanded] = useState(true);
+  const status = result && STATUS_STYLES[result.status];
+  const StatusIcon = status?.icon;
+
+  return (
+    <div className="bg-gray-800/50 rounded-lg border border-gray-700">
+      <div className="flex items-center gap-2 px-3 py-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-gray-400 hover:text-white"
+          title={expanded ? "Collapse" : "Expand"}
+        >
+          {expanded ? <FiChevronDown /> : <FiChevronRight />}
+        </button>
+        <input
+          value={testCase.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          maxLength={60}
+          className="flex-1 min-w-0 bg-transparent text-sm font-medium text-white focus:outline-none"
+        />
+        {result?.status === "running" && (
+          <span className="text-xs text-blue-400 animate-pulse">Running...</span>
+        )}
+        {status && (
+          <span className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${status.className}`}>
+            <StatusIcon className="w-3 h-3" />
+            {status.label}
+          </span>
+        )}
+        {result?.duration != null && (
+          <span className="text-xs text-gray-500">{result.duration}ms</span>
+        )}
+        <button
+          onClick={onRun}
+          disabled={disabled}
+          className="p-1.5 rounded-md text-gray-400 hover:text-white hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+          title="Run this test"
+        >
+          <FiPlay className="w-3.5 h-3.5" />
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={disabled}
+          className="p-1.5 rounded-md text-gray-400 hover:text-red-400 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+          title="Delete test"
+        >
+          <FiTrash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-xs text-gray-500">Input (stdin)</span>
+              <textarea
+                value={testCase.stdin}
+                onChange={(e) => onChange({ stdin: e.target.value })}
+                maxLength={MAX_TEST_INPUT_LENGTH}
+                rows={4}
+                className={`mt-1 ${fieldClass}`}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-500">Expected output</span>
+              <textarea
+                value={testCase.expected}
+                onChange={(e) => onChange({ expected: e.target.value })}
+                maxLength={MAX_TEST_INPUT_LENGTH}
+                rows={4}
+                className={`mt-1 ${fieldClass}`}
+              />
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-xs text-gray-500">Arguments</span>
+            <input
+              value={testCase.args}
+              onChange={(e) => onChange({ args: e.target.value })}
+              maxLength={1000}
+              placeholder='e.g. --count 3 "two words"'
+              className={`mt-1 ${fieldClass}`}
+            />
+          </label>
+
+          {result && result.status !== "running" && (
+            <div className="space-y-2">
+              {result.stderr && (
+                <pre className="p-2 bg-gray-900 rounded-md text-xs text-red-400 whitespace-pre-wrap max-h-40 overflow-auto">
+                  {result.stderr}
+                </pre>
+              )}
+              {result.lines && <OutputDiff lines={result.lines} />}
+              {result.status === "failed" && (
+                <button
+                  onClick={() => onChange({ expected: result.stdout })}
+                  className="flex items-center gap-1 text-xs text-gray-500 hover:text-blue-400"
+                  title="Replace the expected output with what the program printed"
+                >
+                  <FiCornerDownLeft className="w-3 h-3" />
+                  Use actual output as expected
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Program input and test cases of the learn workspace
+ * The stdin and arguments at the top are used by "Run Code"; each test case
+ * is run with its own input and its output compared with the expected one.
+ *
+ * @param {Object} props
+ * @param {Object} props.tests - Test set ({ stdin, args, cases }, see lib/projects/tests)
+ * @param {Object} props.results - Last result by test case ID (see checkTestRun), or `{ status: "running" }`
+ * @param {boolean} props.running - Whether tests are running
+ * @param {Function} props.onChange - Called with the updated input ({ stdin?, args? })
+ * @param {Function} props.onAddCase - Adds a test case
+ * @param {Function} props.onChangeCase - Called with (id, changes)
+ * @param {Function} props.onDeleteCase - Called with the test case ID
+ * @param {Function} props.onRunTests - Runs the given test case IDs, or all of them
+ */
+const TestPanel = ({
+  tests,
+  results,
+  running,
+  onChange,
+  onAddCase,
+  onChangeCase,
+  onDeleteCase,
+  onRunTests,
+}) => {
+  const finished = tests.cases.filter(
+    (testCase) => results[testCase.id] && results[testCase.id].status !== "running"
+  );
+  const passed = finished.filter((testCase) => results[testCase.id].status === "passed").length;
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900">
+      <div className="flex-1 overflow-auto p-4 space-y-6">
+        <section>
+          <h2 className="text-sm font-medium text-white mb-2">Program input</h2>
+          <p className="text-xs text-gray-500 mb-3">Used when you click Run Code.</p>
+          <div className="space-y-3">
+            <textarea
+              value={tests.stdin}
+              onChange={(e) => onChange({ stdin: e.target.value })}
+              maxLength={MAX_TEST_INPUT_LENGTH}
+              rows={4}
+              placeholder="Input read from stdin, one line per prompt"
+              className={fieldClass}
+            />
+            <input
+              value={tests.args}
+              onChange={(e) => onChange({ args: e.target.value })}
+              maxLength={1000}
+              placeholder="Command-line arguments"
+              className={fieldClass}
+            />
+          </div>
+        </section>
+
+        <section>
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-3">
+              <h2 className="text-sm font-medium text-white">Test cases</h2>
+              {finished.length > 0 && (
+                <span
+                  className={`px-2 py-0.5 text-xs rounded-full ${
+                    passed === finished.length
+                      ? "bg-green-900/50 text-green-300"
+                      : "bg-red-900/50 text-red-300"
+                  }`}
+                >
+                  {passed}/{finished.length} passed
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={onAddCase}
+                disabled={running || tests.cases.length >= MAX_TEST_CASES}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-md text-sm text-gray-400 hover:text-white hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              >
+                <FiPlus className="w-4 h-4" />
+                Add test
+              </button>
+              <button
+                onClick={() => onRunTests()}
+                disabled={running || tests.cases.length === 0}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <FiPlay className="w-4 h-4" />
+                {running ? "Running..." : "Run all"}
+              </button>
+            </div>
+          </div>
+
+          {tests.cases.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Add a test with some input and the output you expect, then run all tests to check
+              your program.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {tests.cases.map((testCase) => (
+                <TestCaseCard
+                  key={testCase.id}
+                  testCase={testCase}
+                  result={results[testCase.id]}
+                  disabled={running}
+                  onChange={(changes) => onChangeCase(testCase.id, changes)}
+                  onRun={() => onRunTests([testCase.id])}
+                  onDelete={() => onDeleteCase(testCase.id)}
+                />
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default TestPanel;
@@ -3,9 +3,12 @@
 import React, { useState, useRef, useEffect } from 'react';
 import Tooltip from './Tooltip';
 
+/**
+ * Avatars of the collaborators in a room
+ * Each avatar is ringed in the collaborator's color (the same color as their
+ * cursor in the editor), and its tooltip shows the line they are on.
+ */
 const CollaboratorAvatars = ({ collaborators }) => {
-  if (!collaborators || collaborators.length === 0) return null;
-
   const [tooltips, setTooltips] = useState({});
   const [tooltipPositions, setTooltipPositions] = useState({});
   const avatarRefs = useRef({});
@@ -41,6 +44,16 @@ const CollaboratorAvatars = ({ collaborators }) => {
     };
   }, [tooltips]);
 
+  if (!collaborators || collaborators.length === 0) return null;
+
+  const describe = (collaborator) => {
+    const name = collaborator.username || 'Anonymous';
+    if (!collaborator.cursorLine) return name;
+    return collaborator.cursorFile
+      ? `${name} · ${collaborator.cursorFile}:${collaborator.cursorLine}`
+      : `${name} · line ${collaborator.cursorLine}`;
+  };
+
   return (
     <div className="flex items-center">
       <div className="flex -space-x-2 relative">
@@ -60,6 +73,7 @@ const CollaboratorAvatars = ({ collaborators }) => {
           >
             <img
               className="w-8 h-8 rounded-full border-2 border-white bg-white"
+              style={collaborator.color ? { borderColor: collaborator.color } : undefined}
               src={`https://api.dicebear.com/7.x/avataaars/svg?seed=${collaborator.userId}`}
               alt={collaborator.username || 'Anonymous'}
             />
@@ -72,7 +86,7 @@ const CollaboratorAvatars = ({ collaborators }) => {
                   transform: 'translate(-50%, -100%)',
                 }}
               >
-                {collaborator.username || 'Anonymous'}
+                {describe(collaborator)}
               </div>
             </Tooltip>
           </div>
@@ -102,7 +116,7 @@ const CollaboratorAvatars = ({ collaborators }) => {
                   transform: 'translate(-50%, -100%)',
                 }}
               >
-                {collaborators.slice(3).map(c => c.username || 'Anonymous').join(', ')}
+                {collaborators.slice(3).map(describe).join(', ')}
               </div>
             </Tooltip>
           </div>
@@ -0,0 +1,244 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { FiX, FiCopy, FiCheck, FiLink, FiTrash2, FiUserX } from "react-icons/fi";
+import {
+  getRoom,
+  inviteLink,
+  createInvite,
+  revokeInvite,
+  setMemberRole,
+  removeMember,
+} from "@/lib/collab";
+
+const EXPIRY_OPTIONS = [
+  { hours: 1, label: "1 hour" },
+  { hours: 24, label: "1 day" },
+  { hours: 24 * 7, label: "7 days" },
+  { hours: 24 * 30, label: "30 days" },
+];
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+const formatExpiry = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Members and invite links of a private room
+ * Everyone sees who is in the room; the owner also creates and revokes invite
+ * links, changes roles and removes members.
+ *
+ * @param {Object} props
+ * @param {string} props.roomId - Room ID
+ * @param {string} props.role - Current user's role
+ * @param {string} props.currentUserId - Current user's ID
+ * @param {Array} props.collaborators - Members online right now
+ * @param {Function} props.onClose - Closes the panel
+ */
+const RoomAccessPanel = ({ roomId, role, currentUserId, collaborators, onClose }) => {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [expiresInHours, setExpiresInHours] = useState(24);
+  const [copiedId, setCopiedId] = useState(null);
+  const isOwner = role === "owner";
+
+  const refresh = useCallback(async () => {
+    try {
+      const room = await getRoom(roomId);
+      setMembers(room.members);
+      setInvites(room.invites || []);
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, collaborators.length]);
+
+  // Runs an owner action, then reloads the member and invite lists
+  const run = async (key, action) => {
+    setBusy(key);
+    try {
+      const result = await action();
+      await refresh();
+      return result;
+    } catch (actionError) {
+      setError(actionError.message);
+      return null;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(roomId, invite.token));
+      setCopiedId(invite.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      // Copy failed
+    }
+  };
+
+  const handleCreateInvite = async () => {
+    const invite = await run("invite", () => createInvite(roomId, { role: inviteRole, expiresInHours }));
+    if (invite) handleCopy(invite);
+  };
+
+  const handleRemove = (member) => {
+    const confirmed = window.confirm(
+      `Remove ${member.username || "this member"} from the room? They will need a new invite link to come back.`
+    );
+    if (confirmed) run(member.userId, () => removeMember(roomId, member.userId));
+  };
+
+  const onlineIds = new Set(collaborators.map((collaborator) => collaborator.userId));
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 text-gray-200">
+      <div className="flex items-center justify-between px-4 py-2 bg-gray-800 border-b border-gray-700">
+        <span className="font-medium">Share & Members</span>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors"
+          title="Close"
+        >
+          <FiX />
+        </button>
+      </div>
+
+      {error && (
+        <div className="px-4 py-2 text-sm text-red-400 border-b border-gray-700">{error}</div>
+      )}
+
+      <div className="flex-1 overflow-auto">
+        {isOwner ? (
+          <section className="p-3 border-b border-gray-700 space-y-3">
+            <p className="text-xs text-gray-400">
+              This room is private. Anyone with an invite link can join until it expires.
+            </p>
+            <div className="flex items-center gap-2">
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="flex-1 px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-sm"
+              >
+                <option value="editor">Can edit</option>
+                <option value="viewer">Can view</option>
+              </select>
+              <select
+                value={expiresInHours}
+                onChange={(e) => setExpiresInHours(Number(e.target.value))}
+                className="flex-1 px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-sm"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleCreateInvite}
+              disabled={busy === "invite"}
+              className="w-full px-3 py-1.5 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-1.5"
+            >
+              <FiLink />
+              <span>Create & copy invite link</span>
+            </button>
+
+            {invites.length > 0 && (
+              <ul className="space-y-1">
+                {invites.map((invite) => (
+                  <li key={invite.id} className="flex items-center justify-between gap-2 text-xs">
+                    <span className="text-gray-400">
+                      {ROLE_LABELS[invite.role]} · expires {formatExpiry(invite.expiresAt)}
+                      {invite.uses > 0 && ` · used ${invite.uses}×`}
+                    </span>
+                    <span className="flex items-center gap-1 shrink-0">
+                      <button
+                        onClick={() => handleCopy(invite)}
+                        className="p-1 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white"
+                        title="Copy link"
+                      >
+                        {copiedId === invite.id ? <FiCheck className="text-green-400" /> : <FiCopy />}
+                      </button>
+                      <button
+                        onClick={() => run(invite.id, () => revokeInvite(roomId, invite.id))}
+                        disabled={busy === invite.id}
+                        className="p-1 rounded-md hover:bg-gray-700 text-gray-400 hover:text-red-400 disabled:opacity-50"
+                        title="Revoke link"
+                      >
+                        <FiTrash2 />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        ) : (
+          <p className="p-3 text-xs text-gray-400 border-b border-gray-700">
+            This room is private. Ask its owner for an invite link to bring someone in.
+          </p>
+        )}
+
+        <ul className="divide-y divide-gray-800">
+          {members.map((member) => (
+            <li key={member.userId} className="flex items-center justify-between gap-2 px-4 py-2">
+              <div className="min-w-0 flex items-center gap-2">
+                <span
+                  className={`w-2 h-2 rounded-full shrink-0 ${onlineIds.has(member.userId) ? "bg-green-400" : "bg-gray-600"}`}
+                  title={onlineIds.has(member.userId) ? "Online" : "Offline"}
+                />
+                <span className="text-sm truncate">
+                  {member.username || "Unknown"}
+                  {member.userId === currentUserId && <span className="text-gray-500"> (you)</span>}
+                </span>
+              </div>
+              {isOwner && member.role !== "owner" ? (
+                <span className="flex items-center gap-1 shrink-0">
+                  <select
+                    value={member.role}
+                    disabled={busy === member.userId}
+                    onChange={(e) =>
+                      run(member.userId, () => setMemberRole(roomId, member.userId, e.target.value))
+                    }
+                    className="px-1.5 py-1 rounded-md bg-gray-800 border border-gray-700 text-xs"
+                  >
+                    <option value="editor">Editor</option>
+                    <option value="viewer">Viewer</option>
+                  </select>
+                  <button
+                    onClick={() => handleRemove(member)}
+                    disabled={busy === member.userId}
+                    className="p-1 rounded-md hover:bg-gray-700 text-gray-400 hover:text-red-400 disabled:opacity-50"
+                    title="Remove from room"
+                  >
+                    <FiUserX />
+                  </button>
+                </span>
+              ) : (
+                <span className="text-xs text-gray-400 shrink-0">{ROLE_LABELS[member.role]}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default RoomAccessPanel;
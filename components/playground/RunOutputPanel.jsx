@@ -0,0 +1,163 @@
+"use client";
+
+import React, { useState } from "react";
+import { FiX, FiCopy, FiCode, FiTerminal } from "react-icons/fi";
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+const runnerName = (run, currentUserId) =>
+  run.runBy === currentUserId ? "You" : run.runByName || "A member";
+
+const succeeded = (run) => run.exitCode === 0 && !run.signal;
+
+const exitLabel = (run) => {
+  if (run.signal) return `killed (${run.signal})`;
+  return run.exitCode === null ? "no exit code" : `exit ${run.exitCode}`;
+};
+
+/**
+ * Shared output of a collaborative room
+ * Shows the selected run's output (the latest by default) to every member,
+ * who ran it and with which files, above the room's scrollback of runs.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.runs - Run summaries, newest first
+ * @param {Object} [props.activeRun] - Run shown, with its files and output
+ * @param {Object} [props.running] - Member whose run is in progress ({ userId, username })
+ * @param {string} [props.error] - Why the last run failed
+ * @param {string} props.currentUserId - Current user's ID
+ * @param {Function} props.onSelectRun - Called with the ID of a run from the scrollback
+ * @param {Function} props.onClose - Closes the panel
+ */
+const RunOutputPanel = ({ runs, activeRun, running, error, currentUserId, onSelectRun, onClose }) => {
+  const [showCode, setShowCode] = useState(false);
+
+  const handleCopy = () => {
+    if (!activeRun) return;
+    navigator.clipboard.writeText([activeRun.stdout, activeRun.stderr].filter(Boolean).join("\n"));
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 text-gray-200">
+      <div className="flex items-center justify-between px-4 py-2 bg-gray-800 border-b border-gray-700">
+        <div className="flex items-center space-x-3 min-w-0">
+          <span
+            className={`font-medium ${
+              activeRun && !succeeded(activeRun) ? "text-red-400" : "text-green-400"
+            }`}
+          >
+            Output
+          </span>
+          {activeRun && (
+            <span className="text-gray-400 text-sm truncate">
+              {runnerName(activeRun, currentUserId)} · {exitLabel(activeRun)}
+              {activeRun.duration !== null && ` · ${activeRun.duration}ms`}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setShowCode((prev) => !prev)}
+            disabled={!activeRun}
+            className={`p-1.5 rounded-md hover:bg-gray-700 transition-colors disabled:opacity-50 ${
+              showCode ? "text-blue-400" : "text-gray-400 hover:text-white"
+            }`}
+            title={showCode ? "Show output" : "Show the code that was run"}
+          >
+            {showCode ? <FiTerminal /> : <FiCode />}
+          </button>
+          <button
+            onClick={handleCopy}
+            disabled={!activeRun}
+            className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+            title="Copy Output"
+          >
+            <FiCopy />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors"
+            title="Close"
+          >
+            <FiX />
+          </button>
+        </div>
+      </div>
+
+      {running && (
+        <div className="px-4 py-2 text-sm text-blue-400 border-b border-gray-700 animate-pulse">
+          {running.userId === currentUserId ? "Running your code…" : `${running.username || "A member"} is running the code…`}
+        </div>
+      )}
+      {error && (
+        <div className="px-4 py-2 text-sm text-red-400 border-b border-gray-700">{error}</div>
+      )}
+
+      <div className="flex-1 overflow-auto font-mono text-sm p-4">
+        {!activeRun ? (
+          <p className="text-gray-500 font-sans">
+            Output of code runs appears here for everyone in the room.
+          </p>
+        ) : showCode ? (
+          activeRun.files.map((file, index) => (
+            <div key={file.name} className="mb-4">
+              {activeRun.files.length > 1 && (
+                <p className="mb-1 text-xs text-gray-500 font-sans">
+                  {file.name}
+                  {index === 0 && " (entry point)"}
+                </p>
+              )}
+              <pre className="whitespace-pre-wrap text-gray-300">{file.content || "(empty)"}</pre>
+            </div>
+          ))
+        ) : (
+          <>
+            {activeRun.stdout && (
+              <pre className="whitespace-pre-wrap text-gray-300">{activeRun.stdout}</pre>
+            )}
+            {activeRun.stderr && (
+              <pre className="whitespace-pre-wrap text-red-400">{activeRun.stderr}</pre>
+            )}
+            {!activeRun.stdout && !activeRun.stderr && (
+              <p className="text-gray-500">(no output)</p>
+            )}
+            {activeRun.truncated && (
+              <p className="mt-2 text-xs text-amber-400 font-sans">Output was truncated.</p>
+            )}
+          </>
+        )}
+      </div>
+
+      {runs.length > 0 && (
+        <div className="max-h-48 overflow-auto border-t border-gray-700">
+          <p className="px-4 pt-2 pb-1 text-xs uppercase tracking-wide text-gray-500">Runs</p>
+          <ul>
+            {runs.map((run) => (
+              <li key={run.id}>
+                <button
+                  onClick={() => onSelectRun(run.id)}
+                  className={`w-full flex items-center justify-between gap-2 px-4 py-1.5 text-left text-xs hover:bg-gray-800 ${
+                    activeRun?.id === run.id ? "bg-gray-800" : ""
+                  }`}
+                >
+                  <span className="flex items-center gap-2 min-w-0">
+                    <span
+                      className={`w-2 h-2 rounded-full shrink-0 ${succeeded(run) ? "bg-green-400" : "bg-red-400"}`}
+                    />
+                    <span className="truncate">
+                      {runnerName(run, currentUserId)} · {run.language}
+                    </span>
+                  </span>
+                  <span className="text-gray-500 shrink-0">{formatTime(run.createdAt)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunOutputPanel;
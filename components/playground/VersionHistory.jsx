@@ -0,0 +1,223 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { FiX, FiRotateCcw, FiSave, FiEye, FiEyeOff } from "react-icons/fi";
+import { listSnapshots, createSnapshot, getSnapshot } from "@/lib/collab";
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const snapshotName = (snapshot) =>
+  snapshot.label || (snapshot.auto ? "Autosave" : "Saved version");
+
+/**
+ * Lists a room's saved versions and restores them
+ * Restoring replaces the shared project (every file) for everyone in the
+ * room; the project it replaces is saved as a version first, so a restore can
+ * be undone.
+ *
+ * @param {Object} props
+ * @param {string} props.roomId - Room ID
+ * @param {Object} props.session - CollabSession of the room
+ * @param {string} props.language - Current language
+ * @param {string} [props.refreshKey] - Changes when the list may be stale (e.g. after an autosave)
+ * @param {boolean} [props.readOnly=false] - Viewers can browse versions but not save or restore them
+ * @param {Function} props.onClose - Closes the panel
+ */
+const VersionHistory = ({ roomId, session, language, refreshKey, readOnly = false, onClose }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSnapshots(await listSnapshots(roomId));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const handleSaveVersion = async (event) => {
+    event.preventDefault();
+    if (!session) return;
+
+    setBusyId("new");
+    try {
+      await createSnapshot(roomId, {
+        ...session.getProject(),
+        language,
+        label: label.trim() || undefined,
+      });
+      setLabel("");
+      await refresh();
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePreview = async (snapshot) => {
+    if (preview?.id === snapshot.id) {
+      setPreview(null);
+      return;
+    }
+
+    setBusyId(snapshot.id);
+    try {
+      setPreview(await getSnapshot(roomId, snapshot.id));
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    if (!session) return;
+    const name = snapshotName(snapshot);
+    const confirmed = window.confirm(
+      `Restore "${name}" from ${formatDate(snapshot.createdAt)}? This replaces the code for everyone in the room. The current code is saved as a version first.`
+    );
+    if (!confirmed) return;
+
+    setBusyId(snapshot.id);
+    try {
+      const restored = preview?.id === snapshot.id ? preview : await getSnapshot(roomId, snapshot.id);
+      await createSnapshot(roomId, {
+        ...session.getProject(),
+        language,
+        label: `Before restoring ${name}`.slice(0, 100),
+      });
+
+      session.setMeta("language", restored.language);
+      session.replaceFiles(restored.files, restored.entry);
+      setPreview(null);
+      await refresh();
+    } catch (restoreError) {
+      setError(restoreError.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 text-gray-200">
+      <div className="flex items-center justify-between px-4 py-2 bg-gray-800 border-b border-gray-700">
+        <span className="font-medium">Version History</span>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors"
+          title="Close"
+        >
+          <FiX />
+        </button>
+      </div>
+
+      {!readOnly && (
+        <form onSubmit={handleSaveVersion} className="flex items-center gap-2 p-3 border-b border-gray-700">
+          <input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            maxLength={100}
+            placeholder="Version name (optional)"
+            className="flex-1 px-2 py-1.5 rounded-md bg-gray-800 border border-gray-700 text-sm focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!session || busyId === "new"}
+            className="px-3 py-1.5 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <FiSave />
+            <span>Save version</span>
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="px-4 py-2 text-sm text-red-400 border-b border-gray-700">{error}</div>
+      )}
+
+      <div className="flex-1 overflow-auto">
+        {loading ? (
+          <p className="p-4 text-sm text-gray-400">Loading versions…</p>
+        ) : snapshots.length === 0 ? (
+          <p className="p-4 text-sm text-gray-400">
+            No versions yet. Versions are saved automatically every few minutes while the code changes.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-800">
+            {snapshots.map((snapshot) => (
+              <li key={snapshot.id} className="px-4 py-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className={`text-sm truncate ${snapshot.auto ? "text-gray-400" : "font-medium"}`}>
+                      {snapshotName(snapshot)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(snapshot.createdAt)} · {snapshot.language} ·{" "}
+                      {snapshot.files > 1 && `${snapshot.files} files · `}
+                      {snapshot.lines} lines
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button
+                      onClick={() => handlePreview(snapshot)}
+                      disabled={busyId === snapshot.id}
+                      className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+                      title={preview?.id === snapshot.id ? "Hide code" : "Show code"}
+                    >
+                      {preview?.id === snapshot.id ? <FiEyeOff /> : <FiEye />}
+                    </button>
+                    {!readOnly && (
+                      <button
+                        onClick={() => handleRestore(snapshot)}
+                        disabled={!session || busyId === snapshot.id}
+                        className="p-1.5 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+                        title="Restore this version"
+                      >
+                        <FiRotateCcw />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {preview?.id === snapshot.id && (
+                  <div className="mt-2 max-h-64 overflow-auto rounded-md bg-black/40 p-2 text-xs font-mono text-gray-300">
+                    {preview.files.map((file) => (
+                      <div key={file.name}>
+                        {preview.files.length > 1 && (
+                          <p className="text-gray-500">
+                            {file.name}
+                            {file.name === preview.entry && " (entry point)"}
+                          </p>
+                        )}
+                        <pre className="mb-2 whitespace-pre-wrap">{file.content || "(empty)"}</pre>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -1,13 +1,14 @@
 "use client";
 
 import { useState, useRef } from 'react';
-import { FiEdit2, FiDownload, FiUpload, FiCopy, FiTrash2, FiChevronDown } from 'react-icons/fi';
+import { FiEdit2, FiDownload, FiUpload, FiCopy, FiTrash2 } from 'react-icons/fi';
+import LanguageSelector from '@/components/ui/LanguageSelector';
 import { FaPlay } from 'react-icons/fa';
 
 const EditorHeader = ({
   fileName,
   language,
-  languages,
+  version,
   onLanguageChange,
   onFileNameChange,
   onCopy,
@@ -16,10 +17,10 @@ const EditorHeader = ({
   isRunning,
   code,
   onCodeChange,
+  readOnly = false,
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editValue, setEditValue] = useState(fileName);
-  const [showLanguageMenu, setShowLanguageMenu] = useState(false);
   const fileInputRef = useRef(null);
 
   const handleSubmit = (e) => {
@@ -56,8 +57,6 @@ const EditorHeader = ({
     }
   };
 
-  const currentLanguage = languages?.find(lang => lang.id === language) || { id: language, name: language };
-
   return (
     <div className="border-b border-gray-700">
       {/* Hidden file input for import */}
@@ -86,46 +85,28 @@ const EditorHeader = ({
           ) : (
             <div className="flex items-center space-x-2">
               <span className="text-sm text-white font-medium">{fileName}</span>
-              <button
-                onClick={() => setIsEditing(true)}
-                className="text-gray-400 hover:text-white p-1 hover:bg-gray-700 rounded-md"
-                title="Edit filename"
-              >
-                <FiEdit2 className="w-3.5 h-3.5" />
-              </button>
+              {!readOnly && (
+                <button
+                  onClick={() => {
+                    setEditValue(fileName);
+                    setIsEditing(true);
+                  }}
+                  className="text-gray-400 hover:text-white p-1 hover:bg-gray-700 rounded-md"
+                  title="Edit filename"
+                >
+                  <FiEdit2 className="w-3.5 h-3.5" />
+                </button>
+              )}
             </div>
           )}
           
-          <div className="relative">
-            <button
-              onClick={() => setShowLanguageMenu(!showLanguageMenu)}
-              className="flex items-center space-x-2 px-2 py-1 rounded-md text-sm text-gray-400 hover:text-white hover:bg-gray-700"
-            >
-              <span>{currentLanguage.name}</span>
-              <FiChevronDown className={`w-4 h-4 transition-transform ${showLanguageMenu ? 'rotate-180' : ''}`} />
-            </button>
-            
-            {showLanguageMenu && (
-              <div className="absolute top-full left-0 mt-1 w-48 bg-gray-800 rounded-md shadow-lg border border-gray-700 py-1 z-10">
-                {languages.map((lang) => (
-                  <button
-                    key={lang.id}
-                    onClick={() => {
-                      onLanguageChange(lang.id);
-                      setShowLanguageMenu(false);
-                    }}
-                    className={`w-full text-left px-4 py-2 text-sm ${
-                      lang.id === language
-                        ? 'bg-gray-700 text-white'
-                        : 'text-gray-400 hover:bg-gray-700 hover:text-white'
-                    }`}
-                  >
-                    {lang.name}
-                  </button>
-                ))}
-              </div>
-            )}
-          </div>
+          <LanguageSelector
+            variant="dark"
+            language={language}
+            version={version}
+            onSelect={onLanguageChange}
+            disabled={readOnly}
+          />
         </div>
 
         <div className="flex items-center space-x-2">
@@ -143,20 +124,24 @@ const EditorHeader = ({
           >
             <FiDownload className="w-4 h-4" />
           </button>
-          <button
-            onClick={() => fileInputRef.current?.click()}
-            className="p-2 text-gray-400 hover:text-white rounded-md"
-            title="Upload file"
-          >
-            <FiUpload className="w-4 h-4" />
-          </button>
-          <button
-            onClick={onClear}
-            className="p-2 text-gray-400 hover:text-white rounded-md"
-            title="Clear code"
-          >
-            <FiTrash2 className="w-4 h-4" />
-          </button>
+          {!readOnly && (
+            <>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="p-2 text-gray-400 hover:text-white rounded-md"
+                title="Upload file"
+              >
+                <FiUpload className="w-4 h-4" />
+              </button>
+              <button
+                onClick={onClear}
+                className="p-2 text-gray-400 hover:text-white rounded-md"
+                title="Clear code"
+              >
+                <FiTrash2 className="w-4 h-4" />
+              </button>
+            </>
+          )}
         </div>
       </div>
 
@@ -166,9 +151,10 @@ const EditorHeader = ({
         <div className="flex items-center space-x-2">
           <button
             onClick={onRun}
-            disabled={isRunning}
+            disabled={isRunning || readOnly}
+            title={readOnly ? 'Viewers can see runs but not start them' : undefined}
             className={`flex items-center space-x-2 px-4 py-2 rounded-md text-sm font-medium transition-all ${
-              isRunning
+              isRunning || readOnly
                 ? 'bg-blue-500/20 text-blue-400 cursor-not-allowed'
                 : 'bg-blue-600 text-white hover:bg-blue-700'
             }`}
@@ -2,7 +2,8 @@
 import { useRef, useState, useEffect } from "react";
 import { Editor } from "@monaco-editor/react";
 import LanguageSelector from "./LanguageSelector";
-import { CODE_SNIPPETS } from "@/app/constants";
+import { starterCode } from "@/app/constants";
+import { languageInfo } from "@/lib/runtimes";
 import Output from "./Output";
 import Review from "./Review";
 import { executeCode } from '@/app/api/Piston/api';
@@ -13,6 +14,7 @@ const CodeEditor = () => {
   const editorRef = useRef();
   const [value, setValue] = useState("");
   const [language, setLanguage] = useState("javascript");
+  const [version, setVersion] = useState(null);
   const [activeTab, setActiveTab] = useState("Editor");
   const [output, setOutput] = useState([]);
   const [isError, setIsError] = useState(false);
@@ -24,9 +26,11 @@ const CodeEditor = () => {
     editor.focus();
   };
 
-  const onSelect = (language) => {
-    setLanguage(language);
-    setValue(CODE_SNIPPETS[language]);
+  const onSelect = (nextLanguage, nextVersion) => {
+    setVersion(nextVersion);
+    if (nextLanguage === language) return;
+    setLanguage(nextLanguage);
+    setValue(starterCode(nextLanguage));
   };
 
   const runCode = async () => {
@@ -34,7 +38,7 @@ const CodeEditor = () => {
     if (!sourceCode) return;
     try {
       setLoading(true);
-      const { run: result } = await executeCode(language, sourceCode);
+      const { run: result } = await executeCode(language, sourceCode, { version });
       setOutput(result.output.split("\n"));
       result.stderr ? setIsError(true) : setIsError(false);
       setActiveTab("Output");
@@ -89,7 +93,7 @@ const CodeEditor = () => {
   return (
     <div className="flex flex-col bg-white h-auto">
       <div className="flex justify-between items-center py-2 px-6 bg-gray-100">
-        <LanguageSelector language={language} onSelect={onSelect}/>
+        <LanguageSelector language={language} version={version} onSelect={onSelect}/>
         <div className="flex">
           <button onClick={() => setActiveTab("Editor")} className={`px-4 py-2 ${activeTab === "Editor" ? "bg-blue-500 text-white" : "bg-gray-50 text-gray-900"} rounded-l-sm`}>Editor</button>
           <button onClick={() => setActiveTab("Output")} className={`px-4 py-2 ${activeTab === "Output" ? "bg-blue-500 text-white" : "bg-gray-50 text-gray-900"}`}>Output</button>
@@ -113,8 +117,8 @@ const CodeEditor = () => {
           }}
           height="calc(100vh - 10rem)"
           theme="vs-light"
-          language={language}
-          defaultValue={CODE_SNIPPETS[language]}
+          language={languageInfo(language).monaco}
+          defaultValue={starterCode(language)}
           onMount={onMount}
           value={value}
           onChange={(value) => setValue(value)}
@@ -0,0 +1,229 @@
+"use client";
+
+import React, { useState } from "react";
+import { FiFilePlus, FiFile, FiFolder, FiEdit2, FiTrash2, FiPlay } from "react-icons/fi";
+import { validateFileName, compareFileNames, MAX_PROJECT_FILES } from "@/lib/projects";
+
+/**
+ * Rows of the tree: each file, preceded by the folders it opens
+ * @param {Array<{ id: string, name: string }>} files - Files
+ * @returns {Array<Object>} { type: "folder"|"file", name, depth, file? }
+ */
+const buildRows = (files) => {
+  const rows = [];
+  let openFolders = [];
+
+  [...files]
+    .sort((a, b) => compareFileNames(a.name, b.name))
+    .forEach((file) => {
+      const parts = file.name.split("/");
+      const folders = parts.slice(0, -1);
+      let shared = 0;
+      while (shared < folders.length && openFolders[shared] === folders[shared]) shared++;
+
+      for (let depth = shared; depth < folders.length; depth++) {
+        rows.push({ type: "folder", name: folders[depth], depth, key: folders.slice(0, depth + 1).join("/") });
+      }
+      rows.push({ type: "file", name: parts[parts.length - 1], depth: folders.length, key: file.id, file });
+      openFolders = folders;
+    });
+
+  return rows;
+};
+
+/**
+ * Inline form for a new file name
+ */
+const NameForm = ({ initialValue = "", placeholder, onSubmit, onCancel, validate, depth = 0 }) => {
+  const [value, setValue] = useState(initialValue);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const name = value.trim();
+    const problem = validate(name);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSubmit(name);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="px-2 py-1" style={{ paddingLeft: `${0.5 + depth * 0.75}rem` }}>
+      <input
+        value={value}
+        onChange={(e) => {
+          setValue(e.target.value);
+          setError(null);
+        }}
+        onBlur={onCancel}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        placeholder={placeholder}
+        autoFocus
+        className="w-full px-1.5 py-0.5 rounded bg-gray-800 border border-gray-600 text-xs text-white focus:outline-none focus:border-blue-500"
+      />
+      {error && <p className="mt-1 text-xs text-red-400">{error}</p>}
+    </form>
+  );
+};
+
+/**
+ * File tree of a multi-file project
+ * Creates, renames and deletes files and picks the entry point (the file the
+ * program starts from). Folders are part of file names: "lib/utils.py".
+ *
+ * @param {Object} props
+ * @param {Array<{ id: string, name: string }>} props.files - Files; `id` is stable across renames
+ * @param {string} props.activeId - File open in the editor
+ * @param {string} props.entryId - Entry point
+ * @param {boolean} [props.readOnly=false] - Only browse files
+ * @param {Function} props.onSelect - Called with a file's ID
+ * @param {Function} props.onCreate - Called with a new file's name
+ * @param {Function} props.onRename - Called with a file's ID and its new name
+ * @param {Function} props.onDelete - Called with a file's ID
+ * @param {Function} props.onSetEntry - Called with the new entry point's ID
+ */
+const FileTree = ({
+  files,
+  activeId,
+  entryId,
+  readOnly = false,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onSetEntry,
+}) => {
+  const [creating, setCreating] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const names = files.map((file) => file.name);
+  const isFull = files.length >= MAX_PROJECT_FILES;
+
+  const handleDelete = (file) => {
+    if (window.confirm(`Delete ${file.name}? This can't be undone.`)) {
+      onDelete(file.id);
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900 text-gray-300 border-r border-gray-700">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <span className="text-xs uppercase tracking-wide text-gray-500">Files</span>
+        {!readOnly && (
+          <button
+            onClick={() => setCreating(true)}
+            disabled={isFull}
+            className="p-1 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white disabled:opacity-50"
+            title={isFull ? `A project can have at most ${MAX_PROJECT_FILES} files` : "New file"}
+          >
+            <FiFilePlus className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-auto py-1 text-sm">
+        {buildRows(files).map((row) =>
+          row.type === "folder" ? (
+            <div
+              key={`folder:${row.key}`}
+              className="flex items-center gap-1.5 px-2 py-1 text-gray-500"
+              style={{ paddingLeft: `${0.5 + row.depth * 0.75}rem` }}
+            >
+              <FiFolder className="w-3.5 h-3.5 shrink-0" />
+              <span className="truncate">{row.name}</span>
+            </div>
+          ) : renamingId === row.file.id ? (
+            <NameForm
+              key={row.key}
+              depth={row.depth}
+              initialValue={row.file.name}
+              validate={(name) =>
+                name === row.file.name ? null : validateFileName(name, names.filter((n) => n !== row.file.name))
+              }
+              onSubmit={(name) => {
+                setRenamingId(null);
+                if (name !== row.file.name) onRename(row.file.id, name);
+              }}
+              onCancel={() => setRenamingId(null)}
+            />
+          ) : (
+            <div
+              key={row.key}
+              onClick={() => onSelect(row.file.id)}
+              className={`group flex items-center justify-between gap-1 px-2 py-1 cursor-pointer ${
+                row.file.id === activeId ? "bg-gray-800 text-white" : "hover:bg-gray-800/60"
+              }`}
+              style={{ paddingLeft: `${0.5 + row.depth * 0.75}rem` }}
+            >
+              <span className="flex items-center gap-1.5 min-w-0">
+                {row.file.id === entryId ? (
+                  <FiPlay className="w-3.5 h-3.5 shrink-0 text-green-400" title="Entry point" />
+                ) : (
+                  <FiFile className="w-3.5 h-3.5 shrink-0 text-gray-500" />
+                )}
+                <span className="truncate">{row.name}</span>
+              </span>
+              {!readOnly && (
+                <span className="hidden group-hover:flex items-center shrink-0">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setRenamingId(row.file.id);
+                    }}
+                    className="p-0.5 text-gray-400 hover:text-white"
+                    title="Rename"
+                  >
+                    <FiEdit2 className="w-3.5 h-3.5" />
+                  </button>
+                  {files.length > 1 && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(row.file);
+                      }}
+                      className="p-0.5 text-gray-400 hover:text-red-400"
+                      title="Delete"
+                    >
+                      <FiTrash2 className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </span>
+              )}
+            </div>
+          )
+        )}
+
+        {creating && (
+          <NameForm
+            placeholder="name.ext or folder/name.ext"
+            validate={(name) => validateFileName(name, names)}
+            onSubmit={(name) => {
+              setCreating(false);
+              onCreate(name);
+            }}
+            onCancel={() => setCreating(false)}
+          />
+        )}
+      </div>
+
+      {files.length > 1 && (
+        <label className="flex flex-col gap-1 px-3 py-2 border-t border-gray-700 text-xs text-gray-500">
+          Entry point
+          <select
+            value={entryId}
+            onChange={(e) => onSetEntry(e.target.value)}
+            disabled={readOnly}
+            className="px-1.5 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-300 disabled:opacity-60"
+          >
+            {files.map((file) => (
+              <option key={file.id} value={file.id}>{file.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default FileTree;
@@ -1,40 +1,138 @@
-import { LANGUAGE_VERSIONS } from "@/app/constants";
+"use client";
+
 import { useState } from "react";
+import { FiChevronDown } from "react-icons/fi";
+import { useRuntimes } from "@/hooks/useRuntimes";
+import { languageInfo } from "@/lib/runtimes";
 
-const languages = Object.entries(LANGUAGE_VERSIONS);
-const ACTIVE_COLOR = "blue-400";
+const STYLES = {
+  light: {
+    wrapper: "ml-2 mb-2",
+    button:
+      "bg-white border border-gray-300 text-gray-700 px-2 py-1 rounded-md shadow-sm hover:bg-gray-100 transition duration-150 flex items-center justify-between w-full",
+    menu: "absolute z-10 mt-2 w-56 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5",
+    search: "w-full px-3 py-2 text-sm border-b border-gray-200 rounded-t-md focus:outline-none",
+    option: "block w-full text-left px-4 py-2 hover:bg-blue-50 transition duration-150",
+    active: "bg-blue-100 text-blue-600",
+    inactive: "text-gray-900",
+    hint: "text-gray-500 text-sm",
+    versions: "bg-white border border-gray-300 text-gray-700 text-sm px-1 py-1 rounded-md",
+  },
+  dark: {
+    wrapper: "",
+    button:
+      "flex items-center space-x-2 px-2 py-1 rounded-md text-sm text-gray-400 hover:text-white hover:bg-gray-700 disabled:cursor-default disabled:hover:bg-transparent disabled:hover:text-gray-400",
+    menu: "absolute top-full left-0 mt-1 w-56 bg-gray-800 rounded-md shadow-lg border border-gray-700 z-10",
+    search:
+      "w-full px-3 py-2 text-sm bg-gray-800 text-white border-b border-gray-700 rounded-t-md focus:outline-none",
+    option: "w-full text-left px-4 py-2 text-sm",
+    active: "bg-gray-700 text-white",
+    inactive: "text-gray-400 hover:bg-gray-700 hover:text-white",
+    hint: "text-gray-500 text-xs",
+    versions:
+      "bg-gray-800 border border-gray-700 text-gray-400 text-xs px-1 py-1 rounded-md disabled:opacity-60",
+  },
+};
 
-const LanguageSelector = ({ language, onSelect }) => {
+/**
+ * Language and runtime version picker
+ * Offers every runtime of the execution backend (see useRuntimes). Picking a
+ * language selects its newest version; other versions are picked next to it.
+ *
+ * @param {Object} props
+ * @param {string} props.language - Selected language ID
+ * @param {string} [props.version] - Selected version; the newest one when missing
+ * @param {Function} props.onSelect - Called with (language, version)
+ * @param {'light'|'dark'} [props.variant='light'] - Color scheme
+ * @param {boolean} [props.disabled=false] - Show the selection without allowing changes
+ */
+const LanguageSelector = ({ language, version, onSelect, variant = "light", disabled = false }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState("");
+  const { runtimes } = useRuntimes();
+  const styles = STYLES[variant] || STYLES.light;
+
+  const current = runtimes.find((runtime) => runtime.id === language);
+  const currentVersion = version || current?.versions[0];
+  // A saved version the backend no longer lists stays selectable
+  const versions =
+    currentVersion && !current?.versions.includes(currentVersion)
+      ? [currentVersion, ...(current?.versions || [])]
+      : current?.versions || [];
+
+  const query = search.trim().toLowerCase();
+  const matches = query
+    ? runtimes.filter(
+        (runtime) => runtime.name.toLowerCase().includes(query) || runtime.id.includes(query)
+      )
+    : runtimes;
+
+  const handleSelect = (runtime) => {
+    onSelect(runtime.id, runtime.versions[0]);
+    setIsOpen(false);
+    setSearch("");
+  };
 
   return (
-    <div className="ml-2 mb-2">
+    <div className={`${styles.wrapper} flex items-center gap-1`}>
       <div className="relative inline-block text-left">
         <button
-          className="bg-white border border-gray-300 text-gray-700 px-2 py-1 rounded-md shadow-sm hover:bg-gray-100 transition duration-150 flex items-center justify-between w-full"
+          className={styles.button}
           onClick={() => setIsOpen(!isOpen)}
+          disabled={disabled}
         >
-          <span className="text-sm">{language}</span>
-          <svg className="w-3 h-3 ml-2 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+          <span className="text-sm">{current?.name || languageInfo(language).name}</span>
+          <FiChevronDown
+            className={`w-4 h-4 ml-2 transition-transform ${isOpen ? "rotate-180" : ""}`}
+          />
         </button>
         {isOpen && (
-          <div className="absolute z-10 mt-2 w-48 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5">
-            {languages.map(([lang, version]) => (
-              <button
-                key={lang}
-                className={`${
-                  lang === language ? "bg-blue-100 text-blue-600" : "text-gray-900"
-                } block w-full text-left px-4 py-2 hover:bg-blue-50 transition duration-150`}
-                onClick={() => onSelect(lang)}
-              >
-                {lang}
-                &nbsp;
-                <span className="text-gray-500 text-sm">({version})</span>
-              </button>
-            ))}
+          <div className={styles.menu}>
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search languages"
+              autoFocus
+              className={styles.search}
+            />
+            <div className="max-h-72 overflow-y-auto py-1">
+              {matches.map((runtime) => (
+                <button
+                  key={runtime.id}
+                  className={`${styles.option} ${
+                    runtime.id === language ? styles.active : styles.inactive
+                  }`}
+                  onClick={() => handleSelect(runtime)}
+                >
+                  {runtime.name}
+                  &nbsp;
+                  <span className={styles.hint}>({runtime.versions[0]})</span>
+                </button>
+              ))}
+              {matches.length === 0 && (
+                <p className={`px-4 py-2 ${styles.hint}`}>No matching languages</p>
+              )}
+            </div>
           </div>
         )}
       </div>
+      {versions.length > 1 ? (
+        <select
+          value={currentVersion}
+          onChange={(e) => onSelect(language, e.target.value)}
+          disabled={disabled}
+          className={styles.versions}
+          title="Runtime version"
+        >
+          {versions.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      ) : (
+        currentVersion && <span className={styles.hint}>{currentVersion}</span>
+      )}
     </div>
   );
 };
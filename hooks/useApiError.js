@@ -52,6 +52,7 @@ export const ERROR_MESSAGES = {
   
   // Rate Limit (429)
   RATE_LIMIT_EXCEEDED: 'Too many requests. Please wait a moment and try again.',
+  QUOTA_EXCEEDED: "You've reached today's limit. Please try again tomorrow.",
   
   // External Service (502)
   EXTERNAL_SERVICE_ERROR: 'A service is temporarily unavailable. Please try again later.',
@@ -0,0 +1,214 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  CollabSession,
+  createRoomTransport,
+  joinRoom,
+  createAutosave,
+  announceMembership,
+} from '@/lib/collab';
+
+/**
+ * Line number (1-based) of a text offset
+ * @param {string} text - Document text
+ * @param {number} offset - Character offset
+ * @returns {number}
+ */
+const lineAt = (text, offset) => {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+};
+
+/**
+ * Custom hook that joins a collaborative playground room
+ * The session holds the room's project as a CRDT document; bind each file to
+ * an editor model with MonacoBinding from lib/collab. Joining loads the room's saved document
+ * and the user's role; editors autosave their edits while the room is open,
+ * viewers only watch.
+ *
+ * Rooms are private: users who aren't members need an invite token. A failed
+ * join, or being removed by the owner, sets `error` with `status` 403.
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Room ID
+ * @param {string} options.userId - Current user's ID
+ * @param {string} options.username - Current user's display name (the room is joined once it is known)
+ * @param {Function} options.getSeed - Returns the starter code if the room turns out to be new
+ * @param {string} [options.invite] - Invite token from the invite link
+ * @param {string} [options.language] - Language of the room if it is new
+ * @returns {Object} { session, collaborators, code, files, meta, synced, error, savedRoom, role, lastSavedAt, save }
+ *   `code` is the main file's code; `files` lists the project's files ({ id, name })
+ */
+export function useCollabSession({ roomId, userId, username, getSeed, invite, language }) {
+  const [session, setSession] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [cursorLines, setCursorLines] = useState({});
+  const [code, setCode] = useState('');
+  const [files, setFiles] = useState([]);
+  const [meta, setMeta] = useState({});
+  const [synced, setSynced] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedRoom, setSavedRoom] = useState(null);
+  const [role, setRole] = useState(null);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const autosaveRef = useRef(null);
+  const getSeedRef = useRef(getSeed);
+  getSeedRef.current = getSeed;
+  const joinOptionsRef = useRef({ invite, language });
+  joinOptionsRef.current = { invite, language };
+
+  useEffect(() => {
+    if (!roomId || !userId || !username) return;
+
+    let cancelled = false;
+    let joined = false;
+    let started = false;
+    let left = false;
+    const member = { userId, username };
+    const collab = new CollabSession({
+      transport: createRoomTransport({ roomId, userId, username }),
+      userId,
+      username,
+      getSeed: () => getSeedRef.current?.(),
+    });
+
+    // File and line of each collaborator's cursor, shown next to their avatar
+    const updateCursorLines = () => {
+      const lines = {};
+      for (const cursor of collab.cursors.values()) {
+        const offsets = collab.resolveCursor(cursor);
+        if (!offsets) continue;
+        lines[cursor.userId] = {
+          line: lineAt(collab.getFileText(offsets.fileId).toString(), offsets.head),
+          fileId: offsets.fileId,
+        };
+      }
+      setCursorLines(lines);
+    };
+
+    const startAutosave = () => {
+      if (autosaveRef.current) return;
+      autosaveRef.current = createAutosave(collab, roomId, {
+        onSaved: (result) => setLastSavedAt(result.updatedAt),
+        onError: (saveError) => console.error('Failed to save room:', saveError),
+      });
+    };
+
+    const stopAutosave = () => {
+      autosaveRef.current?.stop();
+      autosaveRef.current = null;
+    };
+
+    // Viewers can't edit or save; editors and the owner can
+    const applyRole = (newRole) => {
+      setRole(newRole);
+      collab.setReadOnly(newRole === 'viewer');
+      if (newRole === 'viewer') {
+        stopAutosave();
+      } else if (started) {
+        startAutosave();
+      }
+    };
+
+    const leaveRoom = ({ announce }) => {
+      if (left) return;
+      left = true;
+      stopAutosave();
+      if (announce && joined) announceMembership(roomId, 'leave-room', member).catch(() => {});
+      collab.destroy();
+    };
+
+    const unsubscribers = [
+      collab.on('members', setMembers),
+      collab.on('cursors', updateCursorLines),
+      collab.on('text', (text) => {
+        setCode(text);
+        updateCursorLines();
+      }),
+      collab.on('files', (projectFiles) => {
+        setFiles(projectFiles);
+        updateCursorLines();
+      }),
+      collab.on('meta', setMeta),
+      collab.on('synced', setSynced),
+      collab.on('access', ({ role: newRole }) => {
+        if (newRole) {
+          applyRole(newRole);
+          return;
+        }
+        // Removed by the owner
+        leaveRoom({ announce: false });
+        setSession(null);
+        const removed = new Error('You were removed from this room by its owner.');
+        removed.status = 403;
+        setError(removed);
+      }),
+      collab.on('error', (sessionError) => {
+        console.error('Collaboration error:', sessionError);
+        setError(sessionError);
+      }),
+    ];
+
+    const join = async () => {
+      const room = await joinRoom(roomId, { ...joinOptionsRef.current, username });
+      if (cancelled) return;
+      joined = true;
+
+      if (room.document?.state) collab.loadState(room.document.state);
+      setFiles(collab.listFiles());
+      collab.setReadOnly(room.role === 'viewer');
+      setSavedRoom(room);
+      setRole(room.role);
+
+      await collab.start();
+      started = true;
+      if (cancelled || left) return;
+      if (!collab.readOnly) startAutosave();
+    };
+
+    join().catch((joinError) => {
+      if (cancelled) return;
+      console.error('Failed to join room:', joinError);
+      setError(joinError);
+    });
+    setSession(collab);
+
+    const handlePageHide = () => {
+      if (joined) announceMembership(roomId, 'leave-room', member).catch(() => {});
+    };
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('pagehide', handlePageHide);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      leaveRoom({ announce: true });
+      setSession(null);
+      setSynced(false);
+      setFiles([]);
+      setSavedRoom(null);
+      setRole(null);
+    };
+  }, [roomId, userId, username]);
+
+  const collaborators = members.map((member) => {
+    const cursor = cursorLines[member.userId];
+    return {
+      ...member,
+      cursorLine: cursor?.line,
+      // Only worth showing when the project has more than one file
+      cursorFile: cursor && files.length > 1 ? files.find((file) => file.id === cursor.fileId)?.name : undefined,
+    };
+  });
+
+  // Saves pending edits now (e.g. on Ctrl+S)
+  const save = useCallback(() => autosaveRef.current?.flush() ?? Promise.resolve(null), []);
+
+  return { session, collaborators, code, files, meta, synced, error, savedRoom, role, lastSavedAt, save };
+}
+
+export default useCollabSession;
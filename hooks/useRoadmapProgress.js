@@ -1,11 +1,126 @@
 "use client";
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * localStorage key used before progress was stored server-side
+ * @param {string} roadmapId - Roadmap ID
+ * @returns {string} Storage key
+ */
+const getLocalKey = (roadmapId) => `roadmap-${roadmapId}-progress`;
+
+/**
+ * localStorage key of changes the server couldn't be sent
+ * @param {string} roadmapId - Roadmap ID
+ * @returns {string} Storage key
+ */
+const getPendingKey = (roadmapId) => `roadmap-${roadmapId}-pending`;
+
+/**
+ * Reads locally stored step indices
+ * @param {string} roadmapId - Roadmap ID
+ * @returns {number[]} Completed step indices
+ */
+const readLocalProgress = (roadmapId) => {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    const saved = localStorage.getItem(getLocalKey(roadmapId));
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed.filter(Number.isInteger) : [];
+  } catch (error) {
+    console.error('Failed to load roadmap progress from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Reads changes waiting to be sent to the server
+ * @param {string} roadmapId - Roadmap ID
+ * @returns {{ completedSteps: number[]|null, changes: Object<string, boolean> }}
+ *   A full set of steps to save first, if any, and the completed flag of
+ *   each step changed since, by step index
+ */
+const readPendingChanges = (roadmapId) => {
+  const empty = { completedSteps: null, changes: {} };
+  if (typeof window === 'undefined') return empty;
+
+  try {
+    const saved = localStorage.getItem(getPendingKey(roadmapId));
+    const parsed = saved ? JSON.parse(saved) : null;
+    return {
+      completedSteps: Array.isArray(parsed?.completedSteps) ? parsed.completedSteps.filter(Number.isInteger) : null,
+      changes: parsed?.changes && typeof parsed.changes === 'object' ? parsed.changes : {},
+    };
+  } catch (error) {
+    console.error('Failed to load pending roadmap progress from localStorage:', error);
+    return empty;
+  }
+};
+
+/**
+ * Stores changes waiting to be sent to the server, or removes them when there are none
+ * @param {string} roadmapId - Roadmap ID
+ * @param {{ completedSteps: number[]|null, changes: Object<string, boolean> }} pending
+ */
+const writePendingChanges = (roadmapId, pending) => {
+  try {
+    if (!pending.completedSteps && Object.keys(pending.changes).length === 0) {
+      localStorage.removeItem(getPendingKey(roadmapId));
+    } else {
+      localStorage.setItem(getPendingKey(roadmapId), JSON.stringify(pending));
+    }
+  } catch (error) {
+    console.error('Failed to save pending roadmap progress to localStorage:', error);
+  }
+};
+
+/**
+ * Applies pending changes to a set of completed steps
+ * @param {Iterable<number>} steps - Completed step indices
+ * @param {Object} pending - From readPendingChanges()
+ * @returns {Set<number>} Completed step indices with the changes applied
+ */
+const applyPendingChanges = (steps, pending) => {
+  const result = new Set(pending.completedSteps || steps);
+  for (const [stepIndex, completed] of Object.entries(pending.changes)) {
+    if (completed) {
+      result.add(Number(stepIndex));
+    } else {
+      result.delete(Number(stepIndex));
+    }
+  }
+  return result;
+};
+
+/**
+ * Sends a progress request to the roadmap progress API
+ * @param {string} roadmapId - Roadmap ID
+ * @param {string} method - HTTP method (GET, PUT, PATCH)
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Progress summary
+ */
+const requestProgress = async (roadmapId, method, body) => {
+  const response = await fetch(`/api/roadmaps/${roadmapId}/progress`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error?.message || 'Failed to sync roadmap progress');
+  }
+  return result.data;
+};
 
 /**
  * Custom hook for managing roadmap step completion progress
- * Handles localStorage persistence and provides progress calculations
- * 
+ * Progress is stored on the server so it follows the user across devices.
+ * Progress left in localStorage by older versions is migrated on first load.
+ * Changes the server couldn't be sent are kept in localStorage, completions
+ * and un-completions alike, and sent on the next load.
+ *
  * @param {string} roadmapId - The unique identifier for the roadmap
  * @param {number} totalSteps - Total number of steps in the roadmap
  * @param {Object} options - Optional configuration
@@ -17,137 +132,186 @@ export function useRoadmapProgress(roadmapId, totalSteps = 0, options = {}) {
   const { onStepComplete, onAllComplete } = options;
   const [completedSteps, setCompletedSteps] = useState(new Set());
   const [isLoaded, setIsLoaded] = useState(false);
+  const completedStepsRef = useRef(completedSteps);
 
-  // Load progress from localStorage on mount
+  // Load progress from the server, migrating any localStorage progress
   useEffect(() => {
-    if (!roadmapId) return;
+    if (!roadmapId || typeof window === 'undefined') return;
 
-    try {
-      // Check if we're in browser environment
-      if (typeof window === 'undefined') return;
+    let cancelled = false;
+
+    const loadProgress = async () => {
+      const localSteps = readLocalProgress(roadmapId);
+      const pending = readPendingChanges(roadmapId);
+
+      try {
+        let summary = await requestProgress(roadmapId, 'GET');
+        const serverSteps = new Set(summary.completedSteps);
+
+        // Merge local-only steps into the server copy, then drop the local copy
+        if (localSteps.some((step) => !serverSteps.has(step))) {
+          summary = await requestProgress(roadmapId, 'PUT', {
+            completedSteps: [...new Set([...serverSteps, ...localSteps])],
+          });
+        }
+        localStorage.removeItem(getLocalKey(roadmapId));
+
+        // Replay changes that failed to save, in both directions
+        if (pending.completedSteps) {
+          summary = await requestProgress(roadmapId, 'PUT', {
+            completedSteps: [...applyPendingChanges(summary.completedSteps, pending)],
+          });
+        } else {
+          for (const [stepIndex, completed] of Object.entries(pending.changes)) {
+            summary = await requestProgress(roadmapId, 'PATCH', { stepIndex: Number(stepIndex), completed });
+          }
+        }
+        writePendingChanges(roadmapId, { completedSteps: null, changes: {} });
 
-      const saved = localStorage.getItem(`roadmap-${roadmapId}-progress`);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        setCompletedSteps(new Set(parsed));
+        if (!cancelled) {
+          const steps = new Set(summary.completedSteps);
+          completedStepsRef.current = steps;
+          setCompletedSteps(steps);
+        }
+      } catch (error) {
+        console.error('Failed to load roadmap progress from server:', error);
+        if (!cancelled) {
+          const steps = applyPendingChanges(localSteps, pending);
+          completedStepsRef.current = steps;
+          setCompletedSteps(steps);
+        }
+      } finally {
+        if (!cancelled) setIsLoaded(true);
       }
-    } catch (error) {
-      console.error('Failed to load roadmap progress from localStorage:', error);
-    } finally {
-      setIsLoaded(true);
-    }
+    };
+
+    loadProgress();
+
+    return () => {
+      cancelled = true;
+    };
   }, [roadmapId]);
 
   /**
-   * Save progress to localStorage
+   * Persist progress to the server
+   * A change that fails is kept as pending and sent on the next load; one
+   * that succeeds replaces any pending change it supersedes.
    * @param {Set<number>} steps - Set of completed step indices
+   * @param {Object} [change] - Single step change ({ stepIndex, completed }) sent as a PATCH
    */
-  const saveProgress = useCallback((steps) => {
+  const saveProgress = useCallback(async (steps, change) => {
     if (!roadmapId) return;
 
+    let saved = true;
     try {
-      if (typeof window === 'undefined') return;
-
-      localStorage.setItem(
-        `roadmap-${roadmapId}-progress`,
-        JSON.stringify([...steps])
-      );
+      if (change) {
+        await requestProgress(roadmapId, 'PATCH', change);
+      } else {
+        await requestProgress(roadmapId, 'PUT', { completedSteps: [...steps] });
+      }
     } catch (error) {
-      console.error('Failed to save roadmap progress to localStorage:', error);
+      console.error('Failed to save roadmap progress to server:', error);
+      saved = false;
+    }
+
+    const pending = readPendingChanges(roadmapId);
+    if (!change) {
+      // A full set replaces every earlier change
+      writePendingChanges(roadmapId, { completedSteps: saved ? null : [...steps], changes: {} });
+    } else if (saved && !pending.completedSteps) {
+      delete pending.changes[change.stepIndex];
+      writePendingChanges(roadmapId, pending);
+    } else {
+      // Failed, or saved while a full set is pending: replaying that set must not undo it
+      pending.changes[change.stepIndex] = change.completed;
+      writePendingChanges(roadmapId, pending);
     }
   }, [roadmapId]);
 
+  /**
+   * Applies a new set of completed steps locally and persists it
+   * @param {Set<number>} newSteps - Updated set of completed steps
+   * @param {Object} [change] - Single step change for a PATCH request
+   */
+  const applySteps = useCallback((newSteps, change) => {
+    completedStepsRef.current = newSteps;
+    setCompletedSteps(newSteps);
+    saveProgress(newSteps, change);
+  }, [saveProgress]);
+
+  /**
+   * Notifies callers that a step was completed
+   * @param {number} stepIndex - Completed step index
+   * @param {Set<number>} newSteps - Updated set of completed steps
+   */
+  const notifyCompleted = useCallback((stepIndex, newSteps) => {
+    const isAllComplete = newSteps.size === totalSteps && totalSteps > 0;
+
+    // Trigger callbacks (using setTimeout to avoid state update during render)
+    setTimeout(() => {
+      if (onStepComplete) {
+        onStepComplete(stepIndex, isAllComplete);
+      }
+      if (isAllComplete && onAllComplete) {
+        onAllComplete();
+      }
+    }, 0);
+  }, [totalSteps, onStepComplete, onAllComplete]);
+
   /**
    * Toggle a step's completion status
    * @param {number} stepIndex - Index of the step to toggle
    * @returns {boolean} Whether the step is now completed
    */
   const toggleStep = useCallback((stepIndex) => {
-    let isNowCompleted = false;
-
-    setCompletedSteps((prev) => {
-      const newSteps = new Set(prev);
-      
-      if (newSteps.has(stepIndex)) {
-        // Uncompleting a step
-        newSteps.delete(stepIndex);
-        isNowCompleted = false;
-      } else {
-        // Completing a step
-        newSteps.add(stepIndex);
-        isNowCompleted = true;
-
-        // Check if this completes all steps
-        const willBeAllComplete = newSteps.size === totalSteps && totalSteps > 0;
-        
-        // Trigger callbacks (using setTimeout to avoid state update during render)
-        setTimeout(() => {
-          if (isNowCompleted && onStepComplete) {
-            onStepComplete(stepIndex, willBeAllComplete);
-          }
-          if (willBeAllComplete && onAllComplete) {
-            onAllComplete();
-          }
-        }, 0);
-      }
+    const newSteps = new Set(completedStepsRef.current);
+    const isNowCompleted = !newSteps.has(stepIndex);
+
+    if (isNowCompleted) {
+      newSteps.add(stepIndex);
+    } else {
+      newSteps.delete(stepIndex);
+    }
 
-      saveProgress(newSteps);
-      return newSteps;
-    });
+    applySteps(newSteps, { stepIndex, completed: isNowCompleted });
+    if (isNowCompleted) {
+      notifyCompleted(stepIndex, newSteps);
+    }
 
     return isNowCompleted;
-  }, [totalSteps, saveProgress, onStepComplete, onAllComplete]);
+  }, [applySteps, notifyCompleted]);
 
   /**
    * Mark a specific step as complete
    * @param {number} stepIndex - Index of the step to complete
    */
   const completeStep = useCallback((stepIndex) => {
-    setCompletedSteps((prev) => {
-      if (prev.has(stepIndex)) return prev;
-      
-      const newSteps = new Set(prev);
-      newSteps.add(stepIndex);
-      saveProgress(newSteps);
-      
-      // Check if all complete
-      const isAllComplete = newSteps.size === totalSteps && totalSteps > 0;
-      
-      setTimeout(() => {
-        if (onStepComplete) {
-          onStepComplete(stepIndex, isAllComplete);
-        }
-        if (isAllComplete && onAllComplete) {
-          onAllComplete();
-        }
-      }, 0);
-      
-      return newSteps;
-    });
-  }, [totalSteps, saveProgress, onStepComplete, onAllComplete]);
+    if (completedStepsRef.current.has(stepIndex)) return;
+
+    const newSteps = new Set(completedStepsRef.current);
+    newSteps.add(stepIndex);
+    applySteps(newSteps, { stepIndex, completed: true });
+    notifyCompleted(stepIndex, newSteps);
+  }, [applySteps, notifyCompleted]);
 
   /**
    * Mark a specific step as incomplete
    * @param {number} stepIndex - Index of the step to uncomplete
    */
   const uncompleteStep = useCallback((stepIndex) => {
-    setCompletedSteps((prev) => {
-      if (!prev.has(stepIndex)) return prev;
-      
-      const newSteps = new Set(prev);
-      newSteps.delete(stepIndex);
-      saveProgress(newSteps);
-      return newSteps;
-    });
-  }, [saveProgress]);
+    if (!completedStepsRef.current.has(stepIndex)) return;
+
+    const newSteps = new Set(completedStepsRef.current);
+    newSteps.delete(stepIndex);
+    applySteps(newSteps, { stepIndex, completed: false });
+  }, [applySteps]);
 
   /**
    * Reset all progress for this roadmap
    */
   const resetProgress = useCallback(() => {
-    setCompletedSteps(new Set());
-    saveProgress(new Set());
-  }, [saveProgress]);
+    applySteps(new Set());
+  }, [applySteps]);
 
   /**
    * Check if a specific step is completed
@@ -173,7 +337,7 @@ export function useRoadmapProgress(roadmapId, totalSteps = 0, options = {}) {
     progress,
     isComplete,
     isLoaded,
-    
+
     // Actions
     toggleStep,
     completeStep,
@@ -184,38 +348,29 @@ export function useRoadmapProgress(roadmapId, totalSteps = 0, options = {}) {
 }
 
 /**
- * Get roadmap progress from localStorage without React state
- * Useful for displaying progress in lists without full hook overhead
- * 
- * @param {string} roadmapId - The unique identifier for the roadmap
- * @param {number} totalSteps - Total number of steps in the roadmap
+ * Get roadmap progress without React state
+ * Useful for displaying progress in lists without full hook overhead.
+ * Reads the server-side progress on the roadmap, falling back to progress
+ * in localStorage that hasn't been migrated yet.
+ *
+ * @param {Object} roadmap - Roadmap object as returned by getUserRoadmaps
  * @returns {Object} Progress information
  */
-export function getRoadmapProgress(roadmapId, totalSteps = 0) {
-  // Check if we're in browser environment
-  if (typeof window === 'undefined') {
-    return { completedCount: 0, progress: 0, isComplete: false };
-  }
+export function getRoadmapProgress(roadmap) {
+  const totalSteps = roadmap?.content?.steps?.length || 0;
 
-  try {
-    const saved = localStorage.getItem(`roadmap-${roadmapId}-progress`);
-    if (!saved) {
-      return { completedCount: 0, progress: 0, isComplete: false };
-    }
+  let completedSteps = roadmap?.completedSteps || [];
+  if (completedSteps.length === 0 && roadmap?._id) {
+    completedSteps = readLocalProgress(roadmap._id);
+  }
 
-    const completedSteps = JSON.parse(saved);
-    const completedCount = Array.isArray(completedSteps) ? completedSteps.length : 0;
-    const progress = totalSteps > 0 
-      ? Math.round((completedCount / totalSteps) * 100) 
-      : 0;
-    const isComplete = completedCount === totalSteps && totalSteps > 0;
+  const completedCount = completedSteps.length;
+  const progress = totalSteps > 0
+    ? Math.round((completedCount / totalSteps) * 100)
+    : 0;
+  const isComplete = completedCount === totalSteps && totalSteps > 0;
 
-    return { completedCount, progress, isComplete };
-  } catch (error) {
-    console.error('Failed to get roadmap progress:', error);
-    return { completedCount: 0, progress: 0, isComplete: false };
-  }
+  return { completedCount, progress, isComplete };
 }
 
 export default useRoadmapProgress;
-
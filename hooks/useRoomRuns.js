@@ -0,0 +1,113 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { runInRoom, getRun } from '@/lib/collab';
+
+/**
+ * Adds a run summary to a list, newest first, replacing an older copy of it
+ * @param {Object[]} runs - Run summaries
+ * @param {Object} run - Run (summary or full)
+ * @returns {Object[]}
+ */
+const upsertRun = (runs, run) => {
+  const { files, stdin, stdout, stderr, ...summary } = run;
+  return [summary, ...runs.filter((existing) => existing.id !== run.id)];
+};
+
+/**
+ * Custom hook for the shared runs of a collaborative playground room
+ * Running code is a room event: the server announces when a member starts a
+ * run and when it finishes, so every member sees who is running, and the same
+ * output once it is done. The room keeps a scrollback of recent runs, each
+ * with the files it used.
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Room ID
+ * @param {Object} options.session - CollabSession of the room
+ * @param {Object[]} [options.initialRuns] - Run summaries the room was joined with
+ * @param {Function} [options.onFinished] - Called with each run that finishes, from any member
+ * @returns {Object} { runs, activeRun, running, error, run, selectRun }
+ */
+export function useRoomRuns({ roomId, session, initialRuns, onFinished }) {
+  const [runs, setRuns] = useState([]);
+  const [activeRun, setActiveRun] = useState(null);
+  // Member whose run is in progress: { userId, username }
+  const [running, setRunning] = useState(null);
+  const [error, setError] = useState(null);
+  // Set while this tab waits for its own run, whose output comes with the response
+  const ownRunRef = useRef(false);
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+
+  const showRun = useCallback((run) => {
+    setRuns((prev) => upsertRun(prev, run));
+    setActiveRun(run);
+    setError(null);
+    onFinishedRef.current?.(run);
+  }, []);
+
+  useEffect(() => {
+    setRuns(initialRuns || []);
+    setActiveRun(null);
+    setRunning(null);
+  }, [initialRuns]);
+
+  useEffect(() => {
+    if (!session) return;
+
+    return session.on('run', async ({ status, ...message }) => {
+      if (status === 'started') {
+        setRunning({ userId: message.userId, username: message.username });
+        return;
+      }
+
+      setRunning(null);
+      if (ownRunRef.current && message.userId === session.userId) return;
+      if (message.error) {
+        setError(`${message.username || 'A member'}'s run failed: ${message.error}`);
+        return;
+      }
+
+      try {
+        showRun(await getRun(roomId, message.id));
+      } catch (loadError) {
+        setRuns((prev) => upsertRun(prev, message));
+      }
+    });
+  }, [session, roomId, showRun]);
+
+  /**
+   * Runs code for everyone in the room
+   * @param {Object} request - { language, version, files, stdin }; files entry point first
+   * @returns {Promise<Object|null>} The run, or null if it failed
+   */
+  const run = useCallback(async (request) => {
+    ownRunRef.current = true;
+    setRunning({ userId: session?.userId, username: session?.username });
+    try {
+      const result = await runInRoom(roomId, request);
+      showRun(result);
+      return result;
+    } catch (runError) {
+      setError(runError.message || 'An error occurred while running the code');
+      return null;
+    } finally {
+      ownRunRef.current = false;
+      setRunning(null);
+    }
+  }, [roomId, session, showRun]);
+
+  // Shows an earlier run from the scrollback
+  const selectRun = useCallback(async (runId) => {
+    try {
+      setActiveRun(await getRun(roomId, runId));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [roomId]);
+
+  return { runs, activeRun, running, error, run, selectRun };
+}
+
+export default useRoomRuns;
@@ -0,0 +1,38 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { getRuntimes } from '@/app/api/Piston/api';
+import { FALLBACK_RUNTIMES, groupRuntimes } from '@/lib/runtimes';
+
+// Shown until the live list arrives, and kept if it can't be fetched
+const STAND_IN_RUNTIMES = groupRuntimes(FALLBACK_RUNTIMES);
+
+/**
+ * Custom hook for the languages and versions the editors can run
+ * Starts with the stand-in list and switches to the execution backend's list
+ * once it loads; the request is shared by every component on the page.
+ *
+ * @returns {Object} { runtimes, source, loading }; runtimes are
+ *   `{ id, name, monaco, extension, versions }`, versions newest first
+ */
+export function useRuntimes() {
+  const [state, setState] = useState({ runtimes: STAND_IN_RUNTIMES, source: 'fallback', loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    getRuntimes()
+      .then(({ runtimes, source }) => {
+        if (!cancelled && runtimes.length > 0) setState({ runtimes, source, loading: false });
+      })
+      .catch(() => {
+        if (!cancelled) setState((current) => ({ ...current, loading: false }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
+
+export default useRuntimes;
@@ -6,31 +6,37 @@
  * Server-side actions for AI-powered code review.
  */
 
-import logger, { logExternalApi, events } from "../logger";
+import logger, { events } from "../logger";
 import { ExternalServiceError } from "../errors";
-
-const Groq = require("groq-sdk");
-
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+import { numberLines, formatRanges, normalizeReview } from "../review/findings";
+import { complete } from "../llm";
 
 /**
  * Generates an AI code review for the provided code
+ * Findings point at the lines they are about (`lineNumber` to
+ * `endLineNumber`), and their `code` replaces exactly those lines. With
+ * `ranges`, only those lines are reviewed, for re-reviewing code edited since
+ * the last review; the rest of the code is sent as context.
+ *
  * @param {string} code - The code to review
- * @param {number} retries - Number of retry attempts
- * @returns {Promise<Object>} Review with suggestions, issues, and improvements
- * @throws {ExternalServiceError} If all retry attempts fail
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {string} [options.language] - Language of the code
+ * @param {Array<{ startLine: number, endLine: number }>} [options.ranges] - Lines to review
+ * @returns {Promise<Object>} Review with suggestions, issues, and improvements;
+ *   `failed` is set on the fallback returned when every attempt fails
  */
-export const generateReview = async (code, retries = 3) => {
-  const systemPrompt = `You are an expert code reviewer. Analyze the code and return ONLY a JSON object with this exact structure:
+export const generateReview = async (code, { retries = 3, language, ranges } = {}) => {
+  const partial = Array.isArray(ranges) && ranges.length > 0;
+  const systemPrompt = `You are an expert code reviewer. The code is sent with each line prefixed by its line number ("12| "). Analyze the code and return ONLY a JSON object with this exact structure:
 {
   "suggestions": [
     {
       "title": "string",
       "description": "string",
       "code": "string",
-      "lineNumber": number
+      "lineNumber": number,
+      "endLineNumber": number
     }
   ],
   "issues": [
@@ -39,7 +45,8 @@ export const generateReview = async (code, retries = 3) => {
       "description": "string",
       "severity": "high|medium|low",
       "code": "string",
-      "lineNumber": number
+      "lineNumber": number,
+      "endLineNumber": number
     }
   ],
   "improvements": [
@@ -47,47 +54,46 @@ export const generateReview = async (code, retries = 3) => {
       "title": "string",
       "description": "string",
       "code": "string",
-      "lineNumber": number
+      "lineNumber": number,
+      "endLineNumber": number
     }
   ]
 }
 
+"lineNumber" and "endLineNumber" are the first and last lines the finding is about. "code" is the corrected version of exactly those lines, complete and with their indentation, without line number prefixes; it replaces them in the file. Use null for "code" when there is no concrete fix, and null for the line numbers when the finding is about the code as a whole.
+
 Focus on:
 1. Code quality and best practices
 2. Performance improvements
 3. Security concerns
 4. Maintainability and readability
 5. Potential bugs and edge cases
-
+${
+  partial
+    ? `
+Only lines ${formatRanges(ranges)} changed since the last review. Review ONLY those lines; the rest of the code is context and must not be reported on.
+`
+    : ""
+}
 IMPORTANT: Return ONLY the JSON object, no other text. The response must be valid JSON.`;
+  const lineCount = code.split("\n").length;
 
   const startTime = Date.now();
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      logger.debug("Generating AI code review", { attempt, codeLength: code.length });
-      logExternalApi("groq", "code_review", { attempt });
+      logger.debug("Generating AI code review", { attempt, codeLength: code.length, partial });
       
-      const chatCompletion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt,
-          },
-          {
-            role: "user",
-            content: code,
-          },
-        ],
-        model: "llama-3.3-70b-versatile",
-        temperature: 0.5,
-        max_tokens: 1500,
-        top_p: 0.65,
-        stream: false,
-        stop: null,
-      });
-
-      const aiResponse = chatCompletion.choices[0].message.content;
+      const { content: aiResponse } = await complete("codeReview", [
+        {
+          role: "system",
+          content: systemPrompt,
+        },
+        {
+          role: "user",
+          content: `${language ? `Language: ${language}\n\n` : ""}${numberLines(code)}`,
+        },
+      ]);
       
       try {
         // Clean the response - remove any non-JSON text
@@ -98,28 +104,18 @@ IMPORTANT: Return ONLY the JSON object, no other text. The response must be vali
         // Parse and validate the JSON response
         const parsedResponse = JSON.parse(cleanJson);
         
-        // Ensure all required sections exist with proper types
-        const validatedResponse = {
-          suggestions: Array.isArray(parsedResponse.suggestions) ? parsedResponse.suggestions.map(s => ({
-            ...s,
-            lineNumber: typeof s.lineNumber === 'number' ? s.lineNumber : null
-          })) : [],
-          issues: Array.isArray(parsedResponse.issues) ? parsedResponse.issues.map(i => ({
-            ...i,
-            lineNumber: typeof i.lineNumber === 'number' ? i.lineNumber : null,
-            severity: ['high', 'medium', 'low'].includes(i.severity) ? i.severity : 'medium'
-          })) : [],
-          improvements: Array.isArray(parsedResponse.improvements) ? parsedResponse.improvements.map(i => ({
-            ...i,
-            lineNumber: typeof i.lineNumber === 'number' ? i.lineNumber : null
-          })) : []
-        };
+        // Ensure all required sections exist with proper types and lines
+        const validatedResponse = normalizeReview(parsedResponse, {
+          lineCount,
+          ranges: partial ? ranges : undefined,
+        });
 
         const duration = Date.now() - startTime;
         logger.info("AI code review generated successfully", { 
           suggestionsCount: validatedResponse.suggestions.length,
           issuesCount: validatedResponse.issues.length,
           improvementsCount: validatedResponse.improvements.length,
+          partial,
           duration
         });
         events.aiCodeReviewCompleted(duration);
@@ -130,7 +126,7 @@ IMPORTANT: Return ONLY the JSON object, no other text. The response must be vali
           attempt, 
           error: parseError.message 
         });
-        throw new ExternalServiceError("Groq AI", "Invalid response format");
+        throw new ExternalServiceError("AI", "Invalid response format");
       }
     } catch (error) {
       logger.error("Error generating AI code review", { 
@@ -142,6 +138,7 @@ IMPORTANT: Return ONLY the JSON object, no other text. The response must be vali
         logger.error("Max retries reached for AI code review");
         // Return graceful fallback instead of throwing
         return {
+          failed: true,
           suggestions: [],
           issues: [
             {
@@ -149,7 +146,8 @@ IMPORTANT: Return ONLY the JSON object, no other text. The response must be vali
               description: "An error occurred while generating the AI response after multiple attempts. Please try again later.",
               severity: "high",
               code: null,
-              lineNumber: null
+              lineNumber: null,
+              endLineNumber: null
             }
           ],
           improvements: []
@@ -3,39 +3,91 @@
 /**
  * Quest Server Actions
  * 
- * Server-side actions for quest evaluation using AI.
+ * Server-side actions for quest evaluation.
+ * Coding questions are graded by running their test cases; the AI only
+ * provides qualitative feedback for them. Multiple-choice questions and
+ * short answers with a reference answer are graded from their answer key
+ * without calling the AI.
  */
 
 import { connect } from "../mongodb/mongoose";
 import Attempt from "../models/attemptModel";
-import logger, { logExternalApi, events } from "../logger";
+import logger, { events } from "../logger";
 import { NotFoundError, ExternalServiceError } from "../errors";
+import { runTestCases, scoreTestResults } from "../grading/testCases";
+import { hasAnswerKey, gradeWithAnswerKey, normalizeQuestionType } from "../grading/answers";
+import { complete } from "../llm";
 
-const Groq = require("groq-sdk");
-
-// Initialize the Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+/**
+ * Describes a pass ratio in the same terms the AI uses for correctness
+ * @param {number} passedCount - Number of passed test cases
+ * @param {number} total - Total number of test cases
+ * @returns {string} 'Fully Correct', 'Partially Correct' or 'Incorrect'
+ */
+const describeTestCorrectness = (passedCount, total) => {
+  if (total > 0 && passedCount === total) return "Fully Correct";
+  if (passedCount > 0) return "Partially Correct";
+  return "Incorrect";
+};
 
 /**
- * Evaluates a quest answer using AI
+ * Evaluates a quest answer
+ *
+ * Questions with an answer key are graded instantly against it. Coding
+ * questions with test cases are scored deterministically from the pass ratio
+ * of their test cases. Other questions are scored by the AI.
+ *
  * @param {Object} questData - The quest data
  * @param {string} userAnswer - The user's submitted answer
  * @param {Object} questionData - The question being evaluated
- * @returns {Promise<Object>} Evaluation result with score and feedback
+ * @returns {Promise<Object>} Evaluation result with score, correctness, feedback and test results
  */
 export const evaluateQuestAnswer = async (questData, userAnswer, questionData) => {
+  if (hasAnswerKey(questionData)) {
+    const { score, isCorrect, feedback } = gradeWithAnswerKey(questionData, userAnswer);
+
+    logger.debug("Quest answer graded from answer key", {
+      questionId: questionData._id,
+      questionType: questionData.type,
+      isCorrect
+    });
+
+    return {
+      score,
+      isCorrect,
+      autoGraded: true,
+      feedback,
+      evaluatedAt: new Date(),
+      testResults: []
+    };
+  }
+
+  const isGradedByTests = questionData.type === "coding" && questionData.testCases?.length > 0;
+  let testResults = [];
+
   try {
+    if (isGradedByTests) {
+      testResults = await runTestCases({
+        language: questionData.language || "javascript",
+        code: userAnswer,
+        testCases: questionData.testCases,
+      });
+    }
+
+    const passedCount = testResults.filter((result) => result.passed).length;
+
     const prompt = `
     As an expert programming evaluator, assess the following answer for a programming quest.
     
-    Question Type: ${questionData.type}
+    Question Type: ${normalizeQuestionType(questionData.type)}
     Question Title: ${questionData.title}
     Question Description: ${questionData.description}
-    ${questionData.testCases?.length > 0 ? `Test Cases:
-    ${questionData.testCases.map(tc => `Input: ${tc.input}
-    Expected Output: ${tc.expectedOutput}`).join('\n')}` : ''}
+    ${isGradedByTests ? `Test Case Results (the code was executed, ${passedCount} of ${testResults.length} passed):
+    ${testResults.map(tr => `Input: ${tr.input}
+    Expected Output: ${tr.expectedOutput}
+    Actual Output: ${tr.actualOutput}${tr.error ? `
+    Error: ${tr.error}` : ''}
+    Result: ${tr.passed ? 'PASSED' : 'FAILED'}`).join('\n')}` : ''}
     Maximum Points: ${questionData.points}
     
     User's Answer: ${userAnswer}
@@ -45,8 +97,7 @@ export const evaluateQuestAnswer = async (questData, userAnswer, questionData) =
       "score": <number between 0 and ${questionData.points}>,
       "correctness": "<'Fully Correct' or 'Partially Correct' or 'Incorrect'>",
       "feedback": "<detailed explanation of what was good and what was wrong>",
-      "improvements": ["<specific suggestion 1>", "<specific suggestion 2>", ...],
-      "testCasesPassed": <number of test cases passed, if applicable>
+      "improvements": ["<specific suggestion 1>", "<specific suggestion 2>", ...]
     }
     
     Base your evaluation on:
@@ -54,60 +105,61 @@ export const evaluateQuestAnswer = async (questData, userAnswer, questionData) =
     2. Code quality and best practices
     3. Efficiency and optimization
     4. Clarity and readability
-    5. Test cases passed (for coding questions)
     
-    For coding questions, try to run the code against the test cases if possible.
+    For coding questions, the test case results above are authoritative. Do not re-judge correctness; explain why failing cases fail and comment on code quality.
     For short answer questions, evaluate based on technical accuracy and completeness.
     `;
 
-    logExternalApi("groq", "evaluate_quest_answer", { 
+    logger.debug("Requesting AI evaluation", { 
       questionType: questionData.type,
       maxPoints: questionData.points 
     });
 
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert programming evaluator with extensive experience in assessing code quality and solutions. Focus on providing constructive feedback that helps the student improve. Always ensure your response is valid JSON without any markdown formatting or backticks.",
-        },
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.3,
-      max_tokens: 1000,
-      top_p: 0.8,
-      stream: false,
-      stop: null,
-    });
+    const { content: responseContent } = await complete("questEvaluation", [
+      {
+        role: "system",
+        content: "You are an expert programming evaluator with extensive experience in assessing code quality and solutions. Focus on providing constructive feedback that helps the student improve. Always ensure your response is valid JSON without any markdown formatting or backticks.",
+      },
+      {
+        role: "user",
+        content: prompt,
+      },
+    ]);
 
     let aiResponse;
     try {
-      const responseContent = chatCompletion.choices[0].message.content.trim();
       // Remove any markdown formatting if present
-      const jsonContent = responseContent.replace(/```json\n?|\n?```/g, '').trim();
+      const jsonContent = responseContent.trim().replace(/```json\n?|\n?```/g, '').trim();
       aiResponse = JSON.parse(jsonContent);
     } catch (parseError) {
       logger.error("JSON parsing error in quest evaluation", { 
         error: parseError.message,
         questionId: questionData._id 
       });
-      throw new ExternalServiceError("Groq AI", "Failed to parse evaluation response");
+      throw new ExternalServiceError("AI", "Failed to parse evaluation response");
     }
 
-    logger.debug("AI quest evaluation complete", { 
+    // Test results override the AI's judgement of correctness and score
+    const score = isGradedByTests
+      ? scoreTestResults(testResults, questionData.points)
+      : aiResponse.score;
+    const correctness = isGradedByTests
+      ? describeTestCorrectness(passedCount, testResults.length)
+      : aiResponse.correctness;
+
+    logger.debug("Quest evaluation complete", { 
       questionId: questionData._id,
-      score: aiResponse.score,
-      correctness: aiResponse.correctness
+      score,
+      correctness,
+      testCasesPassed: isGradedByTests ? passedCount : undefined
     });
     
     return {
-      score: aiResponse.score,
-      feedback: `${aiResponse.correctness}\n\n${aiResponse.feedback}\n\nSuggested Improvements:\n${aiResponse.improvements.join('\n')}`,
-      evaluatedAt: new Date()
+      score,
+      isCorrect: isGradedByTests && passedCount === testResults.length,
+      feedback: `${correctness}\n\n${aiResponse.feedback}\n\nSuggested Improvements:\n${aiResponse.improvements.join('\n')}`,
+      evaluatedAt: new Date(),
+      testResults
     };
 
   } catch (error) {
@@ -115,12 +167,26 @@ export const evaluateQuestAnswer = async (questData, userAnswer, questionData) =
       questionId: questionData._id,
       error: error.message 
     });
+
+    // Test-based scores don't depend on the AI, so keep them when only feedback failed
+    if (isGradedByTests && testResults.length > 0) {
+      const passedCount = testResults.filter((result) => result.passed).length;
+      return {
+        score: scoreTestResults(testResults, questionData.points),
+        isCorrect: passedCount === testResults.length,
+        feedback: `${describeTestCorrectness(passedCount, testResults.length)}\n\nPassed ${passedCount} of ${testResults.length} test cases. Detailed AI feedback is unavailable right now.\n\nSuggested Improvements:\nReview the failing test cases and compare your output with the expected output.`,
+        evaluatedAt: new Date(),
+        testResults
+      };
+    }
     
     // Return graceful fallback for non-critical errors
     return {
       score: 0,
+      isCorrect: false,
       feedback: "Error occurred during evaluation. Please try again.",
-      evaluatedAt: new Date()
+      evaluatedAt: new Date(),
+      testResults
     };
   }
 };
@@ -165,7 +231,10 @@ export const submitQuestAttempt = async (attemptId, answers) => {
             score: evaluation.score,
             feedback: evaluation.feedback,
             evaluatedAt: evaluation.evaluatedAt
-          }
+          },
+          isCorrect: evaluation.isCorrect,
+          autoGraded: Boolean(evaluation.autoGraded),
+          testResults: evaluation.testResults
         };
       })
     );
@@ -9,16 +9,10 @@
 import Question from "../models/questionModel";
 import User from "../models/userModel";
 import { connect } from "../mongodb/mongoose";
-import logger, { logDatabase, logExternalApi, events } from "../logger";
+import logger, { logDatabase, events } from "../logger";
 import { validateOrThrow, createQuestionSchema } from "../validation";
 import { NotFoundError, ExternalServiceError, ValidationError } from "../errors";
-
-const Groq = require("groq-sdk");
-
-// Initialize the Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+import { complete } from "../llm";
 
 /**
  * Generates an AI answer for a question with retries
@@ -37,29 +31,19 @@ const generateAIAnswer = async (
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       logger.debug("Generating AI answer", { attempt, title: title.substring(0, 50) });
-      logExternalApi("groq", "generate_answer", { attempt });
       
-      const chatCompletion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content:
-              "Provide an in-depth solution as if you have 15 years of experience in computer science and IT. Kindly refuse to asnwer questions unrelated to the domain(this is a MUST). For related questions, Offer explanations, code examples, and best practices similar to a StackOverflow response.",
-          },
-          {
-            role: "user",
-            content: `${title}\n\n${description}`,
-          },
-        ],
-        model: "llama-3.3-70b-versatile",
-        temperature: 0.5,
-        max_tokens: 800,
-        top_p: 0.65,
-        stream: false,
-        stop: null,
-      });
+      const { content: aiResponse } = await complete("questionAnswer", [
+        {
+          role: "system",
+          content:
+            "Provide an in-depth solution as if you have 15 years of experience in computer science and IT. Kindly refuse to asnwer questions unrelated to the domain(this is a MUST). For related questions, Offer explanations, code examples, and best practices similar to a StackOverflow response.",
+        },
+        {
+          role: "user",
+          content: `${title}\n\n${description}`,
+        },
+      ]);
 
-      const aiResponse = chatCompletion.choices[0].message.content || "";
       logger.info("AI answer generated successfully", { 
         title: title.substring(0, 50),
         responseLength: aiResponse.length 
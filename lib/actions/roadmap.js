@@ -11,13 +11,9 @@ import User from "../models/userModel";
 import { connect } from "../mongodb/mongoose";
 import logger, { logDatabase, logExternalApi, events } from "../logger";
 import { validateOrThrow, createRoadmapSchema } from "../validation";
-const Groq = require("groq-sdk");
+import { complete } from "../llm";
 const axios = require('axios');
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
-
 /**
  * Gets a random YouTube API key from the comma-separated list
  * @returns {string} A random API key
@@ -133,26 +129,19 @@ const searchYouTubeVideo = async (topic) => {
  */
 const generateRoadmap = async (prompt) => {
   try {
-    logExternalApi("groq", "validate_topic", { prompt });
-    
     // Check if the prompt is related to CS/IT
-    const validationResponse = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: "You are a validator that checks if a query is related to computer science, programming, or IT. Respond with only 'true' if it is related, or 'false' if it's not. Be strict in validation."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.1,
-      max_tokens: 10,
-    });
+    const { content: validation } = await complete("roadmapValidation", [
+      {
+        role: "system",
+        content: "You are a validator that checks if a query is related to computer science, programming, or IT. Respond with only 'true' if it is related, or 'false' if it's not. Be strict in validation."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
 
-    const isValidTopic = validationResponse.choices[0].message.content.toLowerCase().includes('true');
+    const isValidTopic = validation.toLowerCase().includes('true');
     
     if (!isValidTopic) {
       logger.warn("Invalid roadmap topic rejected", { prompt });
@@ -160,28 +149,19 @@ const generateRoadmap = async (prompt) => {
     }
 
     logger.info("Generating roadmap", { prompt });
-    logExternalApi("groq", "generate_roadmap");
     
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: "Create a detailed computer science/IT learning roadmap in JSON format. Break down the learning path into steps, where each step represents a topic to master. Include a description of what to learn in each step (atleast 5 steps) and relevant documentation links. The format should be: { 'steps': [{ 'step': 1, 'topic': 'string', 'description': 'string', 'documentation': 'string' }] }"
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.7,
-      max_tokens: 1024,
-      top_p: 1,
-      stream: false,
-      stop: null
-    });
+    const { content: generated } = await complete("roadmapGeneration", [
+      {
+        role: "system",
+        content: "Create a detailed computer science/IT learning roadmap in JSON format. Break down the learning path into steps, where each step represents a topic to master. Include a description of what to learn in each step (atleast 5 steps) and relevant documentation links. The format should be: { 'steps': [{ 'step': 1, 'topic': 'string', 'description': 'string', 'documentation': 'string' }] }"
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
 
-    let roadmapContent = chatCompletion.choices[0].message.content;
+    let roadmapContent = generated;
     logger.debug("Raw roadmap response received", { responseLength: roadmapContent.length });
     
     // Clean up the response
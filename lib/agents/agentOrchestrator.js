@@ -5,13 +5,19 @@
  *
  * LangGraph-based multi-agent orchestration system.
  * Routes messages through the router agent to specialized agents.
+ * Use streamMessage() to receive routing, token and tool events as they happen.
+ *
+ * A response carrying a `pendingAction` is waiting for the user to confirm a
+ * risky tool call; resumeAction() carries it on with the user's answer.
  */
 
 import { StateGraph, END, START } from "@langchain/langgraph";
 import { RouterAgent, AgentTypes } from "./routerAgent";
+import { getIntentClassifier, CONFIDENCE_THRESHOLD } from "./intentClassifier";
 import { getCachedResponse, setCachedResponse } from "@/lib/cache/responseCache";
 import { recordRequest } from "@/lib/metrics/agentMetrics";
 import logger from "@/lib/logger";
+import { emitEvent, streamEvents } from "./streaming";
 
 
 // Graph state schema
@@ -54,38 +60,15 @@ export class AgentOrchestrator {
   }
 
   /**
-   * Fast heuristic routing for common patterns
-   * Returns null if no match, otherwise returns agent type
+   * Fast local routing with the intent classifier, no model call
+   * @param {string} message - User message
+   * @param {Object} [context] - Conversation context ({ activeAgent, ... })
+   * @returns {Object|null} Routing decision, or null when the classifier is
+   *   not confident enough and the router agent should decide
    */
-  fastRoute(message) {
-    const lower = message.toLowerCase();
-    
-    // Task-related keywords
-    if (lower.match(/\b(task|todo|deadline|assignment|remind|due)\b/)) {
-      return AgentTypes.TASK;
-    }
-    
-    // Roadmap-related keywords
-    if (lower.match(/\b(roadmap|learning path|study plan|curriculum|create.*roadmap)\b/)) {
-      return AgentTypes.ROADMAP;
-    }
-    
-    // Code-related keywords
-    if (lower.match(/\b(code|debug|error|function|class|algorithm|syntax)\b/)) {
-      return AgentTypes.CODE;
-    }
-    
-    // Learning-related keywords
-    if (lower.match(/\b(learn|explain|teach|understand|concept|theory|how does)\b/)) {
-      return AgentTypes.LEARNING;
-    }
-    
-    // Navigation keywords
-    if (lower.match(/\b(go to|show me|take me|navigate|open)\b/)) {
-      return AgentTypes.GENERAL;
-    }
-    
-    return null; // No fast match, use router
+  fastRoute(message, context = {}) {
+    const decision = getIntentClassifier().classify(message, context);
+    return decision && decision.confidence >= CONFIDENCE_THRESHOLD ? decision : null;
   }
 
   /**
@@ -93,25 +76,29 @@ export class AgentOrchestrator {
    */
   buildGraph() {
     // Define the graph nodes
-    const routeNode = async (state) => {
+    const decideRoute = async (state) => {
       try {
         const lastMessage = state.messages[state.messages.length - 1];
         if (!lastMessage || lastMessage.role !== "user") {
-          return { ...state, currentAgent: AgentTypes.GENERAL };
+          return {
+            ...state,
+            currentAgent: AgentTypes.GENERAL,
+            routingDecision: {
+              agent: AgentTypes.GENERAL,
+              confidence: 0.5,
+              reasoning: "No user message to route",
+            },
+          };
         }
 
         // Try fast routing first
-        const fastAgent = this.fastRoute(lastMessage.content);
-        if (fastAgent) {
-          logger.debug("Fast route matched", { agent: fastAgent });
+        const fastDecision = this.fastRoute(lastMessage.content, state.context);
+        if (fastDecision) {
+          logger.debug("Fast route matched", fastDecision);
           return {
             ...state,
-            routingDecision: {
-              agent: fastAgent,
-              confidence: 0.85,
-              reasoning: "Fast heuristic match",
-            },
-            currentAgent: fastAgent,
+            routingDecision: fastDecision,
+            currentAgent: fastDecision.agent,
           };
         }
 
@@ -144,6 +131,13 @@ export class AgentOrchestrator {
       }
     };
 
+    // Routing decisions are emitted so streaming clients learn the agent early
+    const routeNode = async (state) => {
+      const routed = await decideRoute(state);
+      emitEvent(state.context, { type: "routing", ...routed.routingDecision });
+      return routed;
+    };
+
     const processNode = async (state) => {
       try {
         const agent = this.getAgent(state.currentAgent);
@@ -178,6 +172,23 @@ export class AgentOrchestrator {
           hasClerkId: !!state.context?.clerkId,
         });
 
+        // Same message, agent, language and user context as a cached response
+        if (agent.cacheable) {
+          const cached = await getCachedResponse(
+            lastMessage.content,
+            state.currentAgent,
+            state.language || "en",
+            agentContext
+          );
+          if (cached) {
+            emitEvent(state.context, { type: "token", content: cached.content });
+            return {
+              ...state,
+              response: { ...cached, cached: true },
+            };
+          }
+        }
+
         const result = await agent.process(lastMessage.content, agentContext);
 
         // Ensure the response has the expected structure
@@ -245,10 +256,99 @@ export class AgentOrchestrator {
     this.graph = workflow.compile();
   }
 
+  /**
+   * Process a message through the multi-agent system, yielding events as they happen
+   * @param {string} message - User message
+   * @param {Object} options - Same options as processMessage()
+   * @yields {Object} "routing", "token", "tool_start" and "tool_end" events,
+   *   then { type: "result", result } with the processMessage() result
+   *
+   * @example
+   * for await (const event of orchestrator.streamMessage("Explain closures", { language: "en" })) {
+   *   if (event.type === "token") send(event.content);
+   * }
+   */
+  async *streamMessage(message, options = {}) {
+    yield* streamEvents((onEvent) =>
+      this.processMessage(message, { ...options, onEvent })
+    );
+  }
+
+  /**
+   * Continue a paused action, yielding events as they happen
+   * @param {Object} pendingAction - Pending action, as stored on the conversation
+   * @param {boolean} approved - Whether the user approved it
+   * @param {Object} options - Same options as resumeAction()
+   * @yields {Object} Same events as streamMessage()
+   */
+  async *streamResume(pendingAction, approved, options = {}) {
+    yield* streamEvents((onEvent) =>
+      this.resumeAction(pendingAction, approved, { ...options, onEvent })
+    );
+  }
+
+  /**
+   * Continue a paused action with the user's answer
+   * The agent that paused runs the waiting tool calls (or reports them as
+   * cancelled) and carries on from there; no routing takes place.
+   * @param {Object} pendingAction - Pending action ({ agent, state, ... }), as stored on the conversation
+   * @param {boolean} approved - Whether the user approved it
+   * @param {Object} options - Agent context (language, clerkId, onEvent, ...)
+   * @returns {Promise<Object>} Same shape as processMessage()
+   */
+  async resumeAction(pendingAction, approved, options = {}) {
+    const { language = "en" } = options;
+    const startTime = Date.now();
+    const routing = {
+      agent: pendingAction.agent,
+      confidence: 1.0,
+      reasoning: approved ? "Confirmed pending action" : "Cancelled pending action",
+    };
+
+    emitEvent(options, { type: "routing", ...routing });
+
+    const agent = this.getAgent(pendingAction.agent);
+    if (!agent) {
+      logger.error("No agent to resume pending action", { agent: pendingAction.agent });
+      return {
+        response: {
+          agent: "system",
+          content:
+            language === "bn"
+              ? "দুঃখিত, একটি সমস্যা হয়েছে। আবার চেষ্টা করুন।"
+              : "I'm sorry, I encountered an error. Please try again.",
+          error: true,
+          timestamp: new Date().toISOString(),
+        },
+        routedTo: "general",
+        routing,
+      };
+    }
+
+    const response = await agent.resume(pendingAction, approved, options);
+
+    recordRequest({
+      agent: pendingAction.agent,
+      language,
+      responseTime: Date.now() - startTime,
+      confidence: 1.0,
+      error: response?.error ? new Error(response.content) : null,
+    });
+
+    logger.info("Pending action resumed", {
+      agent: pendingAction.agent,
+      approved,
+      pausedAgain: Boolean(response?.pendingAction),
+    });
+
+    return { response, routedTo: pendingAction.agent, routing };
+  }
+
   /**
    * Process a message through the multi-agent system
    * @param {string} message - User message
    * @param {Object} options - Processing options (contains context at top level)
+   * @param {Function} [options.onEvent] - Stream listener, forwarded to the routed agent
    * @returns {Promise<Object>} Agent response
    */
   async processMessage(message, options = {}) {
@@ -276,33 +376,6 @@ export class AgentOrchestrator {
         language,
       });
 
-      // Check cache first
-      const cachedResponse = getCachedResponse(message, 'general', language);
-      if (cachedResponse) {
-        const responseTime = Date.now() - startTime;
-        
-        recordRequest({
-          agent: cachedResponse.agent || 'general',
-          language,
-          responseTime,
-          confidence: 1.0,
-        });
-
-        logger.debug("Returning cached response", {
-          responseTime: `${responseTime}ms`,
-        });
-
-        return {
-          response: cachedResponse,
-          routedTo: cachedResponse.agent || 'general',
-          routing: {
-            agent: cachedResponse.agent || 'general',
-            confidence: 1.0,
-            reasoning: 'Cached response',
-          },
-        };
-      }
-
       // Build graph if not already built
       if (!this.graph) {
         logger.debug("Building orchestrator graph");
@@ -345,14 +418,12 @@ export class AgentOrchestrator {
 
       const responseTime = Date.now() - startTime;
 
-      // Cache successful responses
-      if (!result.response.error) {
-        setCachedResponse(
-          message,
-          result.currentAgent || 'general',
-          language,
-          result.response
-        );
+      // Cache the response for this user and context, unless the agent opted out
+      if (!result.response.cached && this.getAgent(result.currentAgent)?.cacheable) {
+        await setCachedResponse(message, result.currentAgent, language, result.response, {
+          ...mergedContext,
+          history,
+        });
       }
 
       // Record metrics
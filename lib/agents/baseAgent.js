@@ -4,14 +4,74 @@
  * Base Agent Class
  *
  * Abstract base class for all agents in the multi-agent system.
- * Provides common functionality like conversation memory and response formatting.
+ * Provides common functionality like conversation memory, response formatting,
+ * token streaming and the tool-calling loop.
+ *
+ * Calls of high-risk tools (see tools/risk) are not run straight away: the
+ * tool loop pauses, returns a pending action describing them, and carries on
+ * with resume() once the user has approved or cancelled it.
+ *
+ * Tool loop limits:
+ * - AGENT_MAX_TOOL_STEPS: rounds of tool calls per message (default 5)
+ * - AGENT_TOOL_TIMEOUT_MS: time a tool call may take (default 15000)
  */
 
 import {
   HumanMessage,
   AIMessage,
   SystemMessage,
+  ToolMessage,
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages,
 } from "@langchain/core/messages";
+import logger from "@/lib/logger";
+import { emitEvent, streamEvents } from "./streaming";
+import { previewToolCall, requiresConfirmation, toolRisk } from "./tools/risk";
+
+/** Rounds of tool calls the model may make before it has to answer */
+export const DEFAULT_MAX_TOOL_STEPS = parseInt(process.env.AGENT_MAX_TOOL_STEPS || "5");
+
+/** Time a tool call may take before its result is given up on */
+export const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.AGENT_TOOL_TIMEOUT_MS || "15000");
+
+// Characters of a tool result kept in the step trace
+const TRACE_RESULT_LENGTH = 500;
+
+const STEP_LIMIT_INSTRUCTION =
+  "You have used all the tool calls available for this message. Do not call any more tools; answer the user with the information gathered so far, and say what is left undone.";
+
+const CANCELLED_BY_USER = "Cancelled by the user. Do not retry this call; acknowledge the cancellation.";
+
+const CONFIRMATION_PROMPTS = {
+  en: {
+    intro: "Before I go ahead, please confirm:",
+    question: "Reply **yes** to continue or **no** to cancel.",
+  },
+  bn: {
+    intro: "এগিয়ে যাওয়ার আগে অনুগ্রহ করে নিশ্চিত করুন:",
+    question: "চালিয়ে যেতে **হ্যাঁ** অথবা বাতিল করতে **না** লিখুন।",
+  },
+};
+
+/**
+ * Settles with the promise, or rejects once the time is up
+ * The work itself isn't cancelled; its result is just no longer waited for.
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeoutMs - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
 /**
  * Base Agent class - all agents extend this
@@ -22,6 +82,13 @@ export class BaseAgent {
     this.description = description;
     this.model = model;
     this.systemPrompt = "";
+    this.maxToolSteps = DEFAULT_MAX_TOOL_STEPS;
+    // Tools the agent works with; resume() binds them again
+    this.tools = [];
+    // Time limits of particular tools, by tool name
+    this.toolTimeouts = {};
+    // Whether repeated requests may be answered from the response cache
+    this.cacheable = true;
   }
 
   /**
@@ -32,6 +99,22 @@ export class BaseAgent {
     this.systemPrompt = prompt;
   }
 
+  /**
+   * Set how many rounds of tool calls the model may make per message
+   * @param {number} steps - Step limit
+   */
+  setMaxToolSteps(steps) {
+    this.maxToolSteps = steps;
+  }
+
+  /**
+   * Set time limits for particular tools
+   * @param {Object} timeouts - Milliseconds by tool name; other tools use DEFAULT_TOOL_TIMEOUT_MS
+   */
+  setToolTimeouts(timeouts) {
+    this.toolTimeouts = { ...this.toolTimeouts, ...timeouts };
+  }
+
   /**
    * Convert conversation history to LangChain messages
    * @param {Array} history - Array of {role, content} objects
@@ -79,9 +162,17 @@ export class BaseAgent {
     // Ensure systemPrompt is a string
     const safeSystemPrompt = this.systemPrompt || "";
 
+    // System notes in the history (the conversation summary) join the system
+    // prompt, since some models only accept a system message first
+    const entries = Array.isArray(history) ? history : [];
+    const notes = entries
+      .filter((msg) => msg?.role === "system" && typeof msg.content === "string" && msg.content.trim())
+      .map((msg) => `\n\n${msg.content}`)
+      .join("");
+
     const messages = [
-      new SystemMessage(safeSystemPrompt + langInstruction),
-      ...this.formatHistory(history),
+      new SystemMessage(safeSystemPrompt + notes + langInstruction),
+      ...this.formatHistory(entries.filter((msg) => msg?.role !== "system")),
       new HumanMessage(safeUserMessage),
     ];
 
@@ -100,14 +191,60 @@ export class BaseAgent {
     return this.model.bindTools(tools);
   }
 
+  /**
+   * Invoke a model, streaming tokens when the context has a stream listener
+   * With a listener, the model's `.stream()` is used and every text chunk is
+   * emitted as a "token" event; the chunks are merged into the same message
+   * (including tool calls) that `.invoke()` would return.
+   * @param {Object} model - LangChain chat model (optionally with tools bound)
+   * @param {Array} messages - Messages for the model
+   * @param {Object} context - Agent context, may contain onEvent
+   * @param {Object} options - Call options passed to the model
+   * @returns {Promise<Object>} Model response message
+   */
+  async invokeModel(model, messages, context = {}, options = {}) {
+    if (typeof context.onEvent !== "function") {
+      return model.invoke(messages, options);
+    }
+
+    let response = null;
+    const stream = await model.stream(messages, options);
+
+    for await (const chunk of stream) {
+      response = response ? response.concat(chunk) : chunk;
+
+      const token = this.safeExtractContent(chunk);
+      if (token) {
+        emitEvent(context, { type: "token", content: token });
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Time limit of a tool call
+   * @param {string} toolName - Tool name
+   * @returns {number} Milliseconds
+   */
+  getToolTimeout(toolName) {
+    return this.toolTimeouts[toolName] ?? DEFAULT_TOOL_TIMEOUT_MS;
+  }
+
   /**
    * Execute tool calls from model response
+   * Calls run one after another (a later call may depend on an earlier one),
+   * each within its time limit. Emits "tool_start" and "tool_end" events when
+   * the context has a stream listener.
    * @param {Array} toolCalls - Tool calls from model response
    * @param {Array} tools - Available tools
    * @param {Object} config - Configuration for tool execution
-   * @returns {Promise<Array>} Tool execution results
+   * @param {Object} context - Agent context, may contain onEvent
+   * @param {number} [step] - Step of the tool loop the calls belong to
+   * @returns {Promise<Array>} Tool execution results:
+   *   { toolCallId, toolName, args, success, result?, error?, durationMs, timedOut? }
    */
-  async executeTools(toolCalls, tools, config = {}) {
+  async executeTools(toolCalls, tools, config = {}, context = {}, step = undefined) {
     if (!toolCalls || toolCalls.length === 0) {
       return [];
     }
@@ -115,44 +252,357 @@ export class BaseAgent {
     const results = [];
     
     for (const toolCall of toolCalls) {
+      let toolResult;
+      const base = {
+        toolCallId: toolCall.id,
+        toolName: toolCall.name,
+        args: toolCall.args,
+        ...(step !== undefined && { step }),
+      };
+      const startTime = Date.now();
+
+      emitEvent(context, { type: "tool_start", ...base });
+
       try {
         // Find the tool by name
         const tool = tools.find(t => t.name === toolCall.name);
         
         if (!tool) {
-          results.push({
-            toolCallId: toolCall.id,
-            toolName: toolCall.name,
+          toolResult = {
+            ...base,
             success: false,
             error: `Tool '${toolCall.name}' not found`,
-          });
-          continue;
-        }
+          };
+        } else {
+          // Execute the tool
+          const timeoutMs = this.getToolTimeout(tool.name);
+          const result = await withTimeout(
+            Promise.resolve().then(() => tool.func(toolCall.args, config)),
+            timeoutMs,
+            `Tool '${tool.name}' timed out after ${timeoutMs}ms`
+          );
 
-        // Execute the tool
-        const result = await tool.func(toolCall.args, config);
-        
-        results.push({
-          toolCallId: toolCall.id,
-          toolName: toolCall.name,
-          success: true,
-          result: typeof result === 'string' ? result : JSON.stringify(result),
-        });
+          toolResult = {
+            ...base,
+            success: true,
+            result: typeof result === 'string' ? result : JSON.stringify(result),
+          };
+        }
       } catch (error) {
-        results.push({
-          toolCallId: toolCall.id,
-          toolName: toolCall.name,
+        toolResult = {
+          ...base,
           success: false,
           error: error.message,
+          ...(error.timedOut && { timedOut: true }),
+        };
+        logger.warn("Agent tool call failed", {
+          agent: this.name,
+          tool: toolCall.name,
+          error: error.message,
+          timedOut: Boolean(error.timedOut),
         });
       }
+
+      toolResult.durationMs = Date.now() - startTime;
+      results.push(toolResult);
+      emitEvent(context, { type: "tool_end", ...toolResult });
     }
 
     return results;
   }
 
+  /**
+   * Result of a tool call the user cancelled, emitted like an executed call
+   * @param {Object} toolCall - Tool call from model response
+   * @param {Object} context - Agent context, may contain onEvent
+   * @param {number} step - Step of the tool loop the call belongs to
+   * @returns {Object} Tool execution result
+   */
+  cancelToolCall(toolCall, context, step) {
+    const toolResult = {
+      toolCallId: toolCall.id,
+      toolName: toolCall.name,
+      args: toolCall.args,
+      step,
+      success: false,
+      error: CANCELLED_BY_USER,
+      cancelled: true,
+      durationMs: 0,
+    };
+    emitEvent(context, { type: "tool_end", ...toolResult });
+    return toolResult;
+  }
+
+  /**
+   * Question asking the user to confirm paused tool calls
+   * @param {Array} toolCalls - Pending tool calls with their previews
+   * @param {string} language - 'en' or 'bn'
+   * @returns {string} Markdown text
+   */
+  confirmationPrompt(toolCalls, language = "en") {
+    const prompt = CONFIRMATION_PROMPTS[language] || CONFIRMATION_PROMPTS.en;
+    const items = toolCalls.map((toolCall) => `- ${toolCall.preview}`).join("\n");
+    return `${prompt.intro}\n${items}\n\n${prompt.question}`;
+  }
+
+  /**
+   * Run the model until it stops calling tools
+   * Each round's tool calls are executed and their results fed back to the
+   * model as ToolMessages, so it can chain calls (list tasks, then update one)
+   * or reflect on what a tool returned. After `maxSteps` rounds the model is
+   * asked once more, without tools, to answer with what it has.
+   *
+   * A round that calls a high-risk tool isn't executed: the loop stops with
+   * a pending action holding previews of the risky calls and everything
+   * needed to carry on. Passing that state back as `options.resume` runs the
+   * round (or, if the user said no, runs only its other calls and reports
+   * the risky ones as cancelled) and continues the loop.
+   *
+   * @param {Object} model - Chat model with the tools bound (see bindTools)
+   * @param {Array} messages - Messages for the first model call
+   * @param {Array} tools - Tools the model may call
+   * @param {Object} context - Agent context, may contain onEvent
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Passed to the model and to every tool (e.g. { configurable: { clerkId } })
+   * @param {number} [options.maxSteps] - Step limit, defaults to the agent's
+   * @param {Object} [options.resume] - { state, approved }: continue a paused run
+   *   with the user's answer; `messages` is ignored
+   * @returns {Promise<Object>} { response, content, toolResults, steps, stopReason, pendingAction? }:
+   *   the final model message and its text, every tool result in call order,
+   *   the step trace, and "completed", "max_steps" or "confirmation_required".
+   *   A paused run's content asks the user to confirm, and its pendingAction is
+   *   { toolCalls: [{ toolCallId, toolName, args, risk, preview }], state }
+   */
+  async runToolLoop(model, messages, tools, context = {}, options = {}) {
+    const { config = {}, maxSteps = this.maxToolSteps, resume = null } = options;
+    let conversation;
+    let toolResults;
+    let steps;
+    let response;
+    let stopReason = "completed";
+    let pendingAction = null;
+    // The user's answer applies to the round that waited for it only
+    let approved = null;
+
+    // Tools acting for the user (memory, tasks, roadmaps) read clerkId from the config
+    if (context.clerkId && !config.configurable?.clerkId) {
+      logger.warn("Tool loop run without the user's clerkId; user tools will fail", { agent: this.name });
+    }
+
+    if (resume) {
+      conversation = mapStoredMessagesToChatMessages(resume.state.messages);
+      response = conversation.pop();
+      toolResults = [...(resume.state.toolResults || [])];
+      steps = [...(resume.state.steps || [])];
+      approved = Boolean(resume.approved);
+    } else {
+      conversation = [...messages];
+      toolResults = [];
+      steps = [];
+      response = await this.invokeModel(model, conversation, context, config);
+    }
+
+    while (response?.tool_calls?.length > 0) {
+      if (steps.length >= maxSteps) {
+        stopReason = "max_steps";
+        break;
+      }
+
+      const risky = response.tool_calls.filter((toolCall) =>
+        requiresConfirmation(tools.find((tool) => tool.name === toolCall.name))
+      );
+
+      if (risky.length > 0 && approved === null) {
+        stopReason = "confirmation_required";
+        pendingAction = {
+          toolCalls: await Promise.all(
+            risky.map(async (toolCall) => {
+              const tool = tools.find((t) => t.name === toolCall.name);
+              return {
+                toolCallId: toolCall.id,
+                toolName: toolCall.name,
+                args: toolCall.args,
+                risk: toolRisk(tool),
+                preview: await previewToolCall(tool, toolCall.args, {
+                  clerkId: config?.configurable?.clerkId,
+                  language: context.language,
+                }),
+              };
+            })
+          ),
+          state: {
+            messages: mapChatMessagesToStoredMessages([...conversation, response]),
+            toolResults,
+            steps,
+          },
+        };
+        break;
+      }
+
+      const step = steps.length + 1;
+      const startTime = Date.now();
+      const cancelled = approved === false ? risky.map((toolCall) => toolCall.id) : [];
+      const results = [];
+      for (const toolCall of response.tool_calls) {
+        results.push(
+          ...(cancelled.includes(toolCall.id)
+            ? [this.cancelToolCall(toolCall, context, step)]
+            : await this.executeTools([toolCall], tools, config, context, step))
+        );
+      }
+      approved = null;
+
+      conversation.push(
+        response,
+        ...results.map(
+          (result) =>
+            new ToolMessage({
+              tool_call_id: result.toolCallId,
+              content: result.success ? result.result : `Error: ${result.error}`,
+            })
+        )
+      );
+      toolResults.push(...results);
+      steps.push({
+        step,
+        // Text the model wrote alongside its tool calls, if any
+        thought: this.safeExtractContent(response).trim() || null,
+        toolCalls: results.map((result) => ({
+          toolCallId: result.toolCallId,
+          toolName: result.toolName,
+          args: result.args,
+          success: result.success,
+          ...(result.success
+            ? { result: result.result.slice(0, TRACE_RESULT_LENGTH) }
+            : { error: result.error }),
+          ...(result.timedOut && { timedOut: true }),
+          ...(result.cancelled && { cancelled: true }),
+          durationMs: result.durationMs,
+        })),
+        durationMs: Date.now() - startTime,
+      });
+
+      response = await this.invokeModel(model, conversation, context, config);
+    }
+
+    if (stopReason === "max_steps") {
+      logger.warn("Agent reached its tool step limit", {
+        agent: this.name,
+        maxSteps,
+        pendingTools: response.tool_calls.map((toolCall) => toolCall.name),
+      });
+      // Sent as a user turn: Gemini only accepts a system message first
+      response = await this.invokeModel(
+        this.model,
+        [...conversation, new HumanMessage(STEP_LIMIT_INSTRUCTION)],
+        context,
+        config
+      );
+    }
+
+    if (pendingAction) {
+      logger.info("Agent paused for confirmation", {
+        agent: this.name,
+        tools: pendingAction.toolCalls.map((toolCall) => toolCall.toolName),
+      });
+      const prompt = this.confirmationPrompt(pendingAction.toolCalls, context.language);
+      const thought = this.safeExtractContent(response).trim();
+      emitEvent(context, { type: "token", content: thought ? `\n\n${prompt}` : prompt });
+
+      return {
+        response,
+        content: thought ? `${thought}\n\n${prompt}` : prompt,
+        toolResults,
+        steps,
+        stopReason,
+        pendingAction,
+      };
+    }
+
+    return {
+      response,
+      content: this.safeExtractContent(response),
+      toolResults,
+      steps,
+      stopReason,
+    };
+  }
+
+  /**
+   * Continue a tool loop that paused for the user's confirmation
+   * @param {Object} pendingAction - Pending action of the paused run (see runToolLoop)
+   * @param {boolean} approved - Whether the user approved the paused calls
+   * @param {Object} context - Agent context (language, clerkId, onEvent)
+   * @returns {Promise<Object>} Agent response, possibly paused again
+   */
+  async resume(pendingAction, approved, context = {}) {
+    const { language = "en", clerkId } = context;
+
+    try {
+      const run = await this.runToolLoop(this.bindTools(this.tools), [], this.tools, context, {
+        config: { configurable: { clerkId } },
+        resume: { state: pendingAction.state, approved },
+      });
+
+      const content = run.content || this.formatToolResults(run.toolResults);
+
+      return this.formatResponse(content, {
+        language,
+        ...this.toolRunMetadata(run),
+      });
+    } catch (error) {
+      logger.error("Agent resume error", {
+        agent: this.name,
+        error: error.message,
+        stack: error.stack,
+      });
+      return this.formatResponse(
+        language === "bn"
+          ? "দুঃখিত, কাজটি সম্পন্ন করতে সমস্যা হয়েছে।"
+          : "Sorry, I couldn't finish that action. Please try again.",
+        { error: true }
+      );
+    }
+  }
+
+  /**
+   * Response metadata describing a tool loop run
+   * @param {Object} run - Result of runToolLoop
+   * @returns {Object} { usedTools, toolResults, trace, pendingAction? }, or {} if
+   *   no tool was called; toolResults are the parsed JSON results of successful calls
+   */
+  toolRunMetadata(run) {
+    if (!run) {
+      return {};
+    }
+    if (run.steps.length === 0) {
+      return run.pendingAction
+        ? { pendingAction: run.pendingAction, trace: { steps: [], stopReason: run.stopReason } }
+        : {};
+    }
+
+    return {
+      usedTools: [...new Set(run.toolResults.map((result) => result.toolName))],
+      toolResults: run.toolResults
+        .filter((result) => result.success)
+        .map((result) => {
+          try {
+            return JSON.parse(result.result);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean),
+      trace: { steps: run.steps, stopReason: run.stopReason },
+      ...(run.pendingAction && { pendingAction: run.pendingAction }),
+    };
+  }
+
   /**
    * Format tool results into a readable response
+   * Used when the model has nothing to say after calling tools: each result
+   * is reduced to its `message` (what the tool reports to the user) where it
+   * has one, or else a short summary of its fields.
    * @param {Array} toolResults - Results from tool execution
    * @returns {string} Formatted tool results
    */
@@ -162,17 +612,27 @@ export class BaseAgent {
     }
 
     return toolResults.map(result => {
-      if (result.success) {
-        // Try to parse as JSON for better formatting
-        try {
-          const parsed = JSON.parse(result.result);
-          return JSON.stringify(parsed, null, 2);
-        } catch {
-          return result.result;
-        }
-      } else {
+      if (!result.success) {
         return `Error in ${result.toolName}: ${result.error}`;
       }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(result.result);
+      } catch {
+        return result.result;
+      }
+
+      if (parsed && typeof parsed === "object" && typeof parsed.message === "string") {
+        return parsed.message;
+      }
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return Object.entries(parsed)
+          .filter(([, value]) => value !== null && typeof value !== "object")
+          .map(([key, value]) => `- ${key}: ${value}`)
+          .join('\n') || `${result.toolName} completed.`;
+      }
+      return JSON.stringify(parsed, null, 2);
     }).join('\n\n');
   }
 
@@ -186,6 +646,20 @@ export class BaseAgent {
     throw new Error("process() must be implemented by subclass");
   }
 
+  /**
+   * Process a message, yielding events as they happen
+   * Subclasses get streaming for free as long as they call the model through
+   * invokeModel() or runToolLoop() with the context.
+   * @param {string} message - User message
+   * @param {Object} context - Additional context
+   * @yields {Object} "token", "tool_start" and "tool_end" events, then { type: "result", result }
+   */
+  async *processStream(message, context = {}) {
+    yield* streamEvents((onEvent) =>
+      this.process(message, { ...context, onEvent })
+    );
+  }
+
   /**
    * Safely extract content from a LangChain response
    * Handles edge cases where response might be in unexpected formats
@@ -8,10 +8,10 @@
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getCodeModel } from "../gemini";
+import { getChatModel } from "../llm";
 import logger from "@/lib/logger";
 import { codeTools } from "./tools/codeTools";
-import { ToolMessage } from "@langchain/core/messages";
+import { memoryTools, MEMORY_TOOLS_PROMPT } from "./tools/memoryTools";
 
 const CODE_SYSTEM_PROMPT = `You are an expert programming assistant for CS students on the Inherit platform.
 
@@ -31,8 +31,11 @@ You have access to the following tools:
 
 Use these tools to provide comprehensive code assistance. When users share code with issues, use debug_code or analyze_code. When they need code examples, use generate_code. When they want to understand code, use explain_code.
 
+${MEMORY_TOOLS_PROMPT}
+
 Guidelines:
 - Always explain WHY something is wrong, not just what
+- Tool findings include line numbers - refer to them ("on line 4") instead of guessing locations
 - Provide corrected code with explanations
 - Be encouraging - bugs are learning opportunities
 - If code is good, praise what's done well before suggesting improvements
@@ -40,8 +43,9 @@ Guidelines:
 Remember: You're helping them become better programmers, not just fixing their code.`;
 export class CodeAssistantAgent extends BaseAgent {
   constructor() {
-    super("code", "Code debugging and review assistance", getCodeModel());
+    super("code", "Code debugging and review assistance", getChatModel("code"));
     this.setSystemPrompt(CODE_SYSTEM_PROMPT);
+    this.tools = [...codeTools, ...memoryTools];
   }
 
   /**
@@ -51,6 +55,7 @@ export class CodeAssistantAgent extends BaseAgent {
     const { 
       history = [], 
       language = "en",
+      clerkId,
       userName,
       userContext,
       contextSummary,
@@ -85,58 +90,22 @@ export class CodeAssistantAgent extends BaseAgent {
       this.setSystemPrompt(enhancedPrompt);
 
       // Bind tools to the model
-      const modelWithTools = this.bindTools(codeTools);
+      const modelWithTools = this.bindTools(this.tools);
 
       const messages = this.buildMessages(message, history, language);
-      const response = await modelWithTools.invoke(messages);
-
-      // Check if model wants to use tools
-      if (response.tool_calls && response.tool_calls.length > 0) {
-        // Execute the tools
-        const toolResults = await this.executeTools(
-          response.tool_calls, 
-          codeTools
-        );
-
-        // Create tool messages for the model
-        const toolMessages = response.tool_calls.map((toolCall, index) => {
-          const result = toolResults[index];
-          return new ToolMessage({
-            tool_call_id: toolCall.id,
-            content: result.success ? result.result : `Error: ${result.error}`,
-          });
-        });
-
-        // Get final response from model with tool results
-        const finalMessages = [
-          ...messages,
-          response,
-          ...toolMessages,
-        ];
-
-        const finalResponse = await modelWithTools.invoke(finalMessages);
-
-        const finalContent = this.safeExtractContent(finalResponse);
-        
-        // Extract code language if present in the query
-        const codeLanguage = this.detectCodeLanguage(message);
-
-        return this.formatResponse(finalContent, {
-          language,
-          codeLanguage,
-          type: this.classifyCodeQuery(message),
-          usedTools: response.tool_calls.map(tc => tc.name),
-        });
-      }
+      // Memory tools save facts for the user in the config
+      const run = await this.runToolLoop(modelWithTools, messages, this.tools, context, {
+        config: { configurable: { clerkId } },
+      });
 
-      // No tool calls, just return the response
-      const content = this.safeExtractContent(response);
+      // Extract code language if present in the query
       const codeLanguage = this.detectCodeLanguage(message);
 
-      return this.formatResponse(content, {
+      return this.formatResponse(run.content || this.formatToolResults(run.toolResults), {
         language,
         codeLanguage,
         type: this.classifyCodeQuery(message),
+        ...this.toolRunMetadata(run),
       });
     } catch (error) {
       logger.error("Code assistant agent error", {
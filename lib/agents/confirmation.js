@@ -0,0 +1,183 @@
+// Pending Action Confirmation
+
+/**
+ * Pending Action Confirmation
+ *
+ * When an agent pauses before a risky tool call (see BaseAgent.runToolLoop),
+ * the paused action is stored on the conversation and the user is asked to
+ * confirm it. The user answers with the confirm/cancel buttons, which send
+ * `confirmation: { actionId, approved }`, or by replying in the chat ("yes",
+ * "no", "হ্যাঁ", "না"). Any other message drops the pending action and is
+ * handled as a new request.
+ *
+ * Pending actions expire after PENDING_ACTION_TTL_MS (default 15 minutes).
+ */
+
+import { randomUUID } from "crypto";
+import Conversation from "@/lib/models/conversationModel";
+import { ConflictError } from "@/lib/errors";
+import logger from "@/lib/logger";
+
+/** How long a pending action waits for the user's answer */
+export const PENDING_ACTION_TTL_MS = parseInt(process.env.PENDING_ACTION_TTL_MS || "900000");
+
+const APPROVALS = [
+  "yes", "y", "yeah", "yep", "yup", "sure", "ok", "okay", "confirm", "confirmed",
+  "go ahead", "do it", "proceed", "approve", "yes please", "please do", "no problem",
+  "হ্যাঁ", "হ্যা", "হাঁ", "জি", "জ্বি", "ঠিক আছে", "করো", "করুন", "নিশ্চিত",
+];
+
+const REFUSALS = [
+  "no", "n", "nope", "nah", "cancel", "stop", "don't", "dont", "do not", "never mind",
+  "nevermind", "abort", "no thanks",
+  "না", "নাহ", "বাতিল", "বাতিল করো", "বাতিল করুন", "থাক", "করো না", "করবেন না",
+];
+
+// Longest reply still read as an answer ("yes, delete it please")
+const MAX_REPLY_WORDS = 4;
+
+/**
+ * Reads a chat reply as an answer to a confirmation prompt
+ * @param {string} message - User message
+ * @returns {boolean|null} true to approve, false to cancel, null if it isn't an answer
+ *
+ * @example
+ * parseConfirmationReply("Yes, go ahead!") // true
+ * parseConfirmationReply("না") // false
+ * parseConfirmationReply("What's due tomorrow?") // null
+ */
+export function parseConfirmationReply(message) {
+  if (typeof message !== "string") return null;
+
+  const text = message
+    .toLowerCase()
+    .replace(/[.,!?।;:"“”]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return null;
+
+  if (REFUSALS.includes(text)) return false;
+  if (APPROVALS.includes(text)) return true;
+
+  const words = text.split(" ");
+  if (words.length > MAX_REPLY_WORDS) return null;
+
+  // Refusals first, so "no, don't do it" isn't read as "do it"
+  const startsWith = (phrases) =>
+    phrases.some((phrase) => text === phrase || text.startsWith(`${phrase} `));
+  if (startsWith(REFUSALS)) return false;
+  if (startsWith(APPROVALS)) return true;
+  return null;
+}
+
+/**
+ * Chat message recorded for an answer given with the confirm/cancel buttons
+ * @param {boolean} approved - Whether the user approved the action
+ * @param {string} language - 'en' or 'bn'
+ * @returns {string}
+ */
+export function confirmationReplyText(approved, language = "en") {
+  if (language === "bn") {
+    return approved ? "হ্যাঁ, এগিয়ে যান।" : "না, বাতিল করুন।";
+  }
+  return approved ? "Yes, go ahead." : "No, cancel that.";
+}
+
+/**
+ * Builds the record stored on the conversation for a paused agent response
+ * @param {Object} result - Orchestrator result whose response has a pendingAction
+ * @param {string} language - 'en' or 'bn'
+ * @returns {Object} { actionId, agent, toolCalls, state, language, createdAt, expiresAt }
+ */
+export function createPendingAction(result, language = "en") {
+  const { toolCalls, state } = result.response.pendingAction;
+  const createdAt = new Date();
+
+  return {
+    actionId: randomUUID(),
+    agent: result.routedTo,
+    toolCalls,
+    state,
+    language,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + PENDING_ACTION_TTL_MS),
+  };
+}
+
+/**
+ * What the client is shown of a pending action; the paused state stays on the server
+ * @param {Object} pendingAction - Stored pending action
+ * @returns {Object} { actionId, agent, preview, toolCalls, expiresAt }
+ */
+export function describePendingAction(pendingAction) {
+  return {
+    actionId: pendingAction.actionId,
+    agent: pendingAction.agent,
+    preview: pendingAction.toolCalls.map((toolCall) => toolCall.preview).join("\n"),
+    toolCalls: pendingAction.toolCalls.map(({ toolCallId, toolName, args, risk, preview }) => ({
+      toolCallId,
+      toolName,
+      args,
+      risk,
+      preview,
+    })),
+    expiresAt: pendingAction.expiresAt,
+  };
+}
+
+/**
+ * Works out whether a request answers the conversation's pending action
+ * An answer claims the action: it is removed from the conversation in one
+ * atomic update, so a double-submitted answer can't run it twice. A message
+ * that isn't an answer drops the pending action (saved with the conversation).
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {Object} request - { message, confirmation }
+ * @param {string} [request.message] - Chat message
+ * @param {Object} [request.confirmation] - { actionId, approved } from the confirm/cancel buttons
+ * @returns {Promise<{ pendingAction: Object, approved: boolean }|null>} The claimed
+ *   action and the answer, or null if the request is a new message
+ * @throws {ConflictError} If the confirmation is for an action that is no longer pending
+ */
+export async function takeConfirmation(conversation, { message, confirmation }) {
+  const pending = conversation?.getPendingAction() || null;
+  let approved = null;
+
+  if (confirmation) {
+    if (!pending || pending.actionId !== confirmation.actionId) {
+      throw new ConflictError("This action is no longer waiting for confirmation");
+    }
+    approved = confirmation.approved === true;
+  } else if (pending) {
+    approved = parseConfirmationReply(message);
+  }
+
+  if (approved === null) {
+    if (conversation?.pendingAction) {
+      logger.info("Pending action dropped", {
+        conversationId: conversation._id?.toString(),
+        actionId: conversation.pendingAction.actionId,
+        expired: !pending,
+      });
+      conversation.pendingAction = null;
+    }
+    return null;
+  }
+
+  const claimed = await Conversation.findOneAndUpdate(
+    {
+      _id: conversation._id,
+      clerkId: conversation.clerkId,
+      "pendingAction.actionId": pending.actionId,
+    },
+    { $set: { pendingAction: null } }
+  );
+
+  if (!claimed) {
+    throw new ConflictError("This action is no longer waiting for confirmation");
+  }
+
+  const pendingAction = pending.toObject();
+  conversation.pendingAction = null;
+  return { pendingAction, approved };
+}
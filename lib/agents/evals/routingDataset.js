@@ -0,0 +1,296 @@
+/**
+ * Routing Evaluation Dataset
+ *
+ * Labeled companion messages in English and Bengali, used to measure how
+ * well the routers pick an agent (see ./routingEval). Each case has the
+ * message, its language and the agent that should answer it. `note` explains
+ * cases that are easy to misroute. Out-of-scope cases are off-topic messages
+ * the fast router should leave to the LLM, which hands them to general.
+ *
+ * When a misroute is reported by a user, add the message here with its
+ * correct agent before fixing the router.
+ *
+ * @module lib/agents/evals/routingDataset
+ */
+
+import { AgentTypes } from "../routerAgent";
+
+const { LEARNING, TASK, CODE, ROADMAP, GENERAL } = AgentTypes;
+
+/**
+ * @typedef {Object} RoutingCase
+ * @property {string} id - Stable identifier, used in reports
+ * @property {string} message - User message
+ * @property {"en"|"bn"} language - Message language
+ * @property {string} expected - Agent that should answer, from AgentTypes
+ * @property {Object} [context] - Conversation context, e.g. { activeAgent }
+ * @property {string} [note] - Why the case is tricky
+ * @property {boolean} [outOfScope] - Off-topic; the fast router should abstain
+ */
+
+/** @type {RoutingCase[]} */
+export const ROUTING_DATASET = [
+  // Learning
+  { id: "learning-en-1", message: "Explain recursion with a simple example", language: "en", expected: LEARNING },
+  { id: "learning-en-2", message: "What is the difference between a stack and a queue?", language: "en", expected: LEARNING },
+  { id: "learning-en-3", message: "How does garbage collection work in Java?", language: "en", expected: LEARNING },
+  { id: "learning-en-4", message: "Can you teach me Big O notation?", language: "en", expected: LEARNING },
+  { id: "learning-en-5", message: "What is polymorphism in OOP?", language: "en", expected: LEARNING },
+  { id: "learning-en-6", message: "I don't get how TCP handshakes work", language: "en", expected: LEARNING },
+  { id: "learning-en-7", message: "Why is quicksort faster than bubble sort on average?", language: "en", expected: LEARNING },
+  {
+    id: "learning-en-8",
+    message: "Explain what a class is in object oriented programming",
+    language: "en",
+    expected: LEARNING,
+    note: "Concept question that mentions \"class\"",
+  },
+  {
+    id: "learning-en-9",
+    message: "What does a hash function do?",
+    language: "en",
+    expected: LEARNING,
+    note: "Concept question that mentions \"function\"",
+  },
+  { id: "learning-en-10", message: "Quiz me on binary search trees", language: "en", expected: LEARNING },
+  { id: "learning-bn-1", message: "রিকার্শন কী, সহজ করে বুঝিয়ে দাও", language: "bn", expected: LEARNING },
+  { id: "learning-bn-2", message: "স্ট্যাক আর কিউ এর মধ্যে পার্থক্য কী?", language: "bn", expected: LEARNING },
+  { id: "learning-bn-3", message: "ডাইনামিক প্রোগ্রামিং শেখাও", language: "bn", expected: LEARNING },
+  { id: "learning-bn-4", message: "অপারেটিং সিস্টেমে ডেডলক কীভাবে হয়?", language: "bn", expected: LEARNING },
+  { id: "learning-bn-5", message: "বাইনারি সার্চ কীভাবে কাজ করে?", language: "bn", expected: LEARNING },
+  { id: "learning-bn-6", message: "ওওপি তে ইনহেরিটেন্স মানে কী?", language: "bn", expected: LEARNING },
+  { id: "learning-bn-7", message: "Big O notation টা বুঝতে পারছি না, একটু explain করবে?", language: "bn", expected: LEARNING },
+  { id: "learning-bn-8", message: "গ্রাফের BFS আর DFS এর তফাত বলো", language: "bn", expected: LEARNING },
+
+  // Task
+  { id: "task-en-1", message: "Create a task for my algorithms assignment due Friday", language: "en", expected: TASK },
+  { id: "task-en-2", message: "Remind me to revise graphs tomorrow at 8pm", language: "en", expected: TASK },
+  { id: "task-en-3", message: "What's on my to-do list today?", language: "en", expected: TASK },
+  { id: "task-en-4", message: "Mark the database homework as done", language: "en", expected: TASK },
+  { id: "task-en-5", message: "Move my OS lab report deadline to next Monday", language: "en", expected: TASK },
+  { id: "task-en-6", message: "Delete the reminder about the quiz", language: "en", expected: TASK },
+  { id: "task-en-7", message: "Which of my tasks are overdue?", language: "en", expected: TASK },
+  {
+    id: "task-en-8",
+    message: "I keep getting an error when I try to mark my task complete",
+    language: "en",
+    expected: TASK,
+    note: "Mentions \"error\" but is about the task list",
+  },
+  {
+    id: "task-en-9",
+    message: "Add a task to finish the roadmap milestone on trees",
+    language: "en",
+    expected: TASK,
+    note: "Mentions \"roadmap\" but asks for a task",
+  },
+  {
+    id: "task-en-10",
+    message: "Schedule two hours of study for discrete math on Sunday",
+    language: "en",
+    expected: TASK,
+    note: "Scheduling without the word \"task\"",
+  },
+  { id: "task-bn-1", message: "শুক্রবারের জন্য অ্যালগরিদম অ্যাসাইনমেন্টের একটা টাস্ক বানাও", language: "bn", expected: TASK },
+  { id: "task-bn-2", message: "কাল সকালে আমাকে ডেটাবেস পড়ার কথা মনে করিয়ে দিও", language: "bn", expected: TASK },
+  { id: "task-bn-3", message: "আজকে আমার কী কী কাজ বাকি আছে?", language: "bn", expected: TASK },
+  { id: "task-bn-4", message: "ল্যাব রিপোর্টের ডেডলাইন সোমবার করে দাও", language: "bn", expected: TASK },
+  { id: "task-bn-5", message: "হোমওয়ার্কটা সম্পন্ন হিসেবে মার্ক করো", language: "bn", expected: TASK },
+  { id: "task-bn-6", message: "কুইজের রিমাইন্ডারটা মুছে দাও", language: "bn", expected: TASK },
+  { id: "task-bn-7", message: "আমার কোন কাজগুলোর সময় পেরিয়ে গেছে?", language: "bn", expected: TASK },
+  { id: "task-bn-8", message: "রবিবারে দুই ঘণ্টা ডিসক্রিট ম্যাথ পড়ার সময় রাখো", language: "bn", expected: TASK },
+
+  // Code
+  { id: "code-en-1", message: "Why is my for loop running forever?", language: "en", expected: CODE },
+  { id: "code-en-2", message: "Review this function and tell me how to make it faster", language: "en", expected: CODE },
+  { id: "code-en-3", message: "I'm getting TypeError: cannot read properties of undefined", language: "en", expected: CODE },
+  { id: "code-en-4", message: "Fix the bug in my Python script, it crashes on empty input", language: "en", expected: CODE },
+  { id: "code-en-5", message: "Write a C++ program that reverses a linked list", language: "en", expected: CODE },
+  { id: "code-en-6", message: "My Java program throws a NullPointerException on line 12", language: "en", expected: CODE },
+  { id: "code-en-7", message: "How do I refactor these nested if statements?", language: "en", expected: CODE },
+  { id: "code-en-8", message: "Segmentation fault when I free the array twice, why?", language: "en", expected: CODE },
+  {
+    id: "code-en-9",
+    message: "Can you explain what this code does? for i in range(10): print(i * i)",
+    language: "en",
+    expected: CODE,
+    note: "Says \"explain\" but is about a snippet",
+  },
+  {
+    id: "code-en-10",
+    message: "Show me how to implement a binary search in JavaScript",
+    language: "en",
+    expected: CODE,
+    note: "Starts with the navigation phrase \"show me\"",
+  },
+  { id: "code-bn-1", message: "আমার লুপটা থামছে না কেন?", language: "bn", expected: CODE },
+  { id: "code-bn-2", message: "এই কোডে বাগ কোথায় খুঁজে দাও", language: "bn", expected: CODE },
+  { id: "code-bn-3", message: "পাইথনে IndexError: list index out of range আসছে", language: "bn", expected: CODE },
+  { id: "code-bn-4", message: "লিংকড লিস্ট রিভার্স করার একটা সি++ প্রোগ্রাম লিখে দাও", language: "bn", expected: CODE },
+  { id: "code-bn-5", message: "আমার ফাংশনটা রিভিউ করে দাও", language: "bn", expected: CODE },
+  { id: "code-bn-6", message: "জাভাতে NullPointerException কেন হচ্ছে বুঝতে পারছি না", language: "bn", expected: CODE },
+  { id: "code-bn-7", message: "কম্পাইল করলে এরর দিচ্ছে, কী করব?", language: "bn", expected: CODE },
+  { id: "code-bn-8", message: "এই রিকার্সিভ ফাংশনটা অপ্টিমাইজ করো", language: "bn", expected: CODE },
+
+  // Roadmap
+  { id: "roadmap-en-1", message: "What should I learn next?", language: "en", expected: ROADMAP },
+  { id: "roadmap-en-2", message: "Create a roadmap for becoming a backend developer", language: "en", expected: ROADMAP },
+  { id: "roadmap-en-3", message: "How far along am I in my web development path?", language: "en", expected: ROADMAP },
+  { id: "roadmap-en-4", message: "Which skills do I need for a machine learning career?", language: "en", expected: ROADMAP },
+  { id: "roadmap-en-5", message: "Mark the arrays topic in my roadmap as completed", language: "en", expected: ROADMAP },
+  {
+    id: "roadmap-en-6",
+    message: "Open my roadmap",
+    language: "en",
+    expected: ROADMAP,
+    note: "Navigation phrase \"open\" plus a roadmap request",
+  },
+  {
+    id: "roadmap-en-7",
+    message: "Show me my learning path progress",
+    language: "en",
+    expected: ROADMAP,
+    note: "Navigation phrase \"show me\" plus a roadmap request",
+  },
+  {
+    id: "roadmap-en-8",
+    message: "Should I learn React or Vue after JavaScript?",
+    language: "en",
+    expected: ROADMAP,
+    note: "Says \"learn\" but asks what to study next",
+  },
+  { id: "roadmap-en-9", message: "Plan a 3 month study plan for DSA interviews", language: "en", expected: ROADMAP },
+  { id: "roadmap-en-10", message: "Am I ready to move on to system design?", language: "en", expected: ROADMAP },
+  { id: "roadmap-bn-1", message: "এরপর আমার কী শেখা উচিত?", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-2", message: "ব্যাকএন্ড ডেভেলপার হওয়ার একটা রোডম্যাপ বানিয়ে দাও", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-3", message: "আমার ওয়েব ডেভেলপমেন্ট রোডম্যাপে কতটুকু এগিয়েছি?", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-4", message: "মেশিন লার্নিং ক্যারিয়ারের জন্য কী কী স্কিল লাগবে?", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-5", message: "আমার রোডম্যাপটা খোলো", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-6", message: "জাভাস্ক্রিপ্টের পরে React শিখব নাকি Vue?", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-7", message: "DSA ইন্টারভিউয়ের জন্য তিন মাসের স্টাডি প্ল্যান দাও", language: "bn", expected: ROADMAP },
+  { id: "roadmap-bn-8", message: "সিস্টেম ডিজাইনে যাওয়ার জন্য কি আমি প্রস্তুত?", language: "bn", expected: ROADMAP },
+
+  // General
+  { id: "general-en-1", message: "Hi there!", language: "en", expected: GENERAL },
+  { id: "general-en-2", message: "Thanks, that was really helpful", language: "en", expected: GENERAL },
+  { id: "general-en-3", message: "I'm feeling burned out and unmotivated", language: "en", expected: GENERAL },
+  { id: "general-en-4", message: "Take me to the playground", language: "en", expected: GENERAL },
+  { id: "general-en-5", message: "Go to my profile settings", language: "en", expected: GENERAL },
+  { id: "general-en-6", message: "What can you help me with?", language: "en", expected: GENERAL },
+  { id: "general-en-7", message: "Tell me a programming joke", language: "en", expected: GENERAL },
+  {
+    id: "general-en-8",
+    message: "I understand now, thanks!",
+    language: "en",
+    expected: GENERAL,
+    note: "Says \"understand\" but is a thank-you",
+  },
+  {
+    id: "general-en-9",
+    message: "Good morning, how are you today?",
+    language: "en",
+    expected: GENERAL,
+  },
+  { id: "general-en-10", message: "Open the leaderboard", language: "en", expected: GENERAL },
+  { id: "general-bn-1", message: "তুমি কেমন আছ?", language: "bn", expected: GENERAL },
+  { id: "general-bn-2", message: "ধন্যবাদ, অনেক উপকার হলো", language: "bn", expected: GENERAL },
+  { id: "general-bn-3", message: "পড়তে একদম ইচ্ছা করছে না, মন খারাপ", language: "bn", expected: GENERAL },
+  { id: "general-bn-4", message: "আমাকে প্লেগ্রাউন্ডে নিয়ে যাও", language: "bn", expected: GENERAL },
+  { id: "general-bn-5", message: "তুমি কী কী করতে পারো?", language: "bn", expected: GENERAL },
+  { id: "general-bn-6", message: "শুভ সকাল!", language: "bn", expected: GENERAL },
+  { id: "general-bn-7", message: "একটা প্রোগ্রামিং জোক শোনাও", language: "bn", expected: GENERAL },
+  { id: "general-bn-8", message: "লিডারবোর্ডটা দেখাও", language: "bn", expected: GENERAL },
+
+  // Follow-ups, which depend on the agent that answered the previous message
+  {
+    id: "followup-en-1",
+    message: "and the next one?",
+    language: "en",
+    expected: ROADMAP,
+    context: { activeAgent: ROADMAP },
+    note: "Follow-up to a roadmap answer",
+  },
+  {
+    id: "followup-en-2",
+    message: "Can you give another example?",
+    language: "en",
+    expected: LEARNING,
+    context: { activeAgent: LEARNING },
+    note: "Follow-up to an explanation",
+  },
+  {
+    id: "followup-en-3",
+    message: "What about the second one?",
+    language: "en",
+    expected: TASK,
+    context: { activeAgent: TASK },
+    note: "Follow-up to a task list",
+  },
+  {
+    id: "followup-en-4",
+    message: "still failing",
+    language: "en",
+    expected: CODE,
+    context: { activeAgent: CODE },
+    note: "Follow-up to a debugging answer",
+  },
+  {
+    id: "followup-en-5",
+    message: "Remind me to review this tomorrow",
+    language: "en",
+    expected: TASK,
+    context: { activeAgent: LEARNING },
+    note: "Changes topic in the middle of a learning conversation",
+  },
+  {
+    id: "followup-bn-1",
+    message: "আর পরেরটা?",
+    language: "bn",
+    expected: ROADMAP,
+    context: { activeAgent: ROADMAP },
+    note: "Follow-up to a roadmap answer",
+  },
+  {
+    id: "followup-bn-2",
+    message: "আরেকটা উদাহরণ দাও",
+    language: "bn",
+    expected: LEARNING,
+    context: { activeAgent: LEARNING },
+    note: "Follow-up to an explanation",
+  },
+  {
+    id: "followup-bn-3",
+    message: "এখনও কাজ করছে না",
+    language: "bn",
+    expected: CODE,
+    context: { activeAgent: CODE },
+    note: "Follow-up to a debugging answer",
+  },
+
+  // Out of scope
+  {
+    id: "outofscope-en-1",
+    message: "asdkjh qwe",
+    language: "en",
+    expected: GENERAL,
+    outOfScope: true,
+    note: "Gibberish that only matches examples on character trigrams",
+  },
+  { id: "outofscope-en-2", message: "what's the weather in Dhaka tomorrow", language: "en", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-en-3", message: "who won the football match", language: "en", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-en-4", message: "Recommend a good movie for tonight", language: "en", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-en-5", message: "How do I cook biryani?", language: "en", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-en-6", message: "What is the price of bitcoin today?", language: "en", expected: GENERAL, outOfScope: true },
+  {
+    id: "outofscope-en-7",
+    message: "Book a flight to Chittagong for Friday",
+    language: "en",
+    expected: GENERAL,
+    outOfScope: true,
+    note: "Reads like a task request",
+  },
+  { id: "outofscope-bn-1", message: "আজকে ঢাকার আবহাওয়া কেমন?", language: "bn", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-bn-2", message: "কালকের খেলায় কে জিতেছে?", language: "bn", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-bn-3", message: "বিরিয়ানি রান্নার রেসিপি দাও", language: "bn", expected: GENERAL, outOfScope: true },
+  { id: "outofscope-bn-4", message: "ঈদের জন্য একটা পাঞ্জাবি কিনতে চাই", language: "bn", expected: GENERAL, outOfScope: true },
+];
@@ -0,0 +1,272 @@
+/**
+ * Routing Evaluation
+ *
+ * Runs the routers over the labeled dataset and scores them: accuracy,
+ * per-agent precision and recall, a confusion matrix and the list of
+ * misroutes. On out-of-scope cases the fast router is right only when it
+ * abstains. Routers:
+ * - fast: AgentOrchestrator.fastRoute, the local intent classifier, which
+ *   abstains when it is not confident
+ * - llm: RouterAgent, the LLM classifier
+ * - pipeline: what production does, fast first and the LLM when it abstains
+ *
+ * Scores are compared with routingBaseline.json; a metric that drops by more
+ * than the baseline's tolerance is a regression.
+ *
+ * @module lib/agents/evals/routingEval
+ */
+
+import { AgentTypes } from "../routerAgent";
+import { ROUTING_DATASET } from "./routingDataset";
+import baseline from "./routingBaseline.json";
+
+/** Routers that can be evaluated */
+export const ROUTERS = ["fast", "llm", "pipeline"];
+
+/** Prediction of a router that abstained */
+export const NO_ROUTE = "none";
+
+// Drop in a metric tolerated when the baseline doesn't set one
+const DEFAULT_TOLERANCE = 0.02;
+
+// LLM routing calls made at once
+const LLM_CONCURRENCY = 4;
+
+const AGENTS = Object.values(AgentTypes);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Prediction a router should make for a case
+ * @param {import("./routingDataset").RoutingCase} testCase
+ * @param {string} router - One of ROUTERS
+ * @returns {string} Agent, or NO_ROUTE for the fast router on out-of-scope cases
+ */
+function expectedFor(testCase, router) {
+  return testCase.outOfScope && router === "fast" ? NO_ROUTE : testCase.expected;
+}
+
+/**
+ * Runs an async function over items, a few at a time
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Scores one router's predictions
+ * @param {import("./routingDataset").RoutingCase[]} cases - Labeled cases
+ * @param {string[]} predictions - Predicted agent of each case, NO_ROUTE if it abstained
+ * @returns {Object} { total, correct, accuracy, coverage, macroF1, agents, byLanguage, outOfScope, confusion, misroutes }
+ */
+export function scoreRouting(cases, predictions) {
+  const labels = [...AGENTS];
+  for (const predicted of predictions) {
+    if (!labels.includes(predicted) && predicted !== NO_ROUTE) labels.push(predicted);
+  }
+  labels.push(NO_ROUTE);
+
+  // confusion[expected][predicted] = count; expected is NO_ROUTE where the router should abstain
+  const rows = cases.some((testCase) => testCase.expected === NO_ROUTE) ? [...AGENTS, NO_ROUTE] : AGENTS;
+  const confusion = Object.fromEntries(
+    rows.map((expected) => [expected, Object.fromEntries(labels.map((label) => [label, 0]))])
+  );
+  const byLanguage = {};
+  const outOfScope = { total: 0, correct: 0 };
+  const misroutes = [];
+  let correct = 0;
+  let routed = 0;
+
+  cases.forEach((testCase, index) => {
+    const predicted = predictions[index];
+    confusion[testCase.expected][predicted]++;
+
+    const language = (byLanguage[testCase.language] ??= { total: 0, correct: 0 });
+    language.total++;
+
+    if (testCase.outOfScope) outOfScope.total++;
+
+    if (predicted !== NO_ROUTE) routed++;
+    if (predicted === testCase.expected) {
+      correct++;
+      language.correct++;
+      if (testCase.outOfScope) outOfScope.correct++;
+    } else {
+      misroutes.push({
+        id: testCase.id,
+        message: testCase.message,
+        expected: testCase.expected,
+        predicted,
+        ...(testCase.note && { note: testCase.note }),
+      });
+    }
+  });
+
+  const agents = {};
+  for (const agent of AGENTS) {
+    const truePositives = confusion[agent][agent];
+    const support = labels.reduce((sum, label) => sum + confusion[agent][label], 0);
+    const predicted = rows.reduce((sum, expected) => sum + confusion[expected][agent], 0);
+    const precision = predicted ? truePositives / predicted : 0;
+    const recall = support ? truePositives / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+    agents[agent] = { precision: round(precision), recall: round(recall), f1: round(f1), support, predicted };
+  }
+
+  const total = cases.length;
+  return {
+    total,
+    correct,
+    accuracy: round(total ? correct / total : 0),
+    // Share of cases the router answered instead of abstaining
+    coverage: round(total ? routed / total : 0),
+    macroF1: round(AGENTS.reduce((sum, agent) => sum + agents[agent].f1, 0) / AGENTS.length),
+    agents,
+    byLanguage: Object.fromEntries(
+      Object.entries(byLanguage).map(([language, { total: count, correct: hits }]) => [
+        language,
+        { total: count, accuracy: round(hits / count) },
+      ])
+    ),
+    // Share of out-of-scope cases handled as expected
+    outOfScope: {
+      total: outOfScope.total,
+      accuracy: round(outOfScope.total ? outOfScope.correct / outOfScope.total : 0),
+    },
+    confusion,
+    misroutes,
+  };
+}
+
+/**
+ * Runs the routers over the dataset and scores them
+ * @param {Object} options
+ * @param {string[]} [options.routers] - Routers to run, from ROUTERS (default all)
+ * @param {Function} options.fastRoute - (message, context) => agent or null
+ * @param {Function} [options.llmRoute] - async (message, context) => agent; needed for llm and pipeline
+ * @param {import("./routingDataset").RoutingCase[]} [options.cases] - Default ROUTING_DATASET
+ * @returns {Promise<{ datasetSize: number, durationMs: number, routers: Object }>}
+ *   `routers` maps each router run to its scores, see scoreRouting()
+ */
+export async function runRoutingEval({ routers = ROUTERS, fastRoute, llmRoute, cases = ROUTING_DATASET }) {
+  const startTime = Date.now();
+  const needsLLM = routers.includes("llm") || routers.includes("pipeline");
+  if (needsLLM && !llmRoute) {
+    throw new Error("llmRoute is required to evaluate the llm and pipeline routers");
+  }
+
+  const fast = cases.map(({ message, context }) => fastRoute(message, context || {}) || NO_ROUTE);
+
+  // The pipeline only asks the LLM when the fast router abstains
+  const llm = needsLLM
+    ? await mapWithConcurrency(cases, LLM_CONCURRENCY, async ({ message, context }, index) =>
+        routers.includes("llm") || fast[index] === NO_ROUTE
+          ? (await llmRoute(message, context || {})) || NO_ROUTE
+          : null
+      )
+    : [];
+
+  const predictions = {
+    fast: () => fast,
+    llm: () => llm,
+    pipeline: () => fast.map((agent, index) => (agent === NO_ROUTE ? llm[index] : agent)),
+  };
+
+  return {
+    datasetSize: cases.length,
+    durationMs: Date.now() - startTime,
+    routers: Object.fromEntries(
+      ROUTERS.filter((router) => routers.includes(router)).map((router) => [
+        router,
+        scoreRouting(
+          cases.map((testCase) => ({ ...testCase, expected: expectedFor(testCase, router) })),
+          predictions[router]()
+        ),
+      ])
+    ),
+  };
+}
+
+/**
+ * Metrics of an evaluation that the baseline keeps
+ * @param {Object} result - From runRoutingEval()
+ * @returns {Object} Contents for routingBaseline.json
+ */
+export function toBaseline(result) {
+  return {
+    tolerance: baseline.tolerance ?? DEFAULT_TOLERANCE,
+    datasetSize: result.datasetSize,
+    updatedAt: new Date().toISOString(),
+    routers: {
+      ...baseline.routers,
+      ...Object.fromEntries(
+        Object.entries(result.routers).map(([router, scores]) => [
+          router,
+          {
+            accuracy: scores.accuracy,
+            outOfScope: scores.outOfScope.accuracy,
+            agents: Object.fromEntries(
+              Object.entries(scores.agents).map(([agent, { precision, recall }]) => [agent, { precision, recall }])
+            ),
+          },
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * Metrics that dropped below the baseline by more than its tolerance
+ * @param {Object} result - From runRoutingEval()
+ * @param {Object} [reference] - Baseline, default routingBaseline.json
+ * @returns {Array<{ router: string, metric: string, agent?: string, baseline: number, actual: number }>}
+ */
+export function findRegressions(result, reference = baseline) {
+  const tolerance = reference.tolerance ?? DEFAULT_TOLERANCE;
+  const regressions = [];
+
+  const check = (router, metric, expected, actual, agent) => {
+    if (typeof expected === "number" && actual < expected - tolerance) {
+      regressions.push({ router, metric, ...(agent && { agent }), baseline: expected, actual });
+    }
+  };
+
+  for (const [router, scores] of Object.entries(result.routers)) {
+    const expected = reference.routers?.[router];
+    if (!expected) continue;
+
+    check(router, "accuracy", expected.accuracy, scores.accuracy);
+    check(router, "outOfScope", expected.outOfScope, scores.outOfScope.accuracy);
+    for (const [agent, metrics] of Object.entries(expected.agents || {})) {
+      check(router, "precision", metrics.precision, scores.agents[agent]?.precision ?? 0, agent);
+      check(router, "recall", metrics.recall, scores.agents[agent]?.recall ?? 0, agent);
+    }
+  }
+
+  return regressions;
+}
+
+/**
+ * Whether the baseline was recorded on a dataset of another size
+ * @param {Object} result - From runRoutingEval()
+ * @returns {boolean}
+ */
+export function isBaselineStale(result) {
+  return baseline.datasetSize !== result.datasetSize;
+}
@@ -9,11 +9,11 @@
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getLearningModel } from "../gemini";
+import { getChatModel } from "../llm";
 import { getMessage } from "@/lib/i18n/agentMessages";
 import logger from "@/lib/logger";
 import { contextTools } from "./tools/contextTools";
-import { ToolMessage } from "@langchain/core/messages";
+import { memoryTools, MEMORY_TOOLS_PROMPT } from "./tools/memoryTools";
 
 const GENERAL_SYSTEM_PROMPT = `You are a friendly AI companion for CS students on the Inherit learning platform.
 
@@ -28,6 +28,8 @@ You have access to the following tools:
 - fetch_user_context: Get the user's progress, statistics, and activity data. Use when they ask about "my progress", "how am I doing", "my roadmaps", etc.
 - get_user_stats: Get a quick summary of user statistics.
 
+${MEMORY_TOOLS_PROMPT}
+
 Platform features you can mention:
 - Learning videos and tutorials (/learn)
 - AI-generated learning roadmaps (/roadmaps)
@@ -59,14 +61,14 @@ If a user seems stressed or overwhelmed:
 Keep responses concise and warm. Use emojis sparingly but effectively.`;
 
 // Tools for this agent
-const generalAgentTools = [...contextTools];
+const generalAgentTools = [...contextTools, ...memoryTools];
 
 export class GeneralAgent extends BaseAgent {
   constructor() {
     super(
       "general",
       "General conversation and platform guidance",
-      getLearningModel()
+      getChatModel("general")
     );
     this.setSystemPrompt(GENERAL_SYSTEM_PROMPT);
     this.tools = generalAgentTools;
@@ -139,79 +141,27 @@ export class GeneralAgent extends BaseAgent {
         toolsCount: this.tools.length,
       });
 
-      // First model call
-      const response = await modelWithTools.invoke(messages, {
-        configurable: { clerkId },
+      // Model calls tools until it has what it needs to answer
+      const run = await this.runToolLoop(modelWithTools, messages, this.tools, context, {
+        config: { configurable: { clerkId } },
       });
 
-      // Check if model wants to use tools
-      if (response.tool_calls && response.tool_calls.length > 0) {
-        logger.info("GeneralAgent executing tools", {
-          toolCalls: response.tool_calls.map((tc) => tc.name),
-        });
-
-        // Execute the tools
-        const toolResults = await this.executeTools(
-          response.tool_calls,
-          this.tools,
-          { configurable: { clerkId } }
-        );
-
-        // Create tool messages for the model
-        const toolMessages = response.tool_calls.map((toolCall, index) => {
-          const result = toolResults[index];
-          return new ToolMessage({
-            tool_call_id: toolCall.id,
-            content: result.success ? result.result : `Error: ${result.error}`,
-          });
-        });
-
-        // Get final response from model with tool results
-        const finalMessages = [...messages, response, ...toolMessages];
-
-        const finalResponse = await modelWithTools.invoke(finalMessages, {
-          configurable: { clerkId },
-        });
-
-        // Restore original prompt
-        this.setSystemPrompt(originalPrompt);
-
-        let content = this.safeExtractContent(finalResponse);
-
-        // Include tool results in response metadata
-        const toolResultsData = toolResults
-          .filter((r) => r.success)
-          .map((r) => {
-            try {
-              return JSON.parse(r.result);
-            } catch {
-              return null;
-            }
-          })
-          .filter(Boolean);
-
-        return this.formatResponse(content, {
-          language,
-          type: this.getResponseType(message),
-          usedTools: response.tool_calls.map((tc) => tc.name),
-          toolResults: toolResultsData,
-        });
-      }
-
       // Restore original prompt
       this.setSystemPrompt(originalPrompt);
 
-      const content = this.safeExtractContent(response);
+      const content = run.content || this.formatToolResults(run.toolResults);
 
       logger.info("General agent response generated", {
         responseLength: content.length,
         responsePreview: content.substring(0, 100),
+        toolSteps: run.steps.length,
         language,
       });
 
       return this.formatResponse(content, {
         language,
         type: this.getResponseType(message),
+        ...this.toolRunMetadata(run),
       });
     } catch (error) {
       logger.error("General agent error", {
@@ -18,6 +18,7 @@ import GeneralAgent from "./generalAgent";
 import { taskTools } from "./tools/taskTools";
 import { contextTools } from "./tools/contextTools";
 import { roadmapTools } from "./tools/roadmapTools";
+import { memoryTools } from "./tools/memoryTools";
 
 /**
  * Initialize the orchestrator with all agents
@@ -64,7 +65,7 @@ export {
 };
 
 // Tool exports
-export { taskTools, contextTools, roadmapTools };
+export { taskTools, contextTools, roadmapTools, memoryTools };
 
 // All tools combined
-export const allTools = [...taskTools, ...contextTools, ...roadmapTools];
+export const allTools = [...taskTools, ...contextTools, ...roadmapTools, ...memoryTools];
@@ -0,0 +1,317 @@
+/**
+ * Intent Classifier
+ *
+ * Local nearest-neighbour classifier that routes messages without a model
+ * call. Messages become TF-IDF vectors of their words and of the character
+ * trigrams inside them (so "tasks" still matches "task", and Bengali words
+ * match across suffixes such as "রোডম্যাপটা"). A message goes to the agent
+ * whose examples (./intentExamples) it is most similar to.
+ *
+ * Off-topic messages are left to the router agent: the classifier abstains
+ * when a message is closest to the out-of-scope examples, or when its
+ * nearest examples share too few whole words with it (so gibberish that only
+ * matches on trigrams gets no agent).
+ *
+ * Confidence is calibrated: when the classifier is built, each example is
+ * classified against the others, and isotonic regression maps the raw score
+ * to the share of examples that were routed correctly at that score.
+ * Out-of-scope examples routed to an agent count as misroutes. A confidence
+ * of 0.8 therefore means about 80% of such messages are routed right.
+ *
+ * Short follow-ups ("and the next one?") carry no intent of their own; they
+ * stay with the conversation's active agent unless the message clearly
+ * belongs to another one.
+ *
+ * @module lib/agents/intentClassifier
+ */
+
+import { AgentTypes } from "./routerAgent";
+import { INTENT_EXAMPLES, OUT_OF_SCOPE_EXAMPLES } from "./intentExamples";
+
+/** Confidence below which the orchestrator asks the router agent instead */
+export const CONFIDENCE_THRESHOLD = 0.6;
+
+// Neighbours that vote on a message
+const NEIGHBOURS = 7;
+
+// Weight of character trigrams relative to whole words
+const TRIGRAM_WEIGHT = 0.5;
+
+// Similarity over whole words alone that one of the winning agent's neighbours must reach
+const MIN_WORD_SIMILARITY = 0.1;
+
+// Highest confidence the classifier claims
+const MAX_CONFIDENCE = 0.95;
+
+// Confidence of a follow-up kept with the active agent
+const FOLLOW_UP_CONFIDENCE = 0.75;
+
+// Confidence needed to move a message that opens like a follow-up to another agent
+const SWITCH_CONFIDENCE = 0.9;
+
+// Messages this short, in words, are treated as follow-ups
+const FOLLOW_UP_MAX_WORDS = 3;
+
+// Openings of follow-ups in English and Bengali
+const FOLLOW_UP_PATTERN =
+  /^(and|also|what about|how about|then|next|another|one more|more|again|same|still|ok(ay)?|why|আর|আরও|আরেকটা|আরেকটি|তারপর|তাহলে|পরেরটা|পরেরটি|আবার|একই|এখনও|কেন)(\s|[?.!,।]|$)/;
+
+const AGENTS = Object.values(AgentTypes);
+
+// Label of the out-of-scope examples
+const OUT_OF_SCOPE = "out_of_scope";
+
+/**
+ * Words of a message, lowercased, with Bengali vowel signs kept
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Terms of a message: its words and the character trigrams of each word
+ * @param {string} text
+ * @returns {Map<string, number>} Term weights
+ */
+function extractTerms(text) {
+  const terms = new Map();
+  const add = (term, weight) => terms.set(term, (terms.get(term) || 0) + weight);
+
+  for (const word of tokenize(text)) {
+    add(`w:${word}`, 1);
+
+    const padded = [...`^${word}$`];
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.slice(i, i + 3).join("")}`, TRIGRAM_WEIGHT);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @param {boolean} [wordsOnly=false] - Leave out the character trigrams
+ * @returns {number}
+ */
+function similarity(a, b, wordsOnly = false) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    if (wordsOnly && !term.startsWith("w:")) continue;
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+/**
+ * Fits isotonic regression (pool adjacent violators) to score/outcome pairs
+ * @param {Array<{ score: number, correct: boolean }>} samples
+ * @returns {Array<{ from: number, value: number }>} Steps, by ascending score
+ */
+function fitIsotonic(samples) {
+  const blocks = [];
+  for (const { score, correct } of [...samples].sort((a, b) => a.score - b.score)) {
+    blocks.push({ from: score, sum: correct ? 1 : 0, count: 1 });
+
+    // Merge blocks until accuracy never falls as the score rises
+    while (
+      blocks.length > 1 &&
+      blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >=
+        blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count
+    ) {
+      const last = blocks.pop();
+      const previous = blocks[blocks.length - 1];
+      previous.sum += last.sum;
+      previous.count += last.count;
+    }
+  }
+  return blocks.map(({ from, sum, count }) => ({ from, value: sum / count }));
+}
+
+export class IntentClassifier {
+  /**
+   * @param {Object<string, string[]>} [examples] - Example messages by agent type
+   * @param {string[]} [outOfScope] - Messages no agent is for
+   */
+  constructor(examples = INTENT_EXAMPLES, outOfScope = OUT_OF_SCOPE_EXAMPLES) {
+    const labelled = { ...examples, [OUT_OF_SCOPE]: outOfScope };
+    const documents = Object.entries(labelled).flatMap(([agent, messages]) =>
+      messages.map((message) => ({ agent, terms: extractTerms(message) }))
+    );
+
+    // Inverse document frequency of each term
+    const frequency = new Map();
+    for (const { terms } of documents) {
+      for (const term of terms.keys()) {
+        frequency.set(term, (frequency.get(term) || 0) + 1);
+      }
+    }
+    this.idf = new Map(
+      [...frequency].map(([term, count]) => [term, Math.log((documents.length + 1) / (count + 1)) + 1])
+    );
+
+    this.examples = documents.map(({ agent, terms }) => ({ agent, vector: this.vectorize(terms) }));
+    this.calibration = this.calibrate();
+  }
+
+  /**
+   * Normalized TF-IDF vector of a message's terms; unknown terms are dropped
+   * @param {Map<string, number>} terms
+   * @returns {Map<string, number>}
+   */
+  vectorize(terms) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of terms) {
+      const idf = this.idf.get(term);
+      if (!idf) continue;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  }
+
+  /**
+   * Votes of the nearest examples
+   * @param {Map<string, number>} vector - Message vector
+   * @param {Object} [skip] - Example to leave out
+   * @returns {{ agent: string, score: number, scores: Object<string, number> }|null}
+   *   Best agent and its raw score; null if no example shares a term, the
+   *   out-of-scope examples win, or the winner's examples share too few words
+   */
+  vote(vector, skip) {
+    const neighbours = this.examples
+      .filter((example) => example !== skip)
+      .map((example) => ({ example, agent: example.agent, similarity: similarity(vector, example.vector) }))
+      .filter((neighbour) => neighbour.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, NEIGHBOURS);
+
+    if (neighbours.length === 0) return null;
+
+    const labels = [...AGENTS, OUT_OF_SCOPE];
+    const scores = Object.fromEntries(labels.map((label) => [label, 0]));
+    const closest = {};
+    let total = 0;
+    for (const { agent, similarity: weight } of neighbours) {
+      scores[agent] += weight;
+      closest[agent] ??= weight;
+      total += weight;
+    }
+    for (const label of labels) {
+      scores[label] /= total;
+    }
+
+    const agent = labels.reduce((best, candidate) => (scores[candidate] > scores[best] ? candidate : best));
+    if (agent === OUT_OF_SCOPE) return null;
+
+    // Trigrams alone match almost anything; some words must be shared too
+    const wordSimilarity = Math.max(
+      ...neighbours
+        .filter((neighbour) => neighbour.agent === agent)
+        .map(({ example }) => similarity(vector, example.vector, true))
+    );
+    if (wordSimilarity < MIN_WORD_SIMILARITY) return null;
+
+    // Share of the vote, weakened when even the closest example is far off
+    return { agent, score: scores[agent] * Math.sqrt(closest[agent]), scores };
+  }
+
+  /**
+   * Leave-one-out calibration of raw scores
+   * Examples the classifier abstains on aren't routed, so they are left out.
+   * @returns {Array<{ from: number, value: number }>}
+   */
+  calibrate() {
+    const samples = [];
+    for (const example of this.examples) {
+      const result = this.vote(example.vector, example);
+      if (result) {
+        samples.push({ score: result.score, correct: result.agent === example.agent });
+      }
+    }
+    return fitIsotonic(samples);
+  }
+
+  /**
+   * Calibrated confidence of a raw score
+   * @param {number} score
+   * @returns {number}
+   */
+  confidence(score) {
+    let value = 0;
+    for (const step of this.calibration) {
+      if (step.from > score) break;
+      value = step.value;
+    }
+    return Math.min(value, MAX_CONFIDENCE);
+  }
+
+  /**
+   * Classify a message
+   * @param {string} message - User message
+   * @param {Object} [context] - Conversation context
+   * @param {string} [context.activeAgent] - Agent that answered the previous message
+   * @returns {{ agent: string, confidence: number, reasoning: string }|null}
+   *   null if the message is off-topic or shares too little with the examples, and is no follow-up
+   */
+  classify(message, context = {}) {
+    const result = this.vote(this.vectorize(extractTerms(message)));
+    const decision = result && {
+      agent: result.agent,
+      confidence: Number(this.confidence(result.score).toFixed(2)),
+      reasoning: "Similar to known messages",
+    };
+
+    const { activeAgent } = context;
+    const followUp = this.followUpStrength(message);
+    const needed = followUp === "opening" ? SWITCH_CONFIDENCE : CONFIDENCE_THRESHOLD;
+    if (AGENTS.includes(activeAgent) && followUp && !(decision?.confidence >= needed)) {
+      return {
+        agent: activeAgent,
+        confidence: Math.max(FOLLOW_UP_CONFIDENCE, result?.agent === activeAgent ? decision.confidence : 0),
+        reasoning: `Follow-up in the ${activeAgent} conversation`,
+      };
+    }
+
+    return decision;
+  }
+
+  /**
+   * Whether a message continues the previous exchange
+   * @param {string} message
+   * @returns {"opening"|"short"|null} "opening" if it starts like a follow-up
+   *   ("and", "what about", "আর", ...), "short" if it is only a few words
+   */
+  followUpStrength(message) {
+    const text = message.trim().toLowerCase();
+    if (FOLLOW_UP_PATTERN.test(text)) return "opening";
+    if (tokenize(text).length <= FOLLOW_UP_MAX_WORDS) return "short";
+    return null;
+  }
+}
+
+// Singleton classifier, built on first use
+let classifierInstance = null;
+
+/**
+ * Get the intent classifier trained on INTENT_EXAMPLES
+ * @returns {IntentClassifier}
+ */
+export function getIntentClassifier() {
+  if (!classifierInstance) {
+    classifierInstance = new IntentClassifier();
+  }
+  return classifierInstance;
+}
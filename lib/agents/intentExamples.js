@@ -0,0 +1,257 @@
+/**
+ * Intent Examples
+ *
+ * Example messages for each agent, in English and Bengali, that the fast
+ * intent classifier (./intentClassifier) learns from, and off-topic messages
+ * it should leave to the router agent. Add phrasings here when
+ * the classifier misroutes a kind of message; keep them different from the
+ * evaluation dataset (./evals/routingDataset) so the evaluation stays honest.
+ *
+ * @module lib/agents/intentExamples
+ */
+
+import { AgentTypes } from "./routerAgent";
+
+/** Example messages by agent type */
+export const INTENT_EXAMPLES = {
+  [AgentTypes.LEARNING]: [
+    "Explain how recursion works",
+    "What is a linked list?",
+    "Teach me about hash tables",
+    "Can you explain closures in JavaScript?",
+    "What is the difference between TCP and UDP?",
+    "How does a binary search tree work?",
+    "Help me understand pointers",
+    "What are the SOLID principles?",
+    "Explain the concept of inheritance",
+    "What is normalization in databases?",
+    "How do operating systems schedule processes?",
+    "What does time complexity mean?",
+    "Explain dynamic programming with an example",
+    "I'm confused about how virtual memory works",
+    "What is encapsulation in object oriented programming?",
+    "Give me an intuition for Dijkstra's algorithm",
+    "Why do we use interfaces?",
+    "Test my knowledge of sorting algorithms",
+    "Give me practice questions on graphs",
+    "What is a deadlock and how do we avoid it?",
+    "রিকার্শন কীভাবে কাজ করে বুঝিয়ে বলো",
+    "লিংকড লিস্ট কী?",
+    "হ্যাশ টেবিল সম্পর্কে শেখাও",
+    "টিসিপি আর ইউডিপির পার্থক্য বুঝিয়ে দাও",
+    "পয়েন্টার বুঝতে সাহায্য করো",
+    "ডেটাবেস নরমালাইজেশন কী?",
+    "টাইম কমপ্লেক্সিটি মানে কী?",
+    "এনক্যাপসুলেশন কাকে বলে?",
+    "ডায়াক্সট্রা অ্যালগরিদম সহজ ভাষায় ব্যাখ্যা করো",
+    "ভার্চুয়াল মেমোরি কীভাবে কাজ করে?",
+    "সর্টিং অ্যালগরিদম নিয়ে আমাকে প্রশ্ন করো",
+    "পলিমরফিজম কী উদাহরণসহ বলো",
+    "গ্রাফ কী এবং কোথায় ব্যবহার হয়?",
+    "প্রসেস আর থ্রেডের মধ্যে পার্থক্য কী?",
+  ],
+
+  [AgentTypes.TASK]: [
+    "Create a task to study for the networks exam",
+    "Add a todo to submit the lab report",
+    "Remind me to practice recursion tomorrow",
+    "Set a deadline for my project on Friday",
+    "Show my pending tasks",
+    "What do I have to do this week?",
+    "Mark the assignment as completed",
+    "Change the due date of my essay to Tuesday",
+    "Delete the task about the physics homework",
+    "List my overdue assignments",
+    "Set a reminder for the quiz on Thursday",
+    "Make the OS assignment high priority",
+    "Plan my study sessions for the week",
+    "Book an hour tonight for algorithm practice",
+    "Add revising linked lists to my to-do list",
+    "I finished the database homework, tick it off",
+    "Clear all my completed tasks",
+    "What's due tomorrow?",
+    "The task I created yesterday shows the wrong date",
+    "Reschedule my calculus revision to the weekend",
+    "নেটওয়ার্কিং পরীক্ষার জন্য একটা টাস্ক তৈরি করো",
+    "ল্যাব রিপোর্ট জমা দেওয়ার কাজ যোগ করো",
+    "আগামীকাল রিকার্শন অনুশীলন করতে মনে করিয়ে দিও",
+    "প্রজেক্টের ডেডলাইন শুক্রবার সেট করো",
+    "আমার বাকি কাজগুলো দেখাও",
+    "এই সপ্তাহে আমার কী কী করতে হবে?",
+    "অ্যাসাইনমেন্টটা শেষ হয়েছে বলে চিহ্নিত করো",
+    "প্রবন্ধের জমা দেওয়ার তারিখ মঙ্গলবার করো",
+    "ফিজিক্স হোমওয়ার্কের টাস্কটা মুছে ফেলো",
+    "বৃহস্পতিবার কুইজের জন্য রিমাইন্ডার দাও",
+    "আজ রাতে এক ঘণ্টা অ্যালগরিদম অনুশীলনের সময় রাখো",
+    "কাল কী কী জমা দিতে হবে?",
+    "আমার টু-ডু লিস্টে লিংকড লিস্ট রিভিশন যোগ করো",
+    "সম্পন্ন কাজগুলো সরিয়ে দাও",
+  ],
+
+  [AgentTypes.CODE]: [
+    "Debug this code for me",
+    "Why does my program crash?",
+    "I get a syntax error on line 5",
+    "Fix this function, it returns the wrong value",
+    "Review my code and suggest improvements",
+    "Write a function that checks for palindromes",
+    "My recursion causes a stack overflow",
+    "How do I read a file in Python?",
+    "Optimize this loop",
+    "What does this error message mean: undefined is not a function",
+    "Convert this Java code to Python",
+    "My array index is out of bounds",
+    "Implement merge sort in C",
+    "This query returns duplicate rows, what's wrong?",
+    "Why does my React component render twice?",
+    "Help me write unit tests for this class",
+    "My code compiles but prints nothing",
+    "How do I use map and filter in JavaScript?",
+    "There's a memory leak in my C program",
+    "Walk me through what this snippet does",
+    "এই কোডটা ডিবাগ করে দাও",
+    "আমার প্রোগ্রাম ক্র্যাশ করছে কেন?",
+    "পাঁচ নম্বর লাইনে সিনট্যাক্স এরর দেখাচ্ছে",
+    "ফাংশনটা ভুল মান রিটার্ন করছে, ঠিক করে দাও",
+    "আমার কোড রিভিউ করে উন্নতির পরামর্শ দাও",
+    "প্যালিনড্রোম চেক করার একটা ফাংশন লিখে দাও",
+    "পাইথনে ফাইল কীভাবে পড়ব?",
+    "এই লুপটা অপ্টিমাইজ করো",
+    "জাভা কোডটাকে পাইথনে রূপান্তর করো",
+    "সি তে মার্জ সর্ট ইমপ্লিমেন্ট করো",
+    "কোড চালালে কিছুই প্রিন্ট হচ্ছে না",
+    "এই এরর মেসেজের মানে কী?",
+    "আমার প্রোগ্রামে মেমোরি লিক হচ্ছে",
+    "এই স্নিপেটটা কী করে বুঝিয়ে দাও",
+  ],
+
+  [AgentTypes.ROADMAP]: [
+    "What topic comes next in my roadmap?",
+    "Generate a roadmap for data science",
+    "How much of my roadmap have I completed?",
+    "What should I study after data structures?",
+    "Which career path suits me, frontend or backend?",
+    "Build me a learning path for cybersecurity",
+    "Update my progress on the Python roadmap",
+    "I finished the recursion milestone",
+    "What skills are required to become a DevOps engineer?",
+    "Is my roadmap on track?",
+    "Suggest what to focus on this month",
+    "Make a curriculum for learning web development from scratch",
+    "Which roadmap am I following right now?",
+    "What are the prerequisites for learning machine learning?",
+    "Should I learn Go or Rust next?",
+    "Show my roadmap",
+    "How long will it take me to finish the backend path?",
+    "I want to become a game developer, where do I start?",
+    "Plan a six week schedule to get ready for coding interviews",
+    "Am I ready to start the advanced algorithms section?",
+    "আমার রোডম্যাপে পরের টপিক কোনটা?",
+    "ডেটা সায়েন্সের জন্য একটা রোডম্যাপ তৈরি করো",
+    "রোডম্যাপের কতটুকু শেষ করেছি?",
+    "ডেটা স্ট্রাকচারের পরে কী পড়ব?",
+    "ফ্রন্টএন্ড নাকি ব্যাকএন্ড, কোন ক্যারিয়ার আমার জন্য ভালো?",
+    "সাইবার সিকিউরিটির লার্নিং পাথ বানিয়ে দাও",
+    "পাইথন রোডম্যাপে আমার অগ্রগতি আপডেট করো",
+    "রিকার্শন মাইলস্টোন শেষ করেছি",
+    "ডেভঅপস ইঞ্জিনিয়ার হতে কী কী দক্ষতা দরকার?",
+    "মেশিন লার্নিং শেখার আগে কী জানা দরকার?",
+    "এখন আমি কোন রোডম্যাপ ফলো করছি?",
+    "গেম ডেভেলপার হতে চাই, কোথা থেকে শুরু করব?",
+    "কোডিং ইন্টারভিউয়ের জন্য ছয় সপ্তাহের পরিকল্পনা দাও",
+    "অ্যাডভান্সড অ্যালগরিদম শুরু করার মতো প্রস্তুত কি?",
+  ],
+
+  [AgentTypes.GENERAL]: [
+    "Hello",
+    "Hi",
+    "Hey there, how are you?",
+    "Hey, good evening",
+    "Thank you so much",
+    "You're awesome",
+    "I feel stressed about my exams",
+    "I don't feel like studying today",
+    "Motivate me",
+    "Who are you?",
+    "What can this app do?",
+    "What are you able to help with?",
+    "Navigate to the quests page",
+    "Open the dashboard",
+    "Take me to my profile",
+    "Go to settings",
+    "Bye, see you later",
+    "That makes sense, thanks",
+    "Tell me something fun",
+    "How's it going?",
+    "Nice, got it",
+    "Sorry, never mind",
+    "Show me the community page",
+    "হ্যালো",
+    "হাই, কী খবর?",
+    "শুভ সন্ধ্যা",
+    "অনেক ধন্যবাদ",
+    "তুমি দারুণ",
+    "পরীক্ষা নিয়ে খুব চিন্তা হচ্ছে",
+    "আজ পড়তে ভালো লাগছে না",
+    "আমাকে একটু অনুপ্রেরণা দাও",
+    "তুমি কে?",
+    "এই অ্যাপে কী কী করা যায়?",
+    "কোয়েস্ট পেজে নিয়ে যাও",
+    "ড্যাশবোর্ড খোলো",
+    "আমার প্রোফাইলে যাও",
+    "বিদায়, পরে কথা হবে",
+    "বুঝেছি, ধন্যবাদ",
+    "মজার কিছু বলো",
+  ],
+};
+
+/**
+ * Messages none of the agents is for (weather, sports, shopping, news, ...).
+ * The classifier leaves messages closest to these to the router agent, and
+ * counts them as misroutes when calibrating, so off-topic messages don't get
+ * a confident agent.
+ */
+export const OUT_OF_SCOPE_EXAMPLES = [
+  "Will it rain today?",
+  "What's the temperature outside right now?",
+  "Is it going to be sunny this weekend?",
+  "Who won the cricket game last night?",
+  "What's the score of the match?",
+  "When does the World Cup start?",
+  "Recommend a song to listen to",
+  "What movie should I watch this weekend?",
+  "Who is the most famous actor right now?",
+  "How do I make pasta?",
+  "Give me a recipe for chicken curry",
+  "Where can I get good pizza nearby?",
+  "Buy me a new phone",
+  "How much does an iPhone cost?",
+  "Order groceries for tomorrow",
+  "Book a hotel in Cox's Bazar",
+  "What time does the bus leave for Sylhet?",
+  "How far is the airport from here?",
+  "What's the dollar exchange rate today?",
+  "Should I invest in the stock market?",
+  "What's the latest news?",
+  "Who is the president of the United States?",
+  "Tell me about the election results",
+  "I have a headache, which medicine should I take?",
+  "How many calories are in a banana?",
+  "What's your favorite color?",
+  "Write a poem about the sea",
+  "Translate good night into French",
+  "আজ কি বৃষ্টি হবে?",
+  "বাইরে এখন তাপমাত্রা কত?",
+  "গতকালের ক্রিকেট ম্যাচে কে জিতেছে?",
+  "খেলার স্কোর কত?",
+  "একটা ভালো সিনেমার নাম বলো",
+  "একটা গান শোনার জন্য বলো",
+  "মুরগির মাংস রান্নার রেসিপি দাও",
+  "কাছে ভালো রেস্টুরেন্ট কোথায়?",
+  "একটা নতুন মোবাইল কিনতে চাই",
+  "কক্সবাজারে হোটেল বুক করো",
+  "সিলেটের বাস কখন ছাড়বে?",
+  "আজকে ডলারের দাম কত?",
+  "আজকের খবর কী?",
+  "মাথা ব্যথা করছে, কোন ওষুধ খাব?",
+];
@@ -8,11 +8,12 @@
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getLearningModel } from "../gemini";
+import { getChatModel } from "../llm";
 import { getMessage } from "@/lib/i18n/agentMessages";
 import logger from "@/lib/logger";
 import { learningTools } from "./tools/learningTools";
-import { ToolMessage } from "@langchain/core/messages";
+import { memoryTools, MEMORY_TOOLS_PROMPT } from "./tools/memoryTools";
+import { findConcept, formatConceptMarkdown } from "@/lib/knowledge";
 
 const LEARNING_SYSTEM_PROMPT = `You are a friendly and knowledgeable CS learning companion for the Inherit platform.
 
@@ -32,6 +33,10 @@ You have access to the following tools:
 
 Use these tools to provide comprehensive learning support. When users ask for explanations, use explain_concept. When they need a learning plan, use create_learning_path. When they want practice, use generate_practice.
 
+${MEMORY_TOOLS_PROMPT}
+
+explain_concept, generate_practice, break_down_topic and suggest_resources answer from a curated concept library. Prefer its definitions, examples and links over your own. When a tool returns found: false, answer from general knowledge and say so.
+
 Guidelines:
 - Use simple analogies and real-world examples
 - Break complex topics into digestible parts
@@ -47,9 +52,10 @@ export class LearningCompanionAgent extends BaseAgent {
     super(
       "learning",
       "CS learning and concept explanation",
-      getLearningModel()
+      getChatModel("learning")
     );
     this.setSystemPrompt(LEARNING_SYSTEM_PROMPT);
+    this.tools = [...learningTools, ...memoryTools];
   }
 
   /**
@@ -62,6 +68,7 @@ export class LearningCompanionAgent extends BaseAgent {
     const {
       history = [],
       language = "en",
+      clerkId,
       userName,
       userContext,
       contextSummary,
@@ -81,7 +88,7 @@ export class LearningCompanionAgent extends BaseAgent {
 
     try {
       // Bind tools to the model
-      const modelWithTools = this.bindTools(learningTools);
+      const modelWithTools = this.bindTools(this.tools);
 
       // Build comprehensive context
       let fullContext = "";
@@ -111,53 +118,27 @@ export class LearningCompanionAgent extends BaseAgent {
       this.setSystemPrompt(enhancedPrompt);
 
       const messages = this.buildMessages(message, history, language);
-      const response = await modelWithTools.invoke(messages);
-
-      // Check if model wants to use tools
-      if (response.tool_calls && response.tool_calls.length > 0) {
-        // Execute the tools
-        const toolResults = await this.executeTools(
-          response.tool_calls, 
-          learningTools
-        );
-
-        // Create tool messages for the model
-        const toolMessages = response.tool_calls.map((toolCall, index) => {
-          const result = toolResults[index];
-          return new ToolMessage({
-            tool_call_id: toolCall.id,
-            content: result.success ? result.result : `Error: ${result.error}`,
-          });
-        });
-
-        // Get final response from model with tool results
-        const finalMessages = [
-          ...messages,
-          response,
-          ...toolMessages,
-        ];
-
-        const finalResponse = await modelWithTools.invoke(finalMessages);
-
-        const finalContent = this.safeExtractContent(finalResponse);
-        return this.formatResponse(finalContent, {
-          language,
-          topic: this.extractTopic(message),
-          usedTools: response.tool_calls.map(tc => tc.name),
-        });
-      }
+      // Memory tools save facts for the user in the config
+      const run = await this.runToolLoop(modelWithTools, messages, this.tools, context, {
+        config: { configurable: { clerkId } },
+      });
 
-      // No tool calls, just return the response
-      const content = this.safeExtractContent(response);
-      return this.formatResponse(content, {
+      return this.formatResponse(run.content || this.formatToolResults(run.toolResults), {
         language,
         topic: this.extractTopic(message),
+        ...this.toolRunMetadata(run),
       });
     } catch (error) {
       logger.error("Learning agent error", {
         error: error.message,
         stack: error.stack,
       });
+
+      const offlineAnswer = this.answerFromKnowledgeBase(message, language);
+      if (offlineAnswer) {
+        return offlineAnswer;
+      }
+
       return this.formatResponse(
         language === "bn"
           ? "দুঃখিত, একটি সমস্যা হয়েছে। আবার চেষ্টা করুন।"
@@ -167,6 +148,29 @@ export class LearningCompanionAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Answer from the concept library when the model is unavailable
+   * @param {string} message - User message
+   * @param {string} language - Response language (en/bn)
+   * @returns {Object|null} Agent response, or null if no concept matches
+   */
+  answerFromKnowledgeBase(message, language) {
+    const concept = findConcept(message);
+    if (!concept) {
+      return null;
+    }
+
+    logger.info("Answering learning query from knowledge base", { conceptId: concept.id });
+
+    const content = formatConceptMarkdown(concept, {
+      language: /python/i.test(message) ? "python" : "javascript",
+    });
+    return this.formatResponse(
+      `${getMessage("learning.offlineAnswer", language)}\n\n${content}`,
+      { language, topic: concept.id, source: "knowledge-base" }
+    );
+  }
+
   /**
    * Extract the main topic from a learning query
    */
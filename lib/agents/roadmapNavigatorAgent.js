@@ -9,12 +9,12 @@
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getTaskModel } from "../gemini";
+import { getChatModel } from "../llm";
 import { connect } from "../mongodb/mongoose";
 import Roadmap from "../models/roadmapModel";
 import logger from "@/lib/logger";
 import { roadmapTools } from "./tools/roadmapTools";
-import { ToolMessage } from "@langchain/core/messages";
+import { memoryTools, MEMORY_TOOLS_PROMPT } from "./tools/memoryTools";
 
 const ROADMAP_SYSTEM_PROMPT = `You are a learning path navigator for CS students on the Inherit platform.
 
@@ -32,6 +32,10 @@ You have access to the following tools:
 - get_roadmap_details: Get detailed information about a specific roadmap.
 - update_roadmap_progress: Mark steps in a roadmap as completed.
 
+create_roadmap asks the user to confirm before the roadmap is saved. Call it directly instead of asking for permission yourself; the user sees a summary of the roadmap and approves or cancels it. If a call comes back as cancelled by the user, acknowledge that and don't create the roadmap.
+
+${MEMORY_TOOLS_PROMPT}
+
 When creating roadmaps:
 - Structure them with clear phases (e.g., "Foundation", "Core Concepts", "Advanced Topics", "Projects")
 - Each phase should have 3-6 specific, actionable tasks
@@ -93,10 +97,12 @@ export class RoadmapNavigatorAgent extends BaseAgent {
     super(
       "roadmap",
       "Learning path navigation and progress tracking",
-      getTaskModel()
+      getChatModel("roadmap")
     );
     this.setSystemPrompt(ROADMAP_SYSTEM_PROMPT);
-    this.tools = roadmapTools;
+    this.tools = [...roadmapTools, ...memoryTools];
+    // Answers come from the user's live roadmap progress
+    this.cacheable = false;
   }
 
   /**
@@ -184,90 +190,28 @@ export class RoadmapNavigatorAgent extends BaseAgent {
         existingRoadmaps: roadmaps.length,
       });
 
-      // First model call
-      const response = await modelWithTools.invoke(messages, {
-        configurable: { clerkId },
+      // Model calls tools until it has what it needs to answer
+      const run = await this.runToolLoop(modelWithTools, messages, this.tools, context, {
+        config: { configurable: { clerkId } },
       });
 
-      // Check if model wants to use tools
-      if (response.tool_calls && response.tool_calls.length > 0) {
-        logger.info("RoadmapNavigatorAgent executing tools", {
-          toolCalls: response.tool_calls.map((tc) => tc.name),
-        });
-
-        // Execute the tools
-        const toolResults = await this.executeTools(
-          response.tool_calls,
-          this.tools,
-          { configurable: { clerkId } }
-        );
-
-        // Create tool messages for the model
-        const toolMessages = response.tool_calls.map((toolCall, index) => {
-          const result = toolResults[index];
-          return new ToolMessage({
-            tool_call_id: toolCall.id,
-            content: result.success ? result.result : `Error: ${result.error}`,
-          });
-        });
-
-        // Get final response from model with tool results
-        const finalMessages = [...messages, response, ...toolMessages];
-
-        const finalResponse = await modelWithTools.invoke(finalMessages, {
-          configurable: { clerkId },
-        });
-
-        let content = this.safeExtractContent(finalResponse);
-
-        // Ensure we have content
-        if (!content || content.trim() === "") {
-          // Build response from tool results
-          const successResults = toolResults.filter((r) => r.success);
-          if (successResults.length > 0) {
-            content = successResults
-              .map((r) => {
-                try {
-                  const parsed = JSON.parse(r.result);
-                  return parsed.message || "Operation completed successfully.";
-                } catch {
-                  return r.result;
-                }
-              })
-              .join("\n\n");
-          } else {
-            content =
-              language === "bn"
-                ? "রোডম্যাপ অপারেশন সম্পন্ন হয়েছে।"
-                : "Roadmap operation completed.";
-          }
-        }
-
-        // Extract tool results data for response metadata
-        const toolResultsData = toolResults
-          .filter((r) => r.success)
-          .map((r) => {
-            try {
-              return JSON.parse(r.result);
-            } catch {
-              return null;
-            }
-          })
-          .filter(Boolean);
-
-        return this.formatResponse(content, {
-          language,
-          usedTools: response.tool_calls.map((tc) => tc.name),
-          toolResults: toolResultsData,
-          hasRoadmaps: roadmaps.length > 0,
-        });
+      let content = run.content;
+
+      // Ensure we have content
+      if ((!content || content.trim() === "") && run.toolResults.length > 0) {
+        // Build response from tool results
+        const successResults = run.toolResults.filter((r) => r.success);
+        content =
+          successResults.length > 0
+            ? this.formatToolResults(successResults)
+            : language === "bn"
+              ? "রোডম্যাপ অপারেশন সম্পন্ন হয়েছে।"
+              : "Roadmap operation completed.";
       }
 
-      // No tool calls, return direct response
-      const content = this.safeExtractContent(response);
-
       return this.formatResponse(content, {
         language,
+        ...this.toolRunMetadata(run),
         hasRoadmaps: roadmaps.length > 0,
       });
     } catch (error) {
@@ -4,11 +4,11 @@
  * Router Agent
  *
  * Classifies user intent and routes to the appropriate specialized agent.
- * Uses fast Gemini model for quick classification.
+ * Uses the fast router model for quick classification.
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getRouterModel } from "../gemini";
+import { getChatModel } from "../llm";
 import logger from "@/lib/logger";
 
 // Available agents for routing
@@ -47,7 +47,7 @@ Examples:
 
 export class RouterAgent extends BaseAgent {
   constructor() {
-    super("router", "Routes messages to appropriate agents", getRouterModel());
+    super("router", "Routes messages to appropriate agents", getChatModel("router"));
     this.setSystemPrompt(ROUTER_SYSTEM_PROMPT);
   }
 
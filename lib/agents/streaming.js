@@ -0,0 +1,86 @@
+// Agent Streaming Helpers
+
+/**
+ * Agent Streaming Helpers
+ *
+ * Agents and the orchestrator report progress through an `onEvent` callback.
+ * These helpers turn that callback into an async iterator so callers can
+ * forward events (tokens, tool calls, routing) as they happen.
+ *
+ * Event shapes:
+ * - { type: "routing", agent, confidence, reasoning }
+ * - { type: "token", content }
+ * - { type: "tool_start", toolCallId, toolName, args, step? }
+ * - { type: "tool_end", toolCallId, toolName, args, step?, success, result?, error?, timedOut?, durationMs }
+ *
+ * `step` is the round of the agent's tool loop the call belongs to.
+ * - { type: "result", result } - always the last event
+ */
+
+/**
+ * Emits an event if the context has a stream listener
+ * @param {Object} context - Agent context, may contain onEvent
+ * @param {Object} event - Event to emit
+ */
+export function emitEvent(context, event) {
+  if (typeof context?.onEvent !== "function") return;
+
+  try {
+    context.onEvent(event);
+  } catch {
+    // A failing listener must never break agent processing
+  }
+}
+
+/**
+ * Runs a task that emits events and yields those events as they arrive
+ *
+ * @param {Function} run - async (onEvent) => result
+ * @yields {Object} Events emitted by the task, then { type: "result", result }
+ * @throws Rethrows the task's error after yielding events emitted before it
+ *
+ * @example
+ * for await (const event of streamEvents((onEvent) => agent.process(msg, { onEvent }))) {
+ *   if (event.type === "token") process.stdout.write(event.content);
+ * }
+ */
+export async function* streamEvents(run) {
+  const queue = [];
+  let wake = null;
+  let finished = false;
+  let failure = null;
+
+  const push = (event) => {
+    queue.push(event);
+    wake?.();
+  };
+
+  run(push)
+    .then(
+      (result) => push({ type: "result", result }),
+      (error) => {
+        failure = error;
+      }
+    )
+    .finally(() => {
+      finished = true;
+      wake?.();
+    });
+
+  while (true) {
+    if (queue.length > 0) {
+      yield queue.shift();
+      continue;
+    }
+    if (finished) break;
+
+    await new Promise((resolve) => {
+      wake = resolve;
+    });
+    wake = null;
+  }
+
+  if (failure) {
+    throw failure;
+  }
+}
@@ -8,12 +8,11 @@
  */
 
 import { BaseAgent } from "./baseAgent";
-import { getTaskModel } from "../gemini";
+import { getChatModel } from "../llm";
 import { connect } from "../mongodb/mongoose";
 import Task from "../models/taskModel";
 import logger from "@/lib/logger";
 import { taskTools } from "./tools/taskTools";
-import { ToolMessage } from "@langchain/core/messages";
 
 const TASK_SYSTEM_PROMPT = `You are a task management assistant for CS students on the Inherit platform.
 
@@ -32,14 +31,17 @@ You have access to the following tools:
 - complete_task: Mark a task as completed
 - get_deadlines: Find upcoming or overdue tasks
 
-Use these tools to help users manage their tasks effectively. When users ask about their tasks, use list_tasks or get_deadlines to retrieve current information. When they want to create or modify tasks, use the appropriate tools.
+Use these tools to help users manage their tasks effectively. When users ask about their tasks, use list_tasks or get_deadlines to retrieve current information. When they want to create or modify tasks, use the appropriate tools. You can call tools one after another: if you need a task's ID to change it, look it up with list_tasks first. update_task and delete_task ask the user to confirm before they run: call them directly instead of asking for permission yourself, and if a call comes back as cancelled by the user, acknowledge that and leave the task alone.
 
 Always provide friendly, helpful responses that summarize what you've done.`;
 
 export class TaskManagerAgent extends BaseAgent {
   constructor() {
-    super("task", "Task management and organization", getTaskModel());
+    super("task", "Task management and organization", getChatModel("task"));
     this.setSystemPrompt(TASK_SYSTEM_PROMPT);
+    this.tools = taskTools;
+    // Answers come from the user's live task list
+    this.cacheable = false;
   }
 
   /**
@@ -78,7 +80,7 @@ export class TaskManagerAgent extends BaseAgent {
 
     try {
       // Bind tools to the model
-      const modelWithTools = this.bindTools(taskTools);
+      const modelWithTools = this.bindTools(this.tools);
 
       // Build comprehensive context for the agent
       let fullContext = "";
@@ -121,69 +123,33 @@ export class TaskManagerAgent extends BaseAgent {
       this.setSystemPrompt(enhancedPrompt);
 
       const messages = this.buildMessages(message, history, language);
-      const response = await modelWithTools.invoke(messages, {
-        configurable: { clerkId } // Pass clerkId to tools
+
+      // Let the model chain tool calls (e.g. list tasks, then update one)
+      const run = await this.runToolLoop(modelWithTools, messages, this.tools, context, {
+        config: { configurable: { clerkId } }, // Pass clerkId to tools
       });
 
-      // Check if model wants to use tools
-      if (response.tool_calls && response.tool_calls.length > 0) {
-        // Execute the tools
-        const toolResults = await this.executeTools(
-          response.tool_calls, 
-          taskTools,
-          { configurable: { clerkId } }
-        );
-
-        // Format tool results into user-friendly response
-        const toolOutputs = this.formatToolResults(toolResults);
-
-        // Create tool messages for the model
-        const toolMessages = response.tool_calls.map((toolCall, index) => {
-          const result = toolResults[index];
-          return new ToolMessage({
-            tool_call_id: toolCall.id,
-            content: result.success ? result.result : `Error: ${result.error}`,
-          });
-        });
-
-        // Get final response from model with tool results
-        const finalMessages = [
-          ...messages,
-          response,
-          ...toolMessages,
-        ];
-
-        const finalResponse = await modelWithTools.invoke(finalMessages, {
-          configurable: { clerkId }
-        });
-
-        let finalContent = this.safeExtractContent(finalResponse);
-        
-        // Ensure we always have content - use tool output summary if model response is empty
-        if (!finalContent || finalContent.trim() === "") {
-          finalContent = toolOutputs || "Task operation completed successfully.";
+      let content = run.content;
+
+      // Ensure we always have content - use tool output summary if model response is empty
+      if (!content || content.trim() === "") {
+        if (run.toolResults.length > 0) {
+          const toolOutputs = this.formatToolResults(run.toolResults);
+          content = toolOutputs || "Task operation completed successfully.";
           logger.warn("TaskManagerAgent: Model returned empty response, using tool output", {
             toolOutputsLength: toolOutputs?.length,
           });
+        } else {
+          content = language === "bn"
+            ? "আমি আপনার অনুরোধ বুঝতে পারিনি। আবার চেষ্টা করুন।"
+            : "I couldn't understand that request. Could you please rephrase?";
         }
-        
-        return this.formatResponse(finalContent, {
-          language,
-          usedTools: response.tool_calls.map(tc => tc.name),
-        });
       }
 
-      // No tool calls, just return the response
-      let content = this.safeExtractContent(response);
-      
-      // Ensure we always have content
-      if (!content || content.trim() === "") {
-        content = language === "bn" 
-          ? "আমি আপনার অনুরোধ বুঝতে পারিনি। আবার চেষ্টা করুন।"
-          : "I couldn't understand that request. Could you please rephrase?";
-      }
-      
-      return this.formatResponse(content, { language });
+      return this.formatResponse(content, {
+        language,
+        ...this.toolRunMetadata(run),
+      });
     } catch (error) {
       logger.error("Task manager agent error", {
         error: error.message,
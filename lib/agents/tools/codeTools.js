@@ -1,20 +1,30 @@
 /**
  * Code Assistance Tools
- * 
+ *
  * LangChain tools for code review, debugging, and code generation.
  * Used by CodeAssistantAgent to help with programming tasks.
+ * Analysis tools run the static analyzers in lib/analysis, so every
+ * finding comes with the line number it was found on.
  */
 
 import { DynamicStructuredTool } from "@langchain/core/tools";
 import { z } from "zod";
 import logger from "@/lib/logger";
+import {
+  analyzeCode,
+  detectLanguage,
+  estimateTimeComplexity,
+  explainErrorMessage,
+  filterIssues,
+  getCodeContext,
+} from "@/lib/analysis";
 
 /**
  * Tool: Analyze code for issues
  */
 export const analyzeCodeTool = new DynamicStructuredTool({
   name: "analyze_code",
-  description: "Analyze code snippet for bugs, performance issues, security vulnerabilities, and best practice violations. Use when user asks for code review or analysis.",
+  description: "Analyze code snippet for bugs, performance issues, security vulnerabilities, and best practice violations. Returns findings with line numbers, complexity metrics and a score. Use when user asks for code review or analysis.",
   schema: z.object({
     code: z.string().describe("The code snippet to analyze"),
     language: z.string().describe("Programming language (javascript, python, java, etc.)"),
@@ -22,59 +32,27 @@ export const analyzeCodeTool = new DynamicStructuredTool({
   }),
   func: async ({ code, language, focusAreas }) => {
     try {
-      const checkAll = focusAreas.includes("all");
-      
+      const report = analyzeCode(code, language);
+      const issues = filterIssues(report.issues, focusAreas);
+
       const analysis = {
-        language,
-        codeLength: code.length,
-        linesOfCode: code.split('\n').length,
-        issues: [],
-        suggestions: [],
-        score: 8.5, // Out of 10
-        summary: "",
+        language: report.language,
+        parser: report.parser,
+        linesOfCode: report.metrics.totalLines,
+        syntaxErrors: report.syntaxErrors,
+        issues,
+        metrics: report.metrics,
+        functions: report.functions,
+        timeComplexity: estimateTimeComplexity(report),
+        score: report.score, // Out of 10
+        summary: report.summary,
       };
 
-      // Simulate analysis (in real implementation, this would use actual code analysis)
-      if (checkAll || focusAreas.includes("bugs")) {
-        analysis.issues.push({
-          type: "potential_bug",
-          severity: "medium",
-          line: null,
-          message: "Check for potential null/undefined references",
-          suggestion: "Add null checks before accessing properties",
-        });
-      }
-
-      if (checkAll || focusAreas.includes("performance")) {
-        analysis.suggestions.push({
-          type: "performance",
-          message: "Consider using more efficient data structures",
-          impact: "Could improve runtime from O(n²) to O(n log n)",
-        });
-      }
-
-      if (checkAll || focusAreas.includes("security")) {
-        analysis.suggestions.push({
-          type: "security",
-          message: "Validate and sanitize all user inputs",
-          priority: "high",
-        });
-      }
-
-      if (checkAll || focusAreas.includes("style")) {
-        analysis.suggestions.push({
-          type: "style",
-          message: "Follow consistent naming conventions",
-          example: "Use camelCase for variables, PascalCase for classes",
-        });
-      }
-
-      analysis.summary = `Code analysis complete. Found ${analysis.issues.length} potential issue(s) and ${analysis.suggestions.length} improvement suggestion(s).`;
-
       logger.info("Code analyzed via tool", {
-        language,
+        language: report.language,
         linesOfCode: analysis.linesOfCode,
         focusAreas,
+        issueCount: issues.length,
       });
 
       return JSON.stringify({
@@ -97,7 +75,7 @@ export const analyzeCodeTool = new DynamicStructuredTool({
  */
 export const debugCodeTool = new DynamicStructuredTool({
   name: "debug_code",
-  description: "Debug problematic code and suggest specific fixes. Use when user has an error, bug, or code that isn't working as expected.",
+  description: "Debug problematic code. Explains the error message, locates the lines involved and lists likely bugs found by static analysis, with line numbers and surrounding code. Use when user has an error, bug, or code that isn't working as expected.",
   schema: z.object({
     code: z.string().describe("The problematic code"),
     errorMessage: z.string().optional().describe("Error message if available"),
@@ -106,50 +84,54 @@ export const debugCodeTool = new DynamicStructuredTool({
   }),
   func: async ({ code, errorMessage, expectedBehavior, language }) => {
     try {
+      const report = analyzeCode(code, language);
+      const errorAnalysis = errorMessage ? explainErrorMessage(errorMessage, code) : null;
+
+      const identifiedIssues = [
+        ...report.syntaxErrors.map((syntaxError) => ({
+          rule: "syntax-error",
+          category: "bugs",
+          severity: "error",
+          line: syntaxError.line,
+          message: syntaxError.message,
+        })),
+        ...report.issues.filter((issue) => issue.category === "bugs" || issue.severity === "error"),
+      ];
+
+      // Lines named by the error come first, then lines with findings
+      const suspectLines = [
+        ...new Set([
+          ...(errorAnalysis?.relatedLines || []),
+          ...identifiedIssues.map((issue) => issue.line),
+        ]),
+      ].filter((line) => line >= 1 && line <= report.metrics.totalLines);
+
       const debug = {
-        originalCode: code,
-        language,
-        errorAnalysis: errorMessage 
-          ? `Error: "${errorMessage}"\n\nThis error typically occurs when...`
-          : "Analyzing code behavior...",
-        identifiedIssues: [
-          {
-            issue: "Potential root cause identified",
-            location: "Check the logic around...",
-            explanation: "This is likely causing the problem because...",
-          },
-        ],
-        suggestedFix: {
-          description: "Here's how to fix the issue:",
-          fixedCode: code, // Would contain actual fixed code
-          changes: [
-            "Added error handling",
-            "Fixed variable scope",
-            "Corrected logic flow",
-          ],
-          explanation: "These changes address the root cause by...",
-        },
-        preventionTips: [
-          "Always validate inputs before processing",
-          "Use type checking to catch errors early",
-          "Add defensive programming practices",
-        ],
-        testSuggestions: [
-          "Test with edge cases",
-          "Verify with different input types",
-          "Check boundary conditions",
-        ],
+        language: report.language,
+        errorAnalysis,
+        identifiedIssues,
+        codeContext: suspectLines.slice(0, 3).map((line) => ({
+          line,
+          excerpt: getCodeContext(code, line),
+        })),
+        expectedBehavior: expectedBehavior || null,
+        summary: report.summary,
       };
 
       logger.info("Code debugged via tool", {
-        language,
+        language: report.language,
         hasError: !!errorMessage,
+        errorType: errorAnalysis?.type,
+        issueCount: identifiedIssues.length,
       });
 
+      const location = suspectLines.length ? ` (check line ${suspectLines[0]})` : "";
       return JSON.stringify({
         success: true,
         debug,
-        message: `Debugged ${language} code${errorMessage ? ' with error' : ''}`,
+        message: errorAnalysis
+          ? `${errorAnalysis.type}: ${errorAnalysis.explanation}${location}`
+          : `Found ${identifiedIssues.length} likely bug(s) in ${report.language} code${location}`,
       });
     } catch (error) {
       logger.error("Debug code tool error", { error: error.message });
@@ -236,12 +218,37 @@ export const generateCodeTool = new DynamicStructuredTool({
   },
 });
 
+/**
+ * Builds a prose overview of a report's structure
+ * @param {Object} report - Analysis report
+ * @returns {string} Overview
+ */
+function describeStructure(report) {
+  const { structure, functions, metrics } = report;
+  const parts = [`${metrics.codeLines} lines of ${report.language}`];
+
+  if (structure.imports.length) {
+    parts.push(`imports ${structure.imports.map((i) => i.source).join(", ")}`);
+  }
+  if (structure.classes.length) {
+    parts.push(`defines class(es) ${structure.classes.map((c) => c.name).join(", ")}`);
+  }
+  if (functions.length) {
+    parts.push(`defines function(s) ${functions.map((fn) => `${fn.name} (line ${fn.line})`).join(", ")}`);
+  }
+  if (structure.constructs.length) {
+    parts.push(`uses ${structure.constructs.join(", ")}`);
+  }
+
+  return `${parts.join("; ")}.`;
+}
+
 /**
  * Tool: Explain code snippet
  */
 export const explainCodeTool = new DynamicStructuredTool({
   name: "explain_code",
-  description: "Explain how a code snippet works line-by-line or concept-by-concept. Use when user wants to understand existing code.",
+  description: "Explain how a code snippet works line-by-line or concept-by-concept. Returns the code's structure (imports, classes, functions), the concepts it uses and per-line notes. Use when user wants to understand existing code.",
   schema: z.object({
     code: z.string().describe("The code to explain"),
     language: z.string().describe("Programming language"),
@@ -249,47 +256,54 @@ export const explainCodeTool = new DynamicStructuredTool({
   }),
   func: async ({ code, language, detailLevel }) => {
     try {
-      const lines = code.split('\n').filter(line => line.trim());
-      
+      const report = analyzeCode(code, language);
+      const sourceLines = code.split(/\r?\n/);
+      const detailed = detailLevel !== "overview";
+
       const explanation = {
-        language,
+        language: report.language,
         detailLevel,
-        overview: `This ${language} code performs the following operations...`,
-        lineByLine: detailLevel === "line-by-line" ? lines.map((line, i) => ({
-          lineNumber: i + 1,
-          code: line,
-          explanation: `This line ${line.includes('function') ? 'defines a function' : 
-                                    line.includes('return') ? 'returns a value' : 
-                                    line.includes('if') ? 'checks a condition' : 
-                                    'performs an operation'}`,
-        })) : null,
-        keyConceptss: [
-          "Main algorithm used",
-          "Data structures involved",
-          "Important patterns",
-        ],
-        flowSummary: [
-          "1. Initialize variables",
-          "2. Process input",
-          "3. Perform calculations",
-          "4. Return result",
-        ],
-        potentialImprovements: [
-          "Could be optimized by...",
-          "Consider adding error handling",
-        ],
+        overview: describeStructure(report),
+        keyConcepts: report.structure.constructs,
+        functions: detailed
+          ? report.functions.map(({ name, line, endLine, params, complexity, recursive }) => ({
+              name,
+              lines: `${line}-${endLine}`,
+              params,
+              complexity,
+              recursive: !!recursive,
+            }))
+          : null,
+        classes: detailed ? report.structure.classes : null,
+        imports: detailed ? report.structure.imports : null,
+        lineByLine: detailLevel === "line-by-line"
+          ? report.lineNotes.map(({ line, note }) => ({
+              lineNumber: line,
+              code: sourceLines[line - 1].trim(),
+              explanation: note,
+            }))
+          : null,
+        complexity: {
+          cyclomatic: report.metrics.cyclomaticComplexity,
+          maxNestingDepth: report.metrics.maxNestingDepth,
+          time: estimateTimeComplexity(report),
+        },
+        potentialImprovements: report.issues
+          .filter((issue) => issue.severity !== "info")
+          .slice(0, 5)
+          .map((issue) => `Line ${issue.line}: ${issue.suggestion || issue.message}`),
       };
 
       logger.info("Code explained via tool", {
-        language,
+        language: report.language,
         detailLevel,
-        linesOfCode: lines.length,
+        linesOfCode: report.metrics.codeLines,
       });
 
       return JSON.stringify({
         success: true,
         explanation,
-        message: `Explained ${language} code (${lines.length} lines) at ${detailLevel} level`,
+        message: `Explained ${report.language} code (${report.metrics.codeLines} lines) at ${detailLevel} level`,
       });
     } catch (error) {
       logger.error("Explain code tool error", { error: error.message });
@@ -301,53 +315,106 @@ export const explainCodeTool = new DynamicStructuredTool({
   },
 });
 
+// Per-criterion cost (lower is better) and the facts behind it
+const COMPARISON_CRITERIA = {
+  performance: {
+    cost: (report) =>
+      report.metrics.maxLoopDepth * 10 +
+      (report.functions.some((fn) => fn.recursive) ? 5 : 0) +
+      report.issues.filter((i) => i.category === "performance").length,
+    describe: (report) =>
+      `${estimateTimeComplexity(report)}, ${report.issues.filter((i) => i.category === "performance").length} performance issue(s)`,
+  },
+  readability: {
+    cost: (report) =>
+      report.metrics.cyclomaticComplexity +
+      report.metrics.maxNestingDepth * 2 +
+      report.issues.filter((i) => i.category === "style").length,
+    describe: (report) =>
+      `complexity ${report.metrics.cyclomaticComplexity}, nesting depth ${report.metrics.maxNestingDepth}, ${report.issues.filter((i) => i.category === "style").length} style issue(s)`,
+  },
+  maintainability: {
+    cost: (report) => 10 - report.score,
+    describe: (report) => {
+      const longest = Math.max(0, ...report.functions.map((fn) => fn.lines));
+      return `score ${report.score}/10, ${report.issues.length} issue(s), longest function ${longest} lines`;
+    },
+  },
+  scalability: {
+    cost: (report) =>
+      report.metrics.maxLoopDepth * 10 +
+      (report.functions.some((fn) => fn.recursive) ? 8 : 0) +
+      report.issues.filter((i) => i.rule === "await-in-loop" || i.rule === "nested-loop").length,
+    describe: (report) => {
+      const recursive = report.functions.some((fn) => fn.recursive);
+      return `${estimateTimeComplexity(report)}${recursive ? ", recursion depth grows with input" : ""}`;
+    },
+  },
+};
+
 /**
  * Tool: Compare code approaches
  */
 export const compareApproachesTool = new DynamicStructuredTool({
   name: "compare_approaches",
-  description: "Compare different approaches or solutions to the same problem. Use when user asks 'which is better' or wants to compare multiple solutions.",
+  description: "Compare different approaches or solutions to the same problem by analyzing both (loop depth, complexity, issues). Use when user asks 'which is better' or wants to compare multiple solutions.",
   schema: z.object({
     problem: z.string().describe("The problem being solved"),
     approach1: z.string().describe("First approach/code"),
     approach2: z.string().describe("Second approach/code"),
+    language: z.string().optional().describe("Programming language (detected from the code if omitted)"),
     criteria: z.array(z.enum(["performance", "readability", "maintainability", "scalability"])).default(["performance", "readability"]).describe("Comparison criteria"),
   }),
-  func: async ({ problem, approach1, approach2, criteria }) => {
+  func: async ({ problem, approach1, approach2, language, criteria }) => {
     try {
+      const codeLanguage = language || detectLanguage(approach1);
+      const reports = [analyzeCode(approach1, codeLanguage), analyzeCode(approach2, codeLanguage)];
+      const names = ["Approach 1", "Approach 2"];
+
+      const criteriaComparison = criteria.map((criterion) => {
+        const { cost, describe } = COMPARISON_CRITERIA[criterion];
+        const [cost1, cost2] = reports.map(cost);
+        const winner = cost1 === cost2 ? "tie" : cost1 < cost2 ? names[0] : names[1];
+
+        return {
+          criterion,
+          approach1: describe(reports[0]),
+          approach2: describe(reports[1]),
+          winner,
+          reasoning: winner === "tie"
+            ? `Both approaches measure the same for ${criterion}`
+            : `${winner} is better for ${criterion}: ${describe(reports[winner === names[0] ? 0 : 1])}`,
+        };
+      });
+
+      const wins = names.map((name) => criteriaComparison.filter((c) => c.winner === name).length);
+      const suggested = wins[0] === wins[1] ? "Either" : wins[0] > wins[1] ? names[0] : names[1];
+
       const comparison = {
         problem,
-        approaches: [
-          {
-            name: "Approach 1",
-            code: approach1,
-            pros: ["Pro 1", "Pro 2"],
-            cons: ["Con 1", "Con 2"],
-          },
-          {
-            name: "Approach 2",
-            code: approach2,
-            pros: ["Pro 1", "Pro 2"],
-            cons: ["Con 1", "Con 2"],
-          },
-        ],
-        criteriaComparison: criteria.map(criterion => ({
-          criterion,
-          approach1Score: 8,
-          approach2Score: 7,
-          winner: "Approach 1",
-          reasoning: `For ${criterion}, Approach 1 is better because...`,
+        language: reports[0].language,
+        approaches: reports.map((report, i) => ({
+          name: names[i],
+          score: report.score,
+          timeComplexity: estimateTimeComplexity(report),
+          syntaxErrors: report.syntaxErrors,
+          issues: report.issues,
+          summary: report.summary,
         })),
+        criteriaComparison,
         recommendation: {
-          suggested: "Approach 1",
-          reasoning: "Based on the criteria, Approach 1 is recommended because...",
-          useCase: "Use Approach 1 when..., use Approach 2 when...",
+          suggested,
+          reasoning: suggested === "Either"
+            ? "Neither approach wins on more of the chosen criteria; pick by the trade-offs above"
+            : `${suggested} wins ${Math.max(...wins)} of ${criteria.length} criteria`,
         },
       };
 
       logger.info("Approaches compared via tool", {
         problem,
+        language: comparison.language,
         criteriaCount: criteria.length,
+        suggested,
       });
 
       return JSON.stringify({
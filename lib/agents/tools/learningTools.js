@@ -1,62 +1,101 @@
 /**
  * Learning Tools
- * 
+ *
  * LangChain tools for learning assistance.
  * Used by LearningCompanionAgent to help with concept explanations and learning paths.
+ * Concept, practice, breakdown and resource answers come from the curated
+ * knowledge base in lib/knowledge.
  */
 
 import { DynamicStructuredTool } from "@langchain/core/tools";
 import { z } from "zod";
 import logger from "@/lib/logger";
+import {
+  KNOWLEDGE_BASE_VERSION,
+  findConcept,
+  getConcept,
+  getDefinition,
+  getExample,
+  getPracticeProblems,
+  getPrerequisiteChain,
+  getResources,
+  searchConcepts,
+} from "@/lib/knowledge";
+
+/**
+ * Builds the result for a topic the knowledge base doesn't cover
+ * @param {string} topic - Requested topic
+ * @returns {string} JSON tool result
+ */
+function notInKnowledgeBase(topic) {
+  const suggestions = searchConcepts(topic, 3).map(({ concept }) => concept.name);
+
+  return JSON.stringify({
+    success: true,
+    found: false,
+    topic,
+    suggestions,
+    message: `"${topic}" is not in the concept library. Answer from general knowledge and say it isn't from the curated library${suggestions.length ? `, or offer these related concepts: ${suggestions.join(", ")}` : ""}.`,
+  });
+}
+
+/**
+ * Describes where a tool's answer came from
+ * @param {Object} concept - Concept
+ * @returns {{ knowledgeBase: string, conceptId: string, conceptVersion: number }}
+ */
+function sourceOf(concept) {
+  return {
+    knowledgeBase: KNOWLEDGE_BASE_VERSION,
+    conceptId: concept.id,
+    conceptVersion: concept.version,
+  };
+}
 
 /**
  * Tool: Explain a programming concept
  */
 export const explainConceptTool = new DynamicStructuredTool({
   name: "explain_concept",
-  description: "Explain a programming or CS concept in simple, beginner-friendly terms with examples and analogies. Use when user asks to explain, understand, or learn a concept.",
+  description: "Look up a programming or CS concept in the curated concept library: definition at the learner's level, key points, analogy, code example, pitfalls and prerequisites. Use when user asks to explain, understand, or learn a concept.",
   schema: z.object({
     concept: z.string().describe("The concept to explain (e.g., 'recursion', 'async/await', 'OOP')"),
     level: z.enum(["beginner", "intermediate", "advanced"]).default("beginner").describe("User's knowledge level"),
     includeExample: z.boolean().default(true).describe("Include code example"),
     includeAnalogy: z.boolean().default(true).describe("Use real-world analogy"),
+    language: z.string().optional().describe("Preferred language for the code example (javascript, python)"),
   }),
-  func: async ({ concept, level, includeExample, includeAnalogy }) => {
+  func: async ({ concept: topic, level, includeExample, includeAnalogy, language }) => {
     try {
-      // This would integrate with your knowledge base or generate structured explanations
+      const concept = findConcept(topic);
+      if (!concept) {
+        logger.info("Concept not in knowledge base", { topic });
+        return notInKnowledgeBase(topic);
+      }
+
       const explanation = {
-        concept,
+        concept: concept.name,
         level,
-        definition: `${concept} is a fundamental programming concept that...`,
-        keyPoints: [
-          `Core principle of ${concept}`,
-          "How it works under the hood",
-          "When to use it",
-          "Common pitfalls to avoid",
-        ],
-        analogy: includeAnalogy 
-          ? `Think of ${concept} like a real-world scenario: ...` 
-          : null,
-        codeExample: includeExample
-          ? {
-              language: "javascript",
-              code: `// Example demonstrating ${concept}\n// Add actual code here`,
-              explanation: "This code shows...",
-            }
-          : null,
+        definition: getDefinition(concept, level),
+        keyPoints: concept.keyPoints,
+        analogy: includeAnalogy ? concept.analogy : null,
+        codeExample: includeExample ? getExample(concept, language) : null,
+        pitfalls: concept.pitfalls,
+        prerequisites: concept.prerequisites.map((id) => getConcept(id)?.name).filter(Boolean),
         nextSteps: [
-          "Practice with simple examples",
-          "Build a small project using this concept",
-          `Learn about advanced ${concept} patterns`,
+          ...concept.practice.slice(0, 2).map((problem) => `Practice: ${problem.title}`),
+          ...concept.related.slice(0, 2).map((id) => `Learn next: ${getConcept(id)?.name}`),
         ],
+        source: sourceOf(concept),
       };
 
-      logger.info("Concept explained via tool", { concept, level });
+      logger.info("Concept explained via tool", { topic, conceptId: concept.id, level });
 
       return JSON.stringify({
         success: true,
+        found: true,
         explanation,
-        message: `Explained ${concept} at ${level} level`,
+        message: `Explained ${concept.name} at ${level} level`,
       });
     } catch (error) {
       logger.error("Explain concept tool error", { error: error.message });
@@ -180,57 +219,44 @@ export const createLearningPathTool = new DynamicStructuredTool({
  */
 export const generatePracticeTool = new DynamicStructuredTool({
   name: "generate_practice",
-  description: "Generate practice exercises and coding challenges for a specific topic. Use when user wants to practice or test their understanding.",
+  description: "Get practice exercises for a topic from the curated concept library, with starter code, hints and stdin/stdout test cases. Use when user wants to practice or test their understanding.",
   schema: z.object({
     topic: z.string().describe("Topic for practice exercises"),
     difficulty: z.enum(["easy", "medium", "hard"]).default("medium").describe("Exercise difficulty level"),
     count: z.number().default(3).describe("Number of exercises to generate"),
     includeHints: z.boolean().default(true).describe("Include hints for each exercise"),
+    language: z.string().optional().describe("Language for the starter code (javascript, python)"),
   }),
-  func: async ({ topic, difficulty, count, includeHints }) => {
+  func: async ({ topic, difficulty, count, includeHints, language }) => {
     try {
-      const exercises = [];
-      
-      for (let i = 1; i <= count; i++) {
-        exercises.push({
-          id: i,
-          title: `${topic} Exercise ${i}`,
-          difficulty,
-          question: `Solve this ${difficulty} level problem related to ${topic}...`,
-          requirements: [
-            "Implement the required functionality",
-            "Follow best practices",
-            "Add error handling",
-          ],
-          starterCode: `// Starter code for ${topic} exercise\n// Your solution here`,
-          testCases: [
-            { input: "test1", expected: "output1" },
-            { input: "test2", expected: "output2" },
-          ],
-          hints: includeHints ? [
-            "Start by understanding the problem",
-            "Break it down into smaller steps",
-            `Think about how ${topic} works`,
-          ] : [],
-          learningObjectives: [
-            `Apply ${topic} concepts`,
-            "Problem-solving skills",
-            "Code organization",
-          ],
-          estimatedTime: difficulty === "easy" ? "15 min" : difficulty === "medium" ? "30 min" : "45 min",
-        });
+      const concept = findConcept(topic);
+      if (!concept) {
+        logger.info("Practice topic not in knowledge base", { topic });
+        return notInKnowledgeBase(topic);
       }
 
+      const exercises = getPracticeProblems(concept, { difficulty, count, language }).map(
+        ({ hints, ...problem }) => ({
+          ...problem,
+          hints: includeHints ? hints : [],
+        })
+      );
+      const otherDifficulties = exercises.filter((exercise) => exercise.difficulty !== difficulty).length;
+
       logger.info("Practice exercises generated via tool", {
         topic,
+        conceptId: concept.id,
         difficulty,
-        count,
+        count: exercises.length,
       });
 
       return JSON.stringify({
         success: true,
+        found: true,
+        concept: concept.name,
         exercises,
-        message: `Generated ${count} ${difficulty} practice exercise${count !== 1 ? 's' : ''} for ${topic}`,
+        source: sourceOf(concept),
+        message: `Found ${exercises.length} practice exercise${exercises.length !== 1 ? "s" : ""} for ${concept.name}${otherDifficulties ? ` (${otherDifficulties} at a different difficulty than ${difficulty})` : ""}`,
       });
     } catch (error) {
       logger.error("Generate practice tool error", { error: error.message });
@@ -247,72 +273,49 @@ export const generatePracticeTool = new DynamicStructuredTool({
  */
 export const breakDownTopicTool = new DynamicStructuredTool({
   name: "break_down_topic",
-  description: "Break down a complex topic into smaller, manageable subtopics with learning sequence. Use when user finds a topic overwhelming or too complex.",
+  description: "Break down a complex topic into prerequisites and subtopics with a learning sequence, using the curated concept library. Use when user finds a topic overwhelming or too complex.",
   schema: z.object({
     topic: z.string().describe("The complex topic to break down"),
-    depth: z.number().default(3).describe("How many levels deep to break down (1-5)"),
+    depth: z.number().default(3).describe("How many levels of prerequisites to include (1-5)"),
   }),
   func: async ({ topic, depth }) => {
     try {
+      const concept = findConcept(topic);
+      if (!concept) {
+        logger.info("Breakdown topic not in knowledge base", { topic });
+        return notInKnowledgeBase(topic);
+      }
+
+      const prerequisites = getPrerequisiteChain(concept, Math.min(Math.max(depth, 1), 5));
+
       const breakdown = {
-        mainTopic: topic,
-        complexity: "high",
-        subtopics: [
-          {
-            id: 1,
-            title: `Core Fundamentals of ${topic}`,
-            description: "Essential building blocks you need first",
-            prerequisite: "None",
-            estimatedTime: "1-2 weeks",
-            difficulty: "beginner",
-            children: depth > 1 ? [
-              `Basic ${topic} concepts`,
-              `${topic} terminology`,
-              "Simple examples",
-            ] : [],
-          },
-          {
-            id: 2,
-            title: `Intermediate ${topic}`,
-            description: "Building on the fundamentals",
-            prerequisite: "Core Fundamentals",
-            estimatedTime: "2-3 weeks",
-            difficulty: "intermediate",
-            children: depth > 1 ? [
-              "Common patterns",
-              "Real-world applications",
-              "Best practices",
-            ] : [],
-          },
-          {
-            id: 3,
-            title: `Advanced ${topic}`,
-            description: "Deep dive into complex scenarios",
-            prerequisite: "Intermediate",
-            estimatedTime: "3-4 weeks",
-            difficulty: "advanced",
-            children: depth > 1 ? [
-              "Performance optimization",
-              "Advanced patterns",
-              "Production considerations",
-            ] : [],
-          },
-        ],
+        mainTopic: concept.name,
+        level: concept.level,
+        prerequisites: prerequisites.map((prerequisite) => ({
+          id: prerequisite.id,
+          title: prerequisite.name,
+          level: prerequisite.level,
+          summary: prerequisite.summary,
+        })),
+        subtopics: concept.subtopics.map((subtopic, index) => ({
+          id: index + 1,
+          ...subtopic,
+        })),
         learningSequence: [
-          "Start with basics - don't skip fundamentals",
-          "Practice each concept before moving on",
-          "Build projects at each level",
-          "Review and reinforce regularly",
+          ...prerequisites.map((prerequisite) => `Review ${prerequisite.name}`),
+          ...concept.subtopics.map((subtopic) => subtopic.title),
+          ...concept.practice.slice(0, 1).map((problem) => `Practice: ${problem.title}`),
         ],
-        recommendedApproach: "Learn one subtopic at a time, master it through practice, then move to the next.",
+        source: sourceOf(concept),
       };
 
-      logger.info("Topic broken down via tool", { topic, depth });
+      logger.info("Topic broken down via tool", { topic, conceptId: concept.id, depth });
 
       return JSON.stringify({
         success: true,
+        found: true,
         breakdown,
-        message: `Broke down ${topic} into ${breakdown.subtopics.length} manageable parts`,
+        message: `Broke down ${concept.name} into ${breakdown.subtopics.length} subtopics after ${prerequisites.length} prerequisite(s)`,
       });
     } catch (error) {
       logger.error("Break down topic tool error", { error: error.message });
@@ -329,7 +332,7 @@ export const breakDownTopicTool = new DynamicStructuredTool({
  */
 export const suggestResourcesTool = new DynamicStructuredTool({
   name: "suggest_resources",
-  description: "Recommend curated learning resources (docs, tutorials, courses, videos) for a topic. Use when user asks for resources, materials, or where to learn.",
+  description: "Recommend vetted learning resources (docs, tutorials, courses, practice) for a topic from the curated concept library. Use when user asks for resources, materials, or where to learn.",
   schema: z.object({
     topic: z.string().describe("Topic to find resources for"),
     resourceTypes: z.array(z.enum(["documentation", "video", "interactive", "book", "course", "practice"])).optional().describe("Types of resources to include"),
@@ -337,85 +340,34 @@ export const suggestResourcesTool = new DynamicStructuredTool({
   }),
   func: async ({ topic, resourceTypes, level }) => {
     try {
-      const allTypes = resourceTypes || ["documentation", "video", "interactive", "course", "practice"];
-      
-      const resources = {
-        topic,
-        level,
-        categories: [],
-      };
-
-      if (allTypes.includes("documentation")) {
-        resources.categories.push({
-          type: "documentation",
-          title: "Official Documentation",
-          items: [
-            {
-              name: `${topic} Official Docs`,
-              url: "#",
-              description: "Comprehensive official documentation",
-              difficulty: "all",
-              free: true,
-            },
-          ],
-        });
-      }
-
-      if (allTypes.includes("video")) {
-        resources.categories.push({
-          type: "video",
-          title: "Video Tutorials",
-          items: [
-            {
-              name: `${topic} Complete Course`,
-              platform: "YouTube",
-              description: "Step-by-step video series",
-              duration: "10 hours",
-              difficulty: level === "all" ? "beginner" : level,
-              free: true,
-            },
-          ],
-        });
+      const concept = findConcept(topic);
+      if (!concept) {
+        logger.info("Resource topic not in knowledge base", { topic });
+        return notInKnowledgeBase(topic);
       }
 
-      if (allTypes.includes("interactive")) {
-        resources.categories.push({
-          type: "interactive",
-          title: "Interactive Learning",
-          items: [
-            {
-              name: `${topic} Interactive Tutorial`,
-              platform: "freeCodeCamp / Codecademy",
-              description: "Learn by doing with instant feedback",
-              difficulty: "beginner",
-              free: true,
-            },
-          ],
-        });
-      }
+      const items = getResources(concept, { types: resourceTypes, level });
+      const categories = [...new Set(items.map((item) => item.type))].map((type) => ({
+        type,
+        items: items.filter((item) => item.type === type),
+      }));
 
-      if (allTypes.includes("practice")) {
-        resources.categories.push({
-          type: "practice",
-          title: "Practice & Challenges",
-          items: [
-            {
-              name: `${topic} Coding Challenges`,
-              platform: "LeetCode / HackerRank",
-              description: "Practice problems to reinforce learning",
-              difficulty: "all",
-              free: true,
-            },
-          ],
-        });
-      }
+      const resources = {
+        topic: concept.name,
+        level,
+        categories,
+        source: sourceOf(concept),
+      };
 
-      logger.info("Resources suggested via tool", { topic, level, types: allTypes.length });
+      logger.info("Resources suggested via tool", { topic, conceptId: concept.id, level, count: items.length });
 
       return JSON.stringify({
         success: true,
+        found: true,
         resources,
-        message: `Found ${resources.categories.reduce((acc, cat) => acc + cat.items.length, 0)} learning resources for ${topic}`,
+        message: items.length
+          ? `Found ${items.length} learning resources for ${concept.name}`
+          : `No matching resources for ${concept.name} in the library`,
       });
     } catch (error) {
       logger.error("Suggest resources tool error", { error: error.message });
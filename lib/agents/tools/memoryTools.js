@@ -0,0 +1,129 @@
+/**
+ * Memory Tools
+ *
+ * LangChain tools for the companion's long-term memory of a user: preferred
+ * language, skill level, learning goals and weak topics (see UserMemory).
+ * Agents save facts as they learn them; remembered facts reach every agent
+ * through the user context.
+ */
+
+import { DynamicStructuredTool } from "@langchain/core/tools";
+import { z } from "zod";
+import { connect } from "@/lib/mongodb/mongoose";
+import UserMemory, { MEMORY_FACT_TYPES, SKILL_LEVELS } from "@/lib/models/userMemoryModel";
+import logger from "@/lib/logger";
+import { RiskLevels, declareRisk } from "./risk";
+
+/** Prompt lines describing the memory tools, for agents that carry them */
+export const MEMORY_TOOLS_PROMPT = `Long-term memory tools:
+- remember_user_fact: Save something about the user that will still matter in later conversations: their preferred language, skill level (${SKILL_LEVELS.join(", ")}), a learning goal, or a topic they struggle with. Save facts the user states or clearly shows (for example "I'm new to programming", "I want to pass my data structures exam", repeated trouble with recursion), not one-off requests. Call it alongside your answer without mentioning it.
+- forget_user_fact: Remove a fact when the user says it is wrong or asks you to forget it.
+Facts you already remember are listed in the user's profile; don't save them again.`;
+
+const factTypeSchema = z
+  .enum(MEMORY_FACT_TYPES)
+  .describe("Kind of fact: preferred_language, skill_level, goal or weak_topic");
+
+/**
+ * Tool: Remember a fact about the user
+ */
+export const rememberUserFactTool = new DynamicStructuredTool({
+  name: "remember_user_fact",
+  description: `Save a durable fact about the user for future conversations. preferred_language is "en" or "bn"; skill_level is one of ${SKILL_LEVELS.join(", ")}; goal and weak_topic are short phrases ("Get a backend internship", "Recursion").`,
+  schema: z.object({
+    type: factTypeSchema,
+    value: z.string().min(1).max(200).describe("The fact, as a short phrase"),
+  }),
+  func: async ({ type, value }, config) => {
+    try {
+      const clerkId = config?.configurable?.clerkId;
+
+      if (!clerkId) {
+        return JSON.stringify({
+          success: false,
+          message: "I can only remember things for signed-in users.",
+        });
+      }
+
+      await connect();
+      const memory = await UserMemory.forUser(clerkId);
+
+      if (!memory.remember(type, value)) {
+        return JSON.stringify({
+          success: false,
+          message: `"${value}" isn't a valid ${type.replace("_", " ")}.`,
+        });
+      }
+      await memory.save();
+
+      logger.info("User fact remembered", { clerkId, type });
+
+      return JSON.stringify({
+        success: true,
+        message: `Remembered ${type.replace("_", " ")}: ${value}`,
+        memory: memory.toFacts(),
+      });
+    } catch (error) {
+      logger.error("Remember user fact tool error", { error: error.message });
+      return JSON.stringify({
+        success: false,
+        message: `Failed to remember that: ${error.message}`,
+      });
+    }
+  },
+});
+
+/**
+ * Tool: Forget a fact about the user
+ */
+export const forgetUserFactTool = new DynamicStructuredTool({
+  name: "forget_user_fact",
+  description: "Remove a fact from the user's long-term memory when they correct it or ask you to forget it. Leave value out to forget every fact of that kind.",
+  schema: z.object({
+    type: factTypeSchema,
+    value: z.string().max(200).optional().describe("The goal or weak topic to forget"),
+  }),
+  func: async ({ type, value }, config) => {
+    try {
+      const clerkId = config?.configurable?.clerkId;
+
+      if (!clerkId) {
+        return JSON.stringify({
+          success: false,
+          message: "I can only manage memories for signed-in users.",
+        });
+      }
+
+      await connect();
+      const memory = await UserMemory.forUser(clerkId);
+      const removed = memory.forget(type, value);
+      if (removed) {
+        await memory.save();
+      }
+
+      logger.info("User fact forgotten", { clerkId, type, removed });
+
+      return JSON.stringify({
+        success: true,
+        message: removed
+          ? `Forgot ${value ? `${type.replace("_", " ")}: ${value}` : `every ${type.replace("_", " ")}`}`
+          : "There was nothing like that to forget.",
+        memory: memory.toFacts(),
+      });
+    } catch (error) {
+      logger.error("Forget user fact tool error", { error: error.message });
+      return JSON.stringify({
+        success: false,
+        message: `Failed to forget that: ${error.message}`,
+      });
+    }
+  },
+});
+
+declareRisk(rememberUserFactTool, RiskLevels.LOW);
+declareRisk(forgetUserFactTool, RiskLevels.LOW);
+
+// Export all memory tools
+export const memoryTools = [rememberUserFactTool, forgetUserFactTool];
+
+export default memoryTools;
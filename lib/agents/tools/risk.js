@@ -0,0 +1,78 @@
+/**
+ * Tool Risk Levels
+ *
+ * Tools declare how much harm a mistaken call can do:
+ * - none: reads data only (the default)
+ * - low: changes data in a way that is easy to undo (creating a task)
+ * - high: changes or removes the user's data (deleting a task); the agent
+ *   pauses before such calls and asks the user to confirm them
+ *
+ * A risky tool also describes each call in plain words, so the user knows
+ * exactly what they are approving.
+ */
+
+import logger from "@/lib/logger";
+
+export const RiskLevels = {
+  NONE: "none",
+  LOW: "low",
+  HIGH: "high",
+};
+
+// Preview functions by tool
+const previews = new WeakMap();
+
+/**
+ * Declare a tool's risk level
+ * @param {Object} tool - LangChain tool
+ * @param {string} risk - One of RiskLevels
+ * @param {Function} [preview] - async (args, { clerkId, language }) => string,
+ *   describing a call for the confirmation prompt
+ * @returns {Object} The tool
+ */
+export function declareRisk(tool, risk, preview) {
+  tool.metadata = { ...(tool.metadata || {}), risk };
+  if (preview) {
+    previews.set(tool, preview);
+  }
+  return tool;
+}
+
+/**
+ * Risk level of a tool
+ * @param {Object} tool - LangChain tool
+ * @returns {string} One of RiskLevels
+ */
+export function toolRisk(tool) {
+  return tool?.metadata?.risk || RiskLevels.NONE;
+}
+
+/**
+ * Whether calls of a tool wait for the user's confirmation
+ * @param {Object} tool - LangChain tool
+ * @returns {boolean}
+ */
+export function requiresConfirmation(tool) {
+  return toolRisk(tool) === RiskLevels.HIGH;
+}
+
+/**
+ * Describe a tool call for the confirmation prompt
+ * Falls back to the tool name and arguments when the tool has no preview or
+ * its preview fails.
+ * @param {Object} tool - LangChain tool
+ * @param {Object} args - Call arguments
+ * @param {Object} options - { clerkId, language }
+ * @returns {Promise<string>} Human-readable description
+ */
+export async function previewToolCall(tool, args, options = {}) {
+  const preview = previews.get(tool);
+  if (preview) {
+    try {
+      return await preview(args || {}, options);
+    } catch (error) {
+      logger.warn("Tool preview failed", { tool: tool.name, error: error.message });
+    }
+  }
+  return `${tool.name} ${JSON.stringify(args || {})}`;
+}
@@ -11,6 +11,7 @@ import { connect } from "@/lib/mongodb/mongoose";
 import Roadmap from "@/lib/models/roadmapModel";
 import User from "@/lib/models/userModel";
 import logger from "@/lib/logger";
+import { RiskLevels, declareRisk } from "./risk";
 
 /**
  * Tool: Create a learning roadmap
@@ -117,7 +118,6 @@ export const createRoadmapTool = new DynamicStructuredTool({
             description: `Part of ${phase.name} phase`,
             phase: phase.name,
             duration: phase.duration,
-            completed: false,
             // Add resource links if provided
             documentation: typeof task === "object" ? task.documentation : null,
             videoId: typeof task === "object" ? task.youtubeVideoId : null,
@@ -136,8 +136,6 @@ export const createRoadmapTool = new DynamicStructuredTool({
         content: { steps },
         difficulty,
         topic,
-        status: "in-progress",
-        progress: 0,
       });
 
       logger.info("Roadmap created successfully", {
@@ -183,7 +181,7 @@ export const getUserRoadmapsTool = new DynamicStructuredTool({
     "Get a list of the user's existing learning roadmaps. Use this when the user asks 'show me my roadmaps', 'what roadmaps do I have', or wants to see their learning paths.",
   schema: z.object({
     status: z
-      .enum(["all", "in-progress", "completed"])
+      .enum(["all", "not-started", "in-progress", "completed"])
       .default("all")
       .describe("Filter by roadmap status"),
     limit: z
@@ -291,8 +289,9 @@ export const getRoadmapDetailsTool = new DynamicStructuredTool({
       }
 
       // Group steps by phase
+      const completedIndices = new Set(roadmap.completedSteps);
       const phases = {};
-      for (const step of roadmap.content?.steps || []) {
+      for (const [index, step] of (roadmap.content?.steps || []).entries()) {
         const phaseName = step.phase || "General";
         if (!phases[phaseName]) {
           phases[phaseName] = {
@@ -305,16 +304,13 @@ export const getRoadmapDetailsTool = new DynamicStructuredTool({
           step: step.step,
           topic: step.topic,
           description: step.description,
-          completed: step.completed || false,
+          completed: completedIndices.has(index),
         });
       }
 
-      const completedSteps = (roadmap.content?.steps || []).filter(
-        (s) => s.completed
-      ).length;
-      const totalSteps = (roadmap.content?.steps || []).length;
-      const progress =
-        totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
+      const summary = roadmap.getProgressSummary();
+      const completedSteps = summary.completedSteps.length;
+      const { totalSteps, progress } = summary;
 
       return JSON.stringify({
         success: true,
@@ -382,7 +378,15 @@ export const updateRoadmapProgressTool = new DynamicStructuredTool({
         });
       }
 
-      // Find and update the step
+      const user = await User.findOne({ clerkId });
+      if (!user || roadmap.author !== user.userName) {
+        return JSON.stringify({
+          success: false,
+          message: "You can only update progress on your own roadmaps.",
+        });
+      }
+
+      // Progress is stored as step indices, the same ones the roadmap page uses
       const stepIndex = roadmap.content?.steps?.findIndex(
         (s) => s.step === stepNumber
       );
@@ -394,26 +398,7 @@ export const updateRoadmapProgressTool = new DynamicStructuredTool({
         });
       }
 
-      roadmap.content.steps[stepIndex].completed = completed;
-      roadmap.content.steps[stepIndex].completedAt = completed
-        ? new Date()
-        : null;
-
-      // Recalculate progress
-      const completedSteps = roadmap.content.steps.filter(
-        (s) => s.completed
-      ).length;
-      const totalSteps = roadmap.content.steps.length;
-      roadmap.progress = Math.round((completedSteps / totalSteps) * 100);
-
-      // Update status if all completed
-      if (completedSteps === totalSteps) {
-        roadmap.status = "completed";
-      } else if (completedSteps > 0) {
-        roadmap.status = "in-progress";
-      }
-
-      await roadmap.save();
+      await roadmap.setStepCompleted(stepIndex, completed);
 
       const stepTopic = roadmap.content.steps[stepIndex].topic;
 
@@ -448,6 +433,18 @@ export const updateRoadmapProgressTool = new DynamicStructuredTool({
   },
 });
 
+// A new roadmap is saved to the user's profile, so the user confirms it first
+declareRisk(createRoadmapTool, RiskLevels.HIGH, async ({ title, difficulty, phases = [] }, { language }) => {
+  const taskCount = phases.reduce((count, phase) => count + (phase.tasks?.length || 0), 0);
+  const outline = phases.map((phase) => `${phase.name} (${phase.duration})`).join(" → ");
+
+  return language === "bn"
+    ? `নতুন রোডম্যাপ তৈরি করা হবে "${title}" (${difficulty}, ${phases.length}টি ধাপ, ${taskCount}টি বিষয়): ${outline}`
+    : `Create roadmap "${title}" (${difficulty}, ${phases.length} phases, ${taskCount} topics): ${outline}`;
+});
+
+declareRisk(updateRoadmapProgressTool, RiskLevels.LOW);
+
 // Export all roadmap tools
 export const roadmapTools = [
   createRoadmapTool,
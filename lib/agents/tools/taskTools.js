@@ -10,6 +10,7 @@ import { z } from "zod";
 import { connect } from "@/lib/mongodb/mongoose";
 import Task from "@/lib/models/taskModel";
 import logger from "@/lib/logger";
+import { RiskLevels, declareRisk } from "./risk";
 
 /**
  * Tool: Create a new task
@@ -420,6 +421,41 @@ export const completeTaskTool = new DynamicStructuredTool({
   },
 });
 
+/**
+ * Looks up the task a call refers to, for its confirmation preview
+ */
+async function findTaskForPreview(taskId, clerkId) {
+  await connect();
+  return Task.findOne({ _id: taskId, clerkId }).select("title dueDate");
+}
+
+// Changing or removing an existing task waits for the user's confirmation
+declareRisk(updateTaskTool, RiskLevels.HIGH, async ({ taskId, ...updates }, { clerkId, language }) => {
+  const task = await findTaskForPreview(taskId, clerkId);
+  const title = task ? `"${task.title}"` : taskId;
+  const changes = Object.entries(updates)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => `${field} → ${value}`)
+    .join(", ");
+
+  return language === "bn"
+    ? `টাস্ক আপডেট করা হবে ${title}: ${changes}`
+    : `Update task ${title}: ${changes}`;
+});
+
+declareRisk(deleteTaskTool, RiskLevels.HIGH, async ({ taskId }, { clerkId, language }) => {
+  const task = await findTaskForPreview(taskId, clerkId);
+  const title = task ? `"${task.title}"` : taskId;
+  const due = task?.dueDate ? ` (due ${task.dueDate.toLocaleDateString()})` : "";
+
+  return language === "bn"
+    ? `টাস্কটি স্থায়ীভাবে মুছে ফেলা হবে: ${title}${due}`
+    : `Permanently delete task ${title}${due}`;
+});
+
+declareRisk(createTaskTool, RiskLevels.LOW);
+declareRisk(completeTaskTool, RiskLevels.LOW);
+
 // Export all task tools
 export const taskTools = [
   createTaskTool,
@@ -0,0 +1,266 @@
+/**
+ * Error Message Analysis
+ *
+ * Interprets runtime and compiler error messages against the code that
+ * produced them: extracts the error type and line, explains the common
+ * causes, and points at the lines most likely involved.
+ *
+ * @module lib/analysis/errorMessages
+ */
+
+/**
+ * Known error patterns
+ * `find` receives the regex match and the code, and returns
+ * { explanation, suggestion, lines?, names? } for the matching error.
+ */
+const ERROR_PATTERNS = [
+  {
+    pattern: /Cannot read propert(?:y|ies) of (undefined|null)(?: \(reading '([^']+)'\))?/,
+    type: "TypeError",
+    find: (match, code) => ({
+      explanation: `A value was ${match[1]} when the code tried to read${match[2] ? ` '.${match[2]}'` : " a property"} from it.`,
+      suggestion: "Check where the value comes from, and guard with optional chaining (?.) or an early return",
+      lines: match[2] ? linesMatching(code, new RegExp(`\\.${escapeRegExp(match[2])}\\b|\\['${escapeRegExp(match[2])}'\\]`)) : [],
+    }),
+  },
+  {
+    pattern: /(\S+) is not a function/,
+    type: "TypeError",
+    find: (match, code) => {
+      const name = match[1].split(".").pop().replace(/\W/g, "");
+      return {
+        explanation: `'${match[1]}' was called, but its value is not a function (it may be undefined, misspelled, or shadowed).`,
+        suggestion: "Check the spelling and what the variable holds at that point",
+        lines: linesMatching(code, new RegExp(`\\b${escapeRegExp(name)}\\s*\\(`)),
+      };
+    },
+  },
+  {
+    pattern: /(?:ReferenceError: )?(\w+) is not defined|NameError: name '(\w+)' is not defined|cannot find symbol(?:[\s\S]*?symbol:\s+(?:variable|method|class)\s+(\w+))?/,
+    type: "ReferenceError",
+    find: (match, code) => {
+      const name = match[1] || match[2] || match[3];
+      return {
+        explanation: name
+          ? `'${name}' is used but never declared in a scope visible at that point.`
+          : "A name is used that the compiler cannot find.",
+        suggestion: "Declare it before use, check its scope, or fix the spelling",
+        lines: name ? linesMatching(code, new RegExp(`\\b${escapeRegExp(name)}\\b`)) : [],
+        names: name ? similarNames(name, code) : [],
+      };
+    },
+  },
+  {
+    pattern: /Assignment to constant variable/,
+    type: "TypeError",
+    find: () => ({
+      explanation: "A variable declared with 'const' is reassigned.",
+      suggestion: "Declare it with 'let' if it needs to change",
+    }),
+  },
+  {
+    pattern: /Maximum call stack size exceeded|RecursionError|StackOverflowError/,
+    type: "StackOverflow",
+    find: () => ({
+      explanation: "A function kept calling itself (directly or indirectly) without reaching a base case.",
+      suggestion: "Check the base case and that every recursive call moves toward it",
+    }),
+  },
+  {
+    pattern: /IndexError: (?:list|string|tuple) index out of range|ArrayIndexOutOfBoundsException|IndexOutOfRangeException|out_of_range/,
+    type: "IndexError",
+    find: (match, code) => ({
+      explanation: "An index outside the valid range 0..length-1 was used.",
+      suggestion: "Check loop bounds (use < length, not <= length) and empty inputs",
+      lines: linesMatching(code, /\w\s*\[[^\]]+\]/),
+    }),
+  },
+  {
+    pattern: /KeyError: '?([^'\n]+)'?/,
+    type: "KeyError",
+    find: (match, code) => ({
+      explanation: `The key '${match[1]}' is not in the dictionary.`,
+      suggestion: "Use dict.get(key, default) or check 'key in dict' first",
+      lines: linesMatching(code, new RegExp(`\\[['"]${escapeRegExp(match[1])}['"]\\]`)),
+    }),
+  },
+  {
+    pattern: /unsupported operand type\(s\) for ([^:]+): '(\w+)' and '(\w+)'|can only concatenate (\w+) \(not "(\w+)"\)/,
+    type: "TypeError",
+    find: (match) => ({
+      explanation: match[1]
+        ? `The '${match[1].trim()}' operator was used on a ${match[2]} and a ${match[3]}.`
+        : `A ${match[4]} was concatenated with a ${match[5]}.`,
+      suggestion: "Convert one side first, e.g. int(text) or str(number)",
+    }),
+  },
+  {
+    pattern: /'NoneType' object (?:has no attribute '(\w+)'|is not subscriptable)/,
+    type: "AttributeError",
+    find: (match, code) => ({
+      explanation: "A value was None, often because a function returned nothing.",
+      suggestion: "Make sure the function returns a value on every path",
+      lines: match[1] ? linesMatching(code, new RegExp(`\\.${escapeRegExp(match[1])}\\b`)) : [],
+    }),
+  },
+  {
+    pattern: /ZeroDivisionError|division by zero|ArithmeticException: \/ by zero/,
+    type: "ZeroDivisionError",
+    find: (match, code) => ({
+      explanation: "A number was divided by zero.",
+      suggestion: "Check the divisor before dividing",
+      lines: linesMatching(code, /[^/]\/[^/*=]|%/),
+    }),
+  },
+  {
+    pattern: /NullPointerException/,
+    type: "NullPointerException",
+    find: () => ({
+      explanation: "A method or field was accessed on a null reference.",
+      suggestion: "Initialize the object before use or check for null",
+    }),
+  },
+  {
+    pattern: /IndentationError|TabError|unexpected indent|unindent does not match/,
+    type: "IndentationError",
+    find: () => ({
+      explanation: "The indentation does not line up with the surrounding block.",
+      suggestion: "Indent with 4 spaces consistently and never mix tabs and spaces",
+    }),
+  },
+  {
+    pattern: /Segmentation fault|SIGSEGV/,
+    type: "SegmentationFault",
+    find: () => ({
+      explanation: "The program accessed memory it does not own (bad pointer, out-of-bounds array access, or stack overflow).",
+      suggestion: "Check array bounds, uninitialized pointers and recursion depth",
+    }),
+  },
+  {
+    pattern: /SyntaxError|Unexpected token|expected ['"]?[;:)\]}]/i,
+    type: "SyntaxError",
+    find: () => ({
+      explanation: "The code could not be parsed.",
+      suggestion: "Look for a missing bracket, quote, colon or semicolon at or just before the reported line",
+    }),
+  },
+];
+
+// Line number formats used by Node, Python, Java and compilers
+const LINE_PATTERNS = [
+  /line (\d+)/i,
+  /\.(?:js|ts|py|java|cs|cpp|cc|c|php):(\d+)/,
+  /<anonymous>:(\d+):\d+/,
+  /^\s*(\d+):\d+/m,
+];
+
+/**
+ * Escapes a string for use in a RegExp
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Returns 1-based numbers of lines matching a pattern
+ * @param {string} code - Source code
+ * @param {RegExp} pattern - Pattern to test each line against
+ * @param {number} [limit=5] - Maximum number of lines returned
+ * @returns {number[]} Line numbers
+ */
+function linesMatching(code, pattern, limit = 5) {
+  const lines = [];
+  code.split(/\r?\n/).forEach((text, i) => {
+    if (lines.length < limit && pattern.test(text)) lines.push(i + 1);
+  });
+  return lines;
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds identifiers in the code that look like a misspelling of a name
+ * @param {string} name - Undefined name
+ * @param {string} code - Source code
+ * @returns {string[]} Similar identifiers, closest first
+ */
+function similarNames(name, code) {
+  const identifiers = new Set(code.match(/[A-Za-z_$][\w$]*/g) || []);
+  identifiers.delete(name);
+
+  const maxDistance = name.length <= 4 ? 1 : 2;
+  return [...identifiers]
+    .map((candidate) => ({
+      candidate,
+      distance: candidate.toLowerCase() === name.toLowerCase() ? 0 : editDistance(name, candidate),
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Explains an error message in the context of the code that raised it
+ *
+ * @param {string} errorMessage - Error output (stack traces are fine)
+ * @param {string} code - Source code that produced the error
+ * @returns {{ type: string, line: number|null, explanation: string, suggestion: string,
+ *   relatedLines: number[], didYouMean: string[] }}
+ */
+export function explainErrorMessage(errorMessage, code) {
+  const lineMatch = LINE_PATTERNS.map((pattern) => pattern.exec(errorMessage)).find(Boolean);
+  const line = lineMatch ? parseInt(lineMatch[1], 10) : null;
+  const declaredType = /\b([A-Z]\w*(?:Error|Exception))\b/.exec(errorMessage)?.[1];
+
+  for (const { pattern, type, find } of ERROR_PATTERNS) {
+    const match = pattern.exec(errorMessage);
+    if (!match) continue;
+
+    const details = find(match, code);
+    return {
+      type: declaredType || type,
+      line,
+      explanation: details.explanation,
+      suggestion: details.suggestion,
+      relatedLines: [...new Set([...(line ? [line] : []), ...(details.lines || [])])],
+      didYouMean: details.names || [],
+    };
+  }
+
+  return {
+    type: declaredType || "Error",
+    line,
+    explanation: "This error message does not match a known pattern.",
+    suggestion: "Read the message and the line it points to; the static analysis findings below may help",
+    relatedLines: line ? [line] : [],
+    didYouMean: [],
+  };
+}
+
+export default explainErrorMessage;
@@ -0,0 +1,142 @@
+/**
+ * Static Code Analysis
+ *
+ * Entry point for the code analysis used by the Code Assistant tools.
+ * JavaScript and TypeScript are parsed into an AST; the other languages in
+ * LANGUAGE_VERSIONS get a tokenizer-level pass. Every analyzer returns the
+ * same report shape (see lib/analysis/report) with real line numbers.
+ *
+ * @module lib/analysis
+ */
+
+import { LANGUAGE_VERSIONS } from "@/app/constants";
+import { analyzeJavaScript } from "./javascript";
+import { analyzeTokens } from "./tokenizer";
+
+export { scoreReport } from "./report";
+export { explainErrorMessage } from "./errorMessages";
+
+/**
+ * Languages with analysis support
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_VERSIONS);
+
+// Common names people (and models) use for supported languages
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  node: "javascript",
+  nodejs: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  py: "python",
+  python3: "python",
+  "c++": "cpp",
+  c: "cpp",
+  cs: "csharp",
+  "c#": "csharp",
+};
+
+/**
+ * Maps a language name or alias to a supported language identifier
+ * @param {string} language - Language name as given by the user or model
+ * @returns {string} Normalized identifier (unknown languages are returned lowercased)
+ */
+export function normalizeLanguage(language = "") {
+  const key = String(language).trim().toLowerCase();
+  return LANGUAGE_ALIASES[key] || key;
+}
+
+/**
+ * Guesses the language of a snippet from distinctive syntax
+ * @param {string} code - Source code
+ * @returns {string} Best-guess language identifier (defaults to javascript)
+ */
+export function detectLanguage(code = "") {
+  const checks = [
+    ["php", /<\?php|\$\w+\s*=/],
+    ["python", /^\s*(def|class)\s+\w+.*:\s*$|^\s*(import|from)\s+\w+.*$|\bprint\(|\belif\b/m],
+    ["java", /\bpublic\s+(static\s+)?(class|void|int)\b|System\.out\.print/],
+    ["csharp", /\busing\s+System\b|Console\.Write|\bnamespace\s+\w+/],
+    ["cpp", /#include\s*<|std::|\bcout\s*<</],
+    ["typescript", /:\s*(string|number|boolean)\b|\binterface\s+\w+\s*\{/],
+  ];
+
+  const match = checks.find(([, pattern]) => pattern.test(code));
+  return match ? match[0] : "javascript";
+}
+
+/**
+ * Analyzes source code
+ *
+ * @param {string} code - Source code
+ * @param {string} [language] - Language name or alias; detected from the code if omitted
+ * @returns {Object} Analysis report
+ *
+ * @example
+ * const report = analyzeCode("let x = 1;", "js");
+ * // report.issues[0] => { rule: "unused-variable", line: 1, ... }
+ */
+export function analyzeCode(code, language) {
+  const normalized = language ? normalizeLanguage(language) : detectLanguage(code);
+
+  if (normalized === "javascript" || normalized === "typescript") {
+    return analyzeJavaScript(code, { typescript: normalized === "typescript" });
+  }
+  return analyzeTokens(code, normalized);
+}
+
+/**
+ * Filters issues to the requested focus areas
+ * @param {Array} issues - Issues from a report
+ * @param {string[]} focusAreas - Categories, or ["all"]
+ * @returns {Array} Matching issues
+ */
+export function filterIssues(issues, focusAreas = ["all"]) {
+  if (focusAreas.includes("all")) return issues;
+  return issues.filter((issue) => focusAreas.includes(issue.category));
+}
+
+/**
+ * Estimates time complexity from loop nesting and recursion
+ * This is a structural estimate: it assumes each loop runs over the input.
+ *
+ * @param {Object} report - Analysis report
+ * @returns {string} Big-O estimate with a short reason
+ */
+export function estimateTimeComplexity(report) {
+  const depth = report.metrics.maxLoopDepth;
+  const recursive = report.functions.some((fn) => fn.recursive);
+
+  let estimate = depth === 0 ? "O(1)" : depth === 1 ? "O(n)" : `O(n^${depth})`;
+  let reason = depth === 0 ? "no loops" : `loops nested ${depth} deep`;
+
+  if (recursive) {
+    estimate = depth === 0 ? "O(n) or worse" : `${estimate} or worse`;
+    reason += ", plus recursion (depends on how many calls each level makes)";
+  }
+
+  return `${estimate} (${reason})`;
+}
+
+/**
+ * Returns numbered source lines around a line
+ * @param {string} code - Source code
+ * @param {number} line - 1-based line number
+ * @param {number} [radius=2] - Lines of context on each side
+ * @returns {string} Excerpt with line numbers and a marker on the target line
+ */
+export function getCodeContext(code, line, radius = 2) {
+  const lines = code.split(/\r?\n/);
+  const start = Math.max(1, line - radius);
+  const end = Math.min(lines.length, line + radius);
+  const width = String(end).length;
+
+  const excerpt = [];
+  for (let n = start; n <= end; n++) {
+    excerpt.push(`${n === line ? ">" : " "} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+  }
+  return excerpt.join("\n");
+}
+
+export default analyzeCode;
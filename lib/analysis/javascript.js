@@ -0,0 +1,799 @@
+/**
+ * JavaScript / TypeScript Analyzer
+ *
+ * AST-based analysis using @babel/parser and @babel/traverse:
+ * - Syntax errors (recoverable ones are all reported, not just the first)
+ * - Unused variables, imports and parameters (scope-aware)
+ * - Cyclomatic complexity per function and nesting depth
+ * - Common bug, security, performance and style patterns
+ *
+ * @module lib/analysis/javascript
+ */
+
+import { parse } from "@babel/parser";
+import traverseModule from "@babel/traverse";
+import { createReport, addIssue, countLines, summarizeSource } from "./report";
+
+// @babel/traverse is CommonJS; the default export depends on the bundler
+const traverse = traverseModule.default || traverseModule;
+
+const LOOP_TYPES = [
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+];
+
+const NESTING_TYPES = [...LOOP_TYPES, "IfStatement", "SwitchStatement", "TryStatement"];
+
+const VALID_TYPEOF_RESULTS = new Set([
+  "undefined",
+  "object",
+  "boolean",
+  "number",
+  "string",
+  "function",
+  "symbol",
+  "bigint",
+]);
+
+// Properties that render HTML and are a common XSS vector
+const HTML_SINK_PROPERTIES = new Set(["innerHTML", "outerHTML"]);
+
+// Globals of browsers, CommonJS and test runners that Node's globalThis lacks
+const KNOWN_GLOBALS = new Set([
+  "window", "document", "navigator", "location", "history", "localStorage", "sessionStorage",
+  "alert", "confirm", "prompt", "self", "Image", "Element", "HTMLElement", "Node",
+  "requestAnimationFrame", "cancelAnimationFrame", "getComputedStyle", "FileReader",
+  "XMLHttpRequest", "MutationObserver", "IntersectionObserver", "ResizeObserver", "Worker",
+  "require", "module", "exports", "__dirname", "__filename", "arguments", "React",
+  "describe", "it", "test", "expect", "jest", "beforeEach", "afterEach", "beforeAll", "afterAll",
+]);
+
+const LONG_FUNCTION_LINES = 50;
+const HIGH_COMPLEXITY = 10;
+
+/**
+ * Parses source code into a Babel AST
+ * @param {string} code - Source code
+ * @param {boolean} typescript - Whether to enable TypeScript syntax
+ * @returns {Object} Babel File node (with `errors` for recoverable problems)
+ */
+function parseSource(code, typescript) {
+  return parse(code, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins: typescript ? ["typescript"] : ["jsx"],
+  });
+}
+
+/**
+ * Converts a Babel parser error into a syntax error entry
+ * @param {Error} error - Parser error with `loc`
+ * @returns {{ line: number, column: number, message: string }}
+ */
+function toSyntaxError(error) {
+  return {
+    line: error.loc?.line ?? null,
+    column: error.loc ? error.loc.column + 1 : null,
+    // Babel appends "(line:column)" to messages; the location is reported separately
+    message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+  };
+}
+
+/**
+ * Returns a readable name for a function path
+ * @param {Object} path - Babel path of a function node
+ * @param {string} code - Full source
+ * @returns {string} Function name or "<anonymous>"
+ */
+function getFunctionName(path, code) {
+  const { node, parent } = path;
+
+  if (node.id?.name) return node.id.name;
+  if (node.key) return node.key.name || node.key.value || "<computed>";
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") {
+    return parent.id.name;
+  }
+  if (parent.type === "AssignmentExpression") {
+    return sourceOf(parent.left, code);
+  }
+  if (parent.type === "ObjectProperty" && parent.key) {
+    return parent.key.name || parent.key.value || "<computed>";
+  }
+  return "<anonymous>";
+}
+
+/**
+ * Returns a shortened source excerpt for a node
+ * @param {Object} node - AST node
+ * @param {string} code - Full source
+ * @param {number} [maxLength=40] - Maximum excerpt length
+ * @returns {string} Source excerpt
+ */
+function sourceOf(node, code, maxLength = 40) {
+  if (!node || node.start == null) return "";
+  const text = code.slice(node.start, node.end).replace(/\s+/g, " ").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Counts ancestors of a path (within the same function) matching given node types
+ * @param {Object} path - Babel path
+ * @param {string[]} types - Node types to count
+ * @returns {number} Number of matching ancestors
+ */
+function countAncestors(path, types) {
+  let count = 0;
+  let current = path.parentPath;
+
+  while (current && !current.isFunction() && !current.isProgram()) {
+    if (types.includes(current.node.type)) count++;
+    current = current.parentPath;
+  }
+  return count;
+}
+
+/**
+ * Describes a statement for line-by-line explanations
+ * @param {Object} node - Statement node
+ * @param {string} code - Full source
+ * @returns {string|null} Description, or null when the statement isn't worth describing
+ */
+function describeStatement(node, code) {
+  switch (node.type) {
+    case "ImportDeclaration": {
+      const names = node.specifiers.map((s) => s.local.name);
+      return names.length
+        ? `Imports ${names.join(", ")} from '${node.source.value}'`
+        : `Imports '${node.source.value}' for its side effects`;
+    }
+    case "ExportNamedDeclaration":
+    case "ExportDefaultDeclaration":
+      return node.declaration
+        ? `Exports: ${describeStatement(node.declaration, code) || sourceOf(node.declaration, code)}`
+        : "Re-exports bindings from this module";
+    case "VariableDeclaration": {
+      const names = node.declarations.map((d) => sourceOf(d.id, code, 30));
+      const init = node.declarations[0]?.init;
+      let how = "";
+      if (init?.type === "ArrowFunctionExpression" || init?.type === "FunctionExpression") {
+        how = " as a function";
+      } else if (init?.type === "AwaitExpression") {
+        how = ` with the awaited result of \`${sourceOf(init.argument, code)}\``;
+      } else if (init?.type === "CallExpression") {
+        how = ` with the result of \`${sourceOf(init.callee, code)}()\``;
+      } else if (init?.type === "ArrayExpression") {
+        how = " with an array";
+      } else if (init?.type === "ObjectExpression") {
+        how = " with an object";
+      } else if (init?.type === "NewExpression") {
+        how = ` with a new \`${sourceOf(init.callee, code)}\``;
+      } else if (init) {
+        how = ` = \`${sourceOf(init, code)}\``;
+      }
+      return `Declares ${node.kind} ${names.join(", ")}${how}`;
+    }
+    case "FunctionDeclaration":
+      return `Defines ${node.async ? "async " : ""}function ${node.id?.name || ""}(${node.params
+        .map((p) => sourceOf(p, code, 20))
+        .join(", ")})`;
+    case "ClassDeclaration":
+      return `Defines class ${node.id?.name || ""}${
+        node.superClass ? ` extending ${sourceOf(node.superClass, code)}` : ""
+      }`;
+    case "ClassMethod":
+      return node.kind === "constructor"
+        ? "Defines the class constructor"
+        : `Defines ${node.static ? "static " : ""}method ${sourceOf(node.key, code)}`;
+    case "IfStatement":
+      return `Checks whether \`${sourceOf(node.test, code)}\``;
+    case "ForStatement":
+      return `Loops: \`${sourceOf(node.init, code, 25)}; ${sourceOf(node.test, code, 25)}\``;
+    case "ForOfStatement":
+      return `Loops over each item of \`${sourceOf(node.right, code)}\``;
+    case "ForInStatement":
+      return `Loops over the keys of \`${sourceOf(node.right, code)}\``;
+    case "WhileStatement":
+      return `Repeats while \`${sourceOf(node.test, code)}\``;
+    case "DoWhileStatement":
+      return `Runs the block, then repeats while \`${sourceOf(node.test, code)}\``;
+    case "SwitchStatement":
+      return `Branches on the value of \`${sourceOf(node.discriminant, code)}\``;
+    case "ReturnStatement":
+      return node.argument ? `Returns \`${sourceOf(node.argument, code)}\`` : "Returns early";
+    case "ThrowStatement":
+      return `Throws \`${sourceOf(node.argument, code)}\``;
+    case "TryStatement":
+      return "Starts a try block so errors can be caught";
+    case "BreakStatement":
+      return "Exits the enclosing loop or switch";
+    case "ContinueStatement":
+      return "Skips to the next loop iteration";
+    case "ExpressionStatement": {
+      const expression = node.expression.type === "AwaitExpression"
+        ? node.expression.argument
+        : node.expression;
+      const prefix = node.expression.type === "AwaitExpression" ? "Waits for " : "";
+
+      if (expression.type === "CallExpression") {
+        return `${prefix || "Calls "}\`${sourceOf(expression.callee, code)}(...)\``;
+      }
+      if (expression.type === "AssignmentExpression") {
+        return `Assigns \`${sourceOf(expression.right, code)}\` to \`${sourceOf(expression.left, code)}\``;
+      }
+      if (expression.type === "UpdateExpression") {
+        return `${expression.operator === "++" ? "Increments" : "Decrements"} \`${sourceOf(expression.argument, code)}\``;
+      }
+      return `Evaluates \`${sourceOf(expression, code)}\``;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reports statements that follow a return/throw/break/continue in the same block
+ * @param {Array} statements - Statement list of a block or switch case
+ * @param {Object} report - Report being built
+ */
+function checkUnreachable(statements, report) {
+  const exitIndex = statements.findIndex((s) =>
+    ["ReturnStatement", "ThrowStatement", "BreakStatement", "ContinueStatement"].includes(s.type)
+  );
+  if (exitIndex === -1) return;
+
+  const unreachable = statements.slice(exitIndex + 1).find(
+    (s) =>
+      s.type !== "FunctionDeclaration" &&
+      !(s.type === "VariableDeclaration" && s.kind === "var" && s.declarations.every((d) => !d.init))
+  );
+
+  if (unreachable) {
+    addIssue(report, {
+      rule: "unreachable-code",
+      category: "bugs",
+      severity: "warning",
+      line: unreachable.loc.start.line,
+      message: `Unreachable code after '${statements[exitIndex].type.replace("Statement", "").toLowerCase()}' on line ${statements[exitIndex].loc.start.line}`,
+      suggestion: "Remove the dead code or move it before the early exit",
+    });
+  }
+}
+
+/**
+ * Reports unused bindings in a scope
+ * Top-level functions and classes are skipped since snippets often define them for later use.
+ * @param {Object} scope - Babel scope
+ * @param {Set} seen - Bindings already checked
+ * @param {Object} report - Report being built
+ */
+function checkUnusedBindings(scope, seen, report) {
+  for (const [name, binding] of Object.entries(scope.bindings)) {
+    if (seen.has(binding)) continue;
+    seen.add(binding);
+
+    if (binding.referenced || name.startsWith("_")) continue;
+
+    const declaration = binding.path;
+    if (declaration.findParent((p) => p.isExportDeclaration())) continue;
+    if (declaration.isVariableDeclarator() && declaration.parentPath.parentPath?.isExportDeclaration()) continue;
+
+    // Caught errors are often intentionally ignored
+    if (declaration.isCatchClause()) continue;
+
+    const isTopLevel = scope.path.isProgram();
+    const init = declaration.isVariableDeclarator() ? declaration.node.init : null;
+    const definesCallable =
+      declaration.isFunctionDeclaration() ||
+      declaration.isClassDeclaration() ||
+      ["ArrowFunctionExpression", "FunctionExpression", "ClassExpression"].includes(init?.type);
+    if (isTopLevel && definesCallable) continue;
+
+    if (binding.kind === "param") {
+      // Like ESLint's "after-used": only report parameters after the last used one
+      const fn = scope.path;
+      const params = fn.node.params || [];
+      const index = params.findIndex((p) => p === declaration.node || p.left === declaration.node);
+      const laterUsed = params.slice(index + 1).some((p) => {
+        const laterName = p.type === "Identifier" ? p.name : p.left?.name;
+        return laterName && scope.getBinding(laterName)?.referenced;
+      });
+      if (index === -1 || laterUsed) continue;
+
+      addIssue(report, {
+        rule: "unused-parameter",
+        category: "style",
+        severity: "info",
+        line: binding.identifier.loc?.start.line,
+        message: `Parameter '${name}' is never used`,
+        suggestion: `Remove it or rename it to '_${name}' to mark it as intentionally unused`,
+      });
+      continue;
+    }
+
+    const kind = binding.kind === "module" ? "Import" : binding.kind === "hoisted" ? "Function" : "Variable";
+    addIssue(report, {
+      rule: binding.kind === "module" ? "unused-import" : "unused-variable",
+      category: "style",
+      severity: "warning",
+      line: binding.identifier.loc?.start.line,
+      message: `${kind} '${name}' is declared but never used`,
+      suggestion: binding.constantViolations.length
+        ? `'${name}' is assigned but never read; remove it or use the value`
+        : `Remove '${name}' or use it`,
+    });
+  }
+}
+
+/**
+ * Reports references to names that are never declared
+ * TypeScript is skipped because type-only names (and ambient declarations)
+ * would show up as false positives.
+ *
+ * @param {Object} programScope - Babel program scope
+ * @param {Object} report - Report being built
+ */
+function checkUndefinedReferences(programScope, report) {
+  for (const [name, node] of Object.entries(programScope.globals)) {
+    if (name in globalThis || KNOWN_GLOBALS.has(name)) continue;
+
+    addIssue(report, {
+      rule: "undefined-variable",
+      category: "bugs",
+      severity: "error",
+      line: node.loc?.start.line,
+      message: `'${name}' is used but never declared`,
+      suggestion: `Declare '${name}' before using it, or check the spelling`,
+    });
+  }
+}
+
+/**
+ * Analyzes JavaScript or TypeScript source
+ *
+ * @param {string} code - Source code
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Parse TypeScript syntax
+ * @returns {Object} Analysis report (see lib/analysis/report)
+ */
+export function analyzeJavaScript(code, { typescript = false } = {}) {
+  const report = createReport(typescript ? "typescript" : "javascript", "ast");
+  Object.assign(report.metrics, countLines(code, { lineComment: "//", blockComment: ["/*", "*/"] }));
+
+  let ast;
+  try {
+    ast = parseSource(code, typescript);
+  } catch (error) {
+    // Unrecoverable syntax error: nothing else can be analyzed reliably
+    report.syntaxErrors.push(toSyntaxError(error));
+    return summarizeSource(report);
+  }
+
+  report.syntaxErrors.push(...(ast.errors || []).map(toSyntaxError));
+
+  const functionStats = new Map();
+  const programStats = { complexity: 1 };
+  const seenBindings = new Set();
+  const lineNotes = new Map();
+  const constructs = new Set();
+
+  const statsFor = (path) => {
+    const fn = path.getFunctionParent();
+    return fn ? functionStats.get(fn.node) || programStats : programStats;
+  };
+
+  const addDecision = (path) => {
+    statsFor(path).complexity++;
+  };
+
+  const trackNesting = (path) => {
+    const depth = countAncestors(path, NESTING_TYPES) + 1;
+    report.metrics.maxNestingDepth = Math.max(report.metrics.maxNestingDepth, depth);
+  };
+
+  const checkAssignmentInCondition = (test) => {
+    if (test?.type === "AssignmentExpression" && test.operator === "=") {
+      addIssue(report, {
+        rule: "assignment-in-condition",
+        category: "bugs",
+        severity: "warning",
+        line: test.loc.start.line,
+        message: `Assignment used as a condition: \`${sourceOf(test, code)}\``,
+        suggestion: "Use '===' to compare, or wrap in extra parentheses if the assignment is intended",
+      });
+    }
+  };
+
+  traverse(ast, {
+    Program: {
+      exit(path) {
+        if (!typescript) checkUndefinedReferences(path.scope, report);
+      },
+    },
+
+    Scopable: {
+      exit(path) {
+        checkUnusedBindings(path.scope, seenBindings, report);
+      },
+    },
+
+    Statement(path) {
+      const { node } = path;
+      const line = node.loc?.start.line;
+      if (line && !lineNotes.has(line)) {
+        const note = describeStatement(node, code);
+        if (note) lineNotes.set(line, note);
+      }
+    },
+
+    ClassMethod(path) {
+      const line = path.node.loc.start.line;
+      if (!lineNotes.has(line)) lineNotes.set(line, describeStatement(path.node, code));
+    },
+
+    Function: {
+      enter(path) {
+        const { node } = path;
+        const stats = {
+          name: getFunctionName(path, code),
+          line: node.loc.start.line,
+          endLine: node.loc.end.line,
+          params: node.params.length,
+          complexity: 1,
+          async: node.async,
+        };
+        functionStats.set(node, stats);
+
+        if (node.async) constructs.add("async/await");
+        if (node.generator) constructs.add("generators");
+        if (node.type === "ArrowFunctionExpression") constructs.add("arrow functions");
+        if (path.getFunctionParent()) constructs.add("closures");
+      },
+      exit(path) {
+        const stats = functionStats.get(path.node);
+        const length = stats.endLine - stats.line + 1;
+        stats.lines = length;
+        report.functions.push(stats);
+
+        if (stats.complexity > HIGH_COMPLEXITY) {
+          addIssue(report, {
+            rule: "high-complexity",
+            category: "style",
+            severity: "warning",
+            line: stats.line,
+            message: `Function '${stats.name}' has a cyclomatic complexity of ${stats.complexity} (threshold ${HIGH_COMPLEXITY})`,
+            suggestion: "Split it into smaller functions or simplify the branching",
+          });
+        }
+        if (length > LONG_FUNCTION_LINES) {
+          addIssue(report, {
+            rule: "long-function",
+            category: "style",
+            severity: "info",
+            line: stats.line,
+            message: `Function '${stats.name}' is ${length} lines long`,
+            suggestion: "Extract helpers so each function does one thing",
+          });
+        }
+      },
+    },
+
+    Loop(path) {
+      addDecision(path);
+      trackNesting(path);
+      checkAssignmentInCondition(path.node.test);
+      constructs.add("loops");
+
+      const loopDepth = countAncestors(path, LOOP_TYPES) + 1;
+      report.metrics.maxLoopDepth = Math.max(report.metrics.maxLoopDepth, loopDepth);
+
+      if (loopDepth === 2) {
+        addIssue(report, {
+          rule: "nested-loop",
+          category: "performance",
+          severity: "info",
+          line: path.node.loc.start.line,
+          message: "Nested loop: work grows with the product of both iteration counts",
+          suggestion: "If the inner loop searches the outer data, index it with a Map or Set first",
+        });
+      }
+    },
+
+    IfStatement(path) {
+      addDecision(path);
+      trackNesting(path);
+      checkAssignmentInCondition(path.node.test);
+    },
+
+    "SwitchStatement|TryStatement"(path) {
+      trackNesting(path);
+    },
+
+    "ConditionalExpression|LogicalExpression"(path) {
+      addDecision(path);
+    },
+
+    AwaitExpression(path) {
+      if (path.findParent((p) => p.isFunction() || p.isLoop())?.isLoop()) {
+        addIssue(report, {
+          rule: "await-in-loop",
+          category: "performance",
+          severity: "info",
+          line: path.node.loc.start.line,
+          message: "'await' inside a loop runs the operations one after another",
+          suggestion: "If the iterations are independent, collect the promises and use Promise.all",
+        });
+      }
+    },
+
+    BlockStatement(path) {
+      checkUnreachable(path.node.body, report);
+    },
+
+    SwitchCase(path) {
+      if (path.node.test) addDecision(path);
+      checkUnreachable(path.node.consequent, report);
+    },
+
+    CatchClause(path) {
+      addDecision(path);
+      constructs.add("error handling");
+      if (path.node.body.body.length === 0) {
+        addIssue(report, {
+          rule: "empty-catch",
+          category: "bugs",
+          severity: "warning",
+          line: path.node.loc.start.line,
+          message: "Empty catch block silently swallows errors",
+          suggestion: "Log the error, handle it, or add a comment explaining why it is ignored",
+        });
+      }
+    },
+
+    BinaryExpression(path) {
+      const { node } = path;
+      const line = node.loc.start.line;
+
+      if (node.operator === "==" || node.operator === "!=") {
+        const comparesNull = [node.left, node.right].some((side) => side.type === "NullLiteral");
+        if (!comparesNull) {
+          addIssue(report, {
+            rule: "loose-equality",
+            category: "bugs",
+            severity: "warning",
+            line,
+            message: `'${node.operator}' performs type coercion: \`${sourceOf(node, code)}\``,
+            suggestion: `Use '${node.operator}=' to compare without coercion`,
+          });
+        }
+      }
+
+      if (["==", "===", "!=", "!=="].includes(node.operator)) {
+        const sides = [node.left, node.right];
+
+        if (sides.some((side) => side.type === "Identifier" && side.name === "NaN")) {
+          addIssue(report, {
+            rule: "nan-comparison",
+            category: "bugs",
+            severity: "error",
+            line,
+            message: "Comparing with NaN is always false (or always true for !=)",
+            suggestion: "Use Number.isNaN(value)",
+          });
+        }
+
+        if (sourceOf(node.left, code, Infinity) === sourceOf(node.right, code, Infinity)) {
+          addIssue(report, {
+            rule: "self-comparison",
+            category: "bugs",
+            severity: "warning",
+            line,
+            message: `Comparing \`${sourceOf(node.left, code)}\` with itself`,
+            suggestion: "Check whether one side should be a different value",
+          });
+        }
+
+        const typeofSide = sides.find((side) => side.type === "UnaryExpression" && side.operator === "typeof");
+        const literalSide = sides.find((side) => side.type === "StringLiteral");
+        if (typeofSide && literalSide && !VALID_TYPEOF_RESULTS.has(literalSide.value)) {
+          addIssue(report, {
+            rule: "invalid-typeof",
+            category: "bugs",
+            severity: "error",
+            line,
+            message: `typeof never returns "${literalSide.value}"`,
+            suggestion: `Valid results are: ${[...VALID_TYPEOF_RESULTS].join(", ")}`,
+          });
+        }
+      }
+    },
+
+    ObjectExpression(path) {
+      const seen = new Map();
+      for (const property of path.node.properties) {
+        if (property.type !== "ObjectProperty" || property.computed) continue;
+        const key = property.key.name ?? String(property.key.value);
+
+        if (seen.has(key)) {
+          addIssue(report, {
+            rule: "duplicate-key",
+            category: "bugs",
+            severity: "error",
+            line: property.loc.start.line,
+            message: `Duplicate key '${key}' overrides the one on line ${seen.get(key)}`,
+            suggestion: "Remove or rename one of the keys",
+          });
+        } else {
+          seen.set(key, property.loc.start.line);
+        }
+      }
+    },
+
+    CallExpression(path) {
+      const { node } = path;
+      const callee = node.callee;
+      const line = node.loc.start.line;
+      const calleeName = callee.type === "Identifier" ? callee.name : null;
+
+      if (calleeName === "eval") {
+        addIssue(report, {
+          rule: "no-eval",
+          category: "security",
+          severity: "error",
+          line,
+          message: "eval() executes arbitrary code",
+          suggestion: "Parse data with JSON.parse or use a lookup table instead",
+        });
+      }
+
+      if (
+        ["setTimeout", "setInterval"].includes(calleeName) &&
+        ["StringLiteral", "TemplateLiteral"].includes(node.arguments[0]?.type)
+      ) {
+        addIssue(report, {
+          rule: "implied-eval",
+          category: "security",
+          severity: "warning",
+          line,
+          message: `${calleeName}() with a string argument evaluates it as code`,
+          suggestion: "Pass a function instead of a string",
+        });
+      }
+
+      if (callee.type === "MemberExpression") {
+        const object = sourceOf(callee.object, code);
+        const property = callee.property.name;
+
+        if (object === "document" && property === "write") {
+          addIssue(report, {
+            rule: "document-write",
+            category: "security",
+            severity: "warning",
+            line,
+            message: "document.write() can inject unescaped HTML",
+            suggestion: "Create elements with the DOM API and set textContent",
+          });
+        }
+        if (object === "console" && property === "log") {
+          addIssue(report, {
+            rule: "console-log",
+            category: "style",
+            severity: "info",
+            line,
+            message: "console.log() left in code",
+            suggestion: "Remove debug logging before shipping",
+          });
+        }
+        if (["map", "filter", "reduce", "forEach"].includes(property)) {
+          constructs.add("array methods");
+        }
+      }
+
+      // Direct recursion
+      const fn = path.getFunctionParent();
+      const stats = fn && functionStats.get(fn.node);
+      if (stats && calleeName && calleeName === stats.name) {
+        stats.recursive = true;
+        constructs.add("recursion");
+      }
+    },
+
+    NewExpression(path) {
+      if (path.node.callee.type === "Identifier" && path.node.callee.name === "Function") {
+        addIssue(report, {
+          rule: "no-new-function",
+          category: "security",
+          severity: "error",
+          line: path.node.loc.start.line,
+          message: "new Function() executes arbitrary code, like eval()",
+          suggestion: "Define the function directly",
+        });
+      }
+    },
+
+    AssignmentExpression(path) {
+      const { left } = path.node;
+      if (left.type === "MemberExpression" && HTML_SINK_PROPERTIES.has(left.property.name)) {
+        addIssue(report, {
+          rule: "unsafe-html",
+          category: "security",
+          severity: "warning",
+          line: path.node.loc.start.line,
+          message: `Assigning to ${left.property.name} can lead to XSS if the value contains user input`,
+          suggestion: "Use textContent, or sanitize the HTML first",
+        });
+      }
+    },
+
+    DebuggerStatement(path) {
+      addIssue(report, {
+        rule: "no-debugger",
+        category: "style",
+        severity: "warning",
+        line: path.node.loc.start.line,
+        message: "'debugger' statement left in code",
+        suggestion: "Remove it before shipping",
+      });
+    },
+
+    VariableDeclaration(path) {
+      if (path.node.kind === "var") {
+        addIssue(report, {
+          rule: "no-var",
+          category: "style",
+          severity: "info",
+          line: path.node.loc.start.line,
+          message: "'var' is function-scoped and hoisted",
+          suggestion: "Use 'const', or 'let' if the variable is reassigned",
+        });
+      }
+    },
+
+    ImportDeclaration(path) {
+      report.structure.imports.push({
+        source: path.node.source.value,
+        names: path.node.specifiers.map((s) => s.local.name),
+        line: path.node.loc.start.line,
+      });
+    },
+
+    Class(path) {
+      constructs.add("classes");
+      if (path.node.superClass) constructs.add("inheritance");
+      report.structure.classes.push({
+        name: path.node.id?.name || "<anonymous>",
+        line: path.node.loc.start.line,
+        superClass: path.node.superClass ? sourceOf(path.node.superClass, code) : null,
+      });
+    },
+
+    "ObjectPattern|ArrayPattern"() {
+      constructs.add("destructuring");
+    },
+
+    TemplateLiteral() {
+      constructs.add("template literals");
+    },
+
+    JSXElement() {
+      constructs.add("JSX");
+    },
+  });
+
+  report.functions.sort((a, b) => a.line - b.line);
+  report.metrics.functionCount = report.functions.length;
+  report.metrics.cyclomaticComplexity =
+    programStats.complexity + report.functions.reduce((sum, fn) => sum + fn.complexity - 1, 0);
+  report.structure.constructs = [...constructs];
+  report.lineNotes = [...lineNotes.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([line, note]) => ({ line, note }));
+
+  return summarizeSource(report);
+}
+
+export default analyzeJavaScript;
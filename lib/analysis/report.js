@@ -0,0 +1,159 @@
+/**
+ * Analysis Report Helpers
+ *
+ * Shared report shape for every analyzer:
+ *
+ *   {
+ *     language, parser: "ast" | "tokenizer",
+ *     syntaxErrors: [{ line, column, message }],
+ *     issues: [{ rule, category, severity, line, message, suggestion }],
+ *     metrics: { totalLines, codeLines, commentLines, blankLines, functionCount,
+ *                cyclomaticComplexity, maxNestingDepth, maxLoopDepth },
+ *     functions: [{ name, line, endLine, lines, params, complexity, recursive? }],
+ *     structure: { classes, imports, constructs },
+ *     lineNotes: [{ line, note }],
+ *     score, summary
+ *   }
+ *
+ * Categories match the code tools' focus areas: bugs, performance, security, style.
+ * Severities are error, warning and info.
+ *
+ * @module lib/analysis/report
+ */
+
+// Score deduction per finding, out of 10
+const SCORE_PENALTIES = {
+  syntaxError: 3,
+  error: 1.5,
+  warning: 0.5,
+  info: 0.1,
+};
+
+/**
+ * Creates an empty report
+ * @param {string} language - Analyzed language
+ * @param {string} parser - "ast" or "tokenizer"
+ * @returns {Object} Report
+ */
+export function createReport(language, parser) {
+  return {
+    language,
+    parser,
+    syntaxErrors: [],
+    issues: [],
+    metrics: {
+      totalLines: 0,
+      codeLines: 0,
+      commentLines: 0,
+      blankLines: 0,
+      functionCount: 0,
+      cyclomaticComplexity: 1,
+      maxNestingDepth: 0,
+      maxLoopDepth: 0,
+    },
+    functions: [],
+    structure: {
+      classes: [],
+      imports: [],
+      constructs: [],
+    },
+    lineNotes: [],
+  };
+}
+
+/**
+ * Adds an issue, ignoring duplicates of the same rule on the same line
+ * @param {Object} report - Report being built
+ * @param {Object} issue - { rule, category, severity, line, message, suggestion }
+ */
+export function addIssue(report, issue) {
+  const duplicate = report.issues.some(
+    (existing) => existing.rule === issue.rule && existing.line === issue.line
+  );
+  if (!duplicate) {
+    report.issues.push(issue);
+  }
+}
+
+/**
+ * Counts code, comment and blank lines
+ * A line is a comment line when it only contains a comment.
+ *
+ * @param {string} code - Source code
+ * @param {Object} syntax
+ * @param {string|string[]} [syntax.lineComment] - Line comment marker(s)
+ * @param {string[]} [syntax.blockComment] - [open, close] block comment markers
+ * @returns {{ totalLines: number, codeLines: number, commentLines: number, blankLines: number }}
+ */
+export function countLines(code, { lineComment = [], blockComment = null } = {}) {
+  const lineMarkers = [].concat(lineComment);
+  const lines = code.split(/\r?\n/);
+  const counts = { totalLines: lines.length, codeLines: 0, commentLines: 0, blankLines: 0 };
+  let inBlock = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (inBlock) {
+      counts.commentLines++;
+      if (line.includes(blockComment[1])) inBlock = false;
+    } else if (!line) {
+      counts.blankLines++;
+    } else if (lineMarkers.some((marker) => line.startsWith(marker))) {
+      counts.commentLines++;
+    } else if (blockComment && line.startsWith(blockComment[0])) {
+      counts.commentLines++;
+      inBlock = !line.includes(blockComment[1], blockComment[0].length);
+    } else {
+      counts.codeLines++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Scores a report from 0 to 10
+ * Deducts points per syntax error and issue by severity, plus a penalty for
+ * functions more complex than 10.
+ *
+ * @param {Object} report - Finished report
+ * @returns {number} Score rounded to one decimal
+ */
+export function scoreReport(report) {
+  let penalty = report.syntaxErrors.length * SCORE_PENALTIES.syntaxError;
+
+  for (const issue of report.issues) {
+    penalty += SCORE_PENALTIES[issue.severity] || 0;
+  }
+  for (const fn of report.functions) {
+    penalty += Math.max(0, fn.complexity - 10) * 0.2;
+  }
+
+  return Math.max(0, Math.round((10 - penalty) * 10) / 10);
+}
+
+/**
+ * Finalizes a report: sorts issues, adds the score and a one-line summary
+ * @param {Object} report - Report being built
+ * @returns {Object} The same report
+ */
+export function summarizeSource(report) {
+  report.issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  report.score = scoreReport(report);
+
+  const bySeverity = (severity) => report.issues.filter((i) => i.severity === severity).length;
+  const parts = [];
+
+  if (report.syntaxErrors.length) {
+    parts.push(`${report.syntaxErrors.length} syntax error(s)`);
+  }
+  parts.push(
+    `${report.issues.length} issue(s) (${bySeverity("error")} error, ${bySeverity("warning")} warning, ${bySeverity("info")} info)`
+  );
+  parts.push(`${report.metrics.functionCount} function(s)`);
+  parts.push(`cyclomatic complexity ${report.metrics.cyclomaticComplexity}`);
+
+  report.summary = `${report.metrics.codeLines} lines of ${report.language}: ${parts.join(", ")}`;
+  return report;
+}
@@ -0,0 +1,970 @@
+/**
+ * Tokenizer-Level Analyzer
+ *
+ * Lightweight analysis for languages without an AST parser here (Python,
+ * Java, C#, C++, PHP). The source is tokenized once; checks then run on the
+ * token stream:
+ * - Syntax errors: unbalanced brackets, unterminated strings and comments,
+ *   missing ':' on Python block statements, mixed tab/space indentation
+ * - Functions with per-function cyclomatic complexity (keyword-based)
+ * - Nesting and loop depth (indentation for Python, braces elsewhere)
+ * - Unused imports and variables declared but never referenced again
+ * - Language-specific bug and security patterns
+ *
+ * @module lib/analysis/tokenizer
+ */
+
+import { createReport, addIssue, countLines, summarizeSource } from "./report";
+
+const C_LIKE = {
+  lineComment: ["//"],
+  blockComment: ["/*", "*/"],
+  strings: ['"', "'"],
+  multilineStrings: false,
+  blocks: "braces",
+  decisionTokens: ["if", "for", "while", "case", "catch", "&&", "||", "?"],
+  loopKeywords: ["for", "while", "do"],
+  functionPattern: /^\s*(?:(?:public|private|protected|internal|static|final|abstract|virtual|override|async|synchronized|inline|const|extern|unsafe)\s+)*[\w:<>,.[\]*&?]+\s+[*&]?(\w+)\s*\(([^)]*)\)\s*(?:const\s*)?(?:throws\s+[\w.,\s]+)?\{?\s*$/,
+  classPattern: /\b(?:class|interface|struct|enum)\s+(\w+)(?:\s*(?:extends|:)\s*(?:public\s+)?([\w.]+))?/,
+  importPattern: null,
+  declarationTypes: ["int", "long", "short", "float", "double", "char", "bool", "boolean", "byte", "string", "String", "var", "auto"],
+};
+
+/**
+ * Per-language syntax used by the tokenizer and checks
+ */
+const LANGUAGE_SYNTAX = {
+  python: {
+    lineComment: ["#"],
+    blockComment: null,
+    strings: ['"""', "'''", '"', "'"],
+    multilineStrings: false,
+    blocks: "indent",
+    decisionTokens: ["if", "elif", "for", "while", "except", "and", "or", "case"],
+    loopKeywords: ["for", "while"],
+    functionPattern: /^\s*(?:async\s+)?def\s+(\w+)\s*\(([^)]*)\)?/,
+    classPattern: /^\s*class\s+(\w+)(?:\(([\w.]+)[^)]*\))?/,
+    importPattern: /^\s*(?:from\s+([\w.]+)\s+)?import\s+(.+)$/,
+    declarationTypes: [],
+  },
+  java: {
+    ...C_LIKE,
+    importPattern: /^\s*import\s+(?:static\s+)?([\w.]+)(?:\.\*)?\s*;/,
+  },
+  csharp: {
+    ...C_LIKE,
+    importPattern: /^\s*using\s+(?:static\s+)?([\w.]+)\s*;/,
+  },
+  cpp: {
+    ...C_LIKE,
+    importPattern: /^\s*#\s*include\s*[<"]([^>"]+)[>"]/,
+  },
+  php: {
+    ...C_LIKE,
+    lineComment: ["//", "#"],
+    multilineStrings: true,
+    decisionTokens: [...C_LIKE.decisionTokens, "elseif", "and", "or"],
+    loopKeywords: ["for", "foreach", "while", "do"],
+    functionPattern: /\bfunction\s+(\w+)\s*\(([^)]*)\)/,
+    importPattern: /^\s*(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/,
+  },
+};
+
+// Python statements that open a block and must end with ':'
+const PYTHON_BLOCK_KEYWORDS = new Set([
+  "def", "class", "if", "elif", "else", "for", "while", "try", "except", "finally", "with",
+]);
+
+// Words that look like calls in C-like function patterns but are control flow
+const CONTROL_WORDS = new Set(["if", "for", "while", "switch", "catch", "return", "else", "foreach", "using", "lock", "new", "sizeof"]);
+
+const MULTI_CHAR_OPERATORS = [
+  "===", "!==", "**=", "//=", "<<=", ">>=", "==", "!=", "<=", ">=", "&&", "||", "->", "=>",
+  "::", "++", "--", "+=", "-=", "*=", "/=", "%=", "**", "<<", ">>",
+];
+
+const BRACKET_PAIRS = { ")": "(", "]": "[", "}": "{" };
+
+const LONG_LINE = 120;
+const LONG_FUNCTION_LINES = 50;
+const HIGH_COMPLEXITY = 10;
+
+/**
+ * Returns the syntax definition for a language
+ * Unknown languages get C-like defaults.
+ * @param {string} language - Language identifier
+ * @returns {Object} Syntax definition
+ */
+export function getLanguageSyntax(language) {
+  return LANGUAGE_SYNTAX[language] || C_LIKE;
+}
+
+/**
+ * Splits source code into tokens
+ *
+ * @param {string} code - Source code
+ * @param {Object} syntax - Syntax definition from getLanguageSyntax
+ * @returns {{ tokens: Array<{ type: string, value: string, line: number, column: number }>, errors: Array }}
+ *   Token types: word, number, string, comment, operator, punct
+ */
+export function tokenize(code, syntax) {
+  const tokens = [];
+  const errors = [];
+  const stringDelimiters = [...syntax.strings].sort((a, b) => b.length - a.length);
+  const operators = syntax === LANGUAGE_SYNTAX.python
+    ? MULTI_CHAR_OPERATORS
+    : MULTI_CHAR_OPERATORS.filter((op) => op !== "//=");
+
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, startLine, startColumn) => {
+    tokens.push({ type, value, line: startLine, column: startColumn });
+  };
+
+  while (index < code.length) {
+    const char = code[index];
+    const column = index - lineStart + 1;
+
+    if (char === "\n") {
+      line++;
+      index++;
+      lineStart = index;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // Line comments
+    const lineMarker = syntax.lineComment.find((marker) => code.startsWith(marker, index));
+    if (lineMarker) {
+      const end = code.indexOf("\n", index);
+      const stop = end === -1 ? code.length : end;
+      push("comment", code.slice(index, stop), line, column);
+      index = stop;
+      continue;
+    }
+
+    // Block comments
+    if (syntax.blockComment && code.startsWith(syntax.blockComment[0], index)) {
+      const end = code.indexOf(syntax.blockComment[1], index + syntax.blockComment[0].length);
+      const stop = end === -1 ? code.length : end + syntax.blockComment[1].length;
+      const text = code.slice(index, stop);
+
+      if (end === -1) {
+        errors.push({ line, column, message: "Unterminated block comment" });
+      }
+      push("comment", text, line, column);
+      line += (text.match(/\n/g) || []).length;
+      if (text.includes("\n")) lineStart = index + text.lastIndexOf("\n") + 1;
+      index = stop;
+      continue;
+    }
+
+    // Strings
+    const delimiter = stringDelimiters.find((d) => code.startsWith(d, index));
+    if (delimiter) {
+      const multiline = delimiter.length === 3 || syntax.multilineStrings;
+      let cursor = index + delimiter.length;
+      let closed = false;
+
+      while (cursor < code.length) {
+        if (code[cursor] === "\\") {
+          cursor += 2;
+          continue;
+        }
+        if (code.startsWith(delimiter, cursor)) {
+          cursor += delimiter.length;
+          closed = true;
+          break;
+        }
+        if (code[cursor] === "\n" && !multiline) break;
+        cursor++;
+      }
+
+      const text = code.slice(index, cursor);
+      if (!closed) {
+        errors.push({ line, column, message: `Unterminated string starting with ${delimiter}` });
+      }
+      push("string", text, line, column);
+      line += (text.match(/\n/g) || []).length;
+      if (text.includes("\n")) lineStart = index + text.lastIndexOf("\n") + 1;
+      index = cursor;
+      continue;
+    }
+
+    // Identifiers and keywords ($ for PHP variables)
+    const word = /^[A-Za-z_$][\w$]*/.exec(code.slice(index, index + 200));
+    if (word) {
+      push("word", word[0], line, column);
+      index += word[0].length;
+      continue;
+    }
+
+    const number = /^\d[\w.]*/.exec(code.slice(index, index + 100));
+    if (number) {
+      push("number", number[0], line, column);
+      index += number[0].length;
+      continue;
+    }
+
+    const operator = operators.find((op) => code.startsWith(op, index));
+    if (operator) {
+      push("operator", operator, line, column);
+      index += operator.length;
+      continue;
+    }
+
+    push("punct", char, line, column);
+    index++;
+  }
+
+  return { tokens, errors };
+}
+
+/**
+ * Reports unbalanced brackets as syntax errors
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {Object} report - Report being built
+ */
+function checkBrackets(tokens, report) {
+  const stack = [];
+
+  for (const token of tokens) {
+    if (token.type !== "punct") continue;
+
+    if ("([{".includes(token.value)) {
+      stack.push(token);
+    } else if (BRACKET_PAIRS[token.value]) {
+      const open = stack.pop();
+      if (!open) {
+        report.syntaxErrors.push({
+          line: token.line,
+          column: token.column,
+          message: `Unexpected '${token.value}' with no matching '${BRACKET_PAIRS[token.value]}'`,
+        });
+      } else if (open.value !== BRACKET_PAIRS[token.value]) {
+        report.syntaxErrors.push({
+          line: token.line,
+          column: token.column,
+          message: `'${token.value}' does not match '${open.value}' opened on line ${open.line}`,
+        });
+      }
+    }
+  }
+
+  for (const open of stack) {
+    report.syntaxErrors.push({
+      line: open.line,
+      column: open.column,
+      message: `'${open.value}' opened here is never closed`,
+    });
+  }
+}
+
+/**
+ * Groups code tokens (no comments) by line
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Map<number, Array>} Tokens per line
+ */
+function groupByLine(tokens) {
+  const lines = new Map();
+  for (const token of tokens) {
+    if (token.type === "comment") continue;
+    if (!lines.has(token.line)) lines.set(token.line, []);
+    lines.get(token.line).push(token);
+  }
+  return lines;
+}
+
+/**
+ * Python-specific syntax checks: block colons and indentation consistency
+ * @param {string} code - Source code
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {Object} report - Report being built
+ */
+function checkPythonSyntax(code, tokens, report) {
+  let depth = 0;
+  let lineTokens = [];
+
+  const checkLogicalLine = () => {
+    const [first] = lineTokens;
+    const last = lineTokens[lineTokens.length - 1];
+    if (first?.type === "word" && PYTHON_BLOCK_KEYWORDS.has(first.value) && last.value !== ":") {
+      // One-line blocks like `if x: return y` still contain a ':'
+      const hasColon = lineTokens.some((t) => t.value === ":");
+      if (!hasColon) {
+        report.syntaxErrors.push({
+          line: first.line,
+          column: first.column,
+          message: `Expected ':' at the end of the '${first.value}' statement`,
+        });
+      }
+    }
+    if (first?.value === "print" && lineTokens[1] && lineTokens[1].value !== "(") {
+      report.syntaxErrors.push({
+        line: first.line,
+        column: first.column,
+        message: "print is a function in Python 3; use print(...)",
+      });
+    }
+    lineTokens = [];
+  };
+
+  let previousLine = null;
+  for (const token of tokens) {
+    if (token.type === "comment") continue;
+    // A new physical line outside brackets starts a new logical line
+    if (previousLine !== null && token.line !== previousLine && depth === 0) {
+      checkLogicalLine();
+    }
+    lineTokens.push(token);
+    if ("([{".includes(token.value) && token.type === "punct") depth++;
+    if (")]}".includes(token.value) && token.type === "punct") depth = Math.max(0, depth - 1);
+    previousLine = token.line + (token.value.match(/\n/g) || []).length;
+  }
+  if (lineTokens.length) checkLogicalLine();
+
+  // Mixed tabs and spaces
+  const indents = code.split(/\r?\n/).map((l, i) => ({ line: i + 1, indent: /^[ \t]*/.exec(l)[0], text: l.trim() }));
+  const usesTabs = indents.find((l) => l.text && l.indent.includes("\t"));
+  const usesSpaces = indents.find((l) => l.text && l.indent.includes(" "));
+  if (usesTabs && usesSpaces) {
+    report.syntaxErrors.push({
+      line: Math.max(usesTabs.line, usesSpaces.line),
+      column: 1,
+      message: "Inconsistent use of tabs and spaces in indentation",
+    });
+  }
+}
+
+/**
+ * Finds functions, classes, complexity and nesting for indentation-based blocks (Python)
+ * @param {Map<number, Array>} lines - Tokens per line
+ * @param {string[]} sourceLines - Raw source lines
+ * @param {Object} syntax - Syntax definition
+ * @param {Object} report - Report being built
+ */
+function analyzeIndentBlocks(lines, sourceLines, syntax, report) {
+  const stack = [];
+  const functions = [];
+  const decisions = new Set(syntax.decisionTokens);
+
+  const closeBlocks = (indent, line) => {
+    while (stack.length && indent <= stack[stack.length - 1].indent) {
+      const block = stack.pop();
+      if (block.fn) block.fn.endLine = line - 1;
+    }
+  };
+
+  for (const [line, tokens] of lines) {
+    const text = sourceLines[line - 1] || "";
+    const indent = /^\s*/.exec(text)[0].replace(/\t/g, "    ").length;
+    closeBlocks(indent, line);
+
+    const first = tokens[0].value;
+    const currentFn = [...stack].reverse().find((b) => b.fn)?.fn;
+
+    // Decision points count toward the innermost function
+    const decisionCount = tokens.filter((t) => t.type !== "string" && decisions.has(t.value)).length;
+    if (currentFn) currentFn.complexity += decisionCount;
+    else report.metrics.cyclomaticComplexity += decisionCount;
+
+    const fnMatch = syntax.functionPattern.exec(text);
+    if (fnMatch) {
+      const fn = {
+        name: fnMatch[1],
+        line,
+        endLine: line,
+        params: fnMatch[2] ? fnMatch[2].split(",").filter((p) => p.trim() && !/^\s*(self|cls)\s*$/.test(p)).length : 0,
+        complexity: 1,
+      };
+      functions.push(fn);
+      stack.push({ indent, fn, type: "function" });
+      continue;
+    }
+
+    if (["if", "for", "while", "try", "with", "elif", "else", "except", "finally"].includes(first)) {
+      const isLoop = syntax.loopKeywords.includes(first);
+      stack.push({ indent, type: isLoop ? "loop" : "control" });
+      trackDepth(stack, line, report);
+    }
+  }
+
+  closeBlocks(-1, sourceLines.length + 1);
+  return functions;
+}
+
+/**
+ * Finds functions, complexity and nesting for brace-based blocks
+ * @param {Array} tokens - Code tokens
+ * @param {string[]} sourceLines - Raw source lines
+ * @param {Object} syntax - Syntax definition
+ * @param {Object} report - Report being built
+ */
+function analyzeBraceBlocks(tokens, sourceLines, syntax, report) {
+  const stack = [];
+  const functions = [];
+  const decisions = new Set(syntax.decisionTokens);
+  let pendingBlock = null;
+  let pendingFunction = null;
+  let parenDepth = 0;
+
+  const functionLines = new Map();
+  sourceLines.forEach((text, i) => {
+    const match = syntax.functionPattern.exec(text);
+    if (match && !CONTROL_WORDS.has(match[1])) functionLines.set(i + 1, match);
+  });
+
+  for (const token of tokens) {
+    if (token.type === "comment" || token.type === "string") continue;
+
+    if (functionLines.has(token.line) && !pendingFunction && !stack.some((b) => b.fn?.line === token.line)) {
+      const match = functionLines.get(token.line);
+      pendingFunction = {
+        name: match[1],
+        line: token.line,
+        endLine: token.line,
+        params: match[2].trim() ? match[2].split(",").length : 0,
+        complexity: 1,
+      };
+      functionLines.delete(token.line);
+    }
+
+    if (decisions.has(token.value)) {
+      const currentFn = [...stack].reverse().find((b) => b.fn)?.fn || pendingFunction;
+      if (currentFn) currentFn.complexity++;
+      else report.metrics.cyclomaticComplexity++;
+    }
+
+    if (token.value === "(") parenDepth++;
+    if (token.value === ")") parenDepth = Math.max(0, parenDepth - 1);
+
+    if (token.type === "word" && (syntax.loopKeywords.includes(token.value) || ["if", "switch", "try", "else"].includes(token.value))) {
+      pendingBlock = syntax.loopKeywords.includes(token.value) ? "loop" : "control";
+    } else if (token.value === ";" && parenDepth === 0) {
+      pendingBlock = null;
+    } else if (token.value === "{") {
+      if (pendingFunction) {
+        functions.push(pendingFunction);
+        stack.push({ type: "function", fn: pendingFunction });
+        pendingFunction = null;
+      } else {
+        stack.push({ type: pendingBlock || "block" });
+        if (pendingBlock) trackDepth(stack, token.line, report);
+      }
+      pendingBlock = null;
+    } else if (token.value === "}") {
+      const block = stack.pop();
+      if (block?.fn) block.fn.endLine = token.line;
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Updates nesting and loop depth metrics from the block stack
+ * Reports nested loops once per inner loop.
+ * @param {Array} stack - Open blocks, innermost last
+ * @param {number} line - Line of the block just opened
+ * @param {Object} report - Report being built
+ */
+function trackDepth(stack, line, report) {
+  let nesting = 0;
+  let loops = 0;
+  for (let i = stack.length - 1; i >= 0 && stack[i].type !== "function"; i--) {
+    if (stack[i].type !== "block") nesting++;
+    if (stack[i].type === "loop") loops++;
+  }
+
+  report.metrics.maxNestingDepth = Math.max(report.metrics.maxNestingDepth, nesting);
+  report.metrics.maxLoopDepth = Math.max(report.metrics.maxLoopDepth, loops);
+
+  if (stack[stack.length - 1].type === "loop" && loops === 2) {
+    addIssue(report, {
+      rule: "nested-loop",
+      category: "performance",
+      severity: "info",
+      line,
+      message: "Nested loop: work grows with the product of both iteration counts",
+      suggestion: "If the inner loop searches the outer data, index it with a hash map or set first",
+    });
+  }
+}
+
+/**
+ * Reports imported and assigned names that are never referenced again
+ * @param {string} language - Language identifier
+ * @param {Map<number, Array>} lines - Tokens per line
+ * @param {Array} tokens - Code tokens
+ * @param {Object} syntax - Syntax definition
+ * @param {Object} report - Report being built
+ */
+function checkUnusedNames(language, lines, tokens, syntax, report) {
+  const counts = new Map();
+  for (const token of tokens) {
+    if (token.type === "word") counts.set(token.value, (counts.get(token.value) || 0) + 1);
+  }
+  const isUnused = (name) => counts.get(name) === 1 && !name.startsWith("_");
+
+  for (const [line, lineTokens] of lines) {
+    if (language === "python") {
+      const [first] = lineTokens;
+
+      if (first.value === "import" || first.value === "from") {
+        // `import a.b as c`, `from m import x, y as z`
+        const importIndex = lineTokens.findIndex((t) => t.value === "import");
+        const names = [];
+        let previous = null;
+        for (const token of lineTokens.slice(importIndex + 1)) {
+          if (token.type === "word" && token.value !== "as" && previous?.value !== ".") {
+            if (previous?.value === "as") names.pop();
+            names.push(token.value);
+          }
+          previous = token;
+        }
+        for (const name of names.filter(isUnused)) {
+          addIssue(report, {
+            rule: "unused-import",
+            category: "style",
+            severity: "warning",
+            line,
+            message: `Import '${name}' is never used`,
+            suggestion: `Remove the import of '${name}'`,
+          });
+        }
+        continue;
+      }
+
+      // `name = value` at the start of a line
+      if (first.type === "word" && lineTokens[1]?.value === "=" && isUnused(first.value)) {
+        addIssue(report, {
+          rule: "unused-variable",
+          category: "style",
+          severity: "warning",
+          line,
+          message: `Variable '${first.value}' is assigned but never used`,
+          suggestion: `Remove '${first.value}' or use it`,
+        });
+      }
+      continue;
+    }
+
+    // C-like: `Type name =` / `Type name;` and PHP `$name =`
+    for (let i = 0; i < lineTokens.length - 1; i++) {
+      const token = lineTokens[i];
+      const next = lineTokens[i + 1];
+      const after = lineTokens[i + 2];
+
+      const declared =
+        (syntax.declarationTypes.includes(token.value) && next.type === "word" && ["=", ";"].includes(after?.value) && next.value) ||
+        (language === "php" && i === 0 && token.value.startsWith("$") && next.value === "=" && token.value);
+
+      if (declared && isUnused(declared)) {
+        addIssue(report, {
+          rule: "unused-variable",
+          category: "style",
+          severity: "warning",
+          line,
+          message: `Variable '${declared}' is declared but never used`,
+          suggestion: `Remove '${declared}' or use it`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Language-specific bug, security and style patterns
+ * @param {string} language - Language identifier
+ * @param {Map<number, Array>} lines - Tokens per line
+ * @param {Object} report - Report being built
+ */
+function checkPatterns(language, lines, report) {
+  for (const [line, tokens] of lines) {
+    const values = tokens.map((t) => t.value);
+    const has = (value) => values.includes(value);
+    const followedBy = (value, nextValue) =>
+      values.some((v, i) => v === value && values[i + 1] === nextValue);
+
+    // Assignment used as condition: `if (x = y)` in C-like languages
+    if (language !== "python" && (values[0] === "if" || values[0] === "while" || followedBy("else", "if"))) {
+      let depth = 0;
+      for (const token of tokens) {
+        if (token.value === "(") depth++;
+        else if (token.value === ")") depth--;
+        else if (depth === 1 && token.value === "=") {
+          addIssue(report, {
+            rule: "assignment-in-condition",
+            category: "bugs",
+            severity: "warning",
+            line,
+            message: "Assignment '=' used inside a condition",
+            suggestion: "Use '==' to compare values",
+          });
+          break;
+        }
+      }
+    }
+
+    if (language === "python") {
+      if (followedBy("==", "None") || followedBy("!=", "None")) {
+        addIssue(report, {
+          rule: "none-comparison",
+          category: "style",
+          severity: "warning",
+          line,
+          message: "Comparison to None with '==' or '!='",
+          suggestion: "Use 'is None' / 'is not None'",
+        });
+      }
+      if (values[0] === "except" && values[1] === ":") {
+        addIssue(report, {
+          rule: "bare-except",
+          category: "bugs",
+          severity: "warning",
+          line,
+          message: "Bare 'except:' also catches KeyboardInterrupt and SystemExit",
+          suggestion: "Catch a specific exception, e.g. 'except ValueError:'",
+        });
+      }
+      if (values[0] === "def") {
+        const mutableDefault = tokens.some(
+          (t, i) => t.value === "=" && ["[", "{"].includes(tokens[i + 1]?.value) && ["]", "}"].includes(tokens[i + 2]?.value)
+        );
+        if (mutableDefault) {
+          addIssue(report, {
+            rule: "mutable-default",
+            category: "bugs",
+            severity: "warning",
+            line,
+            message: "Mutable default argument is shared between calls",
+            suggestion: "Default to None and create the list/dict inside the function",
+          });
+        }
+      }
+      const isLiteral = (token) => token && (token.type === "number" || token.type === "string");
+      if (tokens.some((t, i) => t.value === "is" && tokens[i + 1]?.value !== "not" && isLiteral(tokens[i + 1]))) {
+        addIssue(report, {
+          rule: "is-literal",
+          category: "bugs",
+          severity: "warning",
+          line,
+          message: "'is' compares identity, not value, when used with a literal",
+          suggestion: "Use '==' to compare values",
+        });
+      }
+    }
+
+    if (language === "java") {
+      const stringCompare = tokens.some(
+        (t, i) => ["==", "!="].includes(t.value) && (tokens[i - 1]?.type === "string" || tokens[i + 1]?.type === "string")
+      );
+      if (stringCompare) {
+        addIssue(report, {
+          rule: "string-identity-comparison",
+          category: "bugs",
+          severity: "warning",
+          line,
+          message: "Strings compared with '==' compare references, not contents",
+          suggestion: "Use .equals()",
+        });
+      }
+    }
+
+    if (language !== "python" && followedBy("catch", "(")) {
+      const closeIndex = values.indexOf(")", values.indexOf("catch"));
+      if (values[closeIndex + 1] === "{" && values[closeIndex + 2] === "}") {
+        addIssue(report, {
+          rule: "empty-catch",
+          category: "bugs",
+          severity: "warning",
+          line,
+          message: "Empty catch block silently swallows errors",
+          suggestion: "Log or handle the exception",
+        });
+      }
+    }
+
+    if (language === "cpp") {
+      if (followedBy("gets", "(")) {
+        addIssue(report, {
+          rule: "unsafe-gets",
+          category: "security",
+          severity: "error",
+          line,
+          message: "gets() cannot limit input size and causes buffer overflows",
+          suggestion: "Use fgets() or std::getline()",
+        });
+      }
+      for (const fn of ["strcpy", "strcat", "sprintf"]) {
+        if (followedBy(fn, "(")) {
+          addIssue(report, {
+            rule: "unbounded-copy",
+            category: "security",
+            severity: "warning",
+            line,
+            message: `${fn}() does not check the destination size`,
+            suggestion: `Use the bounded variant (${fn === "sprintf" ? "snprintf" : `${fn.replace("str", "strn")}`}) or std::string`,
+          });
+        }
+      }
+      if (followedBy("using", "namespace") && has("std")) {
+        addIssue(report, {
+          rule: "using-namespace-std",
+          category: "style",
+          severity: "info",
+          line,
+          message: "'using namespace std' pulls every std name into scope",
+          suggestion: "Qualify names (std::vector) or import specific ones",
+        });
+      }
+    }
+
+    if (["python", "php"].includes(language) && (followedBy("eval", "(") || followedBy("exec", "("))) {
+      addIssue(report, {
+        rule: "no-eval",
+        category: "security",
+        severity: "error",
+        line,
+        message: "eval/exec runs arbitrary code",
+        suggestion: "Parse the data explicitly instead of executing it",
+      });
+    }
+
+    if (language === "php") {
+      const usesInput = values.some((v) => ["$_GET", "$_POST", "$_REQUEST", "$_COOKIE"].includes(v));
+      const runsQuery = values.some((v) => /^(mysql_query|mysqli_query|query|exec)$/.test(v));
+      if (usesInput && runsQuery) {
+        addIssue(report, {
+          rule: "sql-injection",
+          category: "security",
+          severity: "error",
+          line,
+          message: "Request input is used directly in a database query",
+          suggestion: "Use prepared statements with bound parameters",
+        });
+      } else if (usesInput && (has("echo") || has("print"))) {
+        addIssue(report, {
+          rule: "unescaped-output",
+          category: "security",
+          severity: "warning",
+          line,
+          message: "Request input is echoed without escaping (XSS)",
+          suggestion: "Wrap output in htmlspecialchars()",
+        });
+      }
+      if (values.some((v) => v.startsWith("mysql_"))) {
+        addIssue(report, {
+          rule: "deprecated-mysql",
+          category: "bugs",
+          severity: "warning",
+          line,
+          message: "mysql_* functions were removed in PHP 7",
+          suggestion: "Use PDO or mysqli",
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Extracts the condition that follows a control keyword
+ * Takes the balanced parenthesized part in C-like code, or the text before ':' in Python.
+ * @param {string} rest - Line text after the keyword
+ * @returns {string} Condition text
+ */
+function conditionOf(rest) {
+  if (rest.startsWith("(")) {
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest[i] === "(") depth++;
+      if (rest[i] === ")" && --depth === 0) return rest.slice(1, i).trim();
+    }
+  }
+  return rest.replace(/:\s*$/, "").trim();
+}
+
+/**
+ * Describes a source line for line-by-line explanations
+ * @param {string} text - Trimmed source line
+ * @returns {string|null} Description
+ */
+function describeLine(text) {
+  const rules = [
+    [/^(?:async\s+)?def\s+(\w+)\s*\(([^)]*)\)/, (m) => `Defines function ${m[1]}(${m[2]})`],
+    [/^(?:public|private|protected|static|\s)*\b(?:class|interface|struct|enum)\s+(\w+)/, (m) => `Defines type ${m[1]}`],
+    [/^(?:from\s+[\w.]+\s+)?import\s+(.+?);?$/, (m) => `Imports ${m[1]}`],
+    [/^#\s*include\s*[<"]([^>"]+)/, (m) => `Includes the ${m[1]} header`],
+    [/^using\s+(?:namespace\s+)?([\w.:]+)/, (m) => `Uses the ${m[1]} namespace`],
+    [/^(?:elif|else\s+if)\b\s*(.*)$/, (m) => `Otherwise checks whether ${conditionOf(m[1])}`],
+    [/^if\b\s*(.*)$/, (m) => `Checks whether ${conditionOf(m[1])}`],
+    [/^else\b/, () => "Handles the remaining case"],
+    [/^for\s+(\w+)\s+in\s+(.+?):$/, (m) => `Loops over each ${m[1]} in ${m[2]}`],
+    [/^(?:for|foreach)\b\s*(.*)$/, (m) => `Loops: ${conditionOf(m[1])}`],
+    [/^while\b\s*(.*)$/, (m) => `Repeats while ${conditionOf(m[1])}`],
+    [/^return\b\s*(.*?);?$/, (m) => (m[1] ? `Returns ${m[1]}` : "Returns early")],
+    [/^(?:try)\b/, () => "Starts a block whose errors can be caught"],
+    [/^(?:except|catch)\b\s*\(?(.*?)\)?\s*[:{]?$/, (m) => `Handles ${m[1] || "any"} errors`],
+    [/^(?:raise|throw)\b\s*(.*?);?$/, (m) => `Raises ${m[1]}`],
+    [/^(?:print|console\.log|System\.out\.print(?:ln)?|Console\.Write(?:Line)?|echo|printf|std::cout|cout)\b/, () => "Prints output"],
+    [/^(?:break)\b/, () => "Exits the loop"],
+    [/^(?:continue)\b/, () => "Skips to the next iteration"],
+    [/^(?:[\w<>[\],.*&$]+\s+)?([\w$.[\]]+)\s*([+\-*/%]?=)(?!=)\s*(.+?);?$/, (m) =>
+      m[2] === "=" ? `Sets ${m[1]} to ${m[3]}` : `Updates ${m[1]} with ${m[2]} ${m[3]}`],
+    [/^([\w$.:>-]+)\s*\(/, (m) => `Calls ${m[1]}()`],
+  ];
+
+  for (const [pattern, describe] of rules) {
+    const match = pattern.exec(text);
+    if (match) {
+      const note = describe(match);
+      return note.length > 90 ? `${note.slice(0, 87)}...` : note;
+    }
+  }
+  return null;
+}
+
+/**
+ * Analyzes source code at the token level
+ *
+ * @param {string} code - Source code
+ * @param {string} language - Language identifier (python, java, csharp, cpp, php, ...)
+ * @returns {Object} Analysis report (see lib/analysis/report)
+ */
+export function analyzeTokens(code, language) {
+  const syntax = getLanguageSyntax(language);
+  const report = createReport(language, "tokenizer");
+  const sourceLines = code.split(/\r?\n/);
+
+  Object.assign(
+    report.metrics,
+    countLines(code, { lineComment: syntax.lineComment, blockComment: syntax.blockComment })
+  );
+
+  const { tokens, errors } = tokenize(code, syntax);
+  const codeTokens = tokens.filter((t) => t.type !== "comment");
+  const lines = groupByLine(tokens);
+
+  report.syntaxErrors.push(...errors);
+  checkBrackets(codeTokens, report);
+  if (language === "python") {
+    checkPythonSyntax(code, tokens, report);
+  }
+
+  report.functions =
+    syntax.blocks === "indent"
+      ? analyzeIndentBlocks(lines, sourceLines, syntax, report)
+      : analyzeBraceBlocks(codeTokens, sourceLines, syntax, report);
+
+  for (const fn of report.functions) {
+    fn.lines = fn.endLine - fn.line + 1;
+    report.metrics.cyclomaticComplexity += fn.complexity - 1;
+
+    const callsItself = codeTokens.some(
+      (t, i) => t.value === fn.name && t.line > fn.line && t.line <= fn.endLine && codeTokens[i + 1]?.value === "("
+    );
+    if (callsItself) fn.recursive = true;
+
+    if (fn.complexity > HIGH_COMPLEXITY) {
+      addIssue(report, {
+        rule: "high-complexity",
+        category: "style",
+        severity: "warning",
+        line: fn.line,
+        message: `Function '${fn.name}' has a cyclomatic complexity of ${fn.complexity} (threshold ${HIGH_COMPLEXITY})`,
+        suggestion: "Split it into smaller functions or simplify the branching",
+      });
+    }
+    if (fn.lines > LONG_FUNCTION_LINES) {
+      addIssue(report, {
+        rule: "long-function",
+        category: "style",
+        severity: "info",
+        line: fn.line,
+        message: `Function '${fn.name}' is ${fn.lines} lines long`,
+        suggestion: "Extract helpers so each function does one thing",
+      });
+    }
+  }
+  report.metrics.functionCount = report.functions.length;
+
+  checkUnusedNames(language, lines, codeTokens, syntax, report);
+  checkPatterns(language, lines, report);
+
+  // Structure: classes and imports
+  sourceLines.forEach((text, i) => {
+    const classMatch = syntax.classPattern.exec(text);
+    if (classMatch && lines.has(i + 1)) {
+      report.structure.classes.push({ name: classMatch[1], line: i + 1, superClass: classMatch[2] || null });
+    }
+    const importMatch = syntax.importPattern?.exec(text);
+    if (importMatch) {
+      const [, first, second] = importMatch;
+      report.structure.imports.push(
+        language === "python"
+          ? {
+              source: first || second.split(",").map((name) => name.trim().split(/\s+as\s+/)[0]).join(", "),
+              names: second.split(",").map((name) => name.trim().split(/\s+as\s+/).pop()),
+              line: i + 1,
+            }
+          : { source: first, names: [first.split(/[./]/).pop()], line: i + 1 }
+      );
+    }
+  });
+
+  // Comments and long lines
+  for (const token of tokens) {
+    if (token.type === "comment" && /\b(TODO|FIXME|HACK|XXX)\b/.test(token.value)) {
+      addIssue(report, {
+        rule: "todo-comment",
+        category: "style",
+        severity: "info",
+        line: token.line,
+        message: `Unfinished work noted: ${token.value.trim().slice(0, 60)}`,
+        suggestion: "Resolve it or track it in an issue",
+      });
+    }
+  }
+  sourceLines.forEach((text, i) => {
+    if (text.length > LONG_LINE) {
+      addIssue(report, {
+        rule: "long-line",
+        category: "style",
+        severity: "info",
+        line: i + 1,
+        message: `Line is ${text.length} characters long`,
+        suggestion: `Wrap lines at ${LONG_LINE} characters`,
+      });
+    }
+  });
+
+  // Constructs and line notes
+  const constructs = new Set();
+  const words = new Set(codeTokens.filter((t) => t.type === "word").map((t) => t.value));
+  if (report.structure.classes.length) constructs.add("classes");
+  if (report.structure.classes.some((c) => c.superClass)) constructs.add("inheritance");
+  if (report.metrics.maxLoopDepth > 0) constructs.add("loops");
+  if (report.functions.some((fn) => fn.recursive)) constructs.add("recursion");
+  if (["try", "except", "catch"].some((w) => words.has(w))) constructs.add("error handling");
+  if (words.has("async") || words.has("await")) constructs.add("async/await");
+  if (words.has("lambda")) constructs.add("lambdas");
+  if (words.has("yield")) constructs.add("generators");
+  if (language === "python" && lines.size && [...lines.values()].some((t) =>
+    t.some((token, i) => token.value === "for" && i > 0 && t.slice(0, i).some((p) => p.value === "[")))) {
+    constructs.add("list comprehensions");
+  }
+  report.structure.constructs = [...constructs];
+
+  report.lineNotes = [...lines.keys()]
+    .map((line) => ({ line, note: describeLine(sourceLines[line - 1].trim()) }))
+    .filter((entry) => entry.note);
+
+  return summarizeSource(report);
+}
+
+export default analyzeTokens;
@@ -0,0 +1,253 @@
+/**
+ * Local Redis Client
+ *
+ * In-process stand-in for a Redis client, with the same command names and
+ * arguments as ioredis for the commands the Redis stores use (including
+ * MULTI transactions, which run without interleaving). Lets the Redis code
+ * paths run in development and on a single instance without a server; data
+ * lives in this process only and is lost on restart.
+ *
+ * @module lib/cache/localRedisClient
+ *
+ * @example
+ * const client = createLocalRedisClient();
+ * await client.set("greeting", "hello", "PX", 60000);
+ * await client.get("greeting"); // "hello"
+ */
+
+/**
+ * Converts a glob pattern as used by KEYS into a regular expression
+ * @param {string} pattern - Pattern with * and ? wildcards
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+/**
+ * Creates a local Redis client
+ * @returns {Object} Client with async ioredis-style commands
+ */
+export function createLocalRedisClient() {
+  /** @type {Map<string, { value: string|Set<string>|Map<string, string>, expiresAt: number|null }>} */
+  const data = new Map();
+
+  // Entry of a key, or undefined once it has expired
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry?.expiresAt !== null && entry?.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Set of a key, created if missing
+  const readSet = (key, create) => {
+    const entry = read(key);
+    if (entry) {
+      if (!(entry.value instanceof Set)) {
+        throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+      }
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = new Set();
+    data.set(key, { value, expiresAt: null });
+    return value;
+  };
+
+  // Hash of a key, created if missing
+  const readHash = (key, create) => {
+    const entry = read(key);
+    if (entry) {
+      if (!(entry.value instanceof Map)) {
+        throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+      }
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = new Map();
+    data.set(key, { value, expiresAt: null });
+    return value;
+  };
+
+  const client = {
+    async get(key) {
+      const entry = read(key);
+      if (entry && typeof entry.value !== "string") {
+        throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+      }
+      return entry ? entry.value : null;
+    },
+
+    /**
+     * SET key value [PX ms | EX s] [NX]
+     * @returns {Promise<"OK"|null>} null if NX was given and the key exists
+     */
+    async set(key, value, ...options) {
+      let expiresAt = null;
+      let onlyIfMissing = false;
+      for (let i = 0; i < options.length; i++) {
+        const option = String(options[i]).toUpperCase();
+        if (option === "PX") expiresAt = Date.now() + Number(options[++i]);
+        else if (option === "EX") expiresAt = Date.now() + Number(options[++i]) * 1000;
+        else if (option === "NX") onlyIfMissing = true;
+      }
+
+      if (onlyIfMissing && read(key)) return null;
+      data.set(key, { value: String(value), expiresAt });
+      return "OK";
+    },
+
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys.flat()) {
+        if (read(key)) {
+          data.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async exists(...keys) {
+      return keys.flat().filter((key) => read(key)).length;
+    },
+
+    async incrby(key, amount) {
+      const entry = read(key);
+      if (entry && (typeof entry.value !== "string" || !/^-?\d+$/.test(entry.value))) {
+        throw new Error("ERR value is not an integer or out of range");
+      }
+      const value = String(Number(entry?.value || 0) + Number(amount));
+      data.set(key, { value, expiresAt: entry ? entry.expiresAt : null });
+      return Number(value);
+    },
+
+    /**
+     * PEXPIRE key ms [NX]
+     * @returns {Promise<0|1>} 0 if the key is missing, or NX was given and it already expires
+     */
+    async pexpire(key, ms, option) {
+      const entry = read(key);
+      if (!entry) return 0;
+      if (String(option).toUpperCase() === "NX" && entry.expiresAt !== null) return 0;
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+
+    async pttl(key) {
+      const entry = read(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+
+    async sadd(key, ...members) {
+      const set = readSet(key, true);
+      let added = 0;
+      for (const member of members.flat()) {
+        if (!set.has(String(member))) {
+          set.add(String(member));
+          added++;
+        }
+      }
+      return added;
+    },
+
+    async srem(key, ...members) {
+      const set = readSet(key, false);
+      if (!set) return 0;
+      let removed = 0;
+      for (const member of members.flat()) {
+        if (set.delete(String(member))) removed++;
+      }
+      if (set.size === 0) data.delete(key);
+      return removed;
+    },
+
+    async smembers(key) {
+      const set = readSet(key, false);
+      return set ? [...set] : [];
+    },
+
+    async scard(key) {
+      return readSet(key, false)?.size || 0;
+    },
+
+    async hget(key, field) {
+      return readHash(key, false)?.get(String(field)) ?? null;
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries(readHash(key, false) || []);
+    },
+
+    async hsetnx(key, field, value) {
+      const hash = readHash(key, true);
+      if (hash.has(String(field))) return 0;
+      hash.set(String(field), String(value));
+      return 1;
+    },
+
+    async hincrby(key, field, amount) {
+      const hash = readHash(key, true);
+      const value = Number(hash.get(String(field)) || 0) + Number(amount);
+      hash.set(String(field), String(value));
+      return value;
+    },
+
+    async keys(pattern) {
+      const regex = globToRegExp(pattern);
+      return [...data.keys()].filter((key) => regex.test(key) && read(key));
+    },
+
+    /**
+     * SCAN cursor [MATCH pattern] [COUNT count]
+     * COUNT is only a hint in Redis too; every match comes back in the first
+     * reply, with cursor "0" to end the iteration.
+     * @returns {Promise<[string, string[]]>} Next cursor and keys
+     */
+    async scan(cursor, ...options) {
+      const match = options.findIndex((option) => String(option).toUpperCase() === "MATCH");
+      const pattern = match === -1 ? "*" : options[match + 1];
+      return ["0", await client.keys(pattern)];
+    },
+
+    async flushdb() {
+      data.clear();
+      return "OK";
+    },
+
+    /**
+     * MULTI ... EXEC
+     * Queued commands run back to back when exec() is called, so no other
+     * command sees the transaction half done.
+     * @returns {Object} Chainable transaction; exec() resolves to [error, result] pairs
+     */
+    multi() {
+      const queue = [];
+      const transaction = {
+        exec() {
+          // Command bodies are synchronous, so starting them all in one loop
+          // runs them before any other command gets a turn
+          const pending = queue.map(([command, args]) => client[command](...args));
+          return Promise.all(
+            pending.map((promise) => promise.then((result) => [null, result], (error) => [error, null]))
+          );
+        },
+      };
+      for (const command of Object.keys(client)) {
+        if (command === "multi") continue;
+        transaction[command] = (...args) => {
+          queue.push([command, args]);
+          return transaction;
+        };
+      }
+      return transaction;
+    },
+  };
+
+  return client;
+}
@@ -0,0 +1,90 @@
+/**
+ * In-Memory Cache Store
+ *
+ * Least-recently-used cache for a single instance. Entries expire after their
+ * time to live, and once the store is full the least recently read entry is
+ * evicted. Entries can carry tags (e.g. the user they belong to) so a group
+ * of them can be removed at once.
+ *
+ * @module lib/cache/memoryStore
+ */
+
+/**
+ * Creates an in-memory LRU cache store
+ * @param {Object} config
+ * @param {number} config.maxSize - Maximum number of entries
+ * @returns {Object} Cache store (see lib/cache/responseCache)
+ */
+export function createMemoryStore({ maxSize }) {
+  // Map iteration order is insertion order; reads re-insert, so the first key is the least recently used
+  /** @type {Map<string, { value: *, expiresAt: number, tags: string[] }>} */
+  const entries = new Map();
+  /** @type {Map<string, Set<string>>} */
+  const tagIndex = new Map();
+  let evictions = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = tagIndex.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) tagIndex.delete(tag);
+    }
+    return true;
+  };
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, { ttlMs, tags = [] }) {
+      remove(key);
+      while (entries.size >= maxSize) {
+        remove(entries.keys().next().value);
+        evictions++;
+      }
+
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs, tags });
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(key);
+      }
+    },
+
+    async invalidateTag(tag) {
+      const keys = [...(tagIndex.get(tag) || [])];
+      keys.forEach(remove);
+      return keys.length;
+    },
+
+    async clear() {
+      const removed = entries.size;
+      entries.clear();
+      tagIndex.clear();
+      return removed;
+    },
+
+    async size() {
+      return entries.size;
+    },
+
+    stats() {
+      return { evictions, maxSize };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Redis Cache Store
+ *
+ * Cache store on a Redis server, shared by every instance of the app.
+ * Entries are JSON strings that Redis expires itself; each tag is a Redis
+ * set of the keys that carry it. Eviction under memory pressure is left to
+ * the server's maxmemory policy.
+ *
+ * Works with any client that has ioredis-style commands (get, set with PX,
+ * del, sadd, smembers, pexpire, scan), including the local stand-in from
+ * ./localRedisClient.
+ *
+ * @module lib/cache/redisStore
+ */
+
+import logger from '@/lib/logger';
+
+// Keys examined per SCAN call
+const SCAN_COUNT = 100;
+
+/**
+ * Calls fn with each batch of keys matching a pattern
+ * SCAN walks the keyspace in batches; KEYS would block the server until done.
+ * @param {Object} client - Redis client
+ * @param {string} pattern - Glob pattern
+ * @param {Function} fn - async (keys) => void
+ */
+async function scanKeys(client, pattern, fn) {
+  let cursor = '0';
+  do {
+    const [next, keys] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+    cursor = next;
+    if (keys.length > 0) {
+      await fn(keys);
+    }
+  } while (cursor !== '0');
+}
+
+/**
+ * Creates a Redis cache store
+ * @param {Object} client - Redis client
+ * @param {Object} [config]
+ * @param {string} [config.prefix] - Prefix of every key the store writes
+ * @returns {Object} Cache store (see lib/cache/responseCache)
+ */
+export function createRedisStore(client, { prefix = 'cache' } = {}) {
+  const entryKey = (key) => `${prefix}:entry:${key}`;
+  const tagKey = (tag) => `${prefix}:tag:${tag}`;
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await client.get(entryKey(key));
+      if (raw === null) return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        logger.warn('Dropping unreadable cache entry', { key, error: error.message });
+        await client.del(entryKey(key));
+        return null;
+      }
+    },
+
+    async set(key, value, { ttlMs, tags = [] }) {
+      await client.set(entryKey(key), JSON.stringify(value), 'PX', ttlMs);
+      for (const tag of tags) {
+        await client.sadd(tagKey(tag), entryKey(key));
+        // A tag set lives as long as its newest entry
+        await client.pexpire(tagKey(tag), ttlMs);
+      }
+    },
+
+    async invalidateTag(tag) {
+      const keys = await client.smembers(tagKey(tag));
+      if (keys.length > 0) {
+        await client.del(...keys);
+      }
+      await client.del(tagKey(tag));
+      return keys.length;
+    },
+
+    // clear() and size() walk the store's keys with SCAN, so they take time
+    // in proportion to the keyspace but don't block other clients
+
+    async clear() {
+      let removed = 0;
+      await scanKeys(client, `${prefix}:*`, async (keys) => {
+        const entries = keys.filter((key) => key.startsWith(`${prefix}:entry:`));
+        const tags = keys.filter((key) => !key.startsWith(`${prefix}:entry:`));
+        // SCAN may return a key twice; del only counts what it removed
+        if (entries.length > 0) removed += await client.del(...entries);
+        if (tags.length > 0) await client.del(...tags);
+      });
+      return removed;
+    },
+
+    async size() {
+      // SCAN may return a key twice
+      const entries = new Set();
+      await scanKeys(client, `${prefix}:entry:*`, async (keys) => {
+        keys.forEach((key) => entries.add(key));
+      });
+      return entries.size;
+    },
+
+    stats() {
+      return { prefix };
+    },
+  };
+}
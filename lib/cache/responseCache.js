@@ -1,104 +1,163 @@
 /**
  * Response Cache for AI Agents
- * 
- * Simple in-memory cache for common agent responses.
- * Reduces API calls for frequently asked questions.
- * 
+ *
+ * Caches agent responses so a repeated request is answered without a model
+ * call. A response is only reused for the same message, routed agent and
+ * language, and the same user context: the key includes a fingerprint of the
+ * user, their context summary and the recent conversation, so one user's
+ * personalized answer is never served to another.
+ *
+ * Agents opt out with `cacheable = false` (e.g. agents answering from live
+ * user data), and responses that used tools or wait for a confirmation are
+ * never cached. When a user's tasks or roadmaps change, invalidateUserCache()
+ * drops their entries.
+ *
+ * Stores (RESPONSE_CACHE_STORE):
+ * - memory: LRU cache in this instance (default)
+ * - redis: Redis store; uses the in-process stand-in until setCacheStore() is
+ *   given a store on a real client, e.g. setCacheStore(createRedisStore(new Redis(url)))
+ *
  * @module lib/cache/responseCache
  */
 
 import crypto from 'crypto';
 import logger from '@/lib/logger';
+import { createMemoryStore } from './memoryStore';
+import { createRedisStore } from './redisStore';
+import { createLocalRedisClient } from './localRedisClient';
 
 // Cache configuration
 const CACHE_CONFIG = {
-  maxSize: 100,           // Maximum number of cached responses
+  maxSize: 100,           // Maximum number of cached responses (memory store)
   ttl: 3600000,          // Time to live: 1 hour in milliseconds
-  enabledAgents: ['general', 'learning'], // Only cache for these agents
+  store: process.env.RESPONSE_CACHE_STORE || 'memory',
+  historyMessages: 6,    // Recent messages that count as a response's context
 };
 
-// In-memory cache store
-const cache = new Map();
+// Context fields that shape an agent's answer
+const FINGERPRINT_FIELDS = ['clerkId', 'userName', 'contextSummary', 'currentRoadmap', 'currentQuest'];
+
+// Cache store, created on first use
+let store = null;
 
 // Cache statistics
 const stats = {
   hits: 0,
   misses: 0,
-  evictions: 0,
-  size: 0,
+  invalidations: 0,
+  errors: 0,
 };
 
+/**
+ * Creates the store selected by RESPONSE_CACHE_STORE
+ * @returns {Object} Cache store
+ */
+function createStore() {
+  if (CACHE_CONFIG.store === 'redis') {
+    logger.info('Response cache uses the local Redis stand-in; pass a Redis client to setCacheStore() to share it');
+    return createRedisStore(createLocalRedisClient(), { prefix: 'response-cache' });
+  }
+  return createMemoryStore({ maxSize: CACHE_CONFIG.maxSize });
+}
+
+/**
+ * Get the cache store
+ * @returns {Object} Cache store
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the cache store, e.g. with a Redis store on a real client
+ * @param {Object} newStore - Store from createMemoryStore() or createRedisStore()
+ */
+export function setCacheStore(newStore) {
+  store = newStore;
+  logger.info('Response cache store set', { store: newStore.name });
+}
+
+/**
+ * Fingerprint of the user context a response was generated in
+ * @param {Object} context - Agent context ({ clerkId, contextSummary, history, ... })
+ * @returns {string} Hash of the fields that shape the answer
+ */
+export function contextFingerprint(context = {}) {
+  const fields = FINGERPRINT_FIELDS.map((field) => context[field] ?? null);
+  const history = (context.history || [])
+    .slice(-CACHE_CONFIG.historyMessages)
+    .map((message) => [message.role, message.content]);
+
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify([fields, history]))
+    .digest('hex');
+}
+
 /**
  * Generate cache key from message and context
  * @param {string} message - User message
  * @param {string} agentType - Agent type
  * @param {string} language - Language code
+ * @param {Object} context - Agent context
  * @returns {string} Cache key hash
  */
-function generateCacheKey(message, agentType, language = 'en') {
+function generateCacheKey(message, agentType, language = 'en', context = {}) {
   const normalized = message.toLowerCase().trim();
-  const keyString = `${agentType}:${language}:${normalized}`;
+  const keyString = `${agentType}:${language}:${contextFingerprint(context)}:${normalized}`;
   return crypto.createHash('md5').update(keyString).digest('hex');
 }
 
 /**
- * Check if cache entry is expired
- * @param {Object} entry - Cache entry
- * @returns {boolean} True if expired
+ * Tag of every entry that belongs to a user
+ * @param {string} clerkId - Clerk user ID
+ * @returns {string}
  */
-function isExpired(entry) {
-  return Date.now() - entry.timestamp > CACHE_CONFIG.ttl;
+function userTag(clerkId) {
+  return `user:${clerkId}`;
 }
 
 /**
- * Evict oldest entries if cache is full
+ * Whether a response may be cached
+ * Responses that failed, used tools (their data may change) or wait for a
+ * confirmation are never reused.
+ * @param {Object} response - Agent response
+ * @returns {boolean}
  */
-function evictOldest() {
-  if (cache.size < CACHE_CONFIG.maxSize) return;
-
-  // Find oldest entry
-  let oldestKey = null;
-  let oldestTime = Infinity;
-
-  for (const [key, entry] of cache.entries()) {
-    if (entry.timestamp < oldestTime) {
-      oldestTime = entry.timestamp;
-      oldestKey = key;
-    }
-  }
-
-  if (oldestKey) {
-    cache.delete(oldestKey);
-    stats.evictions++;
-    stats.size = cache.size;
-  }
+export function isCacheable(response) {
+  return Boolean(
+    response &&
+    !response.error &&
+    !response.pendingAction &&
+    !response.usedTools?.length
+  );
 }
 
 /**
  * Get cached response
  * @param {string} message - User message
- * @param {string} agentType - Agent type
+ * @param {string} agentType - Routed agent type
  * @param {string} language - Language code
- * @returns {Object|null} Cached response or null
+ * @param {Object} [context] - Agent context, see contextFingerprint()
+ * @returns {Promise<Object|null>} Cached response or null
  */
-export function getCachedResponse(message, agentType, language = 'en') {
-  // Only cache for enabled agents
-  if (!CACHE_CONFIG.enabledAgents.includes(agentType)) {
-    return null;
-  }
+export async function getCachedResponse(message, agentType, language = 'en', context = {}) {
+  const key = generateCacheKey(message, agentType, language, context);
 
-  const key = generateCacheKey(message, agentType, language);
-  const entry = cache.get(key);
-
-  if (!entry) {
-    stats.misses++;
+  let entry;
+  try {
+    entry = await getStore().get(key);
+  } catch (error) {
+    // A cache that is down only costs a model call
+    stats.errors++;
+    logger.warn('Response cache read failed', { error: error.message });
     return null;
   }
 
-  // Check if expired
-  if (isExpired(entry)) {
-    cache.delete(key);
-    stats.size = cache.size;
+  if (!entry) {
     stats.misses++;
     return null;
   }
@@ -117,62 +176,87 @@ export function getCachedResponse(message, agentType, language = 'en') {
 /**
  * Set cached response
  * @param {string} message - User message
- * @param {string} agentType - Agent type
+ * @param {string} agentType - Routed agent type
  * @param {string} language - Language code
  * @param {Object} response - Response to cache
+ * @param {Object} [context] - Agent context, see contextFingerprint()
  */
-export function setCachedResponse(message, agentType, language, response) {
-  // Only cache for enabled agents
-  if (!CACHE_CONFIG.enabledAgents.includes(agentType)) {
+export async function setCachedResponse(message, agentType, language, response, context = {}) {
+  if (!isCacheable(response)) {
     return;
   }
 
-  // Only cache successful responses
-  if (response.error) {
+  const key = generateCacheKey(message, agentType, language, context);
+  try {
+    await getStore().set(
+      key,
+      { response, timestamp: Date.now() },
+      {
+        ttlMs: CACHE_CONFIG.ttl,
+        tags: context.clerkId ? [userTag(context.clerkId)] : [],
+      }
+    );
+  } catch (error) {
+    stats.errors++;
+    logger.warn('Response cache write failed', { error: error.message });
     return;
   }
 
-  evictOldest();
-
-  const key = generateCacheKey(message, agentType, language);
-  cache.set(key, {
-    response,
-    timestamp: Date.now(),
-  });
-
-  stats.size = cache.size;
-
   logger.debug('Response cached', {
     agentType,
     language,
     messageLength: message.length,
-    cacheSize: cache.size,
   });
 }
 
+/**
+ * Drop every cached response of a user
+ * Called when data their answers may depend on changes (tasks, roadmaps).
+ * @param {string} clerkId - Clerk user ID
+ * @param {string} reason - What changed, for logs
+ * @returns {Promise<number>} Entries removed; never throws
+ */
+export async function invalidateUserCache(clerkId, reason) {
+  if (!clerkId) return 0;
+
+  try {
+    const removed = await getStore().invalidateTag(userTag(clerkId));
+    stats.invalidations += removed;
+    if (removed > 0) {
+      logger.debug('User response cache invalidated', { clerkId, reason, entriesRemoved: removed });
+    }
+    return removed;
+  } catch (error) {
+    stats.errors++;
+    logger.warn('Response cache invalidation failed', { clerkId, reason, error: error.message });
+    return 0;
+  }
+}
+
 /**
  * Clear entire cache
  */
-export function clearCache() {
-  const oldSize = cache.size;
-  cache.clear();
-  stats.size = 0;
-  logger.info('Cache cleared', { entriesRemoved: oldSize });
+export async function clearCache() {
+  const removed = await getStore().clear();
+  logger.info('Cache cleared', { entriesRemoved: removed });
 }
 
 /**
  * Get cache statistics
- * @returns {Object} Cache stats
+ * @returns {Promise<Object>} Cache stats
  */
-export function getCacheStats() {
+export async function getCacheStats() {
   const hitRate = stats.hits + stats.misses > 0
     ? (stats.hits / (stats.hits + stats.misses)) * 100
     : 0;
 
+  const cacheStore = getStore();
   return {
     ...stats,
+    ...cacheStore.stats(),
+    store: cacheStore.name,
+    size: await cacheStore.size(),
     hitRate: hitRate.toFixed(2) + '%',
-    maxSize: CACHE_CONFIG.maxSize,
     ttl: CACHE_CONFIG.ttl,
   };
 }
@@ -183,13 +267,17 @@ export function getCacheStats() {
 export function resetCacheStats() {
   stats.hits = 0;
   stats.misses = 0;
-  stats.evictions = 0;
+  stats.invalidations = 0;
+  stats.errors = 0;
   logger.info('Cache statistics reset');
 }
 
+export { createMemoryStore, createRedisStore, createLocalRedisClient };
+
 export default {
   getCachedResponse,
   setCachedResponse,
+  invalidateUserCache,
   clearCache,
   getCacheStats,
   resetCacheStats,
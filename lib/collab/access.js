@@ -0,0 +1,92 @@
+/**
+ * Room Access (browser)
+ *
+ * Members, roles and invite links of a playground room. Changing them is
+ * limited to the room's owner by the API.
+ *
+ * @module lib/collab/access
+ */
+
+import { requestRoom, roomUrl } from "./api";
+
+/**
+ * Loads a room's members (and, for the owner, its invites)
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} Room (see PlaygroundRoom#toClientObject)
+ */
+export function getRoom(roomId) {
+  return requestRoom(roomUrl(roomId));
+}
+
+/**
+ * Builds the link that lets someone join with an invite
+ * @param {string} roomId - Room ID
+ * @param {string} token - Invite token
+ * @returns {string} Absolute URL
+ */
+export function inviteLink(roomId, token) {
+  return `${window.location.origin}/playground/${encodeURIComponent(roomId)}?invite=${token}`;
+}
+
+/**
+ * Lists invites that can still be used
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object[]>}
+ */
+export function listInvites(roomId) {
+  return requestRoom(`${roomUrl(roomId)}/invites`);
+}
+
+/**
+ * Creates an invite
+ * @param {string} roomId - Room ID
+ * @param {Object} options
+ * @param {"editor"|"viewer"} options.role - Role granted by the invite
+ * @param {number} options.expiresInHours - Lifetime of the invite
+ * @param {number} [options.maxUses] - How many people can use it
+ * @returns {Promise<Object>} Invite with its token
+ */
+export function createInvite(roomId, { role, expiresInHours, maxUses }) {
+  return requestRoom(`${roomUrl(roomId)}/invites`, {
+    method: "POST",
+    body: { role, expiresInHours, ...(maxUses && { maxUses }) },
+  });
+}
+
+/**
+ * Revokes an invite
+ * @param {string} roomId - Room ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>}
+ */
+export function revokeInvite(roomId, inviteId) {
+  return requestRoom(`${roomUrl(roomId)}/invites/${encodeURIComponent(inviteId)}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Changes a member's role
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Member's user ID
+ * @param {"editor"|"viewer"} role - New role
+ * @returns {Promise<Object>}
+ */
+export function setMemberRole(roomId, userId, role) {
+  return requestRoom(`${roomUrl(roomId)}/members/${encodeURIComponent(userId)}`, {
+    method: "PATCH",
+    body: { role },
+  });
+}
+
+/**
+ * Removes a member from the room
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<Object>}
+ */
+export function removeMember(roomId, userId) {
+  return requestRoom(`${roomUrl(roomId)}/members/${encodeURIComponent(userId)}`, {
+    method: "DELETE",
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * Playground Rooms API Client
+ *
+ * Shared request helper of the browser modules that talk to
+ * /api/playground/rooms.
+ *
+ * @module lib/collab/api
+ */
+
+/**
+ * URL of a room
+ * @param {string} roomId - Room ID
+ * @returns {string}
+ */
+export const roomUrl = (roomId) => `/api/playground/rooms/${encodeURIComponent(roomId)}`;
+
+/**
+ * Sends a request to the playground rooms API
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Fetch options; `body` is sent as JSON
+ * @returns {Promise<*>} Response data
+ * @throws {Error} With `status` set to the HTTP status
+ */
+export async function requestRoom(url, { body, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.success) {
+    const error = new Error(result?.error?.message || `Room request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result.data;
+}
@@ -0,0 +1,47 @@
+/**
+ * Collaborator Colors
+ *
+ * Every collaborator gets a stable color, shared by their avatar ring and
+ * their cursor/selection in the editor.
+ *
+ * @module lib/collab/colors
+ */
+
+/**
+ * Palette of collaborator colors
+ * @type {string[]}
+ */
+export const COLLABORATOR_COLORS = [
+  "#3b82f6",
+  "#ef4444",
+  "#10b981",
+  "#f59e0b",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#f97316",
+];
+
+/**
+ * Hashes a string to a non-negative 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Picks the color of a collaborator
+ * @param {string} userId - Collaborator's user ID
+ * @returns {{ index: number, color: string }} Palette index and color
+ */
+export function colorForUser(userId) {
+  const index = hashString(String(userId)) % COLLABORATOR_COLORS.length;
+  return { index, color: COLLABORATOR_COLORS[index] };
+}
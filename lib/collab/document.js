@@ -0,0 +1,59 @@
+/**
+ * Room Documents
+ *
+ * Server-side helpers for stored room documents. A room's document is kept
+ * as a merged Yjs update (base64). Merging is commutative and idempotent, so
+ * saves from several members, in any order, never lose each other's edits.
+ *
+ * @module lib/collab/document
+ */
+
+import * as Y from "yjs";
+import { toBase64, fromBase64 } from "./encoding";
+import { defaultFileName } from "../projects/files";
+
+/**
+ * Merges document states
+ * @param {Array<string|null|undefined>} states - Base64 Yjs updates (empty entries are skipped)
+ * @returns {string} Merged base64 update
+ */
+export function mergeDocumentStates(states) {
+  const updates = states.filter(Boolean).map(fromBase64);
+  if (updates.length === 0) {
+    return toBase64(Y.encodeStateAsUpdate(new Y.Doc()));
+  }
+  return toBase64(updates.length === 1 ? updates[0] : Y.mergeUpdates(updates));
+}
+
+/**
+ * Reads the code and shared settings out of a document state
+ * The layout of the document is described in lib/collab/session.
+ *
+ * @param {string} state - Base64 Yjs update
+ * @returns {{ text: string, meta: Object, files: Array<{ name: string, content: string }>, entry: string }}
+ *   `text` is the main file's code; `files` lists every file, main file first, and `entry` names one of them
+ */
+export function readDocumentState(state) {
+  const doc = new Y.Doc();
+  try {
+    if (state) Y.applyUpdate(doc, fromBase64(state));
+    const text = doc.getText("code").toString();
+    const meta = doc.getMap("meta").toJSON();
+    const names = doc.getMap("fileNames");
+
+    const files = [{ id: "main", name: names.get("main") || defaultFileName(meta.language), content: text }];
+    for (const [id, fileText] of doc.getMap("files")) {
+      files.push({ id, name: names.get(id) || id, content: fileText.toString() });
+    }
+    const entry = files.find((file) => file.id === meta.entry) || files[0];
+
+    return {
+      text,
+      meta,
+      files: files.map(({ name, content }) => ({ name, content })),
+      entry: entry.name,
+    };
+  } finally {
+    doc.destroy();
+  }
+}
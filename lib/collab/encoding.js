@@ -0,0 +1,35 @@
+/**
+ * Binary Encoding
+ *
+ * Yjs updates, state vectors and relative positions are bytes; they travel
+ * and are stored as base64 strings. Works in the browser and in Node.
+ *
+ * @module lib/collab/encoding
+ */
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
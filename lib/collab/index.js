@@ -0,0 +1,45 @@
+/**
+ * Real-time Collaboration
+ *
+ * Client-side building blocks of the collaborative playground: a Yjs-backed
+ * session that exchanges incremental updates and cursors over a pluggable
+ * transport (Pusher presence channel or a local WebSocket server), a
+ * binding that connects the session to a Monaco editor, helpers that join
+ * and autosave the room's persisted document, the room's access API
+ * (members, roles, invites) and its shared code runs.
+ *
+ * Server-side room helpers live in lib/collab/rooms and lib/collab/document.
+ *
+ * @module lib/collab
+ */
+
+export { CollabSession, LOCAL_ORIGIN, REMOTE_ORIGIN, MAIN_FILE_ID } from "./session";
+export { MonacoBinding } from "./monacoBinding";
+export {
+  COLLAB_EVENTS,
+  ROOM_EVENTS,
+  createRoomTransport,
+  createPusherTransport,
+  createWebSocketTransport,
+} from "./transports";
+export {
+  joinRoom,
+  saveRoom,
+  createAutosave,
+  listSnapshots,
+  createSnapshot,
+  getSnapshot,
+  announceMembership,
+} from "./persistence";
+export {
+  getRoom,
+  inviteLink,
+  listInvites,
+  createInvite,
+  revokeInvite,
+  setMemberRole,
+  removeMember,
+} from "./access";
+export { runInRoom, listRuns, getRun } from "./runs";
+export { COLLABORATOR_COLORS, colorForUser } from "./colors";
+export { toBase64, fromBase64 } from "./encoding";
@@ -0,0 +1,255 @@
+/**
+ * Monaco Binding
+ *
+ * Two-way binding between one file of a collaboration session and a Monaco
+ * editor: local edits become CRDT operations, remote operations become
+ * minimal editor edits (so the local cursor doesn't jump), and other
+ * members' cursors and selections in that file are drawn as decorations in
+ * their color. Switching files means binding the editor's new model.
+ *
+ * @module lib/collab/monacoBinding
+ */
+
+import * as Y from "yjs";
+import { COLLABORATOR_COLORS } from "./colors";
+import { LOCAL_ORIGIN, MAIN_FILE_ID } from "./session";
+
+const STYLE_ELEMENT_ID = "collab-cursor-styles";
+
+/**
+ * Adds the CSS classes used by remote cursor decorations, once per page
+ */
+function injectCursorStyles() {
+  if (typeof document === "undefined" || document.getElementById(STYLE_ELEMENT_ID)) return;
+
+  const style = document.createElement("style");
+  style.id = STYLE_ELEMENT_ID;
+  style.textContent = COLLABORATOR_COLORS.map(
+    (color, index) => `
+.collab-selection-${index} { background-color: ${color}40; }
+.collab-cursor-${index} { border-left: 2px solid ${color}; margin-left: -1px; }`
+  ).join("\n");
+  document.head.appendChild(style);
+}
+
+export class MonacoBinding {
+  /**
+   * @param {import("./session").CollabSession} session - Collaboration session
+   * @param {Object} editor - Monaco editor instance
+   * @param {Object} monaco - Monaco namespace
+   * @param {Object} [options]
+   * @param {string} [options.fileId=MAIN_FILE_ID] - File shown in the editor's current model
+   */
+  constructor(session, editor, monaco, { fileId = MAIN_FILE_ID } = {}) {
+    this.session = session;
+    this.editor = editor;
+    this.monaco = monaco;
+    this.fileId = fileId;
+    this.text = session.getFileText(fileId);
+    this.model = editor.getModel();
+    this.applyingRemote = false;
+    this.applyingLocal = false;
+    this.savedSelections = null;
+    this.decorations = editor.createDecorationsCollection();
+
+    injectCursorStyles();
+
+    // Offsets only line up with the shared text when both use \n
+    this.model.setEOL(monaco.editor.EndOfLineSequence.LF);
+    this.applyRemote(() => this.model.setValue(this.text.toString()));
+
+    // Undo only the local user's edits, never someone else's. Edits typed
+    // here use the binding itself as their transaction origin.
+    this.undoManager = new Y.UndoManager(this.text, {
+      trackedOrigins: new Set([this, LOCAL_ORIGIN]),
+    });
+    const undo = () => !this.session.readOnly && this.undoManager.undo();
+    const redo = () => !this.session.readOnly && this.undoManager.redo();
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyZ, undo);
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyZ, redo);
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyY, redo);
+
+    this.handleBeforeTransactions = this.handleBeforeTransactions.bind(this);
+    this.handleTextChange = this.handleTextChange.bind(this);
+    session.doc.on("beforeAllTransactions", this.handleBeforeTransactions);
+    this.text.observe(this.handleTextChange);
+
+    this.disposables = [
+      this.model.onDidChangeContent((event) => this.handleModelChange(event)),
+      editor.onDidChangeCursorSelection(() => this.publishSelection()),
+      editor.onDidBlurEditorText(() => session.setLocalCursor(null, fileId)),
+      editor.onDidFocusEditorText(() => this.publishSelection()),
+    ];
+    this.unsubscribeCursors = session.on("cursors", () => this.renderRemoteCursors());
+    const updateReadOnly = () => editor.updateOptions({ readOnly: !session.synced || session.readOnly });
+    this.unsubscribeSynced = session.on("synced", updateReadOnly);
+    this.unsubscribeReadOnly = session.on("readOnly", updateReadOnly);
+
+    // Nothing may be typed until the room's content has arrived, nor ever by viewers
+    updateReadOnly();
+  }
+
+  /**
+   * Runs an editor mutation without echoing it back into the shared text
+   */
+  applyRemote(mutate) {
+    this.applyingRemote = true;
+    try {
+      mutate();
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  /**
+   * Remembers the local selection before a remote change moves text around
+   */
+  handleBeforeTransactions() {
+    if (this.applyingRemote || this.applyingLocal) return;
+
+    const { text } = this;
+    this.savedSelections = this.editor.getSelections()?.map((selection) => ({
+      anchor: Y.createRelativePositionFromTypeIndex(
+        text,
+        this.model.getOffsetAt(selection.getSelectionStart())
+      ),
+      head: Y.createRelativePositionFromTypeIndex(
+        text,
+        this.model.getOffsetAt(selection.getPosition())
+      ),
+    }));
+  }
+
+  /**
+   * Applies shared-text changes not typed in this editor (remote edits,
+   * undo/redo, whole-document replacements) to the editor
+   */
+  handleTextChange(event, transaction) {
+    // Typed in this editor: the model already has the change
+    if (transaction.origin === this) return;
+
+    const { Range } = this.monaco;
+    this.applyRemote(() => {
+      let index = 0;
+      for (const op of event.delta) {
+        if (op.retain !== undefined) {
+          index += op.retain;
+        } else if (op.insert !== undefined) {
+          const position = this.model.getPositionAt(index);
+          const range = new Range(position.lineNumber, position.column, position.lineNumber, position.column);
+          this.model.applyEdits([{ range, text: op.insert }]);
+          index += op.insert.length;
+        } else if (op.delete !== undefined) {
+          const start = this.model.getPositionAt(index);
+          const end = this.model.getPositionAt(index + op.delete);
+          const range = new Range(start.lineNumber, start.column, end.lineNumber, end.column);
+          this.model.applyEdits([{ range, text: "" }]);
+        }
+      }
+      this.restoreSelections();
+    });
+    this.renderRemoteCursors();
+  }
+
+  restoreSelections() {
+    if (!this.savedSelections) return;
+
+    const { doc } = this.session;
+    const selections = this.savedSelections
+      .map(({ anchor, head }) => {
+        const anchorIndex = Y.createAbsolutePositionFromRelativePosition(anchor, doc);
+        const headIndex = Y.createAbsolutePositionFromRelativePosition(head, doc);
+        if (!anchorIndex || !headIndex) return null;
+        const from = this.model.getPositionAt(anchorIndex.index);
+        const to = this.model.getPositionAt(headIndex.index);
+        return new this.monaco.Selection(from.lineNumber, from.column, to.lineNumber, to.column);
+      })
+      .filter(Boolean);
+
+    if (selections.length) this.editor.setSelections(selections);
+    this.savedSelections = null;
+  }
+
+  /**
+   * Turns edits typed in this editor into shared-text operations
+   */
+  handleModelChange(event) {
+    if (this.applyingRemote) return;
+
+    const { text } = this;
+    this.applyingLocal = true;
+    try {
+      this.session.doc.transact(() => {
+        // Changes are relative to the previous model, so apply from the end
+        [...event.changes]
+          .sort((a, b) => b.rangeOffset - a.rangeOffset)
+          .forEach((change) => {
+            if (change.rangeLength > 0) text.delete(change.rangeOffset, change.rangeLength);
+            if (change.text) text.insert(change.rangeOffset, change.text);
+          });
+      }, this);
+    } finally {
+      this.applyingLocal = false;
+    }
+  }
+
+  publishSelection() {
+    if (!this.editor.hasTextFocus()) return;
+
+    const selection = this.editor.getSelection();
+    if (!selection) return;
+    this.session.setLocalCursor({
+      anchor: this.model.getOffsetAt(selection.getSelectionStart()),
+      head: this.model.getOffsetAt(selection.getPosition()),
+    }, this.fileId);
+  }
+
+  /**
+   * Draws other members' cursors and selections
+   */
+  renderRemoteCursors() {
+    const { Range } = this.monaco;
+    const decorations = [];
+
+    for (const cursor of this.session.cursors.values()) {
+      const offsets = this.session.resolveCursor(cursor);
+      if (!offsets || offsets.fileId !== this.fileId) continue;
+
+      const anchor = this.model.getPositionAt(offsets.anchor);
+      const head = this.model.getPositionAt(offsets.head);
+      const label = cursor.username || "Anonymous";
+
+      if (offsets.anchor !== offsets.head) {
+        const [start, end] = offsets.anchor < offsets.head ? [anchor, head] : [head, anchor];
+        decorations.push({
+          range: new Range(start.lineNumber, start.column, end.lineNumber, end.column),
+          options: { className: `collab-selection-${cursor.index}`, hoverMessage: { value: label } },
+        });
+      }
+      decorations.push({
+        range: new Range(head.lineNumber, head.column, head.lineNumber, head.column),
+        options: {
+          beforeContentClassName: `collab-cursor-${cursor.index}`,
+          hoverMessage: { value: label },
+          stickiness: this.monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+        },
+      });
+    }
+
+    this.decorations.set(decorations);
+  }
+
+  /**
+   * Detaches the editor from the session
+   */
+  destroy() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.unsubscribeCursors();
+    this.unsubscribeSynced();
+    this.unsubscribeReadOnly();
+    this.session.doc.off("beforeAllTransactions", this.handleBeforeTransactions);
+    this.text.unobserve(this.handleTextChange);
+    this.undoManager.destroy();
+    this.decorations.clear();
+  }
+}
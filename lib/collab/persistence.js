@@ -0,0 +1,171 @@
+/**
+ * Room Persistence (browser)
+ *
+ * Joins a room (loading its saved document) and keeps it saved while the
+ * room is open. Each member saves only the edits made in their own tab; the
+ * server merges every save into the stored document, so together the
+ * members' saves capture the whole room.
+ *
+ * @module lib/collab/persistence
+ */
+
+import { REMOTE_ORIGIN } from "./session";
+import { requestRoom, roomUrl } from "./api";
+
+/** How often pending edits are saved */
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+/** Largest body browsers accept for a keepalive request */
+const KEEPALIVE_LIMIT = 60000;
+
+/**
+ * Joins a room, creating it (owned by the current user) if it doesn't exist
+ * @param {string} roomId - Room ID
+ * @param {Object} [options]
+ * @param {string} [options.invite] - Invite token, needed by users who aren't members yet
+ * @param {string} [options.language] - Language of a new room
+ * @param {string} [options.username] - Display name for the member list
+ * @returns {Promise<Object>} Room (see PlaygroundRoom#toClientObject), including the user's role
+ * @throws {Error} With `status` 403 when the user may not join
+ */
+export function joinRoom(roomId, { invite, language, username } = {}) {
+  return requestRoom(`${roomUrl(roomId)}/join`, {
+    method: "POST",
+    body: { ...(invite && { invite }), ...(language && { language }), ...(username && { username }) },
+  });
+}
+
+/**
+ * Saves a session's document
+ * @param {string} roomId - Room ID
+ * @param {Object} session - CollabSession
+ * @param {Object} [options]
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @returns {Promise<Object>} Save result
+ */
+export function saveRoom(roomId, session, { keepalive = false } = {}) {
+  const body = { state: session.encodeState() };
+  return requestRoom(roomUrl(roomId), {
+    method: "PUT",
+    body,
+    keepalive: keepalive && JSON.stringify(body).length < KEEPALIVE_LIMIT,
+  });
+}
+
+/**
+ * Lists a room's snapshots, newest first
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object[]>} Snapshot summaries (without files)
+ */
+export async function listSnapshots(roomId) {
+  try {
+    return await requestRoom(`${roomUrl(roomId)}/snapshots`);
+  } catch (error) {
+    if (error.status === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Saves a version of the project
+ * @param {string} roomId - Room ID
+ * @param {Object} version
+ * @param {Array<{ name: string, content: string }>} version.files - Every file, main file first
+ * @param {string} version.entry - Name of the entry file
+ * @param {string} version.language - Language
+ * @param {string} [version.label] - Name of the version
+ * @returns {Promise<Object>} Snapshot summary
+ */
+export function createSnapshot(roomId, { files, entry, language, label }) {
+  return requestRoom(`${roomUrl(roomId)}/snapshots`, {
+    method: "POST",
+    body: { text: files[0].content, files, entry, language, ...(label && { label }) },
+  });
+}
+
+/**
+ * Loads a snapshot with its files
+ * @param {string} roomId - Room ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Snapshot
+ */
+export function getSnapshot(roomId, snapshotId) {
+  return requestRoom(`${roomUrl(roomId)}/snapshots/${encodeURIComponent(snapshotId)}`);
+}
+
+/**
+ * Tells the server a member joined or left a room
+ * @param {string} roomId - Room ID
+ * @param {"join-room"|"leave-room"} event - Membership event
+ * @param {Object} member - { userId, username }
+ * @returns {Promise<void>}
+ */
+export async function announceMembership(roomId, event, { userId, username }) {
+  const response = await fetch("/api/socket", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ roomId, userId, username, event }),
+    keepalive: event === "leave-room",
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to send ${event} (${response.status})`);
+  }
+}
+
+/**
+ * Saves a session's local edits periodically, and when the page is hidden
+ * @param {Object} session - CollabSession
+ * @param {string} roomId - Room ID
+ * @param {Object} [options]
+ * @param {Function} [options.onSaved] - Called with each save result
+ * @param {Function} [options.onError] - Called when a save fails
+ * @returns {{ flush: Function, stop: Function }} flush() saves now; stop() saves and stops
+ */
+export function createAutosave(session, roomId, { onSaved, onError } = {}) {
+  // Save once right away, so a new room (and its starter code) is stored
+  let dirty = true;
+  let saving = null;
+
+  const markDirty = (update, origin) => {
+    if (origin !== REMOTE_ORIGIN) dirty = true;
+  };
+
+  const flush = ({ keepalive = false } = {}) => {
+    if (!dirty) return saving || Promise.resolve(null);
+    dirty = false;
+
+    saving = saveRoom(roomId, session, { keepalive })
+      .then((result) => {
+        onSaved?.(result);
+        return result;
+      })
+      .catch((error) => {
+        // Try again on the next tick of the interval
+        dirty = true;
+        onError?.(error);
+        return null;
+      })
+      .finally(() => {
+        saving = null;
+      });
+    return saving;
+  };
+
+  const handlePageHide = () => flush({ keepalive: true });
+
+  session.doc.on("update", markDirty);
+  const interval = setInterval(() => {
+    if (!saving) flush();
+  }, AUTOSAVE_INTERVAL_MS);
+  window.addEventListener("pagehide", handlePageHide);
+
+  return {
+    flush,
+    stop() {
+      clearInterval(interval);
+      window.removeEventListener("pagehide", handlePageHide);
+      session.doc.off("update", markDirty);
+      flush({ keepalive: true });
+    },
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * Persisted Rooms (server only)
+ *
+ * Loading, updating and access checks of PlaygroundRoom documents for the
+ * playground API routes, the socket handler and the Pusher auth endpoint.
+ * Not exported from lib/collab, which is bundled for the browser.
+ *
+ * @module lib/collab/rooms
+ */
+
+import mongoose from "mongoose";
+import { connect } from "../mongodb/mongoose";
+import PlaygroundRoom, { ROOM_ROLES } from "../models/playgroundRoomModel";
+import { pusher } from "../pusher";
+import { roomIdSchema } from "../validation";
+import { ValidationError, NotFoundError, AuthorizationError } from "../errors";
+import logger, { logDatabase } from "../logger";
+import { ROOM_EVENTS, roomChannelName } from "./transports";
+
+/** Attempts at applying a change before giving up on concurrent writers */
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * How long a member's role is cached for per-message checks
+ * Role changes and removals clear the cache of the instance that made them;
+ * other instances pick them up within this time. Only members are cached, so
+ * someone who just joined is let in right away.
+ */
+const ROLE_CACHE_TTL_MS = 10 * 1000;
+
+// `${roomId}:${userId}` -> { role, expiresAt }
+const roleCache = new Map();
+
+/**
+ * Validates a room ID from a URL or request body
+ * @param {string} roomId - Room ID
+ * @returns {string} Room ID
+ * @throws {ValidationError}
+ */
+export function parseRoomId(roomId) {
+  const result = roomIdSchema.safeParse(roomId);
+  if (!result.success) {
+    throw new ValidationError("Invalid room ID format");
+  }
+  return result.data;
+}
+
+/**
+ * Loads a room
+ * @param {string} roomId - Room ID
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Create the room if it doesn't exist yet
+ * @param {string} [options.owner] - Owner of a newly created room
+ * @param {string} [options.username] - Owner's display name
+ * @param {string} [options.language] - Language of a newly created room
+ * @returns {Promise<Object>} PlaygroundRoom document
+ * @throws {ValidationError|NotFoundError}
+ */
+export async function loadRoom(roomId, { create = false, owner, username, language } = {}) {
+  parseRoomId(roomId);
+  await connect();
+
+  logDatabase(create ? "findOrCreate" : "findOne", "PlaygroundRoom", { roomId });
+  const room = create
+    ? await PlaygroundRoom.findOrCreate(roomId, { owner, username, language })
+    : await PlaygroundRoom.findOne({ roomId });
+
+  if (!room) {
+    throw new NotFoundError("Room", roomId);
+  }
+  return room;
+}
+
+/**
+ * Throws unless a user has at least the given role in a room
+ * @param {Object} room - PlaygroundRoom document
+ * @param {string} userId - Clerk user ID
+ * @param {string} minRole - viewer, editor or owner
+ * @throws {AuthorizationError}
+ */
+export function requireRole(room, userId, minRole) {
+  if (room.hasRole(userId, minRole)) return;
+
+  const role = room.getRole(userId);
+  if (!role) {
+    throw new AuthorizationError("You are not a member of this room");
+  }
+  throw new AuthorizationError(
+    minRole === "owner"
+      ? "Only the room owner can do this"
+      : "You have view-only access to this room"
+  );
+}
+
+/**
+ * Loads a room and checks the user's role in it
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Clerk user ID
+ * @param {string} [minRole="viewer"] - Least role required
+ * @returns {Promise<Object>} PlaygroundRoom document
+ * @throws {ValidationError|NotFoundError|AuthorizationError}
+ */
+export async function loadRoomForMember(roomId, userId, minRole = "viewer") {
+  const room = await loadRoom(roomId);
+  requireRole(room, userId, minRole);
+  return room;
+}
+
+/**
+ * Applies a change to a room and saves it
+ * If another request saved the room in the meantime, the room is reloaded and
+ * the change applied again, so concurrent saves from members don't overwrite
+ * each other.
+ *
+ * @param {string} roomId - Room ID
+ * @param {Function} change - Mutates the room; its return value is passed through
+ * @param {Object} [options] - See loadRoom
+ * @returns {Promise<{ room: Object, result: * }>}
+ */
+export async function updateRoom(roomId, change, options = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const room = await loadRoom(roomId, options);
+    const result = change(room);
+
+    try {
+      await room.save();
+      return { room, result };
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_SAVE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Looks up a user's role in a room, for checks on every real-time message
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<string|null>} Role, or null for non-members and unknown rooms
+ */
+export async function getMemberRole(roomId, userId) {
+  const key = `${roomId}:${userId}`;
+  const cached = roleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  await connect();
+  const room = await PlaygroundRoom.findOne({ roomId }).select("owner members");
+  const role = room ? room.getRole(userId) : null;
+
+  if (role) {
+    roleCache.set(key, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  }
+  return role;
+}
+
+/**
+ * Whether a role includes another
+ * @param {string|null} role - Member's role
+ * @param {string} minRole - Least role required
+ * @returns {boolean}
+ */
+export function roleAtLeast(role, minRole) {
+  return role !== null && ROOM_ROLES.indexOf(role) >= ROOM_ROLES.indexOf(minRole);
+}
+
+/**
+ * Sends a server event (see ROOM_EVENTS) to everyone in a room
+ * Failures are logged, not thrown: the change behind the event is already saved.
+ *
+ * @param {string} roomId - Room ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Promise<boolean>} Whether the event was sent
+ */
+export async function broadcastToRoom(roomId, event, payload) {
+  try {
+    await pusher.trigger(roomChannelName(roomId), event, payload);
+    return true;
+  } catch (error) {
+    logger.warn("Failed to broadcast room event", { roomId, event, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Tells the room a member's access changed, and forgets their cached role
+ * Clients update their read-only state, or leave when `role` is null. If the
+ * event is lost, the member finds out when their next message is rejected.
+ *
+ * A removed member's Pusher connections are closed too, which ends their
+ * subscription to the room's channel; when their client reconnects, it is
+ * no longer authorized for the room.
+ *
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Member whose access changed
+ * @param {string|null} role - New role, or null when removed
+ */
+export async function notifyAccessChanged(roomId, userId, role) {
+  roleCache.delete(`${roomId}:${userId}`);
+  await broadcastToRoom(roomId, ROOM_EVENTS.ACCESS_CHANGED, { userId, role });
+
+  if (role === null) {
+    await disconnectUser(userId);
+  }
+}
+
+/**
+ * Closes a user's Pusher connections
+ * Only connections signed in as the user (pusherClient.signin()) are closed.
+ * Failures are logged, not thrown.
+ *
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<boolean>} Whether Pusher accepted the request
+ */
+export async function disconnectUser(userId) {
+  try {
+    await pusher.terminateUserConnections(userId);
+    return true;
+  } catch (error) {
+    logger.warn("Failed to close user connections", { userId, error: error.message });
+    return false;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Room Runs (browser)
+ *
+ * Runs the shared code of a playground room. The server announces each run
+ * to the room (see ROOM_EVENTS), so every member shows the same output, and
+ * keeps a scrollback of recent runs with the files each one used.
+ *
+ * @module lib/collab/runs
+ */
+
+import { requestRoom, roomUrl } from "./api";
+
+/**
+ * Runs the room's project for everyone in the room
+ * @param {string} roomId - Room ID
+ * @param {Object} request
+ * @param {string} request.language - Language
+ * @param {string} [request.version] - Runtime version, the newest when missing
+ * @param {Array<{ name: string, content: string }>} request.files - Files to run, entry point first
+ * @param {string} [request.stdin] - Program input
+ * @returns {Promise<Object>} Run with its files and output
+ */
+export function runInRoom(roomId, { language, version, files, stdin }) {
+  return requestRoom(`${roomUrl(roomId)}/runs`, {
+    method: "POST",
+    body: { language, files, ...(version && { version }), ...(stdin && { stdin }) },
+  });
+}
+
+/**
+ * Lists a room's runs, newest first
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object[]>} Run summaries (without files and output)
+ */
+export function listRuns(roomId) {
+  return requestRoom(`${roomUrl(roomId)}/runs`);
+}
+
+/**
+ * Loads a run with its files and output
+ * @param {string} roomId - Room ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Run
+ */
+export function getRun(roomId, runId) {
+  return requestRoom(`${roomUrl(roomId)}/runs/${encodeURIComponent(runId)}`);
+}
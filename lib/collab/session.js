@@ -0,0 +1,584 @@
+/**
+ * Collaboration Session
+ *
+ * Keeps a room's code in a Yjs document (a CRDT), so concurrent edits merge
+ * instead of overwriting each other. Only incremental updates travel over the
+ * transport:
+ *
+ * 1. On join, a member asks the room for everything it is missing
+ *    (`sync-request` with its state vector). Any member answers with a
+ *    `sync-response` addressed to it.
+ * 2. Local edits are batched and broadcast as `doc-update` messages.
+ * 3. Cursors and selections are broadcast as `cursor` messages holding Yjs
+ *    relative positions, so they stay attached to the right text as it changes.
+ *
+ * Messages carry the sender's `clientId` (one per browser tab), so a user with
+ * the room open in two tabs still syncs between them. Messages too large for
+ * the transport are split into chunks.
+ *
+ * Viewers are read-only: they receive the room's edits but send none (the
+ * server rejects them anyway), and they don't answer sync requests.
+ *
+ * A room holds a multi-file project. The main file is the `code` text (the
+ * only file of rooms created before projects); other files are texts in the
+ * `files` map, keyed by a stable ID so renaming a file doesn't disturb edits
+ * in progress. Names live in the `fileNames` map and the entry point in
+ * `meta.entry`.
+ *
+ * @module lib/collab/session
+ */
+
+import * as Y from "yjs";
+import { COLLAB_EVENTS, ROOM_EVENTS } from "./transports";
+import { colorForUser, hashString } from "./colors";
+import { toBase64, fromBase64 } from "./encoding";
+import { defaultFileName } from "../projects/files";
+
+/** Transaction origin of edits made in this browser */
+export const LOCAL_ORIGIN = "local";
+
+/** Transaction origin of updates received from other members */
+export const REMOTE_ORIGIN = "remote";
+
+/** ID of the main file, the room's `code` text */
+export const MAIN_FILE_ID = "main";
+
+/** How long to wait for a sync response before assuming the room is new */
+const SYNC_TIMEOUT_MS = 2000;
+
+/** How long local updates are batched before they are sent */
+const UPDATE_BATCH_MS = 40;
+
+/** Minimum interval between cursor broadcasts */
+const CURSOR_THROTTLE_MS = 80;
+
+/**
+ * Builds the document update that seeds a room with starter content
+ * The update is deterministic: members who seed the same content at the same
+ * time produce identical updates, which Yjs merges into a single copy.
+ *
+ * @param {string} content - Starter content
+ * @returns {Uint8Array} Yjs update
+ */
+function buildSeedUpdate(content) {
+  const seedDoc = new Y.Doc();
+  seedDoc.clientID = hashString(`seed:${content}`) || 1;
+  seedDoc.getText("code").insert(0, content);
+  return Y.encodeStateAsUpdate(seedDoc);
+}
+
+export class CollabSession {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - Transport (see lib/collab/transports)
+   * @param {string} options.userId - Current user's ID
+   * @param {string} options.username - Current user's display name
+   * @param {Function} [options.getSeed] - Returns the starter code when the room turns out to be new
+   */
+  constructor({ transport, userId, username, getSeed }) {
+    this.transport = transport;
+    this.userId = userId;
+    this.username = username;
+    this.getSeed = getSeed;
+
+    this.doc = new Y.Doc();
+    this.clientId = String(this.doc.clientID);
+    this.text = this.doc.getText("code");
+    this.files = this.doc.getMap("files");
+    this.fileNames = this.doc.getMap("fileNames");
+    this.meta = this.doc.getMap("meta");
+
+    this.members = [];
+    this.cursors = new Map();
+    this.synced = false;
+    this.readOnly = false;
+    this.listeners = new Map();
+
+    this.pendingUpdates = [];
+    this.flushTimer = null;
+    this.syncTimer = null;
+    this.chunks = new Map();
+    this.localCursor = null;
+    this.cursorTimer = null;
+    this.lastCursorSentAt = 0;
+
+    this.handleDocUpdate = this.handleDocUpdate.bind(this);
+    this.doc.on("update", this.handleDocUpdate);
+    this.text.observe(() => this.emit("text", this.text.toString()));
+    this.meta.observe(() => {
+      this.emit("meta", this.meta.toJSON());
+      this.emit("files", this.listFiles());
+    });
+    this.files.observe(() => this.emit("files", this.listFiles()));
+    this.fileNames.observe(() => this.emit("files", this.listFiles()));
+  }
+
+  /**
+   * Subscribes to session events
+   * Events: members, cursors, synced, text, files, meta, readOnly, access, run, error
+   * `text` is the main file's code; `files` lists the project's files when one is added, renamed or removed.
+   * `run` carries `{ status: "started"|"finished", ...message }` for code runs in the room.
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {Function} Unsubscribe
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach((listener) => listener(payload));
+  }
+
+  /**
+   * Joins the room
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.transport.connect({
+      onMembers: (members) => {
+        this.setMembers(members);
+        // Presence lists users, not tabs, so ask even when alone: another tab
+        // of this user may answer. Its response is merged whenever it arrives.
+        this.requestSync();
+        if (!members.some((member) => member.userId !== this.userId)) {
+          this.markSynced();
+        }
+      },
+      onMemberAdded: (member) => {
+        this.setMembers([...this.members.filter((m) => m.userId !== member.userId), member]);
+        // Let the newcomer see where we are
+        if (this.localCursor) this.sendCursor();
+      },
+      onMemberRemoved: (member) => {
+        this.setMembers(this.members.filter((m) => m.userId !== member.userId));
+        for (const [clientId, cursor] of this.cursors) {
+          if (cursor.userId === member.userId) this.cursors.delete(clientId);
+        }
+        this.emit("cursors", this.cursors);
+      },
+      onEvent: (event, message) => this.receive(event, message),
+    });
+  }
+
+  /**
+   * Loads the room's saved document before joining
+   * Saved state is not broadcast: members who are already in the room have it,
+   * and the sync exchange fills in whatever either side is missing.
+   *
+   * @param {string} state - Base64 Yjs update
+   */
+  loadState(state) {
+    Y.applyUpdate(this.doc, fromBase64(state), REMOTE_ORIGIN);
+  }
+
+  /**
+   * Full document state, for saving
+   * @returns {string} Base64 Yjs update
+   */
+  encodeState() {
+    return toBase64(Y.encodeStateAsUpdate(this.doc));
+  }
+
+  /**
+   * Leaves the room and releases the document
+   */
+  destroy() {
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.syncTimer);
+    clearTimeout(this.cursorTimer);
+    this.flushUpdates();
+    this.transport.disconnect();
+    this.doc.off("update", this.handleDocUpdate);
+    this.doc.destroy();
+    this.listeners.clear();
+  }
+
+  /**
+   * Switches between editing and viewing
+   * @param {boolean} readOnly - True for viewers
+   */
+  setReadOnly(readOnly) {
+    if (this.readOnly === readOnly) return;
+    this.readOnly = readOnly;
+    this.emit("readOnly", readOnly);
+  }
+
+  setMembers(members) {
+    this.members = members.map((member) => ({ ...member, ...colorForUser(member.userId) }));
+    this.emit("members", this.members);
+  }
+
+  requestSync() {
+    this.send(COLLAB_EVENTS.SYNC_REQUEST, toBase64(Y.encodeStateVector(this.doc)));
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.markSynced(), SYNC_TIMEOUT_MS);
+  }
+
+  /**
+   * Marks the document as caught up with the room, seeding it if it is brand new
+   * A room whose code was deliberately cleared has history, so it stays empty.
+   */
+  markSynced() {
+    if (this.synced) return;
+    this.synced = true;
+    clearTimeout(this.syncTimer);
+
+    const seed = !this.readOnly && this.getSeed?.();
+    const isNew = Y.decodeStateVector(Y.encodeStateVector(this.doc)).size === 0;
+    if (seed && isNew) {
+      Y.applyUpdate(this.doc, buildSeedUpdate(seed), LOCAL_ORIGIN);
+    }
+    this.emit("synced", true);
+  }
+
+  /**
+   * Collects local changes and schedules them for broadcast
+   */
+  handleDocUpdate(update, origin) {
+    if (origin === REMOTE_ORIGIN || this.readOnly) return;
+
+    this.pendingUpdates.push(update);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushUpdates(), UPDATE_BATCH_MS);
+    }
+  }
+
+  flushUpdates() {
+    this.flushTimer = null;
+    if (this.pendingUpdates.length === 0) return;
+
+    const update = Y.mergeUpdates(this.pendingUpdates);
+    this.pendingUpdates = [];
+    this.send(COLLAB_EVENTS.DOC_UPDATE, toBase64(update));
+  }
+
+  /**
+   * Broadcasts a message, splitting data that is too large for the transport
+   */
+  send(event, data, target) {
+    const limit = this.transport.maxMessageSize;
+    const messages = [];
+
+    if (data.length <= limit) {
+      messages.push({ clientId: this.clientId, data, target });
+    } else {
+      const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      const total = Math.ceil(data.length / limit);
+      for (let index = 0; index < total; index++) {
+        messages.push({
+          clientId: this.clientId,
+          data: data.slice(index * limit, (index + 1) * limit),
+          target,
+          chunk: { id, index, total },
+        });
+      }
+    }
+
+    // Send chunks one after another rather than flooding the relay
+    messages
+      .reduce(
+        (previous, message) => previous.then(() => this.transport.send(event, message)),
+        Promise.resolve()
+      )
+      .catch((error) => this.emit("error", error));
+  }
+
+  /**
+   * Reassembles chunked messages
+   * @returns {string|null} Complete data, or null while chunks are missing
+   */
+  assemble(message) {
+    if (!message.chunk) return message.data;
+
+    const { id, index, total } = message.chunk;
+    const key = `${message.clientId}:${id}`;
+    const parts = this.chunks.get(key) || [];
+    parts[index] = message.data;
+    this.chunks.set(key, parts);
+
+    if (parts.filter((part) => part !== undefined).length < total) return null;
+    this.chunks.delete(key);
+    return parts.join("");
+  }
+
+  receive(event, message) {
+    if (event === ROOM_EVENTS.ACCESS_CHANGED) {
+      this.receiveAccessChange(message);
+      return;
+    }
+    if (event === ROOM_EVENTS.RUN_STARTED || event === ROOM_EVENTS.RUN_FINISHED) {
+      this.emit("run", { status: event === ROOM_EVENTS.RUN_STARTED ? "started" : "finished", ...message });
+      return;
+    }
+    if (message.clientId === this.clientId) return;
+    if (message.target && message.target !== this.clientId) return;
+
+    const data = this.assemble(message);
+    if (data === null) return;
+
+    try {
+      if (event === COLLAB_EVENTS.DOC_UPDATE) {
+        Y.applyUpdate(this.doc, fromBase64(data), REMOTE_ORIGIN);
+        this.emit("cursors", this.cursors);
+      } else if (event === COLLAB_EVENTS.SYNC_REQUEST) {
+        if (this.readOnly) return;
+        const update = Y.encodeStateAsUpdate(this.doc, fromBase64(data));
+        this.send(COLLAB_EVENTS.SYNC_RESPONSE, toBase64(update), message.clientId);
+        if (this.localCursor) this.sendCursor();
+      } else if (event === COLLAB_EVENTS.SYNC_RESPONSE) {
+        Y.applyUpdate(this.doc, fromBase64(data), REMOTE_ORIGIN);
+        this.markSynced();
+      } else if (event === COLLAB_EVENTS.CURSOR) {
+        this.receiveCursor(message, data);
+      }
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  /**
+   * Applies a role change announced by the server
+   * The `access` event tells the page when its own user was affected.
+   */
+  receiveAccessChange({ userId, role }) {
+    if (role) {
+      this.setMembers(this.members.map((member) => (member.userId === userId ? { ...member, role } : member)));
+    } else {
+      this.setMembers(this.members.filter((member) => member.userId !== userId));
+    }
+    if (userId === this.userId) {
+      this.emit("access", { role });
+    }
+  }
+
+  receiveCursor({ clientId, userId, username }, data) {
+    const { anchor, head } = JSON.parse(data);
+    if (anchor === null) {
+      this.cursors.delete(clientId);
+    } else {
+      this.cursors.set(clientId, {
+        userId,
+        username,
+        ...colorForUser(userId),
+        anchor: Y.decodeRelativePosition(fromBase64(anchor)),
+        head: Y.decodeRelativePosition(fromBase64(head)),
+      });
+    }
+    this.emit("cursors", this.cursors);
+  }
+
+  /**
+   * Resolves a remote cursor to text offsets
+   * @param {Object} cursor - Entry of this.cursors
+   * @returns {{ anchor: number, head: number, fileId: string }|null} Offsets and the file they are in,
+   *   or null if its text is unknown here
+   */
+  resolveCursor(cursor) {
+    const anchor = Y.createAbsolutePositionFromRelativePosition(cursor.anchor, this.doc);
+    const head = Y.createAbsolutePositionFromRelativePosition(cursor.head, this.doc);
+    if (!anchor || !head) return null;
+
+    const fileId = this.fileIdOf(head.type);
+    if (fileId === null) return null;
+    return { anchor: anchor.index, head: head.index, fileId };
+  }
+
+  /**
+   * Publishes the local selection
+   * @param {{ anchor: number, head: number }|null} selection - Text offsets, or null when the editor loses focus
+   * @param {string} [fileId=MAIN_FILE_ID] - File the selection is in
+   */
+  setLocalCursor(selection, fileId = MAIN_FILE_ID) {
+    const text = this.getFileText(fileId);
+    this.localCursor = selection && text && {
+      anchor: Y.createRelativePositionFromTypeIndex(text, selection.anchor),
+      head: Y.createRelativePositionFromTypeIndex(text, selection.head),
+    };
+
+    const wait = this.lastCursorSentAt + CURSOR_THROTTLE_MS - Date.now();
+    clearTimeout(this.cursorTimer);
+    if (wait > 0) {
+      this.cursorTimer = setTimeout(() => this.sendCursor(), wait);
+    } else {
+      this.sendCursor();
+    }
+  }
+
+  sendCursor() {
+    this.lastCursorSentAt = Date.now();
+    const encode = (position) => toBase64(Y.encodeRelativePosition(position));
+    const payload = this.localCursor
+      ? { anchor: encode(this.localCursor.anchor), head: encode(this.localCursor.head) }
+      : { anchor: null, head: null };
+    this.send(COLLAB_EVENTS.CURSOR, JSON.stringify(payload));
+  }
+
+  /**
+   * Current code of the main file
+   * @returns {string}
+   */
+  getText() {
+    return this.text.toString();
+  }
+
+  /**
+   * Shared text of a file
+   * @param {string} fileId - File ID
+   * @returns {Object|null} Y.Text, or null if the file was deleted
+   */
+  getFileText(fileId) {
+    return fileId === MAIN_FILE_ID ? this.text : this.files.get(fileId) || null;
+  }
+
+  /**
+   * ID of the file a shared text belongs to
+   * @param {Object} text - Y.Text
+   * @returns {string|null}
+   */
+  fileIdOf(text) {
+    if (text === this.text) return MAIN_FILE_ID;
+    for (const [fileId, fileText] of this.files) {
+      if (fileText === text) return fileId;
+    }
+    return null;
+  }
+
+  /**
+   * Name of a file; the main file is named after the language until renamed
+   * @param {string} fileId - File ID
+   * @returns {string}
+   */
+  getFileName(fileId) {
+    return this.fileNames.get(fileId) || (fileId === MAIN_FILE_ID ? defaultFileName(this.meta.get("language")) : fileId);
+  }
+
+  /**
+   * The project's files, main file first
+   * @returns {Array<{ id: string, name: string }>}
+   */
+  listFiles() {
+    return [MAIN_FILE_ID, ...this.files.keys()].map((id) => ({ id, name: this.getFileName(id) }));
+  }
+
+  /**
+   * ID of the file the program starts from
+   * @returns {string}
+   */
+  getEntry() {
+    const entry = this.meta.get("entry");
+    return entry && this.getFileText(entry) ? entry : MAIN_FILE_ID;
+  }
+
+  /**
+   * The whole project, for running and saving versions
+   * @returns {{ files: Array<{ name: string, content: string }>, entry: string }} Entry is a file name
+   */
+  getProject() {
+    return {
+      files: this.listFiles().map(({ id, name }) => ({ name, content: this.getFileText(id).toString() })),
+      entry: this.getFileName(this.getEntry()),
+    };
+  }
+
+  /**
+   * Adds a file
+   * @param {string} name - File name
+   * @param {string} [content=""] - Initial content
+   * @returns {string} New file's ID
+   */
+  createFile(name, content = "") {
+    const fileId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    this.doc.transact(() => {
+      this.files.set(fileId, new Y.Text(content));
+      this.fileNames.set(fileId, name);
+    }, LOCAL_ORIGIN);
+    return fileId;
+  }
+
+  /**
+   * Renames a file
+   * @param {string} fileId - File ID
+   * @param {string} name - New name
+   */
+  renameFile(fileId, name) {
+    this.doc.transact(() => this.fileNames.set(fileId, name), LOCAL_ORIGIN);
+  }
+
+  /**
+   * Deletes a file; the main file can't be deleted
+   * @param {string} fileId - File ID
+   */
+  deleteFile(fileId) {
+    if (fileId === MAIN_FILE_ID) return;
+    this.doc.transact(() => {
+      this.files.delete(fileId);
+      this.fileNames.delete(fileId);
+      if (this.meta.get("entry") === fileId) this.meta.delete("entry");
+    }, LOCAL_ORIGIN);
+  }
+
+  /**
+   * Picks the file the program starts from
+   * @param {string} fileId - File ID
+   */
+  setEntry(fileId) {
+    this.doc.transact(() => this.meta.set("entry", fileId), LOCAL_ORIGIN);
+  }
+
+  /**
+   * Replaces the whole project (restoring a version, switching language)
+   * The first file becomes the main file.
+   *
+   * @param {Array<{ name: string|null, content: string }>} files - Files; a null name keeps the language's default
+   * @param {string} [entry] - Name of the entry file
+   */
+  replaceFiles(files, entry) {
+    this.doc.transact(() => {
+      for (const fileId of [...this.files.keys()]) {
+        this.files.delete(fileId);
+        this.fileNames.delete(fileId);
+      }
+      this.meta.delete("entry");
+
+      const [main, ...others] = files;
+      this.text.delete(0, this.text.length);
+      this.text.insert(0, main?.content || "");
+      if (main?.name) {
+        this.fileNames.set(MAIN_FILE_ID, main.name);
+      } else {
+        this.fileNames.delete(MAIN_FILE_ID);
+      }
+
+      for (const file of others) {
+        const fileId = this.createFile(file.name, file.content);
+        if (file.name === entry) this.meta.set("entry", fileId);
+      }
+    }, LOCAL_ORIGIN);
+  }
+
+  /**
+   * Replaces a file's whole content (clear, import)
+   * @param {string} content - New content
+   * @param {string} [fileId=MAIN_FILE_ID] - File to replace
+   */
+  replaceText(content, fileId = MAIN_FILE_ID) {
+    const text = this.getFileText(fileId);
+    if (!text) return;
+    this.doc.transact(() => {
+      text.delete(0, text.length);
+      text.insert(0, content);
+    }, LOCAL_ORIGIN);
+  }
+
+  /**
+   * Stores a shared room setting (e.g. the language)
+   * @param {string} key - Setting name
+   * @param {*} value - Setting value
+   */
+  setMeta(key, value) {
+    this.doc.transact(() => this.meta.set(key, value), LOCAL_ORIGIN);
+  }
+}
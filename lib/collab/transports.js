@@ -0,0 +1,218 @@
+/**
+ * Collaboration Transports
+ *
+ * A transport connects a collaboration session to a room's presence channel.
+ * Every transport exposes the same interface, so the session doesn't care
+ * whether messages travel over Pusher or a local WebSocket server:
+ *
+ * - `connect(handlers)` joins the room. Handlers: `onMembers(members)` with
+ *   everyone present on join, `onMemberAdded(member)`, `onMemberRemoved(member)`
+ *   and `onEvent(event, message)` for messages from other members.
+ * - `send(event, message)` broadcasts `{ clientId, data, target?, chunk? }`
+ *   to the room.
+ * - `disconnect()` leaves the room.
+ * - `maxMessageSize` is the largest `data` string a single message may carry.
+ *
+ * Members are `{ userId, username, role? }`. Delivered messages also carry the
+ * sender's `userId` and `username`; they may include the sender's own
+ * messages, which the session ignores by `clientId`.
+ *
+ * @module lib/collab/transports
+ */
+
+/**
+ * Events relayed between collaborators
+ */
+export const COLLAB_EVENTS = {
+  DOC_UPDATE: "doc-update",
+  SYNC_REQUEST: "sync-request",
+  SYNC_RESPONSE: "sync-response",
+  CURSOR: "cursor",
+};
+
+/**
+ * Events the server sends to a room
+ * - `access-changed`: `{ userId, role }` (role is null when the member was removed)
+ * - `run-started`: `{ userId, username, language }` when a member clicks Run
+ * - `run-finished`: the run's summary (see PlaygroundRoom#toRunObject), or
+ *   `{ userId, username, error }` when it could not run
+ */
+export const ROOM_EVENTS = {
+  ACCESS_CHANGED: "access-changed",
+  RUN_STARTED: "run-started",
+  RUN_FINISHED: "run-finished",
+};
+
+const RELAYED_EVENTS = Object.values(COLLAB_EVENTS);
+
+const CHANNEL_PREFIX = "presence-room-";
+
+/**
+ * Presence channel name of a room
+ * @param {string} roomId - Room ID
+ * @returns {string}
+ */
+export const roomChannelName = (roomId) => `${CHANNEL_PREFIX}${roomId}`;
+
+/**
+ * Room ID of a presence channel
+ * @param {string} channelName - Channel name
+ * @returns {string|null} Room ID, or null if this isn't a room channel
+ */
+export const roomIdFromChannel = (channelName) =>
+  channelName?.startsWith(CHANNEL_PREFIX) ? channelName.slice(CHANNEL_PREFIX.length) : null;
+
+/**
+ * Transport over a Pusher presence channel
+ * Messages are sent through /api/socket, which triggers them on the channel.
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Room ID
+ * @param {string} options.userId - Current user's ID
+ * @param {string} options.username - Current user's display name
+ * @returns {Object} Transport
+ */
+export function createPusherTransport({ roomId, userId, username }) {
+  const channelName = roomChannelName(roomId);
+  let client = null;
+  let channel = null;
+
+  const toMember = (member) => ({
+    userId: member.id,
+    username: member.info?.username,
+    role: member.info?.role,
+  });
+
+  return {
+    // Pusher rejects messages over 10KB, including the envelope
+    maxMessageSize: 8000,
+
+    async connect({ onMembers, onMemberAdded, onMemberRemoved, onEvent }) {
+      // Imported lazily so the WebSocket transport works without Pusher keys
+      ({ pusherClient: client } = await import("@/lib/pusher-client"));
+      // Sign in as the user, so removing them from the room can close this connection
+      client.signin();
+      channel = client.subscribe(channelName);
+
+      channel.bind("pusher:subscription_succeeded", (members) => {
+        const present = [];
+        members.each((member) => present.push(toMember(member)));
+        onMembers(present);
+      });
+      channel.bind("pusher:member_added", (member) => onMemberAdded(toMember(member)));
+      channel.bind("pusher:member_removed", (member) => onMemberRemoved(toMember(member)));
+
+      for (const event of [...RELAYED_EVENTS, ...Object.values(ROOM_EVENTS)]) {
+        channel.bind(event, (message) => {
+          if (message) onEvent(event, message);
+        });
+      }
+    },
+
+    async send(event, message) {
+      const response = await fetch("/api/socket", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ roomId, userId, username, event, ...message }),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to send ${event} (${response.status})`);
+      }
+    },
+
+    disconnect() {
+      if (!channel) return;
+      channel.unbind_all();
+      client.unsubscribe(channelName);
+      channel = null;
+    },
+  };
+}
+
+/**
+ * Transport over a plain WebSocket server
+ * A local stand-in for Pusher (see scripts/collab-server.js) that speaks the
+ * same presence semantics.
+ *
+ * @param {Object} options
+ * @param {string} options.url - WebSocket server URL
+ * @param {string} options.roomId - Room ID
+ * @param {string} options.userId - Current user's ID
+ * @param {string} options.username - Current user's display name
+ * @returns {Object} Transport
+ */
+export function createWebSocketTransport({ url, roomId, userId, username }) {
+  const channelName = roomChannelName(roomId);
+  let socket = null;
+
+  return {
+    maxMessageSize: 64000,
+
+    connect({ onMembers, onMemberAdded, onMemberRemoved, onEvent }) {
+      return new Promise((resolve, reject) => {
+        socket = new WebSocket(url);
+
+        socket.addEventListener("open", () => {
+          socket.send(JSON.stringify({
+            type: "subscribe",
+            channel: channelName,
+            member: { userId, username },
+          }));
+          resolve();
+        });
+        socket.addEventListener("error", () => reject(new Error(`Could not connect to ${url}`)));
+
+        socket.addEventListener("message", ({ data }) => {
+          let message;
+          try {
+            message = JSON.parse(data);
+          } catch {
+            return;
+          }
+
+          if (message.type === "subscription_succeeded") onMembers(message.members);
+          if (message.type === "member_added") onMemberAdded(message.member);
+          if (message.type === "member_removed") onMemberRemoved(message.member);
+          if (message.type === "event" && RELAYED_EVENTS.includes(message.event) && message.data) {
+            onEvent(message.event, message.data);
+          }
+        });
+      });
+    },
+
+    async send(event, message) {
+      if (socket?.readyState !== WebSocket.OPEN) {
+        throw new Error(`Failed to send ${event}: not connected`);
+      }
+      socket.send(JSON.stringify({
+        type: "event",
+        channel: channelName,
+        event,
+        data: { userId, username, ...message },
+      }));
+    },
+
+    disconnect() {
+      socket?.close();
+      socket = null;
+    },
+  };
+}
+
+/**
+ * Creates the transport configured for this deployment
+ * Set NEXT_PUBLIC_COLLAB_TRANSPORT=websocket (and optionally
+ * NEXT_PUBLIC_COLLAB_WS_URL) to use the local WebSocket server instead of Pusher.
+ *
+ * @param {Object} options - See createPusherTransport
+ * @returns {Object} Transport
+ */
+export function createRoomTransport(options) {
+  if (process.env.NEXT_PUBLIC_COLLAB_TRANSPORT === "websocket") {
+    return createWebSocketTransport({
+      url: process.env.NEXT_PUBLIC_COLLAB_WS_URL || "ws://localhost:4001",
+      ...options,
+    });
+  }
+  return createPusherTransport(options);
+}
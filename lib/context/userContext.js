@@ -2,7 +2,8 @@
  * User Context Service
  * 
  * Gathers comprehensive user data to provide context-aware AI responses.
- * Fetches user profile, tasks, roadmaps, quests, and activity data.
+ * Fetches user profile, tasks, roadmaps, quests, and activity data, and
+ * what the companion remembers about the user from earlier conversations.
  * 
  * @module lib/context/userContext
  */
@@ -12,6 +13,7 @@ import { connect } from "@/lib/mongodb/mongoose";
 import Task from "@/lib/models/taskModel";
 import Roadmap from "@/lib/models/roadmapModel";
 import Quest from "@/lib/models/questModel";
+import UserMemory from "@/lib/models/userMemoryModel";
 import logger from "@/lib/logger";
 
 /**
@@ -30,11 +32,12 @@ export async function buildUserContext(userId) {
     await connect();
 
     // Fetch all user data in parallel for performance
-    const [userProfile, tasks, roadmaps, quests] = await Promise.all([
+    const [userProfile, tasks, roadmaps, quests, memory] = await Promise.all([
       fetchUserProfile(userId),
       fetchUserTasks(userId),
       fetchUserRoadmaps(userId),
       fetchUserQuests(userId),
+      fetchUserMemory(userId),
     ]);
 
     // Build context summary
@@ -86,6 +89,9 @@ export async function buildUserContext(userId) {
         lastQuestActivity: quests.lastActivityDate,
       },
 
+      // Long-term memory (see UserMemory)
+      memory,
+
       // Context metadata
       contextGeneratedAt: new Date().toISOString(),
       contextVersion: "1.0",
@@ -97,6 +103,7 @@ export async function buildUserContext(userId) {
       tasksCount: tasks.total,
       roadmapsCount: roadmaps.total,
       questsCount: quests.total,
+      rememberedFacts: memory.goals.length + memory.weakTopics.length,
     });
 
     return context;
@@ -349,6 +356,34 @@ async function fetchUserQuests(userId) {
   }
 }
 
+/**
+ * Fetch what the companion remembers about the user
+ */
+async function fetchUserMemory(userId) {
+  try {
+    const memory = await UserMemory.findOne({ clerkId: userId });
+    return memory ? memory.toFacts() : getEmptyMemory();
+  } catch (error) {
+    logger.warn("Failed to fetch user memory", {
+      userId,
+      error: error.message,
+    });
+    return getEmptyMemory();
+  }
+}
+
+/**
+ * Get empty memory object
+ */
+function getEmptyMemory() {
+  return {
+    preferredLanguage: null,
+    skillLevel: null,
+    goals: [],
+    weakTopics: [],
+  };
+}
+
 /**
  * Get empty context object
  */
@@ -391,6 +426,7 @@ function getEmptyContext() {
       lastRoadmapUpdate: null,
       lastQuestActivity: null,
     },
+    memory: getEmptyMemory(),
     contextGeneratedAt: new Date().toISOString(),
     contextVersion: "1.0",
   };
@@ -442,6 +478,27 @@ export function formatContextForAgent(context) {
     }
   }
 
+  // Remembered from earlier conversations
+  const memory = context.memory;
+  if (memory) {
+    const remembered = [];
+    if (memory.preferredLanguage) {
+      remembered.push(`Preferred language: ${memory.preferredLanguage === 'bn' ? 'Bengali' : 'English'}`);
+    }
+    if (memory.skillLevel) {
+      remembered.push(`Skill level: ${memory.skillLevel}`);
+    }
+    if (memory.goals.length > 0) {
+      remembered.push(`Goals: ${memory.goals.join('; ')}`);
+    }
+    if (memory.weakTopics.length > 0) {
+      remembered.push(`Struggles with: ${memory.weakTopics.map(t => t.topic).join(', ')}`);
+    }
+    if (remembered.length > 0) {
+      parts.push(`\nRemembered about the user:\n${remembered.join('\n')}`);
+    }
+  }
+
   return parts.join('\n');
 }
 
@@ -0,0 +1,86 @@
+/**
+ * Conversations API Client (browser)
+ *
+ * Requests to /api/companion/conversations from the AI companion's
+ * conversation sidebar.
+ *
+ * @module lib/conversations/api
+ */
+
+const CONVERSATIONS_URL = "/api/companion/conversations";
+
+/**
+ * URL of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {string}
+ */
+const conversationUrl = (conversationId) =>
+  `${CONVERSATIONS_URL}/${encodeURIComponent(conversationId)}`;
+
+/**
+ * Sends a request to the conversations API
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Fetch options; `body` is sent as JSON
+ * @returns {Promise<*>} Response data
+ * @throws {Error} With `status` set to the HTTP status
+ */
+async function requestConversations(url, { body, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.success) {
+    const error = new Error(
+      result?.error?.message || `Conversation request failed (${response.status})`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Lists the user's conversations, most recently updated first
+ * @param {Object} [filter] - { search, archived, page, limit }; with a search,
+ *   best matches come first and each has a `match` ({ role, excerpt, timestamp })
+ * @returns {Promise<{ conversations: Object[], total: number, page: number, limit: number }>}
+ */
+export function listConversations(filter = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") params.set(key, value);
+  });
+  const query = params.toString();
+  return requestConversations(query ? `${CONVERSATIONS_URL}?${query}` : CONVERSATIONS_URL);
+}
+
+/**
+ * Opens a conversation with its messages
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation summary with `messages` and `pendingAction`
+ */
+export function getConversation(conversationId) {
+  return requestConversations(conversationUrl(conversationId));
+}
+
+/**
+ * Renames, archives or restores a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} changes - { title?, archived? }
+ * @returns {Promise<Object>} Updated conversation summary
+ */
+export function updateConversation(conversationId, changes) {
+  return requestConversations(conversationUrl(conversationId), { method: "PATCH", body: changes });
+}
+
+/**
+ * Deletes a conversation and its messages
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>}
+ */
+export function deleteConversation(conversationId) {
+  return requestConversations(conversationUrl(conversationId), { method: "DELETE" });
+}
@@ -0,0 +1,16 @@
+/**
+ * AI Companion Conversations
+ *
+ * Browser client of the companion's saved conversations. Server-side helpers
+ * live in lib/conversations/store and lib/conversations/titles and are
+ * imported directly by the API routes.
+ *
+ * @module lib/conversations
+ */
+
+export {
+  listConversations,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+} from "./api";
@@ -0,0 +1,112 @@
+/**
+ * Stored Conversations (server only)
+ *
+ * Loading, listing and searching the AI companion's Conversation documents
+ * for the companion API routes. Not exported from lib/conversations, which
+ * is bundled for the browser.
+ *
+ * @module lib/conversations/store
+ */
+
+import { connect } from "../mongodb/mongoose";
+import Conversation from "../models/conversationModel";
+import { isValidMongoId } from "../validation";
+import { ValidationError, NotFoundError } from "../errors";
+import { logDatabase } from "../logger";
+
+// Characters around a search match shown in results
+const EXCERPT_CONTEXT = 60;
+
+/**
+ * Loads one of the user's conversations
+ * Other users' conversations are reported as not found.
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<Object>} Conversation document
+ * @throws {ValidationError|NotFoundError}
+ */
+export async function loadConversation(conversationId, userId) {
+  if (!isValidMongoId(conversationId)) {
+    throw new ValidationError("Invalid conversation ID format");
+  }
+  await connect();
+
+  logDatabase("findOne", "Conversation", { conversationId });
+  const conversation = await Conversation.findOne({ _id: conversationId, clerkId: userId });
+  if (!conversation) {
+    throw new NotFoundError("Conversation", conversationId);
+  }
+  return conversation;
+}
+
+/**
+ * The message that best matches a search, with the text around the match
+ * @param {Object} conversation - Conversation document
+ * @param {string} search - Search text
+ * @returns {{ role: string, excerpt: string, timestamp: Date }|null}
+ */
+function findMatch(conversation, search) {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+  for (const message of conversation.messages) {
+    const content = message.content.toLowerCase();
+    const index = terms
+      .map((term) => content.indexOf(term))
+      .filter((position) => position !== -1)
+      .sort((a, b) => a - b)[0];
+
+    if (index !== undefined) {
+      const start = Math.max(0, index - EXCERPT_CONTEXT);
+      const end = Math.min(message.content.length, index + EXCERPT_CONTEXT * 2);
+      return {
+        role: message.role,
+        excerpt: `${start > 0 ? "…" : ""}${message.content.slice(start, end).trim()}${end < message.content.length ? "…" : ""}`,
+        timestamp: message.timestamp,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the user's conversations, most recently updated first
+ * With a search, conversations whose title or messages contain the words
+ * are listed instead, best matches first, each with the matching message.
+ *
+ * @param {string} userId - Clerk user ID
+ * @param {Object} filter - See conversationFilterSchema
+ * @returns {Promise<{ conversations: Object[], total: number, page: number, limit: number }>}
+ */
+export async function listConversations(userId, { search, archived = false, page = 1, limit = 20 }) {
+  await connect();
+
+  const query = { clerkId: userId, isActive: !archived };
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  logDatabase("find", "Conversation", { archived, search: Boolean(search), page });
+  let find = Conversation.find(query, search ? { score: { $meta: "textScore" } } : {});
+  find = search
+    ? find.sort({ score: { $meta: "textScore" }, updatedAt: -1 })
+    : find.sort({ updatedAt: -1 });
+
+  const [conversations, total] = await Promise.all([
+    find
+      .select("-pendingAction")
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Conversation.countDocuments(query),
+  ]);
+
+  return {
+    conversations: conversations.map((conversation) => ({
+      ...conversation.toSummary(),
+      ...(search && { match: findMatch(conversation, search) }),
+    })),
+    total,
+    page,
+    limit,
+  };
+}
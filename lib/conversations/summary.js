@@ -0,0 +1,121 @@
+/**
+ * Conversation Summaries (server only)
+ *
+ * Agents see only the last RECENT_MESSAGES messages of a conversation.
+ * Older messages are folded into a rolling summary stored on the
+ * conversation: once SUMMARY_BATCH messages have dropped out of the recent
+ * window, the fast model rewrites the summary to cover them, and the summary
+ * is sent to agents ahead of the recent messages.
+ *
+ * @module lib/conversations/summary
+ */
+
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { getChatModel } from "../llm";
+import logger from "../logger";
+
+/** Messages sent to agents word for word */
+export const RECENT_MESSAGES = 10;
+
+/** Older messages that build up before the summary is rewritten */
+export const SUMMARY_BATCH = 10;
+
+// Longest summary kept; the model is asked for less
+const MAX_SUMMARY_LENGTH = 2000;
+
+// Characters of each message the model is shown
+const EXCERPT_LENGTH = 800;
+
+// Time the model gets before the summary is left as it was
+const SUMMARY_TIMEOUT_MS = 10000;
+
+const SUMMARY_PROMPT = `You keep a running summary of a conversation between a student and an AI learning companion.
+
+You get the current summary (possibly empty) and the messages that came after it. Write the new summary:
+- At most 150 words, in plain sentences
+- Keep what later replies may depend on: the student's questions and goals, decisions made, code or topics being worked on, tasks or roadmaps created, open questions
+- Drop greetings, small talk and details already resolved
+- Write in English, even if the conversation is in Bengali
+
+Respond with the summary only.`;
+
+/**
+ * Messages that are outside the recent window but not yet in the summary
+ * @param {Object} conversation - Conversation document
+ * @returns {Object[]}
+ */
+function unsummarizedMessages(conversation) {
+  const covered = conversation.summary?.messageCount || 0;
+  const recentStart = Math.max(0, conversation.messages.length - RECENT_MESSAGES);
+  return conversation.messages.slice(covered, recentStart);
+}
+
+/**
+ * Whether enough older messages have built up to rewrite the summary
+ * @param {Object} conversation - Conversation document
+ * @returns {boolean}
+ */
+export function needsSummary(conversation) {
+  return unsummarizedMessages(conversation).length >= SUMMARY_BATCH;
+}
+
+/**
+ * Rewrites the conversation's summary to cover the messages that left the
+ * recent window. Changes the document; the caller saves it.
+ *
+ * @param {Object} conversation - Conversation document
+ * @returns {Promise<boolean>} Whether the summary was updated; never throws
+ */
+export async function updateSummary(conversation) {
+  const messages = unsummarizedMessages(conversation);
+  if (messages.length === 0) return false;
+
+  const transcript = messages
+    .map((message) => {
+      const speaker = message.role === "user" ? "Student" : "Companion";
+      return `${speaker}: ${message.content.slice(0, EXCERPT_LENGTH)}`;
+    })
+    .join("\n\n");
+
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("Summary timed out")), SUMMARY_TIMEOUT_MS);
+    });
+    const response = await Promise.race([
+      getChatModel("summary").invoke([
+        new SystemMessage(SUMMARY_PROMPT),
+        new HumanMessage(
+          `Current summary:\n${conversation.summary?.content || "(none)"}\n\nNew messages:\n${transcript}`
+        ),
+      ]),
+      timeout,
+    ]);
+
+    const content = (typeof response.content === "string" ? response.content : "").trim();
+    if (!content) {
+      throw new Error("Empty summary");
+    }
+
+    conversation.summary = {
+      content: content.slice(0, MAX_SUMMARY_LENGTH),
+      messageCount: (conversation.summary?.messageCount || 0) + messages.length,
+      updatedAt: new Date(),
+    };
+
+    logger.info("Conversation summary updated", {
+      conversationId: conversation._id?.toString(),
+      messageCount: conversation.summary.messageCount,
+    });
+    return true;
+  } catch (error) {
+    // The older messages stay unsummarized and are tried again next time
+    logger.warn("Conversation summary failed", {
+      conversationId: conversation._id?.toString(),
+      error: error.message,
+    });
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
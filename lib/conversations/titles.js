@@ -0,0 +1,109 @@
+/**
+ * Conversation Titles (server only)
+ *
+ * New conversations are titled after their first exchange. The fast model
+ * writes a short title in the conversation's language; if it fails or takes
+ * too long, the first line of the user's message is used instead.
+ *
+ * @module lib/conversations/titles
+ */
+
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { getChatModel } from "../llm";
+import logger from "../logger";
+
+/** Title of a conversation nobody has titled yet */
+export const DEFAULT_TITLE = "New Conversation";
+
+/** Characters of a generated title */
+export const MAX_TITLE_LENGTH = 60;
+
+// Time the model gets before the fallback title is used
+const TITLE_TIMEOUT_MS = 5000;
+
+// Characters of each message the model is shown
+const EXCERPT_LENGTH = 500;
+
+const TITLE_PROMPT = `Write a title for a conversation between a student and an AI learning companion.
+
+Rules:
+- At most 6 words, no quotes, no trailing punctuation
+- Name the topic, not the greeting ("Binary search in Python", not "Question about code")
+- Use the language of the student's message (English or Bengali)
+
+Respond with the title only.`;
+
+/**
+ * Shortens text to a length, at a word boundary where possible
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Title made from the first line of a message
+ * @param {string} message - First user message
+ * @returns {string}
+ */
+export function fallbackTitle(message = "") {
+  const firstLine = message
+    .split("\n")
+    .map((line) => line.replace(/[#*_`>]/g, "").replace(/\s+/g, " ").trim())
+    .find(Boolean);
+  return firstLine ? truncate(firstLine, MAX_TITLE_LENGTH) : DEFAULT_TITLE;
+}
+
+/**
+ * Whether a conversation should be titled now: its first exchange has just
+ * been added and nobody has named it
+ * @param {Object} conversation - Conversation document
+ * @returns {boolean}
+ */
+export function needsTitle(conversation) {
+  return conversation.title === DEFAULT_TITLE && conversation.messages.length === 2;
+}
+
+/**
+ * Writes a title for a conversation from its first exchange
+ * @param {string} userMessage - First user message
+ * @param {string} reply - Companion's reply
+ * @returns {Promise<string>} Title; never throws
+ */
+export async function generateTitle(userMessage, reply = "") {
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("Title generation timed out")), TITLE_TIMEOUT_MS);
+    });
+    const response = await Promise.race([
+      getChatModel("titles").invoke([
+        new SystemMessage(TITLE_PROMPT),
+        new HumanMessage(
+          `Student: ${userMessage.slice(0, EXCERPT_LENGTH)}\n\nCompanion: ${reply.slice(0, EXCERPT_LENGTH)}`
+        ),
+      ]),
+      timeout,
+    ]);
+
+    const title = (typeof response.content === "string" ? response.content : "")
+      .split("\n")[0]
+      .replace(/^["'“”‘’\s]+|["'“”‘’.!?।\s]+$/g, "")
+      .trim();
+
+    if (title) {
+      return truncate(title, MAX_TITLE_LENGTH);
+    }
+  } catch (error) {
+    logger.warn("Conversation title generation failed", { error: error.message });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return fallbackTitle(userMessage);
+}
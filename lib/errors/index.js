@@ -269,6 +269,7 @@ export const ErrorCodes = {
   
   // Rate Limit (429)
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
   
   // External Service (502)
   EXTERNAL_SERVICE_ERROR: 'EXTERNAL_SERVICE_ERROR',
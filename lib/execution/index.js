@@ -0,0 +1,176 @@
+/**
+ * Code Execution Module
+ *
+ * Server-side entry point for running user code. Execution is delegated to a
+ * pluggable runner; every runner implements the same interface:
+ *
+ *   runner.name: string
+ *   runner.execute({ language, version, files, stdin, args, limits }) => Promise<PistonResult>
+ *   runner.runtimes() => Promise<Array<{ language, version, aliases }>>
+ *
+ * where PistonResult is `{ language, version, run: { stdout, stderr, output, code, signal }, compile? }`.
+ *
+ * Runners:
+ * - piston: Piston API, base URL from PISTON_API_URL (default)
+ * - local: sandboxed subprocess runner for offline development
+ *
+ * Select the runner with CODE_EXECUTOR. Limits come from EXECUTION_TIMEOUT_MS,
+ * EXECUTION_MEMORY_MB and EXECUTION_MAX_OUTPUT_BYTES. The runner's runtime list
+ * is cached (see ./runtimes) and gives requests without a version the newest one.
+ *
+ * @module lib/execution
+ */
+
+import logger from "@/lib/logger";
+import { createPistonRunner } from "./runners/piston";
+import { createLocalRunner } from "./runners/local";
+import { listRuntimes, latestVersion } from "./runtimes";
+
+/**
+ * Default resource limits applied to every execution
+ */
+export const DEFAULT_LIMITS = {
+  timeoutMs: parseInt(process.env.EXECUTION_TIMEOUT_MS || "10000"),
+  memoryMb: parseInt(process.env.EXECUTION_MEMORY_MB || "256"),
+  maxOutputBytes: parseInt(process.env.EXECUTION_MAX_OUTPUT_BYTES || "65536"),
+};
+
+/**
+ * Runner factories by name
+ */
+const RUNNER_FACTORIES = {
+  piston: () => createPistonRunner({ baseUrl: process.env.PISTON_API_URL || undefined }),
+  local: () => createLocalRunner(),
+};
+
+// Runner instances are created once per name
+const runners = new Map();
+
+/**
+ * Returns the configured code runner
+ *
+ * @param {string} [name] - Runner name, defaults to CODE_EXECUTOR or 'piston'
+ * @returns {{ name: string, execute: Function }} Runner instance
+ */
+export function getRunner(name = process.env.CODE_EXECUTOR || "piston") {
+  const runnerName = RUNNER_FACTORIES[name] ? name : "piston";
+
+  if (!runners.has(runnerName)) {
+    runners.set(runnerName, RUNNER_FACTORIES[runnerName]());
+  }
+  return runners.get(runnerName);
+}
+
+/**
+ * Languages and versions the configured runner can execute
+ * Cached; falls back to the stand-in list when the runner can't be reached.
+ *
+ * @param {Object} [runner] - Runner override
+ * @returns {Promise<{ runtimes: Object[], source: string, fetchedAt: number }>}
+ */
+export function getRuntimes(runner = getRunner()) {
+  return listRuntimes(runner);
+}
+
+/**
+ * Truncates text to a maximum length
+ *
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum number of characters kept
+ * @returns {{ text: string, truncated: boolean }}
+ */
+export function truncateOutput(text = "", maxLength) {
+  if (text.length <= maxLength) {
+    return { text, truncated: false };
+  }
+  return {
+    text: `${text.slice(0, maxLength)}\n... [output truncated]`,
+    truncated: true,
+  };
+}
+
+/**
+ * Truncates every output field of a stage result (run or compile)
+ * @param {Object} stage - Stage result from the runner
+ * @param {number} maxLength - Maximum characters per field
+ * @returns {Object} Stage with truncated fields and a `truncated` flag
+ */
+function truncateStage(stage, maxLength) {
+  let truncated = false;
+  const result = { ...stage };
+
+  for (const field of ["stdout", "stderr", "output"]) {
+    if (typeof stage[field] === "string") {
+      const limited = truncateOutput(stage[field], maxLength);
+      result[field] = limited.text;
+      truncated = truncated || limited.truncated;
+    }
+  }
+
+  return { ...result, truncated };
+}
+
+/**
+ * Runs code with the configured runner and applies resource limits
+ *
+ * @param {Object} request - Execution request
+ * @param {string} request.language - Language identifier
+ * @param {string} [request.version] - Runtime version, defaults to the newest available
+ * @param {Array<{ name?: string, content: string }>} request.files - Source files, entry point first
+ * @param {string} [request.stdin] - Program input
+ * @param {string[]} [request.args] - Command-line arguments
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @param {Object} [options.runner] - Runner override
+ * @returns {Promise<Object>} Piston-shaped result with truncated output
+ *
+ * @example
+ * const { run } = await runCode({ language: 'python', files: [{ content: 'print(input())' }], stdin: 'hi' });
+ */
+export async function runCode(request, { limits = {}, runner = getRunner() } = {}) {
+  const appliedLimits = { ...DEFAULT_LIMITS, ...limits };
+  const startTime = Date.now();
+
+  const result = await runner.execute({
+    language: request.language,
+    version: request.version || (await latestVersion(runner, request.language)),
+    files: request.files,
+    stdin: request.stdin || "",
+    args: request.args || [],
+    limits: appliedLimits,
+  });
+
+  const duration = Date.now() - startTime;
+  logger.debug("Code executed", {
+    runner: runner.name,
+    language: request.language,
+    exitCode: result.run?.code,
+    duration,
+  });
+
+  return {
+    ...result,
+    run: truncateStage(result.run || {}, appliedLimits.maxOutputBytes),
+    ...(result.compile && {
+      compile: truncateStage(result.compile, appliedLimits.maxOutputBytes),
+    }),
+    duration,
+  };
+}
+
+/**
+ * Runs a single source string
+ * Shorthand for runCode with one file; matches the executor signature used by graders.
+ *
+ * @param {string} language - Language identifier
+ * @param {string} sourceCode - Code to execute
+ * @param {Object} [options] - { stdin }
+ * @returns {Promise<Object>} Piston-shaped result
+ */
+export function executeSource(language, sourceCode, options = {}) {
+  return runCode({
+    language,
+    files: [{ content: sourceCode }],
+    stdin: options.stdin,
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Local Code Runner
+ *
+ * Offline stand-in for the Piston API. Runs code in a sandboxed child
+ * process on the host machine:
+ * - Each run gets a fresh temporary working directory that is removed afterwards
+ * - The environment is stripped down to PATH and HOME
+ * - Wall-clock time, memory and output size are capped
+ *
+ * Only languages with an interpreter available on the host are supported.
+ *
+ * @module lib/execution/runners/local
+ */
+
+import { spawn } from "child_process";
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { ValidationError } from "@/lib/errors";
+
+/**
+ * Interpreters used for each supported language
+ * Node ignores `ulimit -v` (V8 reserves large address ranges), so its heap is capped instead.
+ */
+const LOCAL_RUNTIMES = {
+  javascript: {
+    command: "node",
+    fileName: "main.js",
+    memoryArgs: (memoryMb) => [`--max-old-space-size=${memoryMb}`],
+  },
+  python: {
+    command: "python3",
+    fileName: "main.py",
+    limitVirtualMemory: true,
+  },
+};
+
+/**
+ * Creates a runner that executes code in local subprocesses
+ *
+ * @returns {{ name: string, languages: string[], execute: Function, runtimes: Function }} Runner instance
+ */
+export function createLocalRunner() {
+  return {
+    name: "local",
+    languages: Object.keys(LOCAL_RUNTIMES),
+
+    /**
+     * Executes a set of files, using the first one as the entry point
+     *
+     * @param {Object} request - Execution request
+     * @param {string} request.language - Language identifier
+     * @param {Array<{ name?: string, content: string }>} request.files - Source files
+     * @param {string} [request.stdin] - Data written to the program's stdin
+     * @param {string[]} [request.args] - Command-line arguments for the program
+     * @param {Object} request.limits - { timeoutMs, memoryMb, maxOutputBytes }
+     * @returns {Promise<Object>} Piston-compatible result ({ language, version, run })
+     * @throws {ValidationError} If the language has no local runtime
+     */
+    async execute({ language, files, stdin = "", args: programArgs = [], limits }) {
+      const runtime = LOCAL_RUNTIMES[language];
+      if (!runtime) {
+        throw new ValidationError(`Language '${language}' is not supported by the local runner`);
+      }
+
+      const workDir = await mkdtemp(path.join(tmpdir(), "inherit-exec-"));
+
+      try {
+        const filePaths = await writeFiles(workDir, files, runtime.fileName);
+
+        let command = runtime.command;
+        let args = [...(runtime.memoryArgs?.(limits.memoryMb) || []), filePaths[0], ...programArgs];
+
+        if (runtime.limitVirtualMemory) {
+          args = ["-c", `ulimit -v ${limits.memoryMb * 1024}; exec "$0" "$@"`, command, ...args];
+          command = "sh";
+        }
+
+        const run = await runProcess(command, args, { cwd: workDir, stdin, limits });
+        return { language, version: "local", run };
+      } finally {
+        await rm(workDir, { recursive: true, force: true });
+      }
+    },
+
+    /**
+     * Lists the languages with a local interpreter
+     *
+     * @returns {Promise<Array<{ language: string, version: string, aliases: string[] }>>}
+     */
+    async runtimes() {
+      return Object.keys(LOCAL_RUNTIMES).map((language) => ({ language, version: "local", aliases: [] }));
+    },
+  };
+}
+
+/**
+ * Writes request files into the working directory
+ * Relative paths are allowed, but a file may not resolve outside the sandbox directory.
+ *
+ * @param {string} workDir - Sandbox directory
+ * @param {Array<{ name?: string, content: string }>} files - Files to write
+ * @param {string} defaultName - Name used for an unnamed entry file
+ * @returns {Promise<string[]>} Absolute paths, in request order
+ * @throws {ValidationError} If a file name escapes the working directory
+ */
+async function writeFiles(workDir, files, defaultName) {
+  const filePaths = [];
+
+  for (const [index, file] of files.entries()) {
+    const name = file.name || (index === 0 ? defaultName : `file${index}`);
+    const filePath = path.resolve(workDir, name);
+    if (!filePath.startsWith(workDir + path.sep)) {
+      throw new ValidationError(`Invalid file name '${name}'`);
+    }
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, file.content, "utf8");
+    filePaths.push(filePath);
+  }
+
+  return filePaths;
+}
+
+/**
+ * Spawns a process and collects its output
+ * The process is killed when it exceeds the time limit or output cap.
+ *
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} options - { cwd, stdin, limits }
+ * @returns {Promise<{ stdout: string, stderr: string, output: string, code: number|null, signal: string|null }>}
+ */
+function runProcess(command, args, { cwd, stdin, limits }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: { PATH: process.env.PATH, HOME: cwd },
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let output = "";
+    let killedFor = null;
+
+    const kill = (reason) => {
+      if (killedFor) return;
+      killedFor = reason;
+      child.kill("SIGKILL");
+    };
+
+    const timer = setTimeout(() => kill("timeout"), limits.timeoutMs);
+
+    const collect = (stream) => (chunk) => {
+      if (stream === "stdout") stdout += chunk;
+      else stderr += chunk;
+      output += chunk;
+
+      if (output.length > limits.maxOutputBytes) {
+        kill("output-limit");
+      }
+    };
+
+    child.stdout.on("data", collect("stdout"));
+    child.stderr.on("data", collect("stderr"));
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr: error.message, output: error.message, code: null, signal: null });
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (killedFor === "timeout") {
+        const notice = `Time limit of ${limits.timeoutMs}ms exceeded`;
+        stderr += stderr ? `\n${notice}` : notice;
+        output += output ? `\n${notice}` : notice;
+      }
+      resolve({ stdout, stderr, output, code, signal });
+    });
+
+    // Ignore EPIPE when the program exits without reading its input
+    child.stdin.on("error", () => {});
+    child.stdin.end(stdin);
+  });
+}
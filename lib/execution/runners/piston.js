@@ -0,0 +1,81 @@
+/**
+ * Piston Code Runner
+ *
+ * Executes code through a Piston API instance. Defaults to the public
+ * emkc.org instance; set PISTON_API_URL to use a self-hosted one.
+ *
+ * @module lib/execution/runners/piston
+ * @see https://github.com/engineer-man/piston
+ */
+
+import axios from "axios";
+import { logExternalApi } from "@/lib/logger";
+import { ExternalServiceError } from "@/lib/errors";
+
+export const DEFAULT_PISTON_URL = "https://emkc.org/api/v2/piston";
+
+/**
+ * Creates a runner backed by a Piston API instance
+ *
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Piston API base URL (without trailing /execute)
+ * @returns {{ name: string, execute: Function, runtimes: Function }} Runner instance
+ */
+export function createPistonRunner({ baseUrl = DEFAULT_PISTON_URL } = {}) {
+  const client = axios.create({ baseURL: baseUrl.replace(/\/$/, "") });
+
+  return {
+    name: "piston",
+
+    /**
+     * Executes a set of files, using the first one as the entry point
+     *
+     * @param {Object} request - Execution request
+     * @param {string} request.language - Language identifier
+     * @param {string} request.version - Runtime version
+     * @param {Array<{ name?: string, content: string }>} request.files - Source files
+     * @param {string} [request.stdin] - Data written to the program's stdin
+     * @param {string[]} [request.args] - Command-line arguments
+     * @param {Object} request.limits - { timeoutMs, memoryMb }
+     * @returns {Promise<Object>} Piston execute response
+     * @throws {ExternalServiceError} If the Piston API call fails
+     */
+    async execute({ language, version, files, stdin = "", args = [], limits }) {
+      logExternalApi("piston", "execute", { language, version, fileCount: files.length });
+
+      try {
+        const response = await client.post("/execute", {
+          language,
+          version,
+          files,
+          stdin,
+          args,
+          run_timeout: limits.timeoutMs,
+          run_memory_limit: limits.memoryMb * 1024 * 1024,
+        });
+        return response.data;
+      } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        throw new ExternalServiceError("Piston", message);
+      }
+    },
+
+    /**
+     * Lists the installed runtimes
+     *
+     * @returns {Promise<Array<{ language: string, version: string, aliases: string[] }>>}
+     * @throws {ExternalServiceError} If the Piston API call fails
+     */
+    async runtimes() {
+      logExternalApi("piston", "runtimes");
+
+      try {
+        const response = await client.get("/runtimes");
+        return Array.isArray(response.data) ? response.data : [];
+      } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        throw new ExternalServiceError("Piston", message);
+      }
+    },
+  };
+}
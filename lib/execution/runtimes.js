@@ -0,0 +1,98 @@
+/**
+ * Runtime List Cache
+ *
+ * Languages and versions a runner can execute, fetched from the runner and
+ * cached per runner, so the runtimes endpoint and default versions don't call
+ * the execution backend on every request. When the backend can't be reached,
+ * the stand-in list from lib/runtimes is served and retried sooner.
+ *
+ * Cache lifetime comes from RUNTIMES_CACHE_TTL_MS (default one hour).
+ *
+ * @module lib/execution/runtimes
+ */
+
+import logger from "@/lib/logger";
+import { FALLBACK_RUNTIMES, groupRuntimes } from "@/lib/runtimes";
+
+const CACHE_TTL_MS = parseInt(process.env.RUNTIMES_CACHE_TTL_MS || "3600000");
+
+// The stand-in list is kept briefly, so a recovered backend is picked up soon
+const FALLBACK_TTL_MS = 60000;
+
+// Runtime lists by runner name: { runtimes, source, fetchedAt, expiresAt }
+const cache = new Map();
+
+// Requests in flight by runner name, shared by concurrent callers
+const pending = new Map();
+
+/**
+ * Fetches a runner's runtime list, falling back to the stand-in list
+ * @param {{ name: string, runtimes: Function }} runner - Code runner
+ * @returns {Promise<Object>} Cache entry
+ */
+async function loadRuntimes(runner) {
+  const fetchedAt = Date.now();
+  let entry;
+
+  try {
+    const runtimes = groupRuntimes(await runner.runtimes());
+    if (runtimes.length === 0) {
+      throw new Error("Runner reported no runtimes");
+    }
+    entry = { runtimes, source: runner.name, fetchedAt, expiresAt: fetchedAt + CACHE_TTL_MS };
+    logger.debug("Runtime list fetched", { runner: runner.name, languages: runtimes.length });
+  } catch (error) {
+    logger.warn("Runtime list unavailable, using the stand-in list", {
+      runner: runner.name,
+      error: error.message,
+    });
+    entry = {
+      runtimes: groupRuntimes(FALLBACK_RUNTIMES),
+      source: "fallback",
+      fetchedAt,
+      expiresAt: fetchedAt + FALLBACK_TTL_MS,
+    };
+  }
+
+  cache.set(runner.name, entry);
+  return entry;
+}
+
+/**
+ * Languages and versions a runner can execute
+ * @param {{ name: string, runtimes: Function }} runner - Code runner
+ * @returns {Promise<{ runtimes: Object[], source: string, fetchedAt: number }>}
+ *   Languages (see groupRuntimes); `source` is the runner name or "fallback"
+ */
+export async function listRuntimes(runner) {
+  const cached = cache.get(runner.name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  if (!pending.has(runner.name)) {
+    pending.set(
+      runner.name,
+      loadRuntimes(runner).finally(() => pending.delete(runner.name))
+    );
+  }
+  return pending.get(runner.name);
+}
+
+/**
+ * Newest version of a language a runner can execute
+ * @param {{ name: string, runtimes: Function }} runner - Code runner
+ * @param {string} language - App language ID
+ * @returns {Promise<string>} Version, or "*" (any) for languages missing from the list
+ */
+export async function latestVersion(runner, language) {
+  const { runtimes } = await listRuntimes(runner);
+  return runtimes.find((runtime) => runtime.id === language)?.versions[0] || "*";
+}
+
+/**
+ * Drops cached runtime lists
+ */
+export function clearRuntimeCache() {
+  cache.clear();
+}
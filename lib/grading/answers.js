@@ -0,0 +1,119 @@
+/**
+ * Answer Key Grading
+ *
+ * Deterministic grading for multiple-choice questions and short-answer
+ * questions that have a reference answer. No AI is involved: an answer
+ * either matches the key (full points) or it doesn't (zero points).
+ *
+ * @module lib/grading/answers
+ */
+
+/**
+ * Question types that are stored under a legacy name
+ * @type {Object<string, string>}
+ */
+const LEGACY_QUESTION_TYPES = {
+  short: "short-answer",
+};
+
+/**
+ * Maps a stored question type to its current name
+ *
+ * @param {string} type - Question type as stored
+ * @returns {string} 'coding', 'short-answer' or 'multiple-choice'
+ */
+export function normalizeQuestionType(type) {
+  return LEGACY_QUESTION_TYPES[type] || type;
+}
+
+/**
+ * Normalizes a free-text answer for comparison
+ * Ignores case, surrounding whitespace and runs of inner whitespace
+ *
+ * @param {string} text - Raw answer
+ * @returns {string} Normalized answer
+ */
+export function normalizeAnswer(text = "") {
+  return String(text).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Compiles a reference answer pattern
+ * Patterns are matched against the whole answer and ignore case.
+ *
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Compiled pattern, or null if it is invalid
+ */
+export function compileAnswerPattern(pattern) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, "i");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a question can be graded without the AI
+ *
+ * @param {Object} question - Quest question
+ * @returns {boolean}
+ */
+export function hasAnswerKey(question) {
+  const type = normalizeQuestionType(question.type);
+  if (type === "multiple-choice") return true;
+  return type === "short-answer" && Boolean(question.correctAnswer?.trim());
+}
+
+/**
+ * Checks an answer against a question's answer key
+ *
+ * @param {Object} question - Question with an answer key (see hasAnswerKey)
+ * @param {string} answer - Submitted answer
+ * @returns {boolean} Whether the answer is correct
+ */
+export function matchesAnswerKey(question, answer) {
+  const type = normalizeQuestionType(question.type);
+
+  if (type === "multiple-choice") {
+    return (
+      Boolean(question.correctAnswer) &&
+      normalizeAnswer(answer) === normalizeAnswer(question.correctAnswer)
+    );
+  }
+
+  if (question.answerMatch === "regex") {
+    const pattern = compileAnswerPattern(question.correctAnswer);
+    return Boolean(pattern?.test(String(answer).trim()));
+  }
+
+  return normalizeAnswer(answer) === normalizeAnswer(question.correctAnswer);
+}
+
+/**
+ * Grades an answer against a question's answer key
+ *
+ * @param {Object} question - Question with an answer key (see hasAnswerKey)
+ * @param {string} answer - Submitted answer
+ * @returns {{ score: number, isCorrect: boolean, feedback: string }}
+ */
+export function gradeWithAnswerKey(question, answer) {
+  const isCorrect = matchesAnswerKey(question, answer);
+  const type = normalizeQuestionType(question.type);
+
+  let explanation;
+  if (isCorrect) {
+    explanation = "Your answer matches the answer key.";
+  } else if (!String(answer ?? "").trim()) {
+    explanation = "No answer was given.";
+  } else if (type === "multiple-choice" || question.answerMatch !== "regex") {
+    explanation = `The expected answer was: ${question.correctAnswer}`;
+  } else {
+    explanation = "Your answer does not match the expected answer.";
+  }
+
+  return {
+    score: isCorrect ? question.points : 0,
+    isCorrect,
+    feedback: `${isCorrect ? "Fully Correct" : "Incorrect"}\n\n${explanation}`,
+  };
+}
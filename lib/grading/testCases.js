@@ -0,0 +1,87 @@
+/**
+ * Test Case Grading
+ *
+ * Deterministic grading for coding questions. Each test case input is fed to
+ * the program's stdin and its stdout is compared with the expected output.
+ *
+ * @module lib/grading/testCases
+ */
+
+import { executeSource } from "@/lib/execution";
+import logger from "@/lib/logger";
+
+/**
+ * Normalizes program output for comparison
+ * Ignores line-ending style and trailing whitespace on each line and at the end
+ *
+ * @param {string} text - Raw output
+ * @returns {string} Normalized output
+ */
+export function normalizeOutput(text = "") {
+  return String(text)
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Runs a submission against every test case of a question
+ * Test cases run sequentially so the execution backend isn't flooded.
+ *
+ * @param {Object} params
+ * @param {string} params.language - Language of the submission
+ * @param {string} params.code - Submitted source code
+ * @param {Array<{ input: string, expectedOutput: string }>} params.testCases - Test cases to run
+ * @param {Function} [params.executor] - Executor override (defaults to the configured one)
+ * @returns {Promise<Array<Object>>} Per-test-case results
+ */
+export async function runTestCases({ language, code, testCases, executor = executeSource }) {
+  const results = [];
+
+  for (const testCase of testCases) {
+    const input = testCase.input || "";
+    const expectedOutput = testCase.expectedOutput || "";
+
+    try {
+      const { run } = await executor(language, code, { stdin: input });
+      const actualOutput = run.stdout ?? run.output ?? "";
+      const passed =
+        run.code === 0 && normalizeOutput(actualOutput) === normalizeOutput(expectedOutput);
+
+      results.push({
+        input,
+        expectedOutput,
+        actualOutput,
+        passed,
+        error: run.stderr || (run.signal ? `Terminated by ${run.signal}` : ""),
+      });
+    } catch (error) {
+      logger.warn("Test case execution failed", { language, error: error.message });
+      results.push({
+        input,
+        expectedOutput,
+        actualOutput: "",
+        passed: false,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scores test results by pass ratio
+ *
+ * @param {Array<{ passed: boolean }>} results - Results from runTestCases
+ * @param {number} points - Maximum points for the question
+ * @returns {number} Score rounded to two decimals
+ */
+export function scoreTestResults(results, points) {
+  if (!results.length) return 0;
+
+  const passedCount = results.filter((result) => result.passed).length;
+  return Math.round((passedCount / results.length) * points * 100) / 100;
+}
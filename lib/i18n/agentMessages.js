@@ -123,6 +123,10 @@ export const MESSAGES = {
     needMoreInfo: {
       en: "Could you provide more details about what you'd like to learn?",
       bn: "আপনি কী শিখতে চান সে সম্পর্কে আরও বিস্তারিত জানাতে পারেন?"
+    },
+    offlineAnswer: {
+      en: "The AI model is unavailable right now, so here is the entry from our concept library:",
+      bn: "এই মুহূর্তে AI মডেল উপলব্ধ নেই, তাই আমাদের কনসেপ্ট লাইব্রেরি থেকে তথ্য দেওয়া হলো:"
     }
   },
 
@@ -0,0 +1,304 @@
+/**
+ * Concept Knowledge Base
+ *
+ * Curated CS concepts used by the learning tools: definitions per level,
+ * prerequisites, examples per language, practice problems with test cases
+ * and vetted resource links. Each concept lives in its own JSON file under
+ * lib/knowledge/concepts and is reviewed like code, so answers stay grounded
+ * (and available) even when the LLM is not.
+ *
+ * Bump KNOWLEDGE_BASE_VERSION when concepts are added or changed, and the
+ * concept's own `version` when its content changes.
+ *
+ * @module lib/knowledge
+ */
+
+import arrays from "./concepts/arrays.json";
+import asyncAwait from "./concepts/async-await.json";
+import bigONotation from "./concepts/big-o-notation.json";
+import binarySearch from "./concepts/binary-search.json";
+import closures from "./concepts/closures.json";
+import dynamicProgramming from "./concepts/dynamic-programming.json";
+import functions from "./concepts/functions.json";
+import graphs from "./concepts/graphs.json";
+import hashMaps from "./concepts/hash-maps.json";
+import linkedLists from "./concepts/linked-lists.json";
+import loops from "./concepts/loops.json";
+import objectOrientedProgramming from "./concepts/object-oriented-programming.json";
+import recursion from "./concepts/recursion.json";
+import sortingAlgorithms from "./concepts/sorting-algorithms.json";
+import stacksAndQueues from "./concepts/stacks-and-queues.json";
+import trees from "./concepts/trees.json";
+
+export const KNOWLEDGE_BASE_VERSION = "1.0.0";
+
+export const LEVELS = ["beginner", "intermediate", "advanced"];
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const CONCEPTS = [
+  functions,
+  loops,
+  arrays,
+  bigONotation,
+  recursion,
+  closures,
+  asyncAwait,
+  objectOrientedProgramming,
+  hashMaps,
+  stacksAndQueues,
+  linkedLists,
+  binarySearch,
+  sortingAlgorithms,
+  trees,
+  graphs,
+  dynamicProgramming,
+];
+
+const CONCEPTS_BY_ID = new Map(CONCEPTS.map((concept) => [concept.id, concept]));
+
+// Minimum match score for findConcept to accept a match
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Normalizes text for matching: lowercase, punctuation to spaces, naive singular
+ * @param {string} text - Raw text
+ * @returns {string} Space-separated normalized words
+ */
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9+#/]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .map((word) => {
+      if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+      return word;
+    })
+    .join(" ");
+}
+
+// Normalized id, name and aliases of every concept
+const MATCH_KEYS = CONCEPTS.map((concept) => ({
+  concept,
+  keys: [...new Set([concept.id.replace(/-/g, " "), concept.name, ...concept.aliases].map(normalize))],
+}));
+
+/**
+ * Scores how well a normalized query matches a normalized key (0-1)
+ * @param {string} query - Normalized query
+ * @param {string} key - Normalized concept key
+ * @returns {number} Match score
+ */
+function scoreKey(query, key) {
+  if (!query || !key) return 0;
+  if (query === key) return 1;
+
+  // The key appears as whole words in the query ("explain recursion in python")
+  if (` ${query} `.includes(` ${key} `)) {
+    return 0.6 + 0.3 * (key.length / query.length);
+  }
+  // The query is a more specific part of the key ("bubble" in "bubble sort")
+  if (query.length >= 3 && ` ${key} `.includes(` ${query} `)) {
+    return 0.5 * (query.length / key.length) + 0.25;
+  }
+
+  const queryWords = new Set(query.split(" "));
+  const keyWords = new Set(key.split(" "));
+  const common = [...queryWords].filter((word) => keyWords.has(word)).length;
+  return (0.5 * common) / new Set([...queryWords, ...keyWords]).size;
+}
+
+/**
+ * Lists concepts, optionally filtered
+ * @param {Object} [filters]
+ * @param {string} [filters.category] - e.g. "algorithms", "data-structures"
+ * @param {string} [filters.level] - "beginner" | "intermediate" | "advanced"
+ * @returns {Array<{ id: string, name: string, category: string, level: string, summary: string }>}
+ */
+export function listConcepts({ category, level } = {}) {
+  return CONCEPTS.filter(
+    (concept) => (!category || concept.category === category) && (!level || concept.level === level)
+  ).map(({ id, name, category: conceptCategory, level: conceptLevel, summary }) => ({
+    id,
+    name,
+    category: conceptCategory,
+    level: conceptLevel,
+    summary,
+  }));
+}
+
+/**
+ * Gets a concept by id
+ * @param {string} id - Concept id (e.g. "binary-search")
+ * @returns {Object|null} Concept
+ */
+export function getConcept(id) {
+  return CONCEPTS_BY_ID.get(id) || null;
+}
+
+/**
+ * Ranks concepts against free text (a topic name or a whole question)
+ * @param {string} query - Topic or question
+ * @param {number} [limit=3] - Maximum results
+ * @returns {Array<{ concept: Object, score: number }>} Best matches first
+ */
+export function searchConcepts(query, limit = 3) {
+  const normalized = normalize(query);
+
+  return MATCH_KEYS.map(({ concept, keys }) => ({
+    concept,
+    score: Math.max(...keys.map((key) => scoreKey(normalized, key))),
+  }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Finds the concept a topic refers to
+ * @param {string} query - Topic or question
+ * @returns {Object|null} Best matching concept, or null when nothing matches well
+ */
+export function findConcept(query) {
+  const [best] = searchConcepts(query, 1);
+  return best && best.score >= MATCH_THRESHOLD ? best.concept : null;
+}
+
+/**
+ * Returns the definition for a level, falling back to the nearest level
+ * @param {Object} concept - Concept
+ * @param {string} [level="beginner"] - Learner level
+ * @returns {string} Definition
+ */
+export function getDefinition(concept, level = "beginner") {
+  if (concept.definition[level]) return concept.definition[level];
+  const fallback = LEVELS.find((candidate) => concept.definition[candidate]);
+  return concept.definition[fallback];
+}
+
+/**
+ * Returns a code example in a language, falling back to JavaScript
+ * @param {Object} concept - Concept
+ * @param {string} [language="javascript"] - Preferred language
+ * @returns {{ language: string, code: string, explanation: string }|null}
+ */
+export function getExample(concept, language = "javascript") {
+  const available = Object.keys(concept.examples);
+  const chosen = available.includes(language)
+    ? language
+    : available.includes("javascript")
+      ? "javascript"
+      : available[0];
+
+  return chosen ? { language: chosen, ...concept.examples[chosen] } : null;
+}
+
+/**
+ * Returns a concept's prerequisites, deepest first, as a learning sequence
+ * @param {Object} concept - Concept
+ * @param {number} [maxDepth=Infinity] - How many prerequisite levels to follow
+ * @returns {Object[]} Prerequisite concepts in the order they should be learned
+ */
+export function getPrerequisiteChain(concept, maxDepth = Infinity) {
+  const ordered = [];
+  const visited = new Set([concept.id]);
+
+  const visit = (current, depth) => {
+    if (depth > maxDepth) return;
+    for (const id of current.prerequisites) {
+      const prerequisite = getConcept(id);
+      if (!prerequisite || visited.has(id)) continue;
+      visited.add(id);
+      visit(prerequisite, depth + 1);
+      ordered.push(prerequisite);
+    }
+  };
+
+  visit(concept, 1);
+  return ordered;
+}
+
+/**
+ * Selects practice problems, preferring the requested difficulty
+ * Problems of the nearest other difficulties fill the rest of the count.
+ *
+ * @param {Object} concept - Concept
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - "easy" | "medium" | "hard"
+ * @param {number} [options.count=3] - Number of problems
+ * @param {string} [options.language="javascript"] - Language for starter code
+ * @returns {Object[]} Problems with starter code for the chosen language
+ */
+export function getPracticeProblems(concept, { difficulty, count = 3, language = "javascript" } = {}) {
+  const target = DIFFICULTIES.indexOf(difficulty);
+  const distance = (problem) =>
+    target === -1 ? 0 : Math.abs(DIFFICULTIES.indexOf(problem.difficulty) - target);
+
+  return [...concept.practice]
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, count)
+    .map(({ starterCode, ...problem }) => {
+      const starterLanguage = starterCode[language] ? language : "javascript";
+      return {
+        ...problem,
+        starterCode: { language: starterLanguage, code: starterCode[starterLanguage] },
+      };
+    });
+}
+
+/**
+ * Filters a concept's resources by type and level
+ * Falls back to every resource of the requested types when none match the level.
+ *
+ * @param {Object} concept - Concept
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Resource types to include
+ * @param {string} [options.level="all"] - Learner level, or "all"
+ * @returns {Object[]} Resources
+ */
+export function getResources(concept, { types, level = "all" } = {}) {
+  const ofType = concept.resources.filter((resource) => !types || types.includes(resource.type));
+  const forLevel = ofType.filter(
+    (resource) => level === "all" || resource.level === "all" || resource.level === level
+  );
+  return forLevel.length ? forLevel : ofType;
+}
+
+/**
+ * Renders a concept as a Markdown answer
+ * Used when the model is unavailable, so the reply is the curated entry itself.
+ *
+ * @param {Object} concept - Concept
+ * @param {Object} [options]
+ * @param {string} [options.level="beginner"] - Learner level
+ * @param {string} [options.language="javascript"] - Preferred example language
+ * @returns {string} Markdown
+ */
+export function formatConceptMarkdown(concept, { level = "beginner", language = "javascript" } = {}) {
+  const example = getExample(concept, language);
+  const prerequisites = concept.prerequisites.map((id) => getConcept(id)?.name).filter(Boolean);
+  const resources = getResources(concept, { level }).slice(0, 3);
+
+  const sections = [
+    `## ${concept.name}`,
+    getDefinition(concept, level),
+    `**Key points**\n${concept.keyPoints.map((point) => `- ${point}`).join("\n")}`,
+    `**Analogy:** ${concept.analogy}`,
+  ];
+
+  if (example) {
+    sections.push(`\`\`\`${example.language}\n${example.code}\n\`\`\`\n${example.explanation}`);
+  }
+  sections.push(`**Common pitfalls**\n${concept.pitfalls.map((pitfall) => `- ${pitfall}`).join("\n")}`);
+  if (prerequisites.length) {
+    sections.push(`**Learn first:** ${prerequisites.join(", ")}`);
+  }
+  if (resources.length) {
+    sections.push(
+      `**Resources**\n${resources.map((resource) => `- [${resource.title}](${resource.url})`).join("\n")}`
+    );
+  }
+
+  return sections.join("\n\n");
+}
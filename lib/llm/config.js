@@ -0,0 +1,116 @@
+/**
+ * LLM Feature Configuration
+ *
+ * Which provider and model each AI feature uses, and its generation
+ * settings. By default the companion's agents run on Gemini and the server
+ * actions on Groq. Environment overrides:
+ * - LLM_PROVIDER: one provider for every feature ("mock" runs everything offline)
+ * - LLM_FEATURE_<FEATURE>: "provider" or "provider:model" for one feature,
+ *   e.g. LLM_FEATURE_CODE_REVIEW=openai:gpt-4o-mini
+ * - LLM_FALLBACKS: providers tried in order when a feature's provider fails,
+ *   e.g. "groq,gemini" or "openai:gpt-4o-mini"
+ * - LLM_MAX_RETRIES: retries of a failed call on the same provider (default 2)
+ *
+ * @module lib/llm/config
+ */
+
+// Generation settings shared by features
+const Presets = {
+  // Routing, titles and other short, deterministic output
+  fast: { temperature: 0.3, maxTokens: 512 },
+  // Complex reasoning
+  main: { temperature: 0.7, maxTokens: 2048 },
+  // Explanations and learning
+  creative: { temperature: 0.9, maxTokens: 2048 },
+};
+
+/** Default provider and settings of every AI feature */
+export const FEATURES = {
+  // Companion agents
+  router: { provider: "gemini", ...Presets.fast },
+  learning: { provider: "gemini", ...Presets.creative },
+  general: { provider: "gemini", ...Presets.creative },
+  task: { provider: "gemini", ...Presets.main },
+  code: { provider: "gemini", ...Presets.main },
+  roadmap: { provider: "gemini", ...Presets.main },
+
+  // Companion conversations
+  titles: { provider: "gemini", ...Presets.fast },
+  summary: { provider: "gemini", ...Presets.fast },
+
+  // Server actions
+  questEvaluation: { provider: "groq", temperature: 0.3, maxTokens: 1000, topP: 0.8 },
+  roadmapValidation: { provider: "groq", temperature: 0.1, maxTokens: 10 },
+  roadmapGeneration: { provider: "groq", temperature: 0.7, maxTokens: 1024 },
+  questionAnswer: { provider: "groq", temperature: 0.5, maxTokens: 800, topP: 0.65 },
+  codeReview: { provider: "groq", temperature: 0.5, maxTokens: 1500, topP: 0.65 },
+};
+
+const DEFAULT_MAX_RETRIES = 2;
+
+/**
+ * Reads a "provider" or "provider:model" setting
+ * @param {string} spec - Setting value
+ * @returns {{ provider: string, model?: string }|null}
+ *
+ * @example
+ * parseModelSpec("openai:gpt-4o-mini") // { provider: "openai", model: "gpt-4o-mini" }
+ */
+export function parseModelSpec(spec) {
+  const value = spec?.trim();
+  if (!value) return null;
+
+  const separator = value.indexOf(":");
+  if (separator === -1) {
+    return { provider: value.toLowerCase() };
+  }
+  return {
+    provider: value.slice(0, separator).trim().toLowerCase(),
+    model: value.slice(separator + 1).trim() || undefined,
+  };
+}
+
+/**
+ * Environment variable naming a feature's provider
+ * @param {string} feature - Feature name
+ * @returns {string} e.g. LLM_FEATURE_CODE_REVIEW for codeReview
+ */
+export function featureEnvName(feature) {
+  return `LLM_FEATURE_${feature.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+}
+
+/**
+ * Provider, model, settings, fallbacks and retries of a feature, with the
+ * environment overrides applied
+ * @param {string} feature - One of FEATURES
+ * @returns {{ feature: string, candidates: Array<{ provider: string, model?: string }>,
+ *   settings: Object, retries: number }} `candidates` lists the provider to use
+ *   first, then the fallbacks
+ * @throws {Error} If the feature is unknown
+ */
+export function resolveFeature(feature) {
+  const defaults = FEATURES[feature];
+  if (!defaults) {
+    throw new Error(`Unknown LLM feature: ${feature}`);
+  }
+
+  const { provider: defaultProvider, ...settings } = defaults;
+  const primary =
+    parseModelSpec(process.env[featureEnvName(feature)]) ||
+    parseModelSpec(process.env.LLM_PROVIDER) ||
+    { provider: defaultProvider };
+
+  const fallbacks = (process.env.LLM_FALLBACKS || "")
+    .split(",")
+    .map(parseModelSpec)
+    .filter((candidate) => candidate && candidate.provider !== primary.provider);
+
+  const retries = parseInt(process.env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES);
+
+  return {
+    feature,
+    candidates: [primary, ...fallbacks],
+    settings,
+    retries: Number.isNaN(retries) ? DEFAULT_MAX_RETRIES : Math.max(0, retries),
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * LLM Provider Layer (server only)
+ *
+ * Every AI feature gets its model here, by feature name, instead of creating
+ * a client itself. The provider and model of each feature come from
+ * lib/llm/config (overridable from the environment), and retries and
+ * fallbacks between providers happen in ResilientChatModel.
+ *
+ * Providers: gemini, groq, openai (any OpenAI-compatible endpoint) and mock
+ * (deterministic, offline). Run any feature offline with LLM_PROVIDER=mock.
+ *
+ * @example
+ * const model = getChatModel("router");
+ * const response = await model.invoke([new SystemMessage(prompt), new HumanMessage(message)]);
+ *
+ * const { content } = await complete("codeReview", [
+ *   { role: "system", content: systemPrompt },
+ *   { role: "user", content: code },
+ * ]);
+ *
+ * @module lib/llm
+ */
+
+import { AIMessage, HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { resolveFeature } from "./config";
+import { registerProvider } from "./registry";
+import { ResilientChatModel } from "./resilientChatModel";
+import { geminiProvider } from "./providers/gemini";
+import { groqProvider } from "./providers/groq";
+import { openAIProvider } from "./providers/openai";
+import { mockProvider } from "./providers/mock";
+
+registerProvider(geminiProvider);
+registerProvider(groqProvider);
+registerProvider(openAIProvider);
+registerProvider(mockProvider);
+
+/**
+ * LangChain chat model of a feature (supports invoke, stream and bindTools)
+ * @param {string} feature - Feature name, see FEATURES in lib/llm/config
+ * @returns {ResilientChatModel}
+ * @throws {Error} If the feature is unknown
+ */
+export function getChatModel(feature) {
+  return new ResilientChatModel(resolveFeature(feature));
+}
+
+const MESSAGE_CLASSES = {
+  system: SystemMessage,
+  assistant: AIMessage,
+  user: HumanMessage,
+};
+
+/**
+ * Sends a chat to a feature's model and returns the reply text
+ * @param {string} feature - Feature name, see FEATURES in lib/llm/config
+ * @param {Array<{ role: string, content: string }>} messages - "system", "user" or "assistant" messages
+ * @param {Object} [options] - Call options, e.g. { signal }
+ * @returns {Promise<{ content: string, provider: string, model: string }>} Reply
+ *   and the provider and model that wrote it
+ */
+export async function complete(feature, messages, options = {}) {
+  const response = await getChatModel(feature).invoke(
+    messages.map(({ role, content }) => new (MESSAGE_CLASSES[role] || HumanMessage)(content)),
+    options
+  );
+
+  return {
+    content: typeof response.content === "string" ? response.content : "",
+    provider: response.response_metadata?.provider,
+    model: response.response_metadata?.model,
+  };
+}
+
+export { FEATURES, resolveFeature } from "./config";
+export { registerProvider, getProvider, listProviders } from "./registry";
+export { isRetryableError } from "./resilientChatModel";
+export { getApiKeyStats } from "./providers/gemini";
+export { queueMockReplies, setMockResponder, resetMock } from "./providers/mock";
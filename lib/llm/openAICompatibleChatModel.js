@@ -0,0 +1,141 @@
+/**
+ * OpenAI-Compatible Chat Model
+ *
+ * LangChain chat model for any API that speaks OpenAI's chat completions
+ * format (OpenAI, Groq, local servers such as Ollama or vLLM), including
+ * tool calling. The request itself is made by the provider, so each can use
+ * its own client.
+ *
+ * @module lib/llm/openAICompatibleChatModel
+ */
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage } from "@langchain/core/messages";
+import { convertToOpenAITool } from "@langchain/core/utils/function_calling";
+
+/**
+ * A LangChain message in the chat completions format
+ * @param {Object} message - LangChain message
+ * @returns {Object}
+ */
+function toOpenAIMessage(message) {
+  const content = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+
+  switch (message.type) {
+    case "system":
+      return { role: "system", content };
+    case "ai":
+      return {
+        role: "assistant",
+        content: content || null,
+        ...(message.tool_calls?.length && {
+          tool_calls: message.tool_calls.map((toolCall) => ({
+            id: toolCall.id,
+            type: "function",
+            function: { name: toolCall.name, arguments: JSON.stringify(toolCall.args ?? {}) },
+          })),
+        }),
+      };
+    case "tool":
+      return { role: "tool", tool_call_id: message.tool_call_id, content };
+    default:
+      return { role: "user", content };
+  }
+}
+
+/**
+ * The reply of a completion as a LangChain message
+ * @param {Object} completion - Chat completions response
+ * @returns {AIMessage}
+ */
+function toAIMessage(completion) {
+  const choice = completion?.choices?.[0];
+  if (!choice?.message) {
+    throw new Error("The model returned no reply");
+  }
+
+  const toolCalls = [];
+  const invalidToolCalls = [];
+  for (const toolCall of choice.message.tool_calls || []) {
+    try {
+      toolCalls.push({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        args: JSON.parse(toolCall.function.arguments || "{}"),
+        type: "tool_call",
+      });
+    } catch (error) {
+      invalidToolCalls.push({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        args: toolCall.function.arguments,
+        error: error.message,
+        type: "invalid_tool_call",
+      });
+    }
+  }
+
+  return new AIMessage({
+    content: choice.message.content || "",
+    tool_calls: toolCalls,
+    invalid_tool_calls: invalidToolCalls,
+    response_metadata: { model_name: completion.model, finish_reason: choice.finish_reason },
+    ...(completion.usage && {
+      usage_metadata: {
+        input_tokens: completion.usage.prompt_tokens,
+        output_tokens: completion.usage.completion_tokens,
+        total_tokens: completion.usage.total_tokens,
+      },
+    }),
+  });
+}
+
+export class OpenAICompatibleChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields
+   * @param {string} fields.providerName - Provider name, for LangChain tracing
+   * @param {string} fields.model - Model name
+   * @param {number} [fields.temperature]
+   * @param {number} [fields.maxTokens]
+   * @param {number} [fields.topP]
+   * @param {Function} fields.createCompletion - async (body, { signal }) => chat completions response
+   */
+  constructor({ providerName, model, temperature, maxTokens, topP, createCompletion }) {
+    super({});
+    this.providerName = providerName;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.topP = topP;
+    this.createCompletion = createCompletion;
+  }
+
+  static lc_name() {
+    return "OpenAICompatibleChatModel";
+  }
+
+  _llmType() {
+    return this.providerName;
+  }
+
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  async _generate(messages, options) {
+    const body = {
+      model: this.model,
+      messages: messages.map(toOpenAIMessage),
+      ...(this.temperature !== undefined && { temperature: this.temperature }),
+      ...(this.maxTokens !== undefined && { max_tokens: this.maxTokens }),
+      ...(this.topP !== undefined && { top_p: this.topP }),
+      ...(options.stop && { stop: options.stop }),
+      ...(options.tools?.length && { tools: options.tools.map((tool) => convertToOpenAITool(tool)) }),
+    };
+
+    const message = toAIMessage(await this.createCompletion(body, { signal: options.signal }));
+    return {
+      generations: [{ text: message.content, message }],
+    };
+  }
+}
@@ -1,37 +1,16 @@
-// Gemini Client Configuration
-
 /**
- * Gemini Client Configuration
+ * Gemini Provider
+ *
+ * Google Gemini through LangChain, rotating between the configured API keys
+ * (GOOGLE_API_KEY, GOOGLE_API_KEY_1 ... GOOGLE_API_KEY_4). A key that hits its
+ * rate limit rests for a minute while the others are used.
  *
- * LangChain integration with Google Gemini for multi-agent system.
- * Includes API key rotation for efficient usage.
+ * @module lib/llm/providers/gemini
  */
 
 import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import logger from "@/lib/logger";
 
-// Model configurations for different purposes
-const ModelConfig = {
-  // Fast model for routing and simple tasks
-  fast: {
-    model: "gemini-2.5-flash",
-    temperature: 0.3,
-    maxOutputTokens: 512,
-  },
-  // Main model for complex reasoning
-  main: {
-    model: "gemini-2.5-flash",
-    temperature: 0.7,
-    maxOutputTokens: 2048,
-  },
-  // Creative model for explanations and learning
-  creative: {
-    model: "gemini-2.5-flash",
-    temperature: 0.9,
-    maxOutputTokens: 2048,
-  },
-};
-
 // ============================================
 // API KEY ROTATION SYSTEM
 // ============================================
@@ -201,12 +180,15 @@ export function getApiKeyStats() {
 }
 
 // ============================================
-// MODEL POOL WITH KEY ROTATION
+// MODEL POOL
 // ============================================
 
-// Model instance pool - keyed by type AND api key index
+// Model instances by settings and API key
 const modelPool = new Map();
 
+// API key index of each pooled model
+const modelKeys = new WeakMap();
+
 /**
  * Clear model pool (useful for testing or reinitialization)
  */
@@ -216,128 +198,65 @@ export function clearModelPool() {
 }
 
 /**
- * Create a Gemini model instance with automatic key rotation
- * @param {string} type - Model type: 'fast', 'main', or 'creative'
- * @returns {ChatGoogleGenerativeAI} LangChain Gemini model
+ * Whether an error means the key has hit its rate limit
  */
-export function createGeminiModel(type = "main") {
-  const config = ModelConfig[type] || ModelConfig.main;
-  const { key, index } = getNextApiKey();
-
-  // Create pool key
-  const poolKey = `${type}_${index}`;
+function isRateLimitError(error) {
+  const errorMsg = error?.message?.toLowerCase() || "";
+  return (
+    errorMsg.includes("429") ||
+    errorMsg.includes("quota") ||
+    errorMsg.includes("rate") ||
+    errorMsg.includes("resource exhausted")
+  );
+}
 
-  // Return cached model if exists for this key
-  if (modelPool.has(poolKey)) {
-    logger.debug("Using pooled Gemini model", { type, keyIndex: index + 1 });
-    return modelPool.get(poolKey);
-  }
+export const geminiProvider = {
+  name: "gemini",
+  get defaultModel() {
+    return process.env.GEMINI_MODEL || "gemini-2.5-flash";
+  },
+  setupHint: "Add GOOGLE_API_KEY to your .env.local file. Get one from: https://aistudio.google.com/app/apikey",
 
-  logger.debug("Creating Gemini model", {
-    type,
-    model: config.model,
-    temperature: config.temperature,
-    keyIndex: index + 1,
-  });
+  isConfigured() {
+    return loadApiKeys().length > 0;
+  },
 
-  try {
-    const model = new ChatGoogleGenerativeAI({
-      apiKey: key,
-      ...config,
-    });
+  /**
+   * Create a Gemini model on the next available API key
+   * @returns {ChatGoogleGenerativeAI} LangChain Gemini model
+   */
+  createChatModel({ model, temperature, maxTokens, topP }) {
+    const { key, index } = getNextApiKey();
+
+    const poolKey = `${model}_${temperature}_${maxTokens}_${topP}_${index}`;
+    if (modelPool.has(poolKey)) {
+      logger.debug("Using pooled Gemini model", { model, keyIndex: index + 1 });
+      return modelPool.get(poolKey);
+    }
 
-    // Wrap invoke to handle rate limits automatically
-    const originalInvoke = model.invoke.bind(model);
-    model.invoke = async (...args) => {
-      try {
-        return await originalInvoke(...args);
-      } catch (error) {
-        const errorMsg = error.message?.toLowerCase() || "";
-
-        // Check if it's a rate limit error
-        if (
-          errorMsg.includes("429") ||
-          errorMsg.includes("quota") ||
-          errorMsg.includes("rate") ||
-          errorMsg.includes("resource exhausted")
-        ) {
-          markKeyRateLimited(index);
-
-          // Try with a different key if available
-          if (keyStatus.length > 1) {
-            logger.info("Retrying with different API key due to rate limit");
-            clearModelPool(); // Clear pool to force new key selection
-            const newModel = createGeminiModel(type);
-            return await newModel.invoke(...args);
-          }
-        }
-        throw error;
-      }
-    };
-
-    logger.debug("Gemini model created successfully", {
-      type,
-      keyIndex: index + 1,
-    });
+    logger.debug("Creating Gemini model", { model, temperature, keyIndex: index + 1 });
 
-    // Store in pool for reuse
-    modelPool.set(poolKey, model);
-
-    return model;
-  } catch (err) {
-    logger.error("Failed to create Gemini model", {
-      error: err.message,
-      errorName: err.name,
-      type,
-      keyIndex: index + 1,
-      hint: "Please verify your GOOGLE_API_KEY is valid",
+    const chatModel = new ChatGoogleGenerativeAI({
+      apiKey: key,
+      model,
+      temperature,
+      maxOutputTokens: maxTokens,
+      ...(topP !== undefined && { topP }),
     });
-    throw new Error(
-      `Failed to initialize Gemini model (${type}): ${err.message}. Please verify your GOOGLE_API_KEY is valid.`
-    );
-  }
-}
-
-/**
- * Get model for router agent (fast, deterministic)
- */
-export function getRouterModel() {
-  return createGeminiModel("fast");
-}
-
-/**
- * Get model for learning companion (creative, explanatory)
- */
-export function getLearningModel() {
-  return createGeminiModel("creative");
-}
 
-/**
- * Get model for task manager (balanced)
- */
-export function getTaskModel() {
-  return createGeminiModel("main");
-}
-
-/**
- * Get model for code assistance (precise)
- */
-export function getCodeModel() {
-  return createGeminiModel("main");
-}
-
-/**
- * Get model for roadmap navigation
- */
-export function getRoadmapModel() {
-  return createGeminiModel("main");
-}
+    modelPool.set(poolKey, chatModel);
+    modelKeys.set(chatModel, index);
+    return chatModel;
+  },
 
-/**
- * Get model for general conversation
- */
-export function getGeneralModel() {
-  return createGeminiModel("creative");
-}
+  /**
+   * Rest the key of a model that hit its rate limit, so the retry uses another
+   */
+  handleError(error, chatModel) {
+    if (isRateLimitError(error) && modelKeys.has(chatModel)) {
+      markKeyRateLimited(modelKeys.get(chatModel));
+    }
+  },
+};
 
-export default createGeminiModel;
+export default geminiProvider;
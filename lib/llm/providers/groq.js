@@ -0,0 +1,47 @@
+/**
+ * Groq Provider
+ *
+ * Groq's hosted open models through groq-sdk (GROQ_API_KEY). The default
+ * model can be changed with GROQ_MODEL.
+ *
+ * @module lib/llm/providers/groq
+ */
+
+import Groq from "groq-sdk";
+import { OpenAICompatibleChatModel } from "../openAICompatibleChatModel";
+
+// Created on first use, so a missing key only matters to features that use Groq
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+  }
+  return client;
+}
+
+export const groqProvider = {
+  name: "groq",
+  get defaultModel() {
+    return process.env.GROQ_MODEL || "llama-3.3-70b-versatile";
+  },
+  setupHint: "Add GROQ_API_KEY to your .env.local file. Get one from: https://console.groq.com/",
+
+  isConfigured() {
+    return Boolean(process.env.GROQ_API_KEY);
+  },
+
+  createChatModel({ model, temperature, maxTokens, topP }) {
+    return new OpenAICompatibleChatModel({
+      providerName: "groq",
+      model,
+      temperature,
+      maxTokens,
+      topP,
+      createCompletion: (body, { signal }) =>
+        getClient().chat.completions.create({ ...body, stream: false }, { signal }),
+    });
+  },
+};
+
+export default groqProvider;
@@ -0,0 +1,133 @@
+/**
+ * Mock Provider
+ *
+ * A deterministic local model, for developing and testing AI features
+ * without network access or API keys (LLM_PROVIDER=mock). Each call replies
+ * with, in order:
+ * 1. the next reply queued with queueMockReplies()
+ * 2. what the responder set with setMockResponder() returns, unless undefined
+ * 3. the last user message echoed back: "[mock:<feature>] <message>"
+ *
+ * A reply is a string or `{ content, tool_calls: [{ name, args, id? }] }`.
+ *
+ * Like Gemini, the default provider, it rejects a system message anywhere but
+ * first, so code that would fail there fails offline too.
+ *
+ * @module lib/llm/providers/mock
+ */
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage } from "@langchain/core/messages";
+
+const queued = [];
+let responder = null;
+
+/**
+ * Queue replies for the next calls, whatever their feature
+ * @param {...(string|Object)} replies - Replies, in order
+ */
+export function queueMockReplies(...replies) {
+  queued.push(...replies);
+}
+
+/**
+ * Set a function that picks replies
+ * @param {Function|null} fn - (messages, { feature, model, tools }) => reply or undefined
+ */
+export function setMockResponder(fn) {
+  responder = fn;
+}
+
+/**
+ * Drop queued replies and the responder
+ */
+export function resetMock() {
+  queued.length = 0;
+  responder = null;
+}
+
+/**
+ * Text of the last user message
+ * @param {Array} messages - LangChain messages
+ * @returns {string}
+ */
+function lastUserText(messages) {
+  const message = [...messages].reverse().find((m) => m.type === "human");
+  if (!message) return "";
+  return typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+}
+
+export class MockChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields
+   * @param {string} fields.feature - Feature the model serves
+   * @param {string} fields.model - Model name, passed to the responder
+   */
+  constructor({ feature, model }) {
+    super({});
+    this.feature = feature;
+    this.model = model;
+  }
+
+  static lc_name() {
+    return "MockChatModel";
+  }
+
+  _llmType() {
+    return "mock";
+  }
+
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  async _generate(messages, options) {
+    if (messages.some((message, index) => message.type === "system" && index !== 0)) {
+      throw new Error("System message should be the first one");
+    }
+
+    let reply = queued.length > 0 ? queued.shift() : undefined;
+    if (reply === undefined && responder) {
+      reply = await responder(messages, {
+        feature: this.feature,
+        model: this.model,
+        tools: options.tools || [],
+      });
+    }
+    if (reply === undefined) {
+      reply = `[mock:${this.feature}] ${lastUserText(messages)}`;
+    }
+
+    const { content = "", tool_calls: toolCalls = [] } = typeof reply === "string" ? { content: reply } : reply;
+    const message = new AIMessage({
+      content,
+      // IDs only need to be unique within the conversation
+      tool_calls: toolCalls.map((toolCall, index) => ({
+        id: toolCall.id || `mock_${messages.length}_${index}`,
+        name: toolCall.name,
+        args: toolCall.args || {},
+        type: "tool_call",
+      })),
+      response_metadata: { model_name: this.model },
+    });
+
+    return {
+      generations: [{ text: content, message }],
+    };
+  }
+}
+
+export const mockProvider = {
+  name: "mock",
+  defaultModel: "mock-echo",
+
+  isConfigured() {
+    return true;
+  },
+
+  createChatModel({ model, feature }) {
+    return new MockChatModel({ feature, model });
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,67 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Any endpoint with OpenAI's chat completions API: OpenAI itself, or a local
+ * server such as Ollama, LM Studio or vLLM. Configured with OPENAI_BASE_URL
+ * (default https://api.openai.com/v1), OPENAI_API_KEY (optional for local
+ * servers) and OPENAI_MODEL.
+ *
+ * @module lib/llm/providers/openai
+ */
+
+import { OpenAICompatibleChatModel } from "../openAICompatibleChatModel";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Sends a chat completions request
+ * @param {Object} body - Request body
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With `status` set when the API answers with an error
+ */
+async function createCompletion(body, { signal }) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => "");
+    const error = new Error(`OpenAI-compatible API error ${response.status}: ${detail.slice(0, 300)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+export const openAIProvider = {
+  name: "openai",
+  get defaultModel() {
+    return process.env.OPENAI_MODEL || "gpt-4o-mini";
+  },
+  setupHint: "Add OPENAI_API_KEY, or OPENAI_BASE_URL for a local server, to your .env.local file.",
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  createChatModel({ model, temperature, maxTokens, topP }) {
+    return new OpenAICompatibleChatModel({
+      providerName: "openai",
+      model,
+      temperature,
+      maxTokens,
+      topP,
+      createCompletion,
+    });
+  },
+};
+
+export default openAIProvider;
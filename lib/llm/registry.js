@@ -0,0 +1,54 @@
+/**
+ * LLM Provider Registry
+ *
+ * A provider turns a model name and generation settings into a LangChain
+ * chat model:
+ *
+ * {
+ *   name: "groq",
+ *   defaultModel: "llama-3.3-70b-versatile",
+ *   isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+ *   setupHint: "Set GROQ_API_KEY",
+ *   createChatModel: ({ model, temperature, maxTokens, topP, feature }) => chatModel,
+ *   handleError: (error, chatModel) => {}, // optional, e.g. rotate API keys
+ * }
+ *
+ * @module lib/llm/registry
+ */
+
+const providers = new Map();
+
+/**
+ * Adds a provider, replacing any with the same name
+ * @param {Object} provider - See above
+ * @returns {Object} The provider
+ */
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * @param {string} name - Provider name
+ * @returns {Object} The provider
+ * @throws {Error} If no provider has that name
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name} (available: ${[...providers.keys()].join(", ")})`);
+  }
+  return provider;
+}
+
+/**
+ * Registered providers and whether each has its credentials
+ * @returns {Array<{ name: string, defaultModel: string, configured: boolean }>}
+ */
+export function listProviders() {
+  return [...providers.values()].map((provider) => ({
+    name: provider.name,
+    defaultModel: provider.defaultModel,
+    configured: provider.isConfigured(),
+  }));
+}
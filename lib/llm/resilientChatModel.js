@@ -0,0 +1,233 @@
+/**
+ * Resilient Chat Model
+ *
+ * The chat model features get from getChatModel(). Each call goes to the
+ * feature's provider; failures that may pass (rate limits, timeouts, server
+ * errors) are retried with backoff, and when a provider keeps failing the
+ * fallback providers are tried in order. Streaming falls back too, as long as
+ * nothing has been streamed yet.
+ *
+ * @module lib/llm/resilientChatModel
+ */
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessageChunk, isAIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { getProvider } from "./registry";
+import logger, { logExternalApi } from "@/lib/logger";
+
+// Delay before the first retry; doubled for each further retry
+const RETRY_BASE_DELAY_MS = 500;
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Error messages worth retrying
+const RETRYABLE_PATTERNS = [
+  "429", "quota", "rate limit", "resource exhausted", "timeout", "timed out",
+  "econnreset", "etimedout", "fetch failed", "network", "overloaded", "unavailable",
+];
+
+/**
+ * Whether a failed call may succeed if repeated
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error?.name === "AbortError") return false;
+
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (typeof status === "number") {
+    return RETRYABLE_STATUSES.includes(status) || status >= 500;
+  }
+
+  const message = error?.message?.toLowerCase() || "";
+  return RETRYABLE_PATTERNS.some((pattern) => message.includes(pattern));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * The chunk the stream yields for a message of a model that doesn't stream
+ * @param {Object} message - AIMessage or AIMessageChunk
+ * @returns {Object} AIMessageChunk
+ */
+function toChunk(message) {
+  if (isAIMessageChunk(message)) return message;
+  return new AIMessageChunk({
+    id: message.id,
+    content: message.content,
+    tool_calls: message.tool_calls,
+    invalid_tool_calls: message.invalid_tool_calls,
+    additional_kwargs: message.additional_kwargs,
+    response_metadata: message.response_metadata,
+    usage_metadata: message.usage_metadata,
+  });
+}
+
+export class ResilientChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields - From resolveFeature()
+   * @param {string} fields.feature - Feature name, for logs
+   * @param {Array<{ provider: string, model?: string }>} fields.candidates - Provider first, then fallbacks
+   * @param {Object} fields.settings - { temperature, maxTokens, topP }
+   * @param {number} fields.retries - Retries per candidate
+   */
+  constructor({ feature, candidates, settings, retries }) {
+    super({});
+    this.feature = feature;
+    this.candidates = candidates;
+    this.settings = settings;
+    this.retries = retries;
+  }
+
+  static lc_name() {
+    return "ResilientChatModel";
+  }
+
+  _llmType() {
+    return "resilient";
+  }
+
+  /**
+   * Bind tools; they are passed on to whichever provider serves the call
+   * @param {Array} tools - LangChain tools
+   * @param {Object} [kwargs] - Other call options
+   */
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  /**
+   * Chat model of a candidate, with the call's tools bound
+   * @param {Object} provider - Registered provider
+   * @param {Object} candidate - { provider, model }
+   * @param {Array} [tools] - Bound tools
+   * @returns {{ chatModel: Object, runnable: Object, model: string }}
+   */
+  createModel(provider, candidate, tools) {
+    const model = candidate.model || provider.defaultModel;
+    const chatModel = provider.createChatModel({ ...this.settings, model, feature: this.feature });
+    const runnable = tools?.length ? chatModel.bindTools(tools) : chatModel;
+    return { chatModel, runnable, model };
+  }
+
+  /**
+   * Records a failed call and decides whether to repeat it on the same provider
+   * @returns {Promise<boolean>} true to retry, false to move on to the next candidate
+   */
+  async shouldRetry(error, provider, chatModel, attempt, signal) {
+    provider.handleError?.(error, chatModel);
+    const retry = attempt < this.retries && isRetryableError(error) && !signal?.aborted;
+
+    logger.warn("LLM call failed", {
+      feature: this.feature,
+      provider: provider.name,
+      attempt: attempt + 1,
+      error: error.message,
+      retry,
+    });
+
+    if (retry) {
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+    return retry;
+  }
+
+  /**
+   * Candidates whose provider has its credentials, with the provider
+   * Unconfigured ones are skipped; the error says how to configure them.
+   * @returns {{ usable: Array<{ provider: Object, candidate: Object }>, skipped: Error|null }}
+   */
+  usableCandidates() {
+    const usable = [];
+    let skipped = null;
+
+    for (const candidate of this.candidates) {
+      const provider = getProvider(candidate.provider);
+      if (provider.isConfigured()) {
+        usable.push({ provider, candidate });
+      } else {
+        skipped ??= new Error(`LLM provider "${provider.name}" is not configured. ${provider.setupHint || ""}`.trim());
+      }
+    }
+    return { usable, skipped };
+  }
+
+  /**
+   * Error thrown when every candidate failed
+   */
+  exhausted(lastError) {
+    logger.error("LLM call failed on every provider", {
+      feature: this.feature,
+      providers: this.candidates.map((candidate) => candidate.provider),
+      error: lastError?.message,
+    });
+    return lastError || new Error(`No LLM provider available for ${this.feature}`);
+  }
+
+  async _generate(messages, options, runManager) {
+    const { usable, skipped } = this.usableCandidates();
+    let lastError = skipped;
+
+    for (const { provider, candidate } of usable) {
+      for (let attempt = 0; ; attempt++) {
+        const { chatModel, runnable, model } = this.createModel(provider, candidate, options.tools);
+        try {
+          logExternalApi(provider.name, this.feature, { model, attempt: attempt + 1 });
+          const message = await runnable.invoke(messages, {
+            signal: options.signal,
+            callbacks: runManager?.getChild(),
+          });
+          message.response_metadata = { ...message.response_metadata, provider: provider.name, model };
+
+          return {
+            generations: [{ text: typeof message.content === "string" ? message.content : "", message }],
+          };
+        } catch (error) {
+          lastError = error;
+          if (!(await this.shouldRetry(error, provider, chatModel, attempt, options.signal))) break;
+        }
+      }
+    }
+
+    throw this.exhausted(lastError);
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { usable, skipped } = this.usableCandidates();
+    let lastError = skipped;
+
+    for (const { provider, candidate } of usable) {
+      for (let attempt = 0; ; attempt++) {
+        const { chatModel, runnable, model } = this.createModel(provider, candidate, options.tools);
+        let streamed = false;
+        try {
+          logExternalApi(provider.name, this.feature, { model, attempt: attempt + 1, stream: true });
+          const stream = await runnable.stream(messages, {
+            signal: options.signal,
+            callbacks: runManager?.getChild(),
+          });
+
+          for await (const part of stream) {
+            streamed = true;
+            const chunk = toChunk(part);
+            const text = typeof chunk.content === "string" ? chunk.content : "";
+            yield new ChatGenerationChunk({ text, message: chunk });
+            if (text) {
+              await runManager?.handleLLMNewToken(text);
+            }
+          }
+          return;
+        } catch (error) {
+          // Another provider can't continue a half-streamed reply
+          if (streamed) throw error;
+          lastError = error;
+          if (!(await this.shouldRetry(error, provider, chatModel, attempt, options.signal))) break;
+        }
+      }
+    }
+
+    throw this.exhausted(lastError);
+  }
+}
@@ -27,6 +27,8 @@ const metrics = {
     bn: 0,
   },
   errors: [],
+  // Latest routing evaluation of each router, by router name
+  routingEvals: {},
 };
 
 // Configuration
@@ -92,6 +94,30 @@ export function recordRequest(data) {
   }
 }
 
+/**
+ * Record the result of a routing evaluation (see lib/agents/evals/routingEval)
+ * @param {Object} result - Result of runRoutingEval()
+ * @param {Array<Object>} [regressions] - Result of findRegressions()
+ */
+export function recordRoutingEval(result, regressions = []) {
+  for (const [router, scores] of Object.entries(result.routers)) {
+    metrics.routingEvals[router] = {
+      accuracy: scores.accuracy,
+      coverage: scores.coverage,
+      macroF1: scores.macroF1,
+      misroutes: scores.misroutes.length,
+      regressions: regressions.filter((regression) => regression.router === router).length,
+      datasetSize: result.datasetSize,
+      timestamp: Date.now(),
+    };
+  }
+
+  logger.info('Routing evaluation recorded', {
+    routers: Object.keys(result.routers),
+    regressions: regressions.length,
+  });
+}
+
 /**
  * Calculate average from array
  * @param {Array<number>} arr - Array of numbers
@@ -146,6 +172,12 @@ export function getMetricsSummary() {
     routing: {
       avgConfidence: avgConfidence.toFixed(2),
       samples: metrics.routingConfidence.length,
+      evaluations: Object.fromEntries(
+        Object.entries(metrics.routingEvals).map(([router, evaluation]) => [
+          router,
+          { ...evaluation, timestamp: new Date(evaluation.timestamp).toISOString() },
+        ])
+      ),
     },
     agentUsage: metrics.agentUsage,
     languageUsage: metrics.languageUsage,
@@ -182,6 +214,7 @@ export function resetMetrics() {
   metrics.routingConfidence = [];
   metrics.languageUsage = { en: 0, bn: 0 };
   metrics.errors = [];
+  metrics.routingEvals = {};
 
   logger.info('Metrics reset');
 }
@@ -193,6 +226,7 @@ if (process.env.NODE_ENV === 'production') {
 
 export default {
   recordRequest,
+  recordRoutingEval,
   getMetricsSummary,
   logMetricsSummary,
   resetMetrics,
@@ -57,7 +57,23 @@ const attemptSchema = new mongoose.Schema({
       evaluatedAt: {
         type: Date
       }
-    }
+    },
+    // Graded from the question's answer key rather than by the AI
+    autoGraded: {
+      type: Boolean,
+      default: false
+    },
+    // Per-test-case outcome for coding questions
+    testResults: [{
+      input: String,
+      expectedOutput: String,
+      actualOutput: String,
+      passed: {
+        type: Boolean,
+        default: false
+      },
+      error: String
+    }]
   }],
   totalPoints: {
     type: Number,
@@ -2,7 +2,10 @@
  * Conversation Model
  * 
  * Stores conversation history for the AI companion.
- * Tracks messages, active agent, and learning context.
+ * Tracks messages, active agent, and learning context, a rolling summary of
+ * older messages (see lib/conversations/summary), and the action an agent is
+ * waiting for the user to confirm (see lib/agents/confirmation).
+ * Archived conversations have `isActive` set to false.
  */
 
 import mongoose from "mongoose";
@@ -33,6 +36,50 @@ const messageSchema = new mongoose.Schema({
   },
 });
 
+// A risky tool call waiting for the user's answer
+const pendingActionSchema = new mongoose.Schema(
+  {
+    actionId: {
+      type: String,
+      required: true,
+    },
+    agent: {
+      type: String,
+      enum: ["learning", "task", "code", "roadmap", "general"],
+      required: true,
+    },
+    toolCalls: [
+      {
+        _id: false,
+        toolCallId: String,
+        toolName: String,
+        args: mongoose.Schema.Types.Mixed,
+        risk: String,
+        preview: String,
+      },
+    ],
+    // Paused tool loop (stored messages, tool results, step trace)
+    state: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    language: {
+      type: String,
+      enum: ["en", "bn"],
+      default: "en",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const conversationSchema = new mongoose.Schema(
   {
     clerkId: {
@@ -76,6 +123,25 @@ const conversationSchema = new mongoose.Schema(
       enum: ["en", "bn"],
       default: "en",
     },
+    summary: {
+      content: {
+        type: String,
+        default: "",
+      },
+      // Messages from the start of the conversation the summary covers
+      messageCount: {
+        type: Number,
+        default: 0,
+      },
+      updatedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    pendingAction: {
+      type: pendingActionSchema,
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -90,6 +156,19 @@ const conversationSchema = new mongoose.Schema(
 conversationSchema.index({ clerkId: 1, isActive: 1 });
 conversationSchema.index({ clerkId: 1, updatedAt: -1 });
 
+// Full-text search over titles and messages. Messages are English or Bengali,
+// so words aren't stemmed, and the documents' own `language` fields ("en",
+// "bn") aren't read as text search languages.
+conversationSchema.index(
+  { title: "text", "messages.content": "text" },
+  {
+    name: "conversation_text",
+    weights: { title: 5, "messages.content": 1 },
+    default_language: "none",
+    language_override: "textSearchLanguage",
+  }
+);
+
 // Virtual for message count
 conversationSchema.virtual("messageCount").get(function () {
   return this.messages.length;
@@ -112,6 +191,43 @@ conversationSchema.methods.getRecentMessages = function (limit = 10) {
   return this.messages.slice(-limit);
 };
 
+// Method to get the history sent to agents: the summary of older messages,
+// then the recent messages
+conversationSchema.methods.getContextMessages = function (limit = 10) {
+  const recent = this.getRecentMessages(limit);
+  if (!this.summary?.content) {
+    return recent;
+  }
+  return [
+    { role: "system", content: `Summary of the earlier conversation:\n${this.summary.content}` },
+    ...recent,
+  ];
+};
+
+// Method to summarize the conversation for conversation lists
+conversationSchema.methods.toSummary = function () {
+  const lastMessage = this.messages[this.messages.length - 1];
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    activeAgent: this.activeAgent,
+    language: this.language,
+    archived: !this.isActive,
+    messageCount: this.messages.length,
+    lastMessage: lastMessage?.content?.substring(0, 100),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Method to get the action awaiting confirmation, unless it has expired
+conversationSchema.methods.getPendingAction = function () {
+  if (!this.pendingAction || this.pendingAction.expiresAt <= new Date()) {
+    return null;
+  }
+  return this.pendingAction;
+};
+
 const Conversation =
   mongoose.models.Conversation || mongoose.model("Conversation", conversationSchema);
 
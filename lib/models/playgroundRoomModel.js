@@ -0,0 +1,602 @@
+/**
+ * Playground Room Model
+ *
+ * Persists collaborative playground rooms: the current project (as a merged
+ * Yjs document, see lib/collab/document), a capped history of snapshots that
+ * can be restored, the members who have joined, and the scrollback of code
+ * runs every member sees.
+ *
+ * `text` fields hold the main file's code, which is all that rooms had before
+ * multi-file projects; `files` hold every file of the project.
+ *
+ * Rooms are private. The member who opens a room owns it; everyone else joins
+ * through an invite link, which grants the editor or viewer role.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { mergeDocumentStates, readDocumentState } from "../collab/document";
+import { defaultFileName } from "../projects/files";
+
+/** Snapshots kept per room; the oldest are dropped first */
+export const MAX_SNAPSHOTS = 50;
+
+/** Minimum time between automatic snapshots */
+export const AUTO_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+/** Member roles, from least to most privileged */
+export const ROOM_ROLES = ["viewer", "editor", "owner"];
+
+/** Roles an invite can grant */
+export const INVITE_ROLES = ["editor", "viewer"];
+
+/** Invites kept per room; expired and revoked invites are dropped first */
+export const MAX_INVITES = 20;
+
+/** Runs kept in a room's scrollback; the oldest are dropped first */
+export const MAX_RUNS = 20;
+
+/**
+ * Files of a document or snapshot, falling back to its main file's text
+ * @param {Object} record - Document or snapshot with `text` and `files`
+ * @param {string} language - Language, naming the main file of older records
+ * @returns {Array<{ name: string, content: string }>}
+ */
+export function projectFiles(record, language) {
+  if (record.files?.length) return record.files.map(({ name, content }) => ({ name, content }));
+  return [{ name: defaultFileName(language), content: record.text || "" }];
+}
+
+/**
+ * Whether two records hold the same files and entry point
+ */
+function sameProject(a, b, language) {
+  const filesA = projectFiles(a, language);
+  const filesB = projectFiles(b, language);
+  return (
+    (a.entry || filesA[0].name) === (b.entry || filesB[0].name) &&
+    filesA.length === filesB.length &&
+    filesA.every((file, index) => file.name === filesB[index].name && file.content === filesB[index].content)
+  );
+}
+
+const projectFileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const snapshotSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    default: "",
+  },
+  // Empty for snapshots of single-file rooms taken before projects
+  files: [projectFileSchema],
+  // Name of the entry file
+  entry: {
+    type: String,
+    default: null,
+  },
+  language: {
+    type: String,
+    required: true,
+  },
+  label: {
+    type: String,
+    default: null,
+  },
+  // Taken automatically while saving, rather than by a member
+  auto: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const runSchema = new mongoose.Schema({
+  runBy: {
+    type: String,
+    required: true,
+  },
+  runByName: {
+    type: String,
+    default: null,
+  },
+  language: {
+    type: String,
+    required: true,
+  },
+  // Runtime version the files ran on
+  version: {
+    type: String,
+    default: null,
+  },
+  // The files that were run, as they were when Run was clicked; entry point first
+  files: [projectFileSchema],
+  stdin: {
+    type: String,
+    default: "",
+  },
+  stdout: {
+    type: String,
+    default: "",
+  },
+  // Compiler errors come first, then the program's own stderr
+  stderr: {
+    type: String,
+    default: "",
+  },
+  exitCode: {
+    type: Number,
+    default: null,
+  },
+  signal: {
+    type: String,
+    default: null,
+  },
+  // Milliseconds
+  duration: {
+    type: Number,
+    default: null,
+  },
+  truncated: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    username: {
+      type: String,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ROOM_ROLES,
+      default: "editor",
+    },
+    online: {
+      type: Boolean,
+      default: false,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const inviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: INVITE_ROLES,
+    default: "editor",
+  },
+  createdBy: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // null means unlimited
+  maxUses: {
+    type: Number,
+    default: null,
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  revoked: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Members removed by the owner; invites created before the removal no longer let them back in
+const removalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    removedBy: {
+      type: String,
+      required: true,
+    },
+    removedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const playgroundRoomSchema = new mongoose.Schema(
+  {
+    roomId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Clerk ID of the member who opened the room
+    owner: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    language: {
+      type: String,
+      default: "javascript",
+    },
+    // Runtime version chosen in the room, null for the newest
+    version: {
+      type: String,
+      default: null,
+    },
+    document: {
+      // Base64 Yjs update holding the whole document
+      state: {
+        type: String,
+        default: null,
+      },
+      // Plain-text copy of the main file, for previews
+      text: {
+        type: String,
+        default: "",
+      },
+      // Plain-text copy of every file, for snapshots
+      files: [projectFileSchema],
+      entry: {
+        type: String,
+        default: null,
+      },
+      updatedAt: {
+        type: Date,
+        default: null,
+      },
+      updatedBy: {
+        type: String,
+        default: null,
+      },
+    },
+    snapshots: [snapshotSchema],
+    members: [memberSchema],
+    invites: [inviteSchema],
+    removedMembers: [removalSchema],
+    runs: [runSchema],
+  },
+  {
+    timestamps: true,
+    // Several members save the same room; a stale save is retried, not applied
+    optimisticConcurrency: true,
+  }
+);
+
+playgroundRoomSchema.index({ "members.userId": 1, updatedAt: -1 });
+playgroundRoomSchema.index({ "invites.token": 1 });
+
+// Static to load a room, creating it (owned by `owner`) on first join
+playgroundRoomSchema.statics.findOrCreate = async function (roomId, { owner, username, language }) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { roomId },
+    {
+      $setOnInsert: {
+        roomId,
+        owner,
+        language: language || "javascript",
+        members: [{ userId: owner, username, role: "owner", joinedAt: now, lastSeenAt: now }],
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Method to get a user's role in the room (null for non-members)
+playgroundRoomSchema.methods.getRole = function (userId) {
+  if (!userId) return null;
+  if (userId === this.owner) return "owner";
+  return this.members.find((m) => m.userId === userId)?.role || null;
+};
+
+// Method to check that a user has at least the given role
+playgroundRoomSchema.methods.hasRole = function (userId, minRole) {
+  const role = this.getRole(userId);
+  return role !== null && ROOM_ROLES.indexOf(role) >= ROOM_ROLES.indexOf(minRole);
+};
+
+// Method to merge a saved document state into the stored one
+// Returns true when the files, language or runtime version changed
+playgroundRoomSchema.methods.mergeDocument = function (state, userId) {
+  const merged = mergeDocumentStates([this.document?.state, state]);
+  if (merged === this.document?.state) return false;
+
+  const { text, meta, files, entry } = readDocumentState(merged);
+  const changed =
+    !sameProject({ files, entry }, this.document || {}, this.language) ||
+    (meta.language && meta.language !== this.language) ||
+    (meta.version !== undefined && meta.version !== this.version);
+
+  this.document = {
+    state: merged,
+    text,
+    files,
+    entry,
+    updatedAt: new Date(),
+    updatedBy: userId,
+  };
+  if (meta.language) this.language = meta.language;
+  if (meta.version !== undefined) this.version = meta.version;
+  return changed;
+};
+
+// Method to record a snapshot, dropping the oldest beyond MAX_SNAPSHOTS
+playgroundRoomSchema.methods.addSnapshot = function ({ text, files = [], entry, language, label, createdBy, auto = false }) {
+  this.snapshots.push({
+    text,
+    files,
+    entry: entry || files[0]?.name || null,
+    language: language || this.language,
+    label: label || null,
+    auto,
+    createdBy,
+    createdAt: new Date(),
+  });
+  if (this.snapshots.length > MAX_SNAPSHOTS) {
+    this.snapshots.splice(0, this.snapshots.length - MAX_SNAPSHOTS);
+  }
+  return this.snapshots[this.snapshots.length - 1];
+};
+
+// Method to snapshot the current code if the last snapshot is old and different
+playgroundRoomSchema.methods.autoSnapshot = function (userId) {
+  const last = this.snapshots[this.snapshots.length - 1];
+  const { text = "", entry } = this.document || {};
+  const files = projectFiles(this.document || {}, this.language);
+  if (files.every((file) => !file.content)) return null;
+  if (last && sameProject(last, { files, entry }, this.language) && last.language === this.language) return null;
+  if (last && Date.now() - last.createdAt.getTime() < AUTO_SNAPSHOT_INTERVAL_MS) return null;
+
+  return this.addSnapshot({ text, files, entry, language: this.language, createdBy: userId, auto: true });
+};
+
+// Method to mark a member as present
+playgroundRoomSchema.methods.markMemberOnline = function (userId, username) {
+  const member = this.members.find((m) => m.userId === userId);
+  if (member) {
+    member.online = true;
+    member.lastSeenAt = new Date();
+    if (username) member.username = username;
+  }
+};
+
+// Method to create an invite link token
+playgroundRoomSchema.methods.createInvite = function ({ role, expiresInMs, maxUses, createdBy }) {
+  const now = Date.now();
+  this.invites = this.invites.filter((invite) => !invite.revoked && invite.expiresAt.getTime() > now);
+  if (this.invites.length >= MAX_INVITES) {
+    this.invites.splice(0, this.invites.length - MAX_INVITES + 1);
+  }
+
+  this.invites.push({
+    token: crypto.randomBytes(24).toString("hex"),
+    role,
+    createdBy,
+    createdAt: new Date(now),
+    expiresAt: new Date(now + expiresInMs),
+    maxUses: maxUses || null,
+  });
+  return this.invites[this.invites.length - 1];
+};
+
+// Method to find an invite that can still be used
+playgroundRoomSchema.methods.findValidInvite = function (token) {
+  const invite = this.invites.find((i) => i.token === token);
+  if (!invite || invite.revoked) return null;
+  if (invite.expiresAt.getTime() <= Date.now()) return null;
+  if (invite.maxUses && invite.uses >= invite.maxUses) return null;
+  return invite;
+};
+
+// Method to add a member through an invite
+// Returns the member's role, or null if the invite can't be used by this user
+playgroundRoomSchema.methods.redeemInvite = function (token, userId, username) {
+  const existing = this.getRole(userId);
+  if (existing) return existing;
+
+  const invite = this.findValidInvite(token);
+  if (!invite) return null;
+
+  const removal = this.removedMembers.find((r) => r.userId === userId);
+  if (removal && removal.removedAt > invite.createdAt) return null;
+
+  const now = new Date();
+  invite.uses += 1;
+  this.members.push({ userId, username, role: invite.role, joinedAt: now, lastSeenAt: now });
+  return invite.role;
+};
+
+// Method to revoke an invite
+playgroundRoomSchema.methods.revokeInvite = function (inviteId) {
+  const invite = this.invites.id(inviteId);
+  if (!invite) return false;
+  invite.revoked = true;
+  return true;
+};
+
+// Method to change a member's role (the owner's role can't change)
+playgroundRoomSchema.methods.setMemberRole = function (userId, role) {
+  const member = this.members.find((m) => m.userId === userId);
+  if (!member || userId === this.owner) return false;
+  member.role = role;
+  return true;
+};
+
+// Method to remove a member (the owner can't be removed)
+playgroundRoomSchema.methods.removeMember = function (userId, removedBy) {
+  if (userId === this.owner) return false;
+  const before = this.members.length;
+  this.members = this.members.filter((m) => m.userId !== userId);
+  if (this.members.length === before) return false;
+
+  this.removedMembers = this.removedMembers.filter((r) => r.userId !== userId);
+  this.removedMembers.push({ userId, removedBy, removedAt: new Date() });
+  return true;
+};
+
+// Method to mark a member as gone
+playgroundRoomSchema.methods.markMemberOffline = function (userId) {
+  const member = this.members.find((m) => m.userId === userId);
+  if (member) {
+    member.online = false;
+    member.lastSeenAt = new Date();
+  }
+};
+
+// Method to list snapshots without their code
+playgroundRoomSchema.methods.getSnapshotSummaries = function () {
+  return this.snapshots
+    .map((snapshot) => ({
+      id: snapshot._id.toString(),
+      label: snapshot.label,
+      language: snapshot.language,
+      auto: snapshot.auto,
+      createdBy: snapshot.createdBy,
+      createdAt: snapshot.createdAt,
+      files: projectFiles(snapshot, snapshot.language).length,
+      lines: projectFiles(snapshot, snapshot.language).reduce(
+        (total, file) => total + (file.content ? file.content.split("\n").length : 0),
+        0
+      ),
+    }))
+    .reverse();
+};
+
+// Method to record a run, dropping the oldest beyond MAX_RUNS
+playgroundRoomSchema.methods.addRun = function (run) {
+  this.runs.push({ ...run, createdAt: new Date() });
+  if (this.runs.length > MAX_RUNS) {
+    this.runs.splice(0, this.runs.length - MAX_RUNS);
+  }
+  return this.runs[this.runs.length - 1];
+};
+
+// Method to describe a run; the code, input and output are only included when `full`
+playgroundRoomSchema.methods.toRunObject = function (run, { full = false } = {}) {
+  return {
+    id: run._id.toString(),
+    runBy: run.runBy,
+    runByName: run.runByName,
+    language: run.language,
+    version: run.version,
+    exitCode: run.exitCode,
+    signal: run.signal,
+    duration: run.duration,
+    truncated: run.truncated,
+    createdAt: run.createdAt,
+    ...(full && {
+      files: run.files.map(({ name, content }) => ({ name, content })),
+      stdin: run.stdin,
+      stdout: run.stdout,
+      stderr: run.stderr,
+    }),
+  };
+};
+
+// Method to list runs without their code and output, newest first
+playgroundRoomSchema.methods.getRunSummaries = function () {
+  return this.runs.map((run) => this.toRunObject(run)).reverse();
+};
+
+// Method to list invites that can still be used
+playgroundRoomSchema.methods.getActiveInvites = function () {
+  return this.invites
+    .filter((invite) => this.findValidInvite(invite.token))
+    .map((invite) => ({
+      id: invite._id.toString(),
+      token: invite.token,
+      role: invite.role,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+    }));
+};
+
+// Method to build the state sent to a member joining the room
+// Invites are only included for the owner
+playgroundRoomSchema.methods.toClientObject = function (userId) {
+  const role = this.getRole(userId);
+  return {
+    roomId: this.roomId,
+    owner: this.owner,
+    role,
+    language: this.language,
+    version: this.version,
+    document: {
+      state: this.document?.state || null,
+      updatedAt: this.document?.updatedAt || null,
+      updatedBy: this.document?.updatedBy || null,
+    },
+    members: this.members.map((member) => ({
+      userId: member.userId,
+      username: member.username,
+      role: member.userId === this.owner ? "owner" : member.role,
+      online: member.online,
+      joinedAt: member.joinedAt,
+      lastSeenAt: member.lastSeenAt,
+    })),
+    snapshots: this.getSnapshotSummaries(),
+    runs: this.getRunSummaries(),
+    ...(role === "owner" && { invites: this.getActiveInvites() }),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const PlaygroundRoom =
+  mongoose.models.PlaygroundRoom || mongoose.model("PlaygroundRoom", playgroundRoomSchema);
+
+export default PlaygroundRoom;
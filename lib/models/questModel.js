@@ -21,7 +21,8 @@ const questSchema = new Schema(
       {
         type: {
           type: String,
-          enum: ["short", "coding"],
+          // "short" is the legacy name of "short-answer"
+          enum: ["short-answer", "multiple-choice", "coding", "short"],
           required: true,
         },
         title: {
@@ -32,10 +33,26 @@ const questSchema = new Schema(
           type: String,
           required: true,
         },
+        // Runtime used to execute coding answers against their test cases
+        language: {
+          type: String,
+          default: "javascript",
+        },
         testCases: [{
           input: String,
           expectedOutput: String,
         }],
+        // Choices shown for multiple-choice questions
+        options: [String],
+        // Answer key: the correct option for multiple-choice questions, or an
+        // optional reference answer for short-answer questions
+        correctAnswer: String,
+        // How a short answer is compared with correctAnswer
+        answerMatch: {
+          type: String,
+          enum: ["exact", "regex"],
+          default: "exact",
+        },
         points: {
           type: Number,
           required: true,
@@ -64,6 +81,18 @@ const questSchema = new Schema(
   }
 );
 
+/**
+ * Returns the quest as a plain object without answer keys, for participants
+ * @returns {Object}
+ */
+questSchema.methods.toPublicObject = function () {
+  const quest = this.toObject();
+  quest.questions = (quest.questions || []).map(
+    ({ correctAnswer, answerMatch, ...question }) => question
+  );
+  return quest;
+};
+
 const Quest = mongoose.models.Quest || mongoose.model("Quest", questSchema);
 
 export default Quest;
@@ -0,0 +1,37 @@
+/**
+ * Rate Limit Model
+ *
+ * Counters of the Mongo rate limit store (lib/ratelimit/mongo-store). One
+ * document per limiter key; MongoDB deletes documents once they expire.
+ */
+
+import mongoose from "mongoose";
+
+const rateLimitSchema = new mongoose.Schema({
+  // "<limiter>:<identifier>:<window>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+  },
+  // When the counter was created; windows and buckets are measured from it
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// The TTL monitor runs about once a minute; reads ignore expired counters until then
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import User from "./userModel";
+import { invalidateUserCache } from "../cache/responseCache";
+import logger from "../logger";
 
 const roadmapSchema = new mongoose.Schema({
   title: {
@@ -25,12 +28,127 @@ const roadmapSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Progress tracking (indices into content.steps)
+  completedSteps: {
+    type: [Number],
+    default: [],
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["not-started", "in-progress", "completed"],
+    default: "not-started",
+  },
+  progressUpdatedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Progress and status of a set of completed steps
+function summarizeSteps(stepIndices, totalSteps) {
+  let status = "not-started";
+  if (totalSteps > 0 && stepIndices.length === totalSteps) {
+    status = "completed";
+  } else if (stepIndices.length > 0) {
+    status = "in-progress";
+  }
+
+  return {
+    progress: totalSteps > 0 ? Math.round((stepIndices.length / totalSteps) * 100) : 0,
+    status,
+  };
+}
+
+// Method to replace the set of completed steps and recalculate progress
+roadmapSchema.methods.setCompletedSteps = function (stepIndices) {
+  const totalSteps = this.content?.steps?.length || 0;
+  const validIndices = [...new Set(stepIndices)]
+    .filter((index) => Number.isInteger(index) && index >= 0 && index < totalSteps)
+    .sort((a, b) => a - b);
+
+  const { progress, status } = summarizeSteps(validIndices, totalSteps);
+  this.completedSteps = validIndices;
+  this.progress = progress;
+  this.status = status;
+
+  this.progressUpdatedAt = new Date();
+  return this.save();
+};
+
+// Method to mark a single step as completed or not
+// Updates the stored steps atomically, so concurrent toggles of different
+// steps don't overwrite each other, then loads the result into this document.
+roadmapSchema.methods.setStepCompleted = async function (stepIndex, completed = true) {
+  const Model = this.constructor;
+  const totalSteps = this.content?.steps?.length || 0;
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: this._id },
+    completed
+      ? { $addToSet: { completedSteps: stepIndex } }
+      : { $pull: { completedSteps: stepIndex } },
+    { new: true, projection: { completedSteps: 1 } }
+  ).lean();
+  if (!updated) return this;
+
+  const completedSteps = [...updated.completedSteps].sort((a, b) => a - b);
+  const { progress, status } = summarizeSteps(completedSteps, totalSteps);
+  const progressUpdatedAt = new Date();
+
+  // Only if no other toggle landed meanwhile; that one writes the summary of
+  // the newer steps instead
+  await Model.updateOne(
+    { _id: this._id, completedSteps: updated.completedSteps },
+    { $set: { completedSteps, progress, status, progressUpdatedAt } }
+  );
+
+  // Reflect the stored state for getProgressSummary(); not meant to be saved
+  Object.assign(this, { completedSteps, progress, status, progressUpdatedAt });
+  return this;
+};
+
+// Method to get a serializable progress summary
+roadmapSchema.methods.getProgressSummary = function () {
+  return {
+    roadmapId: this._id.toString(),
+    completedSteps: [...this.completedSteps],
+    totalSteps: this.content?.steps?.length || 0,
+    progress: this.progress,
+    status: this.status,
+    updatedAt: this.progressUpdatedAt,
+  };
+};
+
+// Drop cached companion answers of the author of a changed roadmap
+async function invalidateAuthorCache(roadmap) {
+  if (!roadmap?.author) return;
+
+  try {
+    // Roadmaps store the author's username; cache entries are tagged by Clerk ID
+    const user = await User.findOne({ userName: roadmap.author }).select("clerkId").lean();
+    if (user?.clerkId) {
+      await invalidateUserCache(user.clerkId, "roadmaps changed");
+    }
+  } catch (error) {
+    logger.warn("Roadmap cache invalidation failed", { roadmapId: roadmap._id?.toString(), error: error.message });
+  }
+}
+
+roadmapSchema.post("save", invalidateAuthorCache);
+roadmapSchema.post("findOneAndUpdate", invalidateAuthorCache);
+roadmapSchema.post("findOneAndDelete", invalidateAuthorCache);
+roadmapSchema.post("deleteOne", { document: true, query: false }, invalidateAuthorCache);
+
 const Roadmap = mongoose.models.Roadmap || mongoose.model("Roadmap", roadmapSchema);
 
 export default Roadmap;
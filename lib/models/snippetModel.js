@@ -0,0 +1,313 @@
+/**
+ * Snippet Model
+ *
+ * Cloud-saved code from the learn workspace: a multi-file project with a
+ * title, tags and visibility, the runtime version it runs on, its program
+ * input and test cases, and a capped history of earlier versions of its files. Snippets can be forked; the fork remembers where it came from.
+ *
+ * Visibility:
+ * - private: only the owner can open it
+ * - unlisted: anyone signed in with the link can open it
+ * - public: like unlisted, and listed in the public library
+ */
+
+import mongoose from "mongoose";
+import { sameFiles } from "../projects/files";
+
+/** Visibility levels, from most to least restricted */
+export const SNIPPET_VISIBILITIES = ["private", "unlisted", "public"];
+
+/** Earlier versions kept per snippet; the oldest are dropped first */
+export const MAX_REVISIONS = 25;
+
+const toFiles = (files) => files.map(({ name, content }) => ({ name, content }));
+
+const snippetFileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const testCaseSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      default: "",
+    },
+    stdin: {
+      type: String,
+      default: "",
+    },
+    // Command-line arguments as typed
+    args: {
+      type: String,
+      default: "",
+    },
+    expected: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const toTests = (tests) => ({
+  stdin: tests?.stdin || "",
+  args: tests?.args || "",
+  cases: (tests?.cases || []).map(({ id, name, stdin, args, expected }) => ({ id, name, stdin, args, expected })),
+});
+
+const revisionSchema = new mongoose.Schema({
+  files: [snippetFileSchema],
+  entry: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: String,
+    default: null,
+  },
+  // What changed in this version, as described when it was saved
+  message: {
+    type: String,
+    default: null,
+  },
+  // When this version was saved
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const snippetSchema = new mongoose.Schema(
+  {
+    // Clerk user ID
+    owner: {
+      type: String,
+      required: true,
+    },
+    ownerName: {
+      type: String,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    language: {
+      type: String,
+      required: true,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    visibility: {
+      type: String,
+      enum: SNIPPET_VISIBILITIES,
+      default: "private",
+    },
+    files: {
+      type: [snippetFileSchema],
+      validate: {
+        validator: (files) => files.length > 0,
+        message: "A snippet needs at least one file",
+      },
+    },
+    // Name of the entry file
+    entry: {
+      type: String,
+      required: true,
+    },
+    // Runtime version the files run on, null for the newest
+    version: {
+      type: String,
+      default: null,
+    },
+    // Input of a plain run and test cases, not part of the revision history
+    tests: {
+      stdin: {
+        type: String,
+        default: "",
+      },
+      args: {
+        type: String,
+        default: "",
+      },
+      cases: [testCaseSchema],
+    },
+    // Message and save time of the current version of the files
+    message: {
+      type: String,
+      default: null,
+    },
+    contentUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Earlier versions of the files, oldest first
+    revisions: [revisionSchema],
+    forkedFrom: {
+      type: {
+        snippetId: mongoose.Schema.Types.ObjectId,
+        title: String,
+        ownerName: String,
+      },
+      default: null,
+    },
+    forkCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the user's library and the public library
+snippetSchema.index({ owner: 1, updatedAt: -1 });
+snippetSchema.index({ visibility: 1, language: 1, updatedAt: -1 });
+snippetSchema.index({ tags: 1 });
+
+// Method to check if a user owns the snippet
+snippetSchema.methods.isOwner = function (userId) {
+  return Boolean(userId) && this.owner === userId;
+};
+
+// Method to check if a user can open the snippet
+snippetSchema.methods.canView = function (userId) {
+  return this.isOwner(userId) || this.visibility !== "private";
+};
+
+// Method to replace the files, keeping the current version as a revision
+// Returns false when the files, entry point and runtime version are unchanged
+snippetSchema.methods.updateFiles = function ({ files, entry, version = this.version, message = null }) {
+  const nextEntry = files.some((file) => file.name === entry) ? entry : files[0].name;
+  if (nextEntry === this.entry && version === this.version && sameFiles(this.files, files)) {
+    return false;
+  }
+
+  this.revisions.push({
+    files: toFiles(this.files),
+    entry: this.entry,
+    version: this.version,
+    message: this.message,
+    createdAt: this.contentUpdatedAt,
+  });
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  this.files = toFiles(files);
+  this.entry = nextEntry;
+  this.version = version;
+  this.message = message;
+  this.contentUpdatedAt = new Date();
+  return true;
+};
+
+// Method to build a copy of the snippet owned by another user
+snippetSchema.methods.toForkData = function (userId, username) {
+  return {
+    owner: userId,
+    ownerName: username,
+    title: this.title,
+    description: this.description,
+    language: this.language,
+    version: this.version,
+    tags: [...this.tags],
+    visibility: "private",
+    files: toFiles(this.files),
+    entry: this.entry,
+    tests: toTests(this.tests),
+    forkedFrom: {
+      snippetId: this._id,
+      title: this.title,
+      ownerName: this.ownerName,
+    },
+  };
+};
+
+// Method to describe the snippet without its files, for lists
+snippetSchema.methods.toSummary = function (userId) {
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    description: this.description,
+    language: this.language,
+    version: this.version,
+    tags: this.tags,
+    visibility: this.visibility,
+    owner: this.owner,
+    ownerName: this.ownerName,
+    isOwner: this.isOwner(userId),
+    files: this.files.length,
+    entry: this.entry,
+    forkedFrom: this.forkedFrom?.snippetId
+      ? {
+          id: this.forkedFrom.snippetId.toString(),
+          title: this.forkedFrom.title,
+          ownerName: this.forkedFrom.ownerName,
+        }
+      : null,
+    forkCount: this.forkCount,
+    revisions: this.revisions.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Method to build the full snippet sent to a user who opens it
+snippetSchema.methods.toClientObject = function (userId) {
+  return {
+    ...this.toSummary(userId),
+    files: toFiles(this.files),
+    tests: toTests(this.tests),
+    message: this.message,
+    contentUpdatedAt: this.contentUpdatedAt,
+    revisions: this.revisions
+      .map((revision) => ({
+        id: revision._id.toString(),
+        message: revision.message,
+        files: revision.files.length,
+        createdAt: revision.createdAt,
+      }))
+      .reverse(),
+  };
+};
+
+// Method to get an earlier version with its files
+snippetSchema.methods.getRevision = function (revisionId) {
+  const revision = this.revisions.id(revisionId);
+  if (!revision) return null;
+  return {
+    id: revision._id.toString(),
+    message: revision.message,
+    files: toFiles(revision.files),
+    entry: revision.entry,
+    version: revision.version,
+    createdAt: revision.createdAt,
+  };
+};
+
+const Snippet = mongoose.models.Snippet || mongoose.model("Snippet", snippetSchema);
+
+export default Snippet;
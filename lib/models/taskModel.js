@@ -6,6 +6,7 @@
  */
 
 import mongoose from "mongoose";
+import { invalidateUserCache } from "../cache/responseCache";
 
 const taskSchema = new mongoose.Schema(
   {
@@ -153,6 +154,24 @@ taskSchema.statics.getUpcoming = function (clerkId, days = 7) {
   }).sort({ dueDate: 1 });
 };
 
+// Drop cached companion answers of a user whose tasks changed
+function invalidateOwnerCache(task) {
+  if (task?.clerkId) {
+    invalidateUserCache(task.clerkId, "tasks changed");
+  }
+}
+
+taskSchema.post("save", invalidateOwnerCache);
+taskSchema.post("findOneAndUpdate", invalidateOwnerCache);
+taskSchema.post("findOneAndDelete", invalidateOwnerCache);
+taskSchema.post("deleteOne", { document: true, query: false }, invalidateOwnerCache);
+taskSchema.post(["updateOne", "updateMany", "deleteMany"], function () {
+  const { clerkId } = this.getFilter();
+  if (typeof clerkId === "string") {
+    invalidateUserCache(clerkId, "tasks changed");
+  }
+});
+
 const Task = mongoose.models.Task || mongoose.model("Task", taskSchema);
 
 export default Task;
@@ -0,0 +1,172 @@
+/**
+ * User Memory Model
+ *
+ * What the AI companion remembers about a user across conversations: their
+ * preferred language, skill level, learning goals and the topics they
+ * struggle with. Agents save and remove these facts with the memory tools
+ * (lib/agents/tools/memoryTools), and buildUserContext passes them to every
+ * agent.
+ */
+
+import mongoose from "mongoose";
+
+/** Skill levels, from least to most experienced */
+export const SKILL_LEVELS = ["beginner", "intermediate", "advanced"];
+
+/** Kinds of fact an agent can remember */
+export const MEMORY_FACT_TYPES = ["preferred_language", "skill_level", "goal", "weak_topic"];
+
+/** Goals and weak topics kept per user; the least recently mentioned are dropped first */
+export const MAX_MEMORY_ITEMS = 10;
+
+// Ways a user may name the two supported languages
+const LANGUAGE_NAMES = {
+  en: ["en", "english", "ইংরেজি"],
+  bn: ["bn", "bengali", "bangla", "বাংলা"],
+};
+
+const memoryItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    // Times the fact was saved; a topic the user keeps struggling with counts up
+    mentions: {
+      type: Number,
+      default: 1,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const userMemorySchema = new mongoose.Schema(
+  {
+    clerkId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    preferredLanguage: {
+      type: String,
+      enum: ["en", "bn"],
+      default: null,
+    },
+    skillLevel: {
+      type: String,
+      enum: SKILL_LEVELS,
+      default: null,
+    },
+    goals: [memoryItemSchema],
+    weakTopics: [memoryItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Language code for a language name
+ * @param {string} value - "bn", "Bengali", "বাংলা", ...
+ * @returns {string|null} 'en', 'bn' or null if unsupported
+ */
+function toLanguageCode(value) {
+  const name = value.trim().toLowerCase();
+  return Object.keys(LANGUAGE_NAMES).find((code) => LANGUAGE_NAMES[code].includes(name)) || null;
+}
+
+// List field of each list fact type
+const LIST_FIELDS = {
+  goal: "goals",
+  weak_topic: "weakTopics",
+};
+
+// Method to save a fact; returns false if the value isn't valid for its type
+userMemorySchema.methods.remember = function (type, value) {
+  const text = String(value || "").trim().slice(0, 200);
+  if (!text) return false;
+
+  if (type === "preferred_language") {
+    const code = toLanguageCode(text);
+    if (!code) return false;
+    this.preferredLanguage = code;
+    return true;
+  }
+
+  if (type === "skill_level") {
+    const level = text.toLowerCase();
+    if (!SKILL_LEVELS.includes(level)) return false;
+    this.skillLevel = level;
+    return true;
+  }
+
+  const field = LIST_FIELDS[type];
+  if (!field) return false;
+
+  // Most recently mentioned first
+  const existing = this[field].find((item) => sameText(item.text, text));
+  const others = this[field]
+    .filter((item) => item !== existing)
+    .map(({ text, mentions, updatedAt }) => ({ text, mentions, updatedAt }));
+  this[field] = [
+    { text, mentions: (existing?.mentions || 0) + 1, updatedAt: new Date() },
+    ...others,
+  ].slice(0, MAX_MEMORY_ITEMS);
+  return true;
+};
+
+// Method to remove a fact; without a value, every fact of the type is removed
+userMemorySchema.methods.forget = function (type, value) {
+  if (type === "preferred_language") {
+    const had = this.preferredLanguage !== null;
+    this.preferredLanguage = null;
+    return had;
+  }
+
+  if (type === "skill_level") {
+    const had = this.skillLevel !== null;
+    this.skillLevel = null;
+    return had;
+  }
+
+  const field = LIST_FIELDS[type];
+  if (!field) return false;
+
+  const kept = value
+    ? this[field].filter((item) => !sameText(item.text, String(value)))
+    : [];
+  const removed = kept.length !== this[field].length;
+  this[field] = kept;
+  return removed;
+};
+
+// Method to get the remembered facts for agents and tool results
+userMemorySchema.methods.toFacts = function () {
+  return {
+    preferredLanguage: this.preferredLanguage,
+    skillLevel: this.skillLevel,
+    goals: this.goals.map((goal) => goal.text),
+    weakTopics: this.weakTopics.map(({ text, mentions }) => ({ topic: text, mentions })),
+  };
+};
+
+// Method to get (or create) a user's memory
+userMemorySchema.statics.forUser = function (clerkId) {
+  return this.findOneAndUpdate(
+    { clerkId },
+    { $setOnInsert: { clerkId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const UserMemory =
+  mongoose.models.UserMemory || mongoose.model("UserMemory", userMemorySchema);
+
+export default UserMemory;
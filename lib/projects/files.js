@@ -0,0 +1,215 @@
+/**
+ * Project Files
+ *
+ * Pure helpers for multi-file projects, shared by the learn workspace and the
+ * collaborative playground. A project is `{ language, version, files, entry }`, where
+ * `version` is the runtime version (null for the newest), `files` is a list of
+ * `{ name, content }` and `entry` names the file the program starts from. Names are relative paths ("utils/math.py"); folders
+ * exist only as part of file names.
+ *
+ * @module lib/projects/files
+ */
+
+import { LANGUAGE_CATALOG } from "../runtimes/catalog";
+
+/** Most files a project can hold (the execution API accepts 20) */
+export const MAX_PROJECT_FILES = 20;
+
+/** Longest file name, including folders */
+export const MAX_FILE_NAME_LENGTH = 100;
+
+/** File extension of each language's entry file */
+export const LANGUAGE_EXTENSIONS = Object.fromEntries(
+  Object.entries(LANGUAGE_CATALOG).map(([language, info]) => [language, info.extension])
+);
+
+/** Monaco language of extensions that differ from the project language */
+const EXTENSION_LANGUAGES = {
+  ...Object.fromEntries(Object.values(LANGUAGE_CATALOG).map((info) => [info.extension, info.monaco])),
+  js: "javascript",
+  mjs: "javascript",
+  ts: "typescript",
+  py: "python",
+  java: "java",
+  c: "c",
+  h: "cpp",
+  hpp: "cpp",
+  cpp: "cpp",
+  cc: "cpp",
+  cs: "csharp",
+  php: "php",
+  json: "json",
+  md: "markdown",
+  txt: "plaintext",
+  csv: "plaintext",
+  in: "plaintext",
+};
+
+const FILE_NAME_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+/**
+ * Name of a language's default entry file
+ * @param {string} language - Language ID
+ * @returns {string} e.g. "main.py"
+ */
+export function defaultFileName(language) {
+  return `main.${LANGUAGE_EXTENSIONS[language] || "txt"}`;
+}
+
+/**
+ * Monaco language of a file, from its extension
+ * @param {string} name - File name
+ * @param {string} fallback - Project language, used for unknown extensions
+ * @returns {string}
+ */
+export function languageForFile(name, fallback) {
+  const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+  return EXTENSION_LANGUAGES[extension] || LANGUAGE_CATALOG[fallback]?.monaco || fallback;
+}
+
+/**
+ * Checks a new file name
+ * Follows the execution API's rules, so every project can be run as saved.
+ *
+ * @param {string} name - Proposed name
+ * @param {string[]} [existingNames=[]] - Names already used in the project
+ * @returns {string|null} Why the name can't be used, or null if it can
+ */
+export function validateFileName(name, existingNames = []) {
+  if (!name) return "File name is required";
+  if (name.length > MAX_FILE_NAME_LENGTH) {
+    return `File name must be at most ${MAX_FILE_NAME_LENGTH} characters`;
+  }
+  if (!FILE_NAME_PATTERN.test(name) || name.split("/").some((part) => part === "." || part === "..")) {
+    return "Use letters, numbers, '.', '-', '_' and '/' between folders";
+  }
+  if (existingNames.includes(name)) return `${name} already exists`;
+  return null;
+}
+
+/**
+ * Creates a single-file project
+ * @param {string} language - Language ID
+ * @param {string} [content=""] - Code of the entry file
+ * @param {string|null} [version=null] - Runtime version, null for the newest
+ * @returns {Object} Project
+ */
+export function createProject(language, content = "", version = null) {
+  const name = defaultFileName(language);
+  return { language, version, files: [{ name, content }], entry: name };
+}
+
+/**
+ * Adds a file
+ * @param {Object} project - Project
+ * @param {string} name - New file's name
+ * @param {string} [content=""] - New file's content
+ * @returns {Object} Updated project
+ * @throws {Error} If the name is invalid or the project is full
+ */
+export function addFile(project, name, content = "") {
+  const names = project.files.map((file) => file.name);
+  const problem = validateFileName(name, names);
+  if (problem) throw new Error(problem);
+  if (names.length >= MAX_PROJECT_FILES) {
+    throw new Error(`A project can have at most ${MAX_PROJECT_FILES} files`);
+  }
+  return { ...project, files: [...project.files, { name, content }] };
+}
+
+/**
+ * Renames a file, keeping it the entry point if it was
+ * @param {Object} project - Project
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ * @returns {Object} Updated project
+ * @throws {Error} If the new name is invalid
+ */
+export function renameFile(project, name, newName) {
+  if (name === newName) return project;
+  const others = project.files.map((file) => file.name).filter((existing) => existing !== name);
+  const problem = validateFileName(newName, others);
+  if (problem) throw new Error(problem);
+
+  return {
+    ...project,
+    files: project.files.map((file) => (file.name === name ? { ...file, name: newName } : file)),
+    entry: project.entry === name ? newName : project.entry,
+  };
+}
+
+/**
+ * Deletes a file
+ * Deleting the entry point makes the first remaining file the entry point.
+ *
+ * @param {Object} project - Project
+ * @param {string} name - File to delete
+ * @returns {Object} Updated project
+ * @throws {Error} If it is the project's only file
+ */
+export function deleteFile(project, name) {
+  if (project.files.length <= 1) throw new Error("A project needs at least one file");
+
+  const files = project.files.filter((file) => file.name !== name);
+  return { ...project, files, entry: project.entry === name ? files[0].name : project.entry };
+}
+
+/**
+ * Replaces a file's content
+ * @param {Object} project - Project
+ * @param {string} name - File name
+ * @param {string} content - New content
+ * @returns {Object} Updated project
+ */
+export function updateFile(project, name, content) {
+  return {
+    ...project,
+    files: project.files.map((file) => (file.name === name ? { ...file, content } : file)),
+  };
+}
+
+/**
+ * Whether two lists of files hold the same names and contents, in the same order
+ * @param {Array<{ name: string, content: string }>} a - Files
+ * @param {Array<{ name: string, content: string }>} b - Files
+ * @returns {boolean}
+ */
+export function sameFiles(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((file, index) => file.name === b[index].name && file.content === b[index].content)
+  );
+}
+
+/**
+ * Files in the order the execution API expects: the entry point first
+ * @param {Array<{ name: string, content: string }>} files - Project files
+ * @param {string} [entry] - Entry file name (defaults to the first file)
+ * @returns {Array<{ name: string, content: string }>}
+ */
+export function toExecutionFiles(files, entry) {
+  const entryFile = files.find((file) => file.name === entry) || files[0];
+  return [entryFile, ...files.filter((file) => file !== entryFile)].map(({ name, content }) => ({
+    name,
+    content,
+  }));
+}
+
+/**
+ * Sorts file names so folders come after the files next to them
+ * @param {string} a - File name
+ * @param {string} b - File name
+ * @returns {number}
+ */
+export function compareFileNames(a, b) {
+  const aParts = a.split("/");
+  const bParts = b.split("/");
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    const aIsFile = i === aParts.length - 1;
+    const bIsFile = i === bParts.length - 1;
+    if (aIsFile !== bIsFile) return aIsFile ? -1 : 1;
+    const order = aParts[i].localeCompare(bParts[i]);
+    if (order !== 0) return order;
+  }
+  return aParts.length - bParts.length;
+}
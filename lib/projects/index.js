@@ -0,0 +1,41 @@
+/**
+ * Multi-file Projects
+ *
+ * File helpers shared by the learn workspace and the collaborative
+ * playground, the workspace's program input and test cases, and browser
+ * storage for the workspace's projects.
+ *
+ * @module lib/projects
+ */
+
+export {
+  MAX_PROJECT_FILES,
+  MAX_FILE_NAME_LENGTH,
+  LANGUAGE_EXTENSIONS,
+  defaultFileName,
+  languageForFile,
+  validateFileName,
+  createProject,
+  addFile,
+  renameFile,
+  deleteFile,
+  updateFile,
+  sameFiles,
+  toExecutionFiles,
+  compareFileNames,
+} from "./files";
+export {
+  MAX_TEST_CASES,
+  MAX_TEST_INPUT_LENGTH,
+  createTestSet,
+  normalizeTestSet,
+  addTestCase,
+  updateTestCase,
+  deleteTestCase,
+  sameTestSet,
+  parseArgs,
+  outputLines,
+  compareOutput,
+  checkTestRun,
+} from "./tests";
+export { loadProject, saveProject, clearProject } from "./storage";
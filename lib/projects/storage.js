@@ -0,0 +1,97 @@
+/**
+ * Project Storage (browser)
+ *
+ * Keeps the learn workspace's project for each language in localStorage, all
+ * files together, as a draft of work not yet saved to a cloud snippet. A
+ * draft remembers the snippet it was opened from, the runtime version it
+ * runs on (null for the newest) and its program input and test cases
+ * (see ./tests). Projects saved before
+ * multi-file support (a single `code-{language}` entry) are read once and
+ * saved in the new format.
+ *
+ * @module lib/projects/storage
+ */
+
+import { createProject } from "./files";
+import { normalizeTestSet } from "./tests";
+
+const projectKey = (language) => `project-${language}`;
+
+/**
+ * Reads a single-file project saved by earlier versions
+ * @param {string} language - Language ID
+ * @returns {Object|null} Project with `lastSaved`, or null if there is none
+ */
+function loadLegacyProject(language) {
+  const code = localStorage.getItem(`code-${language}`);
+  if (code === null) return null;
+
+  const metadata = JSON.parse(localStorage.getItem(`metadata-${language}`) || "{}");
+  const project = createProject(language, code);
+  if (metadata.fileName) {
+    project.files[0].name = metadata.fileName;
+    project.entry = metadata.fileName;
+  }
+  return { ...project, lastSaved: metadata.lastSaved || null };
+}
+
+/**
+ * Loads the saved project of a language
+ * @param {string} language - Language ID
+ * @returns {Object|null} Project with `version`, `tests`, `lastSaved` (ISO string) and `snippetId`, or null if nothing was saved
+ */
+export function loadProject(language) {
+  try {
+    const saved = localStorage.getItem(projectKey(language));
+    if (saved) {
+      const { files, entry, version, tests, lastSaved, snippetId } = JSON.parse(saved);
+      if (Array.isArray(files) && files.length > 0) {
+        return {
+          language,
+          version: version || null,
+          files,
+          entry: entry || files[0].name,
+          tests: normalizeTestSet(tests),
+          lastSaved: lastSaved || null,
+          snippetId: snippetId || null,
+        };
+      }
+    }
+
+    const legacy = loadLegacyProject(language);
+    if (legacy) {
+      saveProject(legacy, legacy.lastSaved);
+      localStorage.removeItem(`code-${language}`);
+      localStorage.removeItem(`metadata-${language}`);
+    }
+    return legacy;
+  } catch (error) {
+    console.error("Failed to load saved project:", error);
+    return null;
+  }
+}
+
+/**
+ * Saves a project, replacing the language's previous one
+ * @param {Object} project - Project, with its runtime `version`, its `tests` and the `snippetId` it was opened from if any
+ * @param {string} [lastSaved] - Save time (ISO string), defaults to now
+ * @returns {Date} Save time
+ */
+export function saveProject(
+  { language, version = null, files, entry, tests = null, snippetId = null },
+  lastSaved = new Date().toISOString()
+) {
+  localStorage.setItem(
+    projectKey(language),
+    JSON.stringify({ files, entry, version, tests, lastSaved, snippetId })
+  );
+  return new Date(lastSaved);
+}
+
+/**
+ * Deletes the saved project of a language
+ * @param {string} language - Language ID
+ */
+export function clearProject(language) {
+  localStorage.removeItem(projectKey(language));
+}
@@ -0,0 +1,216 @@
+/**
+ * Program Input and Test Cases
+ *
+ * What the learn workspace feeds a program: the stdin and command-line
+ * arguments of a plain run, and named test cases (input, arguments and
+ * expected output) that are run together and checked. A test set is saved
+ * with the project's files, in drafts and snippets alike:
+ *
+ *   { stdin, args, cases: [{ id, name, stdin, args, expected }] }
+ *
+ * Arguments are kept as typed and split shell-style when the program runs.
+ * Output is compared line by line, ignoring trailing whitespace and trailing
+ * blank lines, so a missing final newline doesn't fail a test.
+ *
+ * @module lib/projects/tests
+ */
+
+/** Test cases per project; run-all stays within the execution rate limit */
+export const MAX_TEST_CASES = 10;
+
+/** Characters of stdin or expected output per test case */
+export const MAX_TEST_INPUT_LENGTH = 10000;
+
+/**
+ * Creates an empty test set
+ * @returns {{ stdin: string, args: string, cases: Object[] }}
+ */
+export function createTestSet() {
+  return { stdin: "", args: "", cases: [] };
+}
+
+const testCaseId = () => `test-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Fills in missing fields of a saved test set
+ * @param {Object} [tests] - Test set, possibly saved before test cases existed
+ * @returns {{ stdin: string, args: string, cases: Object[] }}
+ */
+export function normalizeTestSet(tests) {
+  if (!tests || typeof tests !== "object") return createTestSet();
+  const cases = Array.isArray(tests.cases) ? tests.cases : [];
+  return {
+    stdin: tests.stdin || "",
+    args: tests.args || "",
+    cases: cases.slice(0, MAX_TEST_CASES).map((testCase, index) => ({
+      id: testCase.id || testCaseId(),
+      name: testCase.name || `Test ${index + 1}`,
+      stdin: testCase.stdin || "",
+      args: testCase.args || "",
+      expected: testCase.expected || "",
+    })),
+  };
+}
+
+/**
+ * Adds a test case, named after its position
+ * @param {Object} tests - Test set
+ * @param {Object} [fields] - { name, stdin, args, expected }
+ * @returns {Object} Updated test set
+ * @throws {Error} If the set already has MAX_TEST_CASES cases
+ */
+export function addTestCase(tests, fields = {}) {
+  if (tests.cases.length >= MAX_TEST_CASES) {
+    throw new Error(`A project can have at most ${MAX_TEST_CASES} test cases`);
+  }
+  const testCase = {
+    id: testCaseId(),
+    name: fields.name || `Test ${tests.cases.length + 1}`,
+    stdin: fields.stdin || "",
+    args: fields.args || "",
+    expected: fields.expected || "",
+  };
+  return { ...tests, cases: [...tests.cases, testCase] };
+}
+
+/**
+ * Changes fields of a test case
+ * @param {Object} tests - Test set
+ * @param {string} id - Test case ID
+ * @param {Object} changes - { name, stdin, args, expected }
+ * @returns {Object} Updated test set
+ */
+export function updateTestCase(tests, id, changes) {
+  return {
+    ...tests,
+    cases: tests.cases.map((testCase) => (testCase.id === id ? { ...testCase, ...changes } : testCase)),
+  };
+}
+
+/**
+ * Removes a test case
+ * @param {Object} tests - Test set
+ * @param {string} id - Test case ID
+ * @returns {Object} Updated test set
+ */
+export function deleteTestCase(tests, id) {
+  return { ...tests, cases: tests.cases.filter((testCase) => testCase.id !== id) };
+}
+
+/**
+ * Whether two test sets hold the same input and test cases
+ * @param {Object} [a] - Test set
+ * @param {Object} [b] - Test set
+ * @returns {boolean}
+ */
+export function sameTestSet(a, b) {
+  const strip = (tests) => {
+    const { stdin, args, cases } = normalizeTestSet(tests);
+    return JSON.stringify([stdin, args, cases.map(({ name, stdin, args, expected }) => [name, stdin, args, expected])]);
+  };
+  return strip(a) === strip(b);
+}
+
+/**
+ * Splits command-line arguments the way a shell would, honouring single and
+ * double quotes and backslash escapes
+ * @param {string} text - Arguments as typed
+ * @returns {string[]}
+ *
+ * @example
+ * parseArgs(`--name "Ada Lovelace" 'a b' c\\ d`) // ["--name", "Ada Lovelace", "a b", "c d"]
+ */
+export function parseArgs(text = "") {
+  const args = [];
+  let current = "";
+  let quote = null;
+  let started = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && i + 1 < text.length) {
+        current += text[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      started = true;
+    } else if (char === "\\" && i + 1 < text.length) {
+      current += text[++i];
+      started = true;
+    } else if (/\s/.test(char)) {
+      if (started) args.push(current);
+      current = "";
+      started = false;
+    } else {
+      current += char;
+      started = true;
+    }
+  }
+  if (started) args.push(current);
+  return args;
+}
+
+/**
+ * Output lines as compared: line endings unified, trailing whitespace and
+ * trailing blank lines dropped
+ * @param {string} text - Program output
+ * @returns {string[]}
+ */
+export function outputLines(text = "") {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n").map((line) => line.trimEnd());
+  while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Compares a program's output with the expected output, line by line
+ * @param {string} expected - Expected output
+ * @param {string} actual - Program output
+ * @returns {{ passed: boolean, lines: Array<{ line: number, expected: string|null, actual: string|null, match: boolean }> }}
+ *   `lines` pairs up the lines of both outputs; a side is null past its last line
+ */
+export function compareOutput(expected, actual) {
+  const expectedLines = outputLines(expected);
+  const actualLines = outputLines(actual);
+  const lines = [];
+
+  for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+    const expectedLine = expectedLines[i] ?? null;
+    const actualLine = actualLines[i] ?? null;
+    lines.push({ line: i + 1, expected: expectedLine, actual: actualLine, match: expectedLine === actualLine });
+  }
+
+  return { passed: lines.every((line) => line.match), lines };
+}
+
+/**
+ * Checks one test case's run
+ * A run that fails to compile, exits with an error or is killed is an error,
+ * whatever it printed.
+ * @param {Object} testCase - Test case that was run
+ * @param {Object} result - Execution result ({ run, compile?, duration })
+ * @returns {{ id: string, status: "passed"|"failed"|"error", stdout: string, stderr: string, code: number|null, duration: number|null, lines: Object[] }}
+ */
+export function checkTestRun(testCase, { run = {}, compile, duration = null }) {
+  const compileFailed = Boolean(compile && compile.code !== 0);
+  const stdout = run.stdout ?? run.output ?? "";
+  const stderr = compileFailed ? compile.stderr || compile.output || "" : run.stderr || "";
+  const code = compileFailed ? compile.code : run.code ?? null;
+  const crashed = compileFailed || (code !== null && code !== 0) || Boolean(run.signal);
+  const { passed, lines } = compareOutput(testCase.expected, stdout);
+
+  return {
+    id: testCase.id,
+    status: crashed ? "error" : passed ? "passed" : "failed",
+    stdout,
+    stderr,
+    code,
+    duration,
+    lines,
+  };
+}
@@ -5,4 +5,9 @@ export const pusherClient = new Pusher(process.env.NEXT_PUBLIC_PUSHER_KEY, {
   enabledTransports: ['ws', 'wss'],
   forceTLS: true,
   authEndpoint: '/api/pusher/auth',
+  // Signing in lets the server close a user's connections (e.g. when removed from a room)
+  userAuthentication: {
+    endpoint: '/api/pusher/user-auth',
+    transport: 'ajax',
+  },
 });
@@ -0,0 +1,182 @@
+/**
+ * Rate Limit Algorithms
+ *
+ * Each algorithm decides whether one more request fits, using only the
+ * counters of a rate limit store, so it behaves the same on every store:
+ *
+ * - fixed-window: `requests` per window; the window starts at the first
+ *   request, or at a multiple of `windowMs` when `aligned` (e.g. UTC days)
+ * - sliding-window: counts the current window plus the part of the previous
+ *   window that still overlaps the last `windowMs`, so a burst at the end of
+ *   one window can't be followed by a full window right away
+ * - token-bucket: a bucket of `burst` tokens (default `requests`) refilling
+ *   at `requests` per `windowMs`; allows short bursts at a steady rate
+ *
+ * Rejected requests are not counted.
+ *
+ * Every algorithm resolves to `{ success, remaining, reset, limit }`, with
+ * `reset` in seconds: until the limit is fully restored after an allowed
+ * request, and until the next request fits after a rejected one.
+ */
+
+/** Supported algorithms */
+export const ALGORITHMS = {
+  FIXED_WINDOW: 'fixed-window',
+  SLIDING_WINDOW: 'sliding-window',
+  TOKEN_BUCKET: 'token-bucket',
+};
+
+/**
+ * Milliseconds to whole seconds, rounded up
+ * @param {number} ms
+ * @returns {number}
+ */
+function toSeconds(ms) {
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+/**
+ * Fixed window counter
+ *
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Limiter key ("<limiter>:<identifier>")
+ * @param {Object} config
+ * @param {number} config.requests - Requests per window
+ * @param {number} config.windowMs - Window length
+ * @param {boolean} [config.aligned=false] - Start windows at multiples of windowMs
+ * @param {number} now - Current time in ms
+ * @returns {Promise<{ success: boolean, remaining: number, reset: number, limit: number }>}
+ */
+export async function fixedWindow(store, key, { requests, windowMs, aligned = false }, now) {
+  const windowStart = aligned ? Math.floor(now / windowMs) * windowMs : null;
+  const counterKey = aligned ? `${key}:${windowStart}` : `${key}:fw`;
+
+  const { value, createdAt } = await store.increment(counterKey, 1, windowMs, now);
+  const resetMs = (windowStart ?? createdAt) + windowMs - now;
+
+  if (value > requests) {
+    await store.increment(counterKey, -1, windowMs, now);
+    return { success: false, remaining: 0, reset: Math.max(1, toSeconds(resetMs)), limit: requests };
+  }
+
+  return { success: true, remaining: requests - value, reset: toSeconds(resetMs), limit: requests };
+}
+
+/**
+ * Time until a sliding window has room for one more request
+ *
+ * @param {number} previous - Requests in the previous window
+ * @param {number} current - Requests in the current window
+ * @param {number} requests - Limit
+ * @param {number} windowMs - Window length
+ * @param {number} elapsed - Time since the current window started
+ * @returns {number} Milliseconds
+ */
+function slidingWindowRetryMs(previous, current, requests, windowMs, elapsed) {
+  // Later in this window, once enough of the previous window has slid out
+  if (current + 1 <= requests && previous > 0) {
+    const at = windowMs * (1 - (requests - current - 1) / previous);
+    return at - elapsed;
+  }
+
+  // In the next window, where this window becomes the previous one
+  const at = current > 0 ? Math.max(0, windowMs * (1 - (requests - 1) / current)) : 0;
+  return windowMs - elapsed + at;
+}
+
+/**
+ * Sliding window counter
+ *
+ * Estimates the requests in the last `windowMs` as the current window's
+ * count plus the previous window's count weighted by how much of it
+ * still overlaps.
+ *
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Limiter key ("<limiter>:<identifier>")
+ * @param {Object} config
+ * @param {number} config.requests - Requests per window
+ * @param {number} config.windowMs - Window length
+ * @param {number} now - Current time in ms
+ * @returns {Promise<{ success: boolean, remaining: number, reset: number, limit: number }>}
+ */
+export async function slidingWindow(store, key, { requests, windowMs }, now) {
+  const index = Math.floor(now / windowMs);
+  const elapsed = now - index * windowMs;
+  const currentKey = `${key}:${index}`;
+
+  // Counters must outlive the window after theirs, where they count as previous
+  const [{ value: current }, previousEntry] = await Promise.all([
+    store.increment(currentKey, 1, 2 * windowMs, now),
+    store.get(`${key}:${index - 1}`, now),
+  ]);
+  const previous = previousEntry?.value || 0;
+  const estimate = (previous * (windowMs - elapsed)) / windowMs + current;
+
+  if (estimate > requests) {
+    await store.increment(currentKey, -1, 2 * windowMs, now);
+    const retryMs = slidingWindowRetryMs(previous, current - 1, requests, windowMs, elapsed);
+    return { success: false, remaining: 0, reset: Math.max(1, toSeconds(retryMs)), limit: requests };
+  }
+
+  return {
+    success: true,
+    remaining: Math.floor(requests - estimate),
+    // This window's requests stop counting one window after it ends
+    reset: toSeconds(2 * windowMs - elapsed),
+    limit: requests,
+  };
+}
+
+/**
+ * Token bucket
+ *
+ * The counter holds the tokens taken since it was created, so the tokens
+ * left are `burst + refilled - taken`. It expires when the bucket would be
+ * full again, which starts the next burst with a fresh counter.
+ *
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Limiter key ("<limiter>:<identifier>")
+ * @param {Object} config
+ * @param {number} config.requests - Tokens refilled per window
+ * @param {number} config.windowMs - Window length
+ * @param {number} [config.burst] - Bucket size, defaults to requests
+ * @param {number} now - Current time in ms
+ * @returns {Promise<{ success: boolean, remaining: number, reset: number, limit: number }>}
+ */
+export async function tokenBucket(store, key, { requests, windowMs, burst = requests }, now) {
+  const counterKey = `${key}:tb`;
+  const refillPerMs = requests / windowMs;
+  const untilFull = (tokens) => (burst - tokens) / refillPerMs;
+
+  const { value: taken, createdAt } = await store.increment(counterKey, 1, untilFull(burst - 1), now);
+  const tokens = Math.min(burst - 1, burst + (now - createdAt) * refillPerMs - taken);
+
+  if (tokens < 0) {
+    await store.increment(counterKey, -1, untilFull(burst - 1), now);
+    // One token is needed; `tokens + 1` are left after giving this one back
+    return { success: false, remaining: 0, reset: Math.max(1, toSeconds(-tokens / refillPerMs)), limit: burst };
+  }
+
+  await store.expire(counterKey, untilFull(tokens), now);
+  return { success: true, remaining: Math.floor(tokens), reset: toSeconds(untilFull(tokens)), limit: burst };
+}
+
+const algorithms = {
+  [ALGORITHMS.FIXED_WINDOW]: fixedWindow,
+  [ALGORITHMS.SLIDING_WINDOW]: slidingWindow,
+  [ALGORITHMS.TOKEN_BUCKET]: tokenBucket,
+};
+
+/**
+ * Gets an algorithm by name
+ * @param {string} name - One of ALGORITHMS
+ * @returns {Function} Algorithm
+ * @throws {Error} If the algorithm is unknown
+ */
+export function getAlgorithm(name) {
+  const algorithm = algorithms[name];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm "${name}". Use one of: ${Object.values(ALGORITHMS).join(', ')}`);
+  }
+  return algorithm;
+}
@@ -1,58 +1,234 @@
 /**
  * Rate Limiter Module
- * 
+ *
  * Provides configurable rate limiting for API endpoints.
- * Uses in-memory store for development, with optional Upstash Redis support for production.
- * 
+ * Limiters count requests in a pluggable store and decide with one of the
+ * algorithms in ./algorithms.js (fixed window, sliding window, token bucket).
+ *
+ * Stores (RATE_LIMIT_STORE):
+ * - memory: counters in this instance (default; fine for development)
+ * - redis: shared Redis counters; uses the in-process stand-in until
+ *   setRateLimitStore() is given a store on a real client, e.g.
+ *   setRateLimitStore(createRedisStore(new Redis(url)))
+ * - mongo: shared counters in MongoDB (RateLimit model)
+ *
+ * A store implements:
+ * - increment(key, amount, ttlMs, now) → { value, createdAt }: adds to a
+ *   counter atomically, creating it (expiring ttlMs later) if missing
+ * - get(key, now) → { value, createdAt } | null
+ * - expire(key, ttlMs, now): moves a counter's expiry to ttlMs from now
+ * - deleteByPrefix(prefix) → number of counters removed
+ *
  * @module lib/ratelimit
  */
 
-import { createMemoryLimiter } from './memory-store.js';
+import logger from '@/lib/logger';
+import { createLocalRedisClient } from '@/lib/cache/localRedisClient';
+import { ALGORITHMS, getAlgorithm } from './algorithms.js';
+import { createMemoryStore } from './memory-store.js';
+import { createRedisStore } from './redis-store.js';
+import { createMongoStore } from './mongo-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store shared by limiters without their own, created on first use
+let defaultStore = null;
+
+/**
+ * Creates the store selected by RATE_LIMIT_STORE
+ * @returns {Object} Rate limit store
+ */
+function createStore() {
+  const type = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (type === 'redis') {
+    logger.info('Rate limits use the local Redis stand-in; pass a Redis client to setRateLimitStore() to share them');
+    return createRedisStore(createLocalRedisClient());
+  }
+  if (type === 'mongo') {
+    return createMongoStore();
+  }
+  if (type !== 'memory') {
+    logger.warn('Unknown RATE_LIMIT_STORE, using memory', { store: type });
+  }
+  return createMemoryStore();
+}
+
+/**
+ * Get the store shared by limiters
+ * @returns {Object} Rate limit store
+ */
+export function getRateLimitStore() {
+  if (!defaultStore) {
+    defaultStore = createStore();
+  }
+  return defaultStore;
+}
 
 /**
- * Check if Upstash Redis is configured
- * When both URL and token are present, use Upstash for distributed rate limiting
+ * Replace the store shared by limiters, e.g. with a Redis store on a real client
+ * Takes effect on the next check, including for limiters created earlier.
+ * @param {Object} store - Store from createMemoryStore(), createRedisStore() or createMongoStore()
  */
-const USE_UPSTASH = !!(
-  process.env.UPSTASH_REDIS_REST_URL && 
-  process.env.UPSTASH_REDIS_REST_TOKEN
-);
+export function setRateLimitStore(store) {
+  defaultStore = store;
+  logger.info('Rate limit store set', { store: store.name });
+}
 
-// Cache for Upstash limiters (lazy loaded)
-const upstashLimiters = new Map();
+/**
+ * Policy of a limiter in RateLimit-Policy header syntax
+ * @param {Object} config
+ * @returns {string} e.g. "50;w=60" or "30;w=60;burst=10"
+ */
+function describePolicy({ requests, windowMs, burst }) {
+  const policy = `${requests};w=${Math.ceil(windowMs / 1000)}`;
+  return burst !== undefined && burst !== requests ? `${policy};burst=${burst}` : policy;
+}
 
 /**
  * Creates a rate limiter with the specified configuration
- * 
- * Automatically uses:
- * - Upstash Redis if UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are set
- * - In-memory store otherwise (suitable for development)
- * 
+ *
  * @param {Object} config - Rate limiter configuration
  * @param {number} config.requests - Number of requests allowed in the window
  * @param {number} config.windowMs - Time window in milliseconds
  * @param {string} config.name - Unique name for this limiter (used as key prefix)
+ * @param {string} [config.algorithm='fixed-window'] - One of ALGORITHMS
+ * @param {number} [config.burst] - Bucket size of a token bucket, defaults to requests
+ * @param {boolean} [config.aligned=false] - Start fixed windows at multiples of windowMs
+ * @param {Object} [config.store] - Store for this limiter only; defaults to the shared store
  * @returns {Object} Rate limiter instance with check() method
- * 
+ *
  * @example
  * const limiter = createRateLimiter({
  *   name: 'admin-auth',
  *   requests: 5,
- *   windowMs: 15 * 60 * 1000 // 15 minutes
+ *   windowMs: 15 * 60 * 1000, // 15 minutes
+ *   algorithm: 'sliding-window',
  * });
  */
-export function createRateLimiter({ requests, windowMs, name }) {
-  // Always use in-memory limiter for now
-  // Upstash support can be enabled by installing @upstash/ratelimit and @upstash/redis
-  // and uncommenting the code below
-  
-  // For production Upstash support, uncomment this block:
-  // if (USE_UPSTASH) {
-  //   return createUpstashLimiter({ requests, windowMs, name });
-  // }
-  
-  // Use in-memory limiter
-  return createMemoryLimiter({ requests, windowMs, name });
+export function createRateLimiter({
+  requests,
+  windowMs,
+  name,
+  algorithm = ALGORITHMS.FIXED_WINDOW,
+  burst,
+  aligned = false,
+  store,
+}) {
+  const run = getAlgorithm(algorithm);
+  const policy = describePolicy({ requests, windowMs, burst });
+
+  return {
+    name,
+    requests,
+    windowMs,
+    algorithm,
+    policy,
+
+    /**
+     * Check if a request should be allowed, counting it if so
+     *
+     * @param {string} identifier - Unique identifier (IP, user ID, etc.)
+     * @returns {Promise<{ success: boolean, remaining: number, reset: number, limit: number, policy: string }>}
+     */
+    async check(identifier) {
+      const result = await run(
+        store || getRateLimitStore(),
+        `${name}:${identifier}`,
+        { requests, windowMs, burst, aligned },
+        Date.now()
+      );
+      return { ...result, policy };
+    },
+
+    /**
+     * Reset rate limit for an identifier
+     * Useful for testing or admin overrides
+     *
+     * @param {string} identifier - Unique identifier to reset
+     */
+    async reset(identifier) {
+      await (store || getRateLimitStore()).deleteByPrefix(`${name}:${identifier}:`);
+    },
+  };
+}
+
+/**
+ * Creates a quota: a number of requests per calendar period (UTC days by default)
+ *
+ * Rejections of a quota are reported as QUOTA_EXCEEDED instead of
+ * RATE_LIMIT_EXCEEDED by withRateLimit().
+ *
+ * @param {Object} config - Quota configuration
+ * @param {string} config.name - Unique name for this quota
+ * @param {number} config.requests - Requests allowed per period
+ * @param {number} [config.periodMs] - Period length, defaults to one day
+ * @param {Object} [config.store] - Store for this quota only
+ * @returns {Object} Rate limiter instance with check() method
+ *
+ * @example
+ * const aiDailyQuota = createQuota({ name: 'ai-daily', requests: 200 });
+ */
+export function createQuota({ name, requests, periodMs = DAY, store }) {
+  const limiter = createRateLimiter({
+    name,
+    requests,
+    windowMs: periodMs,
+    algorithm: ALGORITHMS.FIXED_WINDOW,
+    aligned: true,
+    store,
+  });
+
+  return {
+    ...limiter,
+    quota: true,
+    async check(identifier) {
+      return { ...(await limiter.check(identifier)), quota: true };
+    },
+  };
+}
+
+/**
+ * Combines limiters so a request must pass all of them
+ *
+ * Limiters are checked in order and a rejection stops the check, so put
+ * short-term limits before quotas: a request rejected for bursting doesn't
+ * use up quota. The result is the rejecting limiter's, or else the one with
+ * the fewest requests remaining.
+ *
+ * @param {string} name - Name of the combined limiter
+ * @param {Object[]} limiters - Limiters from createRateLimiter() or createQuota()
+ * @returns {Object} Rate limiter instance with check() method
+ *
+ * @example
+ * const aiUsageLimiter = combineLimiters('ai-usage', [aiLimiter, aiDailyQuota]);
+ */
+export function combineLimiters(name, limiters) {
+  const policy = limiters.map((limiter) => limiter.policy).join(', ');
+
+  return {
+    name,
+    limiters,
+    policy,
+
+    async check(identifier) {
+      let tightest = null;
+      for (const limiter of limiters) {
+        const result = await limiter.check(identifier);
+        if (!result.success) {
+          return { ...result, limiter: limiter.name, policy };
+        }
+        if (!tightest || result.remaining < tightest.remaining) {
+          tightest = { ...result, limiter: limiter.name };
+        }
+      }
+      return { ...tightest, policy };
+    },
+
+    async reset(identifier) {
+      await Promise.all(limiters.map((limiter) => limiter.reset(identifier)));
+    },
+  };
 }
 
 /**
@@ -97,6 +273,8 @@ export function getUserIdentifier(request, userId) {
   return getIdentifier(request);
 }
 
+export { ALGORITHMS } from './algorithms.js';
+export { createMemoryStore, createRedisStore, createMongoStore };
+
 // Re-export memory store utilities for testing
 export { clearAllLimits, getStoreSize } from './memory-store.js';
-
@@ -5,7 +5,7 @@
  * Import these directly in your route files.
  */
 
-import { createRateLimiter } from "./index.js";
+import { createRateLimiter, createQuota, combineLimiters, ALGORITHMS } from "./index.js";
 
 // ============================================
 // Time Constants (for readability)
@@ -13,6 +13,10 @@ import { createRateLimiter } from "./index.js";
 const SECOND = 1000;
 const MINUTE = 60 * SECOND;
 const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// AI requests per user per UTC day
+const AI_DAILY_QUOTA = Number(process.env.AI_DAILY_QUOTA) || 200;
 
 // ============================================
 // Critical Security Limiters
@@ -22,7 +26,8 @@ const HOUR = 60 * MINUTE;
  * Admin Authentication Limiter
  *
  * Very strict limit to prevent brute-force password attacks.
- * 5 attempts per 15 minutes per IP.
+ * 5 attempts per 15 minutes per IP, over a sliding window so attempts
+ * can't be doubled up around a window boundary.
  *
  * Use for: /api/admin/auth
  */
@@ -30,6 +35,7 @@ export const adminAuthLimiter = createRateLimiter({
   name: "admin-auth",
   requests: 5,
   windowMs: 15 * MINUTE,
+  algorithm: ALGORITHMS.SLIDING_WINDOW,
 });
 
 /**
@@ -78,6 +84,20 @@ export const youtubeLimiter = createRateLimiter({
   windowMs: MINUTE,
 });
 
+/**
+ * Code Execution Limiter
+ *
+ * Protects the execution backend from runaway run loops.
+ * 20 executions per minute per user.
+ *
+ * Use for: /api/execute
+ */
+export const executionLimiter = createRateLimiter({
+  name: "code-execution",
+  requests: 20,
+  windowMs: MINUTE,
+});
+
 // ============================================
 // User Content Limiters
 // ============================================
@@ -110,6 +130,34 @@ export const voteLimiter = createRateLimiter({
   windowMs: MINUTE,
 });
 
+/**
+ * Snippet Write Limiter
+ *
+ * Saving, forking and deleting cloud snippets.
+ * 30 writes per minute per user.
+ *
+ * Use for: /api/snippets, /api/snippets/[snippetId], /api/snippets/[snippetId]/fork
+ */
+export const snippetLimiter = createRateLimiter({
+  name: "snippet-write",
+  requests: 30,
+  windowMs: MINUTE,
+});
+
+/**
+ * Conversation Write Limiter
+ *
+ * Renaming, archiving and deleting AI companion conversations.
+ * 30 writes per minute per user.
+ *
+ * Use for: /api/companion/conversations/[conversationId]
+ */
+export const conversationLimiter = createRateLimiter({
+  name: "conversation-write",
+  requests: 30,
+  windowMs: MINUTE,
+});
+
 // ============================================
 // Admin Operation Limiters
 // ============================================
@@ -128,6 +176,20 @@ export const adminQuestLimiter = createRateLimiter({
   windowMs: MINUTE,
 });
 
+/**
+ * Admin Evaluation Limiter
+ *
+ * Rate limits evaluation runs, which call the AI once per dataset case.
+ * 10 runs per hour per admin.
+ *
+ * Use for: /api/admin/evals/routing
+ */
+export const adminEvalLimiter = createRateLimiter({
+  name: "admin-eval",
+  requests: 10,
+  windowMs: HOUR,
+});
+
 // ============================================
 // General Purpose Limiters
 // ============================================
@@ -160,20 +222,57 @@ export const socketLimiter = createRateLimiter({
   windowMs: MINUTE,
 });
 
+/**
+ * Playground Save Limiter
+ *
+ * Autosaves and snapshots of collaborative playground rooms.
+ * 30 saves per minute per user.
+ *
+ * Use for: /api/playground/rooms/[roomId], /api/playground/rooms/[roomId]/snapshots
+ */
+export const playgroundSaveLimiter = createRateLimiter({
+  name: "playground-save",
+  requests: 30,
+  windowMs: MINUTE,
+});
+
 /**
  * AI Operation Limiter
  *
  * Prevents abuse of AI features.
- * 50 requests per minute per user.
+ * 50 requests per minute per user, as a token bucket: up to 50 at once,
+ * refilling at one every 1.2 seconds.
  *
- * Use for: /api/ai/chat, /api/ai/process
+ * Use through aiUsageLimiter, which adds the daily quota.
  */
 export const aiLimiter = createRateLimiter({
   name: "ai-operation",
   requests: 50,
   windowMs: MINUTE,
+  algorithm: ALGORITHMS.TOKEN_BUCKET,
 });
 
+/**
+ * AI Daily Quota
+ *
+ * Caps model usage per user per UTC day.
+ * AI_DAILY_QUOTA requests (default 200).
+ */
+export const aiDailyQuota = createQuota({
+  name: "ai-daily-quota",
+  requests: AI_DAILY_QUOTA,
+  periodMs: DAY,
+});
+
+/**
+ * AI Usage Limiter
+ *
+ * aiLimiter, then the daily quota, so bursts that are rejected don't use up quota.
+ *
+ * Use for: /api/companion
+ */
+export const aiUsageLimiter = combineLimiters("ai-usage", [aiLimiter, aiDailyQuota]);
+
 // ============================================
 // Limiter Summary (for documentation)
 // ============================================
@@ -186,6 +285,7 @@ export const limiterConfigs = {
   "admin-auth": {
     requests: 5,
     windowMs: 15 * MINUTE,
+    algorithm: ALGORITHMS.SLIDING_WINDOW,
     description: "Admin login attempts",
   },
   "quest-attempt": {
@@ -205,17 +305,53 @@ export const limiterConfigs = {
     description:
       "YouTube searches (user-based if authenticated, IP-based if anonymous)",
   },
+  "code-execution": {
+    requests: 20,
+    windowMs: MINUTE,
+    description: "Code executions",
+  },
   "question-reply": {
     requests: 10,
     windowMs: MINUTE,
     description: "Question replies",
   },
   vote: { requests: 30, windowMs: MINUTE, description: "Upvotes/downvotes" },
+  "snippet-write": {
+    requests: 30,
+    windowMs: MINUTE,
+    description: "Snippet saves, forks and deletions",
+  },
+  "conversation-write": {
+    requests: 30,
+    windowMs: MINUTE,
+    description: "Conversation renames, archiving and deletions",
+  },
   "admin-quest": {
     requests: 20,
     windowMs: MINUTE,
     description: "Admin quest operations",
   },
+  "admin-eval": {
+    requests: 10,
+    windowMs: HOUR,
+    description: "Admin evaluation runs",
+  },
   general: { requests: 60, windowMs: MINUTE, description: "General API calls" },
   socket: { requests: 100, windowMs: MINUTE, description: "Real-time events" },
+  "playground-save": {
+    requests: 30,
+    windowMs: MINUTE,
+    description: "Playground room saves and snapshots",
+  },
+  "ai-operation": {
+    requests: 50,
+    windowMs: MINUTE,
+    algorithm: ALGORITHMS.TOKEN_BUCKET,
+    description: "AI companion messages",
+  },
+  "ai-daily-quota": {
+    requests: AI_DAILY_QUOTA,
+    windowMs: DAY,
+    description: "AI companion messages per UTC day",
+  },
 };
@@ -1,13 +1,12 @@
 /**
- * In-Memory Rate Limiter Store
- * 
- * Simple rate limiter for development and single-instance deployments.
- * Uses a Map to store request counts per identifier.
- * 
- * For production with multiple serverless instances, use Upstash Redis instead.
+ * In-Memory Rate Limit Store
+ *
+ * Keeps rate limit counters in a Map in this process.
+ * Suitable for development and single-instance deployments; every serverless
+ * instance has its own counters, so use the Redis or Mongo store in production.
  */
 
-/** @type {Map<string, { count: number, resetTime: number }>} */
+/** @type {Map<string, { value: number, createdAt: number, expiresAt: number }>} */
 const store = new Map();
 
 /**
@@ -15,100 +14,81 @@ const store = new Map();
  * Runs every 60 seconds to prevent memory leaks
  */
 if (typeof setInterval !== 'undefined') {
-  setInterval(() => {
+  const cleanup = setInterval(() => {
     const now = Date.now();
     for (const [key, value] of store.entries()) {
-      if (value.resetTime < now) {
+      if (value.expiresAt <= now) {
         store.delete(key);
       }
     }
   }, 60 * 1000);
+
+  // Don't keep scripts alive just for the cleanup
+  cleanup.unref?.();
 }
 
 /**
- * Creates an in-memory rate limiter
- * 
- * @param {Object} config - Limiter configuration
- * @param {number} config.requests - Number of requests allowed in window
- * @param {number} config.windowMs - Time window in milliseconds
- * @param {string} config.name - Limiter name for identification
- * @returns {Object} Rate limiter instance
- * 
+ * Live entry of a key
+ * @param {string} key
+ * @param {number} now
+ * @returns {{ value: number, createdAt: number, expiresAt: number } | null}
+ */
+function read(key, now) {
+  const entry = store.get(key);
+  if (!entry || entry.expiresAt <= now) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Creates the in-memory rate limit store
+ *
+ * All instances share the same Map, so clearAllLimits() and getStoreSize()
+ * cover every limiter using the memory store.
+ *
+ * @returns {Object} Rate limit store (see lib/ratelimit for the interface)
+ *
  * @example
- * const limiter = createMemoryLimiter({
- *   name: 'admin-auth',
- *   requests: 5,
- *   windowMs: 15 * 60 * 1000 // 15 minutes
- * });
- * 
- * const result = await limiter.check('192.168.1.1');
- * if (!result.success) {
- *   // Rate limited!
- * }
+ * const store = createMemoryStore();
+ * await store.increment('admin-auth:192.168.1.1:fw', 1, 15 * 60 * 1000);
+ * // { value: 1, createdAt: 1760000000000 }
  */
-export function createMemoryLimiter({ requests, windowMs, name }) {
+export function createMemoryStore() {
   return {
-    name,
-    requests,
-    windowMs,
-    
-    /**
-     * Check if a request should be allowed
-     * 
-     * @param {string} identifier - Unique identifier (IP, user ID, etc.)
-     * @returns {Promise<{ success: boolean, remaining: number, reset: number, limit: number }>}
-     */
-    async check(identifier) {
-      const key = `${name}:${identifier}`;
-      const now = Date.now();
-      
-      let record = store.get(key);
-      
-      // Create new window if none exists or window expired
-      if (!record || record.resetTime < now) {
-        record = {
-          count: 0,
-          resetTime: now + windowMs,
-        };
+    name: 'memory',
+
+    async increment(key, amount, ttlMs, now = Date.now()) {
+      let entry = read(key, now);
+      if (!entry) {
+        entry = { value: 0, createdAt: now, expiresAt: now + ttlMs };
+        store.set(key, entry);
       }
-      
-      // Increment request count
-      record.count++;
-      store.set(key, record);
-      
-      // Calculate remaining requests and success status
-      const remaining = Math.max(0, requests - record.count);
-      const success = record.count <= requests;
-      const reset = Math.ceil((record.resetTime - now) / 1000);
-      
-      return {
-        success,
-        remaining,
-        reset,
-        limit: requests,
-      };
+      entry.value += amount;
+      return { value: entry.value, createdAt: entry.createdAt };
     },
-    
-    /**
-     * Reset rate limit for an identifier
-     * Useful for testing or admin overrides
-     * 
-     * @param {string} identifier - Unique identifier to reset
-     */
-    async reset(identifier) {
-      const key = `${name}:${identifier}`;
-      store.delete(key);
+
+    async get(key, now = Date.now()) {
+      const entry = read(key, now);
+      return entry ? { value: entry.value, createdAt: entry.createdAt } : null;
     },
-    
-    /**
-     * Get current state for an identifier (for debugging)
-     * 
-     * @param {string} identifier - Unique identifier
-     * @returns {{ count: number, resetTime: number } | null}
-     */
-    getState(identifier) {
-      const key = `${name}:${identifier}`;
-      return store.get(key) || null;
+
+    async expire(key, ttlMs, now = Date.now()) {
+      const entry = read(key, now);
+      if (entry) {
+        entry.expiresAt = now + ttlMs;
+      }
+    },
+
+    async deleteByPrefix(prefix) {
+      let removed = 0;
+      for (const key of store.keys()) {
+        if (key.startsWith(prefix)) {
+          store.delete(key);
+          removed++;
+        }
+      }
+      return removed;
     },
   };
 }
@@ -127,4 +107,3 @@ export function clearAllLimits() {
 export function getStoreSize() {
   return store.size;
 }
-
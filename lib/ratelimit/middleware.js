@@ -3,6 +3,10 @@
  * 
  * Provides a wrapper function to add rate limiting to API routes.
  * Handles rate limit checking, response headers, and 429 responses.
+ *
+ * Responses carry the standard RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers, plus the older
+ * X-RateLimit-* headers for existing clients.
  */
 
 import { NextResponse } from 'next/server';
@@ -15,7 +19,7 @@ import { getIdentifier } from './index.js';
  * @param {Object} limiter - Rate limiter instance from createRateLimiter()
  * @param {Function} handler - The original route handler function
  * @param {Object} options - Additional options
- * @param {Function} [options.getIdentifier] - Custom identifier function
+ * @param {Function} [options.getIdentifier] - Custom identifier function, may be async
  * @returns {Function} Wrapped handler with rate limiting
  * 
  * @example
@@ -35,24 +39,20 @@ export function withRateLimit(limiter, handler, options = {}) {
   return async (request, context) => {
     try {
       // Get identifier for rate limiting
-      const identifier = customGetIdentifier(request);
+      const identifier = await customGetIdentifier(request);
       
       // Check rate limit
       const result = await limiter.check(identifier);
       
       // Prepare rate limit headers
-      const rateLimitHeaders = {
-        'X-RateLimit-Limit': result.limit.toString(),
-        'X-RateLimit-Remaining': result.remaining.toString(),
-        'X-RateLimit-Reset': result.reset.toString(),
-      };
+      const rateLimitHeaders = createRateLimitHeaders(result);
       
       // If rate limited, return 429 response with standardized format
       if (!result.success) {
         const requestId = `req_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 11)}`;
         
-        logger.warn('Rate limit exceeded', {
-          limiter: limiter.name,
+        logger.warn(result.quota ? 'Quota exceeded' : 'Rate limit exceeded', {
+          limiter: result.limiter || limiter.name,
           identifier: identifier.substring(0, 20), // Truncate for privacy
           path: request.nextUrl?.pathname || request.url,
           limit: result.limit,
@@ -64,8 +64,10 @@ export function withRateLimit(limiter, handler, options = {}) {
           { 
             success: false,
             error: {
-              code: 'RATE_LIMIT_EXCEEDED',
-              message: `Rate limit exceeded. Please try again in ${result.reset} seconds.`,
+              code: result.quota ? 'QUOTA_EXCEEDED' : 'RATE_LIMIT_EXCEEDED',
+              message: result.quota
+                ? `Quota exceeded. It resets in ${result.reset} seconds.`
+                : `Rate limit exceeded. Please try again in ${result.reset} seconds.`,
               requestId,
               timestamp: new Date().toISOString(),
             }
@@ -136,6 +138,10 @@ export function withRateLimit(limiter, handler, options = {}) {
  */
 export function createRateLimitHeaders(result) {
   return {
+    'RateLimit-Limit': result.limit.toString(),
+    'RateLimit-Remaining': result.remaining.toString(),
+    'RateLimit-Reset': result.reset.toString(),
+    ...(result.policy && { 'RateLimit-Policy': result.policy }),
     'X-RateLimit-Limit': result.limit.toString(),
     'X-RateLimit-Remaining': result.remaining.toString(),
     'X-RateLimit-Reset': result.reset.toString(),
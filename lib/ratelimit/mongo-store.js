@@ -0,0 +1,89 @@
+/**
+ * Mongo Rate Limit Store
+ *
+ * Keeps rate limit counters in MongoDB (RateLimit model), so every instance
+ * shares them without another service. Each update is a single atomic
+ * findOneAndUpdate; a counter that has expired but not yet been removed by
+ * the TTL monitor is started over.
+ */
+
+import { connect } from '@/lib/mongodb/mongoose';
+import RateLimit from '@/lib/models/rateLimitModel';
+
+// MongoDB duplicate key error, raised when two upserts create the same counter
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Creates a Mongo rate limit store
+ *
+ * @returns {Object} Rate limit store (see lib/ratelimit for the interface)
+ */
+export function createMongoStore() {
+  return {
+    name: 'mongo',
+
+    async increment(key, amount, ttlMs, now = Date.now()) {
+      await connect();
+
+      const nowDate = new Date(now);
+      const live = { $gt: ['$expiresAt', nowDate] };
+      const update = [
+        {
+          $set: {
+            value: { $cond: [live, { $add: ['$value', amount] }, amount] },
+            createdAt: { $cond: [live, '$createdAt', nowDate] },
+            expiresAt: { $cond: [live, '$expiresAt', new Date(now + ttlMs)] },
+          },
+        },
+      ];
+
+      const upsert = () =>
+        RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true, lean: true });
+
+      let entry;
+      try {
+        entry = await upsert();
+      } catch (error) {
+        // Another instance created the counter first; update theirs
+        if (error.code !== DUPLICATE_KEY) throw error;
+        entry = await upsert();
+      }
+
+      return { value: entry.value, createdAt: entry.createdAt.getTime() };
+    },
+
+    async get(key, now = Date.now()) {
+      await connect();
+
+      const entry = await RateLimit.findOne({ key, expiresAt: { $gt: new Date(now) } }).lean();
+      return entry ? { value: entry.value, createdAt: entry.createdAt.getTime() } : null;
+    },
+
+    async expire(key, ttlMs, now = Date.now()) {
+      await connect();
+
+      await RateLimit.updateOne(
+        { key, expiresAt: { $gt: new Date(now) } },
+        { $set: { expiresAt: new Date(now + ttlMs) } }
+      );
+    },
+
+    async deleteByPrefix(prefix) {
+      await connect();
+
+      const { deletedCount } = await RateLimit.deleteMany({
+        key: { $regex: `^${escapeRegExp(prefix)}` },
+      });
+      return deletedCount;
+    },
+  };
+}
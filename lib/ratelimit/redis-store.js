@@ -0,0 +1,89 @@
+/**
+ * Redis Rate Limit Store
+ *
+ * Keeps rate limit counters in Redis, so every instance shares them.
+ * Works with any client that speaks the ioredis command API, such as
+ * `new Redis(process.env.REDIS_URL)` or the local stand-in from
+ * lib/cache/localRedisClient.
+ *
+ * Each counter is a hash with `value` and `createdAt` fields, updated in a
+ * single MULTI transaction. Needs Redis 7 or later (PEXPIRE ... NX).
+ */
+
+// Keys examined per SCAN call when deleting by prefix
+const SCAN_COUNT = 100;
+
+/**
+ * Results of a MULTI transaction, throwing the first failed command's error
+ * @param {Array<[Error|null, *]>} replies - Replies from exec()
+ * @returns {Array<*>}
+ */
+function unwrap(replies) {
+  if (!replies) {
+    throw new Error('Redis transaction was aborted');
+  }
+  return replies.map(([error, result]) => {
+    if (error) throw error;
+    return result;
+  });
+}
+
+/**
+ * Creates a Redis rate limit store
+ *
+ * @param {Object} client - ioredis-compatible client
+ * @param {Object} [options]
+ * @param {string} [options.prefix='ratelimit'] - Prefix of every key
+ * @returns {Object} Rate limit store (see lib/ratelimit for the interface)
+ *
+ * @example
+ * import Redis from 'ioredis';
+ * setRateLimitStore(createRedisStore(new Redis(process.env.REDIS_URL)));
+ */
+export function createRedisStore(client, { prefix = 'ratelimit' } = {}) {
+  const keyOf = (key) => `${prefix}:${key}`;
+
+  return {
+    name: 'redis',
+
+    async increment(key, amount, ttlMs, now = Date.now()) {
+      const redisKey = keyOf(key);
+      const [, value, createdAt] = unwrap(
+        await client
+          .multi()
+          .hsetnx(redisKey, 'createdAt', now)
+          .hincrby(redisKey, 'value', amount)
+          .hget(redisKey, 'createdAt')
+          .pexpire(redisKey, Math.ceil(ttlMs), 'NX')
+          .exec()
+      );
+      return { value: Number(value), createdAt: Number(createdAt) };
+    },
+
+    async get(key) {
+      const entry = await client.hgetall(keyOf(key));
+      if (!entry || entry.value === undefined) {
+        return null;
+      }
+      return { value: Number(entry.value), createdAt: Number(entry.createdAt) };
+    },
+
+    async expire(key, ttlMs) {
+      await client.pexpire(keyOf(key), Math.max(1, Math.ceil(ttlMs)));
+    },
+
+    async deleteByPrefix(keyPrefix) {
+      // SCAN walks the keyspace in batches; KEYS would block the server until done
+      let cursor = '0';
+      let removed = 0;
+      do {
+        const [next, keys] = await client.scan(cursor, 'MATCH', `${keyOf(keyPrefix)}*`, 'COUNT', SCAN_COUNT);
+        cursor = next;
+        if (keys.length > 0) {
+          removed += await client.del(...keys);
+        }
+      } while (cursor !== '0');
+      return removed;
+    },
+  };
+}
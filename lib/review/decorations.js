@@ -0,0 +1,211 @@
+/**
+ * Review Decorations
+ *
+ * Draws an AI review's findings in a Monaco editor: a gutter marker and a
+ * squiggle under the affected lines, colored by severity, with a hover card
+ * describing the finding. Findings that suggest code get a quick fix
+ * (lightbulb or Ctrl+.) that opens the fix preview. As the code is edited,
+ * the decorations follow their lines and the new positions are reported back.
+ *
+ * @module lib/review/decorations
+ */
+
+const STYLE_ELEMENT_ID = "review-decoration-styles";
+
+/** Marker colors by severity */
+export const SEVERITY_COLORS = {
+  high: "#ef4444",
+  medium: "#f59e0b",
+  low: "#3b82f6",
+  info: "#22c55e",
+};
+
+const SEVERITY_LABELS = {
+  high: "High severity issue",
+  medium: "Medium severity issue",
+  low: "Low severity issue",
+};
+
+const KIND_LABELS = {
+  issues: "Issue",
+  suggestions: "Suggestion",
+  improvements: "Improvement",
+};
+
+/**
+ * Adds the CSS classes used by review decorations, once per page
+ */
+function injectReviewStyles() {
+  if (typeof document === "undefined" || document.getElementById(STYLE_ELEMENT_ID)) return;
+
+  const style = document.createElement("style");
+  style.id = STYLE_ELEMENT_ID;
+  style.textContent = Object.entries(SEVERITY_COLORS)
+    .map(
+      ([severity, color]) => `
+.review-squiggle-${severity} { text-decoration: underline wavy ${color}; text-decoration-skip-ink: none; text-underline-offset: 3px; }
+.review-glyph-${severity} { background: ${color}; border-radius: 50%; width: 8px !important; height: 8px !important; margin: 6px 0 0 6px; }`
+    )
+    .join("\n");
+  document.head.appendChild(style);
+}
+
+/**
+ * Hover card of a finding, as markdown
+ * @param {Object} finding - Anchored finding
+ * @param {string} language - Monaco language ID of the code
+ * @returns {string}
+ */
+function hoverMarkdown(finding, language) {
+  const label = SEVERITY_LABELS[finding.severity] || KIND_LABELS[finding.kind];
+  const lines =
+    finding.endLineNumber > finding.lineNumber
+      ? `lines ${finding.lineNumber}-${finding.endLineNumber}`
+      : `line ${finding.lineNumber}`;
+  const parts = [`**${finding.title}**`, `_${label} · AI review · ${lines}_`];
+  if (finding.description) parts.push(finding.description);
+  if (finding.code) {
+    parts.push(`\`\`\`${language}\n${finding.code}\n\`\`\``, "Use the quick fix (Ctrl+.) to preview this change.");
+  }
+  return parts.join("\n\n");
+}
+
+export class ReviewDecorations {
+  /**
+   * @param {Object} editor - Monaco editor instance
+   * @param {Object} monaco - Monaco namespace
+   * @param {Object} handlers
+   * @param {Function} handlers.onMove - Called with a Map of finding ID to
+   *   `{ lineNumber, endLineNumber }`, or null when the finding's lines were deleted
+   * @param {Function} handlers.onPreviewFix - Called with a finding ID
+   */
+  constructor(editor, monaco, { onMove, onPreviewFix }) {
+    this.editor = editor;
+    this.monaco = monaco;
+    this.onMove = onMove;
+    this.findings = [];
+    this.decorations = editor.createDecorationsCollection();
+
+    injectReviewStyles();
+
+    const previewCommand = editor.addCommand(0, (accessor, findingId) => onPreviewFix(findingId), "");
+    this.disposables = [
+      editor.onDidChangeModelContent(() => this.handleContentChange()),
+      editor.onDidChangeModel(() => this.setFindings([])),
+      monaco.languages.registerCodeActionProvider("*", {
+        provideCodeActions: (model, range) => ({
+          actions: model === editor.getModel() ? this.codeActions(range, previewCommand) : [],
+          dispose() {},
+        }),
+      }),
+    ];
+  }
+
+  /**
+   * Draws findings, replacing the ones drawn before
+   * @param {Object[]} findings - Anchored findings (see anchoredFindings)
+   */
+  setFindings(findings) {
+    const model = this.editor.getModel();
+    if (!model) return;
+
+    const lineCount = model.getLineCount();
+    const language = model.getLanguageId();
+    const { OverviewRulerLane, TrackedRangeStickiness } = this.monaco.editor;
+
+    this.findings = findings.filter((finding) => finding.lineNumber <= lineCount);
+    this.decorations.set(
+      this.findings.map((finding) => {
+        const endLineNumber = Math.min(finding.endLineNumber || finding.lineNumber, lineCount);
+        const hoverMessage = { value: hoverMarkdown(finding, language) };
+        const range = new this.monaco.Range(
+          finding.lineNumber,
+          model.getLineFirstNonWhitespaceColumn(finding.lineNumber) || 1,
+          endLineNumber,
+          model.getLineMaxColumn(endLineNumber)
+        );
+        finding.wasEmpty = range.isEmpty();
+        return {
+          range,
+          options: {
+            inlineClassName: `review-squiggle-${finding.severity}`,
+            glyphMarginClassName: `review-glyph-${finding.severity}`,
+            hoverMessage,
+            glyphMarginHoverMessage: hoverMessage,
+            overviewRuler: { color: SEVERITY_COLORS[finding.severity], position: OverviewRulerLane.Right },
+            stickiness: TrackedRangeStickiness.AlwaysGrowsWhenTypingAtEdges,
+          },
+        };
+      })
+    );
+  }
+
+  /**
+   * Current lines of the drawn findings, as edits moved them
+   * @returns {Array<{ id: string, lineNumber: number, endLineNumber: number }|{ id: string, removed: true }>}
+   */
+  currentPositions() {
+    const ranges = this.decorations.getRanges();
+    return this.findings.map((finding, index) => {
+      const range = ranges[index];
+      if (!range || (range.isEmpty() && !finding.wasEmpty)) {
+        return { id: finding.id, removed: true };
+      }
+      return { id: finding.id, lineNumber: range.startLineNumber, endLineNumber: range.endLineNumber };
+    });
+  }
+
+  /**
+   * Reports findings whose lines moved or were deleted
+   */
+  handleContentChange() {
+    if (this.findings.length === 0) return;
+
+    const moved = new Map();
+    this.currentPositions().forEach((position, index) => {
+      const finding = this.findings[index];
+      if (position.removed) {
+        moved.set(finding.id, null);
+      } else if (
+        position.lineNumber !== finding.lineNumber ||
+        position.endLineNumber !== (finding.endLineNumber || finding.lineNumber)
+      ) {
+        moved.set(finding.id, { lineNumber: position.lineNumber, endLineNumber: position.endLineNumber });
+      }
+    });
+    if (moved.size > 0) this.onMove(moved);
+  }
+
+  /**
+   * Quick fixes for findings on the given lines
+   * @returns {Object[]} Monaco code actions
+   */
+  codeActions(range, commandId) {
+    const positions = this.currentPositions();
+    return this.findings
+      .filter((finding, index) => {
+        const position = positions[index];
+        return (
+          finding.code &&
+          !position.removed &&
+          position.lineNumber <= range.endLineNumber &&
+          position.endLineNumber >= range.startLineNumber
+        );
+      })
+      .map((finding) => ({
+        title: `Preview AI fix: ${finding.title}`,
+        kind: "quickfix",
+        isPreferred: finding.severity === "high",
+        command: { id: commandId, title: "Preview AI fix", arguments: [finding.id] },
+      }));
+  }
+
+  /**
+   * Removes the decorations and listeners
+   */
+  destroy() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.decorations.clear();
+    this.findings = [];
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Review Findings
+ *
+ * Pure helpers for line-anchored AI code reviews, shared by the review server
+ * action and the learn workspace. A review is
+ * `{ issues, suggestions, improvements }`; each finding has a `title`,
+ * `description`, an optional replacement `code`, and the lines it applies to
+ * (`lineNumber` to `endLineNumber`, 1-based, or null when it isn't tied to
+ * any line).
+ *
+ * Reviews can be incremental: only the line ranges changed since the last
+ * review are reviewed again, and the findings elsewhere are kept.
+ *
+ * @module lib/review/findings
+ */
+
+/** Sections of a review */
+export const REVIEW_KINDS = ["issues", "suggestions", "improvements"];
+
+/** Issue severities; suggestions and improvements are shown as "info" */
+export const SEVERITIES = ["high", "medium", "low"];
+
+/** Beyond this many line pairs, changed regions are found by trimming only */
+const MAX_DIFF_CELLS = 4000000;
+
+// "12| " prefixes the model sometimes copies from the numbered prompt
+const LINE_PREFIX_PATTERN = /^\s*\d+\| ?/;
+
+let findingCount = 0;
+
+/**
+ * Prefixes each line with its number, so the model can anchor findings
+ * @param {string} code - Code
+ * @returns {string}
+ */
+export function numberLines(code) {
+  return code
+    .split("\n")
+    .map((line, index) => `${index + 1}| ${line}`)
+    .join("\n");
+}
+
+/**
+ * Describes line ranges for a prompt: "3-8, 12"
+ * @param {Array<{ startLine: number, endLine: number }>} ranges - Line ranges
+ * @returns {string}
+ */
+export function formatRanges(ranges) {
+  return ranges
+    .map(({ startLine, endLine }) => (startLine === endLine ? `${startLine}` : `${startLine}-${endLine}`))
+    .join(", ");
+}
+
+/**
+ * Whether a finding's lines overlap any of the ranges
+ * @param {Object} finding - Finding with lineNumber and endLineNumber
+ * @param {Array<{ startLine: number, endLine: number }>} ranges - Line ranges
+ * @returns {boolean}
+ */
+export function overlapsRanges(finding, ranges) {
+  if (!finding.lineNumber) return false;
+  const end = finding.endLineNumber || finding.lineNumber;
+  return ranges.some(({ startLine, endLine }) => finding.lineNumber <= endLine && end >= startLine);
+}
+
+/**
+ * Cleans one finding from the model's response
+ * @returns {Object|null} Finding, or null if it has no title
+ */
+function normalizeFinding(item, kind, lineCount) {
+  if (!item || typeof item !== "object" || !item.title) return null;
+
+  let lineNumber = Number.isInteger(item.lineNumber) ? item.lineNumber : null;
+  if (lineNumber !== null && (lineNumber < 1 || lineNumber > lineCount)) lineNumber = null;
+  const endLineNumber =
+    lineNumber === null
+      ? null
+      : Math.min(
+          Math.max(Number.isInteger(item.endLineNumber) ? item.endLineNumber : lineNumber, lineNumber),
+          lineCount
+        );
+  let code = typeof item.code === "string" && item.code.trim() ? item.code : null;
+  if (code && code.split("\n").every((line) => !line.trim() || LINE_PREFIX_PATTERN.test(line))) {
+    code = code
+      .split("\n")
+      .map((line) => line.replace(LINE_PREFIX_PATTERN, ""))
+      .join("\n");
+  }
+
+  return {
+    id: `${kind}-${Date.now().toString(36)}-${++findingCount}`,
+    title: String(item.title),
+    description: typeof item.description === "string" ? item.description : "",
+    code,
+    lineNumber,
+    endLineNumber,
+    ...(kind === "issues" && {
+      severity: SEVERITIES.includes(item.severity) ? item.severity : "medium",
+    }),
+  };
+}
+
+/**
+ * Validates a parsed review from the model
+ * Line numbers outside the code are dropped. For a partial review, only
+ * findings inside the reviewed ranges are kept.
+ *
+ * @param {Object} parsed - Parsed JSON from the model
+ * @param {Object} options
+ * @param {number} options.lineCount - Lines in the reviewed code
+ * @param {Array<{ startLine: number, endLine: number }>} [options.ranges] - Ranges of a partial review
+ * @returns {Object} Review
+ */
+export function normalizeReview(parsed, { lineCount, ranges }) {
+  const review = {};
+  for (const kind of REVIEW_KINDS) {
+    const items = Array.isArray(parsed?.[kind]) ? parsed[kind] : [];
+    review[kind] = items
+      .map((item) => normalizeFinding(item, kind, lineCount))
+      .filter((finding) => finding && (!ranges || overlapsRanges(finding, ranges)));
+  }
+  return review;
+}
+
+/**
+ * Lists a review's findings that are tied to lines
+ * @param {Object} review - Review
+ * @returns {Object[]} Findings with their `kind` and a `severity` (high|medium|low|info)
+ */
+export function anchoredFindings(review) {
+  if (!review) return [];
+  return REVIEW_KINDS.flatMap((kind) =>
+    (review[kind] || [])
+      .filter((finding) => finding.lineNumber)
+      .map((finding) => ({ ...finding, kind, severity: finding.severity || "info" }))
+  );
+}
+
+/**
+ * Updates the lines of a review's findings
+ * @param {Object} review - Review
+ * @param {Map<string, { lineNumber: number, endLineNumber: number }|null>} positions -
+ *   New lines by finding ID; null drops the finding (its lines were deleted)
+ * @returns {Object} Updated review
+ */
+export function moveFindings(review, positions) {
+  const next = { ...review };
+  for (const kind of REVIEW_KINDS) {
+    next[kind] = (review[kind] || []).flatMap((finding) => {
+      if (!positions.has(finding.id)) return [finding];
+      const position = positions.get(finding.id);
+      return position ? [{ ...finding, ...position }] : [];
+    });
+  }
+  return next;
+}
+
+/**
+ * Removes a finding from a review
+ * @param {Object} review - Review
+ * @param {string} findingId - Finding ID
+ * @returns {Object} Updated review
+ */
+export function removeFinding(review, findingId) {
+  return moveFindings(review, new Map([[findingId, null]]));
+}
+
+/**
+ * Finds the line ranges of the new text that differ from the old text
+ * Deleted lines count as a change to the line where they were.
+ *
+ * @param {string} oldText - Text at the last review
+ * @param {string} newText - Current text
+ * @returns {Array<{ startLine: number, endLine: number }>} Ranges in the new text, in order
+ */
+export function changedLineRanges(oldText, newText) {
+  const oldLines = oldText.split("\n");
+  const newLines = newText.split("\n");
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  if (oldMiddle.length === 0 && newMiddle.length === 0) return [];
+
+  const lastLine = newLines.length;
+  const clamp = (line) => Math.min(Math.max(line, 1), lastLine);
+
+  // Too large to compare line by line: treat the whole middle as changed
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    return [{ startLine: clamp(prefix + 1), endLine: clamp(Math.max(prefix + newMiddle.length, prefix + 1)) }];
+  }
+
+  // Longest common subsequence of the middle lines
+  const rows = oldMiddle.length + 1;
+  const cols = newMiddle.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  // Walk the common lines; anything between them is a change
+  const ranges = [];
+  const addChange = (startLine, endLine) => {
+    const range = { startLine: clamp(startLine), endLine: clamp(endLine) };
+    const previous = ranges[ranges.length - 1];
+    if (previous && range.startLine <= previous.endLine + 1) {
+      previous.endLine = Math.max(previous.endLine, range.endLine);
+    } else {
+      ranges.push(range);
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    const startJ = j;
+    let deleted = false;
+    while (
+      (i < oldMiddle.length || j < newMiddle.length) &&
+      !(i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j])
+    ) {
+      if (j >= newMiddle.length || (i < oldMiddle.length && lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+        i++;
+        deleted = true;
+      } else {
+        j++;
+      }
+    }
+    const line = prefix + startJ + 1;
+    if (j > startJ) {
+      addChange(line, prefix + j);
+    } else if (deleted) {
+      // Only deletions: re-review the lines around where they were
+      addChange(line - 1, line);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Combines a partial review with the findings kept from the previous one
+ * Previous findings in the re-reviewed ranges are replaced by the new ones.
+ *
+ * @param {Object} previous - Previous review, with lines already moved to the current text
+ * @param {Object} partial - Review of the changed ranges
+ * @param {Array<{ startLine: number, endLine: number }>} ranges - Re-reviewed ranges
+ * @returns {Object} Review
+ */
+export function mergeReview(previous, partial, ranges) {
+  const merged = {};
+  for (const kind of REVIEW_KINDS) {
+    merged[kind] = [
+      ...(previous[kind] || []).filter((finding) => !overlapsRanges(finding, ranges)),
+      ...(partial[kind] || []),
+    ].sort((a, b) => (a.lineNumber || Infinity) - (b.lineNumber || Infinity));
+  }
+  return merged;
+}
+
+/**
+ * Replacement of a finding's lines by its suggested code
+ * The code is re-indented to the first replaced line when it comes without
+ * indentation of its own.
+ *
+ * @param {string} text - Current text
+ * @param {Object} finding - Finding with code and lines
+ * @returns {{ text: string, startLine: number, endLine: number, replacement: string }|null}
+ *   Patched text and the replaced lines, or null if the finding has no fix
+ */
+export function applyFinding(text, finding) {
+  if (!finding.code || !finding.lineNumber) return null;
+
+  const lines = text.split("\n");
+  const startLine = Math.min(finding.lineNumber, lines.length);
+  const endLine = Math.min(Math.max(finding.endLineNumber || startLine, startLine), lines.length);
+
+  const indent = lines[startLine - 1].match(/^\s*/)[0];
+  let codeLines = finding.code.replace(/\n+$/, "").split("\n");
+  const codeIndents = codeLines.filter((line) => line.trim()).map((line) => line.match(/^\s*/)[0].length);
+  if (indent && codeIndents.length > 0 && Math.min(...codeIndents) === 0) {
+    codeLines = codeLines.map((line) => (line.trim() ? indent + line : line));
+  }
+
+  const replacement = codeLines.join("\n");
+  return {
+    text: [...lines.slice(0, startLine - 1), ...codeLines, ...lines.slice(endLine)].join("\n"),
+    startLine,
+    endLine,
+    replacement,
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * AI Code Review
+ *
+ * Line-anchored review findings, incremental re-review of changed lines, and
+ * their editor decorations and quick fixes.
+ *
+ * @module lib/review
+ */
+
+export {
+  REVIEW_KINDS,
+  SEVERITIES,
+  numberLines,
+  formatRanges,
+  overlapsRanges,
+  normalizeReview,
+  anchoredFindings,
+  moveFindings,
+  removeFinding,
+  changedLineRanges,
+  mergeReview,
+  applyFinding,
+} from "./findings";
+export { ReviewDecorations, SEVERITY_COLORS } from "./decorations";
@@ -0,0 +1,369 @@
+/**
+ * Runtime Catalog
+ *
+ * What the editors know about each language: display name, Monaco language,
+ * file extension and starter template, plus a stand-in list of runtimes used
+ * when the execution backend's list can't be fetched. Runtime lists come in
+ * Piston's shape (`{ language, version, aliases }`) and are grouped into one
+ * entry per language, keyed by the language IDs the app uses ("cpp" rather
+ * than Piston's "c++"). Languages missing from the catalog are still offered,
+ * as plain text with an empty template.
+ *
+ * @module lib/runtimes/catalog
+ */
+
+/** Languages with editor support, by app language ID */
+export const LANGUAGE_CATALOG = {
+  javascript: {
+    name: "JavaScript",
+    monaco: "javascript",
+    extension: "js",
+    runtimeNames: ["javascript", "node", "node-javascript", "js"],
+    template: `// JavaScript starter
+function greet(name) {
+  return \`Hello, \${name}!\`;
+}
+
+console.log(greet("World"));
+`,
+  },
+  typescript: {
+    name: "TypeScript",
+    monaco: "typescript",
+    extension: "ts",
+    runtimeNames: ["typescript", "ts"],
+    template: `// TypeScript starter
+function greet(name: string): string {
+  return \`Hello, \${name}!\`;
+}
+
+console.log(greet("World"));
+`,
+  },
+  python: {
+    name: "Python",
+    monaco: "python",
+    extension: "py",
+    runtimeNames: ["python", "python3", "py"],
+    template: `# Python starter
+def greet(name):
+    return f"Hello, {name}!"
+
+
+if __name__ == "__main__":
+    print(greet("World"))
+`,
+  },
+  java: {
+    name: "Java",
+    monaco: "java",
+    extension: "java",
+    runtimeNames: ["java"],
+    template: `// Java starter
+public class Main {
+    public static void main(String[] args) {
+        System.out.println("Hello, World!");
+    }
+}
+`,
+  },
+  c: {
+    name: "C",
+    monaco: "c",
+    extension: "c",
+    runtimeNames: ["c", "gcc"],
+    template: `// C starter
+#include <stdio.h>
+
+int main(void) {
+    printf("Hello, World!\\n");
+    return 0;
+}
+`,
+  },
+  cpp: {
+    name: "C++",
+    monaco: "cpp",
+    extension: "cpp",
+    runtimeNames: ["c++", "cpp", "g++"],
+    template: `// C++ starter
+#include <iostream>
+
+int main() {
+    std::cout << "Hello, World!" << std::endl;
+    return 0;
+}
+`,
+  },
+  csharp: {
+    name: "C#",
+    monaco: "csharp",
+    extension: "cs",
+    runtimeNames: ["csharp", "csharp.net", "c#", "cs"],
+    template: `// C# starter
+using System;
+
+public class Program
+{
+    public static void Main()
+    {
+        Console.WriteLine("Hello, World!");
+    }
+}
+`,
+  },
+  php: {
+    name: "PHP",
+    monaco: "php",
+    extension: "php",
+    runtimeNames: ["php"],
+    template: `<?php
+// PHP starter
+function greet($name) {
+    return "Hello, $name!";
+}
+
+echo greet("World") . PHP_EOL;
+`,
+  },
+  go: {
+    name: "Go",
+    monaco: "go",
+    extension: "go",
+    runtimeNames: ["go", "golang"],
+    template: `// Go starter
+package main
+
+import "fmt"
+
+func main() {
+	fmt.Println("Hello, World!")
+}
+`,
+  },
+  rust: {
+    name: "Rust",
+    monaco: "rust",
+    extension: "rs",
+    runtimeNames: ["rust", "rs"],
+    template: `// Rust starter
+fn main() {
+    println!("Hello, World!");
+}
+`,
+  },
+  ruby: {
+    name: "Ruby",
+    monaco: "ruby",
+    extension: "rb",
+    runtimeNames: ["ruby", "rb"],
+    template: `# Ruby starter
+def greet(name)
+  "Hello, #{name}!"
+end
+
+puts greet("World")
+`,
+  },
+  kotlin: {
+    name: "Kotlin",
+    monaco: "kotlin",
+    extension: "kt",
+    runtimeNames: ["kotlin", "kt"],
+    template: `// Kotlin starter
+fun main() {
+    println("Hello, World!")
+}
+`,
+  },
+  swift: {
+    name: "Swift",
+    monaco: "swift",
+    extension: "swift",
+    runtimeNames: ["swift"],
+    template: `// Swift starter
+print("Hello, World!")
+`,
+  },
+  bash: {
+    name: "Bash",
+    monaco: "shell",
+    extension: "sh",
+    runtimeNames: ["bash", "sh"],
+    template: `#!/bin/bash
+# Bash starter
+echo "Hello, World!"
+`,
+  },
+  lua: {
+    name: "Lua",
+    monaco: "lua",
+    extension: "lua",
+    runtimeNames: ["lua"],
+    template: `-- Lua starter
+print("Hello, World!")
+`,
+  },
+  r: {
+    name: "R",
+    monaco: "r",
+    extension: "r",
+    runtimeNames: ["rscript", "r"],
+    template: `# R starter
+cat("Hello, World!\\n")
+`,
+  },
+  dart: {
+    name: "Dart",
+    monaco: "dart",
+    extension: "dart",
+    runtimeNames: ["dart"],
+    template: `// Dart starter
+void main() {
+  print('Hello, World!');
+}
+`,
+  },
+  scala: {
+    name: "Scala",
+    monaco: "scala",
+    extension: "scala",
+    runtimeNames: ["scala", "sc"],
+    template: `// Scala starter
+@main def hello(): Unit =
+  println("Hello, World!")
+`,
+  },
+  perl: {
+    name: "Perl",
+    monaco: "perl",
+    extension: "pl",
+    runtimeNames: ["perl", "pl"],
+    template: `# Perl starter
+use strict;
+use warnings;
+
+print "Hello, World!\\n";
+`,
+  },
+};
+
+/**
+ * Stand-in runtime list, in Piston's /runtimes shape
+ * Mirrors the public Piston instance; used when the backend's list is unavailable.
+ */
+export const FALLBACK_RUNTIMES = [
+  { language: "javascript", version: "18.15.0", aliases: ["node-javascript", "node-js", "javascript", "js"] },
+  { language: "typescript", version: "5.0.3", aliases: ["ts", "node-ts", "tsc", "typescript5", "ts5"] },
+  { language: "python", version: "3.10.0", aliases: ["py", "py3", "python3", "python3.10"] },
+  { language: "java", version: "15.0.2", aliases: [] },
+  { language: "c", version: "10.2.0", aliases: ["gcc"] },
+  { language: "c++", version: "10.2.0", aliases: ["cpp", "g++"] },
+  { language: "csharp", version: "6.12.0", aliases: ["mono", "mono-csharp", "mono-c#", "mono-cs", "c#", "cs"] },
+  { language: "php", version: "8.2.3", aliases: [] },
+  { language: "go", version: "1.16.2", aliases: ["go", "golang"] },
+  { language: "rust", version: "1.68.2", aliases: ["rs"] },
+  { language: "ruby", version: "3.0.1", aliases: ["ruby3", "rb"] },
+  { language: "kotlin", version: "1.8.20", aliases: ["kt"] },
+  { language: "swift", version: "5.3.3", aliases: ["swift"] },
+  { language: "bash", version: "5.2.0", aliases: ["sh"] },
+  { language: "lua", version: "5.4.4", aliases: ["lua"] },
+  { language: "rscript", version: "4.1.1", aliases: ["r"] },
+  { language: "dart", version: "2.19.6", aliases: [] },
+  { language: "scala", version: "3.2.2", aliases: ["sc"] },
+  { language: "perl", version: "5.36.0", aliases: ["pl"] },
+];
+
+// Catalog language of each runtime name
+const RUNTIME_LANGUAGES = Object.fromEntries(
+  Object.entries(LANGUAGE_CATALOG).flatMap(([id, info]) => info.runtimeNames.map((name) => [name, id]))
+);
+
+/**
+ * App language ID of a runtime
+ * @param {{ language: string, aliases?: string[] }} runtime - Runtime in Piston's shape
+ * @returns {string}
+ */
+export function runtimeLanguage(runtime) {
+  const names = [runtime.language, ...(runtime.aliases || [])];
+  const known = names.find((name) => RUNTIME_LANGUAGES[name]);
+  return known ? RUNTIME_LANGUAGES[known] : runtime.language;
+}
+
+/**
+ * Editor details of a language
+ * @param {string} language - App language ID
+ * @returns {{ id: string, name: string, monaco: string, extension: string, template: string }}
+ */
+export function languageInfo(language) {
+  const info = LANGUAGE_CATALOG[language];
+  if (!info) {
+    return { id: language, name: language, monaco: "plaintext", extension: "txt", template: "" };
+  }
+  return { id: language, name: info.name, monaco: info.monaco, extension: info.extension, template: info.template };
+}
+
+/**
+ * Starter code for a new file in a language
+ * @param {string} language - App language ID
+ * @returns {string}
+ */
+export function starterTemplate(language) {
+  return languageInfo(language).template;
+}
+
+/**
+ * Compares versions numerically, newest first ("10.2.0" before "9.1.0")
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number}
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split(/[.-]/);
+  const partsB = b.split(/[.-]/);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const numberA = parseInt(partsA[i] ?? "0", 10);
+    const numberB = parseInt(partsB[i] ?? "0", 10);
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB) && numberA !== numberB) {
+      return numberB - numberA;
+    }
+    if (Number.isNaN(numberA) || Number.isNaN(numberB)) {
+      const order = String(partsB[i] ?? "").localeCompare(String(partsA[i] ?? ""));
+      if (order !== 0) return order;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Groups a runtime list into one entry per language
+ * @param {Array<{ language: string, version: string, aliases?: string[] }>} runtimes - Runtimes in Piston's shape
+ * @returns {Array<{ id: string, name: string, monaco: string, extension: string, versions: string[] }>}
+ *   Languages sorted by name, their versions newest first
+ */
+export function groupRuntimes(runtimes) {
+  const languages = new Map();
+  for (const runtime of runtimes) {
+    if (!runtime?.language || !runtime.version) continue;
+    const id = runtimeLanguage(runtime);
+    if (!languages.has(id)) {
+      const { template, ...info } = languageInfo(id);
+      languages.set(id, { ...info, versions: [] });
+    }
+    const entry = languages.get(id);
+    if (!entry.versions.includes(runtime.version)) entry.versions.push(runtime.version);
+  }
+
+  return [...languages.values()]
+    .map((entry) => ({ ...entry, versions: entry.versions.sort(compareVersions) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Stand-in version of a language
+ * @param {string} language - App language ID
+ * @returns {string|undefined}
+ */
+export function fallbackVersion(language) {
+  return FALLBACK_RUNTIMES.find((runtime) => runtimeLanguage(runtime) === language)?.version;
+}
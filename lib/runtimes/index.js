@@ -0,0 +1,21 @@
+/**
+ * Language Runtimes
+ *
+ * Languages and versions the editors offer, with their starter templates.
+ * The live list comes from GET /api/runtimes (cached server-side by
+ * lib/execution); the stand-in list is used until it arrives or when the
+ * execution backend can't be reached.
+ *
+ * @module lib/runtimes
+ */
+
+export {
+  LANGUAGE_CATALOG,
+  FALLBACK_RUNTIMES,
+  runtimeLanguage,
+  languageInfo,
+  starterTemplate,
+  compareVersions,
+  groupRuntimes,
+  fallbackVersion,
+} from "./catalog";
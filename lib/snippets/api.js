@@ -0,0 +1,121 @@
+/**
+ * Snippets API Client (browser)
+ *
+ * Requests to /api/snippets from the learn workspace's snippet library.
+ *
+ * @module lib/snippets/api
+ */
+
+const SNIPPETS_URL = "/api/snippets";
+
+/**
+ * URL of a snippet
+ * @param {string} snippetId - Snippet ID
+ * @returns {string}
+ */
+const snippetUrl = (snippetId) => `${SNIPPETS_URL}/${encodeURIComponent(snippetId)}`;
+
+/**
+ * Sends a request to the snippets API
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Fetch options; `body` is sent as JSON
+ * @returns {Promise<*>} Response data
+ * @throws {Error} With `status` set to the HTTP status
+ */
+async function requestSnippets(url, { body, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const result = await response.json().catch(() => null);
+
+  if (!response.ok || !result?.success) {
+    const error = new Error(result?.error?.message || `Snippet request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Lists snippets, most recently updated first
+ * @param {Object} [filter] - { scope: "mine"|"public", search, language, tag, page, limit }
+ * @returns {Promise<{ snippets: Object[], total: number, page: number, limit: number }>}
+ */
+export function listSnippets(filter = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") params.set(key, value);
+  });
+  const query = params.toString();
+  return requestSnippets(query ? `${SNIPPETS_URL}?${query}` : SNIPPETS_URL);
+}
+
+/**
+ * Opens a snippet
+ * @param {string} snippetId - Snippet ID
+ * @returns {Promise<Object>} Snippet with its files and revision summaries
+ */
+export function getSnippet(snippetId) {
+  return requestSnippets(snippetUrl(snippetId));
+}
+
+/**
+ * Saves a project as a new snippet
+ * @param {Object} snippet - { title, description?, language, tags?, visibility?, files, entry }
+ * @returns {Promise<Object>} Created snippet
+ */
+export function createSnippet(snippet) {
+  return requestSnippets(SNIPPETS_URL, { method: "POST", body: snippet });
+}
+
+/**
+ * Updates a snippet the user owns
+ * @param {string} snippetId - Snippet ID
+ * @param {Object} changes - Any of title, description, tags, visibility, files, entry, version, tests, message
+ * @returns {Promise<Object>} Updated snippet
+ */
+export function updateSnippet(snippetId, changes) {
+  return requestSnippets(snippetUrl(snippetId), { method: "PATCH", body: changes });
+}
+
+/**
+ * Deletes a snippet the user owns
+ * @param {string} snippetId - Snippet ID
+ * @returns {Promise<Object>}
+ */
+export function deleteSnippet(snippetId) {
+  return requestSnippets(snippetUrl(snippetId), { method: "DELETE" });
+}
+
+/**
+ * Copies a snippet into the user's library
+ * @param {string} snippetId - Snippet ID
+ * @returns {Promise<Object>} The new, private snippet
+ */
+export function forkSnippet(snippetId) {
+  return requestSnippets(`${snippetUrl(snippetId)}/fork`, { method: "POST" });
+}
+
+/**
+ * Gets an earlier version of a snippet with its files
+ * @param {string} snippetId - Snippet ID
+ * @param {string} revisionId - Revision ID
+ * @returns {Promise<Object>} { id, message, files, entry, createdAt }
+ */
+export function getRevision(snippetId, revisionId) {
+  return requestSnippets(`${snippetUrl(snippetId)}/revisions/${encodeURIComponent(revisionId)}`);
+}
+
+/**
+ * Link that opens a snippet in the learn workspace
+ * @param {string} snippetId - Snippet ID
+ * @returns {string}
+ */
+export function snippetShareUrl(snippetId) {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.searchParams.set("snippet", snippetId);
+  return url.toString();
+}
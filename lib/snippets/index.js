@@ -0,0 +1,20 @@
+/**
+ * Code Snippets
+ *
+ * Browser client of the learn workspace's cloud-saved snippets. Server-side
+ * helpers live in lib/snippets/store and are imported directly by the API
+ * routes.
+ *
+ * @module lib/snippets
+ */
+
+export {
+  listSnippets,
+  getSnippet,
+  createSnippet,
+  updateSnippet,
+  deleteSnippet,
+  forkSnippet,
+  getRevision,
+  snippetShareUrl,
+} from "./api";
@@ -0,0 +1,100 @@
+/**
+ * Stored Snippets (server only)
+ *
+ * Loading and access checks of Snippet documents for the snippets API
+ * routes. Not exported from lib/snippets, which is bundled for the browser.
+ *
+ * @module lib/snippets/store
+ */
+
+import { connect } from "../mongodb/mongoose";
+import Snippet from "../models/snippetModel";
+import User from "../models/userModel";
+import { isValidMongoId } from "../validation";
+import { ValidationError, NotFoundError, AuthorizationError } from "../errors";
+import { logDatabase } from "../logger";
+
+/** Fields left out of snippet lists: file contents and earlier versions' files */
+const SUMMARY_EXCLUDED_FIELDS = "-files.content -revisions.files";
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Loads a snippet a user may open
+ * Private snippets of other users are reported as not found, so their IDs
+ * don't leak.
+ *
+ * @param {string} snippetId - Snippet ID
+ * @param {string} userId - Clerk user ID
+ * @param {Object} [options]
+ * @param {boolean} [options.owner=false] - Require the user to own the snippet
+ * @returns {Promise<Object>} Snippet document
+ * @throws {ValidationError|NotFoundError|AuthorizationError}
+ */
+export async function loadSnippet(snippetId, userId, { owner = false } = {}) {
+  if (!isValidMongoId(snippetId)) {
+    throw new ValidationError("Invalid snippet ID format");
+  }
+  await connect();
+
+  logDatabase("findById", "Snippet", { snippetId });
+  const snippet = await Snippet.findById(snippetId);
+  if (!snippet || !snippet.canView(userId)) {
+    throw new NotFoundError("Snippet", snippetId);
+  }
+  if (owner && !snippet.isOwner(userId)) {
+    throw new AuthorizationError("Only the snippet's owner can do this");
+  }
+  return snippet;
+}
+
+/**
+ * Lists snippets, most recently updated first
+ * @param {string} userId - Clerk user ID
+ * @param {Object} filter - See snippetFilterSchema
+ * @returns {Promise<{ snippets: Object[], total: number, page: number, limit: number }>}
+ */
+export async function listSnippets(userId, { scope, search, language, tag, page, limit }) {
+  await connect();
+
+  const query = scope === "public" ? { visibility: "public" } : { owner: userId };
+  if (language) query.language = language;
+  if (tag) query.tags = tag;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    query.$or = [{ title: pattern }, { description: pattern }, { tags: pattern }];
+  }
+
+  logDatabase("find", "Snippet", { scope, language, tag, page });
+  const [snippets, total] = await Promise.all([
+    Snippet.find(query)
+      .select(SUMMARY_EXCLUDED_FIELDS)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Snippet.countDocuments(query),
+  ]);
+
+  return {
+    snippets: snippets.map((snippet) => snippet.toSummary(userId)),
+    total,
+    page,
+    limit,
+  };
+}
+
+/**
+ * Display name of a user, shown as a snippet's owner
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<string|null>}
+ */
+export async function getOwnerName(userId) {
+  await connect();
+  const user = await User.findOne({ clerkId: userId }).select("userName");
+  return user?.userName || null;
+}
@@ -136,7 +136,9 @@ export {
 // Roadmap schemas
 export { 
   createRoadmapSchema, 
-  roadmapFilterSchema 
+  roadmapFilterSchema,
+  roadmapProgressSchema,
+  roadmapStepProgressSchema
 } from './schemas/roadmap.js';
 
 // Socket schemas
@@ -145,6 +147,35 @@ export {
   roomIdSchema 
 } from './schemas/socket.js';
 
+// Playground schemas
+export {
+  saveRoomDocumentSchema,
+  createSnapshotSchema,
+  joinRoomSchema,
+  createInviteSchema,
+  updateMemberRoleSchema,
+  runRoomCodeSchema
+} from './schemas/playground.js';
+
+// Snippet schemas
+export {
+  createSnippetSchema,
+  updateSnippetSchema,
+  snippetFilterSchema
+} from './schemas/snippet.js';
+
+// Conversation schemas
+export {
+  conversationFilterSchema,
+  updateConversationSchema
+} from './schemas/conversation.js';
+
+// Evaluation schemas
+export { routingEvalSchema } from './schemas/evals.js';
+
+// Execution schemas
+export { executeCodeSchema } from './schemas/execution.js';
+
 // Media schemas
 export { 
   voiceCommandSchema, 
@@ -0,0 +1,35 @@
+/**
+ * Conversation Validation Schemas
+ *
+ * Schemas for listing and managing AI companion conversations.
+ */
+
+import { z } from 'zod';
+import { sanitizedString } from './common.js';
+
+/**
+ * Conversation list validation
+ * GET /api/companion/conversations (query string)
+ */
+export const conversationFilterSchema = z.object({
+  // Full-text search over titles and messages
+  search: z.string().trim().max(100).optional(),
+  // Archived conversations are listed separately
+  archived: z.enum(['true', 'false'])
+    .optional()
+    .default('false')
+    .transform((value) => value === 'true'),
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(50).optional().default(20),
+});
+
+/**
+ * Update conversation validation
+ * PATCH /api/companion/conversations/[conversationId]
+ */
+export const updateConversationSchema = z.object({
+  title: sanitizedString(1, 100).optional(),
+  archived: z.boolean().optional(),
+}).refine((data) => Object.values(data).some((value) => value !== undefined), {
+  message: 'Nothing to update'
+});
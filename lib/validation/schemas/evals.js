@@ -0,0 +1,19 @@
+/**
+ * Evaluation Validation Schemas
+ *
+ * Schemas for the admin evaluation endpoints.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Routing evaluation validation
+ * POST /api/admin/evals/routing
+ */
+export const routingEvalSchema = z.object({
+  // fast: keyword rules, llm: router agent, pipeline: both, as in production
+  routers: z.array(z.enum(['fast', 'llm', 'pipeline']))
+    .min(1, 'Select at least one router')
+    .optional()
+    .default(['fast', 'llm', 'pipeline']),
+});
@@ -0,0 +1,71 @@
+/**
+ * Code Execution Validation Schemas
+ *
+ * Schemas for the server-side code execution endpoint.
+ */
+
+import { z } from "zod";
+
+/**
+ * File name schema
+ * Relative paths only; shared with the playground's multi-file projects
+ */
+export const fileNameSchema = z
+  .string()
+  .max(100, "File name must be at most 100 characters")
+  .regex(/^[\w./-]+$/, "File name contains invalid characters")
+  .refine((name) => !name.split("/").includes(".."), {
+    message: "File name cannot contain '..'",
+  });
+
+/**
+ * Source file schema
+ * The first file of a request is the program's entry point
+ */
+const sourceFileSchema = z.object({
+  name: fileNameSchema.optional(),
+  content: z.string().max(100000, "File content must be at most 100000 characters"),
+});
+
+/**
+ * Files of a saved multi-file project (playground rooms and snippets)
+ * Capped at 100KB in total so runs, snapshots and revisions stay well within
+ * MongoDB's document size limit.
+ */
+export const projectFilesSchema = z
+  .array(
+    z.object({
+      name: fileNameSchema.min(1, "File name is required"),
+      content: z.string(),
+    })
+  )
+  .min(1, "At least one file is required")
+  .max(20, "A project can have at most 20 files")
+  .refine((files) => files.reduce((total, file) => total + file.content.length, 0) <= 100000, {
+    message: "Project must be at most 100KB",
+  })
+  .refine((files) => new Set(files.map((file) => file.name)).size === files.length, {
+    message: "File names must be unique",
+  });
+
+/**
+ * Execute code validation
+ * POST /api/execute
+ */
+export const executeCodeSchema = z.object({
+  language: z
+    .string()
+    .min(1, "Language is required")
+    .max(30, "Language must be at most 30 characters"),
+  version: z.string().max(30, "Version must be at most 30 characters").optional(),
+  files: z
+    .array(sourceFileSchema)
+    .min(1, "At least one file is required")
+    .max(20, "Maximum 20 files allowed"),
+  stdin: z.string().max(10000, "Input must be at most 10000 characters").optional(),
+  // Command-line arguments, already split
+  args: z
+    .array(z.string().max(1000, "Argument must be at most 1000 characters"))
+    .max(50, "Maximum 50 arguments allowed")
+    .optional(),
+});
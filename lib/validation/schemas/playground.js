@@ -0,0 +1,95 @@
+/**
+ * Playground Validation Schemas
+ *
+ * Schemas for persisted collaborative playground rooms.
+ */
+
+import { z } from 'zod';
+import { sanitizedString } from './common.js';
+import { fileNameSchema, projectFilesSchema } from './execution.js';
+
+const languageSchema = z.string()
+  .min(1, 'Language is required')
+  .max(30, 'Language must be at most 30 characters');
+
+/**
+ * Save room document validation
+ * PUT /api/playground/rooms/[roomId]
+ */
+export const saveRoomDocumentSchema = z.object({
+  // Base64 Yjs update holding the whole document
+  state: z.string()
+    .min(1, 'Document state is required')
+    .max(2000000, 'Document state must be at most 2MB')
+    .regex(/^[A-Za-z0-9+/]*={0,2}$/, 'Document state must be base64'),
+});
+
+/**
+ * Create snapshot validation
+ * POST /api/playground/rooms/[roomId]/snapshots
+ */
+export const createSnapshotSchema = z.object({
+  // Main file's code
+  text: z.string().max(100000, 'Code must be at most 100KB'),
+  // Every file of the project, main file first
+  files: projectFilesSchema.optional(),
+  entry: fileNameSchema.optional(),
+  language: languageSchema,
+  label: sanitizedString(1, 100).optional(),
+});
+
+/**
+ * Join room validation
+ * POST /api/playground/rooms/[roomId]/join
+ */
+export const joinRoomSchema = z.object({
+  // Token from an invite link; not needed by existing members or to open a new room
+  invite: z.string()
+    .regex(/^[a-f0-9]{48}$/, 'Invalid invite link')
+    .optional(),
+  // Language of a newly opened room
+  language: languageSchema.optional(),
+  // Display name shown in the member list
+  username: z.string()
+    .max(100, 'Username must be at most 100 characters')
+    .optional(),
+});
+
+/**
+ * Create invite validation
+ * POST /api/playground/rooms/[roomId]/invites
+ */
+export const createInviteSchema = z.object({
+  role: z.enum(['editor', 'viewer']).default('editor'),
+  expiresInHours: z.number()
+    .int()
+    .min(1, 'Invites must last at least an hour')
+    .max(720, 'Invites can last at most 30 days')
+    .default(24),
+  maxUses: z.number()
+    .int()
+    .min(1)
+    .max(100, 'Invites can be used at most 100 times')
+    .optional(),
+});
+
+/**
+ * Change member role validation
+ * PATCH /api/playground/rooms/[roomId]/members/[userId]
+ */
+export const updateMemberRoleSchema = z.object({
+  role: z.enum(['editor', 'viewer']),
+});
+
+/**
+ * Run room code validation
+ * POST /api/playground/rooms/[roomId]/runs
+ */
+export const runRoomCodeSchema = z.object({
+  language: languageSchema,
+  // Runtime version; the newest one when missing
+  version: z.string().max(30, 'Version must be at most 30 characters').optional(),
+  // The shared project as the member running it sees it, entry point first
+  files: projectFilesSchema,
+  stdin: z.string().max(10000, 'Input must be at most 10000 characters').optional(),
+});
@@ -6,6 +6,7 @@
 
 import { z } from 'zod';
 import { mongoIdSchema, sanitizedString, safeContent, positiveInt, nonNegativeInt } from './common.js';
+import { compileAnswerPattern, normalizeAnswer, normalizeQuestionType } from '../../grading/answers.js';
 
 /**
  * Test case schema for coding questions
@@ -30,11 +31,18 @@ const optionSchema = z.string()
 const questionBaseSchema = z.object({
   title: sanitizedString(1, 200),
   description: safeContent(10000),
-  type: z.enum(['coding', 'short-answer', 'multiple-choice'], {
-    errorMap: () => ({ message: 'Type must be coding, short-answer, or multiple-choice' })
-  }),
+  // Legacy 'short' questions are accepted and stored as 'short-answer'
+  type: z.preprocess(
+    normalizeQuestionType,
+    z.enum(['coding', 'short-answer', 'multiple-choice'], {
+      errorMap: () => ({ message: 'Type must be coding, short-answer, or multiple-choice' })
+    })
+  ),
   points: positiveInt.max(100, 'Points must be at most 100'),
   // Conditional fields based on type
+  language: z.string()
+    .max(30, 'Language must be at most 30 characters')
+    .optional(),
   testCases: z.array(testCaseSchema)
     .max(20, 'Maximum 20 test cases allowed')
     .optional(),
@@ -44,6 +52,9 @@ const questionBaseSchema = z.object({
   correctAnswer: z.string()
     .max(5000, 'Correct answer must be at most 5000 characters')
     .optional(),
+  answerMatch: z.enum(['exact', 'regex'], {
+    errorMap: () => ({ message: 'Answer match must be exact or regex' })
+  }).optional(),
 });
 
 /**
@@ -67,6 +78,26 @@ const questionSchema = questionBaseSchema.refine(
     return true;
   },
   { message: 'Multiple choice questions must have at least 2 options', path: ['options'] }
+).refine(
+  (data) => {
+    // The answer key of a multiple choice question must be one of its options
+    if (data.type === 'multiple-choice') {
+      return Boolean(data.correctAnswer) && (data.options || []).some(
+        (option) => normalizeAnswer(option) === normalizeAnswer(data.correctAnswer)
+      );
+    }
+    return true;
+  },
+  { message: 'Correct answer must be one of the options', path: ['correctAnswer'] }
+).refine(
+  (data) => {
+    // Regex reference answers must compile
+    if (data.answerMatch === 'regex' && data.correctAnswer) {
+      return compileAnswerPattern(data.correctAnswer) !== null;
+    }
+    return true;
+  },
+  { message: 'Correct answer is not a valid regular expression', path: ['correctAnswer'] }
 );
 
 /**
@@ -86,7 +117,7 @@ const questBaseSchema = z.object({
   endTime: z.string()
     .datetime({ message: 'Invalid end time format' }),
   isActive: z.boolean().optional().default(true),
-  questions: z.array(questionBaseSchema)
+  questions: z.array(questionSchema)
     .min(1, 'Quest must have at least one question')
     .max(50, 'Quest cannot have more than 50 questions'),
 });
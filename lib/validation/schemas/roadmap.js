@@ -26,3 +26,21 @@ export const roadmapFilterSchema = z.object({
   limit: z.number().int().min(1).max(20).optional().default(10),
 });
 
+
+/**
+ * Replace roadmap progress validation
+ * PUT /api/roadmaps/[id]/progress
+ */
+export const roadmapProgressSchema = z.object({
+  completedSteps: z.array(z.number().int().min(0))
+    .max(500, 'Too many steps'),
+});
+
+/**
+ * Single step progress update validation
+ * PATCH /api/roadmaps/[id]/progress
+ */
+export const roadmapStepProgressSchema = z.object({
+  stepIndex: z.number().int().min(0, 'Step index cannot be negative'),
+  completed: z.boolean().optional().default(true),
+});
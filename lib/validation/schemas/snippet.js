@@ -0,0 +1,117 @@
+/**
+ * Snippet Validation Schemas
+ *
+ * Schemas for the cloud-saved code snippets of the learn workspace.
+ */
+
+import { z } from 'zod';
+import { sanitizedString } from './common.js';
+import { fileNameSchema, projectFilesSchema } from './execution.js';
+
+const languageSchema = z.string()
+  .min(1, 'Language is required')
+  .max(30, 'Language must be at most 30 characters');
+
+/**
+ * Runtime version the code runs on; null for the newest
+ */
+const versionSchema = z.string()
+  .max(30, 'Version must be at most 30 characters')
+  .nullable();
+
+/**
+ * Program input and test cases saved with the files
+ * Arguments are kept as typed; see lib/projects/tests
+ */
+const testInputSchema = z.string().max(10000, 'Input must be at most 10000 characters');
+const testArgsSchema = z.string().max(1000, 'Arguments must be at most 1000 characters');
+
+const testSetSchema = z.object({
+  stdin: testInputSchema.optional().default(''),
+  args: testArgsSchema.optional().default(''),
+  cases: z.array(z.object({
+    id: z.string().min(1).max(40),
+    // Unnamed tests are named after their position when opened
+    name: z.string().trim().max(60, 'Test name must be at most 60 characters').optional().default(''),
+    stdin: testInputSchema.optional().default(''),
+    args: testArgsSchema.optional().default(''),
+    expected: z.string().max(10000, 'Expected output must be at most 10000 characters').optional().default(''),
+  }))
+    .max(10, 'Maximum 10 test cases allowed')
+    .optional()
+    .default([]),
+});
+
+/**
+ * Tag validation - lowercase letters, numbers and a few symbols ("c++", "c#", "node.js")
+ */
+const tagSchema = z.string()
+  .trim()
+  .toLowerCase()
+  .min(1, 'Tag cannot be empty')
+  .max(30, 'Tag must be at most 30 characters')
+  .regex(/^[a-z0-9+#.-]+$/, 'Tags can only contain letters, numbers, and + # . -');
+
+const tagsSchema = z.array(tagSchema)
+  .max(10, 'Maximum 10 tags allowed')
+  .transform((tags) => [...new Set(tags)]);
+
+/**
+ * Who can open a snippet: only its owner, anyone with the link, or anyone
+ * (public snippets are also listed in the public library)
+ */
+const visibilitySchema = z.enum(['private', 'unlisted', 'public'], {
+  errorMap: () => ({ message: 'Visibility must be private, unlisted, or public' })
+});
+
+/**
+ * Create snippet validation
+ * POST /api/snippets
+ */
+export const createSnippetSchema = z.object({
+  title: sanitizedString(1, 100),
+  description: sanitizedString(0, 500).optional(),
+  language: languageSchema,
+  version: versionSchema.optional().default(null),
+  tags: tagsSchema.optional().default([]),
+  visibility: visibilitySchema.optional().default('private'),
+  files: projectFilesSchema,
+  // Name of the entry file; defaults to the first file
+  entry: fileNameSchema.optional(),
+  tests: testSetSchema.optional(),
+});
+
+/**
+ * Update snippet validation
+ * PATCH /api/snippets/[snippetId]
+ * Changing the files records the previous version as a revision; test cases
+ * are replaced without one.
+ */
+export const updateSnippetSchema = z.object({
+  title: sanitizedString(1, 100).optional(),
+  description: sanitizedString(0, 500).optional(),
+  tags: tagsSchema.optional(),
+  visibility: visibilitySchema.optional(),
+  files: projectFilesSchema.optional(),
+  entry: fileNameSchema.optional(),
+  version: versionSchema.optional(),
+  tests: testSetSchema.optional(),
+  // Describes the change to the files, shown in the revision history
+  message: sanitizedString(1, 200).optional(),
+}).refine((data) => Object.values(data).some((value) => value !== undefined), {
+  message: 'Nothing to update'
+});
+
+/**
+ * Snippet list validation
+ * GET /api/snippets (query string)
+ */
+export const snippetFilterSchema = z.object({
+  // The user's own snippets, or everyone's public ones
+  scope: z.enum(['mine', 'public']).optional().default('mine'),
+  search: z.string().trim().max(100).optional(),
+  language: languageSchema.optional(),
+  tag: tagSchema.optional(),
+  page: z.coerce.number().int().min(1).optional().default(1),
+  limit: z.coerce.number().int().min(1).max(50).optional().default(20),
+});
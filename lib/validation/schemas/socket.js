@@ -8,8 +8,18 @@ import { z } from 'zod';
 
 /**
  * Socket event types
+ * doc-update, sync-request, sync-response and cursor carry collaborative
+ * editing messages (see lib/collab); codeUpdate is the legacy full-text sync.
  */
-export const socketEventTypes = ['join-room', 'leave-room', 'codeUpdate'];
+export const socketEventTypes = [
+  'join-room',
+  'leave-room',
+  'codeUpdate',
+  'doc-update',
+  'sync-request',
+  'sync-response',
+  'cursor',
+];
 
 /**
  * Socket event validation
@@ -30,12 +40,26 @@ export const socketEventSchema = z.object({
   username: z.string()
     .max(100, 'Username must be at most 100 characters')
     .optional(),
-  event: z.enum(['join-room', 'leave-room', 'codeUpdate'], {
-    errorMap: () => ({ message: 'Event must be join-room, leave-room, or codeUpdate' })
+  event: z.enum(socketEventTypes, {
+    errorMap: () => ({ message: `Event must be one of: ${socketEventTypes.join(', ')}` })
   }),
   data: z.string()
     .max(100000, 'Code data must be at most 100KB') // Max 100KB for code
     .optional(),
+  // Sending browser tab, so collaborators can ignore their own echoes
+  clientId: z.string()
+    .max(20, 'Client ID must be at most 20 characters')
+    .optional(),
+  // Client ID of the only collaborator meant to process the message
+  target: z.string()
+    .max(20, 'Target must be at most 20 characters')
+    .optional(),
+  // Position of this message within a message split into parts
+  chunk: z.object({
+    id: z.string().max(40),
+    index: z.number().int().nonnegative(),
+    total: z.number().int().positive().max(100, 'Messages can be split into at most 100 chunks'),
+  }).optional(),
 });
 
 /**
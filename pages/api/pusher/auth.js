@@ -1,6 +1,15 @@
 import { getAuth } from "@clerk/nextjs/server";
 import { clerkClient } from "@clerk/nextjs";
 import { pusher } from "../../../lib/pusher";
+import { getMemberRole } from "../../../lib/collab/rooms";
+import { roomIdFromChannel } from "../../../lib/collab/transports";
+
+/**
+ * Pusher Channel Authorization
+ *
+ * Only members of a playground room may subscribe to its presence channel.
+ * Their role is shared with the room as part of their presence info.
+ */
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -15,7 +24,17 @@ export default async function handler(req, res) {
 
   const { socket_id, channel_name } = req.body;
 
+  const roomId = roomIdFromChannel(channel_name);
+  if (!roomId) {
+    return res.status(403).json({ error: "Unknown channel" });
+  }
+
   try {
+    const role = await getMemberRole(roomId, userId);
+    if (!role) {
+      return res.status(403).json({ error: "You are not a member of this room" });
+    }
+
     // Get user info for presence channel
     const user = await clerkClient.users.getUser(userId);
     const username = user.firstName 
@@ -26,6 +45,7 @@ export default async function handler(req, res) {
       user_id: userId,
       user_info: {
         username: username,
+        role,
         // Add specific avatar URL if available, otherwise client uses dicebear
         // avatar: user.imageUrl 
       }
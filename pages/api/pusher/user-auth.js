@@ -0,0 +1,31 @@
+import { getAuth } from "@clerk/nextjs/server";
+import { pusher } from "../../../lib/pusher";
+
+/**
+ * Pusher User Authentication
+ *
+ * Signs a connection in as the Clerk user, so the server can close all of the
+ * user's connections (see disconnectUser in lib/collab/rooms).
+ */
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { userId } = getAuth(req);
+
+  if (!userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { socket_id } = req.body;
+
+  try {
+    const auth = pusher.authenticateUser(socket_id, { id: userId });
+    res.send(auth);
+  } catch (error) {
+    console.error("Pusher user auth error:", error);
+    res.status(500).json({ error: "Auth failed" });
+  }
+}
@@ -2,14 +2,45 @@
  * Socket/Pusher API Handler
  * 
  * Handles real-time collaboration events for the playground feature.
+ * Collaborative editing messages (see lib/collab) are relayed unchanged to
+ * the room's presence channel. join-room and leave-room record presence on
+ * the persisted room (see lib/models/playgroundRoomModel).
+ *
+ * Every event requires a signed-in member of the room. Viewers are read-only:
+ * they may only announce themselves, ask to sync and share their cursor.
  */
 
+import { getAuth } from '@clerk/nextjs/server';
 import { pusher } from '../../lib/pusher';
 import logger from '../../lib/logger';
 import { validateRequest, socketEventSchema } from '../../lib/validation';
+import { updateRoom, getMemberRole, roleAtLeast } from '../../lib/collab/rooms';
 
-// Store collaborators for each room
-const roomCollaborators = new Map();
+// Events relayed to everyone in the room
+const RELAYED_EVENTS = new Set(['codeUpdate', 'doc-update', 'sync-request', 'sync-response', 'cursor']);
+
+// Events that change the room's code; sync-response carries updates too
+const EDITING_EVENTS = new Set(['codeUpdate', 'doc-update', 'sync-response']);
+
+/**
+ * Records a member arriving or leaving
+ */
+async function updatePresence(event, { roomId, userId, username }) {
+  const { room } = await updateRoom(roomId, (current) => {
+    if (event === 'join-room') {
+      current.markMemberOnline(userId, username);
+    } else {
+      current.markMemberOffline(userId);
+    }
+  });
+
+  logger.info(event === 'join-room' ? "Member joined room" : "Member left room", {
+    roomId,
+    userId,
+    online: room.members.filter((member) => member.online).length,
+  });
+  return room;
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -26,13 +57,38 @@ export default async function handler(req, res) {
     });
   }
 
-  const { roomId, userId, username, event, data } = validation.data;
+  const { roomId, username, event, data, clientId, target, chunk } = validation.data;
+
+  // Messages are attributed to the signed-in user, whatever the body claims
+  const { userId } = getAuth(req);
+  if (!userId) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
 
   try {
-    // Handle code updates
-    if (event === 'codeUpdate') {
-      logger.debug("Code update triggered", {
+    const role = await getMemberRole(roomId, userId);
+    if (!role) {
+      return res.status(403).json({ message: 'You are not a member of this room' });
+    }
+    if (EDITING_EVENTS.has(event) && !roleAtLeast(role, 'editor')) {
+      logger.warn("Edit rejected from viewer", { roomId, userId, event });
+      return res.status(403).json({ message: 'You have view-only access to this room' });
+    }
+
+    if (event === 'join-room' || event === 'leave-room') {
+      const room = await updatePresence(event, { roomId, userId, username });
+      return res.status(200).json({
+        message: event === 'join-room' ? 'Joined room' : 'Left room',
         channel: `presence-room-${roomId}`,
+        event,
+        owner: room.owner,
+      });
+    }
+
+    if (RELAYED_EVENTS.has(event)) {
+      logger.debug("Collaboration event relayed", {
+        channel: `presence-room-${roomId}`,
+        event,
         user: username || userId,
         contentLength: data?.length || 0
       });
@@ -40,7 +96,7 @@ export default async function handler(req, res) {
       await pusher.trigger(
         `presence-room-${roomId}`,
         event,
-        { userId, username, data }
+        { userId, username, clientId, data, target, chunk }
       );
     }
 
@@ -50,8 +106,9 @@ export default async function handler(req, res) {
       event,
     });
   } catch (error) {
-    logger.error("Pusher error", { error: error.message, roomId, event });
-    res.status(500).json({ 
+    logger.error("Socket event error", { error: error.message, roomId, event });
+    // Application errors (e.g. leaving a room that was never saved) keep their status
+    res.status(error.statusCode || 500).json({ 
       message: 'Error sending event',
       error: error.message,
     });
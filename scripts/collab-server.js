@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Local Collaboration Server
+ *
+ * A WebSocket stand-in for Pusher presence channels, for developing the
+ * collaborative playground offline. It keeps room membership in memory and
+ * relays events between members of the same channel. There is no
+ * authentication, so don't expose it publicly.
+ *
+ * Usage:
+ *   npm run collab:server
+ *   NEXT_PUBLIC_COLLAB_TRANSPORT=websocket npm run dev
+ *
+ * Set COLLAB_WS_PORT to change the port (default 4001) and point
+ * NEXT_PUBLIC_COLLAB_WS_URL at it.
+ *
+ * Protocol (JSON messages):
+ *   client → server  { type: "subscribe", channel, member: { userId, username } }
+ *   client → server  { type: "event", channel, event, data }
+ *   server → client  { type: "subscription_succeeded", members }
+ *   server → client  { type: "member_added" | "member_removed", member }
+ *   server → client  { type: "event", event, data }
+ */
+
+const { WebSocketServer, WebSocket } = require("ws");
+
+const PORT = Number(process.env.COLLAB_WS_PORT) || 4001;
+
+// channel name -> Map<socket, member>
+const channels = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Unique members of a channel (a user may have several tabs open)
+ */
+const membersOf = (channel) => {
+  const unique = new Map();
+  for (const member of channel.values()) unique.set(member.userId, member);
+  return [...unique.values()];
+};
+
+const hasOtherSocket = (channel, socket, userId) =>
+  [...channel.entries()].some(([other, member]) => other !== socket && member.userId === userId);
+
+const leave = (socket) => {
+  for (const [name, channel] of channels) {
+    const member = channel.get(socket);
+    if (!member) continue;
+
+    channel.delete(socket);
+    if (!hasOtherSocket(channel, socket, member.userId)) {
+      channel.forEach((_, other) => send(other, { type: "member_removed", member }));
+    }
+    if (channel.size === 0) channels.delete(name);
+  }
+};
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on("connection", (socket) => {
+  socket.on("message", (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    if (message.type === "subscribe" && message.channel && message.member?.userId) {
+      const channel = channels.get(message.channel) || new Map();
+      channels.set(message.channel, channel);
+
+      const isNewMember = !hasOtherSocket(channel, socket, message.member.userId);
+      channel.set(socket, message.member);
+
+      send(socket, { type: "subscription_succeeded", members: membersOf(channel) });
+      if (isNewMember) {
+        channel.forEach((_, other) => {
+          if (other !== socket) send(other, { type: "member_added", member: message.member });
+        });
+      }
+      return;
+    }
+
+    if (message.type === "event") {
+      const channel = channels.get(message.channel);
+      if (!channel?.has(socket)) return;
+
+      // Like Pusher, deliver to every subscriber; clients drop their own echoes
+      channel.forEach((_, other) => send(other, {
+        type: "event",
+        event: message.event,
+        data: message.data,
+      }));
+    }
+  });
+
+  socket.on("close", () => leave(socket));
+});
+
+console.log(`Collaboration server listening on ws://localhost:${PORT}`);
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Routing Evaluation Script
+ *
+ * Runs the companion's routers over the labeled dataset in
+ * lib/agents/evals/routingDataset.js (through POST /api/admin/evals/routing)
+ * and prints per-agent precision and recall, the confusion matrix and the
+ * misroutes of each router. Exits with 1 when a metric regressed against
+ * lib/agents/evals/routingBaseline.json.
+ *
+ * Usage:
+ *   node scripts/eval-routing.js [--routers fast,llm,pipeline] [--update-baseline]
+ *
+ * Options:
+ *   --routers          Routers to evaluate (default: all three)
+ *   --update-baseline  Save the scores as the new baseline instead of failing
+ *
+ * Environment:
+ *   BASE_URL                         Server to evaluate (default http://localhost:3000)
+ *   ADMIN_TOKEN                      Admin JWT, or
+ *   ADMIN_USERNAME + ADMIN_PASSWORD  Admin credentials to log in with
+ *
+ * The llm and pipeline routers call the router model once per case; run the
+ * server with LLM_PROVIDER=mock to check the harness itself offline.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
+const BASELINE_PATH = path.join(__dirname, "..", "lib", "agents", "evals", "routingBaseline.json");
+
+// Misroutes listed per router
+const MAX_MISROUTES = 15;
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+  dim: "\x1b[2m",
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  fail: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
+  section: (msg) =>
+    console.log(`\n${colors.yellow}━━━ ${msg} ━━━${colors.reset}`),
+  detail: (msg) => console.log(`  ${colors.dim}${msg}${colors.reset}`),
+};
+
+/**
+ * Reads the command line options
+ */
+function parseArgs(argv) {
+  const options = { routers: undefined, updateBaseline: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--routers") {
+      options.routers = argv[++i].split(",").map((router) => router.trim());
+    } else if (argv[i] === "--update-baseline") {
+      options.updateBaseline = true;
+    }
+  }
+  return options;
+}
+
+/**
+ * Admin token from ADMIN_TOKEN, or by logging in
+ */
+async function getAdminToken() {
+  if (process.env.ADMIN_TOKEN) return process.env.ADMIN_TOKEN;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    throw new Error("Set ADMIN_TOKEN, or ADMIN_USERNAME and ADMIN_PASSWORD");
+  }
+
+  const res = await fetch(`${BASE_URL}/api/admin/auth`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD }),
+  });
+  const body = await res.json();
+  if (!res.ok) {
+    throw new Error(`Admin login failed: ${body.error?.message || res.status}`);
+  }
+  return body.data.token;
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const pad = (value, width) => String(value).padEnd(width);
+
+/**
+ * Prints the scores of one router
+ */
+function printRouter(router, scores) {
+  log.section(`Router: ${router}`);
+  log.info(
+    `Accuracy ${percent(scores.accuracy)} (${scores.correct}/${scores.total}), ` +
+      `coverage ${percent(scores.coverage)}, macro F1 ${scores.macroF1.toFixed(3)}`
+  );
+  for (const [language, { total, accuracy }] of Object.entries(scores.byLanguage)) {
+    log.detail(`${language}: ${percent(accuracy)} of ${total}`);
+  }
+  if (scores.outOfScope?.total) {
+    log.detail(`out of scope: ${percent(scores.outOfScope.accuracy)} of ${scores.outOfScope.total}`);
+  }
+
+  console.log(`\n  ${pad("agent", 10)}${pad("precision", 11)}${pad("recall", 8)}${pad("f1", 7)}support`);
+  for (const [agent, metrics] of Object.entries(scores.agents)) {
+    console.log(
+      `  ${pad(agent, 10)}${pad(metrics.precision.toFixed(3), 11)}${pad(metrics.recall.toFixed(3), 8)}` +
+        `${pad(metrics.f1.toFixed(3), 7)}${metrics.support}`
+    );
+  }
+
+  const labels = Object.keys(Object.values(scores.confusion)[0] || {});
+  console.log(`\n  ${colors.dim}expected \\ predicted${colors.reset}`);
+  console.log(`  ${pad("", 10)}${labels.map((label) => pad(label, 10)).join("")}`);
+  for (const [expected, row] of Object.entries(scores.confusion)) {
+    console.log(`  ${pad(expected, 10)}${labels.map((label) => pad(row[label], 10)).join("")}`);
+  }
+
+  if (scores.misroutes.length > 0) {
+    console.log(`\n  Misroutes (${scores.misroutes.length}):`);
+    for (const misroute of scores.misroutes.slice(0, MAX_MISROUTES)) {
+      log.detail(`${misroute.id}: "${misroute.message}" → ${misroute.predicted} (expected ${misroute.expected})`);
+    }
+    if (scores.misroutes.length > MAX_MISROUTES) {
+      log.detail(`... and ${scores.misroutes.length - MAX_MISROUTES} more`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log(`\n${colors.blue}Routing evaluation against ${BASE_URL}${colors.reset}`);
+
+  let result;
+  try {
+    const token = await getAdminToken();
+    const res = await fetch(`${BASE_URL}/api/admin/evals/routing`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(options.routers ? { routers: options.routers } : {}),
+    });
+    const body = await res.json();
+    if (!res.ok) {
+      throw new Error(body.error?.message || body.message || `HTTP ${res.status}`);
+    }
+    result = body.data;
+  } catch (error) {
+    log.fail(`Evaluation failed: ${error.message}`);
+    log.info("Make sure the server is running: npm run dev");
+    process.exit(1);
+  }
+
+  log.info(`${result.datasetSize} cases in ${(result.durationMs / 1000).toFixed(1)}s`);
+  for (const [router, scores] of Object.entries(result.routers)) {
+    printRouter(router, scores);
+  }
+
+  log.section("Baseline");
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify(result.baseline, null, 2) + "\n");
+    log.success(`Baseline updated: ${path.relative(process.cwd(), BASELINE_PATH)}`);
+    process.exit(0);
+  }
+
+  if (result.baselineStale) {
+    log.info("The dataset changed since the baseline was recorded; consider --update-baseline");
+  }
+
+  if (result.passed) {
+    log.success("No regressions against the baseline");
+    process.exit(0);
+  }
+
+  for (const regression of result.regressions) {
+    const metric = regression.agent ? `${regression.agent} ${regression.metric}` : regression.metric;
+    log.fail(`${regression.router}: ${metric} ${regression.baseline} → ${regression.actual}`);
+  }
+  console.log(`\n${colors.red}✗ ${result.regressions.length} regression(s)${colors.reset}\n`);
+  process.exit(1);
+}
+
+main();
@@ -12,6 +12,10 @@
 
 const BASE_URL = process.env.BASE_URL || "http://localhost:3000";
 
+// Clerk session token (e.g. from getToken() in a signed-in browser), for
+// routes that need a signed-in user
+const CLERK_SESSION = process.env.CLERK_SESSION;
+
 // Colors for console output
 const colors = {
   green: "\x1b[32m",
@@ -520,6 +524,50 @@ async function testAdminQuests() {
 // MAIN
 // ============================================
 
+async function testCompanion() {
+  log.section("AI Companion (/api/companion)");
+
+  const headers = CLERK_SESSION ? { Authorization: `Bearer ${CLERK_SESSION}` } : {};
+  if (!CLERK_SESSION) {
+    log.info("Set CLERK_SESSION to test as a signed-in user; expecting 401 otherwise");
+  }
+
+  await test("Rejects a request without message or confirmation", async () => {
+    const res = await request("POST", "/api/companion", {}, headers);
+    if (res.status === 401 && !CLERK_SESSION) {
+      return { pass: true, detail: "Clerk auth blocks request (expected)" };
+    }
+    return expectValidationError(res, "message");
+  });
+
+  await test("Rejects a confirmation without approved", async () => {
+    const res = await request(
+      "POST",
+      "/api/companion",
+      { confirmation: { actionId: "action_123" } },
+      headers
+    );
+    if (res.status === 401 && !CLERK_SESSION) {
+      return { pass: true, detail: "Clerk auth blocks request (expected)" };
+    }
+    return expectValidationError(res, "confirmation");
+  });
+
+  // A confirmation answer needs no message; nothing is pending in a new conversation
+  await test("Accepts a confirmation without a message (409, nothing pending)", async () => {
+    const res = await request(
+      "POST",
+      "/api/companion",
+      { confirmation: { actionId: "action_123", approved: true } },
+      headers
+    );
+    if (res.status === 401 && !CLERK_SESSION) {
+      return { pass: true, detail: "Clerk auth blocks request (expected)" };
+    }
+    return expectStatus(res, 409);
+  });
+}
+
 async function main() {
   console.log(
     `\n${colors.blue}╔══════════════════════════════════════════╗${colors.reset}`
@@ -557,6 +605,7 @@ async function main() {
 
   await testVideoSearch();
   await testSocket();
+  await testCompanion();
 
   // Summary
   console.log(